@@ -8,6 +8,12 @@ async function checkAuth() {
     }
     const user = await res.json();
 
+    // Seeded/admin-set passwords have to be replaced before anything else
+    if (user.must_change_password) {
+      window.location.href = '/admin/login.html?change=1';
+      return null;
+    }
+
     // Update sidebar user info
     const avatar = document.getElementById('userAvatar');
     const name = document.getElementById('userName');
@@ -91,6 +97,10 @@ async function api(endpoint, options = {}) {
   }
 
   if (!res.ok) {
+    // Permission denials get a toast so background loaders don't fail silently
+    if (res.status === 403 && data.code === 'forbidden') showToastMessage(data.error, null, true);
+    if (res.status === 403 && data.code === 'password_change_required') window.location.href = '/admin/login.html?change=1';
+    if (res.status === 401 && data.code === 'session_expired') window.location.href = '/admin/login.html';
     throw new Error(data.error || 'API Error (' + res.status + ')');
   }
 
@@ -450,6 +460,101 @@ function initClock() {
   setInterval(tick, 1000);
 }
 
+// Live admin feed (Server-Sent Events from /api/events/stream). One stream per
+// tab: shows a toast per event, bumps the sidebar badge of the page the event
+// belongs to, and lets pages react via onLiveEvent(types, handler).
+const LIVE_EVENTS = {
+  'lead.created': { page: '/admin/leads.html', text: d => 'New lead: ' + d.name + (d.platform ? ' (' + d.platform + ')' : '') },
+  'lead.stage_changed': { page: '/admin/leads.html', badge: false, text: d => d.name + ' moved to ' + d.to + (d.user ? ' by ' + d.user : '') },
+  'call.ingested': { page: '/admin/calls.html', text: d => 'New call: ' + (d.caller || 'Unknown caller') + (d.campaign ? ' \u00b7 ' + d.campaign : '') },
+  'message.received': { page: '/admin/inbox.html', text: d => 'New ' + (d.platform === 'instagram' ? 'Instagram' : 'Messenger') + ' message' + (d.snippet ? ': ' + d.snippet : '') },
+  'postback.failed': { page: '/admin/conversions.html', error: true, text: d => 'Delivery failed (' + d.kind + '): ' + d.error },
+  'alert.triggered': { page: '/admin/platform-settings.html', error: true, text: d => d.title },
+  'alert.resolved': { page: '/admin/platform-settings.html', badge: false, text: d => d.title }
+};
+const __liveHandlers = [];
+
+function onLiveEvent(types, handler) {
+  __liveHandlers.push({ types: [].concat(types), handler });
+}
+
+function getLiveBadges() {
+  try { return JSON.parse(sessionStorage.getItem('liveBadges') || '{}'); } catch (e) { return {}; }
+}
+
+function renderLiveBadges() {
+  const counts = getLiveBadges();
+  Object.values(LIVE_EVENTS).forEach(function(def) {
+    const link = document.querySelector('.sidebar a[href="' + def.page + '"]');
+    if (!link) return;
+    let badge = link.querySelector('.live-badge');
+    const n = counts[def.page] || 0;
+    if (!n) { if (badge) badge.remove(); return; }
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'live-badge';
+      badge.style.cssText = 'background:#ef4444;color:#fff;font-size:0.6rem;font-weight:700;padding:1px 6px;border-radius:10px;margin-left:auto;min-width:18px;text-align:center;line-height:1.4;';
+      link.appendChild(badge);
+    }
+    badge.textContent = n > 99 ? '99+' : n;
+  });
+}
+
+// Small dismissing toast in the bottom-right corner; clicking it opens href
+function showToastMessage(text, href, isError) {
+  let wrap = document.getElementById('liveToasts');
+  if (!wrap) {
+    wrap = document.createElement('div');
+    wrap.id = 'liveToasts';
+    wrap.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:10000;display:flex;flex-direction:column;gap:8px;max-width:360px;';
+    document.body.appendChild(wrap);
+  }
+  if ([].some.call(wrap.children, function(t) { return t.textContent === text; })) return;
+  const toast = document.createElement('div');
+  toast.style.cssText = 'background:#111827;color:#fff;padding:10px 14px;border-radius:8px;font-size:0.85rem;line-height:1.4;box-shadow:0 4px 12px rgba(0,0,0,.2);cursor:pointer;border-left:4px solid ' + (isError ? '#ef4444' : '#10b981') + ';';
+  toast.textContent = text;
+  if (href) toast.onclick = function() { window.location.href = href; };
+  wrap.appendChild(toast);
+  while (wrap.children.length > 4) wrap.firstChild.remove();
+  setTimeout(function() { toast.remove(); }, 6000);
+}
+
+function initLiveEvents() {
+  if (!window.EventSource || !document.querySelector('.sidebar')) return;
+
+  // Visiting a page clears its badge
+  const counts = getLiveBadges();
+  if (counts[location.pathname]) {
+    delete counts[location.pathname];
+    sessionStorage.setItem('liveBadges', JSON.stringify(counts));
+  }
+  renderLiveBadges();
+
+  const source = new EventSource('/api/events/stream');
+  Object.keys(LIVE_EVENTS).forEach(function(type) {
+    source.addEventListener(type, function(e) {
+      let data;
+      try { data = JSON.parse(e.data); } catch (err) { return; }
+      const def = LIVE_EVENTS[type];
+      const here = location.pathname === def.page;
+
+      if (def.badge !== false && !here) {
+        const c = getLiveBadges();
+        c[def.page] = (c[def.page] || 0) + 1;
+        sessionStorage.setItem('liveBadges', JSON.stringify(c));
+        renderLiveBadges();
+      }
+      showToastMessage(def.text(data), def.page, def.error);
+      __liveHandlers.forEach(function(h) {
+        if (h.types.includes(type)) {
+          try { h.handler(data, type); } catch (err) { console.error('Live event handler error:', err); }
+        }
+      });
+    });
+  });
+}
+
 // Run auth check and clock on page load
 checkAuth();
 initClock();
+initLiveEvents();
@@ -0,0 +1,214 @@
+// Revision history panel for landing pages and articles — list, diff, preview,
+// publish / schedule / discard drafts and roll back. Needs common.js.
+// Usage: showRevisionHistory('page' | 'article', id, title[, onChange])
+
+var _revHistory = { type: null, id: null, title: '', onChange: null, revisions: [] };
+
+var REVISION_SOURCES = {
+  baseline: 'Before history',
+  created: 'Created',
+  edit: 'Edit',
+  draft: 'Draft',
+  ai_regen: 'AI regen',
+  ai_generated: 'AI generated',
+  pdf_upload: 'PDF upload',
+  experiment: 'Experiment winner',
+  rollback: 'Rollback'
+};
+
+function _revEnsureModal() {
+  if (document.getElementById('revisionHistoryModal')) return;
+  var el = document.createElement('div');
+  el.className = 'modal-overlay';
+  el.id = 'revisionHistoryModal';
+  el.innerHTML = `
+    <div class="modal" style="max-width: 960px; max-height: 90vh; overflow-y: auto;">
+      <div class="modal-header">
+        <h2 id="revisionHistoryTitle">History</h2>
+        <button class="modal-close" onclick="hideModal('revisionHistoryModal')">&times;</button>
+      </div>
+      <div id="revisionHistoryList"></div>
+      <div id="revisionHistoryDetail" style="margin-top:16px"></div>
+    </div>`;
+  document.body.appendChild(el);
+}
+
+async function showRevisionHistory(type, id, title, onChange) {
+  _revEnsureModal();
+  _revHistory = { type: type, id: id, title: title || '', onChange: onChange || null, revisions: [] };
+  document.getElementById('revisionHistoryTitle').textContent = 'History' + (title ? ' — ' + title : '');
+  document.getElementById('revisionHistoryDetail').innerHTML = '';
+  showModal('revisionHistoryModal');
+  await loadRevisionHistory();
+}
+
+function _revStatus(r) {
+  if (r.is_live) return '<span class="badge badge-green">Live</span>';
+  if (r.discarded_at) return '<span class="badge badge-gray">Discarded</span>';
+  if (r.is_draft && r.publish_at) return `<span class="badge badge-blue" title="${escapeHtml(formatDate(r.publish_at))}">Scheduled</span>`;
+  if (r.is_draft) return `<span class="badge badge-yellow">Draft</span>${r.is_stale ? ' <span class="badge badge-orange" title="Something else went live after this draft was started">Stale</span>' : ''}`;
+  return '<span class="badge badge-gray">Published</span>';
+}
+
+async function loadRevisionHistory() {
+  var list = document.getElementById('revisionHistoryList');
+  list.innerHTML = '<p style="color:#6b7280">Loading…</p>';
+  try {
+    var data = await api(`/api/revisions/${_revHistory.type}/${_revHistory.id}`);
+    _revHistory.revisions = data.revisions;
+    if (!data.revisions.length) {
+      list.innerHTML = '<p style="color:#6b7280">No revisions yet. The next save starts the history.</p>';
+      return;
+    }
+    list.innerHTML = `
+      <table>
+        <thead><tr><th>#</th><th>Saved</th><th>By</th><th>Source</th><th>Changes</th><th>Status</th><th></th></tr></thead>
+        <tbody>${data.revisions.map(function(r) {
+          var actions = [`<button class="action-btn action-btn-view" onclick="showRevisionDiff(${r.id})">Diff</button>`];
+          if (!r.discarded_at) actions.push(`<a class="action-btn action-btn-view" href="/preview/${r.preview_token}" target="_blank">Preview</a>`);
+          if (r.is_draft) {
+            actions.push(`<button class="action-btn action-btn-edit" onclick="publishRevision(${r.id})">Publish</button>`);
+            actions.push(`<button class="action-btn action-btn-edit" onclick="showRevisionSchedule(${r.id})">Schedule</button>`);
+            actions.push(`<button class="action-btn action-btn-delete" onclick="discardRevision(${r.id})">Discard</button>`);
+          } else if (r.published_at && !r.is_live) {
+            actions.push(`<button class="action-btn action-btn-delete" onclick="rollbackRevision(${r.id})">Restore</button>`);
+          }
+          return `<tr>
+            <td>${r.revision_number}</td>
+            <td>${formatDate(r.created_at)}</td>
+            <td>${escapeHtml(r.author_name || 'System')}</td>
+            <td>${escapeHtml(REVISION_SOURCES[r.source] || r.source)}${r.note ? `<div style="font-size:12px;color:#6b7280">${escapeHtml(r.note)}</div>` : ''}</td>
+            <td>${r.source === 'baseline' ? '—' : r.change_count}</td>
+            <td>${_revStatus(r)}</td>
+            <td style="white-space:nowrap">${actions.join(' ')}</td>
+          </tr>`;
+        }).join('')}</tbody>
+      </table>`;
+  } catch (err) {
+    list.innerHTML = `<p style="color:#dc2626">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function _revValue(v) {
+  if (v === null || v === undefined || v === '') return '<span style="color:#9ca3af">(empty)</span>';
+  return escapeHtml(typeof v === 'object' ? JSON.stringify(v) : String(v));
+}
+
+async function showRevisionDiff(revisionId, againstId) {
+  var detail = document.getElementById('revisionHistoryDetail');
+  detail.innerHTML = '<p style="color:#6b7280">Loading…</p>';
+  try {
+    var qs = againstId ? `?against=${againstId}` : '';
+    var r = await api(`/api/revisions/${_revHistory.type}/${_revHistory.id}/${revisionId}${qs}`);
+    var others = _revHistory.revisions.filter(function(o) { return o.id !== r.id; });
+    var rows = r.comparison.length ? r.comparison.map(function(c) {
+      return `<tr>
+        <td style="font-family:monospace;font-size:12px">${escapeHtml(c.path)}</td>
+        <td style="background:#fef2f2;font-size:12px;word-break:break-word">${_revValue(c.before)}</td>
+        <td style="background:#f0fdf4;font-size:12px;word-break:break-word">${_revValue(c.after)}</td>
+      </tr>`;
+    }).join('') : '<tr><td colspan="3" style="color:#6b7280">No differences</td></tr>';
+    detail.innerHTML = `
+      <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px">
+        <strong>Revision #${r.revision_number}</strong>
+        <span style="color:#6b7280">compared to</span>
+        <select onchange="showRevisionDiff(${r.id}, this.value)">
+          ${others.map(function(o) {
+            var selected = r.compared_to && r.compared_to.id === o.id ? 'selected' : '';
+            return `<option value="${o.id}" ${selected}>#${o.revision_number}${o.is_live ? ' (live)' : ''}</option>`;
+          }).join('')}
+        </select>
+      </div>
+      <table>
+        <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  } catch (err) {
+    detail.innerHTML = `<p style="color:#dc2626">${escapeHtml(err.message)}</p>`;
+  }
+}
+
+async function _revChanged() {
+  await loadRevisionHistory();
+  if (_revHistory.onChange) _revHistory.onChange();
+}
+
+async function publishRevision(revisionId, force) {
+  if (!force && !confirm('Publish this draft? It replaces the live version.')) return;
+  try {
+    var res = await fetch(`/api/revisions/${_revHistory.type}/${_revHistory.id}/${revisionId}/publish`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ force: !!force })
+    });
+    var data = await res.json();
+    if (res.status === 409 && data.stale) {
+      if (confirm(data.error + '\n\nPublish anyway?')) return publishRevision(revisionId, true);
+      return;
+    }
+    if (!res.ok) throw new Error(data.error || 'Publish failed');
+    document.getElementById('revisionHistoryDetail').innerHTML = '';
+    await _revChanged();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+function showRevisionSchedule(revisionId) {
+  var r = _revHistory.revisions.find(function(o) { return o.id === revisionId; });
+  var current = '';
+  if (r && r.publish_at) {
+    var d = parseUtcDate(r.publish_at);
+    current = new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+  document.getElementById('revisionHistoryDetail').innerHTML = `
+    <div style="display:flex;align-items:center;gap:8px">
+      <strong>Publish revision #${r ? r.revision_number : ''} at</strong>
+      <input type="datetime-local" id="revisionPublishAt" value="${current}">
+      <button class="btn btn-primary btn-small" onclick="saveRevisionSchedule(${revisionId})">Save</button>
+      ${current ? `<button class="btn btn-secondary btn-small" onclick="saveRevisionSchedule(${revisionId}, true)">Unschedule</button>` : ''}
+    </div>`;
+}
+
+async function saveRevisionSchedule(revisionId, clear) {
+  var value = clear ? null : document.getElementById('revisionPublishAt').value;
+  if (!clear && !value) return alert('Pick a date and time');
+  try {
+    await api(`/api/revisions/${_revHistory.type}/${_revHistory.id}/${revisionId}/schedule`, {
+      method: 'POST',
+      body: JSON.stringify({ publish_at: value ? new Date(value).toISOString() : null })
+    });
+    document.getElementById('revisionHistoryDetail').innerHTML = '';
+    await _revChanged();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function discardRevision(revisionId) {
+  if (!confirm('Discard this draft?')) return;
+  try {
+    await api(`/api/revisions/${_revHistory.type}/${_revHistory.id}/${revisionId}/discard`, { method: 'POST' });
+    await _revChanged();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function rollbackRevision(revisionId) {
+  var r = _revHistory.revisions.find(function(o) { return o.id === revisionId; });
+  if (!confirm(`Restore revision #${r ? r.revision_number : revisionId}? It goes live immediately; the current version stays in history.`)) return;
+  try {
+    await api(`/api/revisions/${_revHistory.type}/${_revHistory.id}/${revisionId}/rollback`, { method: 'POST' });
+    document.getElementById('revisionHistoryDetail').innerHTML = '';
+    await _revChanged();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// Open the history on the draft that was just saved
+async function showSavedDraft(type, id, title, draft, onChange) {
+  await showRevisionHistory(type, id, title, onChange);
+  await showRevisionDiff(draft.revision_id);
+}
@@ -599,7 +599,7 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_unsubscribes_email ON email_unsubscribes(email);
 `);
 
-// Phase 2 placeholders
+// Automation flows + SMS
 db.exec(`
   CREATE TABLE IF NOT EXISTS automation_flows (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -655,6 +655,326 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_sms_lead ON sms_messages(lead_id);
 `);
 
+// SMS channel (sms-worker.js): provider + sender bookkeeping, inbound sender,
+// and STOP/START opt-out state. Opt-outs are kept per phone (E.164) so they
+// hold for numbers with no lead yet and survive lead merges and deletes; the
+// lead columns mirror them for display.
+try { db.exec(`ALTER TABLE sms_messages ADD COLUMN from_phone TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE sms_messages ADD COLUMN provider TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE sms_messages ADD COLUMN sent_by_id INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE sms_messages ADD COLUMN is_help_reply INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN sms_opted_out INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN sms_opted_out_at DATETIME`); } catch (e) {}
+db.exec(`
+  CREATE TABLE IF NOT EXISTS sms_opt_outs (
+    phone TEXT PRIMARY KEY,
+    keyword TEXT,
+    opted_out_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_sms_sid ON sms_messages(twilio_sid);
+  CREATE INDEX IF NOT EXISTS idx_sms_status ON sms_messages(status, direction);
+`);
+
+// Outbound delivery queue (outbox.js): webhooks + ad-platform/CRM pushes with
+// backoff, dead-lettering and replay; one outbox_attempts row per try
+db.exec(`
+  CREATE TABLE IF NOT EXISTS outbox_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,
+    lead_id INTEGER,
+    conversion_event_id INTEGER,
+    target TEXT,
+    payload TEXT NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending','processing','delivered','dead')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 8,
+    replay_count INTEGER DEFAULT 0,
+    next_attempt_at DATETIME,
+    last_error TEXT,
+    last_status_code INTEGER,
+    delivered_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_outbox_lead ON outbox_deliveries(lead_id);
+  CREATE INDEX IF NOT EXISTS idx_outbox_event ON outbox_deliveries(conversion_event_id);
+
+  CREATE TABLE IF NOT EXISTS outbox_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_id INTEGER NOT NULL,
+    attempt INTEGER NOT NULL,
+    success INTEGER DEFAULT 0,
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (delivery_id) REFERENCES outbox_deliveries(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_outbox_attempts_delivery ON outbox_attempts(delivery_id);
+`);
+
+// Lead scoring (lib/lead-scoring.js): weighted rules over lead/visitor/call/event
+// fields; the computed score, tier and matched-rule explanation live on the lead
+try { db.exec(`ALTER TABLE leads ADD COLUMN lead_score INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN lead_score_tier TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN lead_score_explanation TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN lead_scored_at DATETIME`); } catch (e) {}
+db.exec(`
+  CREATE TABLE IF NOT EXISTS lead_scoring_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'lead',
+    field TEXT NOT NULL,
+    operator TEXT NOT NULL,
+    value TEXT,
+    points INTEGER NOT NULL DEFAULT 0,
+    is_active INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_leads_score ON leads(lead_score);
+  CREATE INDEX IF NOT EXISTS idx_leads_score_tier ON leads(lead_score_tier);
+`);
+
+// Seed a starter scoring model
+const scoringRuleCount = db.prepare('SELECT COUNT(*) as count FROM lead_scoring_rules').get();
+if (scoringRuleCount.count === 0) {
+  const insertRule = db.prepare(`
+    INSERT INTO lead_scoring_rules (name, source, field, operator, value, points, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  [
+    ['Debt $50k+', 'lead', 'debt_amount', 'greater_than', '49999', 15],
+    ['Debt $100k+', 'lead', 'debt_amount', 'greater_than', '99999', 15],
+    ['Debt $250k+', 'lead', 'debt_amount', 'greater_than', '249999', 10],
+    ['Has MCA', 'lead', 'has_mca', 'equals', 'Yes', 20],
+    ['Multiple MCAs', 'lead', 'mca_count', 'greater_than', '1', 10],
+    ['Considered bankruptcy', 'lead', 'considered_bankruptcy', 'equals', 'Yes', -10],
+    ['Called in', 'calls', 'call_count', 'greater_than', '0', 10],
+    ['Call transferred', 'calls', 'transferred_count', 'greater_than', '0', 15],
+    ['Long call (2+ min)', 'calls', 'max_duration', 'greater_than', '119', 10]
+  ].forEach((r, i) => insertRule.run(...r, i));
+}
+
+// Automation flow runner (flow-runner.js): per-step outcome log, segment
+// membership snapshot for segment_entry flows, and last trigger bookkeeping
+try { db.exec(`ALTER TABLE automation_flows ADD COLUMN last_triggered_at DATETIME`); } catch (e) {}
+db.exec(`
+  CREATE TABLE IF NOT EXISTS automation_flow_run_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,
+    step_id INTEGER,
+    action_type TEXT,
+    status TEXT NOT NULL CHECK(status IN ('success','skipped','failed')),
+    detail TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (run_id) REFERENCES automation_flow_runs(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_flow_run_logs_run ON automation_flow_run_logs(run_id);
+
+  CREATE TABLE IF NOT EXISTS automation_flow_segment_members (
+    flow_id INTEGER NOT NULL,
+    lead_id INTEGER NOT NULL,
+    entered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (flow_id, lead_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_flow_runs_flow_lead ON automation_flow_runs(flow_id, lead_id);
+  CREATE INDEX IF NOT EXISTS idx_flow_steps_flow ON automation_flow_steps(flow_id, step_order);
+`);
+
+// Duplicate detection + merge (lib/lead-dedup.js): review queue of likely
+// duplicate pairs and an audit row (with a snapshot of the removed lead) per merge
+db.exec(`
+  CREATE TABLE IF NOT EXISTS lead_duplicate_candidates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER NOT NULL,
+    duplicate_of_id INTEGER NOT NULL,
+    score INTEGER NOT NULL DEFAULT 0,
+    reasons TEXT DEFAULT '[]',
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending','merged','dismissed')),
+    resolved_by_id INTEGER,
+    resolved_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(lead_id, duplicate_of_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_dup_candidates_status ON lead_duplicate_candidates(status, score);
+  CREATE INDEX IF NOT EXISTS idx_dup_candidates_dup ON lead_duplicate_candidates(duplicate_of_id);
+
+  CREATE TABLE IF NOT EXISTS lead_merges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    survivor_id INTEGER NOT NULL,
+    merged_id INTEGER NOT NULL,
+    merged_snapshot TEXT,
+    filled_fields TEXT DEFAULT '[]',
+    repointed TEXT DEFAULT '{}',
+    merged_by_id INTEGER,
+    merged_by_name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_lead_merges_survivor ON lead_merges(survivor_id);
+  CREATE INDEX IF NOT EXISTS idx_leads_email ON leads(email);
+  CREATE INDEX IF NOT EXISTS idx_leads_phone ON leads(phone);
+`);
+
+// Lead assignment (lead-assignment.js): who is in the rotation and their caps,
+// routing rules, and an assignment history that drives round-robin/weighted
+// picks and stale-lead reassignment
+try { db.exec(`ALTER TABLE leads ADD COLUMN assigned_at DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN assignment_reason TEXT`); } catch (e) {}
+db.exec(`
+  CREATE TABLE IF NOT EXISTS assignment_members (
+    user_id INTEGER PRIMARY KEY,
+    is_active INTEGER DEFAULT 1,
+    weight INTEGER DEFAULT 1,
+    daily_cap INTEGER,
+    status TEXT DEFAULT 'available' CHECK(status IN ('available','away','vacation')),
+    away_until DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS assignment_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    conditions TEXT DEFAULT '{}',
+    strategy TEXT DEFAULT 'round_robin' CHECK(strategy IN ('round_robin','weighted')),
+    user_ids TEXT DEFAULT '[]',
+    is_active INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS lead_assignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER NOT NULL,
+    user_id INTEGER,
+    previous_user_id INTEGER,
+    rule_id INTEGER,
+    reason TEXT NOT NULL,
+    detail TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_lead_assignments_lead ON lead_assignments(lead_id);
+  CREATE INDEX IF NOT EXISTS idx_lead_assignments_user ON lead_assignments(user_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_leads_assigned ON leads(assigned_to, assigned_at);
+`);
+
+// Pipelines (lib/pipeline.js): ordered stages with win/loss flags and SLA
+// targets. leads.pipeline_stage_id is the source of truth (leads.stage mirrors
+// the stage name) and every move is written to lead_stage_history.
+try { db.exec(`ALTER TABLE leads ADD COLUMN pipeline_stage_id INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN stage_entered_at DATETIME`); } catch (e) {}
+db.exec(`
+  CREATE TABLE IF NOT EXISTS pipelines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    is_default INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS pipeline_stages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pipeline_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    is_won INTEGER DEFAULT 0,
+    is_lost INTEGER DEFAULT 0,
+    sla_hours REAL,
+    event_name TEXT,
+    color TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pipeline_id) REFERENCES pipelines(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_pipeline_stages_pipeline ON pipeline_stages(pipeline_id, sort_order);
+
+  CREATE TABLE IF NOT EXISTS lead_stage_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER NOT NULL,
+    pipeline_id INTEGER,
+    from_stage_id INTEGER,
+    from_stage_name TEXT,
+    to_stage_id INTEGER,
+    to_stage_name TEXT,
+    source TEXT NOT NULL,
+    user_id INTEGER,
+    user_name TEXT,
+    seconds_in_previous INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_stage_history_lead ON lead_stage_history(lead_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_stage_history_from ON lead_stage_history(from_stage_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_stage_history_to ON lead_stage_history(to_stage_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_leads_pipeline_stage ON leads(pipeline_stage_id);
+`);
+
+// Seed the default pipeline from the stages already in use: postback event
+// names and any stage text Salesforce has written onto leads
+const pipelineCount = db.prepare('SELECT COUNT(*) as count FROM pipelines').get();
+if (pipelineCount.count === 0) {
+  const pipelineId = db.prepare(`INSERT INTO pipelines (name, is_default) VALUES ('Sales', 1)`).run().lastInsertRowid;
+  const eventNames = db.prepare(`
+    SELECT event_name FROM postback_config WHERE is_active = 1 GROUP BY event_name ORDER BY MIN(id) ASC
+  `).all().map(r => r.event_name);
+  const leadStages = db.prepare(`
+    SELECT TRIM(stage) as stage FROM leads WHERE stage IS NOT NULL AND TRIM(stage) != '' GROUP BY LOWER(TRIM(stage)) ORDER BY MIN(id) ASC
+  `).all().map(r => r.stage);
+
+  const stages = [{ name: 'New', sla_hours: 24 }];
+  const seen = new Set(['new', 'lost']);
+  const addStage = (stage) => {
+    if (seen.has(stage.name.toLowerCase())) return;
+    seen.add(stage.name.toLowerCase());
+    stages.push(stage);
+  };
+  if (eventNames.length || leadStages.length) {
+    eventNames.forEach(name => addStage({ name, event_name: name, is_won: /sign|closed|won|sale/i.test(name) ? 1 : 0 }));
+    leadStages.forEach(name => addStage({ name, is_won: /sign|closed|won|sale/i.test(name) ? 1 : 0 }));
+  } else {
+    [
+      { name: 'Contacted', sla_hours: 48 },
+      { name: 'Qualified', sla_hours: 72 },
+      { name: 'Contract Sent', sla_hours: 120 },
+      { name: 'Signed', is_won: 1 }
+    ].forEach(addStage);
+  }
+  stages.push({ name: 'Lost', is_lost: 1 });
+
+  const insertStage = db.prepare(`
+    INSERT INTO pipeline_stages (pipeline_id, name, sort_order, is_won, is_lost, sla_hours, event_name) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  stages.forEach((s, i) => insertStage.run(pipelineId, s.name, i, s.is_won || 0, s.is_lost || 0, s.sla_hours || null, s.event_name || null));
+}
+
+// Place leads that have no pipeline stage yet: matching stage text first, then
+// the furthest stage reached by a mapped conversion event, else the first stage
+const defaultPipeline = db.prepare('SELECT id FROM pipelines WHERE is_default = 1 ORDER BY id ASC LIMIT 1').get();
+if (defaultPipeline) {
+  const firstStage = db.prepare('SELECT id FROM pipeline_stages WHERE pipeline_id = ? ORDER BY sort_order ASC, id ASC LIMIT 1').get(defaultPipeline.id);
+  if (firstStage) {
+    db.prepare(`
+      UPDATE leads SET
+        pipeline_stage_id = COALESCE(
+          (SELECT ps.id FROM pipeline_stages ps WHERE ps.pipeline_id = @pipelineId AND LOWER(ps.name) = LOWER(TRIM(leads.stage)) LIMIT 1),
+          (SELECT ps.id FROM conversion_events ce JOIN pipeline_stages ps ON ps.event_name = ce.conversion_action_name
+           WHERE ce.lead_id = leads.id AND ps.pipeline_id = @pipelineId ORDER BY ps.sort_order DESC LIMIT 1),
+          @firstStageId
+        ),
+        stage_entered_at = COALESCE(stage_entered_at, (SELECT MAX(created_at) FROM conversion_events WHERE lead_id = leads.id), created_at)
+      WHERE pipeline_stage_id IS NULL
+    `).run({ pipelineId: defaultPipeline.id, firstStageId: firstStage.id });
+  }
+}
+db.exec(`
+  UPDATE leads SET stage = (SELECT name FROM pipeline_stages WHERE id = leads.pipeline_stage_id)
+  WHERE pipeline_stage_id IS NOT NULL
+    AND stage IS NOT (SELECT name FROM pipeline_stages WHERE id = leads.pipeline_stage_id)
+`);
+
 // Add pixel_id to facebook_config if not exist
 try {
   db.exec(`ALTER TABLE facebook_config ADD COLUMN pixel_id TEXT`);
@@ -2158,6 +2478,488 @@ try { db.exec(`ALTER TABLE visitors ADD COLUMN step1_debt_value TEXT`); } catch
 try { db.exec(`ALTER TABLE visitors ADD COLUMN step2_mca_at DATETIME`); } catch (e) {}
 try { db.exec(`ALTER TABLE visitors ADD COLUMN step2_mca_value TEXT`); } catch (e) {}
 
+// Form builder: multi-step forms with prequal steps (see lib/form-logic.js).
+// Kept after the forms table rebuilds above, which copy columns with SELECT *.
+try { db.exec(`ALTER TABLE forms ADD COLUMN steps TEXT DEFAULT '[]'`); } catch (e) {}
+
+// One row per visitor per completed prequal step. The debt/mca steps are also
+// mirrored into the visitors.step1_/step2_ columns the reports read.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS visitor_funnel_steps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    eli_clickid TEXT NOT NULL,
+    step_key TEXT NOT NULL,
+    value TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(eli_clickid, step_key)
+  );
+  CREATE INDEX IF NOT EXISTS idx_visitor_funnel_steps_key ON visitor_funnel_steps(step_key, created_at);
+`);
+
+// A/B/n experiments on landing pages. arms is a JSON array of
+// { key, name, weight, page_id?, overrides? }; the first arm is the control.
+// Visitors and leads are tagged ab_variant = 'x<experiment id>:<arm key>'.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS page_experiments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    landing_page_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    status TEXT DEFAULT 'draft',
+    arms TEXT NOT NULL DEFAULT '[]',
+    primary_metric TEXT DEFAULT 'leads',
+    start_at DATETIME,
+    end_at DATETIME,
+    started_at DATETIME,
+    stopped_at DATETIME,
+    winner_arm TEXT,
+    promoted_at DATETIME,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (landing_page_id) REFERENCES landing_pages(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_page_experiments_page ON page_experiments(landing_page_id, status);
+  CREATE INDEX IF NOT EXISTS idx_visitors_ab_variant ON visitors(ab_variant);
+  CREATE INDEX IF NOT EXISTS idx_leads_ab_variant ON leads(ab_variant);
+`);
+
+// Immutable save history for landing pages and articles (see lib/revisions.js).
+// snapshot holds the content columns as saved; diff is against the revision it
+// was based on. A row with neither published_at nor discarded_at is a draft,
+// served only at /preview/<preview_token> until it's published.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS content_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL CHECK(entity_type IN ('page', 'article')),
+    entity_id INTEGER NOT NULL,
+    revision_number INTEGER NOT NULL,
+    snapshot TEXT NOT NULL,
+    diff TEXT DEFAULT '[]',
+    source TEXT DEFAULT 'edit',
+    note TEXT,
+    based_on_id INTEGER,
+    author_id INTEGER,
+    author_name TEXT,
+    preview_token TEXT UNIQUE,
+    publish_at DATETIME,
+    published_at DATETIME,
+    discarded_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(entity_type, entity_id, revision_number)
+  );
+  CREATE INDEX IF NOT EXISTS idx_content_revisions_entity ON content_revisions(entity_type, entity_id, id);
+  CREATE INDEX IF NOT EXISTS idx_content_revisions_publish_at ON content_revisions(publish_at);
+`);
+
+// Engagement events from the page beacon (lib/engagement-beacon.js), keyed by
+// visitor and tab session. Raw events are pruned after 30 days; the
+// visitor_sessions rollup (one row per session per page) is what reports read.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS visitor_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    eli_clickid TEXT NOT NULL,
+    session_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    value TEXT,
+    landing_page TEXT,
+    ab_variant TEXT,
+    occurred_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_visitor_events_session ON visitor_events(session_id, landing_page);
+  CREATE INDEX IF NOT EXISTS idx_visitor_events_visitor ON visitor_events(eli_clickid, occurred_at);
+  CREATE INDEX IF NOT EXISTS idx_visitor_events_type ON visitor_events(event_type, created_at);
+
+  CREATE TABLE IF NOT EXISTS visitor_sessions (
+    session_id TEXT NOT NULL,
+    landing_page TEXT NOT NULL DEFAULT '',
+    eli_clickid TEXT NOT NULL,
+    ab_variant TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_event_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    page_views INTEGER DEFAULT 0,
+    engaged_ms INTEGER DEFAULT 0,
+    max_scroll_pct INTEGER DEFAULT 0,
+    sections_seen INTEGER DEFAULT 0,
+    fields_focused INTEGER DEFAULT 0,
+    form_started_at DATETIME,
+    form_abandoned_at DATETIME,
+    last_field TEXT,
+    phone_clicks INTEGER DEFAULT 0,
+    PRIMARY KEY (session_id, landing_page)
+  );
+  CREATE INDEX IF NOT EXISTS idx_visitor_sessions_visitor ON visitor_sessions(eli_clickid);
+  CREATE INDEX IF NOT EXISTS idx_visitor_sessions_page ON visitor_sessions(landing_page, started_at);
+`);
+
+// Bot / click-fraud scoring (lib/fraud.js). fraud_status is 'clean',
+// 'suspicious', 'blocked' or 'legit' (reviewed by staff, never re-flagged);
+// fraud_reasons is a JSON array of { signal, points, detail }.
+try { db.exec(`ALTER TABLE visitors ADD COLUMN fraud_score INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE visitors ADD COLUMN fraud_reasons TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE visitors ADD COLUMN fraud_status TEXT DEFAULT 'clean'`); } catch (e) {}
+try { db.exec(`ALTER TABLE visitors ADD COLUMN fraud_scored_at DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE visitors ADD COLUMN asn TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE visitors ADD COLUMN is_hosting INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE visitors ADD COLUMN is_proxy INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN fraud_score INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN fraud_reasons TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN fraud_status TEXT DEFAULT 'clean'`); } catch (e) {}
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_visitors_ip ON visitors(ip_address, last_visit);
+  CREATE INDEX IF NOT EXISTS idx_visitors_gclid ON visitors(gclid);
+  CREATE INDEX IF NOT EXISTS idx_visitors_fraud ON visitors(fraud_status, last_visit);
+`);
+
+// Offline conversion import (lib/offline-conversions.js): each active rule
+// turns a lead milestone into a Google Ads click conversion. Uploads are logged
+// in conversion_events (source 'offline_import') with the rule and the
+// conversion time sent, which is what later restatements refer back to.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS offline_conversion_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    trigger_type TEXT NOT NULL,
+    stage_name TEXT,
+    conversion_action_id TEXT NOT NULL,
+    value_source TEXT DEFAULT 'none',
+    value_multiplier REAL DEFAULT 1,
+    fixed_value REAL,
+    currency TEXT DEFAULT 'USD',
+    is_active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+try { db.exec(`ALTER TABLE conversion_events ADD COLUMN offline_rule_id INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE conversion_events ADD COLUMN conversion_time TEXT`); } catch (e) {}
+db.exec(`CREATE INDEX IF NOT EXISTS idx_conversion_offline_rule ON conversion_events(offline_rule_id, lead_id)`);
+
+// Ad-spend warehouse: one row per date/platform/account/campaign/ad group/ad,
+// fed by per-platform sync jobs (lib/ad-spend.js). Missing levels are '' so the
+// unique key holds; cost is in micros like the gads_* cache tables.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS ad_spend_daily (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date TEXT NOT NULL,
+    platform TEXT NOT NULL,
+    account_id TEXT NOT NULL DEFAULT '',
+    campaign_id TEXT NOT NULL DEFAULT '',
+    campaign_name TEXT,
+    ad_group_id TEXT NOT NULL DEFAULT '',
+    ad_group_name TEXT,
+    ad_id TEXT NOT NULL DEFAULT '',
+    ad_name TEXT,
+    impressions INTEGER DEFAULT 0,
+    clicks INTEGER DEFAULT 0,
+    cost_micros INTEGER DEFAULT 0,
+    platform_conversions REAL,
+    synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(platform, account_id, date, campaign_id, ad_group_id, ad_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ad_spend_date ON ad_spend_daily(date, platform);
+  CREATE INDEX IF NOT EXISTS idx_ad_spend_campaign ON ad_spend_daily(platform, campaign_id, date);
+
+  -- Per-platform sync state: the date span the warehouse holds complete data for
+  CREATE TABLE IF NOT EXISTS ad_spend_sync (
+    platform TEXT PRIMARY KEY,
+    account_id TEXT,
+    covered_from TEXT,
+    covered_to TEXT,
+    status TEXT DEFAULT 'idle',
+    last_run_at DATETIME,
+    last_error TEXT,
+    last_rows INTEGER DEFAULT 0
+  );
+`);
+
+// Touchpoint log for multi-touch attribution: one row per visit, call, email
+// click and form submit, keyed by eli_clickid until the visitor converts.
+// Non-visit touches carry their source row id so re-recording is a no-op.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS touchpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER,
+    eli_clickid TEXT,
+    touch_type TEXT NOT NULL,
+    occurred_at DATETIME NOT NULL,
+    source TEXT NOT NULL,
+    platform TEXT,
+    medium TEXT,
+    campaign TEXT,
+    click_id TEXT,
+    landing_page TEXT,
+    ref_table TEXT,
+    ref_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_touchpoints_lead ON touchpoints(lead_id, occurred_at);
+  CREATE INDEX IF NOT EXISTS idx_touchpoints_eli ON touchpoints(eli_clickid, occurred_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_touchpoints_ref ON touchpoints(touch_type, ref_id) WHERE touch_type != 'visit';
+`);
+
+// Scheduled report digests: a saved call to one of the analytics endpoints,
+// a 5-field cron schedule evaluated in the configured timezone, and the
+// recipients that get it as CSV and/or PDF attachments
+db.exec(`
+  CREATE TABLE IF NOT EXISTS scheduled_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    source TEXT NOT NULL,
+    params TEXT DEFAULT '{}',
+    date_range TEXT DEFAULT 'yesterday',
+    schedule TEXT NOT NULL,
+    recipients TEXT NOT NULL,
+    formats TEXT DEFAULT 'csv,pdf',
+    is_active INTEGER DEFAULT 1,
+    created_by INTEGER,
+    next_run_at DATETIME,
+    last_run_at DATETIME,
+    last_status TEXT,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_scheduled_reports_next ON scheduled_reports(is_active, next_run_at);
+
+  CREATE TABLE IF NOT EXISTS scheduled_report_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id INTEGER NOT NULL,
+    trigger TEXT DEFAULT 'schedule',
+    status TEXT DEFAULT 'running',
+    range_from TEXT,
+    range_to TEXT,
+    row_count INTEGER DEFAULT 0,
+    recipients TEXT,
+    error TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    FOREIGN KEY (report_id) REFERENCES scheduled_reports(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_scheduled_report_runs_report ON scheduled_report_runs(report_id, started_at);
+`);
+
+// Alert rules v2: platform/page scope, baseline-relative conditions
+// (pct_above/pct_below the mean of earlier windows, zscore_above/below),
+// per-rule cooldown, firing/ok state for auto-resolve, and webhook delivery
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN platform TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN landing_page_id INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN baseline_offset_hours INTEGER DEFAULT 168`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN baseline_samples INTEGER DEFAULT 1`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN cooldown_minutes INTEGER DEFAULT 60`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN auto_resolve INTEGER DEFAULT 1`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN webhook_url TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN webhook_format TEXT DEFAULT 'slack'`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN state TEXT DEFAULT 'ok'`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN last_value REAL`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN last_baseline REAL`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN last_evaluated_at DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE alert_rules ADD COLUMN last_resolved_at DATETIME`); } catch (e) {}
+// Connected-leg duration from Retreaver; call answer rate counts calls where it is > 0
+try { db.exec(`ALTER TABLE calls ADD COLUMN dialed_duration INTEGER`); } catch (e) {}
+db.exec(`
+  CREATE TABLE IF NOT EXISTS alert_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL,
+    kind TEXT NOT NULL CHECK(kind IN ('triggered', 'reminder', 'resolved')),
+    value REAL,
+    baseline REAL,
+    message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_alert_events_rule ON alert_events(rule_id, created_at);
+`);
+
+// Admin account security: TOTP two-factor (secret encrypted, recovery codes
+// hashed), lockout after repeated failures, forced password change, and one
+// user_sessions row per login so sessions can be listed and revoked
+try { db.exec(`ALTER TABLE users ADD COLUMN totp_secret TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN totp_pending_secret TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN totp_enabled INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN totp_last_counter INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN recovery_codes TEXT DEFAULT '[]'`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN must_change_password INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN password_changed_at DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN failed_login_count INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN locked_until DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE users ADD COLUMN last_login_at DATETIME`); } catch (e) {}
+db.exec(`
+  CREATE TABLE IF NOT EXISTS user_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sid TEXT NOT NULL UNIQUE,
+    user_id INTEGER NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    two_factor INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    revoked_reason TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, revoked_at);
+
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT,
+    ip_address TEXT,
+    success INTEGER DEFAULT 0,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+`);
+// The seeded admin still on its default password must pick a new one at next login
+{
+  const seeded = db.prepare(`
+    SELECT id, password_hash FROM users
+    WHERE email = 'admin@coastaldebt.com' AND password_changed_at IS NULL AND must_change_password = 0
+  `).get();
+  if (seeded && bcrypt.compareSync('admin123', seeded.password_hash)) {
+    db.prepare('UPDATE users SET must_change_password = 1 WHERE id = ?').run(seeded.id);
+  }
+}
+
+// Asynchronous bounces/complaints (DSN and ARF reports from the bounce mailbox
+// or a provider webhook), matched back to email_queue by Message-ID. Suppressed
+// leads are skipped by campaigns and flows.
+try { db.exec(`ALTER TABLE email_queue ADD COLUMN bounce_type TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_queue ADD COLUMN bounced_at DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_queue ADD COLUMN complained_at DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN complaint_count INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN email_suppressed INTEGER DEFAULT 0`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN email_suppressed_reason TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE leads ADD COLUMN email_suppressed_at DATETIME`); } catch (e) {}
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_queue_message_id ON email_queue(message_id);
+
+  CREATE TABLE IF NOT EXISTS email_bounce_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_type TEXT NOT NULL CHECK(event_type IN ('hard','soft','complaint')),
+    email TEXT,
+    queue_id INTEGER,
+    campaign_id INTEGER,
+    lead_id INTEGER,
+    message_id TEXT,
+    status_code TEXT,
+    diagnostic TEXT,
+    source TEXT NOT NULL,
+    source_ref TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_bounce_events_ref ON email_bounce_events(source_ref);
+  CREATE INDEX IF NOT EXISTS idx_bounce_events_email ON email_bounce_events(email, created_at);
+  CREATE INDEX IF NOT EXISTS idx_bounce_events_campaign ON email_bounce_events(campaign_id);
+`);
+
+// A/B campaign variants: each variant overrides the subject and/or template.
+// The worker sends them to a test slice of the segment, waits ab_wait_hours,
+// picks a winner by ab_winner_metric and sends it to everyone else.
+// ab_status: NULL (no test) -> 'testing' -> 'winner_selected'
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN ab_test_percent INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN ab_wait_hours INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN ab_winner_metric TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN ab_conversion_action TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN ab_status TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN ab_decide_at DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN ab_winner_variant_id INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_queue ADD COLUMN variant_id INTEGER`); } catch (e) {}
+db.exec(`
+  CREATE TABLE IF NOT EXISTS email_campaign_variants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    label TEXT NOT NULL,
+    subject TEXT,
+    template_id INTEGER,
+    is_winner INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (campaign_id) REFERENCES email_campaigns(id) ON DELETE CASCADE,
+    FOREIGN KEY (template_id) REFERENCES email_templates(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_campaign_variants_campaign ON email_campaign_variants(campaign_id);
+  CREATE INDEX IF NOT EXISTS idx_queue_variant ON email_queue(variant_id);
+`);
+
+// Send-time optimization: queue rows can be held until send_after (UTC) so a
+// campaign lands at the recipient's local time, outside quiet hours and within
+// per-domain daily caps. send_time_mode: 'immediate' | 'local' | 'optimized'
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN send_time_mode TEXT DEFAULT 'immediate'`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_queue ADD COLUMN send_after DATETIME`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_queue ADD COLUMN send_timezone TEXT`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_queue ADD COLUMN recipient_domain TEXT`); } catch (e) {}
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_queue_domain_sent ON email_queue(recipient_domain, sent_at);
+  CREATE INDEX IF NOT EXISTS idx_email_opens_lead ON email_opens(lead_id, opened_at);
+  CREATE INDEX IF NOT EXISTS idx_visitors_lead ON visitors(lead_id);
+`);
+
+// Block-editor templates keep their row/column/block document here; html_body
+// and text_body are compiled from it on save (lib/email-blocks.js). NULL means
+// a hand-written HTML template.
+try { db.exec(`ALTER TABLE email_templates ADD COLUMN blocks TEXT`); } catch (e) {}
+
+// Subscription topics (lib/subscriptions.js). A lead with no row for a topic
+// gets the topic's default; leads.email_unsubscribed stays the "all email"
+// switch. Campaigns and flow emails carry a topic, and every preference change
+// lands in email_consent_log with where (source, IP, campaign) it came from.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS email_topics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT,
+    default_subscribed INTEGER DEFAULT 1,
+    is_active INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS lead_email_subscriptions (
+    lead_id INTEGER NOT NULL,
+    topic_id INTEGER NOT NULL,
+    subscribed INTEGER NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lead_id, topic_id),
+    FOREIGN KEY (lead_id) REFERENCES leads(id),
+    FOREIGN KEY (topic_id) REFERENCES email_topics(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_lead_subscriptions_topic ON lead_email_subscriptions(topic_id, subscribed);
+  CREATE TABLE IF NOT EXISTS email_consent_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER,
+    email TEXT,
+    topic_id INTEGER,
+    subscribed INTEGER NOT NULL,
+    previous INTEGER,
+    source TEXT NOT NULL,
+    campaign_id INTEGER,
+    queue_id INTEGER,
+    ip_address TEXT,
+    user_agent TEXT,
+    changed_by_id INTEGER,
+    changed_by_name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_consent_log_lead ON email_consent_log(lead_id, created_at);
+`);
+try { db.exec(`ALTER TABLE email_campaigns ADD COLUMN topic_id INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_queue ADD COLUMN topic_id INTEGER`); } catch (e) {}
+try { db.exec(`ALTER TABLE email_unsubscribes ADD COLUMN topic_id INTEGER`); } catch (e) {}
+
+const topicCount = db.prepare('SELECT COUNT(*) as count FROM email_topics').get();
+if (topicCount.count === 0) {
+  const insertTopic = db.prepare('INSERT INTO email_topics (key, name, description, sort_order) VALUES (?, ?, ?, ?)');
+  [
+    ['newsletters', 'Newsletters', 'Tips and news about managing business debt'],
+    ['program_updates', 'Program updates', 'New programs, offers and changes to your options'],
+    ['appointment_reminders', 'Appointment reminders', 'Reminders about calls and consultations you have booked']
+  ].forEach((t, i) => insertTopic.run(...t, i));
+}
+
 // Cache table for Google Ads ad-group meta (keywords + QS aggregated per ad group)
 db.exec(`
   CREATE TABLE IF NOT EXISTS gads_ad_group_meta (
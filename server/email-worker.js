@@ -1,10 +1,14 @@
 const db = require('./database');
 const { createTransporter, getSmtpConfig } = require('./lib/smtp');
-const { resolveVariables, getSegmentLeadQuery } = require('./routes/email-marketing');
+const { resolveVariables, getSegmentLeadQuery, getCampaignVariants, getVariantStats } = require('./routes/email-marketing');
 const { generateToken, generateClickToken } = require('./routes/email-tracking');
+const bounces = require('./lib/bounces');
+const sendTime = require('./lib/send-time');
+const subscriptions = require('./lib/subscriptions');
 
 let workerInterval = null;
 let schedulerInterval = null;
+let bounceInterval = null;
 
 function getSetting(key, defaultValue) {
   const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
@@ -26,7 +30,7 @@ function stripHtml(html) {
 function rewriteLinks(html, queueId) {
   return html.replace(/<a\s+([^>]*?)href="([^"]+)"([^>]*?)>/gi, (match, before, url, after) => {
     // Skip mailto, tel, and unsubscribe links
-    if (url.startsWith('mailto:') || url.startsWith('tel:') || url.includes('unsubscribe')) {
+    if (url.startsWith('mailto:') || url.startsWith('tel:') || url.includes('unsubscribe') || url.includes('/t/u/')) {
       return match;
     }
     const token = generateClickToken(queueId, url);
@@ -70,7 +74,104 @@ function addUnsubscribeFooter(html, queueId) {
   return html + footer;
 }
 
-// Enqueue a campaign - resolve segment, render templates, insert into queue
+// Render one email for a lead and insert it into the queue with tracking
+// (unsubscribe footer, click rewriting, open pixel). Used by campaigns and by
+// automation flow send_email steps. Returns the queue row id.
+// schedule ({ send_after, timezone } from a send-time planner) holds the email
+// until the recipient's local send time. topicId is the subscription topic the
+// email belongs to; a one-click unsubscribe from it opts out of that topic.
+function enqueueLeadEmail(lead, { subject, html_body, text_body, campaignId = null, flowRunId = null, variantId = null, topicId = null, schedule = null }) {
+  const baseUrl = getBaseUrl();
+
+  // Create a placeholder queue entry to get the ID first
+  const result = db.prepare(`
+    INSERT INTO email_queue (campaign_id, flow_run_id, variant_id, topic_id, lead_id, to_email, to_name, subject, html_body, text_body,
+      recipient_domain, send_after, send_timezone)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    campaignId, flowRunId, variantId, topicId, lead.id, lead.email, [lead.first_name, lead.last_name].filter(Boolean).join(' ') || '',
+    'pending', 'pending', null,
+    sendTime.domainOf(lead.email), schedule ? schedule.send_after : null, schedule ? schedule.timezone : null
+  );
+  const queueId = result.lastInsertRowid;
+
+  // Generate unsubscribe URL with queue ID
+  const unsubToken = generateToken(queueId);
+  const unsubUrl = `${baseUrl}/t/u/${unsubToken}`;
+
+  // Resolve variables
+  const resolvedSubject = resolveVariables(subject, lead, { unsubscribe_url: unsubUrl });
+  let resolvedHtml = resolveVariables(html_body, lead, {
+    unsubscribe_url: unsubUrl,
+    platform: lead.platform,
+    landing_page: lead.landing_page_name
+  });
+
+  // Add tracking
+  resolvedHtml = addUnsubscribeFooter(resolvedHtml, queueId);
+  resolvedHtml = rewriteLinks(resolvedHtml, queueId);
+  resolvedHtml = addOpenPixel(resolvedHtml, queueId);
+
+  const resolvedText = text_body
+    ? resolveVariables(text_body, lead, { unsubscribe_url: unsubUrl })
+    : stripHtml(resolvedHtml);
+
+  // Update with rendered content
+  db.prepare(`UPDATE email_queue SET subject = ?, html_body = ?, text_body = ? WHERE id = ?`)
+    .run(resolvedSubject, resolvedHtml, resolvedText, queueId);
+
+  return queueId;
+}
+
+// Leads a campaign goes to (its segment, or every emailable lead), minus
+// anyone who opted out of the campaign's topic. Returns null when the
+// campaign's segment no longer exists.
+function getCampaignLeads(campaign) {
+  if (campaign.segment_id) {
+    const segment = db.prepare('SELECT filter_criteria FROM email_segments WHERE id = ?').get(campaign.segment_id);
+    if (!segment) {
+      console.error(`Segment ${campaign.segment_id} not found`);
+      return null;
+    }
+    const { sql, params } = getSegmentLeadQuery(segment.filter_criteria);
+    return subscriptions.filterSubscribed(db.prepare(sql).all(...params), campaign.topic_id);
+  }
+
+  // No segment - send to all leads with email
+  return subscriptions.filterSubscribed(db.prepare(`
+    SELECT l.id, l.first_name, l.last_name, l.company_name, l.email, l.phone, l.debt_amount,
+           l.stage, l.created_at, lp.name as landing_page_name, lp.platform
+    FROM leads l
+    LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+    WHERE l.email IS NOT NULL AND l.email != '' AND COALESCE(l.email_unsubscribed, 0) = 0
+      AND COALESCE(l.email_suppressed, 0) = 0
+  `).all(), campaign.topic_id);
+}
+
+// Subject/body for one A/B variant; blank fields fall back to the campaign's
+function variantContent(campaign, variant) {
+  const template = variant.template_id
+    ? db.prepare('SELECT subject, html_body, text_body FROM email_templates WHERE id = ?').get(variant.template_id)
+    : null;
+  const base = template || campaign;
+  return {
+    subject: variant.subject || (template ? template.subject : campaign.subject_override || campaign.subject),
+    html_body: base.html_body,
+    text_body: base.text_body
+  };
+}
+
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Enqueue a campaign - resolve segment, render templates, insert into queue.
+// A campaign with A/B variants only gets its test slice here; the rest of the
+// segment is enqueued by sendAbWinner() once the test has been decided.
 function enqueueCampaign(campaignId) {
   const campaign = db.prepare(`
     SELECT c.*, t.subject, t.html_body, t.text_body
@@ -84,77 +185,34 @@ function enqueueCampaign(campaignId) {
     return 0;
   }
 
-  // Get leads from segment
-  let leads;
-  if (campaign.segment_id) {
-    const segment = db.prepare('SELECT filter_criteria FROM email_segments WHERE id = ?').get(campaign.segment_id);
-    if (!segment) {
-      console.error(`Segment ${campaign.segment_id} not found`);
-      return 0;
-    }
-    const { sql, params } = getSegmentLeadQuery(segment.filter_criteria);
-    leads = db.prepare(sql).all(...params);
-  } else {
-    // No segment - send to all leads with email
-    leads = db.prepare(`
-      SELECT l.id, l.first_name, l.last_name, l.company_name, l.email, l.phone, l.debt_amount,
-             l.stage, l.created_at, lp.name as landing_page_name, lp.platform
-      FROM leads l
-      LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
-      WHERE l.email IS NOT NULL AND l.email != '' AND COALESCE(l.email_unsubscribed, 0) = 0
-    `).all();
-  }
+  const leads = getCampaignLeads(campaign);
+  if (!leads) return 0;
 
   if (leads.length === 0) {
     db.prepare(`UPDATE email_campaigns SET status = 'sent', total_recipients = 0, completed_at = CURRENT_TIMESTAMP WHERE id = ?`).run(campaignId);
     return 0;
   }
 
-  const subject = campaign.subject_override || campaign.subject;
-  const baseUrl = getBaseUrl();
+  const variants = campaign.ab_status ? [] : getCampaignVariants(campaignId);
+  if (variants.length >= 2) return enqueueAbTest(campaign, leads, variants);
 
-  const insertQueue = db.prepare(`
-    INSERT INTO email_queue (campaign_id, lead_id, to_email, to_name, subject, html_body, text_body)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `);
+  const subject = campaign.subject_override || campaign.subject;
+  const plan = sendTime.createPlanner(campaign);
 
   const enqueue = db.transaction(() => {
     let count = 0;
     for (const lead of leads) {
       if (!lead.email) continue;
 
-      // Create a placeholder queue entry to get the ID first
-      const result = insertQueue.run(
-        campaignId, lead.id, lead.email, [lead.first_name, lead.last_name].filter(Boolean).join(' ') || '',
-        'pending', 'pending', null
-      );
-      const queueId = result.lastInsertRowid;
-
-      // Generate unsubscribe URL with queue ID
-      const unsubToken = generateToken(queueId);
-      const unsubUrl = `${baseUrl}/t/u/${unsubToken}`;
-
-      // Resolve variables
-      const resolvedSubject = resolveVariables(subject, lead, { unsubscribe_url: unsubUrl });
-      let resolvedHtml = resolveVariables(campaign.html_body, lead, {
-        unsubscribe_url: unsubUrl,
-        platform: lead.platform,
-        landing_page: lead.landing_page_name
+      enqueueLeadEmail(lead, {
+        subject,
+        html_body: campaign.html_body,
+        text_body: campaign.text_body,
+        campaignId,
+        topicId: campaign.topic_id,
+        schedule: plan(lead)
       });
 
-      // Add tracking
-      resolvedHtml = addUnsubscribeFooter(resolvedHtml, queueId);
-      resolvedHtml = rewriteLinks(resolvedHtml, queueId);
-      resolvedHtml = addOpenPixel(resolvedHtml, queueId);
-
-      const resolvedText = campaign.text_body
-        ? resolveVariables(campaign.text_body, lead, { unsubscribe_url: unsubUrl })
-        : stripHtml(resolvedHtml);
-
-      // Update with rendered content
-      db.prepare(`UPDATE email_queue SET subject = ?, html_body = ?, text_body = ? WHERE id = ?`)
-        .run(resolvedSubject, resolvedHtml, resolvedText, queueId);
-
       count++;
     }
 
@@ -167,6 +225,108 @@ function enqueueCampaign(campaignId) {
   return count;
 }
 
+// Send each variant to an equal share of a random ab_test_percent slice of
+// the segment and start the wait before a winner is picked. The wait runs from
+// the last held test send, so every slice gets ab_wait_hours to collect opens.
+function enqueueAbTest(campaign, leads, variants) {
+  const pool = shuffle(leads.filter(l => l.email));
+  const testSize = Math.min(pool.length, Math.max(variants.length, Math.ceil(pool.length * (campaign.ab_test_percent || 20) / 100)));
+  const contents = variants.map(v => variantContent(campaign, v));
+  const waitHours = campaign.ab_wait_hours || 4;
+  const plan = sendTime.createPlanner(campaign);
+
+  const count = db.transaction(() => {
+    let lastSendAfter = null;
+    pool.slice(0, testSize).forEach((lead, i) => {
+      const k = i % variants.length;
+      const schedule = plan(lead);
+      if (schedule.send_after && (!lastSendAfter || schedule.send_after > lastSendAfter)) lastSendAfter = schedule.send_after;
+      enqueueLeadEmail(lead, { ...contents[k], campaignId: campaign.id, variantId: variants[k].id, topicId: campaign.topic_id, schedule });
+    });
+    db.prepare(`
+      UPDATE email_campaigns SET total_recipients = ?, ab_status = 'testing',
+        ab_decide_at = datetime(MAX(datetime('now'), COALESCE(?, '')), ?), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(testSize, lastSendAfter, `+${waitHours} hours`, campaign.id);
+    return testSize;
+  })();
+
+  console.log(`A/B test: enqueued ${count} of ${pool.length} emails across ${variants.length} variants for campaign "${campaign.name}" (#${campaign.id}); deciding ${waitHours}h after the last test send`);
+  return count;
+}
+
+// Highest value of the campaign's winner metric wins; ties go to the variant
+// with more sends, then to the earlier label
+function pickAbWinner(campaign) {
+  const metric = campaign.ab_winner_metric || 'open_rate';
+  const stats = getVariantStats(campaign);
+  if (stats.length === 0) return null;
+  return stats.slice().sort((a, b) => (b[metric] - a[metric]) || (b.sent - a.sent) || a.label.localeCompare(b.label))[0];
+}
+
+// Mark the winning variant and send it to everyone in the segment who wasn't
+// part of the test (including leads that joined the segment since)
+function sendAbWinner(campaignId) {
+  const campaign = db.prepare(`
+    SELECT c.*, t.subject, t.html_body, t.text_body
+    FROM email_campaigns c
+    JOIN email_templates t ON c.template_id = t.id
+    WHERE c.id = ?
+  `).get(campaignId);
+  if (!campaign || campaign.ab_status !== 'testing') return 0;
+
+  const winner = pickAbWinner(campaign);
+  if (!winner) {
+    db.prepare(`UPDATE email_campaigns SET ab_status = 'winner_selected', updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(campaignId);
+    return 0;
+  }
+  const variant = db.prepare('SELECT * FROM email_campaign_variants WHERE id = ?').get(winner.id);
+  const content = variantContent(campaign, variant);
+
+  const already = new Set(db.prepare('SELECT lead_id FROM email_queue WHERE campaign_id = ?').all(campaignId).map(r => r.lead_id));
+  const remainder = (getCampaignLeads(campaign) || []).filter(l => l.email && !already.has(l.id));
+  // The remainder goes out from now, not at the original scheduled time
+  const plan = sendTime.createPlanner({ ...campaign, scheduled_at: null });
+
+  const count = db.transaction(() => {
+    db.prepare('UPDATE email_campaign_variants SET is_winner = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE campaign_id = ?').run(winner.id, campaignId);
+    for (const lead of remainder) {
+      enqueueLeadEmail(lead, { ...content, campaignId, variantId: winner.id, topicId: campaign.topic_id, schedule: plan(lead) });
+    }
+    db.prepare(`
+      UPDATE email_campaigns SET ab_status = 'winner_selected', ab_winner_variant_id = ?,
+        total_recipients = total_recipients + ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(winner.id, remainder.length, campaignId);
+    return remainder.length;
+  })();
+
+  const metric = campaign.ab_winner_metric || 'open_rate';
+  console.log(`A/B test: variant ${winner.label} won campaign "${campaign.name}" (#${campaignId}) on ${metric} ${(winner[metric] * 100).toFixed(1)}%; enqueued ${count} remaining emails`);
+  return count;
+}
+
+// Decide A/B tests whose test sends have all gone out and whose wait is over.
+// Quiet hours and domain caps can defer test sends past ab_decide_at, so the
+// wait is also measured from the last one actually sent.
+function checkAbTests() {
+  const due = db.prepare(`
+    SELECT c.id FROM email_campaigns c
+    WHERE c.status = 'sending' AND c.ab_status = 'testing' AND c.ab_decide_at <= datetime('now')
+      AND NOT EXISTS (SELECT 1 FROM email_queue eq WHERE eq.campaign_id = c.id AND eq.status IN ('queued', 'sending'))
+      AND COALESCE((SELECT MAX(eq.sent_at) FROM email_queue eq WHERE eq.campaign_id = c.id), '')
+        <= datetime('now', '-' || COALESCE(NULLIF(c.ab_wait_hours, 0), 4) || ' hours')
+  `).all();
+
+  for (const c of due) {
+    try {
+      sendAbWinner(c.id);
+    } catch (err) {
+      console.error(`A/B test: failed to send winner for campaign #${c.id}:`, err.message);
+    }
+  }
+}
+
 // Process queued emails
 async function processQueue() {
   const enabled = getSetting('email_worker_enabled', '1');
@@ -186,11 +346,12 @@ async function processQueue() {
     enqueueCampaign(c.id);
   }
 
-  // Get queued emails
+  // Get queued emails (skipping ones held for a later local send time)
   const items = db.prepare(`
     SELECT eq.* FROM email_queue eq
     JOIN email_campaigns ec ON eq.campaign_id = ec.id
     WHERE eq.status = 'queued' AND ec.status = 'sending'
+      AND (eq.send_after IS NULL OR eq.send_after <= datetime('now'))
     ORDER BY eq.id ASC
     LIMIT ?
   `).all(batchSize);
@@ -199,6 +360,7 @@ async function processQueue() {
   const flowItems = db.prepare(`
     SELECT * FROM email_queue
     WHERE status = 'queued' AND campaign_id IS NULL
+      AND (send_after IS NULL OR send_after <= datetime('now'))
     ORDER BY id ASC
     LIMIT ?
   `).all(batchSize);
@@ -216,23 +378,54 @@ async function processQueue() {
   const fromName = getSetting('email_from_name', 'Coastal Debt');
   const from = `${fromName} <${smtpConfig.smtp_from || smtpConfig.smtp_user}>`;
 
+  const isSuppressed = db.prepare('SELECT 1 FROM leads WHERE id = ? AND email_suppressed = 1');
+  const gate = sendTime.createSendGate();
+
   for (const item of allItems) {
+    // Bounced or complained since it was queued
+    if (isSuppressed.get(item.lead_id)) {
+      db.prepare(`UPDATE email_queue SET status = 'failed', error_message = 'Address suppressed (bounce or complaint)' WHERE id = ?`).run(item.id);
+      if (item.campaign_id) db.prepare('UPDATE email_campaigns SET failed_count = failed_count + 1 WHERE id = ?').run(item.campaign_id);
+      continue;
+    }
+
+    // Unsubscribed (from everything or from this email's topic) since it was queued
+    const optedOut = subscriptions.optOutReason(item.lead_id, item.topic_id);
+    if (optedOut) {
+      db.prepare(`UPDATE email_queue SET status = 'failed', error_message = ? WHERE id = ?`).run(optedOut, item.id);
+      if (item.campaign_id) db.prepare('UPDATE email_campaigns SET failed_count = failed_count + 1 WHERE id = ?').run(item.campaign_id);
+      continue;
+    }
+
+    // Recipient is in quiet hours or their domain hit today's cap
+    const deferUntil = gate.check(item);
+    if (deferUntil) {
+      db.prepare('UPDATE email_queue SET send_after = ? WHERE id = ?').run(deferUntil, item.id);
+      continue;
+    }
+
     try {
       // Mark as sending
       db.prepare(`UPDATE email_queue SET status = 'sending' WHERE id = ?`).run(item.id);
 
+      // RFC 8058 one-click unsubscribe: mail clients POST to the same /t/u/ URL
       const result = await transporter.sendMail({
         from,
         to: item.to_name ? `${item.to_name} <${item.to_email}>` : item.to_email,
         subject: item.subject,
         html: item.html_body,
-        text: item.text_body || undefined
+        text: item.text_body || undefined,
+        headers: {
+          'List-Unsubscribe': `<${getBaseUrl()}/t/u/${generateToken(item.id)}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
       });
 
       // Mark as sent
       db.prepare(`
         UPDATE email_queue SET status = 'sent', message_id = ?, sent_at = CURRENT_TIMESTAMP WHERE id = ?
       `).run(result.messageId || null, item.id);
+      gate.sent(item);
 
       // Increment campaign sent_count
       if (item.campaign_id) {
@@ -242,9 +435,13 @@ async function processQueue() {
       console.error(`Email worker: failed to send queue #${item.id}:`, err.message);
 
       const isBounce = err.message.includes('550') || err.message.includes('553') || err.message.includes('mailbox');
+      const bounceType = isBounce ? bounces.classifyStatus(err.message, 'failed') : null;
       db.prepare(`
-        UPDATE email_queue SET status = ?, error_message = ? WHERE id = ?
-      `).run(isBounce ? 'bounced' : 'failed', err.message, item.id);
+        UPDATE email_queue SET status = ?, error_message = ?, bounce_type = ?,
+          bounced_at = CASE WHEN ? IS NOT NULL THEN CURRENT_TIMESTAMP END
+        WHERE id = ?
+      `).run(isBounce ? 'bounced' : 'failed', err.message, bounceType, bounceType, item.id);
+      if (bounceType === 'hard') bounces.suppressAddress(item.to_email.toLowerCase(), 'hard_bounce');
 
       if (item.campaign_id) {
         if (isBounce) {
@@ -256,8 +453,9 @@ async function processQueue() {
     }
   }
 
-  // Check if any sending campaigns are now complete
-  const activeCampaigns = db.prepare(`SELECT id FROM email_campaigns WHERE status = 'sending'`).all();
+  // Check if any sending campaigns are now complete (an A/B test still waiting
+  // on its winner isn't, even with an empty queue)
+  const activeCampaigns = db.prepare(`SELECT id FROM email_campaigns WHERE status = 'sending' AND COALESCE(ab_status, '') != 'testing'`).all();
   for (const c of activeCampaigns) {
     const remaining = db.prepare(`SELECT COUNT(*) as cnt FROM email_queue WHERE campaign_id = ? AND status IN ('queued', 'sending')`).get(c.id);
     if (remaining.cnt === 0) {
@@ -290,8 +488,16 @@ function startWorker() {
     processQueue().catch(err => console.error('Email worker error:', err.message));
   }, 10000);
 
-  // Check scheduled campaigns every 60 seconds
-  schedulerInterval = setInterval(checkScheduledCampaigns, 60000);
+  // Check scheduled campaigns and due A/B tests every 60 seconds
+  schedulerInterval = setInterval(() => {
+    checkScheduledCampaigns();
+    checkAbTests();
+  }, 60000);
+
+  // Drain the bounce mailbox (if one is configured) every 5 minutes
+  bounceInterval = setInterval(() => {
+    bounces.pollMailbox().catch(err => console.error('Bounce processing error:', err.message));
+  }, 5 * 60 * 1000);
 
   // Initial check after 5 seconds
   setTimeout(() => {
@@ -303,7 +509,8 @@ function startWorker() {
 function stopWorker() {
   if (workerInterval) clearInterval(workerInterval);
   if (schedulerInterval) clearInterval(schedulerInterval);
+  if (bounceInterval) clearInterval(bounceInterval);
   console.log('Email worker stopped');
 }
 
-module.exports = { startWorker, stopWorker, enqueueCampaign };
+module.exports = { startWorker, stopWorker, enqueueCampaign, enqueueLeadEmail, sendAbWinner };
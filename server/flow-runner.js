@@ -0,0 +1,497 @@
+const db = require('./database');
+const { enqueueLeadEmail } = require('./email-worker');
+const { queueSms, isPhoneOptedOut } = require('./sms-worker');
+const { resolveVariables, getSegmentLeadQuery } = require('./routes/email-marketing');
+const { getConfiguredTimezone, getTodayInTz, toSqliteUtc } = require('./lib/timezone');
+const subscriptions = require('./lib/subscriptions');
+
+let runnerInterval = null;
+let triggerInterval = null;
+
+// Max steps a single run may execute in one tick (guards against condition loops)
+const MAX_STEPS_PER_TICK = 25;
+
+// Lead columns update_lead steps are allowed to write
+const UPDATABLE_LEAD_FIELDS = ['stage', 'transfer_status', 'five9_dispo', 'assigned_to'];
+
+function sqlNow(offsetMs = 0) {
+  return toSqliteUtc(Date.now() + offsetMs);
+}
+
+function parseConfig(json) {
+  if (json && typeof json === 'object') return json;
+  try { return JSON.parse(json || '{}'); } catch (e) { return {}; }
+}
+
+function getLead(leadId) {
+  return db.prepare(`
+    SELECT l.*, lp.name as landing_page_name, lp.platform
+    FROM leads l
+    LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+    WHERE l.id = ?
+  `).get(leadId);
+}
+
+function getSteps(flowId) {
+  return db.prepare('SELECT * FROM automation_flow_steps WHERE flow_id = ? ORDER BY step_order ASC, id ASC').all(flowId);
+}
+
+function logStep(runId, step, status, detail) {
+  db.prepare(`
+    INSERT INTO automation_flow_run_logs (run_id, step_id, action_type, status, detail)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(runId, step ? step.id : null, step ? step.action_type : null, status, detail || null);
+}
+
+// Does the lead match a segment-style filter_criteria object?
+function leadMatchesCriteria(leadId, criteria) {
+  if (!criteria || !Array.isArray(criteria.filters) || criteria.filters.length === 0) return true;
+  const { countSql, params } = getSegmentLeadQuery(criteria);
+  const row = db.prepare(countSql + ' AND l.id = ?').get(...params, leadId);
+  return !!(row && row.total > 0);
+}
+
+// ============ RUN LIFECYCLE ============
+
+/**
+ * Start a run of a flow for one lead. Skips if the flow has no steps or the
+ * lead already has an active (running/waiting) run of the same flow.
+ * Returns the new run id, or null if nothing was started.
+ */
+function startRun(flowId, leadId) {
+  const active = db.prepare(`
+    SELECT id FROM automation_flow_runs
+    WHERE flow_id = ? AND lead_id = ? AND status IN ('running', 'waiting')
+    LIMIT 1
+  `).get(flowId, leadId);
+  if (active) return null;
+
+  const firstStep = getSteps(flowId)[0];
+  if (!firstStep) return null;
+
+  const result = db.prepare(`
+    INSERT INTO automation_flow_runs (flow_id, lead_id, current_step_id, status, next_action_at)
+    VALUES (?, ?, ?, 'running', ?)
+  `).run(flowId, leadId, firstStep.id, sqlNow());
+  return result.lastInsertRowid;
+}
+
+function startRunsForLeads(flowId, leadIds) {
+  let started = 0;
+  const tx = db.transaction(() => {
+    for (const leadId of leadIds) {
+      if (startRun(flowId, leadId)) started++;
+    }
+  });
+  tx();
+  db.prepare('UPDATE automation_flows SET last_triggered_at = CURRENT_TIMESTAMP WHERE id = ?').run(flowId);
+  return started;
+}
+
+function getSegmentLeadIds(segmentId) {
+  const segment = db.prepare('SELECT filter_criteria FROM email_segments WHERE id = ?').get(segmentId);
+  if (!segment) return null;
+  const { sql, params } = getSegmentLeadQuery(segment.filter_criteria);
+  return db.prepare(sql).all(...params).map(l => l.id);
+}
+
+/**
+ * Manually trigger a flow for explicit lead ids or every lead in a segment.
+ * Returns { started, matched }.
+ */
+function triggerFlow(flowId, { lead_ids, segment_id } = {}) {
+  let leadIds = [];
+  if (Array.isArray(lead_ids) && lead_ids.length) {
+    leadIds = lead_ids.map(id => parseInt(id)).filter(Boolean);
+  } else if (segment_id) {
+    leadIds = getSegmentLeadIds(segment_id) || [];
+  }
+  const started = startRunsForLeads(flowId, leadIds);
+  return { started, matched: leadIds.length };
+}
+
+// Called from lib/lead-hooks.js whenever a lead row is inserted
+function handleLeadCreated(leadId) {
+  const flows = db.prepare(`SELECT * FROM automation_flows WHERE is_active = 1 AND trigger_type = 'event'`).all();
+  for (const flow of flows) {
+    try {
+      const cfg = parseConfig(flow.trigger_config);
+      if ((cfg.event || 'lead_created') !== 'lead_created') continue;
+      if (!leadMatchesCriteria(leadId, cfg.filter_criteria)) continue;
+      if (startRun(flow.id, leadId)) {
+        db.prepare('UPDATE automation_flows SET last_triggered_at = CURRENT_TIMESTAMP WHERE id = ?').run(flow.id);
+        console.log(`Flow "${flow.name}" (#${flow.id}) started for lead #${leadId}`);
+      }
+    } catch (err) {
+      console.error(`Flow #${flow.id} lead_created trigger error:`, err.message);
+    }
+  }
+}
+
+// ============ STEP EXECUTION ============
+
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return NaN;
+  return parseFloat(String(v).replace(/[^0-9.\-]/g, ''));
+}
+
+function evaluateRule(rule, lead, run) {
+  const { field, operator, value } = rule;
+
+  // Derived fields
+  if (field === 'has_event') {
+    const row = db.prepare('SELECT 1 FROM conversion_events WHERE lead_id = ? AND conversion_action_name = ? LIMIT 1').get(lead.id, value);
+    return operator === 'is_false' ? !row : !!row;
+  }
+  if (field === 'email_opened' || field === 'email_clicked') {
+    const col = field === 'email_opened' ? 'opened_at' : 'clicked_at';
+    const row = db.prepare(`SELECT 1 FROM email_queue WHERE flow_run_id = ? AND ${col} IS NOT NULL LIMIT 1`).get(run.id);
+    return operator === 'is_false' ? !row : !!row;
+  }
+
+  const actual = lead[field];
+  const str = actual === null || actual === undefined ? '' : String(actual);
+  switch (operator) {
+    case 'equals': return str.toLowerCase() === String(value ?? '').toLowerCase();
+    case 'not_equals': return str.toLowerCase() !== String(value ?? '').toLowerCase();
+    case 'contains': return str.toLowerCase().includes(String(value ?? '').toLowerCase());
+    case 'in': return Array.isArray(value) && value.map(v => String(v).toLowerCase()).includes(str.toLowerCase());
+    case 'not_in': return Array.isArray(value) && !value.map(v => String(v).toLowerCase()).includes(str.toLowerCase());
+    case 'greater_than': return toNumber(actual) > toNumber(value);
+    case 'less_than': return toNumber(actual) < toNumber(value);
+    case 'is_empty': return str.trim() === '';
+    case 'is_not_empty': return str.trim() !== '';
+    default: return false;
+  }
+}
+
+function evaluateCondition(cfg, lead, run) {
+  const rules = Array.isArray(cfg.rules) ? cfg.rules : (cfg.field ? [cfg] : []);
+  if (rules.length === 0) return true;
+  const results = rules.map(r => evaluateRule(r, lead, run));
+  return (cfg.logic || 'AND').toUpperCase() === 'OR' ? results.some(Boolean) : results.every(Boolean);
+}
+
+function getAutomationUser(flow) {
+  if (flow.created_by_id) {
+    const u = db.prepare('SELECT id FROM users WHERE id = ?').get(flow.created_by_id);
+    if (u) return u.id;
+  }
+  const admin = db.prepare("SELECT id FROM users WHERE role = 'admin' ORDER BY id ASC LIMIT 1").get();
+  return admin ? admin.id : null;
+}
+
+/**
+ * Execute a single step. Returns one of:
+ *   { next: 'advance' }            — continue to the following step
+ *   { next: 'wait', until }        — park the run until the given time
+ *   { next: 'goto', stepOrder }    — jump to the step with this step_order
+ *   { next: 'stop' }               — complete the run
+ * and records the outcome in automation_flow_run_logs.
+ */
+function executeStep(step, run, flow, lead) {
+  const cfg = parseConfig(step.action_config);
+
+  switch (step.action_type) {
+    case 'send_email': {
+      if (!lead.email || lead.email_unsubscribed || lead.email_suppressed) {
+        const reason = !lead.email ? 'Lead has no email'
+          : lead.email_unsubscribed ? 'Lead is unsubscribed'
+          : `Email suppressed (${lead.email_suppressed_reason || 'bounced'})`;
+        logStep(run.id, step, 'skipped', reason);
+        return { next: 'advance' };
+      }
+      // Optional topic_id: leads who opted out of the topic are skipped
+      const optedOut = cfg.topic_id && subscriptions.optOutReason(lead.id, cfg.topic_id);
+      if (optedOut) {
+        logStep(run.id, step, 'skipped', optedOut);
+        return { next: 'advance' };
+      }
+      const template = db.prepare('SELECT * FROM email_templates WHERE id = ?').get(cfg.template_id);
+      if (!template) {
+        logStep(run.id, step, 'failed', `Template ${cfg.template_id} not found`);
+        return { next: 'advance' };
+      }
+      const queueId = enqueueLeadEmail(lead, {
+        subject: cfg.subject_override || template.subject,
+        html_body: template.html_body,
+        text_body: template.text_body,
+        flowRunId: run.id,
+        topicId: cfg.topic_id || null
+      });
+      logStep(run.id, step, 'success', `Queued email #${queueId} (template "${template.name}")`);
+      return { next: 'advance' };
+    }
+
+    case 'send_sms': {
+      if (!lead.phone || isPhoneOptedOut(lead.phone)) {
+        logStep(run.id, step, 'skipped', lead.phone ? 'Lead opted out of SMS' : 'Lead has no phone');
+        return { next: 'advance' };
+      }
+      if (!cfg.body) {
+        logStep(run.id, step, 'failed', 'SMS body is empty');
+        return { next: 'advance' };
+      }
+      const body = resolveVariables(cfg.body, lead);
+      const smsId = queueSms({ leadId: lead.id, to: lead.phone, body, flowRunId: run.id });
+      logStep(run.id, step, 'success', `Queued SMS #${smsId}`);
+      return { next: 'advance' };
+    }
+
+    case 'wait': {
+      const ms = ((parseFloat(cfg.days) || 0) * 86400 + (parseFloat(cfg.hours) || 0) * 3600 + (parseFloat(cfg.minutes) || 0) * 60) * 1000;
+      const until = sqlNow(ms);
+      logStep(run.id, step, 'success', `Waiting until ${until} UTC`);
+      return { next: 'wait', until };
+    }
+
+    case 'condition': {
+      const passed = evaluateCondition(cfg, lead, run);
+      const branch = passed ? (cfg.on_true ?? 'continue') : (cfg.on_false ?? 'stop');
+      logStep(run.id, step, 'success', `Condition ${passed ? 'true' : 'false'} → ${branch}`);
+      if (branch === 'stop') return { next: 'stop' };
+      if (branch === 'continue') return { next: 'advance' };
+      return { next: 'goto', stepOrder: parseInt(branch) };
+    }
+
+    case 'update_lead': {
+      const fields = [];
+      const params = [];
+      const updated = [];
+      for (const [key, val] of Object.entries(cfg.fields || {})) {
+        if (!UPDATABLE_LEAD_FIELDS.includes(key)) continue;
+        const resolved = typeof val === 'string' ? resolveVariables(val, lead) : val;
+        // Stage changes are pipeline moves so they land in the stage history
+        if (key === 'stage') {
+          const moved = require('./lib/pipeline').moveLeadToStageByName(lead.id, resolved, {
+            source: 'flow', user: { id: null, name: `Automation: ${flow.name}` }
+          });
+          if (!moved) {
+            logStep(run.id, step, 'failed', `Unknown pipeline stage "${resolved}"`);
+          } else {
+            updated.push('stage');
+          }
+          continue;
+        }
+        fields.push(`${key} = ?`);
+        params.push(resolved);
+        updated.push(key);
+      }
+      if (!updated.length) {
+        if (!('stage' in (cfg.fields || {}))) logStep(run.id, step, 'skipped', 'No updatable fields configured');
+        return { next: 'advance' };
+      }
+      if (fields.length) db.prepare(`UPDATE leads SET ${fields.join(', ')} WHERE id = ?`).run(...params, lead.id);
+      logStep(run.id, step, 'success', `Updated ${updated.join(', ')}`);
+      return { next: 'advance' };
+    }
+
+    case 'add_note': {
+      const userId = getAutomationUser(flow);
+      if (!userId || !cfg.content) {
+        logStep(run.id, step, 'failed', !userId ? 'No user available to author the note' : 'Note content is empty');
+        return { next: 'advance' };
+      }
+      db.prepare(`
+        INSERT INTO lead_notes (lead_id, user_id, user_name, content)
+        VALUES (?, ?, ?, ?)
+      `).run(lead.id, userId, `Automation: ${flow.name}`, resolveVariables(cfg.content, lead));
+      logStep(run.id, step, 'success', 'Note added');
+      return { next: 'advance' };
+    }
+
+    case 'assign': {
+      const user = cfg.user_id ? db.prepare('SELECT id, name FROM users WHERE id = ?').get(cfg.user_id) : null;
+      if (!user) {
+        logStep(run.id, step, 'failed', `User ${cfg.user_id} not found`);
+        return { next: 'advance' };
+      }
+      require('./lead-assignment').assignLeadToUser(lead.id, user.id, { reason: 'flow', actor: { name: `Automation: ${flow.name}` } });
+      logStep(run.id, step, 'success', `Assigned to ${user.name}`);
+      return { next: 'advance' };
+    }
+
+    default:
+      logStep(run.id, step, 'skipped', `Unknown action type ${step.action_type}`);
+      return { next: 'advance' };
+  }
+}
+
+function completeRun(runId, status) {
+  db.prepare(`
+    UPDATE automation_flow_runs SET status = ?, current_step_id = NULL, next_action_at = NULL, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, runId);
+}
+
+// Advance one run as far as it can go this tick
+function processRun(run) {
+  const flow = db.prepare('SELECT * FROM automation_flows WHERE id = ?').get(run.flow_id);
+  if (!flow) return completeRun(run.id, 'cancelled');
+  if (!flow.is_active) return; // paused flows hold their runs until re-activated
+
+  const lead = getLead(run.lead_id);
+  if (!lead) {
+    logStep(run.id, null, 'failed', 'Lead no longer exists');
+    return completeRun(run.id, 'failed');
+  }
+
+  const steps = getSteps(flow.id);
+  let index = steps.findIndex(s => s.id === run.current_step_id);
+  if (index === -1) {
+    logStep(run.id, null, 'failed', `Step ${run.current_step_id} no longer exists`);
+    return completeRun(run.id, 'failed');
+  }
+
+  for (let executed = 0; executed < MAX_STEPS_PER_TICK; executed++) {
+    const step = steps[index];
+    let outcome;
+    try {
+      outcome = executeStep(step, run, flow, lead);
+    } catch (err) {
+      console.error(`Flow run #${run.id} step #${step.id} error:`, err.message);
+      logStep(run.id, step, 'failed', err.message);
+      return completeRun(run.id, 'failed');
+    }
+
+    if (outcome.next === 'stop') return completeRun(run.id, 'completed');
+
+    if (outcome.next === 'goto') {
+      index = steps.findIndex(s => s.step_order === outcome.stepOrder);
+      if (index === -1) {
+        logStep(run.id, step, 'failed', `No step with order ${outcome.stepOrder}`);
+        return completeRun(run.id, 'failed');
+      }
+    } else {
+      index++;
+    }
+
+    if (index >= steps.length) return completeRun(run.id, 'completed');
+
+    if (outcome.next === 'wait') {
+      db.prepare(`UPDATE automation_flow_runs SET status = 'waiting', current_step_id = ?, next_action_at = ? WHERE id = ?`)
+        .run(steps[index].id, outcome.until, run.id);
+      return;
+    }
+
+    db.prepare(`UPDATE automation_flow_runs SET status = 'running', current_step_id = ? WHERE id = ?`).run(steps[index].id, run.id);
+  }
+
+  // Step budget exhausted — pick up where we left off next tick
+  db.prepare(`UPDATE automation_flow_runs SET next_action_at = ? WHERE id = ?`).run(sqlNow(), run.id);
+}
+
+// Process all runs that are due
+function processDueRuns() {
+  const runs = db.prepare(`
+    SELECT r.* FROM automation_flow_runs r
+    JOIN automation_flows f ON r.flow_id = f.id
+    WHERE r.status IN ('running', 'waiting') AND f.is_active = 1
+      AND (r.next_action_at IS NULL OR r.next_action_at <= ?)
+    ORDER BY r.next_action_at ASC, r.id ASC
+    LIMIT 100
+  `).all(sqlNow());
+
+  for (const run of runs) {
+    try {
+      processRun(run);
+    } catch (err) {
+      console.error(`Flow run #${run.id} error:`, err.message);
+    }
+  }
+}
+
+// ============ SEGMENT + SCHEDULED TRIGGERS ============
+
+// Start runs for leads that newly entered a segment_entry flow's segment.
+// The first sync only snapshots membership unless include_existing is set.
+function syncSegmentEntryFlow(flow) {
+  const cfg = parseConfig(flow.trigger_config);
+  const current = getSegmentLeadIds(cfg.segment_id);
+  if (!current) return;
+
+  const known = new Set(db.prepare('SELECT lead_id FROM automation_flow_segment_members WHERE flow_id = ?').all(flow.id).map(r => r.lead_id));
+  const currentSet = new Set(current);
+  const entered = current.filter(id => !known.has(id));
+  const left = [...known].filter(id => !currentSet.has(id));
+  const firstSync = !flow.last_triggered_at;
+
+  const tx = db.transaction(() => {
+    const insert = db.prepare('INSERT OR IGNORE INTO automation_flow_segment_members (flow_id, lead_id) VALUES (?, ?)');
+    const remove = db.prepare('DELETE FROM automation_flow_segment_members WHERE flow_id = ? AND lead_id = ?');
+    for (const id of entered) insert.run(flow.id, id);
+    for (const id of left) remove.run(flow.id, id);
+  });
+  tx();
+
+  let started = 0;
+  if (!firstSync || cfg.include_existing) {
+    for (const leadId of entered) {
+      if (!cfg.allow_reentry) {
+        const prior = db.prepare('SELECT 1 FROM automation_flow_runs WHERE flow_id = ? AND lead_id = ? LIMIT 1').get(flow.id, leadId);
+        if (prior) continue;
+      }
+      if (startRun(flow.id, leadId)) started++;
+    }
+  }
+  db.prepare('UPDATE automation_flows SET last_triggered_at = CURRENT_TIMESTAMP WHERE id = ?').run(flow.id);
+  if (started) console.log(`Flow "${flow.name}" (#${flow.id}): ${started} lead(s) entered segment`);
+}
+
+// Scheduled flows fire once per local day at trigger_config.time (HH:MM in the
+// configured timezone), optionally limited to trigger_config.days (0=Sun..6=Sat)
+function checkScheduledFlow(flow, tz) {
+  const cfg = parseConfig(flow.trigger_config);
+  if (!cfg.time || !cfg.segment_id) return;
+
+  const now = new Date();
+  const localTime = now.toLocaleTimeString('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit', hour12: false });
+  const localDay = new Date(now.toLocaleString('en-US', { timeZone: tz })).getDay();
+  const today = getTodayInTz(tz);
+
+  if (Array.isArray(cfg.days) && cfg.days.length && !cfg.days.map(Number).includes(localDay)) return;
+  if (localTime < cfg.time) return;
+  if (flow.last_triggered_at) {
+    const lastLocal = new Date(flow.last_triggered_at.replace(' ', 'T') + 'Z').toLocaleDateString('en-CA', { timeZone: tz });
+    if (lastLocal === today) return;
+  }
+
+  const leadIds = getSegmentLeadIds(cfg.segment_id) || [];
+  const started = startRunsForLeads(flow.id, leadIds);
+  console.log(`Scheduled flow "${flow.name}" (#${flow.id}) fired: ${started}/${leadIds.length} run(s) started`);
+}
+
+function checkFlowTriggers() {
+  const tz = getConfiguredTimezone();
+  const flows = db.prepare(`SELECT * FROM automation_flows WHERE is_active = 1 AND trigger_type IN ('segment_entry', 'scheduled')`).all();
+  for (const flow of flows) {
+    try {
+      if (flow.trigger_type === 'segment_entry') syncSegmentEntryFlow(flow);
+      else checkScheduledFlow(flow, tz);
+    } catch (err) {
+      console.error(`Flow #${flow.id} trigger check error:`, err.message);
+    }
+  }
+}
+
+function startFlowRunner() {
+  console.log('Flow runner started');
+
+  // Advance due runs every 15 seconds
+  runnerInterval = setInterval(() => {
+    try { processDueRuns(); } catch (err) { console.error('Flow runner error:', err.message); }
+  }, 15000);
+
+  // Segment entry + scheduled triggers every 60 seconds
+  triggerInterval = setInterval(() => {
+    try { checkFlowTriggers(); } catch (err) { console.error('Flow trigger error:', err.message); }
+  }, 60000);
+}
+
+function stopFlowRunner() {
+  if (runnerInterval) clearInterval(runnerInterval);
+  if (triggerInterval) clearInterval(triggerInterval);
+  console.log('Flow runner stopped');
+}
+
+module.exports = { startFlowRunner, stopFlowRunner, handleLeadCreated, triggerFlow, startRun, processDueRuns };
@@ -6,6 +6,9 @@ const path = require('path');
 const fs = require('fs');
 
 const db = require('./database');
+const experiments = require('./lib/experiments');
+const revisions = require('./lib/revisions');
+const { pruneVisitorEvents } = require('./lib/visitor-events');
 const authRoutes = require('./routes/auth');
 const leadsRoutes = require('./routes/leads');
 const pagesRoutes = require('./routes/pages');
@@ -23,7 +26,19 @@ const aiContentRoutes = require('./routes/ai-content');
 const crmRoutes = require('./routes/crm');
 const emailMarketingRoutes = require('./routes/email-marketing');
 const emailTrackingRoutes = require('./routes/email-tracking');
+const smsRoutes = require('./routes/sms');
+const outboxRoutes = require('./routes/outbox');
+const leadScoringRoutes = require('./routes/lead-scoring');
+const leadDuplicatesRoutes = require('./routes/lead-duplicates');
+const leadAssignmentRoutes = require('./routes/lead-assignment');
 const articlesRoutes = require('./routes/articles');
+const revisionsRoutes = require('./routes/revisions');
+const fraudRoutes = require('./routes/fraud');
+const offlineConversionsRoutes = require('./routes/offline-conversions');
+const adSpendRoutes = require('./routes/ad-spend');
+const attributionRoutes = require('./routes/attribution');
+const scheduledReportsRoutes = require('./routes/scheduled-reports');
+const eventsRoutes = require('./routes/events');
 const redtrackRoutes = require('./routes/redtrack');
 const googleSheetsRoutes = require('./routes/google-sheets');
 const tiktokLeadsRoutes = require('./routes/tiktok-leads');
@@ -100,7 +115,8 @@ app.get('/robots.txt', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'robots.txt'));
 });
 
-// A/B template test: serve variant-b.html if visitor is in variant B
+// A/B tests: a running experiment serves the visitor's arm; otherwise the
+// legacy template test serves variant-b.html if the visitor is in variant B
 const isProduction = !!process.env.RAILWAY_VOLUME_MOUNT_PATH;
 app.use('/lp', (req, res, next) => {
   // Check if requesting a page directory (ends with / or no extension)
@@ -109,6 +125,35 @@ app.use('/lp', (req, res, next) => {
     if (slug) {
       try {
         const page = db.prepare('SELECT id, ab_config FROM landing_pages WHERE slug = ?').get(slug);
+        const experiment = page ? experiments.getRunningExperiment(page.id) : null;
+        if (experiment) {
+          res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+          res.setHeader('CDN-Cache-Control', 'no-store');
+          res.setHeader('Vary', 'Cookie');
+
+          // Keep the visitor in their arm for the life of the experiment
+          const cookieName = `abx_${experiment.id}`;
+          const match = (req.headers.cookie || '').match(new RegExp(cookieName + '=([^;]+)'));
+          let arm = match ? experiment.arms.find(a => a.key === decodeURIComponent(match[1])) : null;
+          if (!arm) {
+            arm = experiments.pickArm(experiment.arms);
+            res.cookie(cookieName, arm.key, { maxAge: 30 * 24 * 60 * 60 * 1000, path: '/' });
+          }
+
+          let filePath = path.join(__dirname, '..', 'public', slug, 'index.html');
+          if (arm.page_id) {
+            const armPage = db.prepare('SELECT slug FROM landing_pages WHERE id = ?').get(arm.page_id);
+            const armPath = armPage && path.join(__dirname, '..', 'public', armPage.slug, 'index.html');
+            if (armPath && fs.existsSync(armPath)) filePath = armPath;
+            else console.log(`[A/B] WARNING: page for arm ${arm.key} of experiment ${experiment.id} not found, serving control`);
+          }
+          if (fs.existsSync(filePath)) {
+            const label = experiments.variantLabel(experiment, arm.key);
+            let html = fs.readFileSync(filePath, 'utf8');
+            html = html.replace('</head>', `<script>window._abVariant="${label}";</script>\n${experiments.overrideScript(arm.overrides)}\n</head>`);
+            return res.type('html').send(html);
+          }
+        }
         if (page) {
           const abCfg = JSON.parse(page.ab_config || '{}');
           if (abCfg.enabled && (abCfg.variantB_template || abCfg.variantB_page)) {
@@ -211,6 +256,32 @@ app.use('/a', (req, res, next) => {
   lastModified: true
 }));
 
+// Draft previews: render a revision on the fly without touching the live file.
+// The token is the only key, so the page is kept out of caches and indexes and
+// its tracking / lead submits are stubbed so previews don't pollute stats.
+app.get('/preview/:token', (req, res) => {
+  try {
+    const revision = revisions.getRevisionByToken(req.params.token);
+    if (!revision || revision.discarded_at) return res.status(404).send('Preview not found');
+    let html = revisions.renderRevision(revision);
+    if (!html) return res.status(404).send('Preview not found');
+
+    const status = revision.published_at ? 'published' : revision.publish_at ? `scheduled for ${revision.publish_at} UTC` : 'draft';
+    const guard = `<meta name="robots" content="noindex, nofollow">
+<script>(function(){var f=window.fetch;window.fetch=function(u,o){if(String(u).indexOf('/api/')!==-1)return Promise.resolve(new Response('{"preview":true}',{status:200,headers:{'Content-Type':'application/json'}}));return f.apply(this,arguments);};if(navigator.sendBeacon)navigator.sendBeacon=function(){return true;};})();</script>`;
+    const banner = `<div style="position:fixed;bottom:12px;left:12px;z-index:2147483647;background:#111827;color:#fff;font:13px/1.4 sans-serif;padding:8px 12px;border-radius:6px;opacity:.9;pointer-events:none">Preview · revision #${revision.revision_number} (${status}) · tracking and submits disabled</div>`;
+    html = html.replace(/<head([^>]*)>/i, `<head$1>\n${guard}`).replace(/<\/body>/i, `${banner}\n</body>`);
+
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('CDN-Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+    res.type('html').send(html);
+  } catch (err) {
+    console.error('Preview render failed:', err.message);
+    res.status(500).send('Preview failed');
+  }
+});
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/leads', leadsRoutes);
@@ -228,7 +299,19 @@ app.use('/api/notifications', notificationsRoutes);
 app.use('/api/ai', aiContentRoutes);
 app.use('/api/crm', crmRoutes);
 app.use('/api/email', emailMarketingRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/outbox', outboxRoutes);
+app.use('/api/lead-scoring', leadScoringRoutes);
+app.use('/api/lead-duplicates', leadDuplicatesRoutes);
+app.use('/api/lead-assignment', leadAssignmentRoutes);
 app.use('/api/articles', articlesRoutes);
+app.use('/api/revisions', revisionsRoutes);
+app.use('/api/fraud', fraudRoutes);
+app.use('/api/offline-conversions', offlineConversionsRoutes);
+app.use('/api/ad-spend', adSpendRoutes);
+app.use('/api/attribution', attributionRoutes);
+app.use('/api/scheduled-reports', scheduledReportsRoutes);
+app.use('/api/events', eventsRoutes);
 app.use('/api/redtrack', redtrackRoutes);
 app.use('/api/google-sheets', googleSheetsRoutes);
 app.use('/api/tiktok-leads', tiktokLeadsRoutes);
@@ -300,10 +383,14 @@ app.post('/api/db-cleanup', (req, res) => {
     const results = {};
     // Delete visitors older than 60 days that didn't convert
     results.old_visitors = db.prepare(`DELETE FROM visitors WHERE converted = 0 AND first_visit < datetime('now', '-60 days')`).changes;
+    // Raw engagement events past retention (visitor_sessions keeps the rollup)
+    results.old_visitor_events = pruneVisitorEvents();
     // Delete old activity logs (>90 days)
     try { results.old_activity = db.prepare(`DELETE FROM activity_log WHERE created_at < datetime('now', '-90 days')`).changes; } catch(e) {}
     // Delete old ad generations that failed
     try { results.failed_ads = db.prepare(`DELETE FROM ad_generations WHERE status = 'failed' AND created_at < datetime('now', '-30 days')`).changes; } catch(e) {}
+    // Ended admin sessions and old login attempts (>30 days)
+    try { Object.assign(results, require('./lib/sessions').pruneSessions()); } catch(e) {}
     // Vacuum to reclaim space
     db.pragma('wal_checkpoint(TRUNCATE)');
     db.exec('VACUUM');
@@ -358,6 +445,10 @@ const { evaluateAlertRules } = require('./routes/notifications');
 setInterval(evaluateAlertRules, 15 * 60 * 1000);
 setTimeout(evaluateAlertRules, 30 * 1000); // Run once 30s after startup
 
+// Background Facebook lead sync - every 5 minutes (started here, not on require)
+const { startBackgroundSync: startFacebookLeadSync } = require('./routes/facebook');
+startFacebookLeadSync();
+
 // Background Google Ads cost fetching - every 15 minutes
 const { fetchMissingCosts } = require('./routes/google-ads');
 setInterval(fetchMissingCosts, 15 * 60 * 1000);
@@ -368,6 +459,10 @@ const { fetchTikTokMissingCosts } = require('./routes/tiktok-leads');
 setInterval(fetchTikTokMissingCosts, 15 * 60 * 1000);
 setTimeout(fetchTikTokMissingCosts, 90 * 1000); // 90s after startup (staggered from Google's 60s)
 
+// Background TikTok lead sync - every 5 minutes (started here, not on require)
+const { startBackgroundSync: startTikTokLeadSync } = require('./routes/tiktok-leads');
+startTikTokLeadSync();
+
 // Background Reddit cost fetching - every 15 minutes
 const { fetchRedditMissingCosts } = require('./routes/reddit-ads');
 setInterval(fetchRedditMissingCosts, 15 * 60 * 1000);
@@ -382,6 +477,11 @@ setTimeout(() => {
   }, 5 * 60 * 1000);
 }, 30 * 1000);
 
+// Prune raw engagement events past retention - daily
+setInterval(() => {
+  try { pruneVisitorEvents(); } catch (err) { console.error('Visitor event prune error:', err.message); }
+}, 24 * 60 * 60 * 1000);
+
 // Background Auction Insights sync - every 6 hours
 const { syncAuctionInsights } = require('./routes/analytics');
 setInterval(syncAuctionInsights, 6 * 60 * 60 * 1000);
@@ -391,6 +491,43 @@ setTimeout(syncAuctionInsights, 150 * 1000); // First run 150s after startup (st
 const { startWorker: startEmailWorker } = require('./email-worker');
 startEmailWorker();
 
+// Start automation flow runner (due runs + segment/scheduled triggers)
+const { startFlowRunner } = require('./flow-runner');
+startFlowRunner();
+
+// Start SMS worker (outbound queue; status + inbound arrive via /api/sms/webhook)
+const { startSmsWorker } = require('./sms-worker');
+startSmsWorker();
+
+// Start outbox worker (retries webhook / ad-platform / Salesforce deliveries with backoff)
+const { startOutboxWorker } = require('./outbox');
+startOutboxWorker();
+
+// Start lead assignment worker (away-status expiry + stale uncontacted lead reassignment)
+const { startAssignmentWorker } = require('./lead-assignment');
+startAssignmentWorker();
+
+// Start revision scheduler (publishes page/article drafts at their publish_at)
+revisions.startRevisionScheduler();
+
+// Start offline conversion import (uploads pipeline milestones to Google Ads hourly when enabled)
+const { startOfflineConversionScheduler } = require('./lib/offline-conversions');
+startOfflineConversionScheduler();
+
+// Start ad-spend warehouse sync (daily per-platform spend into ad_spend_daily, every 6 hours)
+const { startAdSpendScheduler } = require('./lib/ad-spend');
+startAdSpendScheduler();
+
+// Start scheduled report digests (emails CSV/PDF reports on each report's cron schedule)
+const { startReportScheduler } = require('./lib/scheduled-reports');
+startReportScheduler();
+
+// Seed the attribution touchpoint log from historical visitors, calls, email clicks and leads (runs once)
+const { backfillTouchpoints } = require('./lib/attribution');
+setTimeout(() => {
+  try { backfillTouchpoints(); } catch (err) { console.error('[Attribution] Backfill failed:', err.message); }
+}, 60 * 1000);
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`Admin panel: http://localhost:${PORT}/admin`);
@@ -0,0 +1,295 @@
+const db = require('./database');
+const { getConfiguredTimezone, getTodayInTz, localDateToUtcRange } = require('./lib/timezone');
+
+// Lead router. Every new lead is matched against assignment_rules (first
+// active match wins, by sort_order) and handed to one of the rule's users, or
+// to the whole rotation when no rule matches. Users in the rotation live in
+// assignment_members with a weight, optional daily cap and away status. A
+// background sweep hands leads nobody has touched after N minutes to the next
+// rep. Every assignment lands in lead_assignments and activity_logs.
+
+const STRATEGIES = ['round_robin', 'weighted'];
+const MEMBER_STATUSES = ['available', 'away', 'vacation'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Only router-made assignments are swept; a manual or flow assignment is a deliberate choice
+const SWEEPABLE_REASONS = ['auto', 'stale'];
+
+let workerInterval = null;
+
+function getSetting(key, defaultValue) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : defaultValue;
+}
+
+function getAssignmentSettings() {
+  return {
+    enabled: getSetting('assignment_enabled', '1') === '1',
+    default_strategy: getSetting('assignment_default_strategy', 'round_robin'),
+    stale_minutes: parseInt(getSetting('assignment_stale_minutes', '0')) || 0,
+    max_reassignments: parseInt(getSetting('assignment_max_reassignments', '2')) || 0,
+    business_hours: {
+      start: getSetting('assignment_business_start', '09:00'),
+      end: getSetting('assignment_business_end', '18:00'),
+      days: getSetting('assignment_business_days', '1,2,3,4,5').split(',').filter(Boolean).map(Number)
+    }
+  };
+}
+
+// Business hours are evaluated in the configured account timezone
+function isBusinessHours(date = new Date(), hours = getAssignmentSettings().business_hours) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: getConfiguredTimezone(), weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+  if (!hours.days.includes(WEEKDAYS.indexOf(parts.weekday))) return false;
+  const now = `${parts.hour}:${parts.minute}`;
+  return now >= hours.start && now < hours.end;
+}
+
+function parseJson(raw, fallback) {
+  try { return raw ? JSON.parse(raw) : fallback; } catch (e) { return fallback; }
+}
+
+function toNumber(v) {
+  const match = String(v ?? '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+// What the rules can route on: platform, debt band, state and time of day
+function loadRoutingContext(leadId) {
+  const lead = db.prepare(`
+    SELECT l.id, l.debt_amount, l.assigned_to, COALESCE(lp.platform, a.platform) as platform, v.region
+    FROM leads l
+    LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+    LEFT JOIN articles a ON l.article_id = a.id
+    LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
+    WHERE l.id = ?
+  `).get(leadId);
+  if (!lead) return null;
+  return { ...lead, debt: toNumber(lead.debt_amount), business_hours: isBusinessHours() };
+}
+
+/**
+ * Rule conditions (all optional, all must match):
+ *   platforms: ['google', 'meta']   states: ['FL', 'Florida']
+ *   debt_min / debt_max: numbers    business_hours: 'during' | 'outside'
+ */
+function ruleMatches(conditions, ctx) {
+  const lower = (list) => (list || []).map(v => String(v).trim().toLowerCase()).filter(Boolean);
+
+  const platforms = lower(conditions.platforms);
+  if (platforms.length && !platforms.includes(String(ctx.platform || '').toLowerCase())) return false;
+
+  const states = lower(conditions.states);
+  if (states.length && !states.includes(String(ctx.region || '').toLowerCase())) return false;
+
+  if (conditions.debt_min !== undefined && conditions.debt_min !== null && conditions.debt_min !== '') {
+    if (isNaN(ctx.debt) || ctx.debt < Number(conditions.debt_min)) return false;
+  }
+  if (conditions.debt_max !== undefined && conditions.debt_max !== null && conditions.debt_max !== '') {
+    if (isNaN(ctx.debt) || ctx.debt > Number(conditions.debt_max)) return false;
+  }
+
+  if (conditions.business_hours === 'during' && !ctx.business_hours) return false;
+  if (conditions.business_hours === 'outside' && ctx.business_hours) return false;
+  return true;
+}
+
+function todayStartUtc() {
+  const tz = getConfiguredTimezone();
+  return localDateToUtcRange(getTodayInTz(tz), tz).start;
+}
+
+/**
+ * Rotation members who can take a lead right now: active, not away (or their
+ * away window has ended) and under today's cap. Pass userIds to limit the
+ * pool to a rule's users. Each row carries assigned_today and last_assigned_at.
+ */
+function getEligibleMembers(userIds = null, excludeUserId = null) {
+  const members = db.prepare(`
+    SELECT m.*, u.name, u.email,
+      (SELECT COUNT(*) FROM lead_assignments la
+        WHERE la.user_id = m.user_id AND la.reason IN ('auto', 'stale') AND la.created_at >= ?) as assigned_today,
+      (SELECT MAX(la.created_at) FROM lead_assignments la WHERE la.user_id = m.user_id) as last_assigned_at
+    FROM assignment_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.is_active = 1
+      AND (m.status = 'available' OR (m.away_until IS NOT NULL AND m.away_until <= CURRENT_TIMESTAMP))
+  `).all(todayStartUtc());
+
+  return members.filter(m =>
+    (!userIds || userIds.includes(m.user_id)) &&
+    m.user_id !== excludeUserId &&
+    (!m.daily_cap || m.assigned_today < m.daily_cap)
+  );
+}
+
+// Round-robin: whoever has waited longest since their last lead.
+// Weighted: lowest share of today's leads relative to weight, then longest wait.
+function pickMember(members, strategy) {
+  const byWait = (a, b) => {
+    if (a.last_assigned_at === b.last_assigned_at) return a.user_id - b.user_id;
+    if (!a.last_assigned_at) return -1;
+    if (!b.last_assigned_at) return 1;
+    return a.last_assigned_at < b.last_assigned_at ? -1 : 1;
+  };
+  const sorted = [...members].sort(strategy === 'weighted'
+    ? (a, b) => (a.assigned_today / Math.max(a.weight, 1)) - (b.assigned_today / Math.max(b.weight, 1)) || byWait(a, b)
+    : byWait);
+  return sorted[0] || null;
+}
+
+/**
+ * Decide who should get a lead without assigning it. Returns
+ * { member, rule, strategy } or { member: null, detail } when nobody can take it.
+ */
+function routeLead(leadId, { excludeUserId = null } = {}) {
+  const ctx = loadRoutingContext(leadId);
+  if (!ctx) return { member: null, detail: 'Lead not found' };
+
+  const rules = db.prepare('SELECT * FROM assignment_rules WHERE is_active = 1 ORDER BY sort_order ASC, id ASC').all();
+  for (const rule of rules) {
+    if (!ruleMatches(parseJson(rule.conditions, {}), ctx)) continue;
+    const userIds = parseJson(rule.user_ids, []);
+    const member = pickMember(getEligibleMembers(userIds.length ? userIds : null, excludeUserId), rule.strategy);
+    // A matching rule with nobody free falls through to the next rule / default rotation
+    if (member) return { member, rule, strategy: rule.strategy };
+  }
+
+  const strategy = getAssignmentSettings().default_strategy;
+  const member = pickMember(getEligibleMembers(null, excludeUserId), strategy);
+  return member ? { member, rule: null, strategy } : { member: null, detail: 'No available users in the rotation' };
+}
+
+/**
+ * Assign a lead and record it. reason is 'auto', 'stale', 'manual' or 'flow';
+ * actor is the user making a manual change (router assignments log as the system).
+ */
+function assignLeadToUser(leadId, userId, { reason = 'manual', ruleId = null, detail = null, actor = null } = {}) {
+  const lead = db.prepare('SELECT id, first_name, last_name, assigned_to FROM leads WHERE id = ?').get(leadId);
+  if (!lead) throw new Error('Lead not found');
+  const user = userId ? db.prepare('SELECT id, name FROM users WHERE id = ?').get(userId) : null;
+  if (userId && !user) throw new Error('User not found');
+
+  if (user) {
+    db.prepare('UPDATE leads SET assigned_to = ?, assigned_at = CURRENT_TIMESTAMP, assignment_reason = ? WHERE id = ?').run(user.id, reason, leadId);
+  } else {
+    db.prepare('UPDATE leads SET assigned_to = NULL, assigned_at = NULL, assignment_reason = NULL WHERE id = ?').run(leadId);
+  }
+  db.prepare(`
+    INSERT INTO lead_assignments (lead_id, user_id, previous_user_id, rule_id, reason, detail) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(leadId, user ? user.id : null, lead.assigned_to || null, ruleId, reason, detail);
+
+  const leadName = [lead.first_name, lead.last_name].filter(Boolean).join(' ') || `#${leadId}`;
+  const summary = user ? `Assigned ${leadName} to ${user.name}` : `Unassigned ${leadName}`;
+  try {
+    require('./routes/settings').logActivity(
+      actor ? actor.id : null,
+      actor ? (actor.name || actor.email) : 'Lead Router',
+      user ? 'assigned' : 'unassigned', 'lead', leadId,
+      `${summary} (${reason}${detail ? ': ' + detail : ''})`,
+      actor ? actor.ip : null
+    );
+  } catch (e) {}
+  return user;
+}
+
+// Called for every new lead. Routing must never break ingestion.
+function autoAssignLead(leadId, source) {
+  if (!leadId) return null;
+  try {
+    if (!getAssignmentSettings().enabled) return null;
+    const lead = db.prepare('SELECT assigned_to FROM leads WHERE id = ?').get(leadId);
+    if (!lead || lead.assigned_to) return null;
+
+    const route = routeLead(leadId);
+    if (!route.member) {
+      console.log(`Lead router: lead #${leadId} from ${source || 'unknown'} left unassigned (${route.detail})`);
+      return null;
+    }
+    const detail = route.rule ? `rule "${route.rule.name}"` : `default ${route.strategy.replace('_', '-')}`;
+    return assignLeadToUser(leadId, route.member.user_id, { reason: 'auto', ruleId: route.rule ? route.rule.id : null, detail });
+  } catch (err) {
+    console.error(`Lead router error for lead #${leadId}:`, err.message);
+    return null;
+  }
+}
+
+// Anything a rep does after assignment counts as contact: a note, a call, a
+// manual SMS or a completed task
+const CONTACTED_SQL = `
+  EXISTS (SELECT 1 FROM lead_notes n WHERE n.lead_id = l.id AND n.created_at >= l.assigned_at)
+  OR EXISTS (SELECT 1 FROM calls c WHERE c.lead_id = l.id AND c.created_at >= l.assigned_at)
+  OR EXISTS (SELECT 1 FROM sms_messages s WHERE s.lead_id = l.id AND s.direction = 'outbound' AND s.sent_by_id IS NOT NULL AND s.created_at >= l.assigned_at)
+  OR EXISTS (SELECT 1 FROM lead_tasks t WHERE t.lead_id = l.id AND t.status = 'done' AND t.completed_at >= l.assigned_at)
+`;
+
+/**
+ * Hand uncontacted leads to the next rep once they've sat for stale_minutes.
+ * Only runs during business hours (nobody is expected to call at 2am) and
+ * gives up on a lead after max_reassignments hops. Returns the number moved.
+ */
+function reassignStaleLeads() {
+  const settings = getAssignmentSettings();
+  if (!settings.enabled || !settings.stale_minutes || !isBusinessHours(new Date(), settings.business_hours)) return 0;
+
+  const stale = db.prepare(`
+    SELECT l.id, l.assigned_to FROM leads l
+    WHERE l.assigned_to IS NOT NULL
+      AND l.assignment_reason IN (${SWEEPABLE_REASONS.map(() => '?').join(',')})
+      AND l.assigned_at <= datetime('now', ?)
+      AND l.created_at >= datetime('now', '-7 days')
+      AND COALESCE(l.is_blocked, 0) = 0
+      AND (SELECT COUNT(*) FROM lead_assignments la WHERE la.lead_id = l.id AND la.reason = 'stale') < ?
+      AND NOT (${CONTACTED_SQL})
+    ORDER BY l.assigned_at ASC
+    LIMIT 100
+  `).all(...SWEEPABLE_REASONS, `-${settings.stale_minutes} minutes`, settings.max_reassignments);
+
+  let moved = 0;
+  for (const lead of stale) {
+    const route = routeLead(lead.id, { excludeUserId: lead.assigned_to });
+    if (!route.member) continue;
+    assignLeadToUser(lead.id, route.member.user_id, {
+      reason: 'stale',
+      ruleId: route.rule ? route.rule.id : null,
+      detail: `not contacted within ${settings.stale_minutes} min`
+    });
+    moved++;
+  }
+  if (moved) console.log(`Lead router: reassigned ${moved} stale lead(s)`);
+  return moved;
+}
+
+// Away/vacation with an end date flips back to available once it passes
+function releaseExpiredAway() {
+  return db.prepare(`
+    UPDATE assignment_members SET status = 'available', away_until = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE status != 'available' AND away_until IS NOT NULL AND away_until <= CURRENT_TIMESTAMP
+  `).run().changes;
+}
+
+function startAssignmentWorker() {
+  console.log('Lead assignment worker started');
+  workerInterval = setInterval(() => {
+    try {
+      releaseExpiredAway();
+      reassignStaleLeads();
+    } catch (err) {
+      console.error('Lead assignment worker error:', err.message);
+    }
+  }, 60000);
+}
+
+function stopAssignmentWorker() {
+  if (workerInterval) clearInterval(workerInterval);
+  console.log('Lead assignment worker stopped');
+}
+
+module.exports = {
+  STRATEGIES, MEMBER_STATUSES,
+  getAssignmentSettings, isBusinessHours, getEligibleMembers, routeLead, assignLeadToUser, autoAssignLead,
+  reassignStaleLeads, startAssignmentWorker, stopAssignmentWorker
+};
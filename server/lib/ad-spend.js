@@ -0,0 +1,308 @@
+const db = require('../database');
+const { getConfiguredTimezone, getTodayInTz } = require('./timezone');
+
+/**
+ * Ad-spend warehouse. Each platform's route module exports
+ * fetchDailyAdSpend(from, to) → { account_id, rows } at date/campaign/ad group/ad
+ * grain; sync jobs replace the synced date span in ad_spend_daily and record
+ * the covered span in ad_spend_sync. Reports read spend from here when the
+ * platform's coverage spans the requested range and fall back to the old
+ * per-lead cost_cents / live API numbers otherwise.
+ */
+
+// Route modules are required lazily — they pull in this lib's consumers
+const PLATFORMS = {
+  google: {
+    label: 'Google Ads',
+    configured: () => !!db.prepare("SELECT 1 FROM google_ads_config WHERE id = 1 AND refresh_token_encrypted IS NOT NULL AND customer_id IS NOT NULL AND customer_id != ''").get(),
+    fetch: (from, to) => require('../routes/google-ads').fetchDailyAdSpend(from, to)
+  },
+  meta: {
+    label: 'Meta Ads',
+    configured: () => !!db.prepare("SELECT 1 FROM facebook_config WHERE id = 1 AND ad_account_id IS NOT NULL AND ad_account_id != '' AND COALESCE(user_access_token, page_access_token) IS NOT NULL").get(),
+    fetch: (from, to) => require('../routes/facebook').fetchDailyAdSpend(from, to)
+  },
+  tiktok: {
+    label: 'TikTok Ads',
+    configured: () => !!db.prepare("SELECT 1 FROM tiktok_config WHERE id = 1 AND access_token IS NOT NULL AND access_token != '' AND advertiser_id IS NOT NULL AND advertiser_id != ''").get(),
+    fetch: (from, to) => require('../routes/tiktok-leads').fetchDailyAdSpend(from, to)
+  },
+  reddit: {
+    label: 'Reddit Ads',
+    configured: () => !!db.prepare("SELECT 1 FROM reddit_ads_config WHERE id = 1 AND client_id != '' AND client_secret != '' AND refresh_token != '' AND account_id != ''").get(),
+    fetch: (from, to) => require('../routes/reddit-ads').fetchDailyAdSpend(from, to)
+  }
+};
+
+const GROUP_BY = {
+  date: ['date'],
+  platform: ['platform'],
+  campaign: ['platform', 'campaign_id'],
+  ad_group: ['platform', 'campaign_id', 'ad_group_id'],
+  ad: ['platform', 'campaign_id', 'ad_group_id', 'ad_id']
+};
+
+const CHUNK_DAYS = 30;          // longest span per API call (TikTok's day-level cap)
+const RESYNC_DAYS = 3;          // platforms restate recent days as clicks are audited
+const INITIAL_BACKFILL_DAYS = 90;
+const MAX_BACKFILL_DAYS = 730;
+const SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function today() {
+  return getTodayInTz(getConfiguredTimezone());
+}
+
+function getSyncState(platform) {
+  return db.prepare('SELECT * FROM ad_spend_sync WHERE platform = ?').get(platform) || null;
+}
+
+// Replace the span's rows for the account. Rows that land on the same key
+// (e.g. a Google campaign remainder twice in one response) are summed.
+const storeRows = db.transaction((platform, accountId, from, to, rows) => {
+  db.prepare('DELETE FROM ad_spend_daily WHERE platform = ? AND account_id = ? AND date >= ? AND date <= ?').run(platform, accountId, from, to);
+  const insert = db.prepare(`
+    INSERT INTO ad_spend_daily (date, platform, account_id, campaign_id, campaign_name, ad_group_id, ad_group_name, ad_id, ad_name,
+      impressions, clicks, cost_micros, platform_conversions)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(platform, account_id, date, campaign_id, ad_group_id, ad_id) DO UPDATE SET
+      impressions = impressions + excluded.impressions,
+      clicks = clicks + excluded.clicks,
+      cost_micros = cost_micros + excluded.cost_micros,
+      platform_conversions = COALESCE(platform_conversions, 0) + COALESCE(excluded.platform_conversions, 0),
+      synced_at = CURRENT_TIMESTAMP
+  `);
+  let stored = 0;
+  for (const r of rows) {
+    if (!r.date || r.date < from || r.date > to) continue;
+    insert.run(r.date, platform, accountId, r.campaign_id || '', r.campaign_name || null, r.ad_group_id || '', r.ad_group_name || null,
+      r.ad_id || '', r.ad_name || null, r.impressions || 0, r.clicks || 0, r.cost_micros || 0, r.conversions ?? null);
+    stored++;
+  }
+  return stored;
+});
+
+/**
+ * Sync one platform for [from, to] in CHUNK_DAYS pieces, newest first so a
+ * long backfill makes recent data usable early. Coverage only grows across
+ * contiguous spans; a changed account id starts coverage over.
+ */
+async function syncPlatform(platform, from, to) {
+  const def = PLATFORMS[platform];
+  if (!def) throw new Error(`Unknown platform: ${platform}`);
+  const state = getSyncState(platform);
+  if (state && state.status === 'running') return { platform, error: 'Sync already running' };
+
+  db.prepare(`
+    INSERT INTO ad_spend_sync (platform, status, last_run_at) VALUES (?, 'running', CURRENT_TIMESTAMP)
+    ON CONFLICT(platform) DO UPDATE SET status = 'running', last_run_at = CURRENT_TIMESTAMP
+  `).run(platform);
+
+  let rowsStored = 0;
+  let syncedFrom = null;
+  let accountId = null;
+  try {
+    for (let end = to; end >= from; end = addDays(end, -CHUNK_DAYS)) {
+      const start = addDays(end, -(CHUNK_DAYS - 1)) < from ? from : addDays(end, -(CHUNK_DAYS - 1));
+      const result = await def.fetch(start, end);
+      accountId = result.account_id || '';
+      rowsStored += storeRows(platform, accountId, start, end, result.rows || []);
+      syncedFrom = start;
+    }
+
+    const sameAccount = state && state.account_id === accountId && state.covered_from;
+    const contiguous = sameAccount && from <= addDays(state.covered_to, 1) && to >= addDays(state.covered_from, -1);
+    const coveredFrom = contiguous && state.covered_from < from ? state.covered_from : from;
+    const coveredTo = contiguous && state.covered_to > to ? state.covered_to : to;
+    db.prepare(`
+      UPDATE ad_spend_sync SET account_id = ?, covered_from = ?, covered_to = ?, status = 'idle', last_error = NULL, last_rows = ?
+      WHERE platform = ?
+    `).run(accountId, coveredFrom, coveredTo, rowsStored, platform);
+    return { platform, from, to, rows: rowsStored };
+  } catch (err) {
+    // Keep whatever complete chunks landed, but don't widen coverage over a gap
+    db.prepare("UPDATE ad_spend_sync SET status = 'error', last_error = ?, last_rows = ? WHERE platform = ?").run(err.message, rowsStored, platform);
+    console.error(`[Ad Spend] ${platform} sync failed${syncedFrom ? ` (synced back to ${syncedFrom})` : ''}:`, err.message);
+    return { platform, from, to, rows: rowsStored, error: err.message };
+  }
+}
+
+// Backfill the last `days` days through today
+function backfillPlatform(platform, days) {
+  const span = Math.min(Math.max(parseInt(days) || INITIAL_BACKFILL_DAYS, 1), MAX_BACKFILL_DAYS);
+  const end = today();
+  return syncPlatform(platform, addDays(end, -(span - 1)), end);
+}
+
+/**
+ * Scheduled run: every configured platform re-pulls its last RESYNC_DAYS
+ * (or backfills INITIAL_BACKFILL_DAYS the first time) through today.
+ */
+async function runAdSpendSync() {
+  const results = [];
+  const end = today();
+  for (const [platform, def] of Object.entries(PLATFORMS)) {
+    if (!def.configured()) continue;
+    const state = getSyncState(platform);
+    const from = state && state.covered_to
+      ? addDays(state.covered_to < end ? state.covered_to : end, -RESYNC_DAYS)
+      : addDays(end, -(INITIAL_BACKFILL_DAYS - 1));
+    results.push(await syncPlatform(platform, from, end));
+  }
+  const synced = results.filter(r => !r.error);
+  if (synced.length) console.log(`[Ad Spend] Synced ${synced.map(r => `${r.platform} (${r.rows} rows)`).join(', ')}`);
+  return results;
+}
+
+// Earliest lead date for a platform — the start of "all time" for coverage checks
+function firstLeadDate(platform) {
+  const row = db.prepare(`
+    SELECT MIN(DATE(l.created_at)) as first FROM leads l
+    JOIN landing_pages lp ON l.landing_page_id = lp.id WHERE lp.platform = ?
+  `).get(platform);
+  return row && row.first;
+}
+
+/**
+ * Whether the warehouse holds the platform's complete spend for [from, to]
+ * (local dates; either may be empty for open-ended). A covered_to of yesterday
+ * still counts for today — the next scheduled sync is at most hours away.
+ */
+function coversRange(platform, from, to) {
+  const state = getSyncState(platform);
+  if (!state || !state.covered_from || !state.covered_to) return false;
+  const end = today();
+  const wantTo = to && to < end ? to : end;
+  const wantFrom = from || firstLeadDate(platform) || state.covered_from;
+  return state.covered_from <= wantFrom && state.covered_to >= addDays(wantTo, -1);
+}
+
+function dateConditions(from, to) {
+  const conds = [];
+  const params = [];
+  if (from) { conds.push('date >= ?'); params.push(from); }
+  if (to) { conds.push('date <= ?'); params.push(to); }
+  return { conds, params };
+}
+
+/**
+ * Spend per covered platform for [from, to]:
+ * { [platform]: { cost, clicks, impressions, conversions } }. Platforms the
+ * warehouse doesn't cover for the range are left out so callers can fall back.
+ */
+function getWarehouseSpend(from, to) {
+  const covered = Object.keys(PLATFORMS).filter(p => coversRange(p, from, to));
+  if (!covered.length) return {};
+  const { conds, params } = dateConditions(from, to);
+  conds.push(`platform IN (${covered.map(() => '?').join(',')})`);
+  const rows = db.prepare(`
+    SELECT platform, SUM(cost_micros) as cost_micros, SUM(clicks) as clicks, SUM(impressions) as impressions,
+      SUM(platform_conversions) as conversions
+    FROM ad_spend_daily WHERE ${conds.join(' AND ')}
+    GROUP BY platform
+  `).all(...params, ...covered);
+
+  const spend = {};
+  for (const p of covered) spend[p] = { cost: 0, clicks: 0, impressions: 0, conversions: 0 };
+  for (const r of rows) {
+    spend[r.platform] = { cost: (r.cost_micros || 0) / 1000000, clicks: r.clicks || 0, impressions: r.impressions || 0, conversions: r.conversions || 0 };
+  }
+  return spend;
+}
+
+/**
+ * Rows from the warehouse grouped by one of GROUP_BY (names come along for
+ * campaign/ad group/ad grain). Each row has cost, clicks, impressions,
+ * conversions, cpc and ctr.
+ */
+function querySpend({ from, to, platform, campaignId, groupBy = 'date' } = {}) {
+  const keys = GROUP_BY[groupBy];
+  if (!keys) throw new Error(`group_by must be one of: ${Object.keys(GROUP_BY).join(', ')}`);
+  const { conds, params } = dateConditions(from, to);
+  if (platform) { conds.push('platform = ?'); params.push(platform); }
+  if (campaignId) { conds.push('campaign_id = ?'); params.push(String(campaignId)); }
+
+  const names = [];
+  if (keys.includes('campaign_id')) names.push('MAX(campaign_name) as campaign_name');
+  if (keys.includes('ad_group_id')) names.push('MAX(ad_group_name) as ad_group_name');
+  if (keys.includes('ad_id')) names.push('MAX(ad_name) as ad_name');
+
+  const rows = db.prepare(`
+    SELECT ${keys.join(', ')}${names.length ? ', ' + names.join(', ') : ''},
+      SUM(impressions) as impressions, SUM(clicks) as clicks, SUM(cost_micros) as cost_micros,
+      SUM(platform_conversions) as conversions
+    FROM ad_spend_daily
+    ${conds.length ? 'WHERE ' + conds.join(' AND ') : ''}
+    GROUP BY ${keys.join(', ')}
+    ORDER BY ${groupBy === 'date' ? 'date ASC' : 'cost_micros DESC'}
+  `).all(...params);
+
+  return rows.map(({ cost_micros, ...r }) => {
+    const cost = (cost_micros || 0) / 1000000;
+    return {
+      ...r,
+      cost,
+      conversions: r.conversions || 0,
+      cpc: r.clicks > 0 ? cost / r.clicks : null,
+      ctr: r.impressions > 0 ? (r.clicks / r.impressions) * 100 : null
+    };
+  });
+}
+
+function getStatus() {
+  return Object.entries(PLATFORMS).map(([platform, def]) => {
+    const state = getSyncState(platform) || {};
+    const totals = db.prepare('SELECT COUNT(*) as rows, MIN(date) as first_date, MAX(date) as last_date FROM ad_spend_daily WHERE platform = ?').get(platform);
+    return {
+      platform,
+      label: def.label,
+      configured: def.configured(),
+      account_id: state.account_id || null,
+      covered_from: state.covered_from || null,
+      covered_to: state.covered_to || null,
+      status: state.status || 'never',
+      last_run_at: state.last_run_at || null,
+      last_error: state.last_error || null,
+      last_rows: state.last_rows || 0,
+      rows: totals.rows,
+      first_date: totals.first_date,
+      last_date: totals.last_date
+    };
+  });
+}
+
+let syncInterval = null;
+
+function startAdSpendScheduler() {
+  if (syncInterval) return;
+  // A restart mid-sync leaves 'running' behind; nothing is running yet
+  db.prepare("UPDATE ad_spend_sync SET status = 'idle' WHERE status = 'running'").run();
+  const tick = () => runAdSpendSync().catch(err => console.error('[Ad Spend] Sync error:', err.message));
+  syncInterval = setInterval(tick, SYNC_INTERVAL_MS);
+  setTimeout(tick, 180 * 1000);
+}
+
+function stopAdSpendScheduler() {
+  if (syncInterval) clearInterval(syncInterval);
+  syncInterval = null;
+}
+
+module.exports = {
+  PLATFORMS,
+  GROUP_BY,
+  MAX_BACKFILL_DAYS,
+  syncPlatform,
+  backfillPlatform,
+  runAdSpendSync,
+  coversRange,
+  getWarehouseSpend,
+  querySpend,
+  getStatus,
+  startAdSpendScheduler,
+  stopAdSpendScheduler
+};
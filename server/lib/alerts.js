@@ -0,0 +1,267 @@
+const db = require('../database');
+const { toSqliteUtc } = require('./timezone');
+
+/**
+ * Metrics and conditions for alert_rules (evaluated by evaluateAlertRules in
+ * routes/notifications.js). Every metric is computed over a [start, end)
+ * window and can be scoped to a platform and/or landing page. Baseline
+ * conditions compare the current window with the same-length windows
+ * `baseline_offset_hours` apart before it (168 = same hours last week).
+ */
+
+const CONDITIONS = {
+  greater_than: 'Greater than',
+  less_than: 'Less than',
+  equals: 'Equals',
+  pct_above_baseline: '% above baseline',
+  pct_below_baseline: '% below baseline',
+  zscore_above: 'Z-score above',
+  zscore_below: 'Z-score below'
+};
+const BASELINE_CONDITIONS = ['pct_above_baseline', 'pct_below_baseline', 'zscore_above', 'zscore_below'];
+const MIN_ZSCORE_SAMPLES = 3;
+const WEBHOOK_FORMATS = ['slack', 'teams', 'json'];
+
+// Click-id column per platform for the scoped `clicks` metric
+const CLICK_COLUMNS = { google: 'gclid', bing: 'msclkid', meta: 'fbclid', reddit: 'rdt_cid' };
+// Outbox delivery kinds that belong to a platform for the scoped `webhook_failures` metric
+const DELIVERY_KINDS = { google: ['google_ads'], bing: ['bing_ads'], meta: ['facebook_capi'] };
+
+// ─── Scope filters ───────────────────────────────────────
+// Each returns { join, where: [], params: [] } for the table alias it filters.
+
+function leadScope(scope) {
+  const where = [];
+  const params = [];
+  if (scope.platform) { where.push('lp.platform = ?'); params.push(scope.platform); }
+  if (scope.landing_page_id) { where.push('l.landing_page_id = ?'); params.push(scope.landing_page_id); }
+  return { join: 'LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id', where, params };
+}
+
+// visitors.landing_page is the page path (/lp/<slug>/ or /<slug>/)
+function visitorScope(scope) {
+  const where = [];
+  const params = [];
+  const pathMatch = "(v.landing_page LIKE '%/' || lp.slug || '/%' OR v.landing_page LIKE '%/' || lp.slug)";
+  if (scope.platform) {
+    where.push(`EXISTS (SELECT 1 FROM landing_pages lp WHERE lp.platform = ? AND ${pathMatch})`);
+    params.push(scope.platform);
+  }
+  if (scope.landing_page_id) {
+    where.push(`EXISTS (SELECT 1 FROM landing_pages lp WHERE lp.id = ? AND ${pathMatch})`);
+    params.push(scope.landing_page_id);
+  }
+  return { join: '', where, params };
+}
+
+// Calls carry their source on the attribution touchpoint and the page in visitor_url;
+// call_start is Retreaver's ISO timestamp, so windows compare on datetime(call_start)
+function callScope(scope) {
+  const where = [];
+  const params = [];
+  if (scope.platform) {
+    where.push("c.id IN (SELECT ref_id FROM touchpoints WHERE touch_type = 'call' AND platform = ?)");
+    params.push(scope.platform);
+  }
+  if (scope.landing_page_id) {
+    where.push("EXISTS (SELECT 1 FROM landing_pages lp WHERE lp.id = ? AND c.visitor_url LIKE '%/' || lp.slug || '%')");
+    params.push(scope.landing_page_id);
+  }
+  return { join: '', where, params };
+}
+
+function scalar(sql, filter, timeCol, start, end, extra = []) {
+  const where = [`${timeCol} >= ?`, `${timeCol} < ?`, ...extra, ...filter.where];
+  return db.prepare(`${sql} ${filter.join} WHERE ${where.join(' AND ')}`).get(start, end, ...filter.params).val || 0;
+}
+
+// ─── Metrics ─────────────────────────────────────────────
+
+const METRICS = {
+  spend: {
+    label: 'Spend ($)',
+    value: (scope, s, e) => scalar('SELECT COALESCE(SUM(l.cost_cents), 0) AS val FROM leads l', leadScope(scope), 'l.created_at', s, e) / 100
+  },
+  leads: {
+    label: 'Leads',
+    value: (scope, s, e) => scalar('SELECT COUNT(*) AS val FROM leads l', leadScope(scope), 'l.created_at', s, e)
+  },
+  visitors: {
+    label: 'Visitors',
+    value: (scope, s, e) => scalar('SELECT COUNT(*) AS val FROM visitors v', visitorScope(scope), 'v.first_visit', s, e)
+  },
+  clicks: {
+    label: 'Paid clicks',
+    // Unscoped rules keep counting Google clicks (gclid), as they always have
+    value: (scope, s, e) => {
+      const col = CLICK_COLUMNS[scope.platform] || 'gclid';
+      return scalar('SELECT COUNT(*) AS val FROM visitors v', visitorScope(scope), 'v.first_visit', s, e, [`v.${col} IS NOT NULL AND v.${col} != ''`]);
+    }
+  },
+  conversions: {
+    label: 'Conversions sent',
+    value: (scope, s, e) => scalar(
+      'SELECT COUNT(*) AS val FROM conversion_events ce LEFT JOIN leads l ON l.id = ce.lead_id',
+      leadScope(scope), 'ce.created_at', s, e, ["ce.status = 'sent'"]
+    )
+  },
+  revenue: {
+    label: 'Revenue ($)',
+    value: (scope, s, e) => scalar(
+      'SELECT COALESCE(SUM(ce.revenue), 0) AS val FROM conversion_events ce LEFT JOIN leads l ON l.id = ce.lead_id',
+      leadScope(scope), 'ce.created_at', s, e
+    )
+  },
+  cpl: {
+    label: 'Cost per lead ($)',
+    value: (scope, s, e) => {
+      const leads = METRICS.leads.value(scope, s, e);
+      return leads ? METRICS.spend.value(scope, s, e) / leads : 0;
+    }
+  },
+  conversion_rate: {
+    label: 'Visitor → lead rate (%)',
+    value: (scope, s, e) => {
+      const visitors = METRICS.visitors.value(scope, s, e);
+      return visitors ? (METRICS.leads.value(scope, s, e) / visitors) * 100 : 0;
+    }
+  },
+  calls: {
+    label: 'Inbound calls',
+    value: (scope, s, e) => scalar('SELECT COUNT(*) AS val FROM calls c', callScope(scope), 'datetime(c.call_start)', s, e)
+  },
+  call_answer_rate: {
+    label: 'Call answer rate (%)',
+    // Calls synced before dialed_duration was captured fall back to total duration
+    value: (scope, s, e) => {
+      const total = METRICS.calls.value(scope, s, e);
+      if (!total) return 0;
+      const answered = scalar('SELECT COUNT(*) AS val FROM calls c', callScope(scope), 'datetime(c.call_start)', s, e, ['COALESCE(c.dialed_duration, c.duration) > 0']);
+      return (answered / total) * 100;
+    }
+  },
+  webhook_failures: {
+    label: 'Webhook / postback failures',
+    // Failed outbox attempts; alert webhooks themselves are excluded so a broken
+    // alert channel cannot page about itself
+    value: (scope, s, e) => {
+      const kinds = DELIVERY_KINDS[scope.platform];
+      const extra = ['a.success = 0', "(d.target IS NULL OR d.target NOT LIKE 'alert:%')"];
+      if (scope.platform) extra.push(kinds ? `d.kind IN (${kinds.map(() => '?').join(', ')})` : '0');
+      const where = ['a.created_at >= ?', 'a.created_at < ?', ...extra];
+      return db.prepare(`
+        SELECT COUNT(*) AS val FROM outbox_attempts a JOIN outbox_deliveries d ON d.id = a.delivery_id
+        WHERE ${where.join(' AND ')}
+      `).get(s, e, ...(scope.platform && kinds ? kinds : [])).val || 0;
+    }
+  }
+};
+
+/**
+ * Current value of `metric` over the last `hours`, plus baseline samples when
+ * the condition needs them: the same window shifted back k * offsetHours for
+ * k = 1..samples. Returns { value, samples, mean, stddev, start, end }.
+ */
+function measure(rule, now = Date.now()) {
+  const def = METRICS[rule.metric];
+  if (!def) throw new Error(`Unknown metric: ${rule.metric}`);
+  const scope = { platform: rule.platform || null, landing_page_id: rule.landing_page_id || null };
+  const windowMs = (rule.time_window_hours || 24) * 60 * 60 * 1000;
+  const start = toSqliteUtc(now - windowMs);
+  const end = toSqliteUtc(now);
+  const value = def.value(scope, start, end);
+
+  const result = { value, samples: [], mean: null, stddev: null, start, end };
+  if (!BASELINE_CONDITIONS.includes(rule.condition)) return result;
+
+  const offsetMs = (rule.baseline_offset_hours || 168) * 60 * 60 * 1000;
+  const n = Math.max(1, rule.baseline_samples || 1);
+  for (let k = 1; k <= n; k++) {
+    result.samples.push(def.value(scope, toSqliteUtc(now - k * offsetMs - windowMs), toSqliteUtc(now - k * offsetMs)));
+  }
+  result.mean = result.samples.reduce((a, b) => a + b, 0) / n;
+  result.stddev = n > 1
+    ? Math.sqrt(result.samples.reduce((a, b) => a + (b - result.mean) ** 2, 0) / (n - 1))
+    : 0;
+  return result;
+}
+
+/**
+ * Whether a measurement breaches the rule's primary condition. Baseline
+ * conditions never fire without history: a zero baseline mean has no
+ * percentage change and a z-score needs MIN_ZSCORE_SAMPLES windows.
+ */
+function breaches(rule, m) {
+  const t = rule.threshold;
+  switch (rule.condition) {
+    case 'greater_than': return m.value > t;
+    case 'less_than': return m.value < t;
+    case 'equals': return m.value === t;
+    case 'pct_above_baseline': return m.mean > 0 && m.value >= m.mean * (1 + t / 100);
+    case 'pct_below_baseline': return m.mean > 0 && m.value <= m.mean * (1 - t / 100);
+    case 'zscore_above':
+    case 'zscore_below': {
+      const z = zScore(m);
+      if (z === null) return false;
+      return rule.condition === 'zscore_above' ? z >= t : z <= -t;
+    }
+    default: return false;
+  }
+}
+
+function zScore(m) {
+  if (m.samples.length < MIN_ZSCORE_SAMPLES) return null;
+  if (m.stddev === 0) return m.value === m.mean ? 0 : (m.value > m.mean ? Infinity : -Infinity);
+  return (m.value - m.mean) / m.stddev;
+}
+
+function fmt(metric, v) {
+  if (v === null || v === undefined) return '—';
+  if (!isFinite(v)) return v > 0 ? '∞' : '-∞';
+  if (/_rate$/.test(metric)) return v.toFixed(1) + '%';
+  if (['spend', 'revenue', 'cpl'].includes(metric)) return '$' + v.toFixed(2);
+  return Number.isInteger(v) ? String(v) : v.toFixed(2);
+}
+
+// One-line human description of the rule's primary condition
+function describeCondition(rule) {
+  const label = METRICS[rule.metric] ? METRICS[rule.metric].label : rule.metric;
+  const scope = [rule.platform, rule.page_name].filter(Boolean).join(' / ');
+  const subject = scope ? `${label} [${scope}]` : label;
+  const window = `last ${rule.time_window_hours}h`;
+  const base = rule.baseline_offset_hours === 168 ? 'same hours last week' : `${rule.baseline_offset_hours}h earlier`;
+  const samples = rule.baseline_samples > 1 ? ` (avg of ${rule.baseline_samples})` : '';
+  switch (rule.condition) {
+    case 'pct_above_baseline': return `${subject} ${rule.threshold}% above ${base}${samples}, ${window}`;
+    case 'pct_below_baseline': return `${subject} ${rule.threshold}% below ${base}${samples}, ${window}`;
+    case 'zscore_above': return `${subject} z-score ≥ ${rule.threshold} vs ${rule.baseline_samples} windows ${rule.baseline_offset_hours}h apart, ${window}`;
+    case 'zscore_below': return `${subject} z-score ≤ -${rule.threshold} vs ${rule.baseline_samples} windows ${rule.baseline_offset_hours}h apart, ${window}`;
+    default: {
+      const op = { greater_than: '>', less_than: '<', equals: '=' }[rule.condition] || rule.condition;
+      return `${subject} ${op} ${fmt(rule.metric, rule.threshold)}, ${window}`;
+    }
+  }
+}
+
+// Incoming-webhook body for Slack, Microsoft Teams (MessageCard) or plain JSON
+function webhookBody(format, { kind, rule, title, lines }) {
+  if (format === 'teams') {
+    return {
+      '@type': 'MessageCard',
+      '@context': 'http://schema.org/extensions',
+      summary: title,
+      themeColor: kind === 'resolved' ? '16A34A' : 'DC2626',
+      title,
+      text: lines.join('<br>')
+    };
+  }
+  if (format === 'json') {
+    return { event: `alert.${kind}`, rule_id: rule.id, rule: rule.name, metric: rule.metric, title, details: lines, value: rule.last_value, baseline: rule.last_baseline };
+  }
+  return { text: `${kind === 'resolved' ? ':white_check_mark:' : ':rotating_light:'} *${title}*\n${lines.join('\n')}` };
+}
+
+module.exports = {
+  METRICS, CONDITIONS, BASELINE_CONDITIONS, WEBHOOK_FORMATS, MIN_ZSCORE_SAMPLES,
+  measure, breaches, zScore, fmt, describeCondition, webhookBody
+};
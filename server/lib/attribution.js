@@ -0,0 +1,404 @@
+const db = require('../database');
+const { getConfiguredTimezone, localDateToUtcRange, toSqliteUtc } = require('./timezone');
+
+/**
+ * Multi-touch attribution. Every visit (/api/visitors/track), Retreaver call,
+ * email click and form submit is logged to `touchpoints` with its classified
+ * source/platform/campaign; touches recorded before the visitor converts are
+ * linked to the lead by eli_clickid when the lead is created. Reports replay a
+ * lead's touches through one of MODELS to split the lead (and each later
+ * conversion_events revenue row) across sources and campaigns.
+ */
+
+const MODELS = {
+  first_touch: 'First touch',
+  last_touch: 'Last touch',
+  linear: 'Linear',
+  time_decay: 'Time decay',
+  position_based: 'Position based (40/20/40)'
+};
+const DEFAULT_MODEL = 'last_touch';
+const GROUP_BY = ['source', 'platform', 'campaign'];
+
+const LOOKBACK_DAYS = 90;             // touches older than this before a conversion get no credit
+const VISIT_DEDUP_MINUTES = 30;       // repeat /track hits within a session are one touch
+const HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000;
+const SUBMIT_GRACE_MS = 60 * 1000;    // the last /track can land just after the form posts
+
+// Click ids win over UTMs; utm_source is matched against these when no click id is present
+const CLICK_IDS = [
+  ['gclid', 'google'], ['msclkid', 'bing'], ['fbclid', 'meta'], ['fbc', 'meta'],
+  ['ttclid', 'tiktok'], ['rdt_cid', 'reddit']
+];
+const SOURCE_PATTERNS = [
+  [/google|adwords|gads/, 'google'],
+  [/bing|microsoft/, 'bing'],
+  [/^(fb|ig)$|facebook|meta|instagram/, 'meta'],
+  [/tiktok/, 'tiktok'],
+  [/reddit/, 'reddit'],
+  [/linkedin/, 'linkedin'],
+  [/outbrain/, 'outbrain']
+];
+const SEARCH_ENGINES = /(^|\.)(google|bing|yahoo|duckduckgo|baidu|ecosia|yandex)\./;
+
+// onLeadCreated sources that imply a platform when the lead carries no click id / UTMs
+const LEAD_SOURCE_PLATFORMS = { facebook_sync: 'meta', facebook_webhook: 'meta', tiktok: 'tiktok' };
+
+function toMs(sqlTime) {
+  return Date.parse(String(sqlTime).replace(' ', 'T') + (/[zZ]|[+-]\d\d:?\d\d$/.test(sqlTime) ? '' : 'Z'));
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.toLowerCase(); } catch (e) { return ''; }
+}
+
+/**
+ * Classify a touch from click ids, UTMs and referrer.
+ * f: { gclid, msclkid, fbclid, fbc, ttclid, rdt_cid, utm_source, utm_medium,
+ *      utm_campaign, referrer_url, landing_page, fallback_platform }
+ * Returns { source, platform, medium, campaign, click_id } — source is the ad
+ * platform for paid touches, else email / organic / referral / direct.
+ */
+function classifyTouch(f) {
+  const utmSource = String(f.utm_source || '').toLowerCase().trim();
+  const medium = String(f.utm_medium || '').toLowerCase().trim();
+  const campaign = f.utm_campaign || null;
+
+  for (const [key, platform] of CLICK_IDS) {
+    if (f[key]) return { source: platform, platform, medium: medium || 'cpc', campaign, click_id: f[key] };
+  }
+
+  if (utmSource) {
+    if (medium === 'email' || utmSource === 'email' || utmSource === 'newsletter') {
+      return { source: 'email', platform: null, medium: 'email', campaign, click_id: null };
+    }
+    if (medium === 'organic') return { source: 'organic', platform: null, medium, campaign, click_id: null };
+    const match = SOURCE_PATTERNS.find(([re]) => re.test(utmSource));
+    if (match) return { source: match[1], platform: match[1], medium: medium || 'cpc', campaign, click_id: null };
+    return { source: 'referral', platform: null, medium: medium || utmSource, campaign, click_id: null };
+  }
+
+  // Untagged traffic on a platform's landing page (forms, backfilled rows)
+  if (f.fallback_platform && f.fallback_platform !== 'other') {
+    return { source: f.fallback_platform, platform: f.fallback_platform, medium: 'cpc', campaign, click_id: null };
+  }
+
+  const ref = hostOf(f.referrer_url);
+  const own = hostOf(f.landing_page);
+  if (ref && ref !== own) {
+    return SEARCH_ENGINES.test(ref)
+      ? { source: 'organic', platform: null, medium: 'organic', campaign: null, click_id: null }
+      : { source: 'referral', platform: null, medium: 'referral', campaign: ref, click_id: null };
+  }
+  return { source: 'direct', platform: null, medium: null, campaign: null, click_id: null };
+}
+
+const insertTouch = db.prepare(`
+  INSERT OR IGNORE INTO touchpoints (
+    lead_id, eli_clickid, touch_type, occurred_at, source, platform, medium, campaign,
+    click_id, landing_page, ref_table, ref_id
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+function writeTouch(t) {
+  return insertTouch.run(
+    t.lead_id || null, t.eli_clickid || null, t.touch_type, t.occurred_at || toSqliteUtc(new Date()),
+    t.source, t.platform || null, t.medium || null, t.campaign || null,
+    t.click_id || null, t.landing_page || null, t.ref_table || null, t.ref_id || null
+  );
+}
+
+/**
+ * Log a landing-page visit from /api/visitors/track. A hit within
+ * VISIT_DEDUP_MINUTES of the visitor's previous visit from the same source and
+ * campaign is the same session and is not logged again.
+ */
+function recordVisit(visitorId, leadId, body) {
+  const eli = body.eli_clickid;
+  if (!eli) return;
+  const touch = classifyTouch(body);
+
+  const last = db.prepare(`
+    SELECT source, campaign FROM touchpoints
+    WHERE eli_clickid = ? AND touch_type = 'visit' AND occurred_at >= datetime('now', ?)
+    ORDER BY occurred_at DESC LIMIT 1
+  `).get(eli, `-${VISIT_DEDUP_MINUTES} minutes`);
+  if (last && last.source === touch.source && (last.campaign || null) === (touch.campaign || null)) return;
+
+  writeTouch({
+    ...touch, lead_id: leadId, eli_clickid: eli, touch_type: 'visit',
+    landing_page: body.landing_page, ref_table: 'visitors', ref_id: visitorId
+  });
+}
+
+function leadTouchFields(lead) {
+  let hidden = {};
+  try { hidden = JSON.parse(lead.hidden_fields || '{}') || {}; } catch (e) {}
+  return { ...hidden, gclid: lead.gclid, msclkid: lead.msclkid, fbclid: lead.fbclid, rdt_cid: lead.rdt_cid, hidden };
+}
+
+/**
+ * Log the form submit for a new lead and link the visitor's earlier touches
+ * (by eli_clickid, and calls by rt_clickid) to it. Called from onLeadCreated.
+ */
+function recordLeadTouch(leadId, source) {
+  const lead = db.prepare(`
+    SELECT l.*, lp.platform AS page_platform, COALESCE(lp.slug, '') AS page_slug
+    FROM leads l LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+    WHERE l.id = ?
+  `).get(leadId);
+  if (!lead) return;
+
+  const fields = leadTouchFields(lead);
+  let touch = classifyTouch({ ...fields, fallback_platform: lead.page_platform || LEAD_SOURCE_PLATFORMS[source] });
+  if (source === 'affiliate' || fields.hidden.affiliate_id) {
+    touch = { ...touch, source: 'affiliate', platform: null, medium: 'affiliate', campaign: touch.campaign || fields.hidden.affiliate_id || null };
+  }
+
+  db.transaction(() => {
+    writeTouch({
+      ...touch, lead_id: lead.id, eli_clickid: lead.eli_clickid, touch_type: 'form_submit',
+      occurred_at: lead.created_at, landing_page: lead.page_slug, ref_table: 'leads', ref_id: lead.id
+    });
+    if (lead.eli_clickid) {
+      db.prepare('UPDATE touchpoints SET lead_id = ? WHERE lead_id IS NULL AND eli_clickid = ?').run(lead.id, lead.eli_clickid);
+    }
+    if (lead.rt_clickid && lead.rt_clickid !== 'adblock_blocked') {
+      db.prepare(`
+        UPDATE touchpoints SET lead_id = ?
+        WHERE lead_id IS NULL AND touch_type = 'call'
+          AND ref_id IN (SELECT id FROM calls WHERE rt_clickid = ?)
+      `).run(lead.id, lead.rt_clickid);
+    }
+  })();
+}
+
+/**
+ * Log an inbound call. Tracking comes from the call's visitor_url UTMs, then
+ * the matched visitor's click ids; untracked calls are source 'phone'.
+ */
+function recordCallTouch(callId) {
+  const call = db.prepare(`
+    SELECT c.*, v.gclid AS v_gclid, v.msclkid AS v_msclkid, v.fbclid AS v_fbclid, v.rdt_cid AS v_rdt_cid,
+      v.utm_source AS v_utm_source, v.utm_medium AS v_utm_medium, v.utm_campaign AS v_utm_campaign
+    FROM calls c LEFT JOIN visitors v ON v.id = c.visitor_id
+    WHERE c.id = ?
+  `).get(callId);
+  if (!call) return;
+
+  const fields = {};
+  if (call.visitor_url) {
+    try {
+      const url = new URL(call.visitor_url);
+      for (const key of ['gclid', 'msclkid', 'fbclid', 'ttclid', 'rdt_cid', 'utm_source', 'utm_medium', 'utm_campaign']) {
+        fields[key] = url.searchParams.get(key) || '';
+      }
+    } catch (e) {}
+  }
+  for (const key of ['gclid', 'msclkid', 'fbclid', 'rdt_cid', 'utm_source', 'utm_medium', 'utm_campaign']) {
+    if (!fields[key] && call['v_' + key]) fields[key] = call['v_' + key];
+  }
+
+  let touch = classifyTouch(fields);
+  if (touch.source === 'direct') touch = { ...touch, source: 'phone' };
+
+  writeTouch({
+    ...touch, medium: 'phone', campaign: touch.campaign || call.campaign_name,
+    lead_id: call.lead_id, eli_clickid: call.eli_clickid, touch_type: 'call',
+    occurred_at: toSqliteUtc(call.call_start || call.created_at) || toSqliteUtc(new Date()),
+    landing_page: call.visitor_url, ref_table: 'calls', ref_id: call.id
+  });
+}
+
+// Log a tracked email link click (email_clicks row) as an 'email' touch
+function recordEmailClick(clickId) {
+  const click = db.prepare(`
+    SELECT ec.id, ec.lead_id, ec.clicked_at, ec.original_url, c.name AS campaign_name, l.eli_clickid
+    FROM email_clicks ec
+    LEFT JOIN email_campaigns c ON c.id = ec.campaign_id
+    LEFT JOIN leads l ON l.id = ec.lead_id
+    WHERE ec.id = ?
+  `).get(clickId);
+  if (!click) return;
+
+  writeTouch({
+    source: 'email', medium: 'email', campaign: click.campaign_name || 'Sequence email',
+    lead_id: click.lead_id, eli_clickid: click.eli_clickid, touch_type: 'email_click',
+    occurred_at: click.clicked_at, landing_page: click.original_url, ref_table: 'email_clicks', ref_id: click.id
+  });
+}
+
+/**
+ * Seed the log from history the first time the server starts with it: each
+ * visitor's first visit (their current UTMs — per-visit history was not kept),
+ * every call and email click, then every lead's form submit, which links the
+ * earlier rows. Runs once; guarded by the attribution_backfilled_at setting.
+ */
+function backfillTouchpoints() {
+  if (db.prepare("SELECT 1 FROM settings WHERE key = 'attribution_backfilled_at'").get()) return;
+  const started = Date.now();
+
+  db.transaction(() => {
+    for (const v of db.prepare('SELECT * FROM visitors').iterate()) {
+      const touch = classifyTouch(v);
+      writeTouch({
+        ...touch, lead_id: v.lead_id, eli_clickid: v.eli_clickid, touch_type: 'visit',
+        occurred_at: v.first_visit, landing_page: v.landing_page, ref_table: 'visitors', ref_id: v.id
+      });
+    }
+  })();
+  const callIds = db.prepare('SELECT id FROM calls').all().map(r => r.id);
+  db.transaction(() => callIds.forEach(recordCallTouch))();
+  const clickIds = db.prepare('SELECT id FROM email_clicks').all().map(r => r.id);
+  db.transaction(() => clickIds.forEach(recordEmailClick))();
+  const leadIds = db.prepare('SELECT id FROM leads ORDER BY id').all().map(r => r.id);
+  db.transaction(() => leadIds.forEach(id => recordLeadTouch(id)))();
+
+  db.prepare(`
+    INSERT INTO settings (key, value) VALUES ('attribution_backfilled_at', CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run();
+  const total = db.prepare('SELECT COUNT(*) AS n FROM touchpoints').get().n;
+  console.log(`[Attribution] Backfilled ${total} touchpoints in ${Date.now() - started}ms`);
+}
+
+// Credit weights for touches sorted oldest first, converting at convMs
+function modelWeights(model, touches, convMs) {
+  const n = touches.length;
+  if (n === 1) return [1];
+  switch (model) {
+    case 'first_touch':
+      return touches.map((_, i) => (i === 0 ? 1 : 0));
+    case 'linear':
+      return touches.map(() => 1 / n);
+    case 'time_decay': {
+      const raw = touches.map(t => Math.pow(0.5, Math.max(0, convMs - t.ms) / HALF_LIFE_MS));
+      const sum = raw.reduce((a, b) => a + b, 0);
+      return raw.map(w => w / sum);
+    }
+    case 'position_based':
+      if (n === 2) return [0.5, 0.5];
+      return touches.map((_, i) => (i === 0 || i === n - 1 ? 0.4 : 0.2 / (n - 2)));
+    default:
+      return touches.map((_, i) => (i === n - 1 ? 1 : 0));
+  }
+}
+
+/**
+ * Touches that get credit for a conversion at convMs: visits, calls and email
+ * clicks inside the lookback window. The form submit only counts when there is
+ * nothing else (leads from Zapier, Facebook, TikTok or untracked visitors).
+ */
+function creditedTouches(touches, convMs) {
+  const windowStart = convMs - LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+  const inWindow = touches.filter(t => t.ms >= windowStart && t.ms <= convMs + SUBMIT_GRACE_MS);
+  const journey = inWindow.filter(t => t.touch_type !== 'form_submit');
+  return journey.length ? journey : inWindow.filter(t => t.touch_type === 'form_submit').slice(-1);
+}
+
+function groupKey(t, groupBy) {
+  if (groupBy === 'source') return t.source;
+  if (groupBy === 'platform') return t.platform || t.source;
+  return (t.platform || t.source) + '|' + (t.campaign || '');
+}
+
+/**
+ * Attribute leads created in [from, to] (local dates) and their revenue.
+ * opts: { from, to, model, groupBy: source|platform|campaign, platform }
+ * `platform` keeps only credit that lands on that platform's touches.
+ * Returns rows { key, source, platform, campaign, leads, converted, revenue,
+ * touches } sorted by leads; lead and converted counts are fractional.
+ */
+function attribute({ from, to, model = DEFAULT_MODEL, groupBy = 'source', platform } = {}) {
+  if (!MODELS[model]) throw new Error(`Unknown attribution model: ${model}`);
+  if (!GROUP_BY.includes(groupBy)) throw new Error(`group_by must be one of ${GROUP_BY.join(', ')}`);
+
+  const tz = getConfiguredTimezone();
+  const conditions = [];
+  const params = [];
+  if (from) { conditions.push('l.created_at >= ?'); params.push(localDateToUtcRange(from, tz).start); }
+  if (to) { conditions.push('l.created_at <= ?'); params.push(localDateToUtcRange(to, tz).end); }
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  const leads = db.prepare(`SELECT l.id, l.created_at FROM leads l ${where}`).all(...params);
+  const touchesByLead = {};
+  for (const t of db.prepare(`
+    SELECT t.* FROM touchpoints t JOIN leads l ON l.id = t.lead_id ${where}
+    ORDER BY t.occurred_at, t.id
+  `).iterate(...params)) {
+    t.ms = toMs(t.occurred_at);
+    (touchesByLead[t.lead_id] = touchesByLead[t.lead_id] || []).push(t);
+  }
+  const eventsByLead = {};
+  for (const e of db.prepare(`
+    SELECT ce.lead_id, COALESCE(ce.revenue, 0) AS revenue, COALESCE(ce.conversion_time, ce.created_at) AS at
+    FROM conversion_events ce JOIN leads l ON l.id = ce.lead_id ${where}
+  `).iterate(...params)) {
+    (eventsByLead[e.lead_id] = eventsByLead[e.lead_id] || []).push(e);
+  }
+
+  const rows = {};
+  const credit = (t, field, amount) => {
+    if (!amount || (platform && t.platform !== platform)) return;
+    const key = groupKey(t, groupBy);
+    const row = rows[key] = rows[key] || {
+      key,
+      source: groupBy === 'platform' ? (t.platform || t.source) : t.source,
+      platform: t.platform || null,
+      campaign: groupBy === 'campaign' ? (t.campaign || null) : undefined,
+      leads: 0, converted: 0, revenue: 0, touches: 0
+    };
+    row[field] += amount;
+  };
+
+  for (const lead of leads) {
+    const touches = touchesByLead[lead.id] || [];
+    const leadMs = toMs(lead.created_at);
+    const credited = creditedTouches(touches, leadMs);
+    if (!credited.length) {
+      // Leads from before the log existed and never backfilled
+      credit({ source: 'direct', platform: null, campaign: null }, 'leads', 1);
+      continue;
+    }
+    for (const t of credited) credit(t, 'touches', 1);
+    const weights = modelWeights(model, credited, leadMs);
+    credited.forEach((t, i) => credit(t, 'leads', weights[i]));
+
+    const events = eventsByLead[lead.id] || [];
+    if (events.length) credited.forEach((t, i) => credit(t, 'converted', weights[i]));
+    for (const e of events) {
+      if (!e.revenue) continue;
+      const eventMs = toMs(e.at);
+      const convMs = isNaN(eventMs) ? leadMs : Math.max(eventMs, leadMs);
+      const path = creditedTouches(touches, convMs);
+      const w = modelWeights(model, path, convMs);
+      path.forEach((t, i) => credit(t, 'revenue', e.revenue * w[i]));
+    }
+  }
+
+  const round = v => Math.round(v * 100) / 100;
+  return Object.values(rows)
+    .map(r => ({ ...r, leads: round(r.leads), converted: round(r.converted), revenue: round(r.revenue) }))
+    .sort((a, b) => b.leads - a.leads || b.revenue - a.revenue);
+}
+
+// A lead's full touch path with each touch's lead credit under `model`
+function getLeadJourney(leadId, model = DEFAULT_MODEL) {
+  const lead = db.prepare('SELECT id, created_at FROM leads WHERE id = ?').get(leadId);
+  if (!lead) return null;
+  const touches = db.prepare('SELECT * FROM touchpoints WHERE lead_id = ? ORDER BY occurred_at, id').all(leadId);
+  touches.forEach(t => { t.ms = toMs(t.occurred_at); });
+  const leadMs = toMs(lead.created_at);
+  const credited = creditedTouches(touches, leadMs);
+  const weights = modelWeights(model, credited, leadMs);
+  return touches.map(({ ms, ...t }) => {
+    const i = credited.findIndex(c => c.id === t.id);
+    return { ...t, credit: i === -1 ? 0 : Math.round(weights[i] * 10000) / 10000 };
+  });
+}
+
+module.exports = {
+  MODELS, DEFAULT_MODEL, GROUP_BY, LOOKBACK_DAYS,
+  classifyTouch, recordVisit, recordLeadTouch, recordCallTouch, recordEmailClick,
+  backfillTouchpoints, attribute, getLeadJourney
+};
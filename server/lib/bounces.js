@@ -0,0 +1,515 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../database');
+const subscriptions = require('./subscriptions');
+
+// Bounce and complaint processing. Real bounces arrive long after sendMail
+// returns, as delivery status notifications (RFC 3464 DSNs) in the bounce
+// mailbox, and spam complaints arrive as ARF feedback reports (RFC 5965).
+// Reports come in three ways:
+//   - polling the bounce mailbox over IMAP (email_bounce_source = 'imap')
+//   - a local directory of .eml files (email_bounce_source = 'local'); the
+//     samples in server/fixtures/bounces exercise every path
+//   - POST /api/email/bounces/webhook from a provider (SES via SNS, SendGrid,
+//     Mailgun) or anything that forwards the raw report
+// Each report is matched to email_queue by the original Message-ID (falling
+// back to the latest send to that address), then the queue row, the
+// campaign's counters and the lead's suppression flag are updated.
+
+// A hard bounce or complaint suppresses immediately; soft bounces only after
+// this many within SOFT_BOUNCE_DAYS
+const SOFT_BOUNCE_LIMIT = 3;
+const SOFT_BOUNCE_DAYS = 30;
+// Fallback match when a report has no usable Message-ID
+const MATCH_BY_EMAIL_DAYS = 14;
+
+const EMAIL_RE = /[a-z0-9._%+'-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+
+function getSetting(key, defaultValue) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : defaultValue;
+}
+
+// ============ MIME PARSING ============
+
+function parseHeaders(text) {
+  const headers = {};
+  const unfolded = text.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    if (headers[key] === undefined) headers[key] = value;
+  }
+  return headers;
+}
+
+function parseContentType(value) {
+  const [type, ...rest] = String(value || 'text/plain').split(';');
+  const params = {};
+  for (const part of rest) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    params[part.slice(0, idx).trim().toLowerCase()] = part.slice(idx + 1).trim().replace(/^"|"$/g, '');
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function decodeBody(body, encoding) {
+  const enc = String(encoding || '').toLowerCase();
+  if (enc === 'base64') return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  if (enc === 'quoted-printable') {
+    return body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+  return body;
+}
+
+/**
+ * Parse a raw RFC 5322 message into { headers, contentType, body, parts }.
+ * Multiparts are split recursively; leaf bodies are transfer-decoded.
+ */
+function parseMessage(raw, depth = 0) {
+  const text = String(raw || '');
+  const split = text.search(/\r?\n\r?\n/);
+  const headerText = split === -1 ? text : text.slice(0, split);
+  const body = split === -1 ? '' : text.slice(split).replace(/^\r?\n\r?\n/, '');
+  const headers = parseHeaders(headerText);
+  const contentType = parseContentType(headers['content-type']);
+  const message = { headers, contentType, body, parts: [] };
+
+  if (contentType.type.startsWith('multipart/') && contentType.params.boundary && depth < 5) {
+    const boundary = '--' + contentType.params.boundary;
+    const sections = body.split(boundary).slice(1);
+    for (const section of sections) {
+      if (section.startsWith('--')) break;
+      message.parts.push(parseMessage(section.replace(/^\r?\n/, ''), depth + 1));
+    }
+  } else {
+    message.body = decodeBody(body, headers['content-transfer-encoding']);
+  }
+  return message;
+}
+
+function flattenParts(message) {
+  return [message, ...message.parts.flatMap(flattenParts)];
+}
+
+// delivery-status and feedback-report bodies are header blocks separated by blank lines
+function parseFieldBlocks(body) {
+  return String(body).split(/\r?\n\s*\r?\n/).map(block => parseHeaders(block)).filter(b => Object.keys(b).length);
+}
+
+function normalizeMessageId(value) {
+  const match = String(value || '').match(/<?([^<>\s]+@[^<>\s]+)>?/);
+  return match ? `<${match[1]}>` : null;
+}
+
+function addressOf(value) {
+  const match = String(value || '').replace(/^[a-z0-9-]+;\s*/i, '').match(EMAIL_RE);
+  return match ? match[0].toLowerCase() : null;
+}
+
+// Message-ID of the message that bounced, from the returned copy or headers
+function originalMessageId(parts, outer) {
+  for (const part of parts) {
+    if (part === outer) continue;
+    if (part.contentType.type === 'message/rfc822' || part.contentType.type === 'text/rfc822-headers') {
+      const embedded = parseHeaders(part.body.split(/\r?\n\r?\n/)[0]);
+      if (embedded['message-id']) return normalizeMessageId(embedded['message-id']);
+    }
+  }
+  return null;
+}
+
+// 5.x.x is permanent, except full mailboxes, oversize messages and policy
+// blocks, which say nothing about whether the address exists
+function classifyStatus(status, action) {
+  const code = String(status || '').match(/([245])\.(\d{1,3})\.(\d{1,3})/);
+  if (!code) return String(action).toLowerCase() === 'failed' ? 'hard' : 'soft';
+  if (code[1] !== '5') return 'soft';
+  if (code[2] === '7' || (code[2] === '2' && code[3] === '2') || (code[2] === '3' && code[3] === '4')) return 'soft';
+  return 'hard';
+}
+
+/**
+ * Turn a raw inbound message into bounce/complaint events:
+ * [{ type: 'hard'|'soft'|'complaint', email, message_id, status, diagnostic, ref }]
+ * Returns [] for anything that isn't a failure report (auto-replies, delays).
+ */
+function parseReport(raw) {
+  const message = parseMessage(raw);
+  const parts = flattenParts(message);
+  const reportType = String(message.contentType.params['report-type'] || '').toLowerCase();
+  const refBase = normalizeMessageId(message.headers['message-id']) || crypto.createHash('sha1').update(String(raw)).digest('hex');
+  const messageId = originalMessageId(parts, message);
+
+  // ARF spam complaint
+  const feedback = parts.find(p => p.contentType.type === 'message/feedback-report');
+  if (reportType === 'feedback-report' || feedback) {
+    const fields = feedback ? Object.assign({}, ...parseFieldBlocks(feedback.body)) : {};
+    if (String(fields['feedback-type'] || 'abuse').toLowerCase() === 'not-spam') return [];
+    const returned = parts.find(p => p.contentType.type === 'message/rfc822' || p.contentType.type === 'text/rfc822-headers');
+    const email = addressOf(fields['original-rcpt-to'])
+      || (returned && addressOf(parseHeaders(returned.body.split(/\r?\n\r?\n/)[0]).to));
+    return [{
+      type: 'complaint',
+      email,
+      message_id: messageId,
+      status: null,
+      diagnostic: `Complaint (${fields['feedback-type'] || 'abuse'}) via ${fields['user-agent'] || 'feedback loop'}`,
+      ref: `${refBase}:complaint`
+    }];
+  }
+
+  // RFC 3464 delivery status notification
+  const status = parts.find(p => p.contentType.type === 'message/delivery-status');
+  if (status) {
+    const [, ...recipients] = parseFieldBlocks(status.body);
+    return recipients
+      .filter(r => String(r.action || '').toLowerCase() === 'failed')
+      .map(r => {
+        const email = addressOf(r['final-recipient']) || addressOf(r['original-recipient']);
+        return {
+          type: classifyStatus(r.status, r.action),
+          email,
+          message_id: messageId,
+          status: r.status || null,
+          diagnostic: (r['diagnostic-code'] || '').replace(/^smtp;\s*/i, '') || null,
+          ref: `${refBase}:${email}`
+        };
+      })
+      .filter(e => e.email);
+  }
+
+  // Non-standard bounce (older MTAs, some hosted mailboxes): only trusted when
+  // it comes from a mailer daemon and carries an SMTP error code
+  const from = String(message.headers.from || '').toLowerCase();
+  const subject = String(message.headers.subject || '');
+  if (!/mailer-daemon|postmaster/.test(from) && !/undeliver|delivery (status notification|failure)|returned mail|failure notice/i.test(subject)) {
+    return [];
+  }
+  const text = parts.filter(p => !p.parts.length).map(p => p.body).join('\n');
+  const code = text.match(/\b([45]\.\d{1,3}\.\d{1,3})\b/) || text.match(/\b([45]\d\d)[ -]/);
+  if (!code) return [];
+  const ownAddresses = [from, String(message.headers.to || '').toLowerCase()];
+  const emails = (text.match(new RegExp(EMAIL_RE.source, 'gi')) || [])
+    .map(e => e.toLowerCase())
+    .filter(e => !/mailer-daemon|postmaster/.test(e) && !ownAddresses.some(a => a.includes(e)));
+  const bodyMessageId = text.match(/^Message-ID:\s*(<[^>]+>)/im);
+  if (!emails.length) return [];
+  return [{
+    type: classifyStatus(code[1].includes('.') ? code[1] : `${code[1][0]}.0.0`, 'failed'),
+    email: emails[0],
+    message_id: messageId || (bodyMessageId && normalizeMessageId(bodyMessageId[1])),
+    status: code[1],
+    diagnostic: subject || null,
+    ref: `${refBase}:${emails[0]}`
+  }];
+}
+
+// ============ PROVIDER WEBHOOKS ============
+
+function headerValue(headers, name) {
+  if (!Array.isArray(headers)) return null;
+  const found = headers.find(h => String(h.name).toLowerCase() === name);
+  return found ? found.value : null;
+}
+
+/**
+ * Normalize a webhook body into events. Understands Amazon SES (through SNS),
+ * SendGrid and Mailgun payloads, and raw DSN/ARF messages posted as text.
+ * SNS subscription confirmations come back as { confirm: url }.
+ */
+function parseWebhook(body) {
+  if (typeof body === 'string') {
+    const trimmed = body.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return { events: parseReport(body) };
+    try {
+      body = JSON.parse(trimmed);
+    } catch (e) {
+      return { events: parseReport(body) };
+    }
+  }
+  if (!body || typeof body !== 'object') return { events: [] };
+
+  // Amazon SNS envelope around an SES notification
+  if (body.Type === 'SubscriptionConfirmation' && body.SubscribeURL) return { events: [], confirm: body.SubscribeURL };
+  if (body.Type === 'Notification' && typeof body.Message === 'string') {
+    try {
+      return parseWebhook(JSON.parse(body.Message));
+    } catch (e) {
+      return { events: [] };
+    }
+  }
+
+  // Amazon SES
+  const sesType = body.notificationType || body.eventType;
+  if (sesType === 'Bounce' || sesType === 'Complaint') {
+    const mail = body.mail || {};
+    const messageId = normalizeMessageId((mail.commonHeaders && mail.commonHeaders.messageId) || headerValue(mail.headers, 'message-id'));
+    if (sesType === 'Complaint') {
+      const complaint = body.complaint || {};
+      return {
+        events: (complaint.complainedRecipients || []).map(r => ({
+          type: 'complaint',
+          email: addressOf(r.emailAddress),
+          message_id: messageId,
+          status: null,
+          diagnostic: `Complaint (${complaint.complaintFeedbackType || 'abuse'}) via SES`,
+          ref: `ses:${complaint.feedbackId || mail.messageId}:${r.emailAddress}`
+        }))
+      };
+    }
+    const bounce = body.bounce || {};
+    return {
+      events: (bounce.bouncedRecipients || []).map(r => ({
+        type: bounce.bounceType === 'Permanent' ? classifyStatus(r.status || '5.0.0', 'failed') : 'soft',
+        email: addressOf(r.emailAddress),
+        message_id: messageId,
+        status: r.status || null,
+        diagnostic: r.diagnosticCode || `${bounce.bounceType} / ${bounce.bounceSubType}`,
+        ref: `ses:${bounce.feedbackId || mail.messageId}:${r.emailAddress}`
+      }))
+    };
+  }
+
+  // Mailgun
+  if (body['event-data']) {
+    const data = body['event-data'];
+    const headers = (data.message && data.message.headers) || {};
+    const messageId = normalizeMessageId(headers['message-id']);
+    const delivery = data['delivery-status'] || {};
+    if (data.event === 'complained') {
+      return { events: [{ type: 'complaint', email: addressOf(data.recipient), message_id: messageId, status: null, diagnostic: 'Complaint via Mailgun', ref: `mailgun:${data.id}` }] };
+    }
+    if (data.event === 'failed') {
+      return {
+        events: [{
+          type: data.severity === 'permanent' ? classifyStatus(delivery['enhanced-code'] || delivery.code, 'failed') : 'soft',
+          email: addressOf(data.recipient),
+          message_id: messageId,
+          status: delivery['enhanced-code'] || (delivery.code ? String(delivery.code) : null),
+          diagnostic: delivery.message || delivery.description || data.reason || null,
+          ref: `mailgun:${data.id}`
+        }]
+      };
+    }
+    return { events: [] };
+  }
+
+  // SendGrid posts batches of events
+  if (Array.isArray(body)) {
+    return {
+      events: body.flatMap(e => {
+        const messageId = normalizeMessageId(e['smtp-id']);
+        if (e.event === 'spamreport') {
+          return [{ type: 'complaint', email: addressOf(e.email), message_id: messageId, status: null, diagnostic: 'Complaint via SendGrid', ref: `sendgrid:${e.sg_event_id}` }];
+        }
+        if (e.event === 'bounce') {
+          return [{
+            type: e.type === 'blocked' ? 'soft' : classifyStatus(e.status || '5.0.0', 'failed'),
+            email: addressOf(e.email),
+            message_id: messageId,
+            status: e.status || null,
+            diagnostic: e.reason || null,
+            ref: `sendgrid:${e.sg_event_id}`
+          }];
+        }
+        return [];
+      })
+    };
+  }
+
+  return { events: [] };
+}
+
+// ============ APPLYING EVENTS ============
+
+function findQueueRow(event) {
+  if (event.message_id) {
+    const bare = event.message_id.replace(/^<|>$/g, '');
+    const row = db.prepare(`
+      SELECT * FROM email_queue WHERE message_id IN (?, ?) ORDER BY id DESC LIMIT 1
+    `).get(event.message_id, bare);
+    if (row) return row;
+  }
+  if (!event.email) return null;
+  return db.prepare(`
+    SELECT * FROM email_queue
+    WHERE LOWER(to_email) = ? AND status IN ('sent', 'bounced') AND sent_at > datetime('now', ?)
+    ORDER BY sent_at DESC, id DESC LIMIT 1
+  `).get(event.email, `-${MATCH_BY_EMAIL_DAYS} days`);
+}
+
+// Suppression is per address: every lead with it stops getting email
+function suppressAddress(email, reason) {
+  return db.prepare(`
+    UPDATE leads SET email_suppressed = 1, email_suppressed_reason = ?, email_suppressed_at = CURRENT_TIMESTAMP
+    WHERE LOWER(email) = ? AND COALESCE(email_suppressed, 0) = 0
+  `).run(reason, email).changes;
+}
+
+/**
+ * Record one event and apply it. Returns { status: 'recorded'|'duplicate'|'ignored',
+ * queue_id, suppressed } — duplicates (the same report processed twice) are no-ops.
+ */
+function applyEvent(event, source) {
+  if (!event.email && !event.message_id) return { status: 'ignored' };
+  if (event.ref && db.prepare('SELECT 1 FROM email_bounce_events WHERE source_ref = ?').get(event.ref)) {
+    return { status: 'duplicate' };
+  }
+
+  return db.transaction(() => {
+    const row = findQueueRow(event);
+    const email = event.email || (row && row.to_email.toLowerCase());
+    let suppressed = 0;
+
+    if (row && event.type === 'complaint') {
+      if (!row.complained_at) {
+        db.prepare('UPDATE email_queue SET complained_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+        if (row.campaign_id) db.prepare('UPDATE email_campaigns SET complaint_count = complaint_count + 1 WHERE id = ?').run(row.campaign_id);
+      }
+    } else if (row) {
+      // A later hard bounce upgrades an earlier soft one on the same send
+      if (row.status !== 'bounced' || (row.bounce_type === 'soft' && event.type === 'hard')) {
+        db.prepare(`
+          UPDATE email_queue SET status = 'bounced', bounce_type = ?, bounced_at = CURRENT_TIMESTAMP, error_message = ? WHERE id = ?
+        `).run(event.type, [event.status, event.diagnostic].filter(Boolean).join(' ') || null, row.id);
+        if (row.campaign_id && row.status !== 'bounced') {
+          db.prepare('UPDATE email_campaigns SET bounce_count = bounce_count + 1 WHERE id = ?').run(row.campaign_id);
+        }
+      }
+    }
+
+    db.prepare(`
+      INSERT INTO email_bounce_events (event_type, email, queue_id, campaign_id, lead_id, message_id, status_code, diagnostic, source, source_ref)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      event.type, email || null, row ? row.id : null, row ? row.campaign_id : null, row ? row.lead_id : null,
+      event.message_id || null, event.status || null, event.diagnostic ? String(event.diagnostic).slice(0, 1000) : null,
+      source, event.ref || null
+    );
+
+    if (email) {
+      if (event.type === 'hard') {
+        suppressed = suppressAddress(email, 'hard_bounce');
+      } else if (event.type === 'complaint') {
+        suppressed = suppressAddress(email, 'complaint');
+        // A complaint is also an unsubscribe from all email
+        const leads = db.prepare('SELECT id FROM leads WHERE LOWER(email) = ? AND COALESCE(email_unsubscribed, 0) = 0').all(email);
+        for (const lead of leads) {
+          subscriptions.updatePreferences(lead.id, { unsubscribe_all: true }, {
+            source: 'complaint', campaign_id: row ? row.campaign_id : null, queue_id: row ? row.id : null
+          });
+        }
+      } else {
+        const { soft } = db.prepare(`
+          SELECT COUNT(*) AS soft FROM email_bounce_events
+          WHERE email = ? AND event_type = 'soft' AND created_at > datetime('now', ?)
+        `).get(email, `-${SOFT_BOUNCE_DAYS} days`);
+        if (soft >= SOFT_BOUNCE_LIMIT) suppressed = suppressAddress(email, 'soft_bounce_limit');
+      }
+    }
+
+    return { status: 'recorded', queue_id: row ? row.id : null, suppressed };
+  })();
+}
+
+// Parse and apply one raw report; returns a per-report summary
+function processRaw(raw, source) {
+  const summary = { events: 0, recorded: 0, duplicates: 0, matched: 0, suppressed: 0 };
+  for (const event of parseReport(raw)) {
+    summary.events++;
+    const result = applyEvent(event, source);
+    if (result.status === 'recorded') summary.recorded++;
+    if (result.status === 'duplicate') summary.duplicates++;
+    if (result.queue_id) summary.matched++;
+    summary.suppressed += result.suppressed || 0;
+  }
+  return summary;
+}
+
+function addSummary(total, part) {
+  for (const key of Object.keys(part)) total[key] = (total[key] || 0) + part[key];
+  return total;
+}
+
+// ============ MAILBOX SOURCES ============
+
+function getMailboxConfig() {
+  const { decrypt } = require('./smtp');
+  return {
+    source: getSetting('email_bounce_source', 'none'),
+    imap: {
+      host: getSetting('email_bounce_imap_host', ''),
+      port: parseInt(getSetting('email_bounce_imap_port', '993')) || 993,
+      secure: getSetting('email_bounce_imap_secure', '1') === '1',
+      user: getSetting('email_bounce_imap_user', ''),
+      pass: decrypt(getSetting('email_bounce_imap_pass', '')) || '',
+      mailbox: getSetting('email_bounce_imap_mailbox', 'INBOX')
+    },
+    localDir: getSetting('email_bounce_local_dir', '')
+  };
+}
+
+// Every .eml in a directory; already-processed reports are skipped as duplicates
+function processLocalMailbox(dir) {
+  const resolved = path.resolve(__dirname, '..', dir);
+  if (!fs.existsSync(resolved)) throw new Error(`Bounce mailbox directory not found: ${dir}`);
+  const total = { messages: 0 };
+  for (const file of fs.readdirSync(resolved).filter(f => f.endsWith('.eml')).sort()) {
+    total.messages++;
+    addSummary(total, processRaw(fs.readFileSync(path.join(resolved, file), 'utf8'), 'local'));
+  }
+  return total;
+}
+
+async function processImapMailbox(imap) {
+  if (!imap.host || !imap.user) throw new Error('Bounce mailbox IMAP host and user are required');
+  const total = { messages: 0 };
+  await require('./imap').processUnseen(imap, async (raw) => {
+    total.messages++;
+    addSummary(total, processRaw(raw, 'imap'));
+  });
+  return total;
+}
+
+let polling = false;
+
+/**
+ * Drain whichever mailbox is configured. Called by the email worker on a
+ * timer and by POST /api/email/bounces/process. Returns null when no mailbox
+ * source is configured or a poll is already running.
+ */
+async function pollMailbox() {
+  const config = getMailboxConfig();
+  if (config.source !== 'imap' && config.source !== 'local') return null;
+  if (polling) return null;
+  polling = true;
+  try {
+    const result = config.source === 'imap'
+      ? await processImapMailbox(config.imap)
+      : processLocalMailbox(config.localDir);
+    if (result.recorded) console.log(`Bounce processing: ${result.recorded} event(s) from ${result.messages} message(s)`);
+    return { source: config.source, ...result };
+  } finally {
+    polling = false;
+  }
+}
+
+// Shared key that authenticates POST /api/email/bounces/webhook
+function getWebhookKey() {
+  let key = getSetting('email_bounce_webhook_key', null);
+  if (!key) {
+    key = crypto.randomBytes(24).toString('hex');
+    db.prepare("INSERT OR REPLACE INTO settings (key, value) VALUES ('email_bounce_webhook_key', ?)").run(key);
+  }
+  return key;
+}
+
+module.exports = {
+  SOFT_BOUNCE_LIMIT, classifyStatus, parseMessage, parseReport, parseWebhook, applyEvent, processRaw,
+  processLocalMailbox, processImapMailbox, pollMailbox, getMailboxConfig, getWebhookKey, suppressAddress
+};
@@ -0,0 +1,393 @@
+const db = require('../database');
+
+// Block-based email templates. A template's `blocks` JSON is a list of rows;
+// each row has 1-4 columns and each column a list of blocks (text, button,
+// image, divider, spacer, conditional). It compiles to table-based HTML that
+// holds up in Outlook (MSO ghost tables around fluid inline-block columns
+// that stack on phones) plus a plain-text alternative.
+//
+// Conditional blocks compile to {{#if ...}} sections rather than being
+// decided here, so the same html_body works for every lead:
+// resolveVariables() evaluates them per recipient at send time.
+//
+//   { settings: { width, background, content_background, font_family, text_color,
+//                 link_color, brand_header, brand_footer },
+//     rows: [{ background, padding, columns: [{ width: 50, blocks: [...] }] }] }
+
+const BLOCK_TYPES = ['text', 'button', 'image', 'divider', 'spacer', 'conditional'];
+const CONDITION_OPERATORS = ['exists', 'not_exists', 'equals', 'not_equals', 'contains', 'gt', 'lt'];
+const MAX_COLUMNS = 4;
+const MOBILE_BREAKPOINT = 480;
+
+const DEFAULT_SETTINGS = {
+  width: 600,
+  background: '#f3f4f6',
+  content_background: '#ffffff',
+  font_family: 'Arial, Helvetica, sans-serif',
+  text_color: '#1f2937',
+  link_color: '#2563eb',
+  brand_header: true,
+  brand_footer: true
+};
+
+// ============ CONDITIONAL SECTIONS ============
+
+// {{#if field}}, {{#if field == "x"}}, != "x", contains "x", > 10, < 10, >= , <=
+const CONDITION_RE = /^\s*(\w+)\s*(?:(==|!=|>=|<=|>|<|contains)\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?\s*$/;
+// Innermost section first: its body contains no other opening tag
+const SECTION_RE = /\{\{#(if|unless)\s+([^}]*)\}\}((?:(?!\{\{#(?:if|unless)\s)[\s\S])*?)\{\{\/\1\}\}/;
+
+function toNumber(value) {
+  const match = String(value ?? '').replace(/[,$]/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+function evaluateCondition(expression, lookup) {
+  const m = String(expression).match(CONDITION_RE);
+  if (!m) return false;
+  const [, field, op, dq, sq, bare] = m;
+  const raw = lookup(field);
+  const actual = raw === undefined || raw === null ? '' : String(raw).trim();
+  if (!op) return actual !== '' && actual !== '0' && actual.toLowerCase() !== 'false';
+
+  const expected = dq !== undefined ? dq : sq !== undefined ? sq : bare;
+  switch (op) {
+    case '==': return actual.toLowerCase() === expected.toLowerCase();
+    case '!=': return actual.toLowerCase() !== expected.toLowerCase();
+    case 'contains': return actual.toLowerCase().includes(expected.toLowerCase());
+    default: {
+      const a = toNumber(actual);
+      const b = toNumber(expected);
+      if (isNaN(a) || isNaN(b)) return false;
+      return op === '>' ? a > b : op === '<' ? a < b : op === '>=' ? a >= b : a <= b;
+    }
+  }
+}
+
+/**
+ * Resolve {{#if}} / {{#unless}} sections (with optional {{else}}) against a
+ * field lookup. Sections nest; an unparseable condition counts as false.
+ */
+function renderConditionals(text, lookup) {
+  if (!text || !text.includes('{{#')) return text;
+  let out = text;
+  let m;
+  while ((m = out.match(SECTION_RE))) {
+    const [whole, kind, expression, body] = m;
+    const [truthy, falsy = ''] = body.split('{{else}}');
+    const pass = evaluateCondition(expression, lookup) !== (kind === 'unless');
+    out = out.slice(0, m.index) + (pass ? truthy : falsy) + out.slice(m.index + whole.length);
+  }
+  return out;
+}
+
+function conditionTag(block) {
+  const field = String(block.field || '').replace(/\W/g, '');
+  const value = String(block.value ?? '').replace(/"/g, "'");
+  switch (block.operator) {
+    case 'not_exists': return `{{#unless ${field}}}`;
+    case 'equals': return `{{#if ${field} == "${value}"}}`;
+    case 'not_equals': return `{{#if ${field} != "${value}"}}`;
+    case 'contains': return `{{#if ${field} contains "${value}"}}`;
+    case 'gt': return `{{#if ${field} > ${toNumber(value) || 0}}}`;
+    case 'lt': return `{{#if ${field} < ${toNumber(value) || 0}}}`;
+    default: return `{{#if ${field}}}`;
+  }
+}
+
+// ============ VALIDATION ============
+
+function validateBlocks(blocks, path) {
+  if (!Array.isArray(blocks)) return `${path} must be an array`;
+  for (let i = 0; i < blocks.length; i++) {
+    const b = blocks[i];
+    const at = `${path}[${i}]`;
+    if (!b || !BLOCK_TYPES.includes(b.type)) return `${at}: unknown block type ${b && b.type}`;
+    if (b.type === 'button' && (!b.text || !b.url)) return `${at}: buttons need text and a url`;
+    if (b.type === 'image' && !b.src) return `${at}: images need a src`;
+    if (b.type === 'conditional') {
+      if (!/^\w+$/.test(String(b.field || ''))) return `${at}: conditional blocks need a lead field`;
+      if (b.operator && !CONDITION_OPERATORS.includes(b.operator)) return `${at}: unknown operator ${b.operator}`;
+      const err = validateBlocks(b.blocks || [], `${at}.blocks`) || validateBlocks(b.else_blocks || [], `${at}.else_blocks`);
+      if (err) return err;
+    }
+  }
+  return null;
+}
+
+function validateRows(rows, path = 'rows') {
+  if (!Array.isArray(rows)) return `${path} must be an array`;
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || !Array.isArray(row.columns) || row.columns.length === 0) return `${path}[${i}] needs at least one column`;
+    if (row.columns.length > MAX_COLUMNS) return `${path}[${i}] has more than ${MAX_COLUMNS} columns`;
+    for (let c = 0; c < row.columns.length; c++) {
+      const err = validateBlocks(row.columns[c].blocks || [], `${path}[${i}].columns[${c}].blocks`);
+      if (err) return err;
+    }
+  }
+  return null;
+}
+
+// Returns an error message, or null when the document is usable
+function validateDocument(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return 'blocks must be an object with rows';
+  return validateRows(doc.rows);
+}
+
+// ============ HTML RENDERING ============
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Only literal colours/sizes reach a style attribute
+function color(value, fallback) {
+  return /^#[0-9a-f]{3,8}$|^[a-z]+$|^rgba?\([\d\s.,%]+\)$/i.test(String(value || '')) ? value : fallback;
+}
+
+function px(value, fallback, max = 2000) {
+  const n = parseInt(value);
+  return n >= 0 && n <= max ? n : fallback;
+}
+
+function align(value) {
+  return ['left', 'center', 'right'].includes(value) ? value : 'left';
+}
+
+// Text content may carry inline markup (<b>, <a>, <br>...). Plain text with
+// newlines is turned into paragraphs.
+function textHtml(content) {
+  const text = String(content || '');
+  if (/<[a-z][\s\S]*>/i.test(text)) return text;
+  return text.split(/\n{2,}/).map(p => esc(p).replace(/\n/g, '<br>')).join('</p><p style="margin:0 0 12px;">');
+}
+
+function renderBlock(block, ctx, innerWidth) {
+  const pad = `padding:${px(block.padding, 10, 200)}px 25px;`;
+  switch (block.type) {
+    case 'text': {
+      const size = px(block.font_size, block.style === 'heading' ? 24 : 16, 72);
+      const weight = block.style === 'heading' ? 'bold' : 'normal';
+      return `<tr><td align="${align(block.align)}" style="${pad}font-family:${ctx.font};font-size:${size}px;line-height:1.5;font-weight:${weight};color:${color(block.color, ctx.textColor)};text-align:${align(block.align)};">` +
+        `<p style="margin:0 0 12px;">${textHtml(block.content)}</p></td></tr>`;
+    }
+    case 'button': {
+      const bg = color(block.background, '#2563eb');
+      const fg = color(block.color, '#ffffff');
+      // Padding lives on the cell, not the link, so Outlook keeps the shape
+      return `<tr><td align="${align(block.align || 'center')}" style="${pad}">` +
+        `<table role="presentation" border="0" cellpadding="0" cellspacing="0" style="border-collapse:separate;">` +
+        `<tr><td align="center" bgcolor="${bg}" style="border-radius:${px(block.radius, 6, 50)}px;background:${bg};padding:12px 24px;">` +
+        `<a href="${esc(block.url)}" target="_blank" style="display:inline-block;font-family:${ctx.font};font-size:16px;font-weight:bold;color:${fg};text-decoration:none;">${esc(block.text)}</a>` +
+        `</td></tr></table></td></tr>`;
+    }
+    case 'image': {
+      const width = Math.min(px(block.width, innerWidth), innerWidth);
+      const img = `<img src="${esc(block.src)}" alt="${esc(block.alt)}" width="${width}" style="display:block;width:100%;max-width:${width}px;height:auto;border:0;outline:none;text-decoration:none;">`;
+      return `<tr><td align="${align(block.align || 'center')}" style="${pad}">` +
+        (block.url ? `<a href="${esc(block.url)}" target="_blank">${img}</a>` : img) + '</td></tr>';
+    }
+    case 'divider':
+      return `<tr><td style="${pad}"><table role="presentation" border="0" cellpadding="0" cellspacing="0" width="100%">` +
+        `<tr><td style="border-top:${px(block.thickness, 1, 20)}px solid ${color(block.color, '#e5e7eb')};font-size:1px;line-height:1px;">&nbsp;</td></tr></table></td></tr>`;
+    case 'spacer': {
+      const height = px(block.height, 20, 400);
+      return `<tr><td style="height:${height}px;font-size:${height}px;line-height:${height}px;">&nbsp;</td></tr>`;
+    }
+    case 'conditional': {
+      const inner = renderBlocks(block.blocks || [], ctx, innerWidth);
+      const otherwise = renderBlocks(block.else_blocks || [], ctx, innerWidth);
+      const close = block.operator === 'not_exists' ? '{{/unless}}' : '{{/if}}';
+      return conditionTag(block) + inner + (otherwise ? '{{else}}' + otherwise : '') + close;
+    }
+    default:
+      return '';
+  }
+}
+
+function renderBlocks(blocks, ctx, innerWidth) {
+  return blocks.map(b => renderBlock(b, ctx, innerWidth)).join('');
+}
+
+function columnWidths(columns) {
+  const given = columns.map(c => parseFloat(c.width) || 0);
+  const total = given.reduce((a, b) => a + b, 0);
+  if (given.every(w => w > 0) && total > 0) return given.map(w => w / total);
+  return columns.map(() => 1 / columns.length);
+}
+
+function renderRow(row, ctx) {
+  const bg = color(row.background, ctx.contentBackground);
+  const fractions = columnWidths(row.columns);
+  const padding = px(row.padding, 10, 200);
+  const inner = ctx.width;
+
+  const columns = row.columns.map((col, i) => {
+    const colWidth = Math.floor(inner * fractions[i]);
+    return {
+      width: colWidth,
+      html: `<div class="col" style="display:inline-block;vertical-align:top;width:100%;max-width:${colWidth}px;font-size:0;">` +
+        `<table role="presentation" border="0" cellpadding="0" cellspacing="0" width="100%">` +
+        renderBlocks(col.blocks || [], ctx, colWidth - 50) + '</table></div>'
+    };
+  });
+
+  // Outlook ignores max-width on divs: give it a real table of fixed cells
+  const ghostOpen = `<!--[if mso | IE]><table role="presentation" border="0" cellpadding="0" cellspacing="0" width="${inner}"><tr><td width="${columns[0].width}" valign="top"><![endif]-->`;
+  const ghostSplit = columns.slice(1).map(c => `<!--[if mso | IE]></td><td width="${c.width}" valign="top"><![endif]-->`);
+  const ghostClose = '<!--[if mso | IE]></td></tr></table><![endif]-->';
+  const body = columns.map((c, i) => (i === 0 ? '' : ghostSplit[i - 1]) + c.html).join('');
+
+  return `<tr><td bgcolor="${bg}" style="background:${bg};padding:${padding}px 0;font-size:0;text-align:center;">` +
+    ghostOpen + body + ghostClose + '</td></tr>';
+}
+
+function renderRows(rows, ctx) {
+  return rows.map(row => renderRow(row, ctx)).join('');
+}
+
+function renderContext(settings) {
+  return {
+    width: Math.min(Math.max(px(settings.width, DEFAULT_SETTINGS.width), 320), 800),
+    font: String(settings.font_family || DEFAULT_SETTINGS.font_family).replace(/[^\w\s,'-]/g, ''),
+    textColor: color(settings.text_color, DEFAULT_SETTINGS.text_color),
+    linkColor: color(settings.link_color, DEFAULT_SETTINGS.link_color),
+    background: color(settings.background, DEFAULT_SETTINGS.background),
+    contentBackground: color(settings.content_background, DEFAULT_SETTINGS.content_background)
+  };
+}
+
+// ============ PLAIN TEXT RENDERING ============
+
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (m, url, label) => `${label.replace(/<[^>]+>/g, '')} (${url})`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+    .trim();
+}
+
+function blockText(block) {
+  switch (block.type) {
+    case 'text': return htmlToText(textHtml(block.content));
+    case 'button': return `${block.text}: ${block.url}`;
+    case 'image': return block.alt ? `[${block.alt}]${block.url ? ` (${block.url})` : ''}` : '';
+    case 'divider': return '----------------------------------------';
+    case 'conditional': {
+      const inner = blocksText(block.blocks || []);
+      const otherwise = blocksText(block.else_blocks || []);
+      const close = block.operator === 'not_exists' ? '{{/unless}}' : '{{/if}}';
+      return conditionTag(block) + inner + (otherwise ? '{{else}}' + otherwise : '') + close;
+    }
+    default: return '';
+  }
+}
+
+function blocksText(blocks) {
+  return blocks.map(blockText).filter(Boolean).join('\n\n');
+}
+
+function rowsText(rows) {
+  return rows.map(row => row.columns.map(col => blocksText(col.blocks || [])).filter(Boolean).join('\n\n')).filter(Boolean).join('\n\n');
+}
+
+// ============ BRAND HEADER / FOOTER ============
+
+function readRows(key) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  try {
+    const rows = row ? JSON.parse(row.value) : [];
+    return Array.isArray(rows) && !validateRows(rows) ? rows : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Shared rows placed above/below every block template that opts in
+function getBrand() {
+  return { header: readRows('email_brand_header'), footer: readRows('email_brand_footer') };
+}
+
+// ============ DOCUMENT ============
+
+/**
+ * Compile a block document to { html_body, text_body }. Both still contain
+ * {{variables}} and {{#if}} sections for resolveVariables() to fill per lead.
+ */
+function renderDocument(doc, brand = getBrand()) {
+  const settings = { ...DEFAULT_SETTINGS, ...(doc.settings || {}) };
+  const ctx = renderContext(settings);
+  const rows = [
+    ...(settings.brand_header ? brand.header : []),
+    ...(doc.rows || []),
+    ...(settings.brand_footer ? brand.footer : [])
+  ];
+
+  const html = `<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="X-UA-Compatible" content="IE=edge">
+<!--[if mso]><noscript><xml><o:OfficeDocumentSettings><o:PixelsPerInch>96</o:PixelsPerInch></o:OfficeDocumentSettings></xml></noscript><![endif]-->
+<style type="text/css">
+  body { margin: 0; padding: 0; -webkit-text-size-adjust: 100%; -ms-text-size-adjust: 100%; }
+  table, td { border-collapse: collapse; mso-table-lspace: 0pt; mso-table-rspace: 0pt; }
+  img { border: 0; line-height: 100%; outline: none; -ms-interpolation-mode: bicubic; }
+  a { color: ${ctx.linkColor}; }
+  @media only screen and (max-width: ${MOBILE_BREAKPOINT}px) {
+    .col { max-width: 100% !important; width: 100% !important; }
+    .container { width: 100% !important; }
+  }
+</style>
+</head>
+<body style="margin:0;padding:0;background:${ctx.background};">
+<table role="presentation" border="0" cellpadding="0" cellspacing="0" width="100%" bgcolor="${ctx.background}" style="background:${ctx.background};">
+<tr><td align="center" style="padding:20px 0;">
+<!--[if mso | IE]><table role="presentation" border="0" cellpadding="0" cellspacing="0" width="${ctx.width}"><tr><td><![endif]-->
+<table role="presentation" class="container" border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width:${ctx.width}px;margin:0 auto;">
+${renderRows(rows, ctx)}
+</table>
+<!--[if mso | IE]></td></tr></table><![endif]-->
+</td></tr>
+</table>
+</body>
+</html>`;
+
+  return { html_body: html, text_body: rowsText(rows) };
+}
+
+function parseDocument(raw) {
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Re-render every block template, e.g. after the brand header/footer changes
+function recompileTemplates() {
+  const brand = getBrand();
+  const templates = db.prepare('SELECT id, blocks FROM email_templates WHERE blocks IS NOT NULL').all();
+  const update = db.prepare('UPDATE email_templates SET html_body = ?, text_body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  let count = 0;
+  for (const t of templates) {
+    const doc = parseDocument(t.blocks);
+    if (!doc || validateDocument(doc)) continue;
+    const { html_body, text_body } = renderDocument(doc, brand);
+    update.run(html_body, text_body, t.id);
+    count++;
+  }
+  return count;
+}
+
+module.exports = {
+  BLOCK_TYPES, CONDITION_OPERATORS, DEFAULT_SETTINGS, MOBILE_BREAKPOINT,
+  evaluateCondition, renderConditionals, validateDocument, validateRows,
+  renderDocument, parseDocument, getBrand, recompileTemplates, htmlToText
+};
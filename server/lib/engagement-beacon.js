@@ -0,0 +1,162 @@
+// Engagement beacon — browser-only. generateLandingPage / generateArticlePage
+// inline this before </body> (see lib/visitor-events.js). Batches page_view,
+// scroll_depth, section_visible, form_field_focus, form_abandon and phone_click
+// events for the current tab session and posts them to /api/visitors/events,
+// plus the visible (engaged) time so far. Uses text/plain bodies because
+// sendBeacon with application/json is rejected by some browsers.
+(function () {
+  if (window._engagementBeacon) return;
+  window._engagementBeacon = true;
+
+  var ENDPOINT = '/api/visitors/events';
+  var FLUSH_MS = 10000;
+  var SCROLL_MARKS = [25, 50, 75, 90, 100];
+
+  var queue = [];
+  var sessionId;
+  try { sessionId = sessionStorage.getItem('_esid_'); } catch (e) {}
+  if (!sessionId) {
+    sessionId = 's_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+    try { sessionStorage.setItem('_esid_', sessionId); } catch (e) {}
+  }
+
+  var engagedMs = 0;
+  var visibleSince = document.visibilityState === 'hidden' ? null : Date.now();
+  function engaged() {
+    return engagedMs + (visibleSince ? Date.now() - visibleSince : 0);
+  }
+
+  function visitorId() {
+    if (window._eliClickId) return window._eliClickId;
+    var el = document.getElementById('eli_clickid');
+    if (el && el.value) return el.value;
+    try { return localStorage.getItem('_vid_') || ''; } catch (e) { return ''; }
+  }
+
+  function track(type, value) {
+    queue.push({ type: type, value: value === undefined || value === null ? '' : String(value).slice(0, 100), t: Date.now() });
+    if (queue.length >= 50) flush(false);
+  }
+
+  function flush(unloading) {
+    var eli = visitorId();
+    // Nothing to tie events to yet (tracking script hasn't run); keep them queued
+    if (!eli || (!queue.length && !unloading)) return;
+    var body = JSON.stringify({
+      eli_clickid: eli,
+      session_id: sessionId,
+      landing_page: window.location.pathname,
+      ab_variant: window._abVariant || '',
+      engaged_ms: engaged(),
+      sent_at: Date.now(),
+      events: queue.splice(0, queue.length)
+    });
+    if (unloading && navigator.sendBeacon) {
+      navigator.sendBeacon(ENDPOINT, new Blob([body], { type: 'text/plain' }));
+      return;
+    }
+    try {
+      fetch(ENDPOINT, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: body, keepalive: true }).catch(function () {});
+    } catch (e) {}
+  }
+
+  track('page_view', document.referrer ? 'referred' : 'direct');
+
+  // Scroll depth — each mark once per page view
+  var scrollSent = {};
+  function onScroll() {
+    var doc = document.documentElement;
+    var scrollable = Math.max(doc.scrollHeight, document.body ? document.body.scrollHeight : 0) - window.innerHeight;
+    var pct = scrollable <= 0 ? 100 : Math.round((window.pageYOffset || doc.scrollTop || 0) / scrollable * 100);
+    for (var i = 0; i < SCROLL_MARKS.length; i++) {
+      if (pct >= SCROLL_MARKS[i] && !scrollSent[SCROLL_MARKS[i]]) {
+        scrollSent[SCROLL_MARKS[i]] = true;
+        track('scroll_depth', SCROLL_MARKS[i]);
+      }
+    }
+  }
+  var scrollTimer = null;
+  window.addEventListener('scroll', function () {
+    if (scrollTimer) return;
+    scrollTimer = setTimeout(function () { scrollTimer = null; onScroll(); }, 250);
+  }, { passive: true });
+
+  // Sections seen — <section>s and anything tagged data-section, at least 40% in view
+  function sectionName(el, i) {
+    return el.getAttribute('data-section') || el.id || (typeof el.className === 'string' && el.className.split(' ')[0]) || ('section-' + (i + 1));
+  }
+  function watchSections() {
+    if (!window.IntersectionObserver) return;
+    var seen = {};
+    var observer = new IntersectionObserver(function (entries) {
+      entries.forEach(function (entry) {
+        if (!entry.isIntersecting) return;
+        var name = entry.target.getAttribute('data-engagement-name');
+        if (!seen[name]) {
+          seen[name] = true;
+          track('section_visible', name);
+        }
+        observer.unobserve(entry.target);
+      });
+    }, { threshold: 0.4 });
+    var els = document.querySelectorAll('section, [data-section]');
+    for (var i = 0; i < els.length; i++) {
+      els[i].setAttribute('data-engagement-name', sectionName(els[i], i));
+      observer.observe(els[i]);
+    }
+  }
+
+  // Form engagement — first focus per field; abandon = left with a started, unsent form
+  var focused = {};
+  var lastField = '';
+  var formStarted = false;
+  var formSubmitted = false;
+  document.addEventListener('focusin', function (e) {
+    var el = e.target;
+    if (!el || !/^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName) || el.type === 'hidden') return;
+    var name = el.name || el.id || el.tagName.toLowerCase();
+    lastField = name;
+    formStarted = true;
+    if (!focused[name]) {
+      focused[name] = true;
+      track('form_field_focus', name);
+    }
+  }, true);
+  document.addEventListener('submit', function () { formSubmitted = true; }, true);
+
+  document.addEventListener('click', function (e) {
+    var link = e.target && e.target.closest ? e.target.closest('a[href^="tel:"]') : null;
+    if (link) {
+      track('phone_click', link.getAttribute('href').replace(/^tel:/, ''));
+      flush(false);
+    }
+  }, true);
+
+  var abandonSent = false;
+  function onLeave() {
+    if (formStarted && !formSubmitted && !abandonSent) {
+      abandonSent = true;
+      track('form_abandon', lastField);
+    }
+    flush(true);
+  }
+  document.addEventListener('visibilitychange', function () {
+    if (document.visibilityState === 'hidden') {
+      if (visibleSince) { engagedMs += Date.now() - visibleSince; visibleSince = null; }
+      onLeave();
+    } else {
+      visibleSince = Date.now();
+      // Came back, so the form wasn't necessarily abandoned for good
+      abandonSent = false;
+    }
+  });
+  window.addEventListener('pagehide', onLeave);
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', function () { watchSections(); onScroll(); });
+  } else {
+    watchSections();
+    onScroll();
+  }
+  setInterval(function () { if (queue.length) flush(false); }, FLUSH_MS);
+})();
@@ -0,0 +1,340 @@
+const db = require('../database');
+
+// A/B/n experiments on landing pages. While an experiment is running (status
+// 'running' and inside its start/end window) the /lp middleware buckets each
+// visitor into one of its arms by weight, remembers the arm in a cookie and
+// tags the page with ab_variant = 'x<experiment id>:<arm key>', which the
+// templates pass on to /api/visitors/track and /api/leads. Stats compare
+// every arm with the control (the first arm).
+//
+// An arm serves the page itself (optionally with text/color overrides applied
+// in the browser) or another landing page on the same URL.
+
+const ARM_KEY_RE = /^[A-Za-z0-9_-]{1,20}$/;
+const MAX_ARMS = 8;
+const METRICS = ['leads', 'qualified', 'signed'];
+const OVERRIDE_KEYS = ['badge', 'headline', 'headlineLine2', 'headlineHighlight', 'subheadline', 'formTitle', 'formSubtitle', 'formButton', 'ctaTitle'];
+const COLOR_KEYS = ['ctaButton', 'ctaButtonHover', 'headlineHighlight'];
+
+// Downstream events are matched by conversion_events name; signed uses the
+// same test as the default pipeline's won stages
+const QUALIFIED_EVENT_RE = /qualif/i;
+const SIGNED_EVENT_RE = /sign|closed|won|sale/i;
+
+// A winner is only called once every arm has this many visitors and the
+// posterior probability of beating the control clears WIN_PROBABILITY
+const MIN_VISITORS_PER_ARM = 100;
+const WIN_PROBABILITY = 0.95;
+
+function parseExperiment(row) {
+  if (!row) return null;
+  let arms = [];
+  try { arms = JSON.parse(row.arms || '[]'); } catch (e) {}
+  return { ...row, arms: Array.isArray(arms) ? arms : [] };
+}
+
+function getExperiment(id) {
+  return parseExperiment(db.prepare('SELECT * FROM page_experiments WHERE id = ?').get(id));
+}
+
+function listExperiments(pageId) {
+  return db.prepare('SELECT * FROM page_experiments WHERE landing_page_id = ? ORDER BY created_at DESC, id DESC')
+    .all(pageId).map(parseExperiment);
+}
+
+// The experiment currently taking traffic on a page, if any
+function getRunningExperiment(pageId) {
+  return parseExperiment(db.prepare(`
+    SELECT * FROM page_experiments
+    WHERE landing_page_id = ? AND status = 'running'
+      AND (start_at IS NULL OR start_at <= datetime('now'))
+      AND (end_at IS NULL OR end_at > datetime('now'))
+    ORDER BY id DESC LIMIT 1
+  `).get(pageId));
+}
+
+function cleanOverrides(overrides) {
+  const clean = {};
+  if (!overrides || typeof overrides !== 'object') return clean;
+  OVERRIDE_KEYS.forEach(key => {
+    if (typeof overrides[key] === 'string' && overrides[key].trim()) clean[key] = overrides[key].trim();
+  });
+  const colors = {};
+  COLOR_KEYS.forEach(key => {
+    const value = overrides.colors && overrides.colors[key];
+    if (typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value)) colors[key] = value;
+  });
+  if (Object.keys(colors).length) clean.colors = colors;
+  return clean;
+}
+
+// Returns { arms } with cleaned arms, or { error }
+function validateArms(arms, pageId) {
+  if (!Array.isArray(arms) || arms.length < 2) return { error: 'An experiment needs a control and at least one variant' };
+  if (arms.length > MAX_ARMS) return { error: `An experiment can have at most ${MAX_ARMS} arms` };
+
+  const keys = new Set();
+  const clean = [];
+  for (let i = 0; i < arms.length; i++) {
+    const arm = arms[i] || {};
+    const key = String(arm.key || '').trim();
+    if (!ARM_KEY_RE.test(key)) return { error: `Arm ${i + 1}: key must be 1-20 letters, digits, - or _` };
+    if (keys.has(key.toLowerCase())) return { error: `Duplicate arm key "${key}"` };
+    keys.add(key.toLowerCase());
+
+    const weight = Number(arm.weight);
+    if (!Number.isFinite(weight) || weight < 0) return { error: `Arm "${key}": weight must be a number of 0 or more` };
+
+    const entry = { key, name: String(arm.name || key).trim().slice(0, 100), weight };
+    if (arm.page_id) {
+      if (i === 0) return { error: 'The first arm is the control and always serves this page' };
+      const pageIdNum = parseInt(arm.page_id);
+      if (pageIdNum === parseInt(pageId)) return { error: `Arm "${key}": pick a different page, or use overrides` };
+      if (!db.prepare('SELECT id FROM landing_pages WHERE id = ?').get(pageIdNum)) return { error: `Arm "${key}": landing page not found` };
+      entry.page_id = pageIdNum;
+    } else {
+      const overrides = cleanOverrides(arm.overrides);
+      if (Object.keys(overrides).length) {
+        if (i === 0) return { error: 'The control arm cannot have overrides' };
+        entry.overrides = overrides;
+      }
+    }
+    clean.push(entry);
+  }
+  if (!clean.some(arm => arm.weight > 0)) return { error: 'At least one arm needs a weight above 0' };
+  return { arms: clean };
+}
+
+function variantLabel(experiment, armKey) {
+  return `x${experiment.id}:${armKey}`;
+}
+
+// Weighted random pick; arms with weight 0 are paused
+function pickArm(arms) {
+  const live = arms.filter(arm => arm.weight > 0);
+  const total = live.reduce((sum, arm) => sum + arm.weight, 0);
+  let roll = Math.random() * total;
+  for (const arm of live) {
+    roll -= arm.weight;
+    if (roll < 0) return arm;
+  }
+  return live[live.length - 1];
+}
+
+// Applies an arm's overrides in the browser. Headline parts that are not
+// overridden are read back from the rendered <h1>.
+function overrideScript(overrides) {
+  if (!overrides || !Object.keys(overrides).length) return '';
+  const json = JSON.stringify(overrides).replace(/</g, '\\u003c');
+  return `<script>
+(function(){
+  var b=${json};
+  var c=b.colors||{};
+  if(c.ctaButton)document.documentElement.style.setProperty('--cta-btn',c.ctaButton);
+  if(c.ctaButtonHover)document.documentElement.style.setProperty('--cta-btn-hover',c.ctaButtonHover);
+  if(c.headlineHighlight)document.documentElement.style.setProperty('--headline-hl',c.headlineHighlight);
+  document.addEventListener('DOMContentLoaded',function(){
+    function t(sel,val){if(!val)return;var el=document.querySelector(sel);if(el)el.textContent=val;}
+    var h1=document.querySelector('.hero h1');
+    if(h1&&(b.headline||b.headlineLine2||b.headlineHighlight)){
+      var parts=h1.innerHTML.split(/<br\\s*\\/?>/i);
+      var span=h1.querySelector('span');
+      var hl=b.headline||parts[0].trim();
+      var l2=b.headlineLine2||(parts[1]||'').replace(/<span[\\s\\S]*$/i,'').trim();
+      var hi=b.headlineHighlight||(span?span.textContent:'');
+      h1.innerHTML=hl+'<br>'+l2+' <span>'+hi+'</span>';
+    }
+    t('.hero-badge',b.badge);
+    t('.hero-sub',b.subheadline);
+    t('.form-title',b.formTitle);
+    t('.form-subtitle',b.formSubtitle);
+    t('.submit-btn',b.formButton);
+    t('.cta-footer h2',b.ctaTitle);
+  });
+})();
+</script>`;
+}
+
+// ---------- Stats ----------
+
+// Visitors, funnel steps, leads and downstream events for one arm. Each
+// filter is { where, params } over the visitors (v) and leads (l) tables.
+function armMetrics(visitorFilter, leadFilter) {
+  const visitors = db.prepare(`SELECT COUNT(*) as c FROM visitors v WHERE ${visitorFilter.where}`)
+    .get(...visitorFilter.params).c;
+
+  const funnel = {};
+  db.prepare(`
+    SELECT f.step_key, COUNT(*) as c FROM visitor_funnel_steps f
+    JOIN visitors v ON v.eli_clickid = f.eli_clickid
+    WHERE ${visitorFilter.where}
+    GROUP BY f.step_key
+  `).all(...visitorFilter.params).forEach(r => { funnel[r.step_key] = r.c; });
+
+  const leads = db.prepare(`SELECT COUNT(*) as c FROM leads l WHERE ${leadFilter.where}`)
+    .get(...leadFilter.params).c;
+
+  // Outbound mirrors (CAPI etc.) repeat events the lead already has
+  const eventRows = db.prepare(`
+    SELECT DISTINCT l.id as lead_id, ce.conversion_action_name as name
+    FROM leads l
+    JOIN conversion_events ce ON ce.lead_id = l.id
+    WHERE ${leadFilter.where} AND ce.conversion_action_name IS NOT NULL
+      AND ce.source NOT IN ('facebook_capi', 'bing_ads', 'tiktok_capi')
+  `).all(...leadFilter.params);
+  const events = {};
+  const qualified = new Set();
+  const signed = new Set();
+  eventRows.forEach(r => {
+    events[r.name] = (events[r.name] || 0) + 1;
+    if (QUALIFIED_EVENT_RE.test(r.name)) qualified.add(r.lead_id);
+    if (SIGNED_EVENT_RE.test(r.name)) { signed.add(r.lead_id); qualified.add(r.lead_id); }
+  });
+
+  return { visitors, funnel, leads, qualified: qualified.size, signed: signed.size, events };
+}
+
+// Abramowitz & Stegun 7.1.26
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// 95% Wilson score interval
+function wilsonInterval(successes, trials) {
+  if (!trials) return [0, 0];
+  const z = 1.96;
+  const p = successes / trials;
+  const denom = 1 + z * z / trials;
+  const center = (p + z * z / (2 * trials)) / denom;
+  const margin = (z * Math.sqrt(p * (1 - p) / trials + z * z / (4 * trials * trials))) / denom;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+// Two-sided two-proportion z-test
+function pValue(x1, n1, x2, n2) {
+  if (!n1 || !n2) return null;
+  const pooled = (x1 + x2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (!se) return 1;
+  const z = (x2 / n2 - x1 / n1) / se;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+// P(variant rate > control rate) with Beta(1 + x, 1 + n - x) posteriors,
+// using the normal approximation of their difference
+function probabilityToBeat(xControl, nControl, xVariant, nVariant) {
+  const beta = (x, n) => {
+    const a = 1 + x;
+    const b = 1 + n - x;
+    return { mean: a / (a + b), variance: (a * b) / ((a + b) * (a + b) * (a + b + 1)) };
+  };
+  const control = beta(xControl, nControl);
+  const variant = beta(xVariant, nVariant);
+  return normalCdf((variant.mean - control.mean) / Math.sqrt(control.variance + variant.variance));
+}
+
+// Adds rate, interval and the comparison with the control (arms[0]) to each
+// arm and picks a winner when the data supports one
+function compareArms(arms, metric) {
+  const m = METRICS.includes(metric) ? metric : 'leads';
+  const control = arms[0];
+  const round = (value, digits = 4) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+  const results = arms.map((arm, i) => {
+    const conversions = Math.min(arm[m], arm.visitors);
+    const rate = arm.visitors ? conversions / arm.visitors : 0;
+    const result = { ...arm, metric: m, conversions, rate: round(rate), ci: wilsonInterval(conversions, arm.visitors).map(v => round(v)) };
+    if (i > 0) {
+      const controlConversions = Math.min(control[m], control.visitors);
+      const controlRate = control.visitors ? controlConversions / control.visitors : 0;
+      result.uplift = controlRate ? round((rate - controlRate) / controlRate) : null;
+      result.p_value = round(pValue(controlConversions, control.visitors, conversions, arm.visitors));
+      result.prob_beat_control = round(probabilityToBeat(controlConversions, control.visitors, conversions, arm.visitors));
+    }
+    return result;
+  });
+
+  const challengers = results.slice(1);
+  let winner = null;
+  if (results.some(arm => arm.visitors < MIN_VISITORS_PER_ARM)) {
+    winner = { key: null, reason: `Waiting for ${MIN_VISITORS_PER_ARM} visitors in every arm` };
+  } else {
+    const winning = challengers
+      .filter(arm => arm.prob_beat_control >= WIN_PROBABILITY)
+      .sort((a, b) => b.rate - a.rate)[0];
+    if (winning) {
+      winner = { key: winning.key, reason: `${Math.round(winning.prob_beat_control * 100)}% probability to beat the control` };
+    } else if (challengers.every(arm => arm.prob_beat_control <= 1 - WIN_PROBABILITY)) {
+      winner = { key: control.key, reason: 'Every variant is likely worse than the control' };
+    } else {
+      winner = { key: null, reason: 'No significant difference yet' };
+    }
+  }
+  return { metric: m, arms: results, winner };
+}
+
+function experimentStats(experiment) {
+  const arms = experiment.arms.map(arm => {
+    const label = variantLabel(experiment, arm.key);
+    return {
+      key: arm.key,
+      name: arm.name,
+      weight: arm.weight,
+      page_id: arm.page_id || null,
+      ...armMetrics({ where: 'v.ab_variant = ?', params: [label] }, { where: 'l.ab_variant = ?', params: [label] })
+    };
+  });
+  return compareArms(arms, experiment.primary_metric);
+}
+
+// Make the winning arm the page's default: overrides are merged into the
+// page content, a page arm's template, content and form are copied over.
+// The caller regenerates the page.
+function promoteArm(experiment, armKey) {
+  const arm = experiment.arms.find(a => a.key === armKey);
+  if (!arm) throw new Error('Arm not found');
+  const page = db.prepare('SELECT * FROM landing_pages WHERE id = ?').get(experiment.landing_page_id);
+  if (!page) throw new Error('Page not found');
+
+  if (arm.page_id) {
+    const source = db.prepare('SELECT * FROM landing_pages WHERE id = ?').get(arm.page_id);
+    if (!source) throw new Error('The winning arm\'s page no longer exists');
+    db.prepare(`
+      UPDATE landing_pages SET template_type = ?, content = ?, sections_visible = ?, form_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(source.template_type, source.content, source.sections_visible, source.form_id, page.id);
+  } else if (arm.overrides && Object.keys(arm.overrides).length) {
+    let content = {};
+    try { content = JSON.parse(page.content || '{}'); } catch (e) {}
+    const { colors, ...text } = arm.overrides;
+    const merged = { ...content, ...text };
+    if (colors) merged.colors = { ...(content.colors || {}), ...colors };
+    db.prepare('UPDATE landing_pages SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(JSON.stringify(merged), page.id);
+  }
+
+  db.prepare(`
+    UPDATE page_experiments SET status = 'completed', winner_arm = ?, promoted_at = CURRENT_TIMESTAMP,
+      stopped_at = COALESCE(stopped_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(arm.key, experiment.id);
+  return arm;
+}
+
+module.exports = {
+  METRICS,
+  MIN_VISITORS_PER_ARM,
+  WIN_PROBABILITY,
+  getExperiment,
+  listExperiments,
+  getRunningExperiment,
+  validateArms,
+  variantLabel,
+  pickArm,
+  overrideScript,
+  armMetrics,
+  compareArms,
+  experimentStats,
+  promoteArm
+};
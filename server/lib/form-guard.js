@@ -0,0 +1,48 @@
+// Form guard — browser-only. generateLandingPage / generateArticlePage inline
+// this before </body> (see withFormGuard in lib/fraud.js). Adds two fields to
+// every form, which lead submission reads and strips (takeSubmissionSignals):
+//   website_confirm — honeypot, off-screen and skipped by keyboard; people
+//                     never fill it, form-filling bots usually do
+//   _fill_ms        — milliseconds from page load to submit
+(function () {
+  if (window._formGuard) return;
+  window._formGuard = true;
+
+  var HONEYPOT = 'website_confirm';
+  var ELAPSED = '_fill_ms';
+  var loadedAt = Date.now();
+
+  function guard(form) {
+    if (!form || form.querySelector('input[name="' + HONEYPOT + '"]')) return;
+    var trap = document.createElement('div');
+    trap.setAttribute('aria-hidden', 'true');
+    trap.style.cssText = 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;';
+    trap.innerHTML = '<label>Confirm website<input type="text" name="' + HONEYPOT + '" tabindex="-1" autocomplete="off" value=""></label>';
+    form.appendChild(trap);
+
+    var elapsed = document.createElement('input');
+    elapsed.type = 'hidden';
+    elapsed.name = ELAPSED;
+    form.appendChild(elapsed);
+  }
+
+  function guardAll() {
+    var forms = document.querySelectorAll('form');
+    for (var i = 0; i < forms.length; i++) guard(forms[i]);
+  }
+
+  // Capture phase runs before the page's own submit handler builds FormData
+  document.addEventListener('submit', function (e) {
+    var form = e.target;
+    if (!form || form.tagName !== 'FORM') return;
+    guard(form);
+    var field = form.querySelector('input[name="' + ELAPSED + '"]');
+    if (field) field.value = String(Date.now() - loadedAt);
+  }, true);
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', guardAll);
+  } else {
+    guardAll();
+  }
+})();
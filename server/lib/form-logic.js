@@ -0,0 +1,711 @@
+/**
+ * Form builder logic: steps, show/hide conditions, validators and computed fields.
+ *
+ * Shared by the server (routes/forms.js checks definitions, routes/leads.js
+ * re-validates submissions) and the landing pages, where generateLandingPage
+ * inlines this file as window.FormLogic. Keep it ES5 and dependency-free — it
+ * runs as-is in every visitor's browser.
+ *
+ * On top of the classic { name, label, type, options, required, placeholder }
+ * a field can carry:
+ *   step        key of the step it belongs to (default: the last step)
+ *   show_if     { match: 'all'|'any', rules: [{ field, op, value }] }
+ *   validation  { format: 'email'|'phone'|'number', pattern, min, max, message }
+ *               min/max bound the number for format 'number', the length otherwise
+ *   compute     for type 'computed': '{first_name} {last_name}' fills a text
+ *               template, '= {monthly_payment} * 12' evaluates arithmetic
+ * and a form carries steps: [{ key, title, subtitle, prequal, disqualify_if,
+ * disqualify_message }]. Prequal steps report to /api/visitors/funnel-step.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.FormLogic = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  var OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'contains', 'gt', 'gte', 'lt', 'lte', 'empty', 'not_empty'];
+  var FORMATS = ['email', 'phone', 'number'];
+  var FIELD_TYPES = ['text', 'email', 'tel', 'number', 'select', 'radio', 'textarea', 'hidden', 'computed'];
+  var STEP_KEY_RE = /^[a-z0-9_]{1,40}$/;
+  var FIELD_NAME_RE = /^[A-Za-z0-9_]{1,60}$/;
+  var EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  var DEFAULT_DISQUALIFY = 'Unfortunately, we are not able to help with your situation at this time.';
+
+  // ---------- Definition helpers ----------
+
+  function parseList(value) {
+    if (typeof value === 'string') {
+      try { value = JSON.parse(value || '[]'); } catch (e) { return []; }
+    }
+    return Array.isArray(value) ? value : [];
+  }
+
+  function normalizeConfig(form) {
+    form = form || {};
+    return {
+      fields: parseList(form.fields).filter(function (f) { return f && f.name; }),
+      steps: parseList(form.steps).filter(function (s) { return s && s.key; })
+    };
+  }
+
+  function isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  function hasCondition(cond) {
+    return !!(cond && cond.rules && cond.rules.length);
+  }
+
+  function hasValidation(rules) {
+    return !!(rules && (rules.format || rules.pattern || isSet(rules.min) || isSet(rules.max)));
+  }
+
+  // Forms that use none of the builder features keep the templates' own
+  // rendering and built-in pre-qual questions
+  function usesBuilder(config) {
+    return config.steps.length > 0 || config.fields.some(function (f) {
+      return f.type === 'computed' || hasCondition(f.show_if) || hasValidation(f.validation);
+    });
+  }
+
+  // Options are comma separated; use | when the options themselves contain commas
+  function optionList(options) {
+    var text = String(options || '');
+    return text.split(text.indexOf('|') !== -1 ? '|' : ',')
+      .map(function (o) { return o.trim(); })
+      .filter(function (o) { return o !== ''; });
+  }
+
+  // A form without steps is a single unnamed step
+  function getSteps(config) {
+    return config.steps.length ? config.steps : [{ key: '' }];
+  }
+
+  function stepKeyOf(field, config) {
+    var steps = getSteps(config);
+    for (var i = 0; i < steps.length; i++) {
+      if (steps[i].key === field.step) return field.step;
+    }
+    return steps[steps.length - 1].key;
+  }
+
+  function fieldsForStep(config, key) {
+    return config.fields.filter(function (f) { return stepKeyOf(f, config) === key; });
+  }
+
+  function isInputField(field) {
+    return field.type !== 'hidden' && field.type !== 'computed';
+  }
+
+  // ---------- Values and conditions ----------
+
+  function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  function norm(value) {
+    return String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  }
+
+  // First number in the value: "$50,000 - $100,000" → 50000
+  function parseNumber(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    var text = String(value === undefined || value === null ? '' : value).replace(/[$,\s]/g, '');
+    var m = text.match(/^-?\d+(\.\d+)?/) || text.match(/\d+(\.\d+)?/);
+    return m ? parseFloat(m[0]) : null;
+  }
+
+  function testRule(rule, values) {
+    var actual = values[rule.field];
+    var a, b;
+    switch (rule.op) {
+      case 'equals': return norm(actual) === norm(rule.value);
+      case 'not_equals': return norm(actual) !== norm(rule.value);
+      case 'in': return optionList(rule.value).map(norm).indexOf(norm(actual)) !== -1;
+      case 'not_in': return optionList(rule.value).map(norm).indexOf(norm(actual)) === -1;
+      case 'contains': return norm(actual).indexOf(norm(rule.value)) !== -1;
+      case 'empty': return isEmpty(actual);
+      case 'not_empty': return !isEmpty(actual);
+      case 'gt': case 'gte': case 'lt': case 'lte':
+        a = parseNumber(actual);
+        b = parseNumber(rule.value);
+        if (a === null || b === null) return false;
+        if (rule.op === 'gt') return a > b;
+        if (rule.op === 'gte') return a >= b;
+        if (rule.op === 'lt') return a < b;
+        return a <= b;
+      default: return false;
+    }
+  }
+
+  function evaluateCondition(cond, values) {
+    if (!hasCondition(cond)) return true;
+    var any = cond.match === 'any';
+    for (var i = 0; i < cond.rules.length; i++) {
+      var ok = testRule(cond.rules[i], values);
+      if (any && ok) return true;
+      if (!any && !ok) return false;
+    }
+    return !any;
+  }
+
+  // + - * / and parentheses over plain numbers. No eval: the expression comes
+  // from the form definition but the numbers come from visitors.
+  function evaluateArithmetic(source) {
+    var tokens = String(source).match(/\d+(?:\.\d+)?|[-+*\/()]|\S/g) || [];
+    var pos = 0;
+    function factor() {
+      var t = tokens[pos++];
+      if (t === '-') return -factor();
+      if (t === '+') return factor();
+      if (t === '(') {
+        var inner = expression();
+        if (tokens[pos++] !== ')') throw new Error('Unbalanced parentheses');
+        return inner;
+      }
+      if (/^\d/.test(t || '')) return parseFloat(t);
+      throw new Error('Unexpected token');
+    }
+    function term() {
+      var v = factor();
+      while (tokens[pos] === '*' || tokens[pos] === '/') {
+        var op = tokens[pos++];
+        var r = factor();
+        v = op === '*' ? v * r : v / r;
+      }
+      return v;
+    }
+    function expression() {
+      var v = term();
+      while (tokens[pos] === '+' || tokens[pos] === '-') {
+        var op = tokens[pos++];
+        var r = term();
+        v = op === '+' ? v + r : v - r;
+      }
+      return v;
+    }
+    try {
+      var value = expression();
+      return pos === tokens.length && isFinite(value) ? value : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function computeValue(expr, values) {
+    expr = String(expr || '').trim();
+    if (expr.charAt(0) === '=') {
+      var result = evaluateArithmetic(expr.slice(1).replace(/\{([A-Za-z0-9_]+)\}/g, function (m, name) {
+        var n = parseNumber(values[name]);
+        return n === null ? '0' : '(' + n + ')';
+      }));
+      return result === null ? '' : String(Math.round(result * 100) / 100);
+    }
+    return expr.replace(/\{([A-Za-z0-9_]+)\}/g, function (m, name) {
+      return isEmpty(values[name]) ? '' : String(values[name]).trim();
+    }).replace(/\s+/g, ' ').trim();
+  }
+
+  function copy(values) {
+    var out = {};
+    for (var k in values) {
+      if (Object.prototype.hasOwnProperty.call(values, k)) out[k] = values[k];
+    }
+    return out;
+  }
+
+  // Which fields are showing for these answers, with computed fields filled
+  // in and hidden fields blanked. A hidden field counts as empty, which can in
+  // turn hide fields that depend on it, so repeat until nothing changes.
+  function resolve(config, values) {
+    var raw = copy(values || {});
+    config.fields.forEach(function (f) {
+      if (f.type === 'computed') raw[f.name] = '';
+    });
+    var current = raw;
+    var visible = {};
+    var signature = null;
+    for (var pass = 0; pass <= config.fields.length; pass++) {
+      var next = copy(raw);
+      config.fields.forEach(function (f) {
+        if (f.type === 'computed') next[f.name] = current[f.name];
+      });
+      visible = {};
+      config.fields.forEach(function (f) {
+        visible[f.name] = evaluateCondition(f.show_if, current);
+        if (!visible[f.name]) next[f.name] = '';
+        else if (f.type === 'computed') next[f.name] = computeValue(f.compute, next);
+      });
+      var sig = config.fields.map(function (f) {
+        return (visible[f.name] ? '1' : '0') + String(next[f.name] === undefined ? '' : next[f.name]);
+      }).join('\u0001');
+      current = next;
+      if (sig === signature) break;
+      signature = sig;
+    }
+    return { values: current, visible: visible };
+  }
+
+  // ---------- Validation ----------
+
+  function isValidUSPhone(digits) {
+    if (digits.length === 11 && digits.charAt(0) === '1') digits = digits.slice(1);
+    if (digits.length !== 10) return false;
+    if (digits.charAt(0) === '0' || digits.charAt(0) === '1') return false; // area codes start 2-9
+    if (digits.charAt(3) === '0' || digits.charAt(3) === '1') return false; // exchange starts 2-9
+    if (digits.slice(0, 3) === '555') return false; // fictional
+    return true;
+  }
+
+  function compilePattern(pattern) {
+    try { return new RegExp(pattern); } catch (e) { return null; }
+  }
+
+  // Error message for one value, or null when it passes
+  function validateField(field, value, options) {
+    options = options || {};
+    var label = field.label || field.name;
+    var rules = field.validation || {};
+    if (isEmpty(value)) return field.required ? label + ' is required' : null;
+
+    var text = String(value).trim();
+    var custom = rules.message;
+    if (options.checkOptions && (field.type === 'select' || field.type === 'radio')) {
+      var choices = optionList(field.options).map(norm);
+      if (choices.length && choices.indexOf(norm(text)) === -1) return custom || 'Please choose one of the options for ' + label;
+    }
+    if (field.type === 'email' || rules.format === 'email') {
+      if (!EMAIL_RE.test(text)) return custom || 'Please enter a valid email address';
+    }
+    if (field.type === 'tel' || rules.format === 'phone') {
+      if (!isValidUSPhone(text.replace(/\D/g, ''))) return custom || 'Please enter a valid 10-digit US phone number';
+    }
+    if (rules.format === 'number' || field.type === 'number') {
+      var n = parseNumber(text);
+      if (n === null) return custom || label + ' must be a number';
+      if (isSet(rules.min) && n < Number(rules.min)) return custom || label + ' must be at least ' + rules.min;
+      if (isSet(rules.max) && n > Number(rules.max)) return custom || label + ' must be at most ' + rules.max;
+    } else {
+      if (isSet(rules.min) && text.length < Number(rules.min)) return custom || label + ' must be at least ' + rules.min + ' characters';
+      if (isSet(rules.max) && text.length > Number(rules.max)) return custom || label + ' must be at most ' + rules.max + ' characters';
+    }
+    if (rules.pattern) {
+      var re = compilePattern(rules.pattern);
+      if (re && !re.test(text)) return custom || 'Please enter a valid ' + label;
+    }
+    return null;
+  }
+
+  // Checks a whole submission the way the page would have. Returns the values
+  // to store (computed fields recomputed, hidden fields blanked), per-field
+  // errors and the step whose disqualify rule the answers hit, if any.
+  function validateSubmission(config, values) {
+    var state = resolve(config, values || {});
+    var errors = {};
+    config.fields.forEach(function (f) {
+      if (!isInputField(f) || !state.visible[f.name]) return;
+      var error = validateField(f, state.values[f.name], { checkOptions: true });
+      if (error) errors[f.name] = error;
+    });
+    var disqualified = null;
+    config.steps.forEach(function (step) {
+      if (!disqualified && hasCondition(step.disqualify_if) && evaluateCondition(step.disqualify_if, state.values)) {
+        disqualified = step;
+      }
+    });
+    return {
+      valid: !disqualified && Object.keys(errors).length === 0,
+      errors: errors,
+      disqualified: disqualified,
+      values: state.values,
+      visible: state.visible
+    };
+  }
+
+  function validateConditionDefinition(cond, names, where) {
+    if (!cond) return null;
+    if (cond.match && cond.match !== 'all' && cond.match !== 'any') return where + ': match must be "all" or "any"';
+    var rules = cond.rules || [];
+    if (!Array.isArray(rules)) return where + ': rules must be a list';
+    for (var i = 0; i < rules.length; i++) {
+      var r = rules[i] || {};
+      if (!names[r.field]) return where + ': unknown field "' + (r.field || '') + '"';
+      if (OPERATORS.indexOf(r.op) === -1) return where + ': unknown operator "' + (r.op || '') + '"';
+    }
+    return null;
+  }
+
+  // Problems that would break the page or the server check. Returns the first
+  // one as a message, or null when the definition is usable.
+  function validateDefinition(config) {
+    var names = {};
+    var stepKeys = {};
+    var strict = usesBuilder(config);
+    var i, f, s, error;
+    for (i = 0; i < config.steps.length; i++) {
+      s = config.steps[i];
+      if (!STEP_KEY_RE.test(s.key)) return 'Step key "' + s.key + '" must be 1-40 lowercase letters, digits or underscores';
+      if (stepKeys[s.key]) return 'Duplicate step key "' + s.key + '"';
+      stepKeys[s.key] = true;
+    }
+    for (i = 0; i < config.fields.length; i++) {
+      f = config.fields[i];
+      // Older forms may carry names the runtime can't address; only builder forms need clean ones
+      if (strict && !FIELD_NAME_RE.test(f.name)) return 'Field name "' + f.name + '" may only use letters, digits and underscores';
+      if (names[f.name]) return 'Duplicate field name "' + f.name + '"';
+      if (f.type && FIELD_TYPES.indexOf(f.type) === -1) return 'Field "' + f.name + '" has unknown type "' + f.type + '"';
+      names[f.name] = true;
+    }
+    for (i = 0; i < config.fields.length; i++) {
+      f = config.fields[i];
+      if (f.step && config.steps.length && !stepKeys[f.step]) return 'Field "' + f.name + '" is in unknown step "' + f.step + '"';
+      error = validateConditionDefinition(f.show_if, names, 'Field "' + f.name + '" show if');
+      if (error) return error;
+      var rules = f.validation || {};
+      if (rules.format && FORMATS.indexOf(rules.format) === -1) return 'Field "' + f.name + '" has unknown format "' + rules.format + '"';
+      if (rules.pattern && !compilePattern(rules.pattern)) return 'Field "' + f.name + '" has an invalid pattern';
+      if ((isSet(rules.min) && isNaN(Number(rules.min))) || (isSet(rules.max) && isNaN(Number(rules.max)))) {
+        return 'Field "' + f.name + '" min/max must be numbers';
+      }
+      if (f.type === 'computed') {
+        var expr = String(f.compute || '').trim();
+        if (!expr) return 'Computed field "' + f.name + '" needs an expression';
+        var refs = expr.match(/\{([A-Za-z0-9_]+)\}/g) || [];
+        for (var j = 0; j < refs.length; j++) {
+          if (!names[refs[j].slice(1, -1)]) return 'Computed field "' + f.name + '" uses unknown field ' + refs[j];
+        }
+        if (expr.charAt(0) === '=' && evaluateArithmetic(expr.slice(1).replace(/\{([A-Za-z0-9_]+)\}/g, '1')) === null) {
+          return 'Computed field "' + f.name + '" has an invalid formula';
+        }
+      }
+    }
+    for (i = 0; i < config.steps.length; i++) {
+      s = config.steps[i];
+      if (!fieldsForStep(config, s.key).some(isInputField)) return 'Step "' + s.key + '" has no visible fields';
+      error = validateConditionDefinition(s.disqualify_if, names, 'Step "' + s.key + '" disqualify if');
+      if (error) return error;
+    }
+    return null;
+  }
+
+  // ---------- Browser runtime ----------
+
+  function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  var STYLES = '' +
+    '.fl-progress{margin-bottom:16px}' +
+    '.fl-progress-label{font-size:12px;font-weight:600;color:#6b7280;margin-bottom:6px;text-transform:uppercase;letter-spacing:.04em}' +
+    '.fl-progress-track{height:6px;background:#e5e7eb;border-radius:3px;overflow:hidden}' +
+    '.fl-progress-bar{height:100%;width:0;background:var(--fl-accent,#3052FF);transition:width .3s}' +
+    '.fl-step-title{font-weight:700;font-size:18px;margin-bottom:4px}' +
+    '.fl-step-subtitle{color:#6b7280;font-size:14px;margin-bottom:14px}' +
+    '.fl-nav{display:flex;gap:10px;margin-top:12px}' +
+    '.fl-nav button{flex:1;padding:12px 18px;border-radius:50px;font:inherit;font-weight:600;cursor:pointer;border:1px solid var(--fl-accent,#3052FF)}' +
+    '.fl-next{background:var(--fl-accent,#3052FF);color:#fff}' +
+    '.fl-nav .fl-back{flex:0 0 auto;background:#fff;color:var(--fl-accent,#3052FF)}' +
+    '.fl-req{color:#dc2626}' +
+    '.fl-error{display:none;color:#dc2626;font-size:13px;margin-top:4px}' +
+    '.fl-invalid .fl-error{display:block}' +
+    '.fl-invalid input,.fl-invalid select,.fl-invalid textarea,.fl-invalid .phone-wrapper{border-color:#dc2626!important}' +
+    '.fl-disqualify{background:#FFF3CD;border:1px solid #FFE69C;border-radius:12px;padding:20px;text-align:center;font-size:15px;color:#664D03;line-height:1.6}' +
+    // Baseline look for templates that style their inputs inline
+    '.fl-plain .fl-field{margin-bottom:12px}' +
+    '.fl-plain .fl-field>label{display:block;font-weight:700;margin-bottom:5px}' +
+    '.fl-plain input:not([type=radio]),.fl-plain select,.fl-plain textarea{width:100%;height:45px;padding:0 18px;border:1px solid #eee;border-radius:500px;font-size:15px;font-family:inherit;color:#112337;background:#fff;box-sizing:border-box}' +
+    '.fl-plain textarea{height:auto;padding:12px 18px;border-radius:16px}' +
+    '.fl-plain .radio-group{display:flex;gap:10px}' +
+    '.fl-plain .radio-label{flex:1;display:flex;align-items:center;justify-content:center;gap:6px;padding:12px;border:1px solid #eee;border-radius:500px;font-weight:600;cursor:pointer;background:#fff}' +
+    '.fl-plain .phone-wrapper{display:flex;align-items:center;gap:8px;border:1px solid #eee;border-radius:500px;background:#fff;padding-left:16px}' +
+    '.fl-plain .phone-wrapper input{border:none!important;padding-left:0}';
+
+  function injectStyles() {
+    if (document.getElementById('fl-styles')) return;
+    var style = document.createElement('style');
+    style.id = 'fl-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  // Markup follows the landing page templates (.form-group, .radio-group,
+  // .phone-wrapper) so fields pick up each template's own styles
+  function renderField(field, prefix) {
+    var name = escapeHtml(field.name);
+    var id = escapeHtml(prefix + field.name);
+    var label = escapeHtml(field.label || field.name) + (field.required ? ' <span class="fl-req">*</span>' : '');
+    var placeholder = escapeHtml(field.placeholder || '');
+    var inner;
+    if (field.type === 'hidden') {
+      return '<div data-fl-field="' + name + '" style="display:none"><input type="hidden" name="' + name + '" value="' + placeholder + '"></div>';
+    }
+    if (field.type === 'computed') {
+      return '<div data-fl-field="' + name + '" style="display:none"><input type="hidden" name="' + name + '" value=""></div>';
+    }
+    if (field.type === 'radio') {
+      inner = '<label>' + label + '</label><div class="radio-group">' + optionList(field.options || 'Yes,No').map(function (opt) {
+        return '<label class="radio-label"><input type="radio" name="' + name + '" value="' + escapeHtml(opt) + '"><span>' + escapeHtml(opt) + '</span></label>';
+      }).join('') + '</div>';
+    } else if (field.type === 'select') {
+      inner = '<label for="' + id + '">' + label + '</label><select id="' + id + '" name="' + name + '"><option value="">' + (placeholder || 'Select...') + '</option>' +
+        optionList(field.options).map(function (opt) {
+          return '<option value="' + escapeHtml(opt) + '">' + escapeHtml(opt) + '</option>';
+        }).join('') + '</select>';
+    } else if (field.type === 'textarea') {
+      inner = '<label for="' + id + '">' + label + '</label><textarea id="' + id + '" name="' + name + '" rows="3" placeholder="' + placeholder + '"></textarea>';
+    } else if (field.type === 'tel') {
+      inner = '<label for="' + id + '">' + label + '</label><div class="phone-wrapper"><span class="phone-prefix">🇺🇸 +1</span>' +
+        '<input type="tel" id="' + id + '" name="' + name + '" placeholder="' + (placeholder || '(555) 123-4567') + '"></div>';
+    } else {
+      var type = field.type === 'email' || field.type === 'number' ? field.type : 'text';
+      inner = '<label for="' + id + '">' + label + '</label><input type="' + type + '" id="' + id + '" name="' + name + '" placeholder="' + placeholder + '"' +
+        (type === 'number' ? ' inputmode="decimal"' : '') + '>';
+    }
+    return '<div class="form-group fl-field" data-fl-field="' + name + '">' + inner + '<div class="fl-error" role="alert"></div></div>';
+  }
+
+  /**
+   * Render the form into container and take over its validation.
+   * options: prefix (id prefix when a page has two forms), trackStep(key, value)
+   * for prequal steps, finalOnly (elements such as consent and submit shown only
+   * on the last step), plain (baseline input styles), accent, nextText, backText.
+   */
+  function mount(container, config, options) {
+    options = options || {};
+    config = normalizeConfig(config);
+    var form = options.form || container.closest('form');
+    var prefix = options.prefix || '';
+    var steps = getSteps(config);
+    var multi = steps.length > 1;
+    var finalOnly = (options.finalOnly || []).filter(Boolean);
+    var index = 0;
+    var disqualified = false;
+
+    injectStyles();
+    if (options.plain) container.classList.add('fl-plain');
+    if (options.accent) container.style.setProperty('--fl-accent', options.accent);
+
+    var html = multi ? '<div class="fl-progress"><div class="fl-progress-label"></div><div class="fl-progress-track"><div class="fl-progress-bar"></div></div></div>' : '';
+    steps.forEach(function (step, i) {
+      html += '<div class="fl-step" data-fl-step="' + escapeHtml(step.key) + '"' + (i > 0 ? ' style="display:none"' : '') + '>';
+      if (step.title) html += '<div class="fl-step-title">' + escapeHtml(step.title) + '</div>';
+      if (step.subtitle) html += '<div class="fl-step-subtitle">' + escapeHtml(step.subtitle) + '</div>';
+      html += fieldsForStep(config, step.key).map(function (f) { return renderField(f, prefix); }).join('');
+      if (multi) {
+        html += '<div class="fl-nav">' +
+          (i > 0 ? '<button type="button" class="fl-back">' + escapeHtml(options.backText || 'Back') + '</button>' : '') +
+          (i < steps.length - 1 ? '<button type="button" class="fl-next">' + escapeHtml(options.nextText || 'Continue') + '</button>' : '') +
+          '</div>';
+      }
+      html += '</div>';
+    });
+    html += '<div class="fl-disqualify" style="display:none"></div>';
+    container.innerHTML = html;
+
+    var stepEls = container.querySelectorAll('.fl-step');
+    var wrappers = {};
+    Array.prototype.forEach.call(container.querySelectorAll('[data-fl-field]'), function (el) {
+      wrappers[el.getAttribute('data-fl-field')] = el;
+    });
+    var fieldsByName = {};
+    config.fields.forEach(function (f) { fieldsByName[f.name] = f; });
+    finalOnly.forEach(function (el) {
+      el.setAttribute('data-fl-display', el.style.display === 'none' ? '' : el.style.display);
+    });
+
+    function inputsOf(name) {
+      return wrappers[name] ? wrappers[name].querySelectorAll('input, select, textarea') : [];
+    }
+
+    function readValues() {
+      var values = {};
+      config.fields.forEach(function (f) {
+        var value = '';
+        Array.prototype.forEach.call(inputsOf(f.name), function (input) {
+          if (input.type === 'radio') { if (input.checked) value = input.value; } else value = input.value;
+        });
+        values[f.name] = value;
+      });
+      return values;
+    }
+
+    function setError(name, message) {
+      var w = wrappers[name];
+      if (!w) return;
+      w.classList.toggle('fl-invalid', !!message);
+      var el = w.querySelector('.fl-error');
+      if (el) el.textContent = message || '';
+    }
+
+    // Apply conditions and computed values to the DOM. Hidden inputs are
+    // disabled so they drop out of the submitted FormData.
+    function refresh() {
+      var state = resolve(config, readValues());
+      config.fields.forEach(function (f) {
+        var w = wrappers[f.name];
+        if (!w) return;
+        var show = state.visible[f.name];
+        if (isInputField(f)) w.style.display = show ? '' : 'none';
+        Array.prototype.forEach.call(inputsOf(f.name), function (input) { input.disabled = !show; });
+        if (f.type === 'computed') inputsOf(f.name)[0].value = state.values[f.name] || '';
+        if (!show) setError(f.name, null);
+      });
+      return state;
+    }
+
+    function validateStep(i, focus) {
+      var state = refresh();
+      var firstInvalid = null;
+      fieldsForStep(config, steps[i].key).forEach(function (f) {
+        if (!isInputField(f) || !state.visible[f.name]) return;
+        var error = validateField(f, state.values[f.name]);
+        setError(f.name, error);
+        if (error && !firstInvalid) firstInvalid = inputsOf(f.name)[0];
+      });
+      if (firstInvalid && focus) firstInvalid.focus();
+      return !firstInvalid;
+    }
+
+    function showStep(i) {
+      index = i;
+      Array.prototype.forEach.call(stepEls, function (el, n) { el.style.display = n === i ? '' : 'none'; });
+      if (multi) {
+        container.querySelector('.fl-progress-label').textContent = 'Step ' + (i + 1) + ' of ' + steps.length;
+        container.querySelector('.fl-progress-bar').style.width = Math.round(((i + 1) / steps.length) * 100) + '%';
+      }
+      finalOnly.forEach(function (el) {
+        el.style.display = i === steps.length - 1 ? el.getAttribute('data-fl-display') : 'none';
+      });
+      if (typeof options.onStep === 'function') options.onStep(steps[i], i);
+    }
+
+    function disqualify(step) {
+      disqualified = true;
+      Array.prototype.forEach.call(stepEls, function (el) { el.style.display = 'none'; });
+      var progress = container.querySelector('.fl-progress');
+      if (progress) progress.style.display = 'none';
+      finalOnly.forEach(function (el) { el.style.display = 'none'; });
+      var box = container.querySelector('.fl-disqualify');
+      box.textContent = step.disqualify_message || DEFAULT_DISQUALIFY;
+      box.style.display = '';
+      if (typeof options.onDisqualify === 'function') options.onDisqualify(step);
+    }
+
+    // Report a prequal step and apply its disqualify rule; false when the
+    // visitor was turned away
+    function completeStep(i) {
+      var step = steps[i];
+      var state = refresh();
+      if (step.prequal && typeof options.trackStep === 'function') {
+        var first = fieldsForStep(config, step.key).filter(function (f) {
+          return isInputField(f) && state.visible[f.name];
+        })[0];
+        options.trackStep(step.key, first ? state.values[first.name] : '');
+      }
+      if (hasCondition(step.disqualify_if) && evaluateCondition(step.disqualify_if, state.values)) {
+        disqualify(step);
+        return false;
+      }
+      return true;
+    }
+
+    function next() {
+      if (disqualified || !validateStep(index, true)) return;
+      if (completeStep(index) && index < steps.length - 1) showStep(index + 1);
+    }
+
+    // A step that is a single choice moves on as soon as it's answered
+    function autoAdvance(name) {
+      var field = fieldsByName[name];
+      if (!field || (field.type !== 'select' && field.type !== 'radio') || index >= steps.length - 1) return;
+      if (stepKeyOf(field, config) !== steps[index].key) return;
+      var state = refresh();
+      var shown = fieldsForStep(config, steps[index].key).filter(function (f) {
+        return isInputField(f) && state.visible[f.name];
+      });
+      if (shown.length === 1 && shown[0].name === name && !isEmpty(state.values[name])) setTimeout(next, 200);
+    }
+
+    container.addEventListener('input', function (e) {
+      var w = e.target.closest('[data-fl-field]');
+      if (w) setError(w.getAttribute('data-fl-field'), null);
+      refresh();
+    });
+    container.addEventListener('change', function (e) {
+      var w = e.target.closest('[data-fl-field]');
+      if (!w) return;
+      setError(w.getAttribute('data-fl-field'), null);
+      refresh();
+      autoAdvance(w.getAttribute('data-fl-field'));
+    });
+    container.addEventListener('click', function (e) {
+      if (e.target.closest('.fl-next')) next();
+      else if (e.target.closest('.fl-back') && index > 0) showStep(index - 1);
+    });
+
+    // Capture phase on document so this runs before the template's own submit
+    // handlers (including inline onsubmit) and can stop them
+    if (form) {
+      document.addEventListener('submit', function (e) {
+        if (e.target !== form) return;
+        var blocked = true;
+        if (!disqualified && index < steps.length - 1) {
+          next();
+        } else if (!disqualified) {
+          blocked = false;
+          for (var i = 0; i < steps.length; i++) {
+            if (!validateStep(i, false)) {
+              showStep(i);
+              validateStep(i, true);
+              blocked = true;
+              break;
+            }
+          }
+          if (!blocked && !completeStep(steps.length - 1)) blocked = true;
+        }
+        if (blocked) {
+          e.preventDefault();
+          e.stopPropagation();
+        }
+      }, true);
+    }
+
+    // Per-field errors from the server ({ field: message }), e.g. a 400 from
+    // POST /api/leads; jumps back to the first step with an error
+    function showErrors(errors) {
+      var first = -1;
+      Object.keys(errors || {}).forEach(function (name) {
+        if (!fieldsByName[name]) return;
+        setError(name, errors[name]);
+        var i = steps.map(function (s) { return s.key; }).indexOf(stepKeyOf(fieldsByName[name], config));
+        if (first === -1 || i < first) first = i;
+      });
+      if (first !== -1) showStep(first);
+      return first !== -1;
+    }
+
+    refresh();
+    showStep(0);
+    return { refresh: refresh, showStep: showStep, next: next, showErrors: showErrors };
+  }
+
+  return {
+    OPERATORS: OPERATORS,
+    FORMATS: FORMATS,
+    normalizeConfig: normalizeConfig,
+    usesBuilder: usesBuilder,
+    optionList: optionList,
+    getSteps: getSteps,
+    parseNumber: parseNumber,
+    evaluateCondition: evaluateCondition,
+    computeValue: computeValue,
+    resolve: resolve,
+    isValidUSPhone: isValidUSPhone,
+    validateField: validateField,
+    validateSubmission: validateSubmission,
+    validateDefinition: validateDefinition,
+    mount: mount
+  };
+});
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../database');
+
+// Bot and click-fraud scoring. Visitors are scored when /api/visitors/track
+// sees them (and again once the IP lookup comes back); leads are scored on
+// submission from their visitor's signals plus what the form post gives away.
+// Each signal adds points and the total, capped at 100, is compared with the
+// thresholds in settings:
+//   clean      — nothing to do
+//   suspicious — kept and worked as normal, but no conversions are uploaded
+//   blocked    — lead is_blocked; with auto-block on, the IP joins blocked_ips
+// Staff can mark a visitor or lead 'legit', which sticks through rescoring.
+
+const STATUSES = ['clean', 'suspicious', 'blocked', 'legit'];
+
+// Form fields added by the page form guard (lib/form-guard.js)
+const HONEYPOT_FIELD = 'website_confirm';
+const ELAPSED_FIELD = '_fill_ms';
+
+const SETTINGS = {
+  fraud_suspicious_threshold: '50',
+  fraud_block_threshold: '80',
+  fraud_auto_block: '1',
+  fraud_velocity_limit: '8'
+};
+
+const BOT_UA = /bot\b|crawl|spider|slurp|headless|phantomjs|selenium|webdriver|puppeteer|playwright|python-requests|python-urllib|curl\/|wget|httpclient|go-http|java\/|scrapy|okhttp|axios|node-fetch|libwww/i;
+const DATACENTER_ISP = /amazon|aws|google cloud|googleusercontent|microsoft azure|azure|digitalocean|linode|akamai|ovh|hetzner|vultr|choopa|contabo|oracle cloud|alibaba|tencent|scaleway|leaseweb|m247|datacamp|cdn77|hostinger|hostwinds|colocrossing|quadranet/i;
+
+// Campaign-level IP exclusion caps. Meta, TikTok and Reddit have no IP
+// exclusions, so 'all' covers firewall / manual use for everything else.
+const EXCLUSION_PLATFORMS = {
+  google: { label: 'Google Ads', click_column: 'gclid', max: 500 },
+  bing: { label: 'Microsoft Ads', click_column: 'msclkid', max: 100 },
+  all: { label: 'All traffic', click_column: null, max: null }
+};
+
+function getSettings() {
+  const rows = db.prepare("SELECT key, value FROM settings WHERE key LIKE 'fraud_%'").all();
+  const values = { ...SETTINGS };
+  rows.forEach(r => { if (r.key in SETTINGS) values[r.key] = r.value; });
+  return {
+    suspicious_threshold: parseInt(values.fraud_suspicious_threshold) || 50,
+    block_threshold: parseInt(values.fraud_block_threshold) || 80,
+    auto_block: values.fraud_auto_block === '1',
+    velocity_limit: parseInt(values.fraud_velocity_limit) || 8
+  };
+}
+
+function saveSettings(input) {
+  const current = getSettings();
+  const next = {
+    suspicious_threshold: input.suspicious_threshold !== undefined ? parseInt(input.suspicious_threshold) : current.suspicious_threshold,
+    block_threshold: input.block_threshold !== undefined ? parseInt(input.block_threshold) : current.block_threshold,
+    auto_block: input.auto_block !== undefined ? !!input.auto_block : current.auto_block,
+    velocity_limit: input.velocity_limit !== undefined ? parseInt(input.velocity_limit) : current.velocity_limit
+  };
+  if ([next.suspicious_threshold, next.block_threshold, next.velocity_limit].some(n => isNaN(n) || n < 1)) {
+    throw new Error('Thresholds must be positive numbers');
+  }
+  if (next.suspicious_threshold > next.block_threshold) {
+    throw new Error('Suspicious threshold cannot be above the block threshold');
+  }
+  const upsert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = ?');
+  const put = (key, value) => upsert.run(key, String(value), String(value));
+  put('fraud_suspicious_threshold', next.suspicious_threshold);
+  put('fraud_block_threshold', next.block_threshold);
+  put('fraud_auto_block', next.auto_block ? '1' : '0');
+  put('fraud_velocity_limit', next.velocity_limit);
+  return getSettings();
+}
+
+function statusFor(score, settings) {
+  if (score >= settings.block_threshold) return 'blocked';
+  if (score >= settings.suspicious_threshold) return 'suspicious';
+  return 'clean';
+}
+
+function parseReasons(json) {
+  if (!json) return [];
+  try { return JSON.parse(json) || []; } catch (e) { return []; }
+}
+
+function total(reasons) {
+  return Math.min(100, reasons.reduce((sum, r) => sum + r.points, 0));
+}
+
+// Signals that only need the visitor row and the traffic around it
+function visitorSignals(visitor, settings) {
+  const reasons = [];
+  const add = (signal, points, detail) => reasons.push({ signal, points, detail });
+
+  if (visitor.ip_address && db.prepare('SELECT id FROM blocked_ips WHERE ip_address = ?').get(visitor.ip_address)) {
+    add('blocklisted_ip', 100, `${visitor.ip_address} is on the blocklist`);
+  }
+
+  if (visitor.is_hosting) add('datacenter_ip', 45, `Hosting / datacenter network${visitor.asn ? ' (' + visitor.asn + ')' : ''}`);
+  else if (DATACENTER_ISP.test(`${visitor.isp || ''} ${visitor.asn || ''}`)) add('datacenter_ip', 40, `ISP looks like a datacenter: ${visitor.isp || visitor.asn}`);
+  if (visitor.is_proxy) add('proxy', 30, 'Proxy, VPN or Tor exit');
+
+  const ua = (visitor.user_agent || '').trim();
+  if (!ua) add('user_agent', 40, 'No user agent');
+  else if (BOT_UA.test(ua)) add('user_agent', 60, `Automation user agent: ${ua.slice(0, 80)}`);
+
+  const w = parseInt(visitor.screen_width) || 0;
+  const h = parseInt(visitor.screen_height) || 0;
+  if (!w || !h) add('screen_size', 20, 'No screen size reported');
+  else if (w < 240 || h < 240 || w > 7680 || h > 4320) add('screen_size', 30, `Impossible screen size ${w}x${h}`);
+  else if (w === 800 && h === 600) add('screen_size', 15, 'Headless default screen 800x600');
+
+  if (visitor.ip_address) {
+    // Distinct visitor ids, since bots clearing storage show up as new visitors
+    const recent = db.prepare(`
+      SELECT COUNT(*) as n FROM visitors WHERE ip_address = ? AND last_visit > datetime('now', '-10 minutes')
+    `).get(visitor.ip_address).n;
+    if (recent > settings.velocity_limit) {
+      add('click_velocity', recent > settings.velocity_limit * 3 ? 50 : 30, `${recent} visitors from this IP in 10 minutes`);
+    }
+    const adClicks = db.prepare(`
+      SELECT COUNT(DISTINCT NULLIF(gclid, '')) + COUNT(DISTINCT NULLIF(msclkid, '')) + COUNT(DISTINCT NULLIF(fbclid, '')) as n FROM visitors
+      WHERE ip_address = ? AND last_visit > datetime('now', '-24 hours')
+    `).get(visitor.ip_address).n;
+    if (adClicks >= 4) add('ad_click_velocity', adClicks >= 10 ? 50 : 30, `${adClicks} paid clicks from this IP in 24 hours`);
+  }
+
+  if (visitor.gclid) {
+    const reused = db.prepare('SELECT COUNT(*) as n FROM visitors WHERE gclid = ? AND id != ?').get(visitor.gclid, visitor.id).n;
+    if (reused > 0) add('click_id_reuse', 25, `GCLID also seen on ${reused} other visitor${reused === 1 ? '' : 's'}`);
+  }
+
+  return reasons;
+}
+
+function logAutoBlock(entity, id, message) {
+  try {
+    const { logActivity } = require('../routes/settings');
+    logActivity(null, 'System', 'blocked', entity, id, message, null);
+  } catch (e) {}
+}
+
+// Automatic entries are tagged 'Auto:' so a 'legit' review can take them back out
+function autoBlockReason(score, reasons) {
+  return `Auto: fraud score ${score} (${reasons.map(r => r.signal).join(', ')})`.slice(0, 250);
+}
+
+function blocklistIp(ip, reason) {
+  if (!ip) return false;
+  const inserted = db.prepare('INSERT OR IGNORE INTO blocked_ips (ip_address, reason) VALUES (?, ?)').run(ip, reason).changes > 0;
+  if (inserted) {
+    db.prepare(`
+      UPDATE leads SET is_blocked = 1
+      WHERE eli_clickid IN (SELECT eli_clickid FROM visitors WHERE ip_address = ?) AND is_blocked = 0
+    `).run(ip);
+  }
+  return inserted;
+}
+
+/**
+ * Score one visitor and store the result. Returns { score, status, reasons }.
+ * Visitors reviewed as 'legit' keep that status; their score is still updated.
+ */
+function scoreVisitor(visitorId) {
+  const visitor = db.prepare('SELECT * FROM visitors WHERE id = ?').get(visitorId);
+  if (!visitor) return null;
+  const settings = getSettings();
+  const reasons = visitorSignals(visitor, settings);
+  const score = total(reasons);
+  let status = visitor.fraud_status === 'legit' ? 'legit' : statusFor(score, settings);
+  if (status === 'blocked' && !settings.auto_block) status = 'suspicious';
+
+  db.prepare(`
+    UPDATE visitors SET fraud_score = ?, fraud_reasons = ?, fraud_status = ?, fraud_scored_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(score, JSON.stringify(reasons), status, visitor.id);
+
+  if (status === 'blocked' && visitor.fraud_status !== 'blocked' && blocklistIp(visitor.ip_address, autoBlockReason(score, reasons))) {
+    logAutoBlock('blocked_ip', visitor.id, `Auto-blocked IP ${visitor.ip_address} (fraud score ${score})`);
+  }
+  return { score, status, reasons };
+}
+
+/**
+ * Pull the form-guard fields out of a lead submission body so they never
+ * reach hidden_fields. Returns { honeypot, elapsed_ms } (elapsed_ms is null
+ * for pages built before the guard existed and for scripted posts).
+ */
+function takeSubmissionSignals(body) {
+  const honeypot = String(body[HONEYPOT_FIELD] || '').trim();
+  const elapsed = parseInt(body[ELAPSED_FIELD], 10);
+  delete body[HONEYPOT_FIELD];
+  delete body[ELAPSED_FIELD];
+  return { honeypot, elapsed_ms: isNaN(elapsed) ? null : elapsed };
+}
+
+/**
+ * Score a new lead from its visitor plus the submission signals and store the
+ * result; a blocked lead is marked is_blocked. Returns { score, status, reasons }.
+ */
+function scoreLead(leadId, submission = {}) {
+  const lead = db.prepare('SELECT id, eli_clickid, fraud_status FROM leads WHERE id = ?').get(leadId);
+  if (!lead) return null;
+  const settings = getSettings();
+  const visitor = lead.eli_clickid ? db.prepare('SELECT * FROM visitors WHERE eli_clickid = ?').get(lead.eli_clickid) : null;
+
+  const reasons = visitor ? visitorSignals(visitor, settings) : [];
+  const add = (signal, points, detail) => reasons.push({ signal, points, detail });
+
+  if (!visitor) add('untracked', 15, 'No tracked page visit for this submission');
+  if (submission.honeypot) add('honeypot', 60, 'Hidden honeypot field was filled in');
+
+  if (submission.elapsed_ms !== null && submission.elapsed_ms !== undefined) {
+    const secs = (submission.elapsed_ms / 1000).toFixed(1);
+    if (submission.elapsed_ms < 2000) add('time_to_submit', 50, `Submitted ${secs}s after page load`);
+    else if (submission.elapsed_ms < 5000) add('time_to_submit', 20, `Submitted ${secs}s after page load`);
+  } else if (visitor) {
+    const secs = db.prepare(`SELECT (julianday('now') - julianday(first_visit)) * 86400 as s FROM visitors WHERE id = ?`).get(visitor.id).s;
+    if (secs < 3) add('time_to_submit', 40, `Submitted ${Math.max(0, secs).toFixed(1)}s after first visit`);
+  }
+
+  const score = total(reasons);
+  const reviewed = lead.fraud_status === 'legit' || (visitor && visitor.fraud_status === 'legit');
+  let status = reviewed ? 'legit' : statusFor(score, settings);
+  if (status === 'blocked' && !settings.auto_block) status = 'suspicious';
+
+  db.prepare('UPDATE leads SET fraud_score = ?, fraud_reasons = ?, fraud_status = ? WHERE id = ?')
+    .run(score, JSON.stringify(reasons), status, lead.id);
+
+  if (status === 'blocked') {
+    db.prepare('UPDATE leads SET is_blocked = 1 WHERE id = ?').run(lead.id);
+    if (visitor && visitor.fraud_status !== 'blocked') {
+      db.prepare(`UPDATE visitors SET fraud_status = 'blocked' WHERE id = ?`).run(visitor.id);
+      if (blocklistIp(visitor.ip_address, autoBlockReason(score, reasons))) {
+        logAutoBlock('blocked_ip', visitor.id, `Auto-blocked IP ${visitor.ip_address} from lead #${lead.id} (fraud score ${score})`);
+      }
+    }
+  }
+  return { score, status, reasons };
+}
+
+// Whether conversion uploads for this lead should be held back
+function suppressesConversions(lead) {
+  return !!(lead && (lead.is_blocked || lead.fraud_status === 'suspicious' || lead.fraud_status === 'blocked'));
+}
+
+/**
+ * Staff review of a visitor or lead: 'legit' clears the flag (and unblocks the
+ * lead), 'blocked' blocks it and blocklists the visitor's IP.
+ */
+function reviewLead(leadId, status) {
+  const lead = db.prepare('SELECT id, eli_clickid, fraud_score FROM leads WHERE id = ?').get(leadId);
+  if (!lead) return null;
+  const visitor = lead.eli_clickid ? db.prepare('SELECT id, ip_address FROM visitors WHERE eli_clickid = ?').get(lead.eli_clickid) : null;
+  db.prepare('UPDATE leads SET fraud_status = ?, is_blocked = ? WHERE id = ?').run(status, status === 'blocked' ? 1 : 0, lead.id);
+  if (visitor) reviewVisitor(visitor.id, status);
+  return db.prepare('SELECT id, fraud_score, fraud_status, fraud_reasons, is_blocked FROM leads WHERE id = ?').get(lead.id);
+}
+
+function reviewVisitor(visitorId, status) {
+  const visitor = db.prepare('SELECT id, ip_address, fraud_score FROM visitors WHERE id = ?').get(visitorId);
+  if (!visitor) return null;
+  db.prepare('UPDATE visitors SET fraud_status = ? WHERE id = ?').run(status, visitor.id);
+  if (status === 'blocked') {
+    blocklistIp(visitor.ip_address, `Fraud review: visitor #${visitor.id} (score ${visitor.fraud_score || 0})`);
+  } else if (visitor.ip_address) {
+    // Undo an automatic blocklisting; manual blocks stay
+    db.prepare(`DELETE FROM blocked_ips WHERE ip_address = ? AND reason LIKE 'Auto: fraud score%'`).run(visitor.ip_address);
+  }
+  return db.prepare('SELECT id, eli_clickid, ip_address, fraud_score, fraud_status, fraud_reasons FROM visitors WHERE id = ?').get(visitor.id);
+}
+
+/**
+ * IPs worth excluding on an ad platform: flagged visitors that arrived with
+ * that platform's click id in the last `days`, plus every blocklisted IP,
+ * ordered by paid clicks then score and capped at the platform's limit.
+ */
+function getIpExclusions(platform, { days = 30, minScore = null } = {}) {
+  const config = EXCLUSION_PLATFORMS[platform];
+  if (!config) throw new Error(`Unknown platform: ${platform}`);
+  const threshold = minScore !== null && !isNaN(minScore) ? minScore : getSettings().suspicious_threshold;
+  const clickFilter = config.click_column ? `AND COALESCE(${config.click_column}, '') != ''` : '';
+  const clickCount = config.click_column ? `COUNT(DISTINCT NULLIF(${config.click_column}, ''))` : `COUNT(DISTINCT NULLIF(COALESCE(gclid, '') || COALESCE(msclkid, '') || COALESCE(fbclid, ''), ''))`;
+
+  const flagged = db.prepare(`
+    SELECT ip_address, MAX(fraud_score) as score, COUNT(*) as visitors, ${clickCount} as paid_clicks,
+      MAX(last_visit) as last_seen, GROUP_CONCAT(fraud_reasons, '\u0001') as reasons_json
+    FROM visitors
+    WHERE ip_address IS NOT NULL AND ip_address != ''
+      AND last_visit > datetime('now', ?)
+      AND fraud_status != 'legit' AND fraud_score >= ?
+      ${clickFilter}
+    GROUP BY ip_address
+  `).all(`-${days} days`, threshold);
+
+  const byIp = new Map();
+  flagged.forEach(row => {
+    const signals = new Set();
+    String(row.reasons_json || '').split('\u0001').forEach(json => parseReasons(json).forEach(r => signals.add(r.signal)));
+    byIp.set(row.ip_address, {
+      ip_address: row.ip_address, score: row.score, visitors: row.visitors, paid_clicks: row.paid_clicks,
+      signals: [...signals], last_seen: row.last_seen, blocklisted: false
+    });
+  });
+  db.prepare('SELECT ip_address, reason, created_at FROM blocked_ips').all().forEach(b => {
+    const existing = byIp.get(b.ip_address);
+    if (existing) existing.blocklisted = true;
+    else byIp.set(b.ip_address, { ip_address: b.ip_address, score: 100, visitors: 0, paid_clicks: 0, signals: [b.reason || 'blocklist'], last_seen: b.created_at, blocklisted: true });
+  });
+
+  const ips = [...byIp.values()].sort((a, b) => (b.paid_clicks - a.paid_clicks) || (b.score - a.score));
+  return {
+    platform, label: config.label, limit: config.max, total: ips.length,
+    ips: config.max ? ips.slice(0, config.max) : ips
+  };
+}
+
+// Counts and top signals for the admin overview
+function getFraudSummary(days = 7) {
+  const since = `-${days} days`;
+  const visitors = db.prepare(`
+    SELECT COALESCE(fraud_status, 'clean') as status, COUNT(*) as n FROM visitors WHERE last_visit > datetime('now', ?) GROUP BY 1
+  `).all(since);
+  const leads = db.prepare(`
+    SELECT COALESCE(fraud_status, 'clean') as status, COUNT(*) as n FROM leads WHERE created_at > datetime('now', ?) GROUP BY 1
+  `).all(since);
+  const signals = {};
+  db.prepare(`
+    SELECT fraud_reasons FROM visitors
+    WHERE last_visit > datetime('now', ?) AND fraud_status IN ('suspicious', 'blocked') AND fraud_reasons IS NOT NULL
+  `).all(since).forEach(row => parseReasons(row.fraud_reasons).forEach(r => { signals[r.signal] = (signals[r.signal] || 0) + 1; }));
+  const toMap = rows => rows.reduce((m, r) => { m[r.status] = r.n; return m; }, {});
+  return {
+    days,
+    visitors: toMap(visitors),
+    leads: toMap(leads),
+    signals: Object.entries(signals).map(([signal, count]) => ({ signal, count })).sort((a, b) => b.count - a.count)
+  };
+}
+
+// Generated pages inline the form guard before </body>
+let guardScript = null;
+function withFormGuard(html) {
+  if (!html || html.indexOf('</body>') === -1) return html;
+  if (guardScript === null) {
+    guardScript = `<script>\n${fs.readFileSync(path.join(__dirname, 'form-guard.js'), 'utf8')}</script>`;
+  }
+  const at = html.lastIndexOf('</body>');
+  return html.slice(0, at) + guardScript + '\n' + html.slice(at);
+}
+
+module.exports = {
+  STATUSES,
+  EXCLUSION_PLATFORMS,
+  HONEYPOT_FIELD,
+  ELAPSED_FIELD,
+  getSettings,
+  saveSettings,
+  parseReasons,
+  scoreVisitor,
+  takeSubmissionSignals,
+  scoreLead,
+  suppressesConversions,
+  reviewLead,
+  reviewVisitor,
+  getIpExclusions,
+  getFraudSummary,
+  withFormGuard
+};
@@ -0,0 +1,135 @@
+const tls = require('tls');
+const net = require('net');
+
+// Just enough IMAP4rev1 to drain a bounce mailbox: log in, list unseen
+// messages, download each one and flag it \Seen. Implicit TLS (port 993) by
+// default; plain TCP only when secure is false, for a local test server.
+
+const TIMEOUT_MS = 30000;
+
+function quote(str) {
+  return `"${String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function connect({ host, port, secure = true }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port: port || 993, servername: host })
+      : net.connect({ host, port: port || 143 });
+    const session = {
+      socket,
+      buffer: Buffer.alloc(0),
+      current: { text: '', literals: [] },
+      literalBytes: 0,
+      untagged: [],
+      pending: null,
+      tag: 0,
+      greeted: false
+    };
+
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('IMAP connection timed out')));
+    socket.on('error', err => {
+      if (!session.greeted) reject(err);
+      else if (session.pending) session.pending.reject(err);
+    });
+    socket.on('close', () => {
+      if (session.pending) session.pending.reject(new Error('IMAP connection closed'));
+    });
+    socket.on('data', chunk => {
+      session.buffer = Buffer.concat([session.buffer, chunk]);
+      drain(session, () => {
+        session.greeted = true;
+        resolve(session);
+      });
+    });
+  });
+}
+
+// Split the byte stream into responses; a line ending in {n} is followed by
+// n raw bytes and then the rest of the same response
+function drain(session, onGreeting) {
+  for (;;) {
+    if (session.literalBytes > 0) {
+      if (session.buffer.length < session.literalBytes) return;
+      session.current.literals.push(session.buffer.subarray(0, session.literalBytes).toString('utf8'));
+      session.buffer = session.buffer.subarray(session.literalBytes);
+      session.literalBytes = 0;
+      continue;
+    }
+    const end = session.buffer.indexOf('\r\n');
+    if (end === -1) return;
+    const line = session.buffer.subarray(0, end).toString('utf8');
+    session.buffer = session.buffer.subarray(end + 2);
+    session.current.text += line;
+    const literal = line.match(/\{(\d+)\}$/);
+    if (literal) {
+      session.literalBytes = parseInt(literal[1]);
+      continue;
+    }
+    const response = session.current;
+    session.current = { text: '', literals: [] };
+    handleResponse(session, response, onGreeting);
+  }
+}
+
+function handleResponse(session, response, onGreeting) {
+  if (!session.greeted) {
+    if (/^\* (OK|PREAUTH)/i.test(response.text)) onGreeting();
+    else session.socket.destroy(new Error(`IMAP server refused connection: ${response.text}`));
+    return;
+  }
+  if (response.text.startsWith('* ')) {
+    session.untagged.push(response);
+    return;
+  }
+  const pending = session.pending;
+  if (!pending || !response.text.startsWith(pending.tag + ' ')) return;
+  session.pending = null;
+  const [, status, text] = response.text.match(/^\S+ (\S+) ?(.*)$/) || [];
+  const untagged = session.untagged;
+  session.untagged = [];
+  if (String(status).toUpperCase() === 'OK') pending.resolve({ text, untagged });
+  else pending.reject(new Error(`IMAP ${String(status).toUpperCase()}: ${text}`));
+}
+
+function command(session, cmd) {
+  return new Promise((resolve, reject) => {
+    const tag = `A${++session.tag}`;
+    session.pending = { tag, resolve, reject };
+    session.untagged = [];
+    session.socket.write(`${tag} ${cmd}\r\n`);
+  });
+}
+
+/**
+ * Download up to `limit` unseen messages from a mailbox. Each raw message is
+ * passed to handler(raw, uid); it is flagged \Seen only after the handler
+ * resolves, so a crash leaves it to be picked up on the next poll.
+ * Returns the number of messages handled.
+ */
+async function processUnseen(config, handler, { limit = 50 } = {}) {
+  const session = await connect(config);
+  let handled = 0;
+  try {
+    await command(session, `LOGIN ${quote(config.user)} ${quote(config.pass)}`);
+    await command(session, `SELECT ${quote(config.mailbox || 'INBOX')}`);
+    const search = await command(session, 'UID SEARCH UNSEEN');
+    const line = search.untagged.find(r => /^\* SEARCH/i.test(r.text));
+    const uids = line ? line.text.replace(/^\* SEARCH/i, '').trim().split(/\s+/).filter(Boolean).slice(0, limit) : [];
+
+    for (const uid of uids) {
+      const fetched = await command(session, `UID FETCH ${uid} BODY.PEEK[]`);
+      const message = fetched.untagged.find(r => /FETCH/i.test(r.text) && r.literals.length);
+      if (!message) continue;
+      await handler(message.literals[0], uid);
+      await command(session, `UID STORE ${uid} +FLAGS.SILENT (\\Seen)`);
+      handled++;
+    }
+    await command(session, 'LOGOUT').catch(() => {});
+  } finally {
+    session.socket.destroy();
+  }
+  return handled;
+}
+
+module.exports = { processUnseen };
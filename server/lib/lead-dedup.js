@@ -0,0 +1,343 @@
+const db = require('../database');
+
+// Cross-channel duplicate detection. The same business often comes in through
+// a form, Facebook, TikTok and an affiliate with slightly different data, so
+// leads are compared on normalized phone, email, company name and visitor IP.
+// Pairs scoring at least MIN_SCORE land in lead_duplicate_candidates for a
+// human to merge or dismiss; nothing is merged automatically.
+
+const MIN_SCORE = 50;
+
+const SIGNAL_POINTS = {
+  phone: 50,
+  email: 50,
+  company: 30,
+  company_similar: 20,
+  ip: 15
+};
+
+// Tables whose lead_id moves to the survivor on merge. Anything with a lead_id
+// must be listed here: a foreign key makes the final DELETE fail, and rows
+// without one would be left pointing at the deleted lead.
+const REPOINT_TABLES = [
+  'lead_notes', 'lead_tasks', 'conversion_events', 'calls', 'visitors',
+  'email_queue', 'email_opens', 'email_clicks', 'email_unsubscribes',
+  'email_bounce_events', 'sms_messages', 'automation_flow_runs', 'outbox_deliveries',
+  'affiliate_outbound_events', 'affiliate_forward_events', 'lead_assignments',
+  'lead_stage_history', 'touchpoints', 'email_consent_log'
+];
+
+// Survivor fields that are filled from the merged lead when empty
+const FILLABLE_FIELDS = [
+  'full_name', 'first_name', 'last_name', 'company_name', 'email', 'phone', 'industry',
+  'debt_amount', 'has_mca', 'mca_count', 'considered_bankruptcy',
+  'gclid', 'fbclid', 'msclkid', 'rdt_cid', 'rt_clickid', 'eli_clickid',
+  'transfer_status', 'five9_dispo', 'stage', 'contract_sign_date', 'total_debt_sign',
+  'salesforce_lead_id', 'assigned_to', 'landing_page_id', 'article_id'
+];
+
+const COMPANY_STOPWORDS = new Set(['llc', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'the', 'and', 'group', 'pllc', 'lp', 'llp']);
+
+// Same stripping as normalizePhone, in SQL, so stored phones in any format compare
+const PHONE_SQL = `substr(replace(replace(replace(replace(replace(replace(l.phone, '(', ''), ')', ''), '-', ''), ' ', ''), '.', ''), '+', ''), -10)`;
+
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return value.includes('@') ? value : '';
+}
+
+function companyTokens(company) {
+  return String(company || '').toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(t => t && !COMPANY_STOPWORDS.has(t));
+}
+
+function normalizeCompany(company) {
+  return companyTokens(company).join(' ');
+}
+
+// Token overlap (Jaccard) between two company names, 0..1
+function companySimilarity(a, b) {
+  const ta = new Set(companyTokens(a));
+  const tb = new Set(companyTokens(b));
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function loadLead(leadId) {
+  return db.prepare(`
+    SELECT l.*, v.ip_address FROM leads l
+    LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
+    WHERE l.id = ?
+  `).get(leadId);
+}
+
+/**
+ * Compare two leads (rows with ip_address joined in). Returns
+ * { score, reasons } where reasons lists { signal, value, points }.
+ */
+function scorePair(a, b) {
+  const reasons = [];
+
+  const phone = normalizePhone(a.phone);
+  if (phone && phone === normalizePhone(b.phone)) {
+    reasons.push({ signal: 'phone', value: phone, points: SIGNAL_POINTS.phone });
+  }
+
+  const email = normalizeEmail(a.email);
+  if (email && email === normalizeEmail(b.email)) {
+    reasons.push({ signal: 'email', value: email, points: SIGNAL_POINTS.email });
+  }
+
+  const company = normalizeCompany(a.company_name);
+  if (company && company === normalizeCompany(b.company_name)) {
+    reasons.push({ signal: 'company', value: b.company_name, points: SIGNAL_POINTS.company });
+  } else if (company && companySimilarity(a.company_name, b.company_name) >= 0.6) {
+    reasons.push({ signal: 'company_similar', value: `${a.company_name} ~ ${b.company_name}`, points: SIGNAL_POINTS.company_similar });
+  }
+
+  if (a.ip_address && a.ip_address === b.ip_address) {
+    reasons.push({ signal: 'ip', value: a.ip_address, points: SIGNAL_POINTS.ip });
+  }
+
+  return { score: reasons.reduce((sum, r) => sum + r.points, 0), reasons };
+}
+
+// Pairs are stored newer -> older so each pair has a single row. Re-detection
+// refreshes the score of a pending pair but never reopens a dismissed one.
+function recordCandidate(a, b, result) {
+  const [newer, older] = a.id > b.id ? [a, b] : [b, a];
+  return db.prepare(`
+    INSERT INTO lead_duplicate_candidates (lead_id, duplicate_of_id, score, reasons)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(lead_id, duplicate_of_id) DO UPDATE SET score = excluded.score, reasons = excluded.reasons
+    WHERE status = 'pending'
+  `).run(newer.id, older.id, result.score, JSON.stringify(result.reasons)).changes;
+}
+
+/**
+ * Find existing leads that look like the same business as leadId. Returns
+ * [{ lead, score, reasons }] sorted by score, without saving anything.
+ */
+function findDuplicateCandidates(leadId) {
+  const lead = loadLead(leadId);
+  if (!lead) return [];
+
+  const clauses = [];
+  const params = [];
+  const phone = normalizePhone(lead.phone);
+  if (phone) { clauses.push(`${PHONE_SQL} = ?`); params.push(phone); }
+  const email = normalizeEmail(lead.email);
+  if (email) { clauses.push('LOWER(TRIM(l.email)) = ?'); params.push(email); }
+  if (lead.ip_address) { clauses.push('v.ip_address = ?'); params.push(lead.ip_address); }
+  // Prefilter company matches on the longest significant token, then score in JS
+  const token = companyTokens(lead.company_name).sort((x, y) => y.length - x.length)[0];
+  if (token && token.length >= 3) { clauses.push('LOWER(l.company_name) LIKE ?'); params.push(`%${token}%`); }
+  if (!clauses.length) return [];
+
+  const others = db.prepare(`
+    SELECT l.*, v.ip_address FROM leads l
+    LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
+    WHERE l.id != ? AND (${clauses.join(' OR ')})
+    ORDER BY l.id DESC
+    LIMIT 200
+  `).all(lead.id, ...params);
+
+  return others
+    .map(other => ({ lead: other, ...scorePair(lead, other) }))
+    .filter(c => c.score >= MIN_SCORE)
+    .sort((x, y) => y.score - x.score);
+}
+
+// Queue duplicates for a newly ingested lead. Detection must never break ingestion.
+function detectDuplicates(leadId) {
+  if (!leadId) return 0;
+  try {
+    const lead = loadLead(leadId);
+    if (!lead) return 0;
+    let queued = 0;
+    for (const candidate of findDuplicateCandidates(leadId)) {
+      queued += recordCandidate(lead, candidate.lead, candidate);
+    }
+    return queued;
+  } catch (err) {
+    console.error(`Duplicate detection error for lead #${leadId}:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Backfill the queue across every lead. Leads are bucketed by each exact
+ * signal and only leads sharing a bucket are compared, so this stays close to
+ * linear; fuzzy company matches are only found for new leads.
+ */
+function scanAllLeads() {
+  const leads = db.prepare(`
+    SELECT l.id, l.phone, l.email, l.company_name, v.ip_address FROM leads l
+    LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
+  `).all();
+
+  const buckets = new Map();
+  const add = (key, lead) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(lead);
+  };
+  for (const lead of leads) {
+    const phone = normalizePhone(lead.phone);
+    const email = normalizeEmail(lead.email);
+    const company = normalizeCompany(lead.company_name);
+    if (phone) add(`p:${phone}`, lead);
+    if (email) add(`e:${email}`, lead);
+    if (company) add(`c:${company}`, lead);
+    if (lead.ip_address) add(`i:${lead.ip_address}`, lead);
+  }
+
+  const seen = new Set();
+  let pairs = 0;
+  let queued = 0;
+  const run = db.transaction(() => {
+    for (const group of buckets.values()) {
+      // A huge bucket is a shared office/proxy IP or a junk value, not a person
+      if (group.length < 2 || group.length > 50) continue;
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const key = `${Math.min(group[i].id, group[j].id)}:${Math.max(group[i].id, group[j].id)}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          const result = scorePair(group[i], group[j]);
+          if (result.score < MIN_SCORE) continue;
+          pairs++;
+          queued += recordCandidate(group[i], group[j], result);
+        }
+      }
+    }
+  });
+  run();
+  return { leads: leads.length, pairs, queued };
+}
+
+function mergeHiddenFields(survivorRaw, mergedRaw) {
+  let survivor = {};
+  let merged = {};
+  try { survivor = JSON.parse(survivorRaw || '{}'); } catch (e) {}
+  try { merged = JSON.parse(mergedRaw || '{}'); } catch (e) {}
+  return JSON.stringify({ ...merged, ...survivor });
+}
+
+/**
+ * Merge mergedId into survivorId: empty survivor fields are filled from the
+ * merged lead, every linked record is re-pointed to the survivor, the merged
+ * lead is deleted and a lead_merges row keeps its snapshot plus what moved.
+ * Throws if either lead is missing. Returns the audit row.
+ */
+function mergeLeads(survivorId, mergedId, user = {}) {
+  survivorId = parseInt(survivorId);
+  mergedId = parseInt(mergedId);
+  if (!survivorId || !mergedId || survivorId === mergedId) {
+    throw new Error('Two different leads are required');
+  }
+
+  const run = db.transaction(() => {
+    const survivor = db.prepare('SELECT * FROM leads WHERE id = ?').get(survivorId);
+    const merged = db.prepare('SELECT * FROM leads WHERE id = ?').get(mergedId);
+    if (!survivor) throw new Error(`Lead #${survivorId} not found`);
+    if (!merged) throw new Error(`Lead #${mergedId} not found`);
+
+    const filled = [];
+    const sets = [];
+    const params = [];
+    for (const field of FILLABLE_FIELDS) {
+      const current = survivor[field];
+      const incoming = merged[field];
+      const isEmpty = current === null || current === undefined || String(current).trim() === '';
+      const hasValue = incoming !== null && incoming !== undefined && String(incoming).trim() !== '';
+      if (isEmpty && hasValue) {
+        sets.push(`${field} = ?`);
+        params.push(incoming);
+        filled.push(field);
+      }
+    }
+    // Opt-outs and blocks are sticky: if either record opted out, the survivor has
+    for (const flag of ['email_unsubscribed', 'email_suppressed', 'sms_opted_out', 'is_blocked']) {
+      if (merged[flag] && !survivor[flag]) {
+        sets.push(`${flag} = 1`);
+        filled.push(flag);
+      }
+    }
+    if (merged.sms_opted_out && !survivor.sms_opted_out) {
+      sets.push('sms_opted_out_at = ?');
+      params.push(merged.sms_opted_out_at);
+    }
+    if (merged.email_suppressed && !survivor.email_suppressed) {
+      sets.push('email_suppressed_reason = ?', 'email_suppressed_at = ?');
+      params.push(merged.email_suppressed_reason, merged.email_suppressed_at);
+    }
+    sets.push('hidden_fields = ?');
+    params.push(mergeHiddenFields(survivor.hidden_fields, merged.hidden_fields));
+    db.prepare(`UPDATE leads SET ${sets.join(', ')} WHERE id = ?`).run(...params, survivorId);
+
+    const repointed = {};
+    for (const table of REPOINT_TABLES) {
+      const changes = db.prepare(`UPDATE ${table} SET lead_id = ? WHERE lead_id = ?`).run(survivorId, mergedId).changes;
+      if (changes) repointed[table] = changes;
+    }
+    // Segment membership is keyed by (flow_id, lead_id); drop rows the survivor already has
+    const members = db.prepare('UPDATE OR IGNORE automation_flow_segment_members SET lead_id = ? WHERE lead_id = ?').run(survivorId, mergedId).changes;
+    db.prepare('DELETE FROM automation_flow_segment_members WHERE lead_id = ?').run(mergedId);
+    if (members) repointed.automation_flow_segment_members = members;
+    // Topic preferences are keyed by (lead_id, topic_id) too
+    const subscriptions = require('./subscriptions').mergeSubscriptions(survivorId, mergedId);
+    if (subscriptions) repointed.lead_email_subscriptions = subscriptions;
+
+    // Earlier merges into the removed lead now belong to the survivor's history
+    db.prepare('UPDATE lead_merges SET survivor_id = ? WHERE survivor_id = ?').run(survivorId, mergedId);
+
+    db.prepare(`
+      UPDATE lead_duplicate_candidates SET status = 'merged', resolved_by_id = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE status = 'pending' AND ((lead_id = ? AND duplicate_of_id = ?) OR (lead_id = ? AND duplicate_of_id = ?))
+    `).run(user.id || null, survivorId, mergedId, mergedId, survivorId);
+    // Other pending pairs with the removed lead are re-checked against the survivor below
+    db.prepare(`
+      DELETE FROM lead_duplicate_candidates WHERE status = 'pending' AND (lead_id = ? OR duplicate_of_id = ?)
+    `).run(mergedId, mergedId);
+
+    db.prepare('DELETE FROM leads WHERE id = ?').run(mergedId);
+
+    const result = db.prepare(`
+      INSERT INTO lead_merges (survivor_id, merged_id, merged_snapshot, filled_fields, repointed, merged_by_id, merged_by_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(survivorId, mergedId, JSON.stringify(merged), JSON.stringify(filled), JSON.stringify(repointed),
+      user.id || null, user.name || user.email || null);
+    return result.lastInsertRowid;
+  });
+
+  const mergeId = run();
+  require('./lead-scoring').rescoreLead(survivorId, 'merge');
+  detectDuplicates(survivorId);
+  return db.prepare('SELECT * FROM lead_merges WHERE id = ?').get(mergeId);
+}
+
+function parseMerge(row) {
+  const parse = (raw, fallback) => { try { return JSON.parse(raw); } catch (e) { return fallback; } };
+  return {
+    ...row,
+    merged_snapshot: parse(row.merged_snapshot, null),
+    filled_fields: parse(row.filled_fields, []),
+    repointed: parse(row.repointed, {})
+  };
+}
+
+module.exports = {
+  MIN_SCORE, SIGNAL_POINTS,
+  normalizePhone, normalizeEmail, normalizeCompany, companySimilarity,
+  scorePair, findDuplicateCandidates, detectDuplicates, scanAllLeads, mergeLeads, parseMerge
+};
@@ -0,0 +1,48 @@
+// Post-insert hooks shared by every lead ingestion path (form submit, Zapier,
+// Facebook, TikTok, affiliates). Consumers are required lazily so route
+// modules can call this without pulling in the background workers.
+
+function onLeadCreated(leadId, source) {
+  if (!leadId) return;
+
+  // Place and score first so flow conditions and filters can use the stage,
+  // lead_score and lead_score_tier
+  require('./pipeline').placeNewLead(leadId, source);
+  require('./lead-scoring').rescoreLead(leadId, source || 'created');
+  require('./lead-dedup').detectDuplicates(leadId);
+  require('../lead-assignment').autoAssignLead(leadId, source);
+
+  try {
+    require('./attribution').recordLeadTouch(leadId, source);
+  } catch (err) {
+    console.error(`Lead hook (attribution) error for lead #${leadId}:`, err.message);
+  }
+
+  try {
+    const lead = require('../database').prepare(`
+      SELECT l.id, l.first_name, l.last_name, l.full_name, l.stage, l.lead_score_tier, l.assigned_to, lp.platform
+      FROM leads l LEFT JOIN landing_pages lp ON lp.id = l.landing_page_id WHERE l.id = ?
+    `).get(leadId);
+    if (lead) {
+      require('./live-events').publish('lead.created', {
+        id: lead.id,
+        name: [lead.first_name, lead.last_name].filter(Boolean).join(' ') || lead.full_name || `#${lead.id}`,
+        source: source || null,
+        platform: lead.platform || null,
+        stage: lead.stage,
+        tier: lead.lead_score_tier,
+        assigned_to: lead.assigned_to
+      });
+    }
+  } catch (err) {
+    console.error(`Lead hook (live feed) error for lead #${leadId}:`, err.message);
+  }
+
+  try {
+    require('../flow-runner').handleLeadCreated(leadId);
+  } catch (err) {
+    console.error(`Lead hook (flows) error for lead #${leadId} from ${source || 'unknown'}:`, err.message);
+  }
+}
+
+module.exports = { onLeadCreated };
@@ -0,0 +1,205 @@
+const db = require('../database');
+
+// Rule-based lead scoring. Each active row in lead_scoring_rules reads one
+// field from a source (the lead, its visitor, its calls or its conversion
+// events), tests it with an operator and adds its points when it matches.
+// The total is bucketed into a tier and stored on the lead together with the
+// rules that matched, so reps can see why a lead is hot.
+
+const TIERS = ['hot', 'warm', 'cold'];
+
+const OPERATORS = ['equals', 'not_equals', 'contains', 'in', 'not_in', 'greater_than', 'less_than', 'is_empty', 'is_not_empty'];
+
+// Field sources. Each loader takes the lead row and returns a flat object;
+// add a source (and its fields) here to make new data scoreable.
+const SOURCES = {
+  lead: {
+    label: 'Lead',
+    fields: ['debt_amount', 'has_mca', 'mca_count', 'industry', 'considered_bankruptcy', 'company_name', 'email', 'phone',
+      'stage', 'transfer_status', 'five9_dispo', 'total_debt_sign', 'gclid', 'fbclid', 'msclkid', 'is_blocked'],
+    load: (lead) => lead
+  },
+  visitor: {
+    label: 'Visitor',
+    fields: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'device_type', 'browser', 'os', 'country', 'region',
+      'city', 'isp', 'visit_count', 'step1_debt_value', 'step2_mca_value'],
+    load: (lead) => {
+      if (!lead.eli_clickid) return {};
+      return db.prepare('SELECT * FROM visitors WHERE eli_clickid = ?').get(lead.eli_clickid) || {};
+    }
+  },
+  calls: {
+    label: 'Calls',
+    fields: ['call_count', 'transferred_count', 'max_duration', 'total_duration', 'best_call_score', 'last_disposition'],
+    load: (lead) => {
+      const hasClickid = lead.rt_clickid && lead.rt_clickid !== 'adblock_blocked';
+      const where = hasClickid ? '(lead_id = ? OR rt_clickid = ?)' : 'lead_id = ?';
+      const params = hasClickid ? [lead.id, lead.rt_clickid] : [lead.id];
+      const agg = db.prepare(`
+        SELECT COUNT(*) as call_count, COALESCE(SUM(transferred), 0) as transferred_count,
+          COALESCE(MAX(duration), 0) as max_duration, COALESCE(SUM(duration), 0) as total_duration,
+          MAX(call_score) as best_call_score
+        FROM calls WHERE ${where}
+      `).get(...params);
+      const last = db.prepare(`SELECT disposition FROM calls WHERE ${where} ORDER BY call_start DESC, id DESC LIMIT 1`).get(...params);
+      return { ...agg, last_disposition: last ? last.disposition : null };
+    }
+  },
+  events: {
+    label: 'Conversion Events',
+    fields: ['event_count', 'event_names', 'last_event', 'total_revenue'],
+    load: (lead) => {
+      const rows = db.prepare(`
+        SELECT conversion_action_name, revenue FROM conversion_events
+        WHERE lead_id = ? AND source NOT IN ('facebook_capi', 'bing_ads', 'tiktok_capi')
+        ORDER BY created_at ASC, id ASC
+      `).all(lead.id);
+      return {
+        event_count: rows.length,
+        event_names: [...new Set(rows.map(r => r.conversion_action_name).filter(Boolean))].join(','),
+        last_event: rows.length ? rows[rows.length - 1].conversion_action_name : null,
+        total_revenue: rows.reduce((sum, r) => sum + (r.revenue || 0), 0)
+      };
+    }
+  }
+};
+
+function getSetting(key, defaultValue) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : defaultValue;
+}
+
+function getTierThresholds() {
+  return {
+    hot: parseInt(getSetting('lead_score_hot_threshold', '60')),
+    warm: parseInt(getSetting('lead_score_warm_threshold', '30'))
+  };
+}
+
+function tierFor(score, thresholds = getTierThresholds()) {
+  if (score >= thresholds.hot) return 'hot';
+  if (score >= thresholds.warm) return 'warm';
+  return 'cold';
+}
+
+// Form values are often ranges ("$50,000 - $100,000", "$500,000+"), so numeric
+// comparisons use the first number in the value (the lower bound)
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return NaN;
+  if (typeof v === 'number') return v;
+  const match = String(v).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+function parseValue(value) {
+  if (typeof value !== 'string') return value;
+  try { return JSON.parse(value); } catch (e) { return value; }
+}
+
+function matches(operator, actual, value) {
+  const str = actual === null || actual === undefined ? '' : String(actual);
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',').map(v => v.trim());
+  switch (operator) {
+    case 'equals': return str.toLowerCase() === String(value ?? '').toLowerCase();
+    case 'not_equals': return str.toLowerCase() !== String(value ?? '').toLowerCase();
+    case 'contains': return str.toLowerCase().includes(String(value ?? '').toLowerCase());
+    case 'in': return list.map(v => String(v).toLowerCase()).includes(str.toLowerCase());
+    case 'not_in': return !list.map(v => String(v).toLowerCase()).includes(str.toLowerCase());
+    case 'greater_than': return toNumber(actual) > toNumber(value);
+    case 'less_than': return toNumber(actual) < toNumber(value);
+    case 'is_empty': return str.trim() === '';
+    case 'is_not_empty': return str.trim() !== '';
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate the active rules against a lead without saving anything.
+ * Returns { score, tier, explanation } where explanation lists the matched
+ * rules as { rule_id, name, source, field, actual, points }.
+ */
+function computeLeadScore(lead) {
+  const rules = db.prepare('SELECT * FROM lead_scoring_rules WHERE is_active = 1 ORDER BY sort_order ASC, id ASC').all();
+  const loaded = {};
+  const explanation = [];
+  let score = 0;
+
+  for (const rule of rules) {
+    const source = SOURCES[rule.source];
+    if (!source) continue;
+    if (!loaded[rule.source]) {
+      try {
+        loaded[rule.source] = source.load(lead) || {};
+      } catch (err) {
+        console.error(`Lead scoring: failed to load ${rule.source} for lead #${lead.id}:`, err.message);
+        loaded[rule.source] = {};
+      }
+    }
+    const actual = loaded[rule.source][rule.field];
+    if (!matches(rule.operator, actual, parseValue(rule.value))) continue;
+
+    score += rule.points;
+    explanation.push({
+      rule_id: rule.id,
+      name: rule.name,
+      source: rule.source,
+      field: rule.field,
+      actual: actual === undefined ? null : actual,
+      points: rule.points
+    });
+  }
+
+  score = Math.max(0, Math.round(score));
+  return { score, tier: tierFor(score), explanation };
+}
+
+/**
+ * Recompute and store a lead's score. Returns the result, or null if the
+ * lead doesn't exist.
+ */
+function scoreLead(leadId) {
+  const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(leadId);
+  if (!lead) return null;
+
+  const result = computeLeadScore(lead);
+  db.prepare(`
+    UPDATE leads SET lead_score = ?, lead_score_tier = ?, lead_score_explanation = ?, lead_scored_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(result.score, result.tier, JSON.stringify(result.explanation), leadId);
+  return result;
+}
+
+// Scoring must never break the request that changed the lead
+function rescoreLead(leadId, context) {
+  if (!leadId) return null;
+  try {
+    return scoreLead(leadId);
+  } catch (err) {
+    console.error(`Lead scoring error for lead #${leadId}${context ? ` (${context})` : ''}:`, err.message);
+    return null;
+  }
+}
+
+// Re-score every lead after the model changes. Returns counts per tier.
+function rescoreAllLeads() {
+  const ids = db.prepare('SELECT id FROM leads').all().map(r => r.id);
+  const counts = { total: ids.length, hot: 0, warm: 0, cold: 0 };
+  const run = db.transaction(() => {
+    for (const id of ids) {
+      const result = scoreLead(id);
+      if (result) counts[result.tier]++;
+    }
+  });
+  run();
+  return counts;
+}
+
+function parseExplanation(raw) {
+  if (!raw) return [];
+  try { return JSON.parse(raw); } catch (e) { return []; }
+}
+
+module.exports = {
+  TIERS, OPERATORS, SOURCES,
+  getTierThresholds, computeLeadScore, scoreLead, rescoreLead, rescoreAllLeads, parseExplanation
+};
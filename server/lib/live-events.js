@@ -0,0 +1,128 @@
+// In-process pub/sub behind the admin live feed (GET /api/events/stream).
+// Producers call publish(type, data) after they commit; every connected admin
+// tab whose permissions cover the event's area gets it as a Server-Sent Event.
+// Nothing is persisted: a tab that reconnects only sees events from then on.
+
+// Event type -> resource whose read permission it needs (see lib/permissions.js)
+const EVENT_PERMISSIONS = {
+  'lead.created': 'leads',
+  'lead.stage_changed': 'leads',
+  'call.ingested': 'leads',
+  'message.received': 'leads',
+  'postback.failed': 'integrations',
+  'alert.triggered': 'settings',
+  'alert.resolved': 'settings'
+};
+
+const HEARTBEAT_MS = 25000;
+const MAX_CLIENTS_PER_USER = 10;
+
+const clients = new Set();
+let nextEventId = 1;
+let heartbeat = null;
+
+function loadPermissions(userId) {
+  const effective = require('./permissions').getEffectivePermissions(userId);
+  return effective ? effective.permissions : null;
+}
+
+function allowed(permissions, type) {
+  const resource = permissions[EVENT_PERMISSIONS[type]];
+  return !!(resource && resource.read);
+}
+
+function write(client, chunk) {
+  try {
+    client.res.write(chunk);
+  } catch (err) {
+    removeClient(client);
+  }
+}
+
+function removeClient(client) {
+  clients.delete(client);
+  if (clients.size === 0 && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+}
+
+// Comment frames keep proxies from closing idle connections; permissions are
+// re-read on the same tick so a revoked user stops receiving within a beat
+function tick() {
+  const sessions = require('./sessions');
+  for (const client of clients) {
+    const permissions = loadPermissions(client.user.id);
+    // A signed-out or revoked session loses its stream too
+    if (!permissions || (!client.user.internal && !sessions.getActiveSession(client.user.sid))) {
+      client.res.end();
+      removeClient(client);
+      continue;
+    }
+    client.permissions = permissions;
+    write(client, ': ping\n\n');
+  }
+}
+
+/**
+ * Attach an SSE response for an authenticated user. Returns false (and
+ * writes nothing) when the user is unknown; past MAX_CLIENTS_PER_USER the
+ * user's oldest stream is closed to make room.
+ */
+function subscribe(req, res) {
+  const permissions = loadPermissions(req.user.id);
+  if (!permissions) return false;
+  const open = [...clients].filter(c => c.user.id === req.user.id);
+  if (open.length >= MAX_CLIENTS_PER_USER) {
+    open[0].res.end();
+    removeClient(open[0]);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { user: req.user, permissions, res };
+  clients.add(client);
+  req.on('close', () => removeClient(client));
+  if (!heartbeat) heartbeat = setInterval(tick, HEARTBEAT_MS);
+
+  const types = Object.keys(EVENT_PERMISSIONS).filter(t => allowed(permissions, t));
+  write(client, `event: ready\ndata: ${JSON.stringify({ types })}\n\n`);
+  return true;
+}
+
+/**
+ * Push an event to every subscriber allowed to see it. Never throws, so
+ * producers can call it inline without a try/catch.
+ */
+function publish(type, data = {}) {
+  const permission = EVENT_PERMISSIONS[type];
+  if (!permission) {
+    console.error(`Live events: unknown event type "${type}"`);
+    return;
+  }
+  if (clients.size === 0) return;
+
+  const id = nextEventId++;
+  const payload = { ...data, at: new Date().toISOString() };
+  const frame = body => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(body)}\n\n`;
+  const full = frame(payload);
+  let masked = null;
+  for (const client of clients) {
+    if (!allowed(client.permissions, type)) continue;
+    if (client.permissions.pii && client.permissions.pii.read) write(client, full);
+    else write(client, masked = masked || frame(require('./permissions').maskPii(payload)));
+  }
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = { EVENT_PERMISSIONS, subscribe, publish, clientCount };
@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const db = require('../database');
+const { getConfiguredTimezone, localDateToUtcRange, toSqliteUtc } = require('./timezone');
+const { normalizePhone } = require('../sms-worker');
+const { suppressesConversions } = require('./fraud');
+
+// Offline conversion import for Google Ads. /api/postback/conversion uploads
+// one event at a time and only when a postback arrives; deals that close weeks
+// later often never get one. This job scans recent gclid leads against the
+// active offline_conversion_rules, uploads each (lead, rule) once with its
+// value and the time the milestone actually happened, and restates the value
+// when it changes afterwards. Every row sent (or rejected) is logged in
+// conversion_events with source 'offline_import'.
+
+const TRIGGERS = {
+  stage: 'Reaches pipeline stage',
+  contract_signed: 'Contract sign date set',
+  debt_signed: 'Signed debt amount set'
+};
+
+const VALUE_SOURCES = {
+  none: 'No value',
+  fixed: 'Fixed value',
+  total_debt_sign: 'Signed debt amount',
+  debt_amount: 'Debt amount from form'
+};
+
+const SETTINGS = {
+  offline_conversions_enabled: '0',
+  offline_conversions_lookback_days: '90'
+};
+
+// Google rejects clicks older than the action's window (90 days at most)
+const MAX_LOOKBACK_DAYS = 90;
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 200;
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+
+function getSettings() {
+  const rows = db.prepare("SELECT key, value FROM settings WHERE key LIKE 'offline_conversions_%'").all();
+  const values = { ...SETTINGS };
+  rows.forEach(r => { values[r.key] = r.value; });
+  let lastRun = null;
+  try { lastRun = values.offline_conversions_last_run ? JSON.parse(values.offline_conversions_last_run) : null; } catch (e) {}
+  return {
+    enabled: values.offline_conversions_enabled === '1',
+    lookback_days: Math.min(parseInt(values.offline_conversions_lookback_days) || MAX_LOOKBACK_DAYS, MAX_LOOKBACK_DAYS),
+    last_run: lastRun
+  };
+}
+
+function putSetting(key, value) {
+  db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = ?').run(key, String(value), String(value));
+}
+
+function saveSettings(input) {
+  if (input.enabled !== undefined) putSetting('offline_conversions_enabled', input.enabled ? '1' : '0');
+  if (input.lookback_days !== undefined) {
+    const days = parseInt(input.lookback_days);
+    if (isNaN(days) || days < 1 || days > MAX_LOOKBACK_DAYS) throw new Error(`Lookback must be between 1 and ${MAX_LOOKBACK_DAYS} days`);
+    putSetting('offline_conversions_lookback_days', days);
+  }
+  return getSettings();
+}
+
+// Returns an error string for an invalid rule, or null
+function validateRule(rule) {
+  if (!rule.name || !String(rule.name).trim()) return 'name is required';
+  if (!TRIGGERS[rule.trigger_type]) return `trigger_type must be one of: ${Object.keys(TRIGGERS).join(', ')}`;
+  if (rule.trigger_type === 'stage' && !String(rule.stage_name || '').trim()) return 'stage_name is required for stage rules';
+  if (!String(rule.conversion_action_id || '').trim()) return 'conversion_action_id is required';
+  if (rule.value_source && !VALUE_SOURCES[rule.value_source]) return `value_source must be one of: ${Object.keys(VALUE_SOURCES).join(', ')}`;
+  if (rule.value_source === 'fixed' && !(parseFloat(rule.fixed_value) > 0)) return 'fixed_value is required for fixed-value rules';
+  return null;
+}
+
+// ─── Rule evaluation ────────────────────────────────────────────────────────
+
+// Form and CRM values are often formatted ("$125,000"); use the first number
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return NaN;
+  if (typeof v === 'number') return v;
+  const match = String(v).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+// SQLite timestamps are UTC without a zone marker
+function parseUtc(sqliteDate) {
+  if (!sqliteDate) return null;
+  const d = new Date(String(sqliteDate).replace(' ', 'T') + 'Z');
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// CRM dates arrive as YYYY-MM-DD, M/D/YYYY or full timestamps. Date-only
+// values are placed at noon in the configured timezone.
+function parseSignDate(value) {
+  const str = String(value || '').trim();
+  if (!str) return null;
+  let day = null;
+  let m = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) day = `${m[1]}-${m[2]}-${m[3]}`;
+  m = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) day = `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  if (day) {
+    const start = parseUtc(localDateToUtcRange(day, getConfiguredTimezone()).start);
+    return new Date(start.getTime() + 12 * 60 * 60 * 1000);
+  }
+  const parsed = new Date(str);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// When the rule's milestone happened for this lead, or null if it hasn't
+function milestoneTime(rule, lead) {
+  if (rule.trigger_type === 'stage') {
+    const name = String(rule.stage_name).trim().toLowerCase();
+    const history = db.prepare(`
+      SELECT MIN(created_at) as at FROM lead_stage_history WHERE lead_id = ? AND LOWER(to_stage_name) = ?
+    `).get(lead.id, name);
+    if (history && history.at) return parseUtc(history.at);
+    if (String(lead.stage || '').trim().toLowerCase() === name) return parseUtc(lead.stage_entered_at) || new Date();
+    return null;
+  }
+  if (rule.trigger_type === 'contract_signed') {
+    if (!String(lead.contract_sign_date || '').trim()) return null;
+    return parseSignDate(lead.contract_sign_date) || new Date();
+  }
+  if (rule.trigger_type === 'debt_signed') {
+    if (!(toNumber(lead.total_debt_sign) > 0)) return null;
+    // No timestamp is kept for the amount; the sign date is the best proxy,
+    // otherwise the first run that sees it
+    return parseSignDate(lead.contract_sign_date) || new Date();
+  }
+  return null;
+}
+
+function ruleValue(rule, lead) {
+  const multiplier = rule.value_multiplier === null || rule.value_multiplier === undefined ? 1 : rule.value_multiplier;
+  let base = NaN;
+  if (rule.value_source === 'fixed') return Math.round(rule.fixed_value * 100) / 100;
+  if (rule.value_source === 'total_debt_sign') base = toNumber(lead.total_debt_sign);
+  else if (rule.value_source === 'debt_amount') base = toNumber(lead.debt_amount);
+  else return null;
+  return isNaN(base) ? null : Math.round(base * multiplier * 100) / 100;
+}
+
+// Google's format: yyyy-mm-dd hh:mm:ss+|-hh:mm. Conversions can't precede the
+// click (use the lead's creation as the floor) or be in the future.
+function conversionTimeFor(at, lead) {
+  const floor = parseUtc(lead.created_at);
+  let t = at;
+  if (floor && t < floor) t = new Date(floor.getTime() + 60 * 1000);
+  if (t > new Date()) t = new Date();
+  return toSqliteUtc(t) + '+00:00';
+}
+
+// ─── Enhanced conversions for leads ────────────────────────────────────────
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Google's normalization: trim + lowercase; for gmail.com / googlemail.com
+// also drop dots and +suffixes in the local part
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  if (!value.includes('@')) return null;
+  const [local, domain] = value.split('@');
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    return local.split('+')[0].replace(/\./g, '') + '@' + domain;
+  }
+  return value;
+}
+
+function userIdentifiers(lead) {
+  const ids = [];
+  const email = normalizeEmail(lead.email);
+  if (email) ids.push({ hashedEmail: sha256(email) });
+  const phone = normalizePhone(lead.phone);
+  if (phone) ids.push({ hashedPhoneNumber: sha256(phone) });
+  return ids;
+}
+
+// ─── Collect / upload ───────────────────────────────────────────────────────
+
+function orderIdFor(lead, rule) {
+  return `lead-${lead.id}-rule-${rule.id}`;
+}
+
+/**
+ * Work out what the next run would send. Returns { rules, items, skipped }:
+ * items are { kind: 'upload' | 'restatement', lead, rule, payload, ... } and
+ * skipped lists (lead, rule) pairs that matched but won't be sent, with why.
+ */
+function collectOfflineConversions({ ruleId = null } = {}) {
+  const settings = getSettings();
+  const rules = db.prepare(`SELECT * FROM offline_conversion_rules WHERE is_active = 1 ${ruleId ? 'AND id = ?' : ''} ORDER BY id`)
+    .all(...(ruleId ? [ruleId] : []));
+  if (!rules.length) return { rules, items: [], skipped: [] };
+
+  const leads = db.prepare(`
+    SELECT l.*, COALESCE(NULLIF(l.gclid, ''), v.gclid) as resolved_gclid
+    FROM leads l
+    LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
+    WHERE l.created_at > datetime('now', ?)
+      AND COALESCE(NULLIF(l.gclid, ''), v.gclid, '') != ''
+  `).all(`-${settings.lookback_days} days`);
+
+  // Past offline uploads per (lead, rule): the last one sent and the failures since
+  const history = {};
+  db.prepare(`
+    SELECT lead_id, offline_rule_id, status, conversion_value, conversion_time, error_message
+    FROM conversion_events
+    WHERE source = 'offline_import' AND offline_rule_id IS NOT NULL AND created_at > datetime('now', ?)
+    ORDER BY id ASC
+  `).all(`-${settings.lookback_days + 30} days`).forEach(row => {
+    const key = `${row.lead_id}:${row.offline_rule_id}`;
+    const h = history[key] || (history[key] = { sent: null, failures: 0, last_error: null });
+    if (row.status === 'sent') { h.sent = row; h.failures = 0; } else if (row.status === 'failed') { h.failures++; h.last_error = row.error_message; }
+  });
+
+  const items = [];
+  const skipped = [];
+  const nowStamp = toSqliteUtc(new Date()) + '+00:00';
+
+  for (const lead of leads) {
+    for (const rule of rules) {
+      const at = milestoneTime(rule, lead);
+      if (!at) continue;
+      const h = history[`${lead.id}:${rule.id}`] || { sent: null, failures: 0 };
+      const value = ruleValue(rule, lead);
+      const base = { lead_id: lead.id, lead_name: lead.full_name || lead.email || `#${lead.id}`, rule_id: rule.id, rule_name: rule.name, gclid: lead.resolved_gclid, value, currency: rule.currency || 'USD' };
+
+      if (suppressesConversions(lead)) {
+        if (!h.sent) skipped.push({ ...base, reason: lead.is_blocked ? 'Lead is blocked' : 'Lead flagged as suspicious' });
+        continue;
+      }
+
+      let kind = null;
+      if (!h.sent) kind = 'upload';
+      else if (value && Math.abs(value - (h.sent.conversion_value || 0)) >= 0.01) kind = 'restatement';
+      if (!kind) continue;
+
+      if (h.failures >= MAX_ATTEMPTS) {
+        skipped.push({ ...base, reason: `Gave up after ${h.failures} failed attempts: ${h.last_error || 'unknown error'}` });
+        continue;
+      }
+
+      if (kind === 'upload') {
+        const conversionTime = conversionTimeFor(at, lead);
+        const identifiers = userIdentifiers(lead);
+        const payload = {
+          gclid: lead.resolved_gclid,
+          conversionAction: rule.conversion_action_id,
+          conversionDateTime: conversionTime,
+          orderId: orderIdFor(lead, rule)
+        };
+        if (value) {
+          payload.conversionValue = value;
+          payload.currencyCode = rule.currency || 'USD';
+        }
+        if (identifiers.length) payload.userIdentifiers = identifiers;
+        items.push({ ...base, kind, conversion_time: conversionTime, has_email: identifiers.some(i => i.hashedEmail), has_phone: identifiers.some(i => i.hashedPhoneNumber), payload });
+      } else {
+        items.push({
+          ...base, kind, previous_value: h.sent.conversion_value, conversion_time: h.sent.conversion_time,
+          payload: {
+            orderId: orderIdFor(lead, rule),
+            conversionAction: rule.conversion_action_id,
+            adjustmentType: 'RESTATEMENT',
+            restatementValue: { adjustedValue: value, currencyCode: rule.currency || 'USD' },
+            adjustmentDateTime: nowStamp
+          }
+        });
+      }
+    }
+  }
+  return { rules, items, skipped };
+}
+
+function logUpload(item, lead, status, error) {
+  db.prepare(`
+    INSERT INTO conversion_events (lead_id, eli_clickid, gclid, conversion_action_id, conversion_action_name, conversion_value,
+      source, status, error_message, sent_at, capi_payload, offline_rule_id, conversion_time)
+    VALUES (?, ?, ?, ?, ?, ?, 'offline_import', ?, ?, ${status === 'sent' ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?, ?, ?)
+  `).run(
+    item.lead_id, lead ? lead.eli_clickid : '', item.gclid, item.payload.conversionAction,
+    item.kind === 'restatement' ? `${item.rule_name} (restated)` : item.rule_name,
+    item.value, status, error || null, JSON.stringify(item.payload), item.rule_id, item.conversion_time
+  );
+}
+
+let running = false;
+
+/**
+ * Collect and (unless dryRun) upload. Uploads go in batches with partial
+ * failure on, so one bad row doesn't sink the rest; each row's outcome is
+ * logged. Returns { dry_run, uploaded, restated, failed, skipped, items }.
+ */
+async function runOfflineConversions({ dryRun = false, ruleId = null, source = 'schedule' } = {}) {
+  const { items, skipped } = collectOfflineConversions({ ruleId });
+  if (dryRun) return { dry_run: true, items, skipped };
+
+  if (running) return { error: 'An import is already running' };
+  const config = db.prepare('SELECT customer_id, refresh_token_encrypted FROM google_ads_config WHERE id = 1').get();
+  if (!config || !config.refresh_token_encrypted || !config.customer_id) return { error: 'Google Ads not connected' };
+
+  running = true;
+  const summary = { at: toSqliteUtc(new Date()), source, uploaded: 0, restated: 0, failed: 0, skipped: skipped.length };
+  try {
+    const googleAds = require('../routes/google-ads');
+    const leadFor = db.prepare('SELECT id, eli_clickid FROM leads WHERE id = ?');
+
+    for (const kind of ['upload', 'restatement']) {
+      const rows = items.filter(i => i.kind === kind);
+      for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+        const batch = rows.slice(i, i + BATCH_SIZE);
+        const payloads = batch.map(item => item.payload);
+        const result = kind === 'upload'
+          ? await googleAds.uploadClickConversions(payloads)
+          : await googleAds.uploadConversionAdjustments(payloads);
+
+        batch.forEach((item, index) => {
+          const error = !result.success ? result.error : (result.errors[index] || result.errors['*'] || null);
+          logUpload(item, leadFor.get(item.lead_id), error ? 'failed' : 'sent', error);
+          if (error) summary.failed++;
+          else if (kind === 'upload') summary.uploaded++;
+          else summary.restated++;
+        });
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  putSetting('offline_conversions_last_run', JSON.stringify(summary));
+  if (summary.uploaded || summary.restated || summary.failed) {
+    console.log(`[Offline Conversions] ${summary.uploaded} uploaded, ${summary.restated} restated, ${summary.failed} failed, ${summary.skipped} skipped`);
+  }
+  return { dry_run: false, ...summary, items };
+}
+
+let schedulerInterval = null;
+
+function startOfflineConversionScheduler() {
+  if (schedulerInterval) return;
+  const tick = () => {
+    if (!getSettings().enabled) return;
+    runOfflineConversions().catch(err => console.error('[Offline Conversions] Run failed:', err.message));
+  };
+  schedulerInterval = setInterval(tick, RUN_INTERVAL_MS);
+  setTimeout(tick, 2 * 60 * 1000);
+}
+
+function stopOfflineConversionScheduler() {
+  if (schedulerInterval) clearInterval(schedulerInterval);
+  schedulerInterval = null;
+}
+
+module.exports = {
+  TRIGGERS,
+  VALUE_SOURCES,
+  MAX_LOOKBACK_DAYS,
+  getSettings,
+  saveSettings,
+  validateRule,
+  collectOfflineConversions,
+  runOfflineConversions,
+  startOfflineConversionScheduler,
+  stopOfflineConversionScheduler
+};
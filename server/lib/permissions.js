@@ -0,0 +1,216 @@
+const db = require('../database');
+
+// Role-based access control. Every API route behind authenticateToken is
+// checked against a resource (picked from the router's mount path) and an
+// action (read/write/delete/export, from the HTTP method). Role defaults live
+// here; per-user overrides are stored as JSON on users.permissions.
+//
+// Overrides saved before actions existed are plain booleans per resource:
+// true grants every action, false keeps read only (the old toggles only ever
+// gated managing a resource, never viewing it).
+
+const ACTIONS = ['read', 'write', 'delete', 'export'];
+
+const RESOURCES = {
+  pages: 'Landing pages, articles & ad creative',
+  leads: 'Leads, calls, inbox & pipeline',
+  forms: 'Forms',
+  scripts: 'Tracking scripts',
+  analytics: 'Dashboards & reports',
+  marketing: 'Email & SMS campaigns',
+  integrations: 'Ad platforms & integrations',
+  users: 'Users',
+  settings: 'Settings & alerts',
+  pii: 'Unmasked phone numbers & emails'
+};
+
+// pii only has a read action: without it phone/email fields come back masked
+const RESOURCE_ACTIONS = { pii: ['read'] };
+
+function actionsFor(resource) {
+  return RESOURCE_ACTIONS[resource] || ACTIONS;
+}
+
+function grant(actions) {
+  return Object.fromEntries(ACTIONS.map(a => [a, actions.includes(a)]));
+}
+
+const ALL = grant(ACTIONS);
+const NONE = grant([]);
+const READ = grant(['read']);
+
+const DEFAULT_PERMISSIONS = {
+  admin: Object.fromEntries(Object.keys(RESOURCES).map(r => [r, ALL])),
+  editor: {
+    pages: ALL, leads: ALL, forms: ALL, scripts: ALL,
+    analytics: grant(['read', 'export']), marketing: ALL,
+    integrations: READ, users: NONE, settings: READ, pii: READ
+  },
+  viewer: {
+    pages: READ, leads: READ, forms: READ, scripts: READ,
+    analytics: READ, marketing: READ,
+    integrations: READ, users: NONE, settings: READ, pii: NONE
+  }
+};
+
+// API mount path -> resource. A function decides per request; null = no check.
+const ROUTE_RESOURCES = {
+  '/api/auth': req => (req.path.startsWith('/users') ? 'users' : null),
+  '/api/events': null,
+  '/api/leads': 'leads',
+  '/api/crm': 'leads',
+  '/api/lead-scoring': 'leads',
+  '/api/lead-duplicates': 'leads',
+  '/api/lead-assignment': 'leads',
+  '/api/retreaver': 'leads',
+  '/api/inbox': 'leads',
+  '/api/engagement': 'leads',
+  '/api/affiliate-leads': 'leads',
+  '/api/fraud': 'leads',
+  '/api/visitors': 'leads',
+  '/api/pages': 'pages',
+  '/api/articles': 'pages',
+  '/api/revisions': 'pages',
+  '/api/ai': 'pages',
+  '/api/ad-generator': 'pages',
+  '/api/forms': 'forms',
+  '/api/scripts': 'scripts',
+  '/api/analytics': 'analytics',
+  '/api/deep-analysis': 'analytics',
+  '/api/attribution': 'analytics',
+  '/api/ad-spend': 'analytics',
+  '/api/scheduled-reports': 'analytics',
+  '/api/email': 'marketing',
+  '/api/sms': 'marketing',
+  '/api/google-ads': 'integrations',
+  '/api/bing-ads': 'integrations',
+  '/api/facebook': 'integrations',
+  '/api/tiktok-leads': 'integrations',
+  '/api/reddit-ads': 'integrations',
+  '/api/redtrack': 'integrations',
+  '/api/salesforce': 'integrations',
+  '/api/google-sheets': 'integrations',
+  '/api/postback': 'integrations',
+  '/api/outbox': 'integrations',
+  '/api/offline-conversions': 'integrations',
+  '/api/track-event': 'integrations',
+  '/api/settings': 'settings',
+  '/api/notifications': 'settings'
+};
+
+const EXPORT_PATH = /(^|\/)(export|download)(\/|$)/;
+
+function resourceFor(req) {
+  const entry = ROUTE_RESOURCES[req.baseUrl];
+  if (typeof entry === 'function') return entry(req);
+  return entry === undefined ? null : entry;
+}
+
+function actionFor(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return EXPORT_PATH.test(req.path) ? 'export' : 'read';
+  if (req.method === 'DELETE') return 'delete';
+  return 'write';
+}
+
+// Accepts a legacy boolean or a partial { action: bool } object
+function normalizeResource(resource, value, fallback) {
+  if (value === true) return { ...ALL };
+  if (value === false) return { ...READ };
+  const out = { ...(fallback || NONE) };
+  if (value && typeof value === 'object') {
+    for (const a of ACTIONS) if (a in value) out[a] = !!value[a];
+  }
+  for (const a of ACTIONS) if (!actionsFor(resource).includes(a)) out[a] = false;
+  // Anything you can change or export you can also see
+  if (out.write || out.delete || out.export) out.read = true;
+  return out;
+}
+
+// Validate an overrides object from the API; returns { error } or { overrides }
+function normalizeOverrides(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Permissions object required' };
+  const overrides = {};
+  for (const [resource, value] of Object.entries(input)) {
+    if (!RESOURCES[resource]) return { error: `Unknown permission resource: ${resource}` };
+    if (typeof value !== 'boolean' && (typeof value !== 'object' || value === null)) {
+      return { error: `Permissions for ${resource} must be true/false or { read, write, delete, export }` };
+    }
+    overrides[resource] = typeof value === 'boolean' ? value : normalizeResource(resource, value);
+  }
+  return { overrides };
+}
+
+/**
+ * Role defaults merged with the user's overrides (overrides take precedence).
+ * Admins always get everything so an override can't lock the last admin out.
+ * Returns null for an unknown user.
+ */
+function getEffectivePermissions(userId) {
+  const user = db.prepare('SELECT id, role, permissions FROM users WHERE id = ?').get(userId);
+  if (!user) return null;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(user.permissions || '{}');
+  } catch (e) {
+    overrides = {};
+  }
+
+  const defaults = DEFAULT_PERMISSIONS[user.role] || DEFAULT_PERMISSIONS.viewer;
+  const permissions = {};
+  for (const resource of Object.keys(RESOURCES)) {
+    permissions[resource] = user.role === 'admin'
+      ? { ...ALL }
+      : normalizeResource(resource, overrides[resource], defaults[resource]);
+  }
+  return { permissions, overrides, defaults, role: user.role };
+}
+
+function can(permissions, resource, action) {
+  return !!(permissions && permissions[resource] && permissions[resource][action]);
+}
+
+function describe(resource, action) {
+  const verb = { read: 'view', write: 'change', delete: 'delete', export: 'export' }[action] || action;
+  return `You do not have permission to ${verb} ${RESOURCES[resource] ? RESOURCES[resource].toLowerCase() : resource}`;
+}
+
+// ============ PII MASKING ============
+
+const PII_KEY = /^(email|phone|phone_number|caller_number|formatted_caller_number|caller|from_number|to_number|[a-z_]*_email|[a-z_]*_phone)$/i;
+const MASK = '***';
+
+function maskValue(key, value) {
+  if (typeof value !== 'string' || !value) return value;
+  if (/email/i.test(key) || value.includes('@')) {
+    const [local, domain] = value.split('@');
+    return domain ? `${local.charAt(0)}${MASK}@${domain}` : MASK;
+  }
+  const digits = value.replace(/\D/g, '');
+  return digits.length > 4 ? `${MASK}-${digits.slice(-4)}` : MASK;
+}
+
+function maskPii(data, depth = 0) {
+  if (depth > 8 || data === null || typeof data !== 'object') return data;
+  if (Array.isArray(data)) return data.map(item => maskPii(item, depth + 1));
+  if (data instanceof Date || Buffer.isBuffer(data)) return data;
+  const out = {};
+  for (const [key, value] of Object.entries(data)) {
+    out[key] = PII_KEY.test(key) ? maskValue(key, value) : maskPii(value, depth + 1);
+  }
+  return out;
+}
+
+// Masked values echoed back by an edit form must not overwrite the real ones
+function stripMaskedFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return;
+  for (const [key, value] of Object.entries(body)) {
+    if (PII_KEY.test(key) && typeof value === 'string' && value.includes(MASK)) delete body[key];
+  }
+}
+
+module.exports = {
+  ACTIONS, RESOURCES, RESOURCE_ACTIONS, DEFAULT_PERMISSIONS,
+  resourceFor, actionFor, normalizeOverrides, getEffectivePermissions, can, describe,
+  maskPii, stripMaskedFields
+};
@@ -0,0 +1,145 @@
+const db = require('../database');
+
+// Pipeline stages. A lead sits in exactly one stage (leads.pipeline_stage_id);
+// leads.stage keeps the stage name so segments, exports and the lead tables
+// that read it keep working. Every move goes through moveLeadToStage so it
+// lands in lead_stage_history with who/what moved it and how long the lead
+// sat in the previous stage.
+
+function getDefaultPipeline() {
+  return db.prepare('SELECT * FROM pipelines WHERE is_default = 1 ORDER BY id ASC LIMIT 1').get()
+    || db.prepare('SELECT * FROM pipelines ORDER BY id ASC LIMIT 1').get();
+}
+
+function getStages(pipelineId) {
+  return db.prepare('SELECT * FROM pipeline_stages WHERE pipeline_id = ? ORDER BY sort_order ASC, id ASC').all(pipelineId);
+}
+
+function getStage(stageId) {
+  return db.prepare('SELECT * FROM pipeline_stages WHERE id = ?').get(stageId);
+}
+
+// The pipeline a lead belongs to is the one its current stage is in
+function getLeadPipelineId(lead) {
+  const stage = lead.pipeline_stage_id ? getStage(lead.pipeline_stage_id) : null;
+  if (stage) return stage.pipeline_id;
+  const pipeline = getDefaultPipeline();
+  return pipeline ? pipeline.id : null;
+}
+
+function findStageByName(pipelineId, name) {
+  if (!pipelineId || name === undefined || name === null) return null;
+  return db.prepare(`
+    SELECT * FROM pipeline_stages WHERE pipeline_id = ? AND LOWER(name) = LOWER(?) ORDER BY sort_order ASC LIMIT 1
+  `).get(pipelineId, String(name).trim()) || null;
+}
+
+function findStageByEvent(pipelineId, eventName) {
+  if (!pipelineId || !eventName) return null;
+  return db.prepare(`
+    SELECT * FROM pipeline_stages WHERE pipeline_id = ? AND event_name = ? ORDER BY sort_order DESC LIMIT 1
+  `).get(pipelineId, eventName) || null;
+}
+
+// Move a lead into a stage. No-op (moved: false) when it's already there.
+// user is { id, name } for people, null for system sources.
+function moveLeadToStage(leadId, stageId, { source = 'manual', user = null, ip = null } = {}) {
+  const lead = db.prepare(`
+    SELECT id, first_name, last_name, pipeline_stage_id, stage_entered_at,
+      CAST(strftime('%s', 'now') - strftime('%s', COALESCE(stage_entered_at, created_at)) AS INTEGER) as seconds_in_stage
+    FROM leads WHERE id = ?
+  `).get(leadId);
+  if (!lead) throw new Error('Lead not found');
+  const to = getStage(stageId);
+  if (!to) throw new Error('Stage not found');
+  if (lead.pipeline_stage_id === to.id) return { moved: false, stage: to };
+
+  const from = lead.pipeline_stage_id ? getStage(lead.pipeline_stage_id) : null;
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE leads SET pipeline_stage_id = ?, stage = ?, stage_entered_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(to.id, to.name, lead.id);
+    db.prepare(`
+      INSERT INTO lead_stage_history (lead_id, pipeline_id, from_stage_id, from_stage_name, to_stage_id, to_stage_name,
+        source, user_id, user_name, seconds_in_previous)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      lead.id, to.pipeline_id, from ? from.id : null, from ? from.name : null, to.id, to.name,
+      source, user ? user.id : null, user ? (user.name || user.email) : null,
+      from ? Math.max(0, lead.seconds_in_stage || 0) : null
+    );
+  })();
+
+  if (from) {
+    try {
+      const leadName = [lead.first_name, lead.last_name].filter(Boolean).join(' ') || `#${lead.id}`;
+      require('../routes/settings').logActivity(
+        user ? user.id : null, user ? (user.name || user.email) : 'Pipeline',
+        'stage_changed', 'lead', lead.id, `Moved ${leadName} from ${from.name} to ${to.name} (${source})`, ip
+      );
+    } catch (e) {}
+    // Stage is a scoring field
+    require('./lead-scoring').rescoreLead(lead.id, 'stage change');
+    require('./live-events').publish('lead.stage_changed', {
+      id: lead.id,
+      name: [lead.first_name, lead.last_name].filter(Boolean).join(' ') || `#${lead.id}`,
+      from: from.name, to: to.name, source, user: user ? (user.name || user.email) : null
+    });
+  }
+  return { moved: true, from: from || null, stage: to };
+}
+
+// Move by stage name within the lead's pipeline. Returns null when no stage
+// has that name so callers can report it instead of writing free text.
+function moveLeadToStageByName(leadId, name, options) {
+  const lead = db.prepare('SELECT id, pipeline_stage_id FROM leads WHERE id = ?').get(leadId);
+  if (!lead) throw new Error('Lead not found');
+  const stage = findStageByName(getLeadPipelineId(lead), name);
+  if (!stage) return null;
+  return moveLeadToStage(lead.id, stage.id, options);
+}
+
+// A conversion event only ever advances a lead: late or replayed postbacks
+// for an earlier stage must not drag it backwards, and a closed lead stays closed
+function applyConversionEvent(leadId, eventName, options) {
+  const lead = db.prepare('SELECT id, pipeline_stage_id FROM leads WHERE id = ?').get(leadId);
+  if (!lead) return null;
+  const stage = findStageByEvent(getLeadPipelineId(lead), eventName);
+  if (!stage) return null;
+  const current = lead.pipeline_stage_id ? getStage(lead.pipeline_stage_id) : null;
+  if (current && (current.is_won || current.is_lost || current.sort_order >= stage.sort_order)) return null;
+  return moveLeadToStage(lead.id, stage.id, options);
+}
+
+// New leads start in the first stage of the default pipeline
+function placeNewLead(leadId, source) {
+  if (!leadId) return null;
+  try {
+    const lead = db.prepare('SELECT id, pipeline_stage_id FROM leads WHERE id = ?').get(leadId);
+    if (!lead || lead.pipeline_stage_id) return null;
+    const pipeline = getDefaultPipeline();
+    const first = pipeline ? getStages(pipeline.id)[0] : null;
+    if (!first) return null;
+    return moveLeadToStage(lead.id, first.id, { source: source || 'created' });
+  } catch (err) {
+    console.error(`Pipeline placement error for lead #${leadId}:`, err.message);
+    return null;
+  }
+}
+
+function getLeadStageHistory(leadId) {
+  return db.prepare('SELECT * FROM lead_stage_history WHERE lead_id = ? ORDER BY created_at DESC, id DESC').all(leadId);
+}
+
+module.exports = {
+  getDefaultPipeline,
+  getStages,
+  getStage,
+  findStageByName,
+  findStageByEvent,
+  moveLeadToStage,
+  moveLeadToStageByName,
+  applyConversionEvent,
+  placeNewLead,
+  getLeadStageHistory
+};
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const db = require('../database');
+
+// Revision history for landing pages and articles. Every save that changes
+// what a page renders becomes an immutable content_revisions row holding a
+// snapshot of the content columns, who saved it and a diff against the
+// revision it replaced. The live row always matches the latest published
+// revision; drafts sit next to it until they're published (now, or by the
+// scheduler at publish_at) and are only reachable through their preview token.
+
+const ENTITIES = {
+  page: {
+    table: 'landing_pages',
+    label: 'page',
+    fields: ['name', 'template_type', 'form_id', 'webhook_url', 'content', 'sections_visible', 'hidden_fields'],
+    json: ['content', 'sections_visible', 'hidden_fields'],
+    generate: (id, options) => require('../routes/pages').generateLandingPage(id, options)
+  },
+  article: {
+    table: 'articles',
+    label: 'article',
+    fields: ['name', 'headline', 'subheadline', 'body_html', 'author_name', 'author_title', 'publish_date',
+      'form_id', 'content', 'meta_title', 'meta_description'],
+    json: ['content'],
+    generate: (id, options) => require('../routes/articles').generateArticlePage(id, options)
+  }
+};
+
+const DIFF_VALUE_LIMIT = 300;
+
+function entityConfig(type) {
+  const config = ENTITIES[type];
+  if (!config) throw new Error(`Unknown revision type: ${type}`);
+  return config;
+}
+
+function getEntity(type, id) {
+  return db.prepare(`SELECT * FROM ${entityConfig(type).table} WHERE id = ?`).get(id);
+}
+
+// Snapshot of the content columns with the JSON ones parsed so diffs are per key
+function snapshotOf(type, row) {
+  const config = entityConfig(type);
+  const snapshot = {};
+  for (const field of config.fields) {
+    let value = row[field] === undefined ? null : row[field];
+    if (config.json.includes(field)) {
+      try { value = typeof value === 'string' ? JSON.parse(value || '{}') : (value || {}); } catch (e) { value = {}; }
+    }
+    snapshot[field] = value;
+  }
+  return snapshot;
+}
+
+// The column values a snapshot writes back to the row
+function columnsOf(type, snapshot) {
+  const config = entityConfig(type);
+  const columns = {};
+  for (const field of config.fields) {
+    if (!(field in snapshot)) continue;
+    columns[field] = config.json.includes(field) ? JSON.stringify(snapshot[field] || {}) : snapshot[field];
+  }
+  return columns;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clip(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'string' && value.length > DIFF_VALUE_LIMIT) return value.slice(0, DIFF_VALUE_LIMIT) + '…';
+  if (value !== null && typeof value === 'object') {
+    const json = JSON.stringify(value);
+    return json.length > DIFF_VALUE_LIMIT ? json.slice(0, DIFF_VALUE_LIMIT) + '…' : value;
+  }
+  return value;
+}
+
+// Path-level diff between two snapshots: [{ path, op, before, after }].
+// Objects are walked key by key; arrays and scalars compare as a whole.
+function diffSnapshots(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const a = before ? before[key] : undefined;
+    const b = after ? after[key] : undefined;
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffSnapshots(a, b, path));
+      continue;
+    }
+    const emptyA = a === undefined || a === null || a === '';
+    const emptyB = b === undefined || b === null || b === '';
+    if (emptyA && emptyB) continue;
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    // form_id comes back from the body as a string sometimes
+    if (!emptyA && !emptyB && typeof a !== 'object' && String(a) === String(b)) continue;
+    changes.push({ path, op: emptyA ? 'added' : emptyB ? 'removed' : 'changed', before: clip(a), after: clip(b) });
+  }
+  return changes;
+}
+
+function parseRevision(row) {
+  if (!row) return row;
+  try { row.snapshot = JSON.parse(row.snapshot || '{}'); } catch (e) { row.snapshot = {}; }
+  try { row.diff = JSON.parse(row.diff || '[]'); } catch (e) { row.diff = []; }
+  row.is_draft = !row.published_at && !row.discarded_at;
+  return row;
+}
+
+function getRevision(revisionId) {
+  return parseRevision(db.prepare('SELECT * FROM content_revisions WHERE id = ?').get(revisionId));
+}
+
+// The revision the live row currently matches
+function getLiveRevision(type, id) {
+  return parseRevision(db.prepare(`
+    SELECT * FROM content_revisions
+    WHERE entity_type = ? AND entity_id = ? AND published_at IS NOT NULL
+    ORDER BY published_at DESC, id DESC LIMIT 1
+  `).get(type, id));
+}
+
+function listRevisions(type, id) {
+  const rows = db.prepare(`
+    SELECT * FROM content_revisions WHERE entity_type = ? AND entity_id = ? ORDER BY id DESC
+  `).all(type, id).map(parseRevision);
+  const live = getLiveRevision(type, id);
+  rows.forEach(r => {
+    r.is_live = !!live && r.id === live.id;
+    r.is_stale = r.is_draft && !!live && r.based_on_id !== live.id;
+    r.change_count = r.diff.length;
+    delete r.snapshot;
+  });
+  return rows;
+}
+
+function insertRevision(type, id, snapshot, { source = 'edit', user = null, note = null, basedOn = null, draft = false, publishAt = null } = {}) {
+  const next = db.prepare(`
+    SELECT COALESCE(MAX(revision_number), 0) + 1 as n FROM content_revisions WHERE entity_type = ? AND entity_id = ?
+  `).get(type, id).n;
+  const diff = basedOn ? diffSnapshots(basedOn.snapshot, snapshot) : [];
+  const result = db.prepare(`
+    INSERT INTO content_revisions (entity_type, entity_id, revision_number, snapshot, diff, source, note, based_on_id,
+      author_id, author_name, preview_token, publish_at, published_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${draft ? 'NULL' : 'CURRENT_TIMESTAMP'})
+  `).run(
+    type, id, next, JSON.stringify(snapshot), JSON.stringify(diff), source, note || null,
+    basedOn ? basedOn.id : null, user ? user.id : null, user ? (user.name || user.email) : null,
+    crypto.randomBytes(16).toString('hex'), publishAt
+  );
+  return getRevision(result.lastInsertRowid);
+}
+
+// Rows saved before revisions existed have no history. Call this before
+// changing one so its current state is kept as the first revision.
+function captureBaseline(type, id) {
+  const existing = db.prepare('SELECT id FROM content_revisions WHERE entity_type = ? AND entity_id = ? LIMIT 1').get(type, id);
+  if (existing) return null;
+  const row = getEntity(type, id);
+  if (!row) return null;
+  return insertRevision(type, id, snapshotOf(type, row), { source: 'baseline', note: 'State before revision history' });
+}
+
+// Record the live row as a new published revision after a save. Returns null
+// when nothing that renders changed (e.g. only is_active was toggled).
+function recordRevision(type, id, { source = 'edit', user = null, note = null } = {}) {
+  try {
+    const row = getEntity(type, id);
+    if (!row) return null;
+    const snapshot = snapshotOf(type, row);
+    const live = getLiveRevision(type, id);
+    if (live && !diffSnapshots(live.snapshot, snapshot).length) return null;
+    return insertRevision(type, id, snapshot, { source, user, note, basedOn: live });
+  } catch (err) {
+    console.error(`Failed to record ${type} #${id} revision:`, err.message);
+    return null;
+  }
+}
+
+// Save changes as a draft without touching the live row or file. columns are
+// the row values the save would have written; an open (unscheduled) draft is
+// replaced by the new one.
+function saveDraft(type, id, columns, { user = null, note = null, publishAt = null } = {}) {
+  const row = getEntity(type, id);
+  if (!row) throw new Error(`${entityConfig(type).label} not found`);
+  captureBaseline(type, id);
+  const live = getLiveRevision(type, id);
+  const snapshot = snapshotOf(type, { ...row, ...columns });
+  return db.transaction(() => {
+    db.prepare(`
+      UPDATE content_revisions SET discarded_at = CURRENT_TIMESTAMP
+      WHERE entity_type = ? AND entity_id = ? AND published_at IS NULL AND discarded_at IS NULL AND publish_at IS NULL
+    `).run(type, id);
+    return insertRevision(type, id, snapshot, { source: 'draft', user, note, basedOn: live, draft: true, publishAt });
+  })();
+}
+
+function applySnapshot(type, id, snapshot) {
+  const config = entityConfig(type);
+  const columns = columnsOf(type, snapshot);
+  const names = Object.keys(columns);
+  db.prepare(`
+    UPDATE ${config.table} SET ${names.map(n => `${n} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(...names.map(n => columns[n]), id);
+  config.generate(id);
+}
+
+function logRevision(user, action, type, id, message) {
+  try {
+    require('../routes/settings').logActivity(
+      user ? user.id : null, user ? (user.name || user.email) : 'Scheduler',
+      action, type, id, message, null
+    );
+  } catch (e) {}
+}
+
+// Publish a draft: write its snapshot to the live row and regenerate the file
+function publishRevision(revisionId, { user = null } = {}) {
+  const revision = getRevision(revisionId);
+  if (!revision) throw new Error('Revision not found');
+  if (revision.discarded_at) throw new Error('This draft was discarded');
+  if (revision.published_at) throw new Error('This revision is already published');
+  const row = getEntity(revision.entity_type, revision.entity_id);
+  if (!row) throw new Error(`${entityConfig(revision.entity_type).label} not found`);
+
+  db.transaction(() => {
+    applySnapshot(revision.entity_type, revision.entity_id, revision.snapshot);
+    db.prepare('UPDATE content_revisions SET published_at = CURRENT_TIMESTAMP WHERE id = ?').run(revision.id);
+  })();
+  logRevision(user, 'published', revision.entity_type, revision.entity_id,
+    `Published revision #${revision.revision_number} of ${row.name}`);
+  return getRevision(revision.id);
+}
+
+function scheduleRevision(revisionId, publishAt) {
+  const revision = getRevision(revisionId);
+  if (!revision) throw new Error('Revision not found');
+  if (!revision.is_draft) throw new Error('Only drafts can be scheduled');
+  db.prepare('UPDATE content_revisions SET publish_at = ? WHERE id = ?').run(publishAt || null, revision.id);
+  return getRevision(revision.id);
+}
+
+function discardRevision(revisionId) {
+  const revision = getRevision(revisionId);
+  if (!revision) throw new Error('Revision not found');
+  if (!revision.is_draft) throw new Error('Only drafts can be discarded');
+  db.prepare('UPDATE content_revisions SET discarded_at = CURRENT_TIMESTAMP WHERE id = ?').run(revision.id);
+  return getRevision(revision.id);
+}
+
+// Roll back by publishing a copy of an earlier revision, so the history
+// itself is never rewritten and the rollback can be undone the same way
+function rollbackTo(revisionId, { user = null } = {}) {
+  const target = getRevision(revisionId);
+  if (!target) throw new Error('Revision not found');
+  if (!target.published_at) throw new Error('Only previously published revisions can be restored');
+  const { entity_type: type, entity_id: id } = target;
+  const row = getEntity(type, id);
+  if (!row) throw new Error(`${entityConfig(type).label} not found`);
+  const live = getLiveRevision(type, id);
+  if (live && live.id === target.id) throw new Error('This revision is already live');
+
+  const revision = db.transaction(() => {
+    const created = insertRevision(type, id, target.snapshot, {
+      source: 'rollback', user, note: `Rolled back to revision #${target.revision_number}`, basedOn: live
+    });
+    applySnapshot(type, id, target.snapshot);
+    return created;
+  })();
+  logRevision(user, 'rolled_back', type, id, `Rolled ${row.name} back to revision #${target.revision_number}`);
+  return revision;
+}
+
+// Render any revision without writing it to public/
+function renderRevision(revision) {
+  return entityConfig(revision.entity_type).generate(revision.entity_id, {
+    snapshot: columnsOf(revision.entity_type, revision.snapshot)
+  });
+}
+
+function getRevisionByToken(token) {
+  if (!token) return null;
+  return parseRevision(db.prepare('SELECT * FROM content_revisions WHERE preview_token = ?').get(String(token)));
+}
+
+function publishDueRevisions() {
+  const due = db.prepare(`
+    SELECT id FROM content_revisions
+    WHERE published_at IS NULL AND discarded_at IS NULL AND publish_at IS NOT NULL AND publish_at <= datetime('now')
+    ORDER BY publish_at ASC, id ASC
+  `).all();
+  for (const { id } of due) {
+    try {
+      publishRevision(id);
+    } catch (err) {
+      console.error(`Scheduled publish of revision #${id} failed:`, err.message);
+      // Don't retry every minute forever
+      db.prepare('UPDATE content_revisions SET discarded_at = CURRENT_TIMESTAMP, note = ? WHERE id = ?')
+        .run(`Scheduled publish failed: ${err.message}`, id);
+    }
+  }
+  return due.length;
+}
+
+let schedulerInterval = null;
+
+function startRevisionScheduler() {
+  console.log('Revision publish scheduler started');
+  schedulerInterval = setInterval(() => {
+    try {
+      publishDueRevisions();
+    } catch (err) {
+      console.error('Revision scheduler error:', err.message);
+    }
+  }, 60000);
+}
+
+function stopRevisionScheduler() {
+  if (schedulerInterval) clearInterval(schedulerInterval);
+}
+
+module.exports = {
+  ENTITIES,
+  snapshotOf,
+  diffSnapshots,
+  getRevision,
+  getLiveRevision,
+  listRevisions,
+  captureBaseline,
+  recordRevision,
+  saveDraft,
+  publishRevision,
+  scheduleRevision,
+  discardRevision,
+  rollbackTo,
+  renderRevision,
+  getRevisionByToken,
+  publishDueRevisions,
+  startRevisionScheduler,
+  stopRevisionScheduler
+};
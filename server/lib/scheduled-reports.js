@@ -0,0 +1,410 @@
+const jwt = require('jsonwebtoken');
+const db = require('../database');
+const { getConfiguredTimezone, getTodayInTz, toSqliteUtc } = require('./timezone');
+const { createTransporter, getSmtpConfig } = require('./smtp');
+
+/**
+ * Scheduled report digests. A report is a saved call to one of SOURCES (the
+ * same endpoints the dashboard and deep-analysis pages use), a date range
+ * preset resolved at send time, and a 5-field cron schedule in the configured
+ * timezone. Endpoints are called over loopback as the report's owner so the
+ * numbers match what they see in the admin; results are flattened to a table
+ * and mailed as CSV and/or PDF (services/puppeteer-renderer.js).
+ */
+
+const JWT_SECRET = process.env.JWT_SECRET || 'coastal-debt-secret-key-change-in-production';
+const TICK_MS = 60 * 1000;
+const FETCH_TIMEOUT_MS = 2 * 60 * 1000;
+const EMAIL_PREVIEW_ROWS = 25;
+
+const pct = v => (v || 0).toFixed(1) + '%';
+
+const SOURCES = {
+  dashboard: {
+    label: 'Dashboard KPIs',
+    method: 'GET',
+    path: '/api/analytics/dashboard',
+    params: ['platform', 'page'],
+    toTable: (d) => {
+      // One metric per row; the endpoint reports cost fields in cents
+      const metrics = [
+        ['totalLeads', 'Leads (range)'], ['filteredRevenue', 'Revenue (range)', 'money'], ['filteredCost', 'Cost (range)', 'cents'],
+        ['leadsToday', 'Leads today'], ['revenueToday', 'Revenue today', 'money'], ['costToday', 'Cost today', 'cents'],
+        ['leadsWTD', 'Leads WTD'], ['revenueWTD', 'Revenue WTD', 'money'], ['costWTD', 'Cost WTD', 'cents'],
+        ['leadsMTD', 'Leads MTD'], ['revenueMTD', 'Revenue MTD', 'money'], ['costMTD', 'Cost MTD', 'cents'],
+        ['googleCost', 'Google cost (range)', 'cents'], ['metaCost', 'Meta cost (range)', 'cents'],
+        ['activePages', 'Active pages']
+      ];
+      return {
+        columns: [{ key: 'metric', label: 'Metric' }, { key: 'value', label: 'Value' }],
+        rows: metrics.map(([key, label, type]) => ({
+          metric: label,
+          value: type === 'cents' ? (d[key] || 0) / 100 : (d[key] || 0),
+          _type: type ? 'money' : 'number'
+        }))
+      };
+    }
+  },
+  platform_financials: {
+    label: 'Platform financials',
+    method: 'GET',
+    path: '/api/analytics/platform-financials',
+    params: [],
+    toTable: (d) => ({
+      columns: [
+        { key: 'platform', label: 'Platform' }, { key: 'leads', label: 'Leads', type: 'number' },
+        { key: 'cost', label: 'Cost', type: 'money' }, { key: 'revenue', label: 'Revenue', type: 'money' },
+        { key: 'profit', label: 'Profit', type: 'money' }, { key: 'cpl', label: 'CPL', type: 'money' },
+        { key: 'roas', label: 'ROAS', type: 'ratio' }
+      ],
+      rows: Object.entries(d).map(([platform, r]) => ({ platform, ...r }))
+    })
+  },
+  scorecard: {
+    label: 'Platform scorecard',
+    method: 'GET',
+    path: '/api/deep-analysis/scorecard',
+    params: ['platform', 'model'],
+    toTable: (d) => ({
+      columns: [
+        { key: 'platform', label: 'Platform' }, { key: 'spend', label: 'Spend', type: 'money' },
+        { key: 'leads', label: 'Leads', type: 'number' }, { key: 'cpl', label: 'CPL', type: 'money' },
+        { key: 'revenue', label: 'Revenue', type: 'money' }, { key: 'roi', label: 'ROI', type: 'pct' },
+        { key: 'conv_rate', label: 'Conv. rate', type: 'pct' }
+      ],
+      rows: d
+    })
+  },
+  pivot: {
+    label: 'Visitor pivot',
+    method: 'POST',
+    path: '/api/deep-analysis/pivot',
+    params: ['rows', 'cols', 'measures', 'filters'],
+    toTable: (d) => ({
+      columns: [...d.rows, ...d.cols].map(key => ({ key, label: key }))
+        .concat(d.measures.map(key => ({ key, label: key, type: /_pct$/.test(key) ? 'pct' : 'number' }))),
+      rows: d.data
+    })
+  }
+};
+
+const DATE_RANGES = {
+  yesterday: 'Yesterday',
+  today: 'Today so far',
+  last_7_days: 'Last 7 days',
+  last_30_days: 'Last 30 days',
+  week_to_date: 'Week to date',
+  month_to_date: 'Month to date',
+  last_month: 'Last month',
+  all_time: 'All time'
+};
+
+function money(v) {
+  return '$' + (v || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// { from, to } local dates for a DATE_RANGES preset; null for all_time
+function resolveRange(range, tz = getConfiguredTimezone()) {
+  const today = getTodayInTz(tz);
+  switch (range) {
+    case 'today': return { from: today, to: today };
+    case 'last_7_days': return { from: addDays(today, -7), to: addDays(today, -1) };
+    case 'last_30_days': return { from: addDays(today, -30), to: addDays(today, -1) };
+    case 'week_to_date': return { from: addDays(today, -new Date(today + 'T00:00:00Z').getUTCDay()), to: today };
+    case 'month_to_date': return { from: today.slice(0, 8) + '01', to: today };
+    case 'last_month': {
+      const end = addDays(today.slice(0, 8) + '01', -1);
+      return { from: end.slice(0, 8) + '01', to: end };
+    }
+    case 'all_time': return null;
+    default: { const y = addDays(today, -1); return { from: y, to: y }; }
+  }
+}
+
+// ─── Cron ────────────────────────────────────────────────
+
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['day of month', 1, 31], ['month', 1, 12], ['day of week', 0, 7]];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Parse "minute hour day-of-month month day-of-week" (*, lists, ranges and
+ * steps; day of week 0 or 7 is Sunday). Throws with a readable message.
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Schedule must have 5 fields: minute hour day-of-month month day-of-week');
+  return parts.map((part, i) => {
+    const [name, min, max] = CRON_FIELDS[i];
+    const values = new Set();
+    for (const item of part.split(',')) {
+      const m = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`Invalid ${name} in schedule: "${item}"`);
+      const [lo, hi] = m[1] === '*' ? [min, max] : (m[1].includes('-') ? m[1].split('-').map(Number) : [Number(m[1]), m[2] ? max : Number(m[1])]);
+      const step = m[2] ? Number(m[2]) : 1;
+      if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`${name} in schedule must be between ${min} and ${max}`);
+      for (let v = lo; v <= hi; v += step) values.add(i === 4 && v === 7 ? 0 : v);
+    }
+    return { values, any: part === '*' };
+  });
+}
+
+function wallClock(date, tz) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', weekday: 'short'
+  }).formatToParts(date)) parts[p.type] = p.value;
+  return { month: +parts.month, day: +parts.day, hour: +parts.hour, minute: +parts.minute, weekday: WEEKDAYS[parts.weekday] };
+}
+
+// Next Date strictly after `after` matching the schedule in `tz`, or null within a year.
+// Steps an hour at a time until the day and hour match so DST shifts are honoured.
+function nextRun(expr, tz = getConfiguredTimezone(), after = new Date()) {
+  const [minute, hour, dom, month, dow] = parseCron(expr);
+  let t = new Date(Math.floor(after.getTime() / 60000) * 60000 + 60000);
+  const limit = t.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (t.getTime() < limit) {
+    const w = wallClock(t, tz);
+    // Standard cron: when both day fields are restricted either may match
+    const dayOk = dom.any || dow.any
+      ? dom.values.has(w.day) && dow.values.has(w.weekday)
+      : dom.values.has(w.day) || dow.values.has(w.weekday);
+    if (!month.values.has(w.month) || !dayOk || !hour.values.has(w.hour)) {
+      t = new Date(t.getTime() + (60 - w.minute) * 60000);
+      continue;
+    }
+    if (minute.values.has(w.minute)) return t;
+    t = new Date(t.getTime() + 60000);
+  }
+  return null;
+}
+
+// ─── Building ────────────────────────────────────────────
+
+function parseRecipients(value) {
+  return String(value || '').split(/[\s,;]+/).map(s => s.trim()).filter(Boolean);
+}
+
+async function fetchSource(report, range) {
+  const source = SOURCES[report.source];
+  if (!source) throw new Error(`Unknown report source: ${report.source}`);
+  const owner = db.prepare('SELECT id, email, role FROM users WHERE id = ?').get(report.created_by);
+  if (!owner) throw new Error('Report owner no longer exists — re-save the report under an active user');
+
+  let params = {};
+  try { params = JSON.parse(report.params || '{}') || {}; } catch (e) {}
+  // internal: no login session behind it (see verifyToken in routes/auth.js)
+  const token = jwt.sign({ id: owner.id, email: owner.email, role: owner.role, internal: true }, JWT_SECRET, { expiresIn: '5m' });
+  const url = new URL(`http://127.0.0.1:${process.env.PORT || 3000}${source.path}`);
+  const init = { method: source.method, headers: { Authorization: `Bearer ${token}` }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) };
+
+  if (source.method === 'GET') {
+    for (const key of source.params) if (params[key]) url.searchParams.set(key, params[key]);
+    if (range) { url.searchParams.set('from', range.from); url.searchParams.set('to', range.to); }
+  } else {
+    const body = {};
+    for (const key of source.params) if (params[key] !== undefined) body[key] = params[key];
+    body.filters = { ...(body.filters || {}), ...(range || {}) };
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+
+  const res = await fetch(url, init);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `${source.path} returned ${res.status}`);
+  return source.toTable(data);
+}
+
+function formatCell(value, type) {
+  if (value === null || value === undefined) return '';
+  if (type === 'money') return money(value);
+  if (type === 'pct') return pct(value);
+  if (type === 'ratio') return (value || 0).toFixed(2) + 'x';
+  if (type === 'number' && typeof value === 'number') return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  return String(value);
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function toCsv(table) {
+  const lines = [table.columns.map(c => csvCell(c.label)).join(',')];
+  for (const row of table.rows) {
+    lines.push(table.columns.map(c => csvCell(row[c.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function tableHtml(table, limit) {
+  const rows = limit ? table.rows.slice(0, limit) : table.rows;
+  const th = 'style="text-align:left;padding:6px 8px;background:#f1f5f9;border-bottom:2px solid #e2e8f0;font-size:11px;text-transform:uppercase;color:#475569;"';
+  const td = 'style="padding:6px 8px;border-bottom:1px solid #e2e8f0;font-size:12px;"';
+  return '<table style="border-collapse:collapse;width:100%;font-family:Arial,sans-serif;">' +
+    '<thead><tr>' + table.columns.map(c => `<th ${th}>${escapeHtml(c.label)}</th>`).join('') + '</tr></thead>' +
+    '<tbody>' + (rows.length
+      ? rows.map(r => '<tr>' + table.columns.map(c => `<td ${td}>${escapeHtml(formatCell(r[c.key], c.type || r._type))}</td>`).join('') + '</tr>').join('')
+      : `<tr><td ${td} colspan="${table.columns.length}">No data for this range</td></tr>`) +
+    '</tbody></table>';
+}
+
+function rangeLabel(report, range) {
+  const label = DATE_RANGES[report.date_range] || DATE_RANGES.yesterday;
+  if (!range) return label;
+  return range.from === range.to ? `${label} (${range.from})` : `${label} (${range.from} – ${range.to})`;
+}
+
+function reportHtml(report, table, range) {
+  return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>' + escapeHtml(report.name) + '</title></head>' +
+    '<body style="font-family:Arial,sans-serif;color:#0f172a;margin:0;">' +
+    `<h1 style="font-size:18px;margin:0 0 4px;">${escapeHtml(report.name)}</h1>` +
+    `<div style="font-size:12px;color:#64748b;margin-bottom:14px;">${escapeHtml(SOURCES[report.source].label)} · ${escapeHtml(rangeLabel(report, range))} · generated ${escapeHtml(new Date().toLocaleString('en-US', { timeZone: getConfiguredTimezone() }))}</div>` +
+    tableHtml(table) +
+    '</body></html>';
+}
+
+/**
+ * Fetch and render a report without sending it. Returns
+ * { range, table, csv, html, pdf? } — pdf only when `withPdf` is set.
+ */
+async function buildReport(report, { withPdf = false } = {}) {
+  const range = resolveRange(report.date_range);
+  const table = await fetchSource(report, range);
+  const html = reportHtml(report, table, range);
+  const built = { range, table, csv: toCsv(table), html };
+  if (withPdf) {
+    const { renderHtmlToPdf } = require('../services/puppeteer-renderer');
+    built.pdf = await renderHtmlToPdf(html, { landscape: table.columns.length > 6 });
+  }
+  return built;
+}
+
+function fileBase(report, range) {
+  const slug = report.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+  return range ? `${slug}-${range.from}${range.to !== range.from ? '_' + range.to : ''}` : `${slug}-all-time`;
+}
+
+/**
+ * Build and email a report. `recipients` overrides the saved list (used by
+ * "send test"). Records a scheduled_report_runs row and never throws — the
+ * outcome is returned as { run_id, status, row_count, error }.
+ */
+async function runReport(reportId, { trigger = 'schedule', recipients } = {}) {
+  const report = db.prepare('SELECT * FROM scheduled_reports WHERE id = ?').get(reportId);
+  if (!report) return { status: 'failed', error: 'Report not found' };
+  const to = parseRecipients(recipients || report.recipients);
+  const run = db.prepare('INSERT INTO scheduled_report_runs (report_id, trigger, recipients) VALUES (?, ?, ?)')
+    .run(report.id, trigger, to.join(', '));
+  const runId = run.lastInsertRowid;
+
+  let status = 'sent', error = null, rowCount = 0, range = null;
+  try {
+    const transporter = createTransporter();
+    if (!transporter) throw new Error('SMTP not configured');
+    if (!to.length) throw new Error('No recipients');
+
+    const formats = String(report.formats || 'csv').split(',');
+    const built = await buildReport(report, { withPdf: formats.includes('pdf') });
+    range = built.range;
+    rowCount = built.table.rows.length;
+
+    const base = fileBase(report, range);
+    const attachments = [];
+    if (formats.includes('csv')) attachments.push({ filename: `${base}.csv`, content: built.csv, contentType: 'text/csv' });
+    if (built.pdf) attachments.push({ filename: `${base}.pdf`, content: built.pdf, contentType: 'application/pdf' });
+
+    const config = getSmtpConfig();
+    const more = rowCount > EMAIL_PREVIEW_ROWS ? `<p style="font-size:12px;color:#64748b;">Showing ${EMAIL_PREVIEW_ROWS} of ${rowCount} rows — see the attachment for the rest.</p>` : '';
+    await transporter.sendMail({
+      from: config.smtp_from || config.smtp_user,
+      to: to.join(', '),
+      subject: `${report.name} — ${rangeLabel(report, range)}`,
+      html: `<h2 style="font-family:Arial,sans-serif;font-size:16px;">${escapeHtml(report.name)}</h2>` +
+        `<p style="font-family:Arial,sans-serif;font-size:12px;color:#64748b;">${escapeHtml(rangeLabel(report, range))}</p>` +
+        tableHtml(built.table, EMAIL_PREVIEW_ROWS) + more,
+      attachments
+    });
+  } catch (err) {
+    status = 'failed';
+    error = err.message;
+    console.error(`[Reports] "${report.name}" failed:`, err.message);
+  }
+
+  db.prepare(`
+    UPDATE scheduled_report_runs SET status = ?, error = ?, row_count = ?, range_from = ?, range_to = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, error, rowCount, range ? range.from : null, range ? range.to : null, runId);
+  if (trigger !== 'test') {
+    db.prepare('UPDATE scheduled_reports SET last_run_at = CURRENT_TIMESTAMP, last_status = ?, last_error = ? WHERE id = ?')
+      .run(status, error, report.id);
+  }
+  return { run_id: runId, status, row_count: rowCount, error };
+}
+
+// ─── Scheduler ───────────────────────────────────────────
+
+function scheduleNext(reportId) {
+  const report = db.prepare('SELECT id, schedule, is_active FROM scheduled_reports WHERE id = ?').get(reportId);
+  if (!report) return null;
+  let next = null;
+  try { next = report.is_active ? nextRun(report.schedule) : null; } catch (e) {}
+  db.prepare('UPDATE scheduled_reports SET next_run_at = ? WHERE id = ?').run(toSqliteUtc(next), report.id);
+  return next;
+}
+
+let schedulerInterval = null;
+let ticking = false;
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const due = db.prepare(`
+      SELECT id FROM scheduled_reports
+      WHERE is_active = 1 AND next_run_at IS NOT NULL AND next_run_at <= datetime('now')
+      ORDER BY next_run_at
+    `).all();
+    for (const { id } of due) {
+      // Advance first so a failing report is not retried every minute
+      scheduleNext(id);
+      await runReport(id);
+    }
+  } catch (err) {
+    console.error('[Reports] Scheduler error:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+function startReportScheduler() {
+  if (schedulerInterval) return;
+  for (const { id } of db.prepare('SELECT id FROM scheduled_reports WHERE is_active = 1 AND next_run_at IS NULL').all()) {
+    scheduleNext(id);
+  }
+  schedulerInterval = setInterval(tick, TICK_MS);
+  console.log('[Reports] Scheduler started (checks every minute)');
+}
+
+function stopReportScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
+
+module.exports = {
+  SOURCES, DATE_RANGES,
+  parseCron, nextRun, resolveRange, parseRecipients,
+  buildReport, runReport, scheduleNext, fileBase,
+  startReportScheduler, stopReportScheduler
+};
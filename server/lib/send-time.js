@@ -0,0 +1,259 @@
+const db = require('../database');
+const {
+  getConfiguredTimezone, getTodayInTz, localDateToUtcRange, isValidTimezone, getZonedParts, zonedTimeToUtc, toSqliteUtc
+} = require('./timezone');
+
+// Per-recipient send times for campaign emails. Each queue row can carry a
+// send_after (UTC) the worker won't send before:
+//   - send_time_mode 'local': the campaign's clock time (in the account
+//     timezone) at the same clock time in the recipient's timezone
+//   - send_time_mode 'optimized': the hour the lead usually opens email,
+//     learned from email_opens, falling back to the scheduled clock time (or
+//     the default send hour when the campaign was sent right away)
+// On top of that, global quiet hours (recipient-local) push sends to the end
+// of the window, and per-domain daily caps push the overflow to tomorrow.
+
+const SEND_TIME_MODES = ['immediate', 'local', 'optimized'];
+
+// Best hour needs this many distinct opened emails to be trusted
+const BEST_HOUR_MIN_OPENS = 3;
+const BEST_HOUR_LOOKBACK_DAYS = 180;
+
+const SETTING_DEFAULTS = {
+  email_quiet_hours_enabled: '0',
+  email_quiet_hours_start: '21:00',
+  email_quiet_hours_end: '08:00',
+  email_domain_daily_limit: '0',
+  email_domain_limits: '{}',
+  email_default_send_hour: '10'
+};
+
+// Primary timezone per US state, for leads whose visitor record has a region
+// (from IP lookup) but no browser timezone
+const STATES = [
+  ['AL', 'Alabama', 'America/Chicago'], ['AK', 'Alaska', 'America/Anchorage'],
+  ['AZ', 'Arizona', 'America/Phoenix'], ['AR', 'Arkansas', 'America/Chicago'],
+  ['CA', 'California', 'America/Los_Angeles'], ['CO', 'Colorado', 'America/Denver'],
+  ['CT', 'Connecticut', 'America/New_York'], ['DE', 'Delaware', 'America/New_York'],
+  ['DC', 'District of Columbia', 'America/New_York'], ['FL', 'Florida', 'America/New_York'],
+  ['GA', 'Georgia', 'America/New_York'], ['HI', 'Hawaii', 'Pacific/Honolulu'],
+  ['ID', 'Idaho', 'America/Boise'], ['IL', 'Illinois', 'America/Chicago'],
+  ['IN', 'Indiana', 'America/Indiana/Indianapolis'], ['IA', 'Iowa', 'America/Chicago'],
+  ['KS', 'Kansas', 'America/Chicago'], ['KY', 'Kentucky', 'America/New_York'],
+  ['LA', 'Louisiana', 'America/Chicago'], ['ME', 'Maine', 'America/New_York'],
+  ['MD', 'Maryland', 'America/New_York'], ['MA', 'Massachusetts', 'America/New_York'],
+  ['MI', 'Michigan', 'America/Detroit'], ['MN', 'Minnesota', 'America/Chicago'],
+  ['MS', 'Mississippi', 'America/Chicago'], ['MO', 'Missouri', 'America/Chicago'],
+  ['MT', 'Montana', 'America/Denver'], ['NE', 'Nebraska', 'America/Chicago'],
+  ['NV', 'Nevada', 'America/Los_Angeles'], ['NH', 'New Hampshire', 'America/New_York'],
+  ['NJ', 'New Jersey', 'America/New_York'], ['NM', 'New Mexico', 'America/Denver'],
+  ['NY', 'New York', 'America/New_York'], ['NC', 'North Carolina', 'America/New_York'],
+  ['ND', 'North Dakota', 'America/Chicago'], ['OH', 'Ohio', 'America/New_York'],
+  ['OK', 'Oklahoma', 'America/Chicago'], ['OR', 'Oregon', 'America/Los_Angeles'],
+  ['PA', 'Pennsylvania', 'America/New_York'], ['RI', 'Rhode Island', 'America/New_York'],
+  ['SC', 'South Carolina', 'America/New_York'], ['SD', 'South Dakota', 'America/Chicago'],
+  ['TN', 'Tennessee', 'America/Chicago'], ['TX', 'Texas', 'America/Chicago'],
+  ['UT', 'Utah', 'America/Denver'], ['VT', 'Vermont', 'America/New_York'],
+  ['VA', 'Virginia', 'America/New_York'], ['WA', 'Washington', 'America/Los_Angeles'],
+  ['WV', 'West Virginia', 'America/New_York'], ['WI', 'Wisconsin', 'America/Chicago'],
+  ['WY', 'Wyoming', 'America/Denver'], ['PR', 'Puerto Rico', 'America/Puerto_Rico']
+];
+const STATE_TIMEZONES = {};
+for (const [abbr, name, tz] of STATES) {
+  STATE_TIMEZONES[abbr.toLowerCase()] = tz;
+  STATE_TIMEZONES[name.toLowerCase()] = tz;
+}
+
+function parseSqlTime(value) {
+  return new Date(String(value).replace(' ', 'T') + (/[Z+]/.test(String(value).slice(10)) ? '' : 'Z'));
+}
+
+function parseClock(value, fallback) {
+  const m = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || parseInt(m[1]) > 23 || parseInt(m[2]) > 59) return parseClock(fallback, '00:00');
+  return parseInt(m[1]) * 60 + parseInt(m[2]);
+}
+
+function getSendSettings() {
+  const rows = db.prepare(`SELECT key, value FROM settings WHERE key IN (${Object.keys(SETTING_DEFAULTS).map(() => '?').join(', ')})`)
+    .all(...Object.keys(SETTING_DEFAULTS));
+  const raw = { ...SETTING_DEFAULTS };
+  for (const r of rows) if (r.value !== null && r.value !== '') raw[r.key] = r.value;
+
+  let domainLimits = {};
+  try {
+    const parsed = JSON.parse(raw.email_domain_limits);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) domainLimits = parsed;
+  } catch (e) {}
+
+  return {
+    quiet_hours_enabled: raw.email_quiet_hours_enabled === '1',
+    quiet_hours_start: raw.email_quiet_hours_start,
+    quiet_hours_end: raw.email_quiet_hours_end,
+    domain_daily_limit: Math.max(0, parseInt(raw.email_domain_daily_limit) || 0),
+    domain_limits: domainLimits,
+    default_send_hour: Math.min(23, Math.max(0, parseInt(raw.email_default_send_hour) || 0))
+  };
+}
+
+function domainOf(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? null : String(email).slice(at + 1).trim().toLowerCase() || null;
+}
+
+// 0 = unlimited. A per-domain entry overrides the global cap.
+function domainLimit(domain, settings) {
+  if (!domain) return 0;
+  const override = settings.domain_limits[domain];
+  if (override !== undefined && override !== null && override !== '') return Math.max(0, parseInt(override) || 0);
+  return settings.domain_daily_limit;
+}
+
+/**
+ * Where a lead is: the browser timezone of their most recent visit, else the
+ * timezone of the visit's state, else the account timezone.
+ * Returns { timezone, source: 'visitor' | 'state' | 'account' }.
+ */
+function resolveLeadTimezone(leadId, accountTz = getConfiguredTimezone()) {
+  const visit = db.prepare(`
+    SELECT v.timezone, v.region FROM visitors v
+    WHERE v.lead_id = ?
+       OR v.eli_clickid = (SELECT eli_clickid FROM leads WHERE id = ? AND eli_clickid IS NOT NULL AND eli_clickid != '')
+    ORDER BY v.last_visit DESC
+    LIMIT 1
+  `).get(leadId, leadId);
+
+  if (visit && isValidTimezone(visit.timezone)) return { timezone: visit.timezone, source: 'visitor' };
+  const stateTz = visit && visit.region ? STATE_TIMEZONES[String(visit.region).trim().toLowerCase()] : null;
+  if (stateTz) return { timezone: stateTz, source: 'state' };
+  return { timezone: accountTz, source: 'account' };
+}
+
+/**
+ * The recipient-local hour a lead most often opens email, or null when there
+ * isn't enough history. Uses the first open of each email (later re-opens
+ * would over-weight one message) and counts neighbouring hours at half
+ * weight so a cluster beats a single spike.
+ */
+function learnBestHour(leadId, timezone) {
+  const opens = db.prepare(`
+    SELECT MIN(opened_at) AS opened_at FROM email_opens
+    WHERE lead_id = ? AND opened_at > datetime('now', ?)
+    GROUP BY queue_id
+  `).all(leadId, `-${BEST_HOUR_LOOKBACK_DAYS} days`);
+  if (opens.length < BEST_HOUR_MIN_OPENS) return null;
+
+  const counts = new Array(24).fill(0);
+  for (const o of opens) counts[getZonedParts(parseSqlTime(o.opened_at), timezone).hour]++;
+
+  let best = null;
+  let bestScore = -1;
+  for (let h = 0; h < 24; h++) {
+    const score = counts[h] + 0.5 * (counts[(h + 23) % 24] + counts[(h + 1) % 24]);
+    if (score > bestScore) { best = h; bestScore = score; }
+  }
+  return best;
+}
+
+// First instant at or after `from` when the clock in tz reads hour:minute
+function nextLocalTime(from, tz, hour, minute) {
+  const p = getZonedParts(from, tz);
+  let candidate = zonedTimeToUtc(p.year, p.month, p.day, hour, minute, tz);
+  if (candidate < from) candidate = zonedTimeToUtc(p.year, p.month, p.day + 1, hour, minute, tz);
+  return candidate;
+}
+
+function inQuietHours(date, tz, settings) {
+  if (!settings.quiet_hours_enabled) return false;
+  const start = parseClock(settings.quiet_hours_start, SETTING_DEFAULTS.email_quiet_hours_start);
+  const end = parseClock(settings.quiet_hours_end, SETTING_DEFAULTS.email_quiet_hours_end);
+  if (start === end) return false;
+  const p = getZonedParts(date, tz);
+  const now = p.hour * 60 + p.minute;
+  // Overnight window (21:00-08:00) wraps midnight
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+function quietHoursEnd(date, tz, settings) {
+  const end = parseClock(settings.quiet_hours_end, SETTING_DEFAULTS.email_quiet_hours_end);
+  return nextLocalTime(date, tz, Math.floor(end / 60), end % 60);
+}
+
+/**
+ * Returns plan(lead) -> { send_after, timezone } for a campaign's recipients.
+ * send_after is a UTC SQL timestamp, or null to send right away. Settings,
+ * the account timezone and the campaign's clock time are read once.
+ */
+function createPlanner(campaign, now = new Date()) {
+  const mode = SEND_TIME_MODES.includes(campaign.send_time_mode) ? campaign.send_time_mode : 'immediate';
+  const settings = getSendSettings();
+  const accountTz = getConfiguredTimezone();
+  const anchor = campaign.scheduled_at ? parseSqlTime(campaign.scheduled_at) : now;
+  const clock = getZonedParts(isNaN(anchor) ? now : anchor, accountTz);
+
+  return function plan(lead) {
+    if (mode === 'immediate' && !settings.quiet_hours_enabled) return { send_after: null, timezone: null };
+
+    const { timezone } = resolveLeadTimezone(lead.id, accountTz);
+    let target = now;
+
+    if (mode === 'local') {
+      const today = getZonedParts(now, timezone);
+      const local = zonedTimeToUtc(today.year, today.month, today.day, clock.hour, clock.minute, timezone);
+      if (local > now) target = local;
+    } else if (mode === 'optimized') {
+      const bestHour = learnBestHour(lead.id, timezone);
+      const [hour, minute] = bestHour !== null ? [bestHour, 0]
+        : campaign.scheduled_at ? [clock.hour, clock.minute]
+        : [settings.default_send_hour, 0];
+      if (getZonedParts(now, timezone).hour !== hour) target = nextLocalTime(now, timezone, hour, minute);
+    }
+
+    if (inQuietHours(target, timezone, settings)) target = quietHoursEnd(target, timezone, settings);
+    return { send_after: target - now > 60 * 1000 ? toSqliteUtc(target) : null, timezone };
+  };
+}
+
+/**
+ * Per-tick send gate used by the worker. check(item) returns a UTC SQL
+ * timestamp to defer a queued email to, or null to send it now; call
+ * sent(item) after each successful send so domain counts stay current.
+ */
+function createSendGate(now = new Date()) {
+  const settings = getSendSettings();
+  const accountTz = getConfiguredTimezone();
+  const today = localDateToUtcRange(getTodayInTz(accountTz), accountTz);
+  const tomorrow = toSqliteUtc(new Date(parseSqlTime(today.end).getTime() + 1000));
+  const sentToday = new Map();
+  const countSent = db.prepare('SELECT COUNT(*) AS n FROM email_queue WHERE recipient_domain = ? AND sent_at >= ?');
+
+  function domainCount(domain) {
+    if (!sentToday.has(domain)) sentToday.set(domain, countSent.get(domain, today.start).n);
+    return sentToday.get(domain);
+  }
+
+  return {
+    check(item) {
+      // Quiet hours only hold back campaign mail; flow emails are replies to
+      // something the lead just did
+      if (item.campaign_id && settings.quiet_hours_enabled) {
+        const tz = isValidTimezone(item.send_timezone) ? item.send_timezone : accountTz;
+        if (inQuietHours(now, tz, settings)) return toSqliteUtc(quietHoursEnd(now, tz, settings));
+      }
+      const domain = item.recipient_domain || domainOf(item.to_email);
+      const limit = domainLimit(domain, settings);
+      if (limit > 0 && domainCount(domain) >= limit) return tomorrow;
+      return null;
+    },
+    sent(item) {
+      const domain = item.recipient_domain || domainOf(item.to_email);
+      if (domain && sentToday.has(domain)) sentToday.set(domain, sentToday.get(domain) + 1);
+    }
+  };
+}
+
+module.exports = {
+  SEND_TIME_MODES, SETTING_DEFAULTS, STATE_TIMEZONES,
+  getSendSettings, domainOf, resolveLeadTimezone, learnBestHour, inQuietHours,
+  createPlanner, createSendGate
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const db = require('../database');
+const { toSqliteUtc } = require('./timezone');
+
+// Admin sign-in sessions. Every login gets a user_sessions row and the JWT
+// carries its sid, so a token stops working as soon as its row is revoked
+// (logout, "sign out other devices", an admin forcing a logout, a password
+// reset) instead of living out its 7 days.
+
+const SESSION_TTL_DAYS = 7;
+// last_seen_at is only written this often so every API call isn't a write
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// "Chrome on macOS" style label from a user agent, for the sessions list
+function describeDevice(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /OPR\/|Opera/.test(ua) ? 'Opera'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : /curl|node|axios|python/i.test(ua) ? 'API client'
+    : 'Browser';
+  const os = /iPhone|iPad/.test(ua) ? 'iOS'
+    : /Android/.test(ua) ? 'Android'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X|Macintosh/.test(ua) ? 'macOS'
+    : /Linux/.test(ua) ? 'Linux'
+    : null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function createSession(userId, req, { twoFactor = false } = {}) {
+  const sid = crypto.randomBytes(24).toString('hex');
+  const expires = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  db.prepare(`
+    INSERT INTO user_sessions (sid, user_id, ip_address, user_agent, two_factor, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(sid, userId, req.ip || null, String(req.headers['user-agent'] || '').slice(0, 500), twoFactor ? 1 : 0, toSqliteUtc(expires));
+  return sid;
+}
+
+/**
+ * The live session behind a token, joined with the user's current role and
+ * password-change flag, or null when it's revoked, expired or the user is gone.
+ */
+function getActiveSession(sid) {
+  if (!sid) return null;
+  const session = db.prepare(`
+    SELECT s.id, s.sid, s.user_id, s.last_seen_at, u.role, u.must_change_password
+    FROM user_sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.sid = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+  `).get(sid);
+  if (!session) return null;
+
+  const lastSeen = new Date(session.last_seen_at.replace(' ', 'T') + 'Z').getTime();
+  if (!(Date.now() - lastSeen < TOUCH_INTERVAL_MS)) {
+    db.prepare('UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?').run(session.id);
+  }
+  return session;
+}
+
+function listSessions(userId, currentSid) {
+  return db.prepare(`
+    SELECT id, sid, ip_address, user_agent, two_factor, created_at, last_seen_at, expires_at
+    FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY last_seen_at DESC
+  `).all(userId).map(({ sid, ...s }) => ({
+    ...s,
+    device: describeDevice(s.user_agent),
+    current: !!currentSid && sid === currentSid
+  }));
+}
+
+function revokeSession(sid, reason) {
+  if (!sid) return 0;
+  return db.prepare(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE sid = ? AND revoked_at IS NULL
+  `).run(reason, sid).changes;
+}
+
+// Revoke one of a user's sessions by row id; returns false if it isn't theirs
+function revokeSessionById(userId, id, reason) {
+  return db.prepare(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `).run(reason, id, userId).changes > 0;
+}
+
+// Every session of a user, optionally keeping the one making the request
+function revokeUserSessions(userId, reason, exceptSid = null) {
+  return db.prepare(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL AND sid != ?
+  `).run(reason, userId, exceptSid || '').changes;
+}
+
+// Drop expired/revoked sessions and old login attempts (run from /api/db-cleanup)
+function pruneSessions() {
+  const sessions = db.prepare(`
+    DELETE FROM user_sessions
+    WHERE expires_at < datetime('now', '-30 days') OR revoked_at < datetime('now', '-30 days')
+  `).run().changes;
+  const attempts = db.prepare(`DELETE FROM login_attempts WHERE created_at < datetime('now', '-30 days')`).run().changes;
+  return { old_sessions: sessions, old_login_attempts: attempts };
+}
+
+module.exports = {
+  SESSION_TTL_DAYS, describeDevice, createSession, getActiveSession, listSessions,
+  revokeSession, revokeSessionById, revokeUserSessions, pruneSessions
+};
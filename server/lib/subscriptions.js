@@ -0,0 +1,165 @@
+const db = require('../database');
+
+// Email subscription topics and the consent log. Each lead has a row per topic
+// they have expressed a preference for; without one the topic's
+// default_subscribed applies. leads.email_unsubscribed is still the master
+// switch ("unsubscribe from all"), checked before any topic.
+//
+// Every change goes through updatePreferences() so it is logged with where it
+// came from: the hosted preference page, a mail client's one-click
+// List-Unsubscribe POST, an admin, or a spam complaint.
+
+const CONSENT_SOURCES = ['preference_center', 'one_click', 'unsubscribe_link', 'admin', 'complaint'];
+
+// Changes made by the recipient themselves count towards a campaign's unsubscribe_count
+const RECIPIENT_SOURCES = ['preference_center', 'one_click', 'unsubscribe_link'];
+
+function getTopics({ activeOnly = false } = {}) {
+  return db.prepare(`
+    SELECT * FROM email_topics ${activeOnly ? 'WHERE is_active = 1' : ''}
+    ORDER BY sort_order ASC, id ASC
+  `).all();
+}
+
+function getTopic(topicId) {
+  return topicId ? db.prepare('SELECT * FROM email_topics WHERE id = ?').get(topicId) : null;
+}
+
+function isSubscribed(leadId, topic) {
+  const row = db.prepare('SELECT subscribed FROM lead_email_subscriptions WHERE lead_id = ? AND topic_id = ?').get(leadId, topic.id);
+  return row ? !!row.subscribed : !!topic.default_subscribed;
+}
+
+/**
+ * A lead's current preferences:
+ * { lead_id, email, unsubscribed_all, topics: [{ id, key, name, description, subscribed, updated_at }] }
+ * updated_at is null while the topic default applies. Returns null for an unknown lead.
+ */
+function getPreferences(leadId) {
+  const lead = db.prepare('SELECT id, email, email_unsubscribed FROM leads WHERE id = ?').get(leadId);
+  if (!lead) return null;
+  const rows = new Map(db.prepare('SELECT topic_id, subscribed, updated_at FROM lead_email_subscriptions WHERE lead_id = ?')
+    .all(leadId).map(r => [r.topic_id, r]));
+  return {
+    lead_id: lead.id,
+    email: lead.email,
+    unsubscribed_all: !!lead.email_unsubscribed,
+    topics: getTopics({ activeOnly: true }).map(t => {
+      const row = rows.get(t.id);
+      return {
+        id: t.id, key: t.key, name: t.name, description: t.description,
+        subscribed: row ? !!row.subscribed : !!t.default_subscribed,
+        updated_at: row ? row.updated_at : null
+      };
+    })
+  };
+}
+
+// Leads still subscribed to a topic (campaign audiences). No topic: unchanged.
+function filterSubscribed(leads, topicId) {
+  const topic = getTopic(topicId);
+  if (!topic) return leads;
+  const explicit = new Map(db.prepare('SELECT lead_id, subscribed FROM lead_email_subscriptions WHERE topic_id = ?')
+    .all(topic.id).map(r => [r.lead_id, !!r.subscribed]));
+  return leads.filter(l => (explicit.has(l.id) ? explicit.get(l.id) : !!topic.default_subscribed));
+}
+
+// Why a queued email must not go out any more, or null
+function optOutReason(leadId, topicId) {
+  if (!leadId) return null;
+  const lead = db.prepare('SELECT email_unsubscribed FROM leads WHERE id = ?').get(leadId);
+  if (lead && lead.email_unsubscribed) return 'Recipient unsubscribed from all email';
+  const topic = getTopic(topicId);
+  if (topic && !isSubscribed(leadId, topic)) return `Recipient unsubscribed from ${topic.name}`;
+  return null;
+}
+
+/**
+ * Apply preference changes for one lead and log each one.
+ *   changes: { unsubscribe_all?: bool, topics?: { [topicId]: bool } }
+ *   context: { source, campaign_id, queue_id, ip_address, user_agent, user }
+ * Values equal to the current state are ignored. Returns the list of
+ * { topic_id, subscribed, previous } entries that were written (topic_id
+ * null = all email).
+ */
+function updatePreferences(leadId, changes, context) {
+  if (!CONSENT_SOURCES.includes(context.source)) throw new Error(`Unknown consent source: ${context.source}`);
+
+  return db.transaction(() => {
+    const lead = db.prepare('SELECT id, email, email_unsubscribed FROM leads WHERE id = ?').get(leadId);
+    if (!lead) return [];
+    const applied = [];
+
+    if (changes.unsubscribe_all !== undefined) {
+      const subscribed = changes.unsubscribe_all ? 0 : 1;
+      const previous = lead.email_unsubscribed ? 0 : 1;
+      if (subscribed !== previous) {
+        db.prepare('UPDATE leads SET email_unsubscribed = ? WHERE id = ?').run(subscribed ? 0 : 1, lead.id);
+        applied.push({ topic_id: null, subscribed, previous });
+      }
+    }
+
+    for (const [id, value] of Object.entries(changes.topics || {})) {
+      const topic = getTopic(parseInt(id));
+      if (!topic) continue;
+      const subscribed = value ? 1 : 0;
+      const previous = isSubscribed(lead.id, topic) ? 1 : 0;
+      if (subscribed === previous) continue;
+      db.prepare(`
+        INSERT INTO lead_email_subscriptions (lead_id, topic_id, subscribed, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(lead_id, topic_id) DO UPDATE SET subscribed = excluded.subscribed, updated_at = CURRENT_TIMESTAMP
+      `).run(lead.id, topic.id, subscribed);
+      applied.push({ topic_id: topic.id, subscribed, previous });
+    }
+
+    const user = context.user || {};
+    const log = db.prepare(`
+      INSERT INTO email_consent_log (lead_id, email, topic_id, subscribed, previous, source, campaign_id, queue_id,
+        ip_address, user_agent, changed_by_id, changed_by_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const change of applied) {
+      log.run(
+        lead.id, lead.email, change.topic_id, change.subscribed, change.previous, context.source,
+        context.campaign_id || null, context.queue_id || null, context.ip_address || null,
+        context.user_agent ? String(context.user_agent).slice(0, 500) : null,
+        user.id || null, user.name || user.email || null
+      );
+    }
+
+    // Opt-outs also feed email_unsubscribes (campaign stats, recipient status)
+    const optOuts = applied.filter(c => !c.subscribed);
+    if (optOuts.length) {
+      const campaignId = context.campaign_id || null;
+      const counted = campaignId && db.prepare('SELECT 1 FROM email_unsubscribes WHERE campaign_id = ? AND lead_id = ?').get(campaignId, lead.id);
+      const reason = context.source === 'complaint' ? 'complaint' : context.source === 'admin' ? 'admin' : 'user_request';
+      for (const change of optOuts) {
+        db.prepare('INSERT INTO email_unsubscribes (lead_id, email, campaign_id, topic_id, reason) VALUES (?, ?, ?, ?, ?)')
+          .run(lead.id, lead.email, campaignId, change.topic_id, reason);
+      }
+      if (campaignId && !counted && RECIPIENT_SOURCES.includes(context.source)) {
+        db.prepare('UPDATE email_campaigns SET unsubscribe_count = unsubscribe_count + 1 WHERE id = ?').run(campaignId);
+      }
+    }
+
+    return applied;
+  })();
+}
+
+// On a lead merge the survivor takes the merged lead's choices for topics it
+// has none for; where both have one, an opt-out wins (opting out is sticky)
+function mergeSubscriptions(survivorId, mergedId) {
+  db.prepare(`
+    INSERT INTO lead_email_subscriptions (lead_id, topic_id, subscribed, updated_at)
+    SELECT ?, topic_id, subscribed, updated_at FROM lead_email_subscriptions WHERE lead_id = ?
+    ON CONFLICT(lead_id, topic_id) DO UPDATE SET
+      subscribed = MIN(lead_email_subscriptions.subscribed, excluded.subscribed),
+      updated_at = MAX(lead_email_subscriptions.updated_at, excluded.updated_at)
+  `).run(survivorId, mergedId);
+  return db.prepare('DELETE FROM lead_email_subscriptions WHERE lead_id = ?').run(mergedId).changes;
+}
+
+module.exports = {
+  CONSENT_SOURCES,
+  getTopics, getTopic, getPreferences, filterSubscribed, optOutReason, updatePreferences, mergeSubscriptions
+};
@@ -52,4 +52,62 @@ function formatLocalDate(d) {
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
 
-module.exports = { getConfiguredTimezone, localDateToUtcRange, getTodayInTz, getTimezoneOffsetHours, getSqliteOffsetStr, getNowInTz, formatLocalDate };
+// A Date, epoch ms or parseable string as a UTC timestamp in the format
+// CURRENT_TIMESTAMP / datetime('now') print ('YYYY-MM-DD HH:MM:SS'), so values
+// written from JS compare like with like. Null for empty or invalid input.
+function toSqliteUtc(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+const validTimezones = new Map();
+
+// True for an IANA zone name the runtime knows (e.g. 'America/Chicago')
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  if (!validTimezones.has(tz)) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      validTimezones.set(tz, true);
+    } catch (e) {
+      validTimezones.set(tz, false);
+    }
+  }
+  return validTimezones.get(tz);
+}
+
+// Wall-clock fields of an instant in a timezone: { year, month, day, hour, minute, weekday (0=Sun) }
+function getZonedParts(date, tz) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return {
+    year: parseInt(parts.year), month: parseInt(parts.month), day: parseInt(parts.day),
+    hour: parseInt(parts.hour), minute: parseInt(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+// The instant a wall-clock time occurs in a timezone, using the offset in
+// effect at that moment (so it's right on either side of a DST change).
+// Day overflow is fine: day 32 rolls into the next month.
+function zonedTimeToUtc(year, month, day, hour, minute, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = ts => {
+    const p = getZonedParts(new Date(ts), tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ts / 60000) * 60000;
+  };
+  let ts = wall - offsetAt(wall);
+  const corrected = wall - offsetAt(ts);
+  if (corrected !== ts) ts = corrected;
+  return new Date(ts);
+}
+
+module.exports = {
+  getConfiguredTimezone, localDateToUtcRange, getTodayInTz, getTimezoneOffsetHours, getSqliteOffsetStr, getNowInTz, formatLocalDate,
+  toSqliteUtc, isValidTimezone, getZonedParts, zonedTimeToUtc
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (the 6-digit codes from Google
+// Authenticator, 1Password, Authy...) plus single-use recovery codes.
+// Secrets are base32 so they can be typed into an authenticator by hand.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step too, for phone clock drift
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    value = (value << 5) | BASE32.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentCounter(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the secret. Returns the matching time step, or null.
+ * Callers store the step and pass it back as lastCounter so a code can't be
+ * replayed within its validity window.
+ */
+function verify(secret, code, { lastCounter = null, now = Date.now() } = {}) {
+  const clean = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(clean) || !secret) return null;
+  const counter = currentCounter(now);
+  for (let i = -WINDOW; i <= WINDOW; i++) {
+    const c = counter + i;
+    if (lastCounter !== null && c <= lastCounter) continue;
+    const expected = hotp(secret, c);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return c;
+  }
+  return null;
+}
+
+// otpauth:// URI that authenticator apps import (as a QR code or a link)
+function otpauthUrl(secret, account, issuer = 'Coastal Debt CMS') {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+// Plain codes are shown to the user once; only the hashes are stored
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Returns the remaining hashes when the code matched one, otherwise null
+function consumeRecoveryCode(hashes, code) {
+  const hash = hashRecoveryCode(code);
+  const list = Array.isArray(hashes) ? hashes : [];
+  if (!list.includes(hash)) return null;
+  return list.filter(h => h !== hash);
+}
+
+module.exports = {
+  generateSecret, verify, hotp, currentCounter, otpauthUrl,
+  generateRecoveryCodes, consumeRecoveryCode, base32Encode, base32Decode
+};
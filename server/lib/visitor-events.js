@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../database');
+const { toSqliteUtc } = require('./timezone');
+
+// Engagement event stream. The beacon (lib/engagement-beacon.js) posts batches
+// of events per visitor + tab session; each batch is stored raw in
+// visitor_events and folded into visitor_sessions, one row per session per
+// page, which is what the pivot and visitor detail read.
+
+const EVENT_TYPES = ['page_view', 'scroll_depth', 'section_visible', 'form_field_focus', 'form_abandon', 'phone_click'];
+const MAX_EVENTS_PER_BATCH = 100;
+const SESSION_ID = /^[A-Za-z0-9_-]{6,64}$/;
+const EVENT_RETENTION_DAYS = 30;
+
+// Validate and store one beacon batch. Returns { accepted } or { error }.
+function recordEventBatch(batch) {
+  if (!batch || typeof batch !== 'object') return { error: 'Invalid batch' };
+  const eli = String(batch.eli_clickid || '').slice(0, 100);
+  const sessionId = String(batch.session_id || '');
+  if (!eli) return { error: 'eli_clickid required' };
+  if (!SESSION_ID.test(sessionId)) return { error: 'Invalid session_id' };
+
+  const landingPage = String(batch.landing_page || '').slice(0, 300);
+  const abVariant = String(batch.ab_variant || '').slice(0, 100);
+  const engagedMs = Math.max(0, Math.min(parseInt(batch.engaged_ms, 10) || 0, 6 * 60 * 60 * 1000));
+
+  // Client clocks drift; place events relative to when the batch was sent
+  const now = Date.now();
+  const sentAt = parseInt(batch.sent_at, 10) || now;
+  const events = (Array.isArray(batch.events) ? batch.events : [])
+    .slice(0, MAX_EVENTS_PER_BATCH)
+    .filter(e => e && EVENT_TYPES.includes(e.type))
+    .map(e => {
+      const ago = Math.max(0, Math.min(sentAt - (parseInt(e.t, 10) || sentAt), 60 * 60 * 1000));
+      return { type: e.type, value: e.value === undefined || e.value === null ? '' : String(e.value).slice(0, 100), at: toSqliteUtc(now - ago) };
+    });
+
+  const rollup = {
+    page_views: 0, max_scroll_pct: 0, fields_focused: 0, phone_clicks: 0,
+    form_started_at: null, form_abandoned_at: null, last_field: null, sections: false
+  };
+  for (const e of events) {
+    if (e.type === 'page_view') rollup.page_views++;
+    else if (e.type === 'scroll_depth') rollup.max_scroll_pct = Math.max(rollup.max_scroll_pct, Math.min(parseInt(e.value, 10) || 0, 100));
+    else if (e.type === 'section_visible') rollup.sections = true;
+    else if (e.type === 'form_field_focus') {
+      rollup.fields_focused++;
+      rollup.form_started_at = rollup.form_started_at || e.at;
+      rollup.last_field = e.value || rollup.last_field;
+    } else if (e.type === 'form_abandon') {
+      rollup.form_abandoned_at = e.at;
+      rollup.last_field = e.value || rollup.last_field;
+    } else if (e.type === 'phone_click') rollup.phone_clicks++;
+  }
+  const startedAt = events.length ? events[0].at : toSqliteUtc(now);
+
+  db.transaction(() => {
+    const insert = db.prepare(`
+      INSERT INTO visitor_events (eli_clickid, session_id, event_type, value, landing_page, ab_variant, occurred_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const e of events) insert.run(eli, sessionId, e.type, e.value, landingPage, abVariant, e.at);
+
+    db.prepare(`
+      INSERT INTO visitor_sessions (session_id, landing_page, eli_clickid, ab_variant, started_at, last_event_at,
+        page_views, engaged_ms, max_scroll_pct, fields_focused, form_started_at, form_abandoned_at, last_field, phone_clicks)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(session_id, landing_page) DO UPDATE SET
+        last_event_at = CURRENT_TIMESTAMP,
+        ab_variant = COALESCE(NULLIF(excluded.ab_variant, ''), ab_variant),
+        page_views = page_views + excluded.page_views,
+        engaged_ms = MAX(engaged_ms, excluded.engaged_ms),
+        max_scroll_pct = MAX(max_scroll_pct, excluded.max_scroll_pct),
+        fields_focused = fields_focused + excluded.fields_focused,
+        form_started_at = COALESCE(form_started_at, excluded.form_started_at),
+        form_abandoned_at = COALESCE(excluded.form_abandoned_at, form_abandoned_at),
+        last_field = COALESCE(excluded.last_field, last_field),
+        phone_clicks = phone_clicks + excluded.phone_clicks
+    `).run(
+      sessionId, landingPage, eli, abVariant, startedAt,
+      rollup.page_views, engagedMs, rollup.max_scroll_pct, rollup.fields_focused,
+      rollup.form_started_at, rollup.form_abandoned_at, rollup.last_field, rollup.phone_clicks
+    );
+
+    if (rollup.sections) {
+      db.prepare(`
+        UPDATE visitor_sessions SET sections_seen = (
+          SELECT COUNT(DISTINCT value) FROM visitor_events
+          WHERE session_id = ? AND landing_page = ? AND event_type = 'section_visible'
+        ) WHERE session_id = ? AND landing_page = ?
+      `).run(sessionId, landingPage, sessionId, landingPage);
+    }
+  })();
+
+  return { accepted: events.length };
+}
+
+// Sessions (with their raw events while they're still retained) for one visitor
+function getVisitorSessions(eliClickid) {
+  const sessions = db.prepare(`
+    SELECT * FROM visitor_sessions WHERE eli_clickid = ? ORDER BY started_at DESC LIMIT 50
+  `).all(eliClickid);
+  const eventsFor = db.prepare(`
+    SELECT event_type, value, occurred_at FROM visitor_events
+    WHERE session_id = ? AND landing_page = ? ORDER BY occurred_at ASC, id ASC LIMIT 500
+  `);
+  sessions.forEach(s => { s.events = eventsFor.all(s.session_id, s.landing_page); });
+  return sessions;
+}
+
+function pruneVisitorEvents(days = EVENT_RETENTION_DAYS) {
+  return db.prepare(`DELETE FROM visitor_events WHERE created_at < datetime('now', ?)`).run(`-${days} days`).changes;
+}
+
+// Generated pages inline the beacon before </body>
+let beaconScript = null;
+function withEngagementBeacon(html) {
+  if (!html || html.indexOf('</body>') === -1) return html;
+  if (beaconScript === null) {
+    beaconScript = `<script>\n${fs.readFileSync(path.join(__dirname, 'engagement-beacon.js'), 'utf8')}</script>`;
+  }
+  const at = html.lastIndexOf('</body>');
+  return html.slice(0, at) + beaconScript + '\n' + html.slice(at);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEventBatch,
+  getVisitorSessions,
+  pruneVisitorEvents,
+  withEngagementBeacon
+};
@@ -0,0 +1,291 @@
+const db = require('./database');
+const { toSqliteUtc } = require('./lib/timezone');
+
+// Durable delivery queue for everything we push to third parties about a lead:
+// page/form webhooks, Google Ads, Bing, Facebook CAPI, Reddit CAPI and Salesforce.
+// Every delivery is persisted before the first attempt, retried with exponential
+// backoff, and dead-lettered after max_attempts (or on a permanent error) so it
+// can be replayed from the admin Delivery Queue.
+
+let workerInterval = null;
+let processing = false;
+
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const WEBHOOK_TIMEOUT_MS = 15000;
+// A row stuck in 'processing' this long was interrupted (e.g. restart mid-send)
+const STALE_PROCESSING_MINUTES = 10;
+
+function getSetting(key, defaultValue) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : defaultValue;
+}
+
+function sqlNow(offsetMs = 0) {
+  return toSqliteUtc(Date.now() + offsetMs);
+}
+
+// Config problems and skipped sends (nothing to send, integration off) won't
+// fix themselves by retrying
+function platformResult(result) {
+  if (!result) return { success: false, error: 'No result returned' };
+  const permanent = !!result.permanent || !!result.skipped || /not configured|missing/i.test(result.error || '');
+  return { ...result, permanent: !result.success && permanent };
+}
+
+// created_at is stored as UTC 'YYYY-MM-DD HH:MM:SS'
+function deliveryTime(delivery) {
+  return new Date(delivery.created_at.replace(' ', 'T') + 'Z');
+}
+
+// ============ HANDLERS ============
+// Each handler takes the stored payload (and the delivery row) and resolves to
+// { success, error?, status_code?, permanent?, payload? }. Conversion times
+// default to when the delivery was created, so retries report the original time.
+
+const HANDLERS = {
+  async webhook(p) {
+    try {
+      const res = await fetch(p.url, {
+        method: p.method || 'POST',
+        headers: { 'Content-Type': 'application/json', ...(p.headers || {}) },
+        body: JSON.stringify(p.body),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (res.ok) return { success: true, status_code: res.status };
+      const text = await res.text().catch(() => '');
+      // 4xx means the receiver rejected the payload; only timeouts/rate limits are worth retrying
+      const retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+      return { success: false, status_code: res.status, error: `HTTP ${res.status}: ${text.substring(0, 300)}`, permanent: !retryable };
+    } catch (err) {
+      return { success: false, error: err.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s` : err.message };
+    }
+  },
+
+  async google_ads(p, delivery) {
+    const { uploadConversion } = require('./routes/google-ads');
+    const time = p.conversion_time || delivery.created_at + '+00:00';
+    return platformResult(await uploadConversion(p.gclid, p.conversion_action_id, time, p.value ?? null, p.currency || 'USD'));
+  },
+
+  async bing_ads(p, delivery) {
+    const { uploadBingConversion } = require('./routes/bing-ads');
+    const time = p.conversion_time || deliveryTime(delivery).toISOString();
+    return platformResult(await uploadBingConversion(p.msclkid, p.conversion_goal_id, time, p.value ?? undefined, p.currency));
+  },
+
+  async facebook_capi(p, delivery) {
+    const { sendFacebookEvent } = require('./routes/facebook');
+    // Stable event_id lets Meta dedupe if an earlier attempt actually landed
+    const options = {
+      event_id: `outbox-${delivery.id}`,
+      event_time: Math.floor(deliveryTime(delivery).getTime() / 1000),
+      ...(p.options || {})
+    };
+    return platformResult(await sendFacebookEvent(p.event_name, p.user_data || {}, options));
+  },
+
+  async reddit_capi(p) {
+    const { resendRedditCapiEvent } = require('./routes/reddit-ads');
+    return platformResult(await resendRedditCapiEvent(p.conversion_event_id));
+  },
+
+  async salesforce(p) {
+    const { pushLeadToSalesforce } = require('./routes/salesforce');
+    return platformResult(await pushLeadToSalesforce(p.lead_id));
+  }
+};
+
+const KINDS = Object.keys(HANDLERS);
+
+// ============ QUEUE ============
+
+function backoffSeconds(attempts) {
+  const base = Math.min(BASE_DELAY_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY_SECONDS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function insertDelivery(kind, payload, { leadId = null, conversionEventId = null, target = null, maxAttempts = null } = {}) {
+  if (!HANDLERS[kind]) throw new Error(`Unknown delivery kind: ${kind}`);
+  const max = maxAttempts || parseInt(getSetting('outbox_max_attempts', '8'));
+  const result = db.prepare(`
+    INSERT INTO outbox_deliveries (kind, lead_id, conversion_event_id, target, payload, max_attempts, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(kind, leadId, conversionEventId, target, JSON.stringify(payload), max, sqlNow());
+  return result.lastInsertRowid;
+}
+
+/**
+ * Persist a delivery and kick off its first attempt in the background.
+ * Returns the outbox_deliveries id.
+ */
+function enqueueDelivery(kind, payload, opts = {}) {
+  const id = insertDelivery(kind, payload, opts);
+  setImmediate(() => attemptDelivery(id).catch(err => console.error(`Outbox delivery #${id} error:`, err.message)));
+  return id;
+}
+
+/**
+ * Persist a delivery and await its first attempt — for callers that report the
+ * outcome back (postback responses, manual retries). A failed first attempt
+ * stays queued for retry. When a conversion event already has an undelivered
+ * delivery of this kind, that delivery is replayed instead of creating another.
+ */
+async function deliverNow(kind, payload, opts = {}) {
+  if (opts.conversionEventId) {
+    const existing = db.prepare(`
+      SELECT id, status FROM outbox_deliveries
+      WHERE kind = ? AND conversion_event_id = ? AND status != 'delivered'
+      ORDER BY id DESC LIMIT 1
+    `).get(kind, opts.conversionEventId);
+    if (existing) {
+      if (existing.status === 'processing') return { success: false, error: 'Delivery already in progress', delivery_id: existing.id, status: 'processing' };
+      db.prepare('UPDATE outbox_deliveries SET payload = ? WHERE id = ?').run(JSON.stringify(payload), existing.id);
+      return replayDelivery(existing.id);
+    }
+  }
+  return attemptDelivery(insertDelivery(kind, payload, opts));
+}
+
+// Mirror the delivery outcome onto its conversion_events row (the Conversions page reads that)
+function syncConversionEvent(delivery, outcome, finalStatus) {
+  if (!delivery.conversion_event_id) return;
+  if (outcome.success) {
+    db.prepare(`
+      UPDATE conversion_events SET status = 'sent', error_message = NULL, sent_at = CURRENT_TIMESTAMP,
+        capi_payload = COALESCE(?, capi_payload)
+      WHERE id = ?
+    `).run(outcome.payload ? JSON.stringify(outcome.payload) : null, delivery.conversion_event_id);
+  } else {
+    const message = finalStatus === 'dead'
+      ? outcome.error
+      : `${outcome.error} (attempt ${delivery.attempts + 1}/${delivery.max_attempts}, retrying)`;
+    db.prepare(`
+      UPDATE conversion_events SET status = ?, error_message = ?, capi_payload = COALESCE(?, capi_payload)
+      WHERE id = ?
+    `).run(finalStatus === 'dead' ? 'failed' : 'pending', message, outcome.payload ? JSON.stringify(outcome.payload) : null, delivery.conversion_event_id);
+  }
+}
+
+/**
+ * Run one attempt of a pending delivery. Returns the handler outcome plus
+ * { delivery_id, status } where status is the delivery's new state.
+ */
+async function attemptDelivery(id) {
+  // Claim the row so the interval tick and an immediate attempt never double-send
+  const claimed = db.prepare(`
+    UPDATE outbox_deliveries SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `).run(id);
+  if (claimed.changes === 0) return { success: false, error: 'Delivery is not pending', delivery_id: id };
+
+  const delivery = db.prepare('SELECT * FROM outbox_deliveries WHERE id = ?').get(id);
+  const started = Date.now();
+  let outcome;
+  try {
+    outcome = await HANDLERS[delivery.kind](JSON.parse(delivery.payload || '{}'), delivery);
+  } catch (err) {
+    outcome = { success: false, error: err.message };
+  }
+  const duration = Date.now() - started;
+  const attempt = delivery.attempts + 1;
+
+  db.prepare(`
+    INSERT INTO outbox_attempts (delivery_id, attempt, success, status_code, error, duration_ms)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, attempt, outcome.success ? 1 : 0, outcome.status_code || null, outcome.success ? null : (outcome.error || 'Unknown error'), duration);
+
+  let status;
+  if (outcome.success) {
+    status = 'delivered';
+    db.prepare(`
+      UPDATE outbox_deliveries SET status = 'delivered', attempts = ?, last_error = NULL, last_status_code = ?,
+        delivered_at = CURRENT_TIMESTAMP, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(attempt, outcome.status_code || null, id);
+  } else if (outcome.permanent || attempt >= delivery.max_attempts) {
+    status = 'dead';
+    db.prepare(`
+      UPDATE outbox_deliveries SET status = 'dead', attempts = ?, last_error = ?, last_status_code = ?,
+        next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(attempt, outcome.error || 'Unknown error', outcome.status_code || null, id);
+    console.error(`Outbox: ${delivery.kind} delivery #${id} dead-lettered after ${attempt} attempt(s): ${outcome.error}`);
+    require('./lib/live-events').publish('postback.failed', {
+      delivery_id: id, kind: delivery.kind, lead_id: delivery.lead_id, target: delivery.target,
+      attempts: attempt, error: (outcome.error || 'Unknown error').substring(0, 300)
+    });
+  } else {
+    status = 'pending';
+    const delay = backoffSeconds(attempt);
+    db.prepare(`
+      UPDATE outbox_deliveries SET status = 'pending', attempts = ?, last_error = ?, last_status_code = ?,
+        next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(attempt, outcome.error || 'Unknown error', outcome.status_code || null, sqlNow(delay * 1000), id);
+    console.log(`Outbox: ${delivery.kind} delivery #${id} failed (attempt ${attempt}/${delivery.max_attempts}), retrying in ${delay}s: ${outcome.error}`);
+  }
+
+  try { syncConversionEvent(delivery, outcome, status); } catch (err) { console.error('Outbox conversion event sync error:', err.message); }
+
+  return { ...outcome, delivery_id: id, status };
+}
+
+/**
+ * Reset a delivery (dead or pending) and attempt it right away. The attempt
+ * counter restarts so the replay gets a full retry budget.
+ */
+async function replayDelivery(id) {
+  const delivery = db.prepare('SELECT * FROM outbox_deliveries WHERE id = ?').get(id);
+  if (!delivery) return { success: false, error: 'Delivery not found' };
+  if (delivery.status === 'processing') return { success: false, error: 'Delivery already in progress', delivery_id: id, status: 'processing' };
+
+  db.prepare(`
+    UPDATE outbox_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, replay_count = replay_count + 1,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(sqlNow(), id);
+  return attemptDelivery(id);
+}
+
+// Attempt every delivery whose backoff has elapsed
+async function processOutbox() {
+  if (processing) return;
+  processing = true;
+  try {
+    db.prepare(`
+      UPDATE outbox_deliveries SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'processing' AND updated_at < datetime('now', '-${STALE_PROCESSING_MINUTES} minutes')
+    `).run();
+
+    const due = db.prepare(`
+      SELECT id FROM outbox_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC
+      LIMIT 25
+    `).all(sqlNow());
+
+    for (const { id } of due) {
+      await attemptDelivery(id);
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+function startOutboxWorker() {
+  console.log('Outbox worker started');
+  workerInterval = setInterval(() => {
+    processOutbox().catch(err => console.error('Outbox worker error:', err.message));
+  }, 15000);
+}
+
+function stopOutboxWorker() {
+  if (workerInterval) clearInterval(workerInterval);
+  console.log('Outbox worker stopped');
+}
+
+module.exports = {
+  KINDS, startOutboxWorker, stopOutboxWorker, processOutbox,
+  enqueueDelivery, deliverNow, replayDelivery
+};
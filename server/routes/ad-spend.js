@@ -0,0 +1,70 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const adSpend = require('../lib/ad-spend');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /status - per-platform sync state and warehouse coverage
+router.get('/status', authenticateToken, (req, res) => {
+  res.json({ platforms: adSpend.getStatus(), group_by: Object.keys(adSpend.GROUP_BY) });
+});
+
+// GET /daily?from=&to=&platform=&campaign_id=&group_by=date|platform|campaign|ad_group|ad
+router.get('/daily', authenticateToken, (req, res) => {
+  const { from, to, platform, campaign_id, group_by } = req.query;
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return res.status(400).json({ error: 'from/to must be YYYY-MM-DD' });
+  }
+  if (platform && !adSpend.PLATFORMS[platform]) return res.status(400).json({ error: 'Unknown platform' });
+  try {
+    const rows = adSpend.querySpend({ from, to, platform, campaignId: campaign_id, groupBy: group_by || 'date' });
+    const totals = rows.reduce((t, r) => ({
+      cost: t.cost + r.cost, clicks: t.clicks + r.clicks, impressions: t.impressions + r.impressions, conversions: t.conversions + r.conversions
+    }), { cost: 0, clicks: 0, impressions: 0, conversions: 0 });
+    const coverage = {};
+    for (const p of platform ? [platform] : Object.keys(adSpend.PLATFORMS)) coverage[p] = adSpend.coversRange(p, from, to);
+    res.json({ rows, totals, coverage });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /sync - { platform, days } backfill the last N days, or { platform, from, to }
+// for an explicit span. Runs in the background; poll /status for the outcome.
+router.post('/sync', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  const { platform, days, from, to } = req.body || {};
+  const platforms = platform ? [platform] : Object.keys(adSpend.PLATFORMS).filter(p => adSpend.PLATFORMS[p].configured());
+  if (platform && !adSpend.PLATFORMS[platform]) return res.status(400).json({ error: 'Unknown platform' });
+  if (platform && !adSpend.PLATFORMS[platform].configured()) return res.status(400).json({ error: `${adSpend.PLATFORMS[platform].label} is not connected` });
+  if (!platforms.length) return res.status(400).json({ error: 'No ad platforms connected' });
+  if ((from || to) && !(DATE_RE.test(from || '') && DATE_RE.test(to || '') && from <= to)) {
+    return res.status(400).json({ error: 'from and to must both be YYYY-MM-DD with from <= to' });
+  }
+  if (days !== undefined && (isNaN(parseInt(days)) || parseInt(days) < 1 || parseInt(days) > adSpend.MAX_BACKFILL_DAYS)) {
+    return res.status(400).json({ error: `days must be between 1 and ${adSpend.MAX_BACKFILL_DAYS}` });
+  }
+
+  (async () => {
+    for (const p of platforms) {
+      if (from) await adSpend.syncPlatform(p, from, to);
+      else await adSpend.backfillPlatform(p, days);
+    }
+  })().catch(err => console.error('[Ad Spend] Manual sync error:', err.message));
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'synced', 'ad_spend', null,
+    `Ad spend sync: ${platforms.join(', ')} ${from ? `${from} to ${to}` : `last ${days || 90} days`}`, req.ip);
+  res.json({ started: true, platforms });
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const crypto = require('crypto');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
+const { onLeadCreated } = require('../lib/lead-hooks');
 
 function sign(secret, message) {
   return crypto.createHmac('sha256', secret).update(message).digest('hex');
@@ -128,6 +129,7 @@ router.post('/submit', async (req, res) => {
   );
 
   const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(info.lastInsertRowid);
+  onLeadCreated(lead.id, 'affiliate');
 
   // Fire Zapier asynchronously (don't block the affiliate's response)
   const zapierUrl = getZapierUrl();
@@ -3,6 +3,8 @@ const crypto = require('crypto');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const { getConfiguredTimezone, localDateToUtcRange, getTodayInTz, getTimezoneOffsetHours, getSqliteOffsetStr, formatLocalDate } = require('../lib/timezone');
+const { getWarehouseSpend } = require('../lib/ad-spend');
+const attribution = require('../lib/attribution');
 
 const router = express.Router();
 
@@ -235,8 +237,19 @@ router.get('/dashboard', authenticateToken, (req, res) => {
   });
 });
 
-// Leads by traffic source
+// Leads by traffic source. With ?model= (see lib/attribution.js MODELS) leads
+// and revenue are credited across each lead's touchpoints instead of the
+// landing page's traffic_source.
 router.get('/by-source', authenticateToken, (req, res) => {
+  if (req.query.model) {
+    try {
+      const rows = attribution.attribute({ from: req.query.from, to: req.query.to, model: req.query.model, groupBy: 'source', platform: req.query.platform });
+      return res.json(rows.map(r => ({ traffic_source: r.key, count: r.leads, revenue: r.revenue })));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
   const { conditions, params } = buildFilters(req);
   const where = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
 
@@ -416,6 +429,8 @@ router.get('/platform-financials', authenticateToken, async (req, res) => {
 
     const platforms = ['google', 'meta', 'tiktok', 'bing', 'reddit', 'outbrain'];
     const result = {};
+    // Platforms the ad-spend warehouse covers for this range use its synced spend
+    const warehouse = getWarehouseSpend(from, to);
 
     for (const platform of platforms) {
       // Revenue: from conversion_events.revenue joined through leads → landing_pages.platform
@@ -438,7 +453,9 @@ router.get('/platform-financials', authenticateToken, async (req, res) => {
       const leads = leadsRow.count || 0;
       let cost = 0;
 
-      if (platform === 'google') {
+      if (warehouse[platform]) {
+        cost = warehouse[platform].cost;
+      } else if (platform === 'google') {
         // Google cost from leads.cost_cents
         const costRow = db.prepare(`
           SELECT COALESCE(SUM(l.cost_cents), 0) as total
@@ -576,7 +593,7 @@ router.get('/platform-financials', authenticateToken, async (req, res) => {
       const cpl = leads > 0 ? cost / leads : 0;
       const roas = cost > 0 ? revenue / cost : 0;
 
-      result[platform] = { revenue, cost, profit, leads, cpl, roas };
+      result[platform] = { revenue, cost, profit, leads, cpl, roas, cost_source: warehouse[platform] ? 'warehouse' : 'leads' };
     }
 
     res.json(result);
@@ -703,7 +720,7 @@ router.get('/financials-over-time', authenticateToken, (req, res) => {
   }
 });
 
-// Pipeline summary (leads grouped by latest conversion stage)
+// Pipeline summary (leads grouped by pipeline stage, in stage order)
 router.get('/pipeline-summary', authenticateToken, (req, res) => {
   try {
     const { conditions, params } = buildFilters(req);
@@ -711,23 +728,14 @@ router.get('/pipeline-summary', authenticateToken, (req, res) => {
     const join = needsJoin ? 'LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id' : '';
     const where = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
 
-    // For each lead, find the latest conversion_action_name
     const data = db.prepare(`
-      SELECT
-        COALESCE(
-          (SELECT ce.conversion_action_name
-           FROM conversion_events ce
-           WHERE ce.lead_id = l.id
-           ORDER BY ce.created_at DESC
-           LIMIT 1),
-          'New'
-        ) as stage,
-        COUNT(*) as count
+      SELECT COALESCE(ps.name, 'New') as stage, COUNT(*) as count
       FROM leads l
+      LEFT JOIN pipeline_stages ps ON ps.id = l.pipeline_stage_id
       ${join}
       ${where}
-      GROUP BY stage
-      ORDER BY count DESC
+      GROUP BY COALESCE(ps.id, 0)
+      ORDER BY MIN(COALESCE(ps.pipeline_id, 0)) ASC, MIN(COALESCE(ps.sort_order, -1)) ASC
     `).all(...params);
 
     res.json({ stages: data });
@@ -743,130 +751,145 @@ router.get('/real-ad-spend', authenticateToken, async (req, res) => {
   let googleSpend = null;
   let metaSpend = null;
   let tiktokSpend = null;
+  let redditSpend = null;
 
-  // --- Google Ads: total account spend via API ---
-  try {
-    const gConfig = db.prepare('SELECT * FROM google_ads_config WHERE id = 1').get();
-    if (gConfig && gConfig.refresh_token_encrypted && gConfig.customer_id) {
-      const devToken = GOOGLE_DEVELOPER_TOKEN || (gConfig.developer_token_encrypted ? decrypt(gConfig.developer_token_encrypted) : null);
-      if (devToken) {
-        const accessToken = await getGoogleAccessToken(gConfig);
-        const customerId = gConfig.customer_id.replace(/-/g, '');
-        const lid = gConfig.login_customer_id || GOOGLE_LOGIN_CUSTOMER_ID;
-        const headers = {
-          'Authorization': `Bearer ${accessToken}`,
-          'developer-token': devToken,
-          'Content-Type': 'application/json'
-        };
-        if (lid) headers['login-customer-id'] = lid.replace(/-/g, '');
+  // Platforms the ad-spend warehouse covers skip the live API call
+  const warehouse = getWarehouseSpend(from, to);
+  if (warehouse.google) googleSpend = warehouse.google.cost;
+  if (warehouse.meta) metaSpend = warehouse.meta.cost;
+  if (warehouse.tiktok) tiktokSpend = warehouse.tiktok.cost;
+  if (warehouse.reddit) redditSpend = warehouse.reddit.cost;
 
-        // Build date conditions for GAQL
-        let dateFilter = '';
-        if (from && to) {
-          dateFilter = `WHERE segments.date >= '${from}' AND segments.date <= '${to}'`;
-        } else if (from) {
-          dateFilter = `WHERE segments.date >= '${from}'`;
-        } else if (to) {
-          dateFilter = `WHERE segments.date <= '${to}'`;
-        }
+  // --- Google Ads: total account spend via API ---
+  if (!warehouse.google) {
+    try {
+      const gConfig = db.prepare('SELECT * FROM google_ads_config WHERE id = 1').get();
+      if (gConfig && gConfig.refresh_token_encrypted && gConfig.customer_id) {
+        const devToken = GOOGLE_DEVELOPER_TOKEN || (gConfig.developer_token_encrypted ? decrypt(gConfig.developer_token_encrypted) : null);
+        if (devToken) {
+          const accessToken = await getGoogleAccessToken(gConfig);
+          const customerId = gConfig.customer_id.replace(/-/g, '');
+          const lid = gConfig.login_customer_id || GOOGLE_LOGIN_CUSTOMER_ID;
+          const headers = {
+            'Authorization': `Bearer ${accessToken}`,
+            'developer-token': devToken,
+            'Content-Type': 'application/json'
+          };
+          if (lid) headers['login-customer-id'] = lid.replace(/-/g, '');
+
+          // Build date conditions for GAQL
+          let dateFilter = '';
+          if (from && to) {
+            dateFilter = `WHERE segments.date >= '${from}' AND segments.date <= '${to}'`;
+          } else if (from) {
+            dateFilter = `WHERE segments.date >= '${from}'`;
+          } else if (to) {
+            dateFilter = `WHERE segments.date <= '${to}'`;
+          }
 
-        const gaqlQuery = `SELECT metrics.cost_micros FROM customer ${dateFilter}`;
-        const gRes = await fetch(`https://googleads.googleapis.com/v22/customers/${customerId}/googleAds:search`, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({ query: gaqlQuery, pageSize: 1 })
-        });
-        const gData = await gRes.json();
-        if (gData.results && gData.results.length > 0) {
-          const costMicros = parseInt(gData.results[0].metrics.costMicros || '0', 10);
-          googleSpend = costMicros / 1000000;
-        } else if (!gData.error) {
-          googleSpend = 0;
+          const gaqlQuery = `SELECT metrics.cost_micros FROM customer ${dateFilter}`;
+          const gRes = await fetch(`https://googleads.googleapis.com/v22/customers/${customerId}/googleAds:search`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ query: gaqlQuery, pageSize: 1 })
+          });
+          const gData = await gRes.json();
+          if (gData.results && gData.results.length > 0) {
+            const costMicros = parseInt(gData.results[0].metrics.costMicros || '0', 10);
+            googleSpend = costMicros / 1000000;
+          } else if (!gData.error) {
+            googleSpend = 0;
+          }
         }
       }
+    } catch (e) {
+      console.error('Real ad spend - Google error:', e.message);
     }
-  } catch (e) {
-    console.error('Real ad spend - Google error:', e.message);
   }
 
   // --- Facebook: total account spend via Marketing API ---
-  try {
-    const fbConfig = db.prepare('SELECT * FROM facebook_config WHERE id = 1').get();
-    if (fbConfig && fbConfig.ad_account_id) {
-      const adsToken = fbConfig.user_access_token || fbConfig.page_access_token;
-      if (adsToken) {
-        const adAccountId = fbConfig.ad_account_id.startsWith('act_') ? fbConfig.ad_account_id : 'act_' + fbConfig.ad_account_id;
-        const fbParams = new URLSearchParams({ fields: 'spend', access_token: adsToken });
-        if (from && to) {
-          fbParams.set('time_range', JSON.stringify({ since: from, until: to }));
-        } else if (from) {
-          fbParams.set('time_range', JSON.stringify({ since: from, until: getTodayInTz(getConfiguredTimezone()) }));
-        } else {
-          fbParams.set('date_preset', 'maximum');
-        }
-        const fbRes = await fetch(`https://graph.facebook.com/v21.0/${adAccountId}/insights?${fbParams}`);
-        const fbData = await fbRes.json();
-        if (fbData.data && fbData.data.length > 0) {
-          metaSpend = parseFloat(fbData.data[0].spend || 0);
-        } else if (!fbData.error) {
-          metaSpend = 0;
+  if (!warehouse.meta) {
+    try {
+      const fbConfig = db.prepare('SELECT * FROM facebook_config WHERE id = 1').get();
+      if (fbConfig && fbConfig.ad_account_id) {
+        const adsToken = fbConfig.user_access_token || fbConfig.page_access_token;
+        if (adsToken) {
+          const adAccountId = fbConfig.ad_account_id.startsWith('act_') ? fbConfig.ad_account_id : 'act_' + fbConfig.ad_account_id;
+          const fbParams = new URLSearchParams({ fields: 'spend', access_token: adsToken });
+          if (from && to) {
+            fbParams.set('time_range', JSON.stringify({ since: from, until: to }));
+          } else if (from) {
+            fbParams.set('time_range', JSON.stringify({ since: from, until: getTodayInTz(getConfiguredTimezone()) }));
+          } else {
+            fbParams.set('date_preset', 'maximum');
+          }
+          const fbRes = await fetch(`https://graph.facebook.com/v21.0/${adAccountId}/insights?${fbParams}`);
+          const fbData = await fbRes.json();
+          if (fbData.data && fbData.data.length > 0) {
+            metaSpend = parseFloat(fbData.data[0].spend || 0);
+          } else if (!fbData.error) {
+            metaSpend = 0;
+          }
         }
       }
+    } catch (e) {
+      console.error('Real ad spend - Meta error:', e.message);
     }
-  } catch (e) {
-    console.error('Real ad spend - Meta error:', e.message);
   }
 
   // --- TikTok: total account spend via Reporting API ---
-  try {
-    const ttConfig = db.prepare('SELECT access_token, advertiser_id FROM tiktok_config WHERE id = 1').get();
-    if (ttConfig && ttConfig.access_token && ttConfig.advertiser_id) {
-      const ttParams = {
-        advertiser_id: ttConfig.advertiser_id,
-        report_type: 'BASIC',
-        data_level: 'AUCTION_ADVERTISER',
-        dimensions: JSON.stringify(['stat_time_day']),
-        metrics: JSON.stringify(['spend']),
-        service_type: 'AUCTION',
-        lifetime: 'false'
-      };
-      if (from && to) {
-        ttParams.start_date = from;
-        ttParams.end_date = to;
-      } else if (from) {
-        ttParams.start_date = from;
-        ttParams.end_date = getTodayInTz(getConfiguredTimezone());
-      } else {
-        const yearAgo = new Date();
-        yearAgo.setFullYear(yearAgo.getFullYear() - 1);
-        ttParams.start_date = yearAgo.toISOString().split('T')[0];
-        ttParams.end_date = getTodayInTz(getConfiguredTimezone());
-      }
-      const ttRes = await fetch(
-        `https://business-api.tiktok.com/open_api/v1.3/report/integrated/get/?` + new URLSearchParams(ttParams),
-        { headers: { 'Access-Token': ttConfig.access_token } }
-      );
-      const ttData = await ttRes.json();
-      if (ttData.code === 0 && ttData.data?.list) {
-        tiktokSpend = ttData.data.list.reduce((sum, row) => sum + parseFloat(row.metrics?.spend || 0), 0);
-      } else if (!ttData.error) {
-        tiktokSpend = 0;
+  if (!warehouse.tiktok) {
+    try {
+      const ttConfig = db.prepare('SELECT access_token, advertiser_id FROM tiktok_config WHERE id = 1').get();
+      if (ttConfig && ttConfig.access_token && ttConfig.advertiser_id) {
+        const ttParams = {
+          advertiser_id: ttConfig.advertiser_id,
+          report_type: 'BASIC',
+          data_level: 'AUCTION_ADVERTISER',
+          dimensions: JSON.stringify(['stat_time_day']),
+          metrics: JSON.stringify(['spend']),
+          service_type: 'AUCTION',
+          lifetime: 'false'
+        };
+        if (from && to) {
+          ttParams.start_date = from;
+          ttParams.end_date = to;
+        } else if (from) {
+          ttParams.start_date = from;
+          ttParams.end_date = getTodayInTz(getConfiguredTimezone());
+        } else {
+          const yearAgo = new Date();
+          yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+          ttParams.start_date = yearAgo.toISOString().split('T')[0];
+          ttParams.end_date = getTodayInTz(getConfiguredTimezone());
+        }
+        const ttRes = await fetch(
+          `https://business-api.tiktok.com/open_api/v1.3/report/integrated/get/?` + new URLSearchParams(ttParams),
+          { headers: { 'Access-Token': ttConfig.access_token } }
+        );
+        const ttData = await ttRes.json();
+        if (ttData.code === 0 && ttData.data?.list) {
+          tiktokSpend = ttData.data.list.reduce((sum, row) => sum + parseFloat(row.metrics?.spend || 0), 0);
+        } else if (!ttData.error) {
+          tiktokSpend = 0;
+        }
       }
+    } catch (e) {
+      console.error('Real ad spend - TikTok error:', e.message);
     }
-  } catch (e) {
-    console.error('Real ad spend - TikTok error:', e.message);
   }
 
   // --- Reddit: total account spend via Reporting API ---
-  let redditSpend = null;
-  try {
-    const { getRedditTotalSpend } = require('./reddit-ads');
-    redditSpend = await getRedditTotalSpend(from, to);
-  } catch (e) {
-    console.error('Real ad spend - Reddit error:', e.message);
+  if (!warehouse.reddit) {
+    try {
+      const { getRedditTotalSpend } = require('./reddit-ads');
+      redditSpend = await getRedditTotalSpend(from, to);
+    } catch (e) {
+      console.error('Real ad spend - Reddit error:', e.message);
+    }
   }
 
-  res.json({ googleSpend, metaSpend, tiktokSpend, redditSpend });
+  res.json({ googleSpend, metaSpend, tiktokSpend, redditSpend, warehouse: Object.keys(warehouse) });
 });
 
 // Google Ads: Summary stats
@@ -912,7 +935,9 @@ router.get('/google-ads/summary', authenticateToken, (req, res) => {
   `).get(...eventDateParams);
 
   const totalLeads = leadStats.total_leads || 0;
-  const totalCostCents = leadStats.total_cost_cents || 0;
+  // Warehouse spend when it covers the range; per-lead costs otherwise
+  const warehouseGoogle = getWarehouseSpend(from, to).google;
+  const totalCostCents = warehouseGoogle ? Math.round(warehouseGoogle.cost * 100) : (leadStats.total_cost_cents || 0);
 
   res.json({
     total_leads: totalLeads,
@@ -2056,10 +2081,12 @@ router.get('/tiktok/summary', authenticateToken, async (req, res) => {
   const dbCostCents = costStats.total_cost_cents || 0;
 
   // Fetch total spend from TikTok Reporting API for the selected date range
+  // (skipped when the ad-spend warehouse covers it)
+  const warehouseTiktok = getWarehouseSpend(from, to).tiktok;
   let ttSpend = 0;
   try {
     const ttConfig = db.prepare('SELECT access_token, advertiser_id FROM tiktok_config WHERE id = 1').get();
-    if (ttConfig && ttConfig.access_token && ttConfig.advertiser_id) {
+    if (!warehouseTiktok && ttConfig && ttConfig.access_token && ttConfig.advertiser_id) {
       const reportParams = {
         advertiser_id: ttConfig.advertiser_id,
         report_type: 'BASIC',
@@ -2106,8 +2133,8 @@ router.get('/tiktok/summary', authenticateToken, async (req, res) => {
     console.error('TikTok summary: API spend error:', e.message);
   }
 
-  // Use TikTok API spend if available, otherwise fall back to DB costs
-  const totalSpendCents = ttSpend > 0 ? Math.round(ttSpend * 100) : dbCostCents;
+  // Use warehouse or TikTok API spend if available, otherwise fall back to DB costs
+  const totalSpendCents = warehouseTiktok ? Math.round(warehouseTiktok.cost * 100) : ttSpend > 0 ? Math.round(ttSpend * 100) : dbCostCents;
 
   res.json({
     total_leads: totalLeads,
@@ -2389,10 +2416,12 @@ router.get('/meta-ads/summary', authenticateToken, async (req, res) => {
   const dbCostCents = costStats.total_cost_cents || 0;
 
   // Also fetch total spend from Facebook API for the selected date range
+  // (skipped when the ad-spend warehouse covers it)
+  const warehouseMeta = getWarehouseSpend(from, to).meta;
   let fbSpend = 0;
   try {
     const fbConfig = db.prepare('SELECT ad_account_id, page_access_token, user_access_token FROM facebook_config WHERE id = 1').get();
-    if (fbConfig && fbConfig.ad_account_id) {
+    if (!warehouseMeta && fbConfig && fbConfig.ad_account_id) {
       const adsToken = fbConfig.user_access_token || fbConfig.page_access_token;
       const adAccountId = fbConfig.ad_account_id.startsWith('act_') ? fbConfig.ad_account_id : 'act_' + fbConfig.ad_account_id;
 
@@ -2422,8 +2451,8 @@ router.get('/meta-ads/summary', authenticateToken, async (req, res) => {
     console.error('Meta summary: FB API error:', e.message);
   }
 
-  // Use FB API spend if available, otherwise fall back to DB costs
-  const totalSpendCents = fbSpend > 0 ? Math.round(fbSpend * 100) : dbCostCents;
+  // Use warehouse or FB API spend if available, otherwise fall back to DB costs
+  const totalSpendCents = warehouseMeta ? Math.round(warehouseMeta.cost * 100) : fbSpend > 0 ? Math.round(fbSpend * 100) : dbCostCents;
 
   res.json({
     total_leads: totalLeads,
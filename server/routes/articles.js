@@ -4,6 +4,9 @@ const path = require('path');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const { getConfiguredTimezone, getTodayInTz } = require('../lib/timezone');
+const revisions = require('../lib/revisions');
+const { withEngagementBeacon } = require('../lib/visitor-events');
+const { withFormGuard } = require('../lib/fraud');
 
 const router = express.Router();
 
@@ -64,6 +67,7 @@ router.post('/', authenticateToken, (req, res) => {
     );
 
     generateArticlePage(result.lastInsertRowid);
+    revisions.recordRevision('article', result.lastInsertRowid, { source: 'created', user: req.user });
 
     if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'article', result.lastInsertRowid, `Created article: ${name}`, req.ip);
     res.json({ id: result.lastInsertRowid, slug: safeSlug, message: 'Article created' });
@@ -74,15 +78,37 @@ router.post('/', authenticateToken, (req, res) => {
   }
 });
 
+// Column values a PUT /:id body writes, falling back to the current row.
+// Shared with POST /:id/draft so a draft is exactly what the save would be.
+function articleUpdateColumns(article, body) {
+  const { name, slug, headline, subheadline, body_html, author_name, author_title, publish_date,
+          platform, traffic_source, form_id, content, meta_title, meta_description, is_active } = body;
+  return {
+    name: name || article.name,
+    slug: slug ? slug.toLowerCase().replace(/[^a-z0-9-]/g, '-') : article.slug,
+    headline: headline !== undefined ? headline : article.headline,
+    subheadline: subheadline !== undefined ? subheadline : article.subheadline,
+    body_html: body_html !== undefined ? body_html : article.body_html,
+    author_name: author_name || article.author_name,
+    author_title: author_title || article.author_title,
+    publish_date: publish_date || article.publish_date,
+    platform: platform || article.platform,
+    traffic_source: traffic_source !== undefined ? traffic_source : article.traffic_source,
+    form_id: form_id !== undefined ? form_id : article.form_id,
+    content: content ? JSON.stringify(content) : article.content,
+    meta_title: meta_title !== undefined ? meta_title : article.meta_title,
+    meta_description: meta_description !== undefined ? meta_description : article.meta_description,
+    is_active: is_active !== undefined ? (is_active ? 1 : 0) : article.is_active
+  };
+}
+
 // Update article
 router.put('/:id', authenticateToken, (req, res) => {
   const article = db.prepare('SELECT * FROM articles WHERE id = ?').get(req.params.id);
   if (!article) return res.status(404).json({ error: 'Article not found' });
 
-  const { name, slug, headline, subheadline, body_html, author_name, author_title, publish_date,
-          platform, traffic_source, form_id, content, meta_title, meta_description, is_active } = req.body;
-
-  const safeSlug = slug ? slug.toLowerCase().replace(/[^a-z0-9-]/g, '-') : article.slug;
+  const columns = articleUpdateColumns(article, req.body);
+  revisions.captureBaseline('article', article.id);
 
   db.prepare(`
     UPDATE articles SET
@@ -93,28 +119,30 @@ router.put('/:id', authenticateToken, (req, res) => {
       is_active = ?, updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `).run(
-    name || article.name,
-    safeSlug,
-    headline !== undefined ? headline : article.headline,
-    subheadline !== undefined ? subheadline : article.subheadline,
-    body_html !== undefined ? body_html : article.body_html,
-    author_name || article.author_name,
-    author_title || article.author_title,
-    publish_date || article.publish_date,
-    platform || article.platform,
-    traffic_source !== undefined ? traffic_source : article.traffic_source,
-    form_id !== undefined ? form_id : article.form_id,
-    content ? JSON.stringify(content) : article.content,
-    meta_title !== undefined ? meta_title : article.meta_title,
-    meta_description !== undefined ? meta_description : article.meta_description,
-    is_active !== undefined ? (is_active ? 1 : 0) : article.is_active,
+    columns.name, columns.slug, columns.headline, columns.subheadline, columns.body_html,
+    columns.author_name, columns.author_title, columns.publish_date,
+    columns.platform, columns.traffic_source, columns.form_id,
+    columns.content, columns.meta_title, columns.meta_description,
+    columns.is_active,
     req.params.id
   );
 
   generateArticlePage(req.params.id);
+  const revision = revisions.recordRevision('article', article.id, { user: req.user, note: req.body.revision_note });
 
-  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'article', parseInt(req.params.id), `Updated article: ${name || article.name}`, req.ip);
-  res.json({ message: 'Article updated' });
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'article', parseInt(req.params.id), `Updated article: ${columns.name}`, req.ip);
+  res.json({ message: 'Article updated', revision_id: revision ? revision.id : null });
+});
+
+// Save edits as a draft without touching the live article (see routes/revisions.js).
+// Slug, platform, traffic source and active state aren't part of drafts.
+router.post('/:id/draft', authenticateToken, (req, res) => {
+  const article = db.prepare('SELECT * FROM articles WHERE id = ?').get(req.params.id);
+  if (!article) return res.status(404).json({ error: 'Article not found' });
+
+  const draft = revisions.saveDraft('article', article.id, articleUpdateColumns(article, req.body), { user: req.user, note: req.body.revision_note });
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'drafted', 'article', article.id, `Saved draft #${draft.revision_number} of ${article.name}`, req.ip);
+  res.json({ message: 'Draft saved', revision_id: draft.id, revision_number: draft.revision_number, changes: draft.diff.length, preview_url: `/preview/${draft.preview_token}` });
 });
 
 // Delete article
@@ -129,6 +157,7 @@ router.delete('/:id', authenticateToken, (req, res) => {
   }
 
   db.prepare('UPDATE leads SET article_id = NULL WHERE article_id = ?').run(req.params.id);
+  db.prepare("DELETE FROM content_revisions WHERE entity_type = 'article' AND entity_id = ?").run(req.params.id);
   db.prepare('DELETE FROM articles WHERE id = ?').run(req.params.id);
 
   if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'article', parseInt(req.params.id), `Deleted article: ${article?.slug || req.params.id}`, req.ip);
@@ -150,10 +179,12 @@ router.post('/regenerate-all', authenticateToken, (req, res) => {
   res.json({ message: `Regenerated ${count} articles` });
 });
 
-// Generate article HTML
-function generateArticlePage(articleId) {
-  const article = db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+// Generate article HTML. options.snapshot renders a revision's columns over
+// the live row and returns the HTML instead of writing it.
+function generateArticlePage(articleId, options = {}) {
+  let article = db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
   if (!article) return;
+  if (options.snapshot) article = { ...article, ...options.snapshot };
 
   const content = JSON.parse(article.content || '{}');
 
@@ -259,6 +290,9 @@ function generateArticlePage(articleId) {
     console.error('Failed to inject branding into article:', err);
   }
 
+  html = withFormGuard(withEngagementBeacon(html));
+  if (options.snapshot) return html;
+
   // Write to public/articles/[slug]/index.html
   const articleDir = path.join(__dirname, '..', '..', 'public', 'articles', article.slug);
   if (!fs.existsSync(articleDir)) {
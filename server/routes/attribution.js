@@ -0,0 +1,73 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const attribution = require('../lib/attribution');
+
+const router = express.Router();
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateRange(req, res) {
+  const { from, to } = req.query;
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    res.status(400).json({ error: 'from/to must be YYYY-MM-DD' });
+    return false;
+  }
+  return true;
+}
+
+// GET /models - available models and groupings for report selectors
+router.get('/models', authenticateToken, (req, res) => {
+  res.json({
+    models: Object.entries(attribution.MODELS).map(([id, label]) => ({ id, label })),
+    default_model: attribution.DEFAULT_MODEL,
+    group_by: attribution.GROUP_BY,
+    lookback_days: attribution.LOOKBACK_DAYS
+  });
+});
+
+// GET /report?from=&to=&model=&group_by=source|platform|campaign&platform=
+router.get('/report', authenticateToken, (req, res) => {
+  if (!validateRange(req, res)) return;
+  const { from, to, platform } = req.query;
+  const model = req.query.model || attribution.DEFAULT_MODEL;
+  try {
+    const rows = attribution.attribute({ from, to, model, groupBy: req.query.group_by || 'source', platform });
+    const totals = rows.reduce((t, r) => ({
+      leads: t.leads + r.leads, converted: t.converted + r.converted, revenue: t.revenue + r.revenue
+    }), { leads: 0, converted: 0, revenue: 0 });
+    res.json({ model, rows, totals });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /compare?from=&to=&group_by= - lead and revenue credit under every model side by side
+router.get('/compare', authenticateToken, (req, res) => {
+  if (!validateRange(req, res)) return;
+  const { from, to, platform } = req.query;
+  try {
+    const byKey = {};
+    for (const model of Object.keys(attribution.MODELS)) {
+      for (const r of attribution.attribute({ from, to, model, groupBy: req.query.group_by || 'source', platform })) {
+        const row = byKey[r.key] = byKey[r.key] || { key: r.key, source: r.source, platform: r.platform, campaign: r.campaign, models: {} };
+        row.models[model] = { leads: r.leads, revenue: r.revenue };
+      }
+    }
+    res.json({ models: Object.keys(attribution.MODELS), rows: Object.values(byKey) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /leads/:id/touchpoints?model= - a lead's touch path with per-touch credit
+router.get('/leads/:id/touchpoints', authenticateToken, (req, res) => {
+  const model = req.query.model || attribution.DEFAULT_MODEL;
+  if (!attribution.MODELS[model]) return res.status(400).json({ error: `Unknown attribution model: ${model}` });
+  const touchpoints = attribution.getLeadJourney(req.params.id, model);
+  if (!touchpoints) return res.status(404).json({ error: 'Lead not found' });
+  const lead = db.prepare('SELECT id, full_name, created_at FROM leads WHERE id = ?').get(req.params.id);
+  res.json({ lead, model, touchpoints });
+});
+
+module.exports = router;
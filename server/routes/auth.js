@@ -1,7 +1,12 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const db = require('../database');
+const permissions = require('../lib/permissions');
+const sessions = require('../lib/sessions');
+const totp = require('../lib/totp');
+const { encrypt, decrypt } = require('../lib/smtp');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'coastal-debt-secret-key-change-in-production';
@@ -12,23 +17,206 @@ setTimeout(() => {
   try { logActivity = require('./settings').logActivity; } catch (e) {}
 }, 0);
 
-// Middleware to verify JWT
-const authenticateToken = (req, res, next) => {
+// Failed sign-ins: an account locks after LOCKOUT_THRESHOLD in a row, and an
+// IP is refused once it racks up IP_MAX_FAILURES in the window
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_MINUTES = 15;
+const IP_MAX_FAILURES = 20;
+const IP_WINDOW_MINUTES = 15;
+
+const MIN_PASSWORD_LENGTH = 8;
+const CHALLENGE_TTL = '5m';
+
+// All a user who still has to change their password is allowed to call
+const PASSWORD_CHANGE_PATHS = ['/api/auth/me', '/api/auth/change-password'];
+
+function verifyToken(req, res) {
   const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access denied' });
+    res.status(401).json({ error: 'Access denied' });
+    return false;
   }
 
   try {
-    const verified = jwt.verify(token, JWT_SECRET);
-    req.user = verified;
-    next();
+    req.user = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     res.status(401).json({ error: 'Invalid token' });
+    return false;
+  }
+
+  // Loopback calls from the server itself (scheduled reports) carry no session
+  if (req.user.internal) return true;
+
+  const session = sessions.getActiveSession(req.user.sid);
+  if (!session) {
+    res.status(401).json({ error: 'Your session has ended. Please sign in again.', code: 'session_expired' });
+    return false;
+  }
+  req.user.role = session.role;
+  req.sessionId = session.sid;
+
+  if (session.must_change_password && !PASSWORD_CHANGE_PATHS.includes(req.baseUrl + req.path)) {
+    res.status(403).json({ error: 'You must change your password before continuing', code: 'password_change_required' });
+    return false;
+  }
+  return true;
+}
+
+// Check resource/action against the user's effective permissions and mask
+// phone/email in JSON responses for users without PII access
+function authorize(req, res, next, resource, action) {
+  if (!resource) return next();
+
+  const effective = permissions.getEffectivePermissions(req.user.id);
+  if (!effective) return res.status(401).json({ error: 'Invalid token' });
+  req.permissions = effective.permissions;
+
+  if (!permissions.can(req.permissions, resource, action)) {
+    return res.status(403).json({ error: permissions.describe(resource, action), code: 'forbidden', permission: `${resource}.${action}` });
+  }
+
+  if (!permissions.can(req.permissions, 'pii', 'read') && resource !== 'users' && resource !== 'settings') {
+    // Exports are files, so they can't be masked field by field
+    if (action === 'export') {
+      return res.status(403).json({ error: permissions.describe('pii', 'read'), code: 'forbidden', permission: 'pii.read' });
+    }
+    permissions.stripMaskedFields(req.body);
+    const json = res.json.bind(res);
+    res.json = (body) => json(permissions.maskPii(body));
   }
+  next();
+}
+
+// Middleware to verify JWT; the resource comes from the router's mount path
+// and the action from the HTTP method (see lib/permissions.js)
+const authenticateToken = (req, res, next) => {
+  if (!verifyToken(req, res)) return;
+  authorize(req, res, next, permissions.resourceFor(req), permissions.actionFor(req));
 };
 
+// Same as authenticateToken with an explicit permission, for routes where the
+// method doesn't say what they do (POST queries, exports with a format param)
+function requirePermission(resource, action) {
+  return (req, res, next) => {
+    if (!verifyToken(req, res)) return;
+    authorize(req, res, next, resource, action);
+  };
+}
+
+function recordAttempt(email, ip, success, reason) {
+  db.prepare('INSERT INTO login_attempts (email, ip_address, success, reason) VALUES (?, ?, ?, ?)')
+    .run(String(email || '').slice(0, 255), ip || null, success ? 1 : 0, reason || null);
+}
+
+function ipBlocked(ip) {
+  const { failures } = db.prepare(`
+    SELECT COUNT(*) AS failures FROM login_attempts
+    WHERE ip_address = ? AND success = 0 AND created_at > datetime('now', ?)
+  `).get(ip || null, `-${IP_WINDOW_MINUTES} minutes`);
+  return failures >= IP_MAX_FAILURES;
+}
+
+function lockedMinutes(user) {
+  if (!user.locked_until) return 0;
+  const ms = new Date(user.locked_until.replace(' ', 'T') + 'Z').getTime() - Date.now();
+  return ms > 0 ? Math.ceil(ms / 60000) : 0;
+}
+
+function refuseIp(res) {
+  res.set('Retry-After', String(IP_WINDOW_MINUTES * 60));
+  return res.status(429).json({ error: 'Too many failed sign-in attempts. Try again later.', code: 'rate_limited' });
+}
+
+function refuseLocked(res, minutes) {
+  return res.status(423).json({
+    error: `Account locked after too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask an admin to unlock it.`,
+    code: 'account_locked'
+  });
+}
+
+// Count a wrong password or code against the account, locking it at the threshold
+function registerFailure(user, req, reason) {
+  recordAttempt(user.email, req.ip, false, reason);
+  const count = (user.failed_login_count || 0) + 1;
+  if (count >= LOCKOUT_THRESHOLD) {
+    db.prepare(`UPDATE users SET failed_login_count = 0, locked_until = datetime('now', ?) WHERE id = ?`)
+      .run(`+${LOCKOUT_MINUTES} minutes`, user.id);
+    if (logActivity) logActivity(user.id, user.name, 'locked', 'user', user.id, `Account locked after ${count} failed sign-in attempts`, req.ip);
+  } else {
+    db.prepare('UPDATE users SET failed_login_count = ? WHERE id = ?').run(count, user.id);
+  }
+}
+
+function setSessionCookie(res, token) {
+  res.cookie('token', token, {
+    httpOnly: true,
+    secure: !!process.env.RAILWAY_VOLUME_MOUNT_PATH,
+    sameSite: 'lax',
+    maxAge: sessions.SESSION_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+// Password (and second factor, if enabled) checked: open a session
+function completeLogin(user, req, res, { twoFactor = false, detail = 'Login successful' } = {}) {
+  db.prepare('UPDATE users SET failed_login_count = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+  recordAttempt(user.email, req.ip, true, twoFactor ? '2fa' : 'password');
+
+  const sid = sessions.createSession(user.id, req, { twoFactor });
+  const token = jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid },
+    JWT_SECRET,
+    { expiresIn: `${sessions.SESSION_TTL_DAYS}d` }
+  );
+  setSessionCookie(res, token);
+
+  if (logActivity) logActivity(user.id, user.name, 'login', 'user', user.id, detail, req.ip);
+
+  res.json({
+    message: 'Login successful',
+    user: { id: user.id, email: user.email, name: user.name, role: user.role },
+    must_change_password: !!user.must_change_password
+  });
+}
+
+function parseRecoveryCodes(user) {
+  try {
+    return JSON.parse(user.recovery_codes || '[]');
+  } catch (e) {
+    return [];
+  }
+}
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled. Consumes
+// whichever matched; returns { ok, method, remaining }
+function checkSecondFactor(user, { code, recovery_code }) {
+  if (recovery_code) {
+    const remaining = totp.consumeRecoveryCode(parseRecoveryCodes(user), recovery_code);
+    if (!remaining) return { ok: false };
+    db.prepare('UPDATE users SET recovery_codes = ? WHERE id = ?').run(JSON.stringify(remaining), user.id);
+    return { ok: true, method: 'recovery code', remaining: remaining.length };
+  }
+  const counter = totp.verify(decrypt(user.totp_secret), code, { lastCounter: user.totp_last_counter });
+  if (counter === null) return { ok: false };
+  db.prepare('UPDATE users SET totp_last_counter = ? WHERE id = ?').run(counter, user.id);
+  return { ok: true, method: 'authenticator' };
+}
+
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function clearTwoFactor(userId) {
+  db.prepare(`
+    UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_pending_secret = NULL,
+      totp_last_counter = NULL, recovery_codes = '[]'
+    WHERE id = ?
+  `).run(userId);
+}
+
 // Login
 router.post('/login', (req, res) => {
   const { email, password } = req.body;
@@ -37,48 +225,219 @@ router.post('/login', (req, res) => {
     return res.status(400).json({ error: 'Email and password required' });
   }
 
+  if (ipBlocked(req.ip)) return refuseIp(res);
+
   const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
 
   if (!user) {
+    recordAttempt(email, req.ip, false, 'unknown_user');
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
+  const locked = lockedMinutes(user);
+  if (locked) {
+    recordAttempt(email, req.ip, false, 'locked');
+    return refuseLocked(res, locked);
+  }
+
   const validPassword = bcrypt.compareSync(password, user.password_hash);
   if (!validPassword) {
+    registerFailure(user, req, 'bad_password');
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
-  const token = jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  // Second step: a short-lived challenge token that only /login/2fa accepts
+  if (user.totp_enabled) {
+    const challenge = jwt.sign({ id: user.id, purpose: '2fa' }, JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+    return res.json({ two_factor_required: true, challenge });
+  }
 
-  res.cookie('token', token, {
-    httpOnly: true,
-    secure: !!process.env.RAILWAY_VOLUME_MOUNT_PATH,
-    sameSite: 'lax',
-    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-  });
+  completeLogin(user, req, res);
+});
 
-  if (logActivity) logActivity(user.id, user.name, 'login', 'user', user.id, 'Login successful', req.ip);
+// Login step 2 - { challenge, code } or { challenge, recovery_code }
+router.post('/login/2fa', (req, res) => {
+  const { challenge, code, recovery_code } = req.body;
 
-  res.json({
-    message: 'Login successful',
-    user: { id: user.id, email: user.email, name: user.name, role: user.role }
-  });
+  if (!challenge || (!code && !recovery_code)) {
+    return res.status(400).json({ error: 'Verification code required' });
+  }
+
+  if (ipBlocked(req.ip)) return refuseIp(res);
+
+  let claims;
+  try {
+    claims = jwt.verify(challenge, JWT_SECRET);
+  } catch (err) {
+    claims = null;
+  }
+  if (!claims || claims.purpose !== '2fa') {
+    return res.status(401).json({ error: 'Sign-in timed out. Enter your password again.', code: 'challenge_expired' });
+  }
+
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(claims.id);
+  if (!user || !user.totp_enabled) {
+    return res.status(401).json({ error: 'Sign-in timed out. Enter your password again.', code: 'challenge_expired' });
+  }
+
+  const locked = lockedMinutes(user);
+  if (locked) {
+    recordAttempt(user.email, req.ip, false, 'locked');
+    return refuseLocked(res, locked);
+  }
+
+  const result = checkSecondFactor(user, { code, recovery_code });
+  if (!result.ok) {
+    registerFailure(user, req, 'bad_2fa_code');
+    return res.status(401).json({ error: 'Invalid verification code' });
+  }
+
+  const detail = result.method === 'recovery code'
+    ? `Login successful (recovery code, ${result.remaining} left)`
+    : 'Login successful (2FA)';
+  completeLogin(user, req, res, { twoFactor: true, detail });
 });
 
-// Logout
+// Logout - ends this session server-side too
 router.post('/logout', (req, res) => {
+  const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
+  if (token) {
+    try {
+      sessions.revokeSession(jwt.verify(token, JWT_SECRET).sid, 'logout');
+    } catch (err) {}
+  }
   res.clearCookie('token');
   res.json({ message: 'Logged out' });
 });
 
 // Get current user
 router.get('/me', authenticateToken, (req, res) => {
-  const user = db.prepare('SELECT id, email, name, role FROM users WHERE id = ?').get(req.user.id);
-  res.json(user);
+  const user = db.prepare('SELECT id, email, name, role, must_change_password, totp_enabled FROM users WHERE id = ?').get(req.user.id);
+  if (!user) return res.status(401).json({ error: 'Invalid token' });
+  res.json({
+    ...user,
+    must_change_password: !!user.must_change_password,
+    totp_enabled: !!user.totp_enabled,
+    permissions: permissions.getEffectivePermissions(user.id).permissions
+  });
+});
+
+// Change own password - { current_password, new_password }. Signs out every
+// other session; this one stays signed in.
+router.post('/change-password', authenticateToken, (req, res) => {
+  const { current_password, new_password } = req.body;
+  const user = db.prepare('SELECT id, name, email, password_hash FROM users WHERE id = ?').get(req.user.id);
+  if (!user) return res.status(401).json({ error: 'Invalid token' });
+
+  if (!current_password || !bcrypt.compareSync(current_password, user.password_hash)) {
+    return res.status(400).json({ error: 'Current password is incorrect' });
+  }
+  const problem = passwordProblem(new_password);
+  if (problem) return res.status(400).json({ error: problem });
+  if (bcrypt.compareSync(new_password, user.password_hash)) {
+    return res.status(400).json({ error: 'New password must be different from the current one' });
+  }
+
+  db.prepare(`
+    UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(bcrypt.hashSync(new_password, 10), user.id);
+  const revoked = sessions.revokeUserSessions(user.id, 'password_changed', req.sessionId);
+
+  if (logActivity) logActivity(user.id, user.name, 'updated', 'user', user.id, `Changed password${revoked ? ` (signed out ${revoked} other session${revoked === 1 ? '' : 's'})` : ''}`, req.ip);
+  res.json({ message: 'Password changed', sessions_revoked: revoked });
+});
+
+// ============ TWO-FACTOR (own account) ============
+
+// GET /2fa - status for the settings page
+router.get('/2fa', authenticateToken, (req, res) => {
+  const user = db.prepare('SELECT totp_enabled, totp_pending_secret, recovery_codes FROM users WHERE id = ?').get(req.user.id);
+  if (!user) return res.status(401).json({ error: 'Invalid token' });
+  res.json({
+    enabled: !!user.totp_enabled,
+    setup_pending: !user.totp_enabled && !!user.totp_pending_secret,
+    recovery_codes_left: user.totp_enabled ? parseRecoveryCodes(user).length : 0
+  });
+});
+
+// POST /2fa/setup - new secret to add to an authenticator app. Not active
+// until /2fa/enable confirms a code from it.
+router.post('/2fa/setup', authenticateToken, (req, res) => {
+  const user = db.prepare('SELECT id, email, totp_enabled FROM users WHERE id = ?').get(req.user.id);
+  if (!user) return res.status(401).json({ error: 'Invalid token' });
+  if (user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is already on. Turn it off first to switch devices.' });
+
+  const secret = totp.generateSecret();
+  db.prepare('UPDATE users SET totp_pending_secret = ? WHERE id = ?').run(encrypt(secret), user.id);
+  res.json({ secret, otpauth_url: totp.otpauthUrl(secret, user.email) });
+});
+
+// POST /2fa/enable - { code } from the app; returns recovery codes (shown once)
+router.post('/2fa/enable', authenticateToken, (req, res) => {
+  const user = db.prepare('SELECT id, name, totp_enabled, totp_pending_secret FROM users WHERE id = ?').get(req.user.id);
+  if (!user) return res.status(401).json({ error: 'Invalid token' });
+  if (user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is already on' });
+  if (!user.totp_pending_secret) return res.status(400).json({ error: 'Start setup first' });
+
+  const counter = totp.verify(decrypt(user.totp_pending_secret), req.body.code);
+  if (counter === null) return res.status(400).json({ error: 'That code did not match. Check the time on your phone and try again.' });
+
+  const recovery = totp.generateRecoveryCodes();
+  db.prepare(`
+    UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled = 1,
+      totp_last_counter = ?, recovery_codes = ?
+    WHERE id = ?
+  `).run(counter, JSON.stringify(recovery.hashes), user.id);
+
+  if (logActivity) logActivity(user.id, user.name, 'updated', 'user', user.id, 'Enabled two-factor authentication', req.ip);
+  res.json({ message: 'Two-factor authentication enabled', recovery_codes: recovery.codes });
+});
+
+// POST /2fa/disable - { password, code | recovery_code }
+router.post('/2fa/disable', authenticateToken, (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+  if (!user) return res.status(401).json({ error: 'Invalid token' });
+  if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is not on' });
+  if (!req.body.password || !bcrypt.compareSync(req.body.password, user.password_hash)) {
+    return res.status(400).json({ error: 'Password is incorrect' });
+  }
+  if (!checkSecondFactor(user, req.body).ok) return res.status(400).json({ error: 'Invalid verification code' });
+
+  clearTwoFactor(user.id);
+  if (logActivity) logActivity(user.id, user.name, 'updated', 'user', user.id, 'Disabled two-factor authentication', req.ip);
+  res.json({ message: 'Two-factor authentication disabled' });
+});
+
+// POST /2fa/recovery-codes - { code } replaces all recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+  if (!user) return res.status(401).json({ error: 'Invalid token' });
+  if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is not on' });
+  if (!checkSecondFactor(user, { code: req.body.code }).ok) return res.status(400).json({ error: 'Invalid verification code' });
+
+  const recovery = totp.generateRecoveryCodes();
+  db.prepare('UPDATE users SET recovery_codes = ? WHERE id = ?').run(JSON.stringify(recovery.hashes), user.id);
+  if (logActivity) logActivity(user.id, user.name, 'updated', 'user', user.id, 'Regenerated 2FA recovery codes', req.ip);
+  res.json({ recovery_codes: recovery.codes });
+});
+
+// ============ SESSIONS (own account) ============
+
+router.get('/sessions', authenticateToken, (req, res) => {
+  res.json(sessions.listSessions(req.user.id, req.sessionId));
+});
+
+// POST /sessions/revoke-others - sign out everywhere except here
+router.post('/sessions/revoke-others', authenticateToken, (req, res) => {
+  const revoked = sessions.revokeUserSessions(req.user.id, 'revoked_by_user', req.sessionId);
+  res.json({ revoked });
+});
+
+router.delete('/sessions/:id', authenticateToken, (req, res) => {
+  if (!sessions.revokeSessionById(req.user.id, req.params.id, 'revoked_by_user')) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json({ success: true });
 });
 
 // Get all users (admin only)
@@ -87,7 +446,13 @@ router.get('/users', authenticateToken, (req, res) => {
     return res.status(403).json({ error: 'Admin access required' });
   }
 
-  const users = db.prepare('SELECT id, email, name, role, created_at FROM users').all();
+  const users = db.prepare(`
+    SELECT u.id, u.email, u.name, u.role, u.created_at, u.last_login_at, u.totp_enabled, u.must_change_password,
+      CASE WHEN u.locked_until > CURRENT_TIMESTAMP THEN u.locked_until END AS locked_until,
+      (SELECT COUNT(*) FROM user_sessions s
+       WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) AS active_sessions
+    FROM users u
+  `).all();
   res.json(users);
 });
 
@@ -102,13 +467,16 @@ router.post('/users', authenticateToken, (req, res) => {
   if (!email || !password || !name) {
     return res.status(400).json({ error: 'Email, password, and name required' });
   }
+  const problem = passwordProblem(password);
+  if (problem) return res.status(400).json({ error: problem });
 
   const passwordHash = bcrypt.hashSync(password, 10);
 
+  // The admin knows this password, so the new user picks their own on first login
   try {
     const result = db.prepare(`
-      INSERT INTO users (email, password_hash, name, role)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO users (email, password_hash, name, role, must_change_password)
+      VALUES (?, ?, ?, ?, 1)
     `).run(email, passwordHash, name, role || 'editor');
 
     if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'user', result.lastInsertRowid, `Created user: ${name}`, req.ip);
@@ -134,7 +502,10 @@ router.put('/users/:id', authenticateToken, (req, res) => {
   let params = [email, name, role];
 
   if (password) {
-    query += ', password_hash = ?';
+    const problem = passwordProblem(password);
+    if (problem) return res.status(400).json({ error: problem });
+    // Someone else's password set by an admin is temporary
+    query += `, password_hash = ?, must_change_password = ${parseInt(userId) === req.user.id ? 0 : 1}, password_changed_at = CURRENT_TIMESTAMP`;
     params.push(bcrypt.hashSync(password, 10));
   }
 
@@ -142,6 +513,8 @@ router.put('/users/:id', authenticateToken, (req, res) => {
   params.push(userId);
 
   db.prepare(query).run(...params);
+  // An admin-set password signs the user out everywhere
+  if (password) sessions.revokeUserSessions(parseInt(userId), 'password_reset', parseInt(userId) === req.user.id ? req.sessionId : null);
   if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'user', parseInt(userId), `Updated user: ${name}`, req.ip);
   res.json({ message: 'User updated' });
 });
@@ -163,5 +536,84 @@ router.delete('/users/:id', authenticateToken, (req, res) => {
   res.json({ message: 'User deleted' });
 });
 
+// ============ ACCOUNT SECURITY (admin only) ============
+
+function loadTargetUser(req, res) {
+  if (req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Admin access required' });
+    return null;
+  }
+  const user = db.prepare('SELECT id, name, email FROM users WHERE id = ?').get(req.params.id);
+  if (!user) res.status(404).json({ error: 'User not found' });
+  return user;
+}
+
+// GET /users/:id/sessions
+router.get('/users/:id/sessions', authenticateToken, (req, res) => {
+  const user = loadTargetUser(req, res);
+  if (!user) return;
+  res.json(sessions.listSessions(user.id, user.id === req.user.id ? req.sessionId : null));
+});
+
+// DELETE /users/:id/sessions/:sessionId - sign the user out of one device
+router.delete('/users/:id/sessions/:sessionId', authenticateToken, (req, res) => {
+  const user = loadTargetUser(req, res);
+  if (!user) return;
+  if (!sessions.revokeSessionById(user.id, req.params.sessionId, 'revoked_by_admin')) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'user', user.id, `Signed ${user.name} out of a session`, req.ip);
+  res.json({ success: true });
+});
+
+// POST /users/:id/logout - force logout everywhere
+router.post('/users/:id/logout', authenticateToken, (req, res) => {
+  const user = loadTargetUser(req, res);
+  if (!user) return;
+  const revoked = sessions.revokeUserSessions(user.id, 'revoked_by_admin', user.id === req.user.id ? req.sessionId : null);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'user', user.id, `Forced logout of ${user.name} (${revoked} session${revoked === 1 ? '' : 's'})`, req.ip);
+  res.json({ revoked });
+});
+
+// POST /users/:id/reset-password - { password? } sets a temporary password
+// (generated if omitted, returned once), signs the user out everywhere and
+// makes them choose a new one at next login
+router.post('/users/:id/reset-password', authenticateToken, (req, res) => {
+  const user = loadTargetUser(req, res);
+  if (!user) return;
+  if (user.id === req.user.id) return res.status(400).json({ error: 'Use Change Password for your own account' });
+
+  const temporary = req.body.password || crypto.randomBytes(9).toString('base64').replace(/[+/=]/g, '').slice(0, 12);
+  const problem = passwordProblem(temporary);
+  if (problem) return res.status(400).json({ error: problem });
+
+  db.prepare(`
+    UPDATE users SET password_hash = ?, must_change_password = 1, failed_login_count = 0, locked_until = NULL WHERE id = ?
+  `).run(bcrypt.hashSync(temporary, 10), user.id);
+  const revoked = sessions.revokeUserSessions(user.id, 'password_reset');
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'user', user.id, `Reset password for ${user.name}`, req.ip);
+  res.json({ temporary_password: temporary, sessions_revoked: revoked });
+});
+
+// POST /users/:id/reset-2fa - for a lost phone; the user can set it up again
+router.post('/users/:id/reset-2fa', authenticateToken, (req, res) => {
+  const user = loadTargetUser(req, res);
+  if (!user) return;
+  clearTwoFactor(user.id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'user', user.id, `Reset two-factor authentication for ${user.name}`, req.ip);
+  res.json({ message: 'Two-factor authentication reset' });
+});
+
+// POST /users/:id/unlock - clear a lockout before it expires
+router.post('/users/:id/unlock', authenticateToken, (req, res) => {
+  const user = loadTargetUser(req, res);
+  if (!user) return;
+  db.prepare('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?').run(user.id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'user', user.id, `Unlocked ${user.name}`, req.ip);
+  res.json({ message: 'Account unlocked' });
+});
+
 module.exports = router;
 module.exports.authenticateToken = authenticateToken;
+module.exports.requirePermission = requirePermission;
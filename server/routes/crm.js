@@ -2,64 +2,306 @@ const express = require('express');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const { getConfiguredTimezone, getTodayInTz } = require('../lib/timezone');
+const { getDefaultPipeline, getStages, getStage, moveLeadToStage, getLeadStageHistory } = require('../lib/pipeline');
 
 const router = express.Router();
 
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
 // ============ PIPELINE ============
 
-// GET /pipeline/stages — ordered stage names from postback_config
+const STAGE_COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
+// Validate a stage create/update body. Returns { error } or { values }.
+function parseStageBody(body, pipelineId, stageId = null) {
+  const values = {};
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Stage name is required' };
+    const clash = db.prepare(`
+      SELECT id FROM pipeline_stages WHERE pipeline_id = ? AND LOWER(name) = LOWER(?) AND id != ?
+    `).get(pipelineId, name, stageId || 0);
+    if (clash) return { error: `A stage named "${name}" already exists in this pipeline` };
+    values.name = name;
+  }
+  if (body.is_won !== undefined) values.is_won = body.is_won ? 1 : 0;
+  if (body.is_lost !== undefined) values.is_lost = body.is_lost ? 1 : 0;
+  if (body.sla_hours !== undefined) {
+    const sla = body.sla_hours === null || body.sla_hours === '' ? null : parseFloat(body.sla_hours);
+    if (sla !== null && (isNaN(sla) || sla <= 0)) return { error: 'SLA must be a positive number of hours' };
+    values.sla_hours = sla;
+  }
+  if (body.event_name !== undefined) values.event_name = body.event_name ? String(body.event_name).trim() : null;
+  if (body.color !== undefined) {
+    if (body.color && !STAGE_COLOR_RE.test(body.color)) return { error: 'Color must be a hex value like #3052ff' };
+    values.color = body.color || null;
+  }
+  return { values };
+}
+
+function getPipelinesWithStages() {
+  const pipelines = db.prepare('SELECT * FROM pipelines ORDER BY is_default DESC, name ASC').all();
+  const counts = {};
+  db.prepare('SELECT pipeline_stage_id, COUNT(*) as count FROM leads WHERE pipeline_stage_id IS NOT NULL GROUP BY pipeline_stage_id')
+    .all().forEach(r => { counts[r.pipeline_stage_id] = r.count; });
+  return pipelines.map(p => ({
+    ...p,
+    stages: getStages(p.id).map(st => ({ ...st, lead_count: counts[st.id] || 0 }))
+  }));
+}
+
+function resolvePipeline(id) {
+  return id ? db.prepare('SELECT * FROM pipelines WHERE id = ?').get(id) : getDefaultPipeline();
+}
+
+// GET /pipeline/stages — ordered stages of a pipeline (?pipeline_id, default pipeline otherwise)
 router.get('/pipeline/stages', authenticateToken, (req, res) => {
-  const stages = db.prepare(`
-    SELECT DISTINCT event_name FROM postback_config WHERE is_active = 1 ORDER BY id ASC
-  `).all().map(r => r.event_name);
-  res.json(stages);
+  const pipeline = resolvePipeline(req.query.pipeline_id);
+  if (!pipeline) return res.json([]);
+  res.json(getStages(pipeline.id));
 });
 
-// GET /pipeline — leads grouped by latest conversion event stage
+// GET /pipeline — leads grouped by pipeline stage, newest (or ?sort=score) first
+// per stage, capped at ?limit per column. ?score_tier=hot|warm|cold filters.
 router.get('/pipeline', authenticateToken, (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
+  const pipeline = resolvePipeline(req.query.pipeline_id);
+  if (!pipeline) return res.status(404).json({ error: 'Pipeline not found' });
 
-  // Get stage order from postback_config
-  const stages = db.prepare(`
-    SELECT DISTINCT event_name FROM postback_config WHERE is_active = 1 ORDER BY id ASC
-  `).all().map(r => r.event_name);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const tierFilter = ['hot', 'warm', 'cold'].includes(req.query.score_tier) ? req.query.score_tier : null;
+  const orderBy = req.query.sort === 'score'
+    ? 'COALESCE(l.lead_score, -1) DESC, l.created_at DESC'
+    : 'l.created_at DESC';
 
-  // Get leads with their latest conversion event name
-  const leads = db.prepare(`
-    SELECT l.id, l.first_name, l.last_name, l.company_name, l.email, l.phone, l.debt_amount,
-           l.created_at, l.assigned_to, lp.name as landing_page_name, lp.platform,
-           (
-             SELECT ce.conversion_action_name
-             FROM conversion_events ce
-             WHERE ce.lead_id = l.id
-             ORDER BY ce.created_at DESC
-             LIMIT 1
-           ) as current_stage
-    FROM leads l
-    LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
-    ORDER BY l.created_at DESC
-    LIMIT ?
-  `).all(limit);
+  const stageRows = getStages(pipeline.id);
+  const where = `ps.pipeline_id = ?${tierFilter ? ' AND l.lead_score_tier = ?' : ''}`;
+  const whereParams = tierFilter ? [pipeline.id, tierFilter] : [pipeline.id];
 
-  // Group leads by stage
-  const pipeline = {};
-  stages.forEach(s => { pipeline[s] = []; });
-  pipeline['_no_events'] = [];
+  const totals = {};
+  db.prepare(`
+    SELECT l.pipeline_stage_id as stage_id, COUNT(*) as count,
+      SUM(CASE WHEN ps.sla_hours IS NOT NULL AND ps.is_won = 0 AND ps.is_lost = 0
+        AND (julianday('now') - julianday(l.stage_entered_at)) * 24 > ps.sla_hours THEN 1 ELSE 0 END) as overdue
+    FROM leads l
+    JOIN pipeline_stages ps ON ps.id = l.pipeline_stage_id
+    WHERE ${where}
+    GROUP BY l.pipeline_stage_id
+  `).all(...whereParams).forEach(r => { totals[r.stage_id] = r; });
 
+  const leads = db.prepare(`
+    SELECT * FROM (
+      SELECT l.id, l.first_name, l.last_name, l.company_name, l.email, l.phone, l.debt_amount,
+             l.created_at, l.assigned_to, au.name as assigned_name, l.lead_score, l.lead_score_tier,
+             l.pipeline_stage_id, l.stage_entered_at, lp.name as landing_page_name, lp.platform,
+             ROUND((julianday('now') - julianday(l.stage_entered_at)) * 24, 1) as hours_in_stage,
+             CASE WHEN ps.sla_hours IS NOT NULL AND ps.is_won = 0 AND ps.is_lost = 0
+               AND (julianday('now') - julianday(l.stage_entered_at)) * 24 > ps.sla_hours THEN 1 ELSE 0 END as sla_overdue,
+             ROW_NUMBER() OVER (PARTITION BY l.pipeline_stage_id ORDER BY ${orderBy}) as stage_rank
+      FROM leads l
+      JOIN pipeline_stages ps ON ps.id = l.pipeline_stage_id
+      LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+      LEFT JOIN users au ON au.id = l.assigned_to
+      WHERE ${where}
+    ) WHERE stage_rank <= ?
+    ORDER BY stage_rank ASC
+  `).all(...whereParams, limit);
+
+  const grouped = {};
+  stageRows.forEach(st => { grouped[st.id] = []; });
   leads.forEach(lead => {
-    const stage = lead.current_stage;
-    if (!stage) {
-      pipeline['_no_events'].push(lead);
-    } else if (pipeline[stage]) {
-      pipeline[stage].push(lead);
-    } else {
-      // Stage not in postback_config, create dynamic group
-      if (!pipeline[stage]) pipeline[stage] = [];
-      pipeline[stage].push(lead);
-    }
+    delete lead.stage_rank;
+    if (grouped[lead.pipeline_stage_id]) grouped[lead.pipeline_stage_id].push(lead);
+  });
+
+  const stages = stageRows.map(st => ({
+    ...st,
+    lead_count: totals[st.id] ? totals[st.id].count : 0,
+    overdue_count: totals[st.id] ? totals[st.id].overdue : 0
+  }));
+  res.json({
+    pipeline_id: pipeline.id,
+    pipelines: db.prepare('SELECT id, name, is_default FROM pipelines ORDER BY is_default DESC, name ASC').all(),
+    stages,
+    pipeline: grouped
   });
+});
+
+// GET /pipeline/pipelines — every pipeline with its stages and lead counts
+router.get('/pipeline/pipelines', authenticateToken, (req, res) => {
+  const eventNames = db.prepare('SELECT DISTINCT event_name FROM postback_config WHERE is_active = 1 ORDER BY event_name ASC')
+    .all().map(r => r.event_name);
+  res.json({ pipelines: getPipelinesWithStages(), event_names: eventNames });
+});
+
+// POST /pipeline/pipelines — create a pipeline
+router.post('/pipeline/pipelines', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Pipeline name is required' });
+
+  const result = db.prepare('INSERT INTO pipelines (name) VALUES (?)').run(name);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'pipeline', result.lastInsertRowid, `Created pipeline "${name}"`, req.ip);
+  res.json(db.prepare('SELECT * FROM pipelines WHERE id = ?').get(result.lastInsertRowid));
+});
+
+// PUT /pipeline/pipelines/:id — rename or make default
+router.put('/pipeline/pipelines/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const pipeline = db.prepare('SELECT * FROM pipelines WHERE id = ?').get(req.params.id);
+  if (!pipeline) return res.status(404).json({ error: 'Pipeline not found' });
+
+  const name = req.body.name !== undefined ? String(req.body.name || '').trim() : pipeline.name;
+  if (!name) return res.status(400).json({ error: 'Pipeline name is required' });
+  if (req.body.is_default && !getStages(pipeline.id).length) {
+    return res.status(400).json({ error: 'Add at least one stage before making this the default pipeline' });
+  }
+
+  db.transaction(() => {
+    if (req.body.is_default) db.prepare('UPDATE pipelines SET is_default = 0 WHERE id != ?').run(pipeline.id);
+    db.prepare('UPDATE pipelines SET name = ?, is_default = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(name, req.body.is_default ? 1 : pipeline.is_default, pipeline.id);
+  })();
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'pipeline', pipeline.id, `Updated pipeline "${name}"`, req.ip);
+  res.json({ success: true });
+});
+
+// DELETE /pipeline/pipelines/:id — only non-default pipelines with no leads
+router.delete('/pipeline/pipelines/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const pipeline = db.prepare('SELECT * FROM pipelines WHERE id = ?').get(req.params.id);
+  if (!pipeline) return res.status(404).json({ error: 'Pipeline not found' });
+  if (pipeline.is_default) return res.status(400).json({ error: 'The default pipeline cannot be deleted' });
+  const inUse = db.prepare(`
+    SELECT COUNT(*) as count FROM leads l JOIN pipeline_stages ps ON ps.id = l.pipeline_stage_id WHERE ps.pipeline_id = ?
+  `).get(pipeline.id);
+  if (inUse.count) return res.status(400).json({ error: `${inUse.count} lead(s) are still in this pipeline` });
+
+  db.prepare('DELETE FROM pipelines WHERE id = ?').run(pipeline.id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'pipeline', pipeline.id, `Deleted pipeline "${pipeline.name}"`, req.ip);
+  res.json({ success: true });
+});
+
+// POST /pipeline/pipelines/:id/stages — add a stage at the end
+router.post('/pipeline/pipelines/:id/stages', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const pipeline = db.prepare('SELECT * FROM pipelines WHERE id = ?').get(req.params.id);
+  if (!pipeline) return res.status(404).json({ error: 'Pipeline not found' });
+  if (req.body.name === undefined) return res.status(400).json({ error: 'Stage name is required' });
+
+  const { error, values } = parseStageBody(req.body, pipeline.id);
+  if (error) return res.status(400).json({ error });
+  if (values.is_won && values.is_lost) return res.status(400).json({ error: 'A stage cannot be both won and lost' });
+
+  const next = db.prepare('SELECT COALESCE(MAX(sort_order), -1) + 1 as n FROM pipeline_stages WHERE pipeline_id = ?').get(pipeline.id).n;
+  const result = db.prepare(`
+    INSERT INTO pipeline_stages (pipeline_id, name, sort_order, is_won, is_lost, sla_hours, event_name, color)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(pipeline.id, values.name, next, values.is_won || 0, values.is_lost || 0,
+    values.sla_hours ?? null, values.event_name ?? null, values.color ?? null);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'pipeline_stage', result.lastInsertRowid, `Added stage "${values.name}" to ${pipeline.name}`, req.ip);
+  res.json(getStage(result.lastInsertRowid));
+});
+
+// PUT /pipeline/pipelines/:id/order — { stage_ids: [...] } in display order
+router.put('/pipeline/pipelines/:id/order', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const stageIds = Array.isArray(req.body.stage_ids) ? req.body.stage_ids.map(id => parseInt(id)) : [];
+  const current = getStages(req.params.id).map(st => st.id);
+  if (!current.length) return res.status(404).json({ error: 'Pipeline not found' });
+  if (stageIds.length !== current.length || !current.every(id => stageIds.includes(id))) {
+    return res.status(400).json({ error: 'stage_ids must list every stage in the pipeline exactly once' });
+  }
+
+  const update = db.prepare('UPDATE pipeline_stages SET sort_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  db.transaction(() => { stageIds.forEach((id, i) => update.run(i, id)); })();
+  res.json({ success: true });
+});
+
+// PUT /pipeline/stages/:id — update a stage (renames are mirrored onto leads.stage)
+router.put('/pipeline/stages/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const stage = getStage(req.params.id);
+  if (!stage) return res.status(404).json({ error: 'Stage not found' });
+
+  const { error, values } = parseStageBody(req.body, stage.pipeline_id, stage.id);
+  if (error) return res.status(400).json({ error });
+  const merged = { ...stage, ...values };
+  if (merged.is_won && merged.is_lost) return res.status(400).json({ error: 'A stage cannot be both won and lost' });
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE pipeline_stages SET name = ?, is_won = ?, is_lost = ?, sla_hours = ?, event_name = ?, color = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(merged.name, merged.is_won, merged.is_lost, merged.sla_hours, merged.event_name, merged.color, stage.id);
+    if (merged.name !== stage.name) {
+      db.prepare('UPDATE leads SET stage = ? WHERE pipeline_stage_id = ?').run(merged.name, stage.id);
+    }
+  })();
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'pipeline_stage', stage.id, `Updated stage "${merged.name}"`, req.ip);
+  res.json(getStage(stage.id));
+});
+
+// DELETE /pipeline/stages/:id — leads in the stage must be moved first (?move_to=stageId does it here)
+router.delete('/pipeline/stages/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const stage = getStage(req.params.id);
+  if (!stage) return res.status(404).json({ error: 'Stage not found' });
+  const leadIds = db.prepare('SELECT id FROM leads WHERE pipeline_stage_id = ?').all(stage.id).map(r => r.id);
+
+  if (leadIds.length) {
+    const target = req.query.move_to ? getStage(req.query.move_to) : null;
+    if (!target || target.id === stage.id) {
+      return res.status(400).json({ error: `${leadIds.length} lead(s) are in this stage. Choose a stage to move them to.`, lead_count: leadIds.length });
+    }
+    leadIds.forEach(id => moveLeadToStage(id, target.id, { source: 'stage_deleted', user: req.user, ip: req.ip }));
+  }
+
+  db.prepare('DELETE FROM pipeline_stages WHERE id = ?').run(stage.id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'pipeline_stage', stage.id, `Deleted stage "${stage.name}"${leadIds.length ? ` (moved ${leadIds.length} lead(s))` : ''}`, req.ip);
+  res.json({ success: true, moved: leadIds.length });
+});
+
+// POST /pipeline/leads/:id/move — { stage_id }; used by drag-and-drop on the board
+router.post('/pipeline/leads/:id/move', authenticateToken, (req, res) => {
+  const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  const stage = req.body.stage_id ? getStage(req.body.stage_id) : null;
+  if (!stage) return res.status(400).json({ error: 'Valid stage_id is required' });
+
+  const result = moveLeadToStage(lead.id, stage.id, { source: req.body.source === 'drag_drop' ? 'drag_drop' : 'manual', user: req.user, ip: req.ip });
+  res.json({ success: true, moved: result.moved, stage: result.stage });
+});
 
-  res.json({ stages, pipeline });
+// GET /pipeline/leads/:id/history — stage moves, newest first
+router.get('/pipeline/leads/:id/history', authenticateToken, (req, res) => {
+  res.json(getLeadStageHistory(req.params.id));
 });
 
 // ============ NOTES ============
@@ -1,7 +1,10 @@
 const express = require('express');
 const db = require('../database');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requirePermission } = require('./auth');
 const { getConfiguredTimezone, localDateToUtcRange, getSqliteOffsetStr } = require('../lib/timezone');
+const { getDefaultPipeline, getStages } = require('../lib/pipeline');
+const { getWarehouseSpend } = require('../lib/ad-spend');
+const { attribute, MODELS } = require('../lib/attribution');
 
 const router = express.Router();
 
@@ -29,13 +32,19 @@ function buildFilters(req, tableAlias = 'l', pageAlias = 'lp') {
 }
 
 // GET /api/deep-analysis/scorecard
-// Returns per-platform: spend, leads, cpl, revenue, roi, conv_rate
+// Returns per-platform: spend, leads, cpl, revenue, roi, conv_rate. Spend comes
+// from the ad-spend warehouse for platforms it covers, else summed lead costs.
+// ?model= credits leads and revenue by touchpoint (lib/attribution.js) instead
+// of by the landing page's platform; non-paid sources appear as their own rows.
 router.get('/scorecard', authenticateToken, (req, res) => {
+  if (req.query.model && !MODELS[req.query.model]) {
+    return res.status(400).json({ error: `Unknown attribution model: ${req.query.model}` });
+  }
   try {
     const { conditions, params } = buildFilters(req);
     const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
 
-    const rows = db.prepare(`
+    let rows = db.prepare(`
       SELECT
         COALESCE(lp.platform, 'other') AS platform,
         COUNT(l.id) AS leads,
@@ -50,8 +59,29 @@ router.get('/scorecard', authenticateToken, (req, res) => {
       ORDER BY leads DESC
     `).all(...params);
 
+    if (req.query.model) {
+      const leadSpend = {};
+      for (const r of rows) leadSpend[r.platform] = r.spend_cents;
+      rows = attribute({ from: req.query.from, to: req.query.to, model: req.query.model, groupBy: 'platform', platform: req.query.platform })
+        .map(r => ({ platform: r.key, leads: r.leads, spend_cents: leadSpend[r.key] || 0, revenue: r.revenue, converted_leads: r.converted }));
+      for (const platform of Object.keys(leadSpend)) {
+        if (leadSpend[platform] > 0 && !rows.some(r => r.platform === platform)) {
+          rows.push({ platform, leads: 0, spend_cents: leadSpend[platform], revenue: 0, converted_leads: 0 });
+        }
+      }
+    }
+
+    // Covered platforms that spent but produced no leads still belong on the card
+    const warehouse = getWarehouseSpend(req.query.from, req.query.to);
+    for (const platform of Object.keys(warehouse)) {
+      if (req.query.platform && req.query.platform !== platform) continue;
+      if (!rows.some(r => r.platform === platform) && warehouse[platform].cost > 0) {
+        rows.push({ platform, leads: 0, spend_cents: 0, revenue: 0, converted_leads: 0 });
+      }
+    }
+
     const scorecard = rows.map(r => {
-      const spend = r.spend_cents / 100;
+      const spend = warehouse[r.platform] ? warehouse[r.platform].cost : r.spend_cents / 100;
       const cpl = r.leads > 0 ? spend / r.leads : 0;
       const roi = spend > 0 ? ((r.revenue - spend) / spend) * 100 : 0;
       const conv_rate = r.leads > 0 ? (r.converted_leads / r.leads) * 100 : 0;
@@ -62,7 +92,8 @@ router.get('/scorecard', authenticateToken, (req, res) => {
         cpl,
         revenue: r.revenue,
         roi,
-        conv_rate
+        conv_rate,
+        spend_source: warehouse[r.platform] ? 'warehouse' : 'leads'
       };
     });
 
@@ -473,6 +504,164 @@ router.get('/heatmap', authenticateToken, (req, res) => {
   }
 });
 
+// Pipeline for the stage reports: ?pipeline_id or the default one
+function resolveReportPipeline(req) {
+  const pipeline = req.query.pipeline_id
+    ? db.prepare('SELECT * FROM pipelines WHERE id = ?').get(req.query.pipeline_id)
+    : getDefaultPipeline();
+  return pipeline ? { pipeline, stages: getStages(pipeline.id) } : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const hours = (seconds) => seconds == null ? null : Math.round((seconds / 3600) * 10) / 10;
+
+// GET /api/deep-analysis/stage-time
+// Per stage: completed stints (moves out of the stage within the date range)
+// with avg/median hours and SLA breaches, plus leads sitting in it right now
+router.get('/stage-time', authenticateToken, (req, res) => {
+  try {
+    const resolved = resolveReportPipeline(req);
+    if (!resolved) return res.json({ stages: [] });
+    const { pipeline, stages } = resolved;
+
+    const { conditions, params } = buildFilters(req, 'h');
+    const where = conditions.length ? 'AND ' + conditions.join(' AND ') : '';
+    const stints = db.prepare(`
+      SELECT h.from_stage_id as stage_id, h.seconds_in_previous as seconds
+      FROM lead_stage_history h
+      JOIN pipeline_stages ps ON ps.id = h.from_stage_id
+      JOIN leads l ON l.id = h.lead_id
+      LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+      WHERE ps.pipeline_id = ? AND h.seconds_in_previous IS NOT NULL ${where}
+    `).all(pipeline.id, ...params);
+
+    const platformWhere = req.query.platform ? 'AND lp.platform = ?' : '';
+    const current = {};
+    db.prepare(`
+      SELECT l.pipeline_stage_id as stage_id, COUNT(*) as count,
+        AVG((julianday('now') - julianday(l.stage_entered_at)) * 86400) as avg_seconds,
+        SUM(CASE WHEN ps.sla_hours IS NOT NULL AND ps.is_won = 0 AND ps.is_lost = 0
+          AND (julianday('now') - julianday(l.stage_entered_at)) * 24 > ps.sla_hours THEN 1 ELSE 0 END) as overdue
+      FROM leads l
+      JOIN pipeline_stages ps ON ps.id = l.pipeline_stage_id
+      LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+      WHERE ps.pipeline_id = ? ${platformWhere}
+      GROUP BY l.pipeline_stage_id
+    `).all(pipeline.id, ...(req.query.platform ? [req.query.platform] : [])).forEach(r => { current[r.stage_id] = r; });
+
+    const byStage = {};
+    stints.forEach(r => { (byStage[r.stage_id] = byStage[r.stage_id] || []).push(r.seconds); });
+
+    res.json({
+      pipeline_id: pipeline.id,
+      stages: stages.map(st => {
+        const secs = byStage[st.id] || [];
+        const breaches = st.sla_hours ? secs.filter(x => x > st.sla_hours * 3600).length : null;
+        const now = current[st.id] || { count: 0, avg_seconds: null, overdue: 0 };
+        return {
+          id: st.id,
+          name: st.name,
+          is_won: st.is_won,
+          is_lost: st.is_lost,
+          sla_hours: st.sla_hours,
+          completed: secs.length,
+          avg_hours: secs.length ? hours(secs.reduce((a, b) => a + b, 0) / secs.length) : null,
+          median_hours: hours(median(secs)),
+          sla_breaches: breaches,
+          breach_rate: breaches !== null && secs.length ? Math.round((breaches / secs.length) * 1000) / 10 : null,
+          current: now.count,
+          current_avg_hours: hours(now.avg_seconds),
+          current_overdue: now.overdue || 0
+        };
+      })
+    });
+  } catch (err) {
+    console.error('Stage time error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/deep-analysis/stage-conversion
+// Cohort of leads created in the date range: how many reached each stage
+// (furthest non-lost stage ever entered), stage-to-next conversion, where
+// lost leads dropped out, and overall win/loss rates
+router.get('/stage-conversion', authenticateToken, (req, res) => {
+  try {
+    const resolved = resolveReportPipeline(req);
+    if (!resolved) return res.json({ cohort: 0, stages: [] });
+    const { pipeline, stages } = resolved;
+
+    const { conditions, params } = buildFilters(req);
+    const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+    const cohortSql = `SELECT l.id FROM leads l LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id ${where}`;
+
+    const leads = db.prepare(`
+      WITH cohort AS (${cohortSql}),
+      visits AS (
+        SELECT h.lead_id, h.to_stage_id as stage_id FROM lead_stage_history h JOIN cohort c ON c.id = h.lead_id
+        UNION
+        SELECT h.lead_id, h.from_stage_id FROM lead_stage_history h JOIN cohort c ON c.id = h.lead_id WHERE h.from_stage_id IS NOT NULL
+        UNION
+        SELECT l.id, l.pipeline_stage_id FROM leads l JOIN cohort c ON c.id = l.id
+      )
+      SELECT v.lead_id,
+        MAX(CASE WHEN ps.is_lost = 0 THEN ps.sort_order END) as furthest,
+        MAX(ps.is_won) as won,
+        MAX(CASE WHEN cur.id = ps.id AND ps.is_lost = 1 THEN 1 ELSE 0 END) as lost
+      FROM visits v
+      JOIN pipeline_stages ps ON ps.id = v.stage_id AND ps.pipeline_id = ?
+      JOIN leads l ON l.id = v.lead_id
+      LEFT JOIN pipeline_stages cur ON cur.id = l.pipeline_stage_id
+      GROUP BY v.lead_id
+    `).all(...params, pipeline.id);
+
+    const lostFrom = {};
+    db.prepare(`
+      WITH cohort AS (${cohortSql})
+      SELECT h.from_stage_id as stage_id, COUNT(DISTINCT h.lead_id) as count
+      FROM lead_stage_history h
+      JOIN cohort c ON c.id = h.lead_id
+      JOIN pipeline_stages ps ON ps.id = h.to_stage_id AND ps.is_lost = 1 AND ps.pipeline_id = ?
+      GROUP BY h.from_stage_id
+    `).all(...params, pipeline.id).forEach(r => { lostFrom[r.stage_id] = r.count; });
+
+    const cohort = leads.length;
+    const openStages = stages.filter(st => !st.is_lost);
+    const reachedCounts = openStages.map(st => leads.filter(l => l.furthest !== null && l.furthest >= st.sort_order).length);
+    const won = leads.filter(l => l.won).length;
+    const lost = leads.filter(l => l.lost).length;
+    const pct = (n, d) => d > 0 ? Math.round((n / d) * 1000) / 10 : 0;
+
+    res.json({
+      pipeline_id: pipeline.id,
+      cohort,
+      won,
+      lost,
+      open: cohort - won - lost,
+      win_rate: pct(won, cohort),
+      loss_rate: pct(lost, cohort),
+      stages: openStages.map((st, i) => ({
+        id: st.id,
+        name: st.name,
+        is_won: st.is_won,
+        reached: reachedCounts[i],
+        reached_pct: pct(reachedCounts[i], cohort),
+        to_next_pct: i < openStages.length - 1 ? pct(reachedCounts[i + 1], reachedCounts[i]) : null,
+        lost_here: lostFrom[st.id] || 0
+      }))
+    });
+  } catch (err) {
+    console.error('Stage conversion error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ─── Media Buyer Pivot ──────────────────────────────────────────────────────
 // POST /api/deep-analysis/pivot
 // Body: { rows: [...], cols: [...optional], measures: [...], filters: { from, to, platform, country, device, source } }
@@ -482,6 +671,11 @@ router.get('/heatmap', authenticateToken, (req, res) => {
 // Allowed measures:   visits, step1_debt, step2_mca_yes, step2_mca_no, leads,
 //                     debt_to_visit_pct, mca_yes_to_debt_pct, lead_to_visit_pct,
 //                     lead_to_mca_yes_pct, total_debt_amount
+// Engagement measures (from visitor_sessions; rates use engaged_visits — visitors
+// the beacon has reported on — as the base, so older visitors don't dilute them):
+//                     engaged_visits, sessions, avg_time_on_page_sec, avg_scroll_depth_pct,
+//                     form_starts, form_start_rate_pct, form_abandons, form_abandon_rate_pct,
+//                     phone_clicks
 
 const DIMENSION_EXPR = {
   source:        `COALESCE(NULLIF(LOWER(v.utm_source), ''), 'direct/unknown')`,
@@ -512,7 +706,7 @@ const DIMENSION_EXPR = {
                   END`
 };
 
-router.post('/pivot', authenticateToken, (req, res) => {
+router.post('/pivot', requirePermission('analytics', 'read'), (req, res) => {
   try {
     const { rows = [], cols = [], measures = ['visits', 'step1_debt', 'step2_mca_yes', 'step2_mca_no', 'leads'], filters = {} } = req.body || {};
     const allDims = [...rows, ...cols].filter(Boolean);
@@ -550,8 +744,20 @@ router.post('/pivot', authenticateToken, (req, res) => {
                 CAST(REPLACE(REPLACE(REPLACE(l.debt_amount, '$', ''), ',', ''), '+', '') AS REAL)
               ELSE CAST(l.debt_amount AS REAL)
             END
-          ) FROM leads l WHERE l.eli_clickid = v.eli_clickid) AS lead_debt
+          ) FROM leads l WHERE l.eli_clickid = v.eli_clickid) AS lead_debt,
+          es.sessions, es.engaged_ms, es.max_scroll_pct, es.form_started, es.form_abandoned, es.phone_clicks
         FROM visitors v
+        LEFT JOIN (
+          SELECT eli_clickid,
+            COUNT(*) AS sessions,
+            SUM(engaged_ms) AS engaged_ms,
+            MAX(max_scroll_pct) AS max_scroll_pct,
+            MAX(CASE WHEN form_started_at IS NOT NULL THEN 1 ELSE 0 END) AS form_started,
+            MAX(CASE WHEN form_abandoned_at IS NOT NULL THEN 1 ELSE 0 END) AS form_abandoned,
+            SUM(phone_clicks) AS phone_clicks
+          FROM visitor_sessions
+          GROUP BY eli_clickid
+        ) es ON es.eli_clickid = v.eli_clickid
         ${whereSql}
       )
       SELECT
@@ -561,7 +767,14 @@ router.post('/pivot', authenticateToken, (req, res) => {
         SUM(CASE WHEN step2_mca_value = 'Yes' THEN 1 ELSE 0 END) AS step2_mca_yes,
         SUM(CASE WHEN step2_mca_value = 'No'  THEN 1 ELSE 0 END) AS step2_mca_no,
         SUM(CASE WHEN converted = 1 THEN 1 ELSE 0 END) AS leads,
-        ROUND(COALESCE(SUM(lead_debt), 0)) AS total_debt_amount
+        ROUND(COALESCE(SUM(lead_debt), 0)) AS total_debt_amount,
+        SUM(CASE WHEN sessions > 0 THEN 1 ELSE 0 END) AS engaged_visits,
+        COALESCE(SUM(sessions), 0) AS sessions,
+        COALESCE(SUM(engaged_ms), 0) AS engaged_ms,
+        COALESCE(SUM(max_scroll_pct), 0) AS scroll_pct_total,
+        COALESCE(SUM(form_started), 0) AS form_starts,
+        SUM(CASE WHEN form_abandoned = 1 AND converted != 1 THEN 1 ELSE 0 END) AS form_abandons,
+        COALESCE(SUM(phone_clicks), 0) AS phone_clicks
       FROM base
       GROUP BY ${dimGroup}
       ORDER BY visits DESC
@@ -575,6 +788,10 @@ router.post('/pivot', authenticateToken, (req, res) => {
       const step1 = r.step1_debt || 0;
       const yes = r.step2_mca_yes || 0;
       const leads = r.leads || 0;
+      const engaged = r.engaged_visits || 0;
+      const sessions = r.sessions || 0;
+      const formStarts = r.form_starts || 0;
+      const formAbandons = r.form_abandons || 0;
       return {
         ...dimValues,
         visits,
@@ -586,7 +803,16 @@ router.post('/pivot', authenticateToken, (req, res) => {
         debt_to_visit_pct: visits ? +(step1 / visits * 100).toFixed(1) : 0,
         mca_yes_to_debt_pct: step1 ? +(yes / step1 * 100).toFixed(1) : 0,
         lead_to_visit_pct: visits ? +(leads / visits * 100).toFixed(2) : 0,
-        lead_to_mca_yes_pct: yes ? +(leads / yes * 100).toFixed(1) : 0
+        lead_to_mca_yes_pct: yes ? +(leads / yes * 100).toFixed(1) : 0,
+        engaged_visits: engaged,
+        sessions,
+        avg_time_on_page_sec: sessions ? +((r.engaged_ms || 0) / sessions / 1000).toFixed(1) : 0,
+        avg_scroll_depth_pct: engaged ? +((r.scroll_pct_total || 0) / engaged).toFixed(1) : 0,
+        form_starts: formStarts,
+        form_start_rate_pct: engaged ? +(formStarts / engaged * 100).toFixed(1) : 0,
+        form_abandons: formAbandons,
+        form_abandon_rate_pct: formStarts ? +(formAbandons / formStarts * 100).toFixed(1) : 0,
+        phone_clicks: r.phone_clicks || 0
       };
     });
 
@@ -1540,7 +1766,7 @@ const SEG_TYPES = new Set(['age', 'gender', 'income', 'parental', 'device', 'hou
 
 // Cache-only pivot. Reads from gads_ad_group_meta + gads_segments only — no
 // live Google Ads calls. Run "Sync All Time" first to fill the cache.
-router.post('/google-pivot', authenticateToken, (req, res) => {
+router.post('/google-pivot', requirePermission('analytics', 'read'), (req, res) => {
   try {
     const {
       dimensions = ['campaign'],
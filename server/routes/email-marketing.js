@@ -1,7 +1,13 @@
 const express = require('express');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
-const { createTransporter, getSmtpConfig } = require('../lib/smtp');
+const { createTransporter, getSmtpConfig, encrypt } = require('../lib/smtp');
+const bounces = require('../lib/bounces');
+const permissions = require('../lib/permissions');
+const sendTime = require('../lib/send-time');
+const emailBlocks = require('../lib/email-blocks');
+const subscriptions = require('../lib/subscriptions');
+const { getConfiguredTimezone, zonedTimeToUtc, toSqliteUtc } = require('../lib/timezone');
 
 const router = express.Router();
 
@@ -42,11 +48,16 @@ function resolveVariables(text, lead, extras = {}) {
     ...extras
   };
 
-  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+  // {{#if field ...}} sections (from conditional blocks) can test any lead column too
+  const lookup = key => (vars[key] !== undefined ? vars[key] : lead[key]);
+  return emailBlocks.renderConditionals(text, lookup).replace(/\{\{(\w+)\}\}/g, (match, key) => {
     return vars[key] !== undefined ? vars[key] : match;
   });
 }
 
+// Lead fields offered for conditional blocks, beyond the template variables
+const CONDITION_FIELDS = ['lead_score', 'lead_score_tier', 'industry', 'pipeline_stage_id', 'assigned_to', 'email_unsubscribed'];
+
 // ============ SEGMENT QUERY BUILDER ============
 
 function buildSegmentQuery(filterCriteria) {
@@ -62,8 +73,8 @@ function buildSegmentQuery(filterCriteria) {
   const conditions = [];
   const params = [];
 
-  // Always exclude unsubscribed and leads without email
-  const baseWhere = "l.email IS NOT NULL AND l.email != '' AND COALESCE(l.email_unsubscribed, 0) = 0";
+  // Always exclude unsubscribed, suppressed (bounced/complained) and leads without email
+  const baseWhere = "l.email IS NOT NULL AND l.email != '' AND COALESCE(l.email_unsubscribed, 0) = 0 AND COALESCE(l.email_suppressed, 0) = 0";
 
   for (const f of filters) {
     const { field, operator, value } = f;
@@ -171,6 +182,29 @@ function buildSegmentQuery(filterCriteria) {
         conditions.push("l.email IS NOT NULL AND l.email != ''");
         break;
       }
+      case 'lead_score': {
+        if (operator === 'gte') {
+          conditions.push('l.lead_score >= ?');
+          params.push(parseInt(value) || 0);
+        } else if (operator === 'lte') {
+          conditions.push('l.lead_score <= ?');
+          params.push(parseInt(value) || 0);
+        } else if (operator === 'between' && Array.isArray(value) && value.length === 2) {
+          conditions.push('l.lead_score BETWEEN ? AND ?');
+          params.push(parseInt(value[0]) || 0, parseInt(value[1]) || 0);
+        }
+        break;
+      }
+      case 'lead_score_tier': {
+        if (operator === 'equals') {
+          conditions.push('l.lead_score_tier = ?');
+          params.push(value);
+        } else if (operator === 'in' && Array.isArray(value)) {
+          conditions.push(`l.lead_score_tier IN (${value.map(() => '?').join(',')})`);
+          params.push(...value);
+        }
+        break;
+      }
     }
   }
 
@@ -187,7 +221,7 @@ function getSegmentLeadQuery(filterCriteria) {
   return {
     sql: `
       SELECT l.id, l.first_name, l.last_name, l.company_name, l.email, l.phone, l.debt_amount,
-             l.stage, l.created_at, lp.name as landing_page_name, lp.platform
+             l.stage, l.lead_score, l.lead_score_tier, l.created_at, lp.name as landing_page_name, lp.platform
       FROM leads l
       LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
       LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
@@ -211,34 +245,112 @@ router.get('/templates/variables', authenticateToken, (req, res) => {
   res.json(AVAILABLE_VARIABLES);
 });
 
+// GET /templates/editor — what the block editor offers
+router.get('/templates/editor', authenticateToken, (req, res) => {
+  res.json({
+    block_types: emailBlocks.BLOCK_TYPES,
+    condition_operators: emailBlocks.CONDITION_OPERATORS,
+    condition_fields: [...AVAILABLE_VARIABLES.map(v => v.name).filter(n => !['unsubscribe_url', 'current_year'].includes(n)), ...CONDITION_FIELDS],
+    default_settings: emailBlocks.DEFAULT_SETTINGS,
+    preview_widths: { desktop: 700, mobile: 375 }
+  });
+});
+
+// GET /templates/brand — shared header/footer rows for block templates
+router.get('/templates/brand', authenticateToken, (req, res) => {
+  res.json(emailBlocks.getBrand());
+});
+
+// PUT /templates/brand — saves and re-renders every block template that uses them
+router.put('/templates/brand', authenticateToken, (req, res) => {
+  const { header = [], footer = [] } = req.body || {};
+  const error = emailBlocks.validateRows(header, 'header') || emailBlocks.validateRows(footer, 'footer');
+  if (error) return res.status(400).json({ error });
+
+  const upsert = db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)');
+  const recompiled = db.transaction(() => {
+    upsert.run('email_brand_header', JSON.stringify(header));
+    upsert.run('email_brand_footer', JSON.stringify(footer));
+    return emailBlocks.recompileTemplates();
+  })();
+  res.json({ ...emailBlocks.getBrand(), recompiled });
+});
+
+function withBlocks(template) {
+  if (template) template.blocks = emailBlocks.parseDocument(template.blocks);
+  return template;
+}
+
+// Block templates: validate the document and compile html_body/text_body from it.
+// Returns { error } or { blocks, html_body, text_body }.
+function compileBlocks(raw) {
+  const doc = emailBlocks.parseDocument(raw);
+  const error = emailBlocks.validateDocument(doc);
+  if (error) return { error };
+  return { blocks: JSON.stringify(doc), ...emailBlocks.renderDocument(doc) };
+}
+
+const SAMPLE_LEAD = {
+  first_name: 'John', last_name: 'Smith', full_name: 'John Smith', company_name: 'Acme Corp', email: 'john@acme.com',
+  phone: '(555) 123-4567', debt_amount: '$150,000', stage: 'qualified',
+  landing_page_name: 'Business Debt Relief', platform: 'google'
+};
+
+function previewLead(leadId) {
+  const lead = leadId && db.prepare(`
+    SELECT l.*, lp.name as landing_page_name, lp.platform
+    FROM leads l LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+    WHERE l.id = ?
+  `).get(leadId);
+  return lead || { ...SAMPLE_LEAD, created_at: new Date().toISOString() };
+}
+
+function renderPreview(template, lead) {
+  const html_body = resolveVariables(template.html_body, lead, { unsubscribe_url: '#' });
+  return {
+    subject: resolveVariables(template.subject, lead),
+    html_body,
+    text_body: template.text_body ? resolveVariables(template.text_body, lead, { unsubscribe_url: '#' }) : emailBlocks.htmlToText(html_body.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')),
+    widths: { desktop: 700, mobile: 375 }
+  };
+}
+
 router.get('/templates', authenticateToken, (req, res) => {
   const templates = db.prepare('SELECT * FROM email_templates ORDER BY created_at DESC').all();
-  res.json(templates);
+  res.json(templates.map(withBlocks));
 });
 
 router.get('/templates/:id', authenticateToken, (req, res) => {
   const template = db.prepare('SELECT * FROM email_templates WHERE id = ?').get(req.params.id);
   if (!template) return res.status(404).json({ error: 'Template not found' });
-  res.json(template);
+  res.json(withBlocks(template));
 });
 
 router.post('/templates', authenticateToken, (req, res) => {
-  const { name, subject, html_body, text_body } = req.body;
+  const { name, subject, blocks } = req.body;
+  let { html_body, text_body } = req.body;
+  let blocksJson = null;
+
+  if (blocks) {
+    const compiled = compileBlocks(blocks);
+    if (compiled.error) return res.status(400).json({ error: compiled.error });
+    ({ html_body, text_body, blocks: blocksJson } = compiled);
+  }
   if (!name || !subject || !html_body) {
-    return res.status(400).json({ error: 'Name, subject, and html_body are required' });
+    return res.status(400).json({ error: 'Name, subject, and html_body (or blocks) are required' });
   }
 
   const result = db.prepare(`
-    INSERT INTO email_templates (name, subject, html_body, text_body, created_by_id, created_by_name)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `).run(name, subject, html_body, text_body || null, req.user.id, req.user.name || req.user.email);
+    INSERT INTO email_templates (name, subject, html_body, text_body, blocks, is_active, created_by_id, created_by_name)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(name, subject, html_body, text_body || null, blocksJson, req.body.is_active === false ? 0 : 1, req.user.id, req.user.name || req.user.email);
 
   const template = db.prepare('SELECT * FROM email_templates WHERE id = ?').get(result.lastInsertRowid);
-  res.json(template);
+  res.json(withBlocks(template));
 });
 
 router.put('/templates/:id', authenticateToken, (req, res) => {
-  const { name, subject, html_body, text_body, is_active } = req.body;
+  const { name, subject, html_body, text_body, is_active, blocks } = req.body;
 
   const template = db.prepare('SELECT * FROM email_templates WHERE id = ?').get(req.params.id);
   if (!template) return res.status(404).json({ error: 'Template not found' });
@@ -248,8 +360,18 @@ router.put('/templates/:id', authenticateToken, (req, res) => {
 
   if (name !== undefined) { fields.push('name = ?'); params.push(name); }
   if (subject !== undefined) { fields.push('subject = ?'); params.push(subject); }
-  if (html_body !== undefined) { fields.push('html_body = ?'); params.push(html_body); }
-  if (text_body !== undefined) { fields.push('text_body = ?'); params.push(text_body); }
+  if (blocks) {
+    // The compiled HTML/text replace whatever was sent alongside
+    const compiled = compileBlocks(blocks);
+    if (compiled.error) return res.status(400).json({ error: compiled.error });
+    fields.push('blocks = ?', 'html_body = ?', 'text_body = ?');
+    params.push(compiled.blocks, compiled.html_body, compiled.text_body);
+  } else {
+    // blocks: null switches the template back to hand-written HTML
+    if (blocks === null) fields.push('blocks = NULL');
+    if (html_body !== undefined) { fields.push('html_body = ?'); params.push(html_body); }
+    if (text_body !== undefined) { fields.push('text_body = ?'); params.push(text_body); }
+  }
   if (is_active !== undefined) { fields.push('is_active = ?'); params.push(is_active ? 1 : 0); }
   fields.push('updated_at = CURRENT_TIMESTAMP');
 
@@ -257,7 +379,7 @@ router.put('/templates/:id', authenticateToken, (req, res) => {
   db.prepare(`UPDATE email_templates SET ${fields.join(', ')} WHERE id = ?`).run(...params);
 
   const updated = db.prepare('SELECT * FROM email_templates WHERE id = ?').get(req.params.id);
-  res.json(updated);
+  res.json(withBlocks(updated));
 });
 
 router.delete('/templates/:id', authenticateToken, (req, res) => {
@@ -269,38 +391,34 @@ router.delete('/templates/:id', authenticateToken, (req, res) => {
   if (inUse) {
     return res.status(400).json({ error: 'Template is in use by active campaigns' });
   }
+  const inVariant = db.prepare('SELECT id FROM email_campaign_variants WHERE template_id = ? LIMIT 1').get(req.params.id);
+  if (inVariant) {
+    return res.status(400).json({ error: 'Template is used by an A/B test variant' });
+  }
 
   db.prepare('DELETE FROM email_templates WHERE id = ?').run(req.params.id);
   res.json({ message: 'Template deleted' });
 });
 
-// POST /templates/:id/preview — render with real lead data
+// POST /templates/preview — render an unsaved template ({ subject, blocks | html_body, lead_id })
+router.post('/templates/preview', authenticateToken, (req, res) => {
+  const { subject = '', blocks, html_body, lead_id } = req.body || {};
+  let template = { subject, html_body: html_body || '', text_body: null };
+  if (blocks) {
+    const compiled = compileBlocks(blocks);
+    if (compiled.error) return res.status(400).json({ error: compiled.error });
+    template = { subject, html_body: compiled.html_body, text_body: compiled.text_body };
+  }
+  res.json(renderPreview(template, previewLead(lead_id)));
+});
+
+// POST /templates/:id/preview — render with real lead data (or a sample lead);
+// the admin shows html_body at the desktop and mobile widths
 router.post('/templates/:id/preview', authenticateToken, (req, res) => {
   const template = db.prepare('SELECT * FROM email_templates WHERE id = ?').get(req.params.id);
   if (!template) return res.status(404).json({ error: 'Template not found' });
 
-  const { lead_id } = req.body;
-  let lead;
-  if (lead_id) {
-    lead = db.prepare(`
-      SELECT l.*, lp.name as landing_page_name, lp.platform
-      FROM leads l LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
-      WHERE l.id = ?
-    `).get(lead_id);
-  }
-  if (!lead) {
-    // Use sample data
-    lead = {
-      first_name: 'John', last_name: 'Smith', full_name: 'John Smith', company_name: 'Acme Corp', email: 'john@acme.com',
-      phone: '(555) 123-4567', debt_amount: '$150,000', stage: 'qualified',
-      created_at: new Date().toISOString(), landing_page_name: 'Business Debt Relief', platform: 'google'
-    };
-  }
-
-  const subject = resolveVariables(template.subject, lead);
-  const html_body = resolveVariables(template.html_body, lead);
-
-  res.json({ subject, html_body });
+  res.json(renderPreview(template, previewLead(req.body && req.body.lead_id)));
 });
 
 // POST /templates/:id/send-test — send test email
@@ -326,6 +444,7 @@ router.post('/templates/:id/send-test', authenticateToken, async (req, res) => {
 
   const subject = resolveVariables(template.subject, lead);
   const html_body = resolveVariables(template.html_body, lead);
+  const text_body = template.text_body ? resolveVariables(template.text_body, lead) : undefined;
 
   try {
     const from = fromName ? `${fromName.value} <${smtpConfig.smtp_from || smtpConfig.smtp_user}>` : (smtpConfig.smtp_from || smtpConfig.smtp_user);
@@ -333,7 +452,8 @@ router.post('/templates/:id/send-test', authenticateToken, async (req, res) => {
       from,
       to: to_email,
       subject: '[TEST] ' + subject,
-      html: html_body
+      html: html_body,
+      text: text_body
     });
     res.json({ message: 'Test email sent' });
   } catch (err) {
@@ -450,12 +570,144 @@ router.post('/segments/preview-count', authenticateToken, (req, res) => {
 
 // ============ CAMPAIGNS CRUD ============
 
+const AB_WINNER_METRICS = ['open_rate', 'click_rate', 'conversion_rate'];
+const AB_MAX_VARIANTS = 5;
+const AB_DEFAULTS = { test_percent: 20, wait_hours: 4, winner_metric: 'open_rate' };
+// Conversions count toward a variant when they land within this many days of the send
+const AB_CONVERSION_WINDOW_DAYS = 30;
+
+// Validate the variants/A-B fields of a campaign body. Returns { error } or
+// { variants, fields } where variants is null when the body didn't include them.
+function parseAbTest(body) {
+  const fields = {};
+  if (body.ab_test_percent !== undefined) {
+    const pct = parseInt(body.ab_test_percent);
+    if (!(pct >= 1 && pct <= 100)) return { error: 'ab_test_percent must be between 1 and 100' };
+    fields.ab_test_percent = pct;
+  }
+  if (body.ab_wait_hours !== undefined) {
+    const hours = parseInt(body.ab_wait_hours);
+    if (!(hours >= 1 && hours <= 168)) return { error: 'ab_wait_hours must be between 1 and 168' };
+    fields.ab_wait_hours = hours;
+  }
+  if (body.ab_winner_metric !== undefined) {
+    if (!AB_WINNER_METRICS.includes(body.ab_winner_metric)) {
+      return { error: `ab_winner_metric must be one of: ${AB_WINNER_METRICS.join(', ')}` };
+    }
+    fields.ab_winner_metric = body.ab_winner_metric;
+  }
+  if (body.ab_conversion_action !== undefined) fields.ab_conversion_action = String(body.ab_conversion_action || '').trim() || null;
+
+  if (body.variants === undefined) return { variants: null, fields };
+  if (!Array.isArray(body.variants)) return { error: 'variants must be an array' };
+  if (body.variants.length === 1) return { error: 'An A/B test needs at least 2 variants' };
+  if (body.variants.length > AB_MAX_VARIANTS) return { error: `At most ${AB_MAX_VARIANTS} variants are allowed` };
+
+  const variants = [];
+  for (const v of body.variants) {
+    const subject = String((v && v.subject) || '').trim() || null;
+    const templateId = v && v.template_id ? parseInt(v.template_id) : null;
+    if (!subject && !templateId) return { error: 'Each variant needs a subject or a template' };
+    if (templateId && !db.prepare('SELECT id FROM email_templates WHERE id = ?').get(templateId)) {
+      return { error: `Template ${v.template_id} not found` };
+    }
+    variants.push({ subject, template_id: templateId });
+  }
+  return { variants, fields };
+}
+
+// Variants are labelled A, B, C... in the order given
+function replaceCampaignVariants(campaignId, variants) {
+  db.prepare('DELETE FROM email_campaign_variants WHERE campaign_id = ?').run(campaignId);
+  const insert = db.prepare('INSERT INTO email_campaign_variants (campaign_id, label, subject, template_id) VALUES (?, ?, ?, ?)');
+  variants.forEach((v, i) => insert.run(campaignId, String.fromCharCode(65 + i), v.subject, v.template_id));
+}
+
+function getCampaignVariants(campaignId) {
+  return db.prepare(`
+    SELECT v.*, t.name AS template_name
+    FROM email_campaign_variants v
+    LEFT JOIN email_templates t ON t.id = v.template_id
+    WHERE v.campaign_id = ?
+    ORDER BY v.label ASC
+  `).all(campaignId);
+}
+
+/**
+ * Per-variant delivery and engagement for a campaign. Opens and clicks are
+ * unique recipients; conversions are recipients with a conversion_event
+ * (optionally only the campaign's ab_conversion_action) within
+ * AB_CONVERSION_WINDOW_DAYS of their send. Rates are fractions of sent.
+ */
+function getVariantStats(campaign) {
+  const variants = getCampaignVariants(campaign.id);
+  if (variants.length === 0) return [];
+  const action = campaign.ab_conversion_action || null;
+
+  const rows = db.prepare(`
+    SELECT q.variant_id,
+           COUNT(*) AS recipients,
+           SUM(CASE WHEN q.sent_at IS NOT NULL THEN 1 ELSE 0 END) AS sent,
+           SUM(CASE WHEN q.opened_at IS NOT NULL THEN 1 ELSE 0 END) AS opens,
+           SUM(CASE WHEN q.clicked_at IS NOT NULL THEN 1 ELSE 0 END) AS clicks,
+           SUM(CASE WHEN q.status = 'bounced' THEN 1 ELSE 0 END) AS bounces,
+           SUM(CASE WHEN EXISTS (
+             SELECT 1 FROM email_unsubscribes u WHERE u.campaign_id = q.campaign_id AND u.lead_id = q.lead_id
+           ) THEN 1 ELSE 0 END) AS unsubscribes,
+           SUM(CASE WHEN q.sent_at IS NOT NULL AND EXISTS (
+             SELECT 1 FROM conversion_events ce
+             WHERE ce.lead_id = q.lead_id
+               AND ce.created_at >= q.sent_at
+               AND ce.created_at <= datetime(q.sent_at, '+${AB_CONVERSION_WINDOW_DAYS} days')
+               AND (? IS NULL OR ce.conversion_action_name = ?)
+           ) THEN 1 ELSE 0 END) AS conversions
+    FROM email_queue q
+    WHERE q.campaign_id = ? AND q.variant_id IS NOT NULL
+    GROUP BY q.variant_id
+  `).all(action, action, campaign.id);
+  const byVariant = Object.fromEntries(rows.map(r => [r.variant_id, r]));
+
+  return variants.map(v => {
+    const r = byVariant[v.id] || { recipients: 0, sent: 0, opens: 0, clicks: 0, bounces: 0, unsubscribes: 0, conversions: 0 };
+    const rate = n => (r.sent > 0 ? n / r.sent : 0);
+    return {
+      id: v.id,
+      label: v.label,
+      subject: v.subject,
+      template_id: v.template_id,
+      template_name: v.template_name,
+      is_winner: !!v.is_winner,
+      recipients: r.recipients,
+      sent: r.sent,
+      opens: r.opens,
+      clicks: r.clicks,
+      bounces: r.bounces,
+      unsubscribes: r.unsubscribes,
+      conversions: r.conversions,
+      open_rate: rate(r.opens),
+      click_rate: rate(r.clicks),
+      unsubscribe_rate: rate(r.unsubscribes),
+      conversion_rate: rate(r.conversions)
+    };
+  });
+}
+
+// Campaign topic_id from a request body: {} when absent, { topic_id } (null
+// clears it) or { error }
+function parseTopicId(value) {
+  if (value === undefined) return {};
+  if (value === null || value === '') return { topic_id: null };
+  const topic = subscriptions.getTopic(parseInt(value));
+  return topic ? { topic_id: topic.id } : { error: 'Topic not found' };
+}
+
 router.get('/campaigns', authenticateToken, (req, res) => {
   const campaigns = db.prepare(`
-    SELECT c.*, t.name as template_name, s.name as segment_name
+    SELECT c.*, t.name as template_name, s.name as segment_name, tp.name as topic_name
     FROM email_campaigns c
     LEFT JOIN email_templates t ON c.template_id = t.id
     LEFT JOIN email_segments s ON c.segment_id = s.id
+    LEFT JOIN email_topics tp ON c.topic_id = tp.id
     ORDER BY c.created_at DESC
   `).all();
   res.json(campaigns);
@@ -463,13 +715,15 @@ router.get('/campaigns', authenticateToken, (req, res) => {
 
 router.get('/campaigns/:id', authenticateToken, (req, res) => {
   const campaign = db.prepare(`
-    SELECT c.*, t.name as template_name, s.name as segment_name
+    SELECT c.*, t.name as template_name, s.name as segment_name, tp.name as topic_name
     FROM email_campaigns c
     LEFT JOIN email_templates t ON c.template_id = t.id
     LEFT JOIN email_segments s ON c.segment_id = s.id
+    LEFT JOIN email_topics tp ON c.topic_id = tp.id
     WHERE c.id = ?
   `).get(req.params.id);
   if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+  campaign.variants = getCampaignVariants(campaign.id);
   res.json(campaign);
 });
 
@@ -482,12 +736,36 @@ router.post('/campaigns', authenticateToken, (req, res) => {
   const template = db.prepare('SELECT id FROM email_templates WHERE id = ?').get(template_id);
   if (!template) return res.status(400).json({ error: 'Template not found' });
 
-  const result = db.prepare(`
-    INSERT INTO email_campaigns (name, template_id, segment_id, subject_override, created_by_id, created_by_name)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `).run(name, template_id, segment_id || null, subject_override || null, req.user.id, req.user.name || req.user.email);
+  const sendTimeMode = req.body.send_time_mode || 'immediate';
+  if (!sendTime.SEND_TIME_MODES.includes(sendTimeMode)) {
+    return res.status(400).json({ error: `send_time_mode must be one of: ${sendTime.SEND_TIME_MODES.join(', ')}` });
+  }
 
-  const campaign = db.prepare('SELECT * FROM email_campaigns WHERE id = ?').get(result.lastInsertRowid);
+  const topic = parseTopicId(req.body.topic_id);
+  if (topic.error) return res.status(400).json({ error: topic.error });
+
+  const ab = parseAbTest(req.body);
+  if (ab.error) return res.status(400).json({ error: ab.error });
+  const hasTest = ab.variants && ab.variants.length > 0;
+
+  const campaignId = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO email_campaigns (name, template_id, segment_id, subject_override, send_time_mode, topic_id, created_by_id, created_by_name,
+        ab_test_percent, ab_wait_hours, ab_winner_metric, ab_conversion_action)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      name, template_id, segment_id || null, subject_override || null, sendTimeMode, topic.topic_id || null, req.user.id, req.user.name || req.user.email,
+      hasTest ? ab.fields.ab_test_percent || AB_DEFAULTS.test_percent : null,
+      hasTest ? ab.fields.ab_wait_hours || AB_DEFAULTS.wait_hours : null,
+      hasTest ? ab.fields.ab_winner_metric || AB_DEFAULTS.winner_metric : null,
+      hasTest ? ab.fields.ab_conversion_action || null : null
+    );
+    if (hasTest) replaceCampaignVariants(result.lastInsertRowid, ab.variants);
+    return result.lastInsertRowid;
+  })();
+
+  const campaign = db.prepare('SELECT * FROM email_campaigns WHERE id = ?').get(campaignId);
+  campaign.variants = getCampaignVariants(campaignId);
   res.json(campaign);
 });
 
@@ -506,12 +784,44 @@ router.put('/campaigns/:id', authenticateToken, (req, res) => {
   if (template_id !== undefined) { fields.push('template_id = ?'); params.push(template_id); }
   if (segment_id !== undefined) { fields.push('segment_id = ?'); params.push(segment_id || null); }
   if (subject_override !== undefined) { fields.push('subject_override = ?'); params.push(subject_override || null); }
+  if (req.body.send_time_mode !== undefined) {
+    if (!sendTime.SEND_TIME_MODES.includes(req.body.send_time_mode)) {
+      return res.status(400).json({ error: `send_time_mode must be one of: ${sendTime.SEND_TIME_MODES.join(', ')}` });
+    }
+    fields.push('send_time_mode = ?'); params.push(req.body.send_time_mode);
+  }
+  const topic = parseTopicId(req.body.topic_id);
+  if (topic.error) return res.status(400).json({ error: topic.error });
+  if (topic.topic_id !== undefined) { fields.push('topic_id = ?'); params.push(topic.topic_id); }
+
+  const ab = parseAbTest(req.body);
+  if (ab.error) return res.status(400).json({ error: ab.error });
+  const hasTest = ab.variants ? ab.variants.length > 0 : db.prepare('SELECT 1 FROM email_campaign_variants WHERE campaign_id = ?').get(req.params.id);
+  if (hasTest) {
+    const current = { ...AB_DEFAULTS };
+    if (campaign.ab_test_percent) current.test_percent = campaign.ab_test_percent;
+    if (campaign.ab_wait_hours) current.wait_hours = campaign.ab_wait_hours;
+    if (campaign.ab_winner_metric) current.winner_metric = campaign.ab_winner_metric;
+    fields.push('ab_test_percent = ?', 'ab_wait_hours = ?', 'ab_winner_metric = ?');
+    params.push(
+      ab.fields.ab_test_percent || current.test_percent,
+      ab.fields.ab_wait_hours || current.wait_hours,
+      ab.fields.ab_winner_metric || current.winner_metric
+    );
+    if (ab.fields.ab_conversion_action !== undefined) { fields.push('ab_conversion_action = ?'); params.push(ab.fields.ab_conversion_action); }
+  } else {
+    fields.push('ab_test_percent = NULL', 'ab_wait_hours = NULL', 'ab_winner_metric = NULL', 'ab_conversion_action = NULL');
+  }
   fields.push('updated_at = CURRENT_TIMESTAMP');
 
   params.push(req.params.id);
-  db.prepare(`UPDATE email_campaigns SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+  db.transaction(() => {
+    db.prepare(`UPDATE email_campaigns SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+    if (ab.variants) replaceCampaignVariants(req.params.id, ab.variants);
+  })();
 
   const updated = db.prepare('SELECT * FROM email_campaigns WHERE id = ?').get(req.params.id);
+  updated.variants = getCampaignVariants(updated.id);
   res.json(updated);
 });
 
@@ -523,10 +833,22 @@ router.delete('/campaigns/:id', authenticateToken, (req, res) => {
   }
 
   db.prepare('DELETE FROM email_queue WHERE campaign_id = ?').run(req.params.id);
+  db.prepare('DELETE FROM email_campaign_variants WHERE campaign_id = ?').run(req.params.id);
   db.prepare('DELETE FROM email_campaigns WHERE id = ?').run(req.params.id);
   res.json({ message: 'Campaign deleted' });
 });
 
+// A datetime-local value ("2026-03-02T10:00") is a time in the account
+// timezone; anything with an explicit offset is taken as-is. Stored as UTC
+// so the scheduler's comparison against datetime('now') is right.
+function scheduleToUtc(value) {
+  const local = String(value).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2})?$/);
+  const date = local
+    ? zonedTimeToUtc(+local[1], +local[2], +local[3], +local[4], +local[5], getConfiguredTimezone())
+    : new Date(value);
+  return toSqliteUtc(date);
+}
+
 // POST /campaigns/:id/schedule
 router.post('/campaigns/:id/schedule', authenticateToken, (req, res) => {
   const campaign = db.prepare('SELECT * FROM email_campaigns WHERE id = ?').get(req.params.id);
@@ -537,10 +859,12 @@ router.post('/campaigns/:id/schedule', authenticateToken, (req, res) => {
 
   const { scheduled_at } = req.body;
   if (!scheduled_at) return res.status(400).json({ error: 'scheduled_at is required' });
+  const scheduledUtc = scheduleToUtc(scheduled_at);
+  if (!scheduledUtc) return res.status(400).json({ error: 'scheduled_at must be a date and time' });
 
   db.prepare(`
     UPDATE email_campaigns SET status = 'scheduled', scheduled_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-  `).run(scheduled_at, req.params.id);
+  `).run(scheduledUtc, req.params.id);
 
   res.json({ message: 'Campaign scheduled' });
 });
@@ -599,12 +923,31 @@ router.post('/campaigns/:id/cancel', authenticateToken, (req, res) => {
   res.json({ message: 'Campaign cancelled' });
 });
 
+// POST /campaigns/:id/ab-winner — decide a running A/B test now instead of waiting out ab_wait_hours
+router.post('/campaigns/:id/ab-winner', authenticateToken, (req, res) => {
+  const campaign = db.prepare('SELECT * FROM email_campaigns WHERE id = ?').get(req.params.id);
+  if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+  if (campaign.status !== 'sending' || campaign.ab_status !== 'testing') {
+    return res.status(400).json({ error: 'Campaign has no A/B test waiting for a winner' });
+  }
+  const pending = db.prepare(`SELECT COUNT(*) AS n FROM email_queue WHERE campaign_id = ? AND status IN ('queued', 'sending')`).get(campaign.id).n;
+  if (pending > 0) return res.status(400).json({ error: `${pending} test email(s) have not been sent yet` });
+
+  // Required here rather than at the top: email-worker requires this module
+  const { sendAbWinner } = require('../email-worker');
+  const enqueued = sendAbWinner(campaign.id);
+  const updated = db.prepare('SELECT ab_winner_variant_id FROM email_campaigns WHERE id = ?').get(campaign.id);
+  res.json({ message: 'Winner selected', winner_variant_id: updated.ab_winner_variant_id, enqueued });
+});
+
 // GET /campaigns/:id/stats
 router.get('/campaigns/:id/stats', authenticateToken, (req, res) => {
   const campaign = db.prepare('SELECT * FROM email_campaigns WHERE id = ?').get(req.params.id);
   if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
 
   const stats = {
+    name: campaign.name,
+    status: campaign.status,
     total_recipients: campaign.total_recipients,
     sent_count: campaign.sent_count,
     failed_count: campaign.failed_count,
@@ -612,11 +955,37 @@ router.get('/campaigns/:id/stats', authenticateToken, (req, res) => {
     click_count: campaign.click_count,
     unsubscribe_count: campaign.unsubscribe_count,
     bounce_count: campaign.bounce_count,
+    complaint_count: campaign.complaint_count || 0,
+    bounce_rate: campaign.sent_count > 0 ? ((campaign.bounce_count / campaign.sent_count) * 100).toFixed(1) : '0.0',
+    complaint_rate: campaign.sent_count > 0 ? (((campaign.complaint_count || 0) / campaign.sent_count) * 100).toFixed(2) : '0.00',
     open_rate: campaign.sent_count > 0 ? ((campaign.open_count / campaign.sent_count) * 100).toFixed(1) : '0.0',
     click_rate: campaign.sent_count > 0 ? ((campaign.click_count / campaign.sent_count) * 100).toFixed(1) : '0.0',
-    unsubscribe_rate: campaign.sent_count > 0 ? ((campaign.unsubscribe_count / campaign.sent_count) * 100).toFixed(1) : '0.0'
+    unsubscribe_rate: campaign.sent_count > 0 ? ((campaign.unsubscribe_count / campaign.sent_count) * 100).toFixed(1) : '0.0',
+    send_time_mode: campaign.send_time_mode || 'immediate'
   };
 
+  // Emails held for the recipient's local send time, quiet hours or a domain cap
+  const held = db.prepare(`
+    SELECT COUNT(*) AS n, MIN(send_after) AS next_at FROM email_queue
+    WHERE campaign_id = ? AND status = 'queued' AND send_after > datetime('now')
+  `).get(campaign.id);
+  stats.deferred_count = held.n;
+  stats.next_send_at = held.next_at;
+
+  const variants = getVariantStats(campaign);
+  if (variants.length > 0) {
+    stats.ab_test = {
+      status: campaign.ab_status || 'pending',
+      test_percent: campaign.ab_test_percent,
+      wait_hours: campaign.ab_wait_hours,
+      winner_metric: campaign.ab_winner_metric,
+      conversion_action: campaign.ab_conversion_action,
+      decide_at: campaign.ab_decide_at,
+      winner_variant_id: campaign.ab_winner_variant_id
+    };
+    stats.variants = variants;
+  }
+
   res.json(stats);
 });
 
@@ -629,8 +998,11 @@ router.get('/campaigns/:id/recipients', authenticateToken, (req, res) => {
   const total = db.prepare('SELECT COUNT(*) as total FROM email_queue WHERE campaign_id = ?').get(req.params.id).total;
   const recipients = db.prepare(`
     SELECT eq.id, eq.to_email, eq.to_name, eq.status, eq.error_message,
-           eq.sent_at, eq.opened_at, eq.clicked_at, eq.open_count, eq.click_count
+           eq.sent_at, eq.opened_at, eq.clicked_at, eq.open_count, eq.click_count,
+           eq.bounce_type, eq.bounced_at, eq.complained_at, v.label AS variant_label,
+           eq.send_after, eq.send_timezone
     FROM email_queue eq
+    LEFT JOIN email_campaign_variants v ON v.id = eq.variant_id
     WHERE eq.campaign_id = ?
     ORDER BY eq.id ASC
     LIMIT ? OFFSET ?
@@ -639,8 +1011,552 @@ router.get('/campaigns/:id/recipients', authenticateToken, (req, res) => {
   res.json({ recipients, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
 });
 
+// ============ AUTOMATION FLOWS ============
+
+// Lazy-load to avoid circular dependency (flow-runner requires this module)
+let flowRunner = null;
+setTimeout(() => { try { flowRunner = require('../flow-runner'); } catch (e) {} }, 0);
+
+const FLOW_TRIGGER_TYPES = ['event', 'scheduled', 'segment_entry', 'manual'];
+const FLOW_ACTION_TYPES = ['send_email', 'send_sms', 'wait', 'condition', 'update_lead', 'add_note', 'assign'];
+
+function validateFlowSteps(steps) {
+  if (!Array.isArray(steps)) return 'steps must be an array';
+  for (const step of steps) {
+    if (!FLOW_ACTION_TYPES.includes(step.action_type)) return `Invalid action_type: ${step.action_type}`;
+  }
+  return null;
+}
+
+function replaceFlowSteps(flowId, steps) {
+  db.prepare('DELETE FROM automation_flow_steps WHERE flow_id = ?').run(flowId);
+  const insert = db.prepare('INSERT INTO automation_flow_steps (flow_id, step_order, action_type, action_config) VALUES (?, ?, ?, ?)');
+  steps.forEach((step, i) => {
+    const config = typeof step.action_config === 'string' ? step.action_config : JSON.stringify(step.action_config || {});
+    insert.run(flowId, step.step_order !== undefined ? parseInt(step.step_order) : i + 1, step.action_type, config);
+  });
+}
+
+function getFlowWithSteps(id) {
+  const flow = db.prepare('SELECT * FROM automation_flows WHERE id = ?').get(id);
+  if (!flow) return null;
+  flow.steps = db.prepare('SELECT * FROM automation_flow_steps WHERE flow_id = ? ORDER BY step_order ASC, id ASC').all(id);
+  return flow;
+}
+
+router.get('/flows', authenticateToken, (req, res) => {
+  const flows = db.prepare(`
+    SELECT f.*,
+      (SELECT COUNT(*) FROM automation_flow_steps WHERE flow_id = f.id) as step_count,
+      (SELECT COUNT(*) FROM automation_flow_runs WHERE flow_id = f.id AND status IN ('running', 'waiting')) as active_runs,
+      (SELECT COUNT(*) FROM automation_flow_runs WHERE flow_id = f.id AND status = 'completed') as completed_runs,
+      (SELECT COUNT(*) FROM automation_flow_runs WHERE flow_id = f.id AND status = 'failed') as failed_runs
+    FROM automation_flows f
+    ORDER BY f.created_at DESC
+  `).all();
+  res.json(flows);
+});
+
+router.get('/flows/:id', authenticateToken, (req, res) => {
+  const flow = getFlowWithSteps(req.params.id);
+  if (!flow) return res.status(404).json({ error: 'Flow not found' });
+  res.json(flow);
+});
+
+router.post('/flows', authenticateToken, (req, res) => {
+  const { name, trigger_type, trigger_config, is_active, steps } = req.body;
+  if (!name || !trigger_type) {
+    return res.status(400).json({ error: 'Name and trigger_type are required' });
+  }
+  if (!FLOW_TRIGGER_TYPES.includes(trigger_type)) {
+    return res.status(400).json({ error: 'Invalid trigger_type' });
+  }
+  const stepError = validateFlowSteps(steps || []);
+  if (stepError) return res.status(400).json({ error: stepError });
+
+  const config = typeof trigger_config === 'string' ? trigger_config : JSON.stringify(trigger_config || {});
+  const create = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO automation_flows (name, trigger_type, trigger_config, is_active, created_by_id)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name, trigger_type, config, is_active ? 1 : 0, req.user.id);
+    replaceFlowSteps(result.lastInsertRowid, steps || []);
+    return result.lastInsertRowid;
+  });
+
+  res.json(getFlowWithSteps(create()));
+});
+
+router.put('/flows/:id', authenticateToken, (req, res) => {
+  const flow = db.prepare('SELECT * FROM automation_flows WHERE id = ?').get(req.params.id);
+  if (!flow) return res.status(404).json({ error: 'Flow not found' });
+
+  const { name, trigger_type, trigger_config, is_active, steps } = req.body;
+  if (trigger_type !== undefined && !FLOW_TRIGGER_TYPES.includes(trigger_type)) {
+    return res.status(400).json({ error: 'Invalid trigger_type' });
+  }
+  if (steps !== undefined) {
+    const stepError = validateFlowSteps(steps);
+    if (stepError) return res.status(400).json({ error: stepError });
+    // Runs point at step ids, so steps can only be rebuilt once no run is mid-flight
+    const active = db.prepare(`SELECT COUNT(*) as c FROM automation_flow_runs WHERE flow_id = ? AND status IN ('running', 'waiting')`).get(req.params.id).c;
+    if (active > 0) {
+      return res.status(400).json({ error: `Cannot change steps while ${active} run(s) are active — deactivate and cancel them first` });
+    }
+  }
+
+  const fields = [];
+  const params = [];
+  if (name !== undefined) { fields.push('name = ?'); params.push(name); }
+  if (trigger_type !== undefined) { fields.push('trigger_type = ?'); params.push(trigger_type); }
+  if (trigger_config !== undefined) {
+    fields.push('trigger_config = ?');
+    params.push(typeof trigger_config === 'string' ? trigger_config : JSON.stringify(trigger_config || {}));
+  }
+  if (is_active !== undefined) { fields.push('is_active = ?'); params.push(is_active ? 1 : 0); }
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+  params.push(req.params.id);
+
+  db.transaction(() => {
+    db.prepare(`UPDATE automation_flows SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+    if (steps !== undefined) replaceFlowSteps(req.params.id, steps);
+  })();
+
+  res.json(getFlowWithSteps(req.params.id));
+});
+
+router.delete('/flows/:id', authenticateToken, (req, res) => {
+  const flow = db.prepare('SELECT * FROM automation_flows WHERE id = ?').get(req.params.id);
+  if (!flow) return res.status(404).json({ error: 'Flow not found' });
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM automation_flow_run_logs WHERE run_id IN (SELECT id FROM automation_flow_runs WHERE flow_id = ?)').run(req.params.id);
+    db.prepare('DELETE FROM automation_flow_runs WHERE flow_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM automation_flow_segment_members WHERE flow_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM automation_flow_steps WHERE flow_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM automation_flows WHERE id = ?').run(req.params.id);
+  })();
+  res.json({ message: 'Flow deleted' });
+});
+
+// POST /flows/:id/trigger — start runs for { lead_ids: [...] } or { segment_id }
+router.post('/flows/:id/trigger', authenticateToken, (req, res) => {
+  const flow = db.prepare('SELECT * FROM automation_flows WHERE id = ?').get(req.params.id);
+  if (!flow) return res.status(404).json({ error: 'Flow not found' });
+  if (!flowRunner) return res.status(503).json({ error: 'Flow runner not available' });
+
+  const { lead_ids, segment_id } = req.body;
+  if ((!Array.isArray(lead_ids) || lead_ids.length === 0) && !segment_id) {
+    return res.status(400).json({ error: 'lead_ids or segment_id is required' });
+  }
+
+  const result = flowRunner.triggerFlow(flow.id, { lead_ids, segment_id });
+  res.json({ message: `Started ${result.started} run(s)`, ...result });
+});
+
+// GET /flows/:id/runs — paginated run history
+router.get('/flows/:id/runs', authenticateToken, (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 25;
+  const offset = (page - 1) * limit;
+
+  let where = 'r.flow_id = ?';
+  const params = [req.params.id];
+  if (req.query.status) { where += ' AND r.status = ?'; params.push(req.query.status); }
+
+  const total = db.prepare(`SELECT COUNT(*) as total FROM automation_flow_runs r WHERE ${where}`).get(...params).total;
+  const runs = db.prepare(`
+    SELECT r.*, l.first_name, l.last_name, l.email, l.phone,
+           s.step_order as current_step_order, s.action_type as current_action_type
+    FROM automation_flow_runs r
+    LEFT JOIN leads l ON r.lead_id = l.id
+    LEFT JOIN automation_flow_steps s ON r.current_step_id = s.id
+    WHERE ${where}
+    ORDER BY r.started_at DESC, r.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  res.json({ runs, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+});
+
+// GET /flows/runs/:runId — single run with its step log
+router.get('/flows/runs/:runId', authenticateToken, (req, res) => {
+  const run = db.prepare(`
+    SELECT r.*, f.name as flow_name, l.first_name, l.last_name, l.email, l.phone
+    FROM automation_flow_runs r
+    LEFT JOIN automation_flows f ON r.flow_id = f.id
+    LEFT JOIN leads l ON r.lead_id = l.id
+    WHERE r.id = ?
+  `).get(req.params.runId);
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+
+  run.logs = db.prepare(`
+    SELECT lg.*, s.step_order
+    FROM automation_flow_run_logs lg
+    LEFT JOIN automation_flow_steps s ON lg.step_id = s.id
+    WHERE lg.run_id = ?
+    ORDER BY lg.id ASC
+  `).all(req.params.runId);
+  res.json(run);
+});
+
+// POST /flows/runs/:runId/cancel
+router.post('/flows/runs/:runId/cancel', authenticateToken, (req, res) => {
+  const run = db.prepare('SELECT * FROM automation_flow_runs WHERE id = ?').get(req.params.runId);
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+  if (run.status !== 'running' && run.status !== 'waiting') {
+    return res.status(400).json({ error: 'Only running or waiting runs can be cancelled' });
+  }
+
+  db.prepare(`
+    UPDATE automation_flow_runs SET status = 'cancelled', next_action_at = NULL, completed_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(req.params.runId);
+  res.json({ message: 'Run cancelled' });
+});
+
+// ============ SEND-TIME SETTINGS ============
+
+// GET /send-settings — quiet hours, per-domain daily caps and the default send hour
+router.get('/send-settings', authenticateToken, (req, res) => {
+  res.json({ ...sendTime.getSendSettings(), timezone: getConfiguredTimezone() });
+});
+
+// PUT /send-settings
+router.put('/send-settings', authenticateToken, (req, res) => {
+  const body = req.body || {};
+  const updates = {};
+  const clock = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+  if (body.quiet_hours_enabled !== undefined) updates.email_quiet_hours_enabled = body.quiet_hours_enabled ? '1' : '0';
+  for (const field of ['quiet_hours_start', 'quiet_hours_end']) {
+    if (body[field] === undefined) continue;
+    if (!clock.test(String(body[field]))) return res.status(400).json({ error: `${field} must be HH:MM` });
+    updates[`email_${field}`] = String(body[field]);
+  }
+  if (body.domain_daily_limit !== undefined) {
+    const limit = parseInt(body.domain_daily_limit || 0);
+    if (!(limit >= 0)) return res.status(400).json({ error: 'domain_daily_limit must be 0 or more' });
+    updates.email_domain_daily_limit = String(limit);
+  }
+  if (body.domain_limits !== undefined) {
+    if (!body.domain_limits || typeof body.domain_limits !== 'object' || Array.isArray(body.domain_limits)) {
+      return res.status(400).json({ error: 'domain_limits must be an object of domain: limit' });
+    }
+    const limits = {};
+    for (const [domain, value] of Object.entries(body.domain_limits)) {
+      const key = String(domain).trim().toLowerCase().replace(/^@/, '');
+      const limit = parseInt(value);
+      if (!key || !(limit >= 0)) return res.status(400).json({ error: `Invalid limit for ${domain}` });
+      limits[key] = limit;
+    }
+    updates.email_domain_limits = JSON.stringify(limits);
+  }
+  if (body.default_send_hour !== undefined) {
+    const hour = parseInt(body.default_send_hour);
+    if (!(hour >= 0 && hour <= 23)) return res.status(400).json({ error: 'default_send_hour must be 0-23' });
+    updates.email_default_send_hour = String(hour);
+  }
+
+  const upsert = db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)');
+  db.transaction(() => {
+    for (const [key, value] of Object.entries(updates)) upsert.run(key, value);
+  })();
+  res.json({ ...sendTime.getSendSettings(), timezone: getConfiguredTimezone() });
+});
+
+// ============ BOUNCES & COMPLAINTS ============
+
+const BOUNCE_SOURCES = ['none', 'imap', 'local'];
+const BOUNCE_SETTING_KEYS = {
+  source: 'email_bounce_source',
+  imap_host: 'email_bounce_imap_host',
+  imap_port: 'email_bounce_imap_port',
+  imap_secure: 'email_bounce_imap_secure',
+  imap_user: 'email_bounce_imap_user',
+  imap_mailbox: 'email_bounce_imap_mailbox',
+  local_dir: 'email_bounce_local_dir'
+};
+
+// The key is the webhook's only auth, so only users who can manage settings see it
+function bounceWebhookUrl(req) {
+  const base = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const key = permissions.can(req.permissions, 'settings', 'write') ? bounces.getWebhookKey() : '********';
+  return `${base.replace(/\/$/, '')}/api/email/bounces/webhook?key=${key}`;
+}
+
+// GET /bounces?type=&campaign_id=&page= — recent bounce/complaint events plus 30-day totals
+router.get('/bounces', authenticateToken, (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const where = [];
+  const params = [];
+  if (req.query.type) { where.push('b.event_type = ?'); params.push(req.query.type); }
+  if (req.query.campaign_id) { where.push('b.campaign_id = ?'); params.push(req.query.campaign_id); }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS total FROM email_bounce_events b ${whereSql}`).get(...params).total;
+  const events = db.prepare(`
+    SELECT b.*, c.name AS campaign_name
+    FROM email_bounce_events b LEFT JOIN email_campaigns c ON c.id = b.campaign_id
+    ${whereSql}
+    ORDER BY b.created_at DESC, b.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, (page - 1) * limit);
+
+  const totals = db.prepare(`
+    SELECT event_type, COUNT(*) AS count FROM email_bounce_events
+    WHERE created_at > datetime('now', '-30 days') GROUP BY event_type
+  `).all().reduce((acc, r) => ({ ...acc, [r.event_type]: r.count }), { hard: 0, soft: 0, complaint: 0 });
+  totals.suppressed_leads = db.prepare('SELECT COUNT(*) AS n FROM leads WHERE email_suppressed = 1').get().n;
+
+  res.json({ events, totals, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+});
+
+// GET /bounces/settings — mailbox source config and the webhook URL
+router.get('/bounces/settings', authenticateToken, (req, res) => {
+  const config = bounces.getMailboxConfig();
+  res.json({
+    source: config.source,
+    imap_host: config.imap.host,
+    imap_port: config.imap.port,
+    imap_secure: config.imap.secure,
+    imap_user: config.imap.user,
+    imap_mailbox: config.imap.mailbox,
+    has_imap_password: !!config.imap.pass,
+    local_dir: config.localDir,
+    webhook_url: bounceWebhookUrl(req),
+    soft_bounce_limit: bounces.SOFT_BOUNCE_LIMIT
+  });
+});
+
+// PUT /bounces/settings — imap_pass is only replaced when sent
+router.put('/bounces/settings', authenticateToken, (req, res) => {
+  const body = req.body || {};
+  if (body.source !== undefined && !BOUNCE_SOURCES.includes(body.source)) {
+    return res.status(400).json({ error: `source must be one of: ${BOUNCE_SOURCES.join(', ')}` });
+  }
+  if (body.imap_port !== undefined && body.imap_port !== '' && !(parseInt(body.imap_port) > 0)) {
+    return res.status(400).json({ error: 'IMAP port must be a number' });
+  }
+
+  const upsert = db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)');
+  db.transaction(() => {
+    for (const [field, key] of Object.entries(BOUNCE_SETTING_KEYS)) {
+      if (body[field] === undefined) continue;
+      const value = field === 'imap_secure' ? (body[field] === false || body[field] === '0' || body[field] === 0 ? '0' : '1') : String(body[field]).trim();
+      upsert.run(key, value);
+    }
+    if (body.imap_pass) upsert.run('email_bounce_imap_pass', encrypt(body.imap_pass));
+  })();
+  res.json({ message: 'Bounce settings saved' });
+});
+
+// POST /bounces/process — drain the configured mailbox now
+router.post('/bounces/process', authenticateToken, async (req, res) => {
+  try {
+    const result = await bounces.pollMailbox();
+    if (!result) {
+      const { source } = bounces.getMailboxConfig();
+      return res.status(400).json({ error: source === 'none' ? 'No bounce mailbox configured' : 'Bounce processing is already running' });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /bounces/webhook?key= — provider events or raw DSN/ARF messages (no auth — secured by key)
+router.post('/bounces/webhook', express.text({ type: ['text/*', 'message/*'], limit: '10mb' }), async (req, res) => {
+  const key = req.query.key;
+  if (!key || key !== bounces.getWebhookKey()) {
+    return res.status(401).json({ error: 'Invalid webhook key' });
+  }
+
+  const parsed = bounces.parseWebhook(req.body);
+  if (parsed.confirm) {
+    // Amazon SNS subscription handshake
+    try {
+      const url = new URL(parsed.confirm);
+      if (url.protocol !== 'https:' || !url.hostname.endsWith('.amazonaws.com')) throw new Error('Unexpected SubscribeURL host');
+      await fetch(url, { signal: AbortSignal.timeout(10000) });
+      return res.json({ status: 'subscribed' });
+    } catch (err) {
+      console.error('Bounce webhook: SNS confirmation failed:', err.message);
+      return res.status(400).json({ error: 'Subscription confirmation failed' });
+    }
+  }
+
+  const summary = { events: 0, recorded: 0, duplicates: 0, matched: 0, suppressed: 0 };
+  for (const event of parsed.events) {
+    summary.events++;
+    try {
+      const result = bounces.applyEvent(event, 'webhook');
+      if (result.status === 'recorded') summary.recorded++;
+      if (result.status === 'duplicate') summary.duplicates++;
+      if (result.queue_id) summary.matched++;
+      summary.suppressed += result.suppressed || 0;
+    } catch (err) {
+      console.error('Bounce webhook: failed to apply event:', err.message);
+    }
+  }
+  res.json(summary);
+});
+
+// GET /suppressions — leads no longer emailed because of a bounce or complaint
+router.get('/suppressions', authenticateToken, (req, res) => {
+  const rows = db.prepare(`
+    SELECT id, first_name, last_name, email, email_suppressed_reason, email_suppressed_at, email_unsubscribed
+    FROM leads WHERE email_suppressed = 1
+    ORDER BY email_suppressed_at DESC
+    LIMIT 500
+  `).all();
+  res.json(rows);
+});
+
+// DELETE /suppressions/:leadId — resume sending (e.g. the address was fixed).
+// A complaint also unsubscribed the lead; that stays until they opt back in.
+router.delete('/suppressions/:leadId', authenticateToken, (req, res) => {
+  const lead = db.prepare('SELECT id, email FROM leads WHERE id = ? AND email_suppressed = 1').get(req.params.leadId);
+  if (!lead) return res.status(404).json({ error: 'Suppressed lead not found' });
+  db.prepare(`
+    UPDATE leads SET email_suppressed = 0, email_suppressed_reason = NULL, email_suppressed_at = NULL WHERE id = ?
+  `).run(lead.id);
+  res.json({ message: 'Suppression removed' });
+});
+
+// ============ SUBSCRIPTION TOPICS & CONSENT ============
+
+// GET /topics — with explicit opt-in/opt-out counts and how many campaigns use each
+router.get('/topics', authenticateToken, (req, res) => {
+  const topics = db.prepare(`
+    SELECT t.*,
+      (SELECT COUNT(*) FROM lead_email_subscriptions s WHERE s.topic_id = t.id AND s.subscribed = 1) AS opted_in,
+      (SELECT COUNT(*) FROM lead_email_subscriptions s WHERE s.topic_id = t.id AND s.subscribed = 0) AS opted_out,
+      (SELECT COUNT(*) FROM email_campaigns c WHERE c.topic_id = t.id) AS campaign_count
+    FROM email_topics t
+    ORDER BY t.sort_order ASC, t.id ASC
+  `).all();
+  res.json(topics);
+});
+
+router.post('/topics', authenticateToken, (req, res) => {
+  const { name, description, default_subscribed, sort_order } = req.body;
+  if (!name || !String(name).trim()) return res.status(400).json({ error: 'Name is required' });
+  const key = String(req.body.key || name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!key) return res.status(400).json({ error: 'Key must contain letters or digits' });
+  if (db.prepare('SELECT id FROM email_topics WHERE key = ?').get(key)) {
+    return res.status(400).json({ error: `A topic with key "${key}" already exists` });
+  }
+
+  const nextOrder = db.prepare('SELECT COALESCE(MAX(sort_order), -1) + 1 AS n FROM email_topics').get().n;
+  const result = db.prepare(`
+    INSERT INTO email_topics (key, name, description, default_subscribed, sort_order) VALUES (?, ?, ?, ?, ?)
+  `).run(key, String(name).trim(), description || null, default_subscribed === false ? 0 : 1,
+    sort_order !== undefined ? parseInt(sort_order) || 0 : nextOrder);
+  res.json(subscriptions.getTopic(result.lastInsertRowid));
+});
+
+router.put('/topics/:id', authenticateToken, (req, res) => {
+  const topic = subscriptions.getTopic(req.params.id);
+  if (!topic) return res.status(404).json({ error: 'Topic not found' });
+
+  const { name, description, default_subscribed, is_active, sort_order } = req.body;
+  const fields = [];
+  const params = [];
+  if (name !== undefined) {
+    if (!String(name).trim()) return res.status(400).json({ error: 'Name is required' });
+    fields.push('name = ?'); params.push(String(name).trim());
+  }
+  if (description !== undefined) { fields.push('description = ?'); params.push(description || null); }
+  if (default_subscribed !== undefined) { fields.push('default_subscribed = ?'); params.push(default_subscribed ? 1 : 0); }
+  if (is_active !== undefined) { fields.push('is_active = ?'); params.push(is_active ? 1 : 0); }
+  if (sort_order !== undefined) { fields.push('sort_order = ?'); params.push(parseInt(sort_order) || 0); }
+  if (fields.length === 0) return res.json(topic);
+
+  params.push(topic.id);
+  db.prepare(`UPDATE email_topics SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+  res.json(subscriptions.getTopic(topic.id));
+});
+
+// Lead choices for the topic go with it; the consent log keeps its history
+router.delete('/topics/:id', authenticateToken, (req, res) => {
+  const topic = subscriptions.getTopic(req.params.id);
+  if (!topic) return res.status(404).json({ error: 'Topic not found' });
+  if (db.prepare('SELECT 1 FROM email_campaigns WHERE topic_id = ? LIMIT 1').get(topic.id)) {
+    return res.status(400).json({ error: 'Topic is used by campaigns; deactivate it instead' });
+  }
+  db.prepare('DELETE FROM email_topics WHERE id = ?').run(topic.id);
+  res.json({ message: 'Topic deleted' });
+});
+
+// GET /leads/:leadId/preferences — current topic choices plus the lead's consent history
+router.get('/leads/:leadId/preferences', authenticateToken, (req, res) => {
+  const prefs = subscriptions.getPreferences(req.params.leadId);
+  if (!prefs) return res.status(404).json({ error: 'Lead not found' });
+  prefs.log = db.prepare(`
+    SELECT l.*, t.name AS topic_name, c.name AS campaign_name
+    FROM email_consent_log l
+    LEFT JOIN email_topics t ON t.id = l.topic_id
+    LEFT JOIN email_campaigns c ON c.id = l.campaign_id
+    WHERE l.lead_id = ?
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT 100
+  `).all(prefs.lead_id);
+  res.json(prefs);
+});
+
+// PUT /leads/:leadId/preferences — { unsubscribe_all?, topics?: { [topicId]: bool } },
+// e.g. when a lead asks over the phone; logged as an admin change
+router.put('/leads/:leadId/preferences', authenticateToken, (req, res) => {
+  const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(req.params.leadId);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const changes = {};
+  if (req.body.unsubscribe_all !== undefined) changes.unsubscribe_all = !!req.body.unsubscribe_all;
+  if (req.body.topics !== undefined) {
+    if (!req.body.topics || typeof req.body.topics !== 'object' || Array.isArray(req.body.topics)) {
+      return res.status(400).json({ error: 'topics must be an object of topic id to true/false' });
+    }
+    changes.topics = req.body.topics;
+  }
+
+  const applied = subscriptions.updatePreferences(lead.id, changes, {
+    source: 'admin', user: req.user, ip_address: req.ip, user_agent: req.headers['user-agent'] || ''
+  });
+  res.json({ ...subscriptions.getPreferences(lead.id), changed: applied.length });
+});
+
+// GET /consent-log?lead_id=&topic_id=&source=&page= — every preference change, newest first
+router.get('/consent-log', authenticateToken, (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const where = [];
+  const params = [];
+  if (req.query.lead_id) { where.push('l.lead_id = ?'); params.push(req.query.lead_id); }
+  if (req.query.topic_id === 'all') where.push('l.topic_id IS NULL');
+  else if (req.query.topic_id) { where.push('l.topic_id = ?'); params.push(req.query.topic_id); }
+  if (req.query.source) { where.push('l.source = ?'); params.push(req.query.source); }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS total FROM email_consent_log l ${whereSql}`).get(...params).total;
+  const entries = db.prepare(`
+    SELECT l.*, t.name AS topic_name, c.name AS campaign_name, ld.first_name, ld.last_name
+    FROM email_consent_log l
+    LEFT JOIN email_topics t ON t.id = l.topic_id
+    LEFT JOIN email_campaigns c ON c.id = l.campaign_id
+    LEFT JOIN leads ld ON ld.id = l.lead_id
+    ${whereSql}
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, (page - 1) * limit);
+
+  res.json({ entries, sources: subscriptions.CONSENT_SOURCES, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+});
+
 // Export for use in email-worker
 module.exports = router;
 module.exports.resolveVariables = resolveVariables;
 module.exports.buildSegmentQuery = buildSegmentQuery;
 module.exports.getSegmentLeadQuery = getSegmentLeadQuery;
+module.exports.getCampaignVariants = getCampaignVariants;
+module.exports.getVariantStats = getVariantStats;
@@ -1,6 +1,8 @@
 const express = require('express');
 const crypto = require('crypto');
 const db = require('../database');
+const { recordEmailClick } = require('../lib/attribution');
+const subscriptions = require('../lib/subscriptions');
 
 const router = express.Router();
 
@@ -109,7 +111,7 @@ router.get('/c/:token', (req, res) => {
       const item = db.prepare('SELECT id, campaign_id, lead_id FROM email_queue WHERE id = ?').get(queueId);
       if (item) {
         // Record click event
-        db.prepare(`
+        const click = db.prepare(`
           INSERT INTO email_clicks (queue_id, campaign_id, lead_id, original_url, ip_address, user_agent)
           VALUES (?, ?, ?, ?, ?, ?)
         `).run(queueId, item.campaign_id, item.lead_id, originalUrl, req.ip, req.headers['user-agent'] || '');
@@ -127,6 +129,9 @@ router.get('/c/:token', (req, res) => {
             db.prepare('UPDATE email_campaigns SET click_count = click_count + 1 WHERE id = ?').run(item.campaign_id);
           }
         }
+
+        // Email click as an attribution touchpoint
+        recordEmailClick(click.lastInsertRowid);
       }
     } catch (e) {
       console.error('Click tracking error:', e.message);
@@ -136,69 +141,132 @@ router.get('/c/:token', (req, res) => {
   res.redirect(302, originalUrl);
 });
 
-// GET /t/u/:token — Unsubscribe page
+// ============ PREFERENCE CENTER ============
+
+function esc(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${title}</title>
+<style>body{font-family:-apple-system,sans-serif;display:flex;justify-content:center;align-items:center;min-height:100vh;background:#f3f4f6;margin:0}
+.card{background:#fff;padding:40px;border-radius:12px;box-shadow:0 2px 8px rgba(0,0,0,0.1);max-width:440px;width:100%;box-sizing:border-box}
+h2{margin:0 0 12px;color:#1f2937;text-align:center}p{color:#6b7280;margin:0 0 24px;text-align:center}
+.success{color:#10b981}.notice{background:#fef3c7;color:#92400e;padding:10px 12px;border-radius:8px;font-size:0.9rem}
+.topic{display:flex;gap:10px;align-items:flex-start;padding:12px 0;border-top:1px solid #e5e7eb;cursor:pointer}
+.topic input{margin-top:3px}.topic small{color:#6b7280}.topic em{color:#2563eb;font-style:normal;font-size:0.8rem}
+.actions{display:flex;flex-direction:column;gap:10px;margin-top:20px}
+button{border:none;padding:12px 32px;border-radius:8px;font-size:1rem;cursor:pointer;background:#2563eb;color:#fff}
+button:hover{background:#1d4ed8}button.danger{background:#fff;color:#ef4444;border:1px solid #ef4444}
+button.danger:hover{background:#fef2f2}</style></head>
+<body><div class="card">
+${body}
+</div></body></html>`;
+}
+
+function preferencesForm(token, item, prefs) {
+  const topics = prefs.topics.map(t => `
+<label class="topic">
+  <input type="checkbox" name="topic_${t.id}" value="1" ${t.subscribed && !prefs.unsubscribed_all ? 'checked' : ''}>
+  <span><strong>${esc(t.name)}</strong>${t.id === item.topic_id ? ' <em>this email</em>' : ''}${t.description ? `<br><small>${esc(t.description)}</small>` : ''}</span>
+</label>`).join('');
+
+  return `<h2>Email preferences</h2>
+<p>Choose which emails <strong>${esc(item.to_email)}</strong> gets from us.</p>
+${prefs.unsubscribed_all ? '<p class="notice">You are unsubscribed from all email. Tick the topics you want and save to start receiving them again.</p>' : ''}
+<form method="POST" action="/t/u/${esc(token)}">
+  <input type="hidden" name="form" value="preferences">
+  ${topics}
+  <div class="actions">
+    ${topics ? '<button type="submit" name="action" value="save">Save preferences</button>' : ''}
+    <button type="submit" name="action" value="unsubscribe_all" class="danger">Unsubscribe from all email</button>
+  </div>
+</form>`;
+}
+
+// Which preference change a POST asks for, and how it was made
+function requestedChanges(body, item) {
+  // RFC 8058 one-click from the List-Unsubscribe-Post header: opt out of this
+  // email's topic, or of everything when it has none
+  if (body['List-Unsubscribe'] === 'One-Click') {
+    return { source: 'one_click', changes: item.topic_id ? { topics: { [item.topic_id]: false } } : { unsubscribe_all: true } };
+  }
+  if (body.form === 'preferences' && body.action !== 'unsubscribe_all') {
+    const prefs = subscriptions.getPreferences(item.lead_id);
+    const picked = prefs.topics.filter(t => body[`topic_${t.id}`]);
+    // Saving with nothing ticked while unsubscribed from everything changes nothing
+    if (prefs.unsubscribed_all && picked.length === 0) return { source: 'preference_center', changes: {} };
+    return {
+      source: 'preference_center',
+      changes: { unsubscribe_all: false, topics: Object.fromEntries(prefs.topics.map(t => [t.id, picked.includes(t)])) }
+    };
+  }
+  // "Unsubscribe from all", or a body we can't read (older single-button page)
+  return { source: body.form === 'preferences' ? 'preference_center' : 'unsubscribe_link', changes: { unsubscribe_all: true } };
+}
+
+// GET /t/u/:token — Preference center (the unsubscribe link in every email)
 router.get('/u/:token', (req, res) => {
   const queueId = verifyToken(req.params.token);
   if (!queueId) return res.status(400).send('Invalid unsubscribe link');
 
-  const item = db.prepare('SELECT id, to_email, to_name, campaign_id FROM email_queue WHERE id = ?').get(queueId);
+  const item = db.prepare('SELECT id, to_email, lead_id, campaign_id, topic_id FROM email_queue WHERE id = ?').get(queueId);
   if (!item) return res.status(404).send('Not found');
 
-  res.send(`<!DOCTYPE html>
-<html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>Unsubscribe</title>
-<style>body{font-family:-apple-system,sans-serif;display:flex;justify-content:center;align-items:center;min-height:100vh;background:#f3f4f6;margin:0}
-.card{background:#fff;padding:40px;border-radius:12px;box-shadow:0 2px 8px rgba(0,0,0,0.1);max-width:400px;text-align:center}
-h2{margin:0 0 12px;color:#1f2937}p{color:#6b7280;margin:0 0 24px}
-button{background:#ef4444;color:#fff;border:none;padding:12px 32px;border-radius:8px;font-size:1rem;cursor:pointer}
-button:hover{background:#dc2626}.success{color:#10b981}</style></head>
-<body><div class="card">
-<h2>Unsubscribe</h2>
-<p>Remove <strong>${item.to_email}</strong> from our mailing list?</p>
-<form method="POST" action="/t/u/${req.params.token}">
-  <button type="submit">Unsubscribe</button>
-</form>
-</div></body></html>`);
+  const prefs = item.lead_id ? subscriptions.getPreferences(item.lead_id) : null;
+  if (!prefs) {
+    return res.send(page('Unsubscribe', `<h2>Unsubscribe</h2>
+<p>Remove <strong>${esc(item.to_email)}</strong> from our mailing list?</p>
+<form method="POST" action="/t/u/${esc(req.params.token)}"><div class="actions"><button type="submit" class="danger">Unsubscribe</button></div></form>`));
+  }
+  res.send(page('Email preferences', preferencesForm(req.params.token, item, prefs)));
 });
 
-// POST /t/u/:token — Process unsubscribe
+// POST /t/u/:token — Save preferences, unsubscribe from all, or a one-click unsubscribe
 router.post('/u/:token', express.urlencoded({ extended: false }), (req, res) => {
   const queueId = verifyToken(req.params.token);
   if (!queueId) return res.status(400).send('Invalid unsubscribe link');
 
-  const item = db.prepare('SELECT id, to_email, lead_id, campaign_id FROM email_queue WHERE id = ?').get(queueId);
+  const item = db.prepare('SELECT id, to_email, lead_id, campaign_id, topic_id FROM email_queue WHERE id = ?').get(queueId);
   if (!item) return res.status(404).send('Not found');
 
-  try {
-    // Record unsubscribe
-    db.prepare(`
-      INSERT INTO email_unsubscribes (lead_id, email, campaign_id, reason)
-      VALUES (?, ?, ?, 'user_request')
-    `).run(item.lead_id, item.to_email, item.campaign_id);
-
-    // Mark lead as unsubscribed
-    if (item.lead_id) {
-      db.prepare('UPDATE leads SET email_unsubscribed = 1 WHERE id = ?').run(item.lead_id);
-    }
+  const body = req.body || {};
+  const { source, changes } = item.lead_id && subscriptions.getPreferences(item.lead_id)
+    ? requestedChanges(body, item)
+    : { source: 'unsubscribe_link', changes: null };
 
-    // Update campaign counter
-    if (item.campaign_id) {
-      db.prepare('UPDATE email_campaigns SET unsubscribe_count = unsubscribe_count + 1 WHERE id = ?').run(item.campaign_id);
+  try {
+    if (changes) {
+      subscriptions.updatePreferences(item.lead_id, changes, {
+        source, campaign_id: item.campaign_id, queue_id: item.id,
+        ip_address: req.ip, user_agent: req.headers['user-agent'] || ''
+      });
+    } else {
+      // The lead is gone; keep a record of the address at least
+      db.prepare(`
+        INSERT INTO email_unsubscribes (lead_id, email, campaign_id, reason)
+        VALUES (NULL, ?, ?, 'user_request')
+      `).run(item.to_email, item.campaign_id);
     }
   } catch (e) {
     console.error('Unsubscribe error:', e.message);
   }
 
-  res.send(`<!DOCTYPE html>
-<html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>Unsubscribed</title>
-<style>body{font-family:-apple-system,sans-serif;display:flex;justify-content:center;align-items:center;min-height:100vh;background:#f3f4f6;margin:0}
-.card{background:#fff;padding:40px;border-radius:12px;box-shadow:0 2px 8px rgba(0,0,0,0.1);max-width:400px;text-align:center}
-h2{margin:0 0 12px;color:#10b981}p{color:#6b7280}</style></head>
-<body><div class="card">
-<h2>Unsubscribed</h2>
+  if (source === 'one_click') return res.type('text/plain').send('Unsubscribed');
+
+  if (changes && !changes.unsubscribe_all) {
+    const prefs = subscriptions.getPreferences(item.lead_id);
+    const kept = prefs.unsubscribed_all ? [] : prefs.topics.filter(t => t.subscribed);
+    return res.send(page('Preferences saved', `<h2 class="success">Preferences saved</h2>
+<p>${kept.length ? `You'll get: ${kept.map(t => esc(t.name)).join(', ')}.` : "You won't get any of these emails."}</p>
+<p><a href="/t/u/${esc(req.params.token)}">Change preferences</a></p>`));
+  }
+
+  res.send(page('Unsubscribed', `<h2 class="success">Unsubscribed</h2>
 <p>You have been removed from our mailing list. You will no longer receive marketing emails from us.</p>
-</div></body></html>`);
+${item.lead_id ? `<p><a href="/t/u/${esc(req.params.token)}">Changed your mind? Manage preferences</a></p>` : ''}`));
 });
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const liveEvents = require('../lib/live-events');
+
+const router = express.Router();
+
+// GET /stream - Server-Sent Events feed for the admin UI (subscribed from common.js)
+router.get('/stream', authenticateToken, (req, res) => {
+  if (!liveEvents.subscribe(req, res)) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+});
+
+module.exports = router;
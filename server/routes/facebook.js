@@ -3,6 +3,7 @@ const crypto = require('crypto');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const { getConfiguredTimezone, localDateToUtcRange, getTodayInTz, getSqliteOffsetStr } = require('../lib/timezone');
+const { onLeadCreated } = require('../lib/lead-hooks');
 
 const router = express.Router();
 
@@ -87,7 +88,8 @@ router.get('/webhook', (req, res) => {
 
 /**
  * WEBHOOK RECEIVER
- * Facebook sends leadgen events here
+ * Facebook sends leadgen events here, plus Messenger / Instagram messages
+ * when the app is subscribed to the `messages` field
  */
 router.post('/webhook', async (req, res) => {
   // Always respond 200 quickly to acknowledge receipt
@@ -95,6 +97,7 @@ router.post('/webhook', async (req, res) => {
 
   try {
     const body = req.body;
+    if (body.object === 'page' || body.object === 'instagram') publishInboundMessages(body);
     if (body.object !== 'page') return;
 
     const config = db.prepare('SELECT * FROM facebook_config WHERE id = 1').get();
@@ -117,6 +120,23 @@ router.post('/webhook', async (req, res) => {
   }
 });
 
+// Tell the admin live feed about inbound messages; the inbox itself still reads
+// conversations from the Graph API, so nothing is stored here
+function publishInboundMessages(body) {
+  const { publish } = require('../lib/live-events');
+  for (const entry of body.entry || []) {
+    for (const event of entry.messaging || []) {
+      if (!event.message || event.message.is_echo) continue;
+      publish('message.received', {
+        platform: body.object === 'instagram' ? 'instagram' : 'messenger',
+        sender_id: event.sender && event.sender.id,
+        message_id: event.message.mid,
+        snippet: (event.message.text || (event.message.attachments ? '[attachment]' : '')).substring(0, 140)
+      });
+    }
+  }
+}
+
 /**
  * Sync leads from a single Facebook page
  * @param {string} pageId - Facebook page ID
@@ -254,6 +274,8 @@ async function syncPageLeads(pageId, pageToken, pageName, config) {
             console.error('Failed to create lead event for synced FB lead:', evtErr);
           }
 
+          onLeadCreated(result.lastInsertRowid, 'facebook_sync');
+
         }
         } // end while (pagination)
       } catch (formErr) {
@@ -796,9 +818,6 @@ setTimeout(async () => {
   }
 }, 5000);
 
-// Start background sync
-startBackgroundSync();
-
 /**
  * Fetch lead data from Facebook Graph API and insert into DB
  */
@@ -930,11 +949,60 @@ async function processLeadgenEvent(leadgenId, config) {
       console.error('Failed to create lead event for FB lead:', err);
     }
 
+    onLeadCreated(result.lastInsertRowid, 'facebook_webhook');
+
   } catch (err) {
     console.error('Failed to process Facebook lead:', err);
   }
 }
 
+// Action types Meta reports for lead conversions (pixel, instant forms, aggregated)
+const LEAD_ACTION_TYPES = ['lead', 'onsite_conversion.lead_grouped', 'offsite_conversion.fb_pixel_lead'];
+
+/**
+ * Daily ad-level spend rows for the ad-spend warehouse (Marketing API insights,
+ * level=ad, one row per ad per day). Returns { account_id, rows } or throws.
+ */
+async function fetchDailyAdSpend(from, to) {
+  const config = db.prepare('SELECT * FROM facebook_config WHERE id = 1').get();
+  const adsToken = config && (config.user_access_token || config.page_access_token);
+  const adAccountId = config && normalizeAdAccountId(config.ad_account_id);
+  if (!adAccountId || !adsToken) throw new Error('Facebook ad account not configured');
+
+  const params = new URLSearchParams({
+    level: 'ad',
+    fields: 'campaign_id,campaign_name,adset_id,adset_name,ad_id,ad_name,impressions,clicks,spend,actions',
+    time_range: JSON.stringify({ since: from, until: to }),
+    time_increment: '1',
+    access_token: adsToken,
+    limit: '500'
+  });
+
+  const rows = [];
+  let next = `https://graph.facebook.com/v21.0/${adAccountId}/insights?${params}`;
+  while (next) {
+    const response = await fetch(next);
+    const data = await response.json();
+    if (data.error) throw new Error('Facebook API error: ' + data.error.message);
+    for (const row of data.data || []) {
+      // 'lead' already aggregates the others when present, so take the first match
+      const leadAction = LEAD_ACTION_TYPES.map(type => (row.actions || []).find(a => a.action_type === type)).find(Boolean);
+      rows.push({
+        date: row.date_start,
+        campaign_id: row.campaign_id || '', campaign_name: row.campaign_name || '',
+        ad_group_id: row.adset_id || '', ad_group_name: row.adset_name || '',
+        ad_id: row.ad_id || '', ad_name: row.ad_name || '',
+        impressions: parseInt(row.impressions || 0),
+        clicks: parseInt(row.clicks || 0),
+        cost_micros: Math.round(parseFloat(row.spend || 0) * 1000000),
+        conversions: leadAction ? parseFloat(leadAction.value || 0) : 0
+      });
+    }
+    next = data.paging?.next || null;
+  }
+  return { account_id: adAccountId, rows };
+}
+
 /**
  * Send a conversion event to Facebook Conversions API (CAPI)
  *
@@ -981,7 +1049,7 @@ async function sendFacebookEvent(eventName, userData, options = {}) {
 
     const eventData = {
       event_name: eventName,
-      event_time: Math.floor(Date.now() / 1000),
+      event_time: options.event_time || Math.floor(Date.now() / 1000),
       action_source: 'website',
       event_id,
       user_data
@@ -1785,3 +1853,5 @@ router.post('/debug/test-event', authenticateToken, async (req, res) => {
 
 module.exports = router;
 module.exports.sendFacebookEvent = sendFacebookEvent;
+module.exports.fetchDailyAdSpend = fetchDailyAdSpend;
+module.exports.startBackgroundSync = startBackgroundSync;
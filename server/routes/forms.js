@@ -2,6 +2,7 @@ const express = require('express');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const { generateLandingPage } = require('./pages');
+const FormLogic = require('../lib/form-logic');
 
 const router = express.Router();
 
@@ -14,19 +15,24 @@ const defaultFields = [
   { name: 'phone', label: 'Phone', type: 'tel', required: true, placeholder: '(555) 123-4567' }
 ];
 
+function parseForm(form) {
+  try {
+    form.fields = JSON.parse(form.fields || '[]');
+  } catch (e) {
+    form.fields = [];
+  }
+  try {
+    form.steps = JSON.parse(form.steps || '[]');
+  } catch (e) {
+    form.steps = [];
+  }
+  return form;
+}
+
 // Get all forms
 router.get('/', authenticateToken, (req, res) => {
   const forms = db.prepare('SELECT * FROM forms ORDER BY created_at DESC').all();
-
-  forms.forEach(form => {
-    try {
-      form.fields = JSON.parse(form.fields || '[]');
-    } catch (e) {
-      form.fields = [];
-    }
-  });
-
-  res.json(forms);
+  res.json(forms.map(parseForm));
 });
 
 // Get single form
@@ -37,31 +43,30 @@ router.get('/:id', authenticateToken, (req, res) => {
     return res.status(404).json({ error: 'Form not found' });
   }
 
-  try {
-    form.fields = JSON.parse(form.fields || '[]');
-  } catch (e) {
-    form.fields = [];
-  }
-
-  res.json(form);
+  res.json(parseForm(form));
 });
 
 // Create form
 router.post('/', authenticateToken, (req, res) => {
-  const { name, platform, webhook_url, fields, submit_button_text, success_message, skip_pre_qual } = req.body;
+  const { name, platform, webhook_url, fields, steps, submit_button_text, success_message, skip_pre_qual } = req.body;
 
   if (!name) {
     return res.status(400).json({ error: 'Form name required' });
   }
+  const definitionError = FormLogic.validateDefinition(FormLogic.normalizeConfig({ fields: fields || defaultFields, steps }));
+  if (definitionError) {
+    return res.status(400).json({ error: definitionError });
+  }
 
   const result = db.prepare(`
-    INSERT INTO forms (name, platform, webhook_url, fields, submit_button_text, success_message, skip_pre_qual)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO forms (name, platform, webhook_url, fields, steps, submit_button_text, success_message, skip_pre_qual)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     name,
     platform || 'other',
     webhook_url || '',
     JSON.stringify(fields || defaultFields),
+    JSON.stringify(steps || []),
     submit_button_text || 'Get My Free Debt Analysis',
     success_message || 'Thank you! A debt specialist will call you within 15 minutes.',
     skip_pre_qual ? 1 : 0
@@ -72,16 +77,23 @@ router.post('/', authenticateToken, (req, res) => {
 
 // Update form
 router.put('/:id', authenticateToken, (req, res) => {
-  const { name, platform, webhook_url, fields, submit_button_text, success_message, is_active, skip_pre_qual } = req.body;
+  const { name, platform, webhook_url, fields, steps, submit_button_text, success_message, is_active, skip_pre_qual } = req.body;
 
   const form = db.prepare('SELECT * FROM forms WHERE id = ?').get(req.params.id);
   if (!form) {
     return res.status(404).json({ error: 'Form not found' });
   }
+  const definitionError = FormLogic.validateDefinition(FormLogic.normalizeConfig({
+    fields: fields || form.fields,
+    steps: steps || form.steps
+  }));
+  if (definitionError) {
+    return res.status(400).json({ error: definitionError });
+  }
 
   db.prepare(`
     UPDATE forms SET
-      name = ?, platform = ?, webhook_url = ?, fields = ?,
+      name = ?, platform = ?, webhook_url = ?, fields = ?, steps = ?,
       submit_button_text = ?, success_message = ?, is_active = ?, skip_pre_qual = ?
     WHERE id = ?
   `).run(
@@ -89,6 +101,7 @@ router.put('/:id', authenticateToken, (req, res) => {
     platform || form.platform,
     webhook_url !== undefined ? webhook_url : form.webhook_url,
     fields ? JSON.stringify(fields) : form.fields,
+    steps ? JSON.stringify(steps) : (form.steps || '[]'),
     submit_button_text || form.submit_button_text,
     success_message || form.success_message,
     is_active !== undefined ? (is_active ? 1 : 0) : form.is_active,
@@ -111,13 +124,14 @@ router.post('/:id/duplicate', authenticateToken, (req, res) => {
   }
 
   const result = db.prepare(`
-    INSERT INTO forms (name, platform, webhook_url, fields, submit_button_text, success_message, skip_pre_qual)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO forms (name, platform, webhook_url, fields, steps, submit_button_text, success_message, skip_pre_qual)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     form.name + ' (Copy)',
     form.platform,
     form.webhook_url || '',
     form.fields,
+    form.steps || '[]',
     form.submit_button_text,
     form.success_message,
     form.skip_pre_qual || 0
@@ -0,0 +1,147 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const fraud = require('../lib/fraud');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+const REVIEW_STATUSES = ['legit', 'blocked'];
+const FLAGGED = ['suspicious', 'blocked'];
+
+function daysParam(value, fallback) {
+  const days = parseInt(value);
+  return isNaN(days) || days < 1 ? fallback : Math.min(days, 365);
+}
+
+function withReasons(row) {
+  return { ...row, fraud_reasons: fraud.parseReasons(row.fraud_reasons) };
+}
+
+// GET /summary?days=7 - status counts for visitors and leads, top signals
+router.get('/summary', authenticateToken, (req, res) => {
+  res.json({ ...fraud.getFraudSummary(daysParam(req.query.days, 7)), settings: fraud.getSettings() });
+});
+
+// GET /settings
+router.get('/settings', authenticateToken, (req, res) => {
+  res.json(fraud.getSettings());
+});
+
+// PUT /settings - { suspicious_threshold, block_threshold, auto_block, velocity_limit }
+router.put('/settings', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  try {
+    const settings = fraud.saveSettings(req.body || {});
+    if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'settings', null,
+      `Fraud thresholds: suspicious ${settings.suspicious_threshold}, block ${settings.block_threshold}, auto-block ${settings.auto_block ? 'on' : 'off'}`, req.ip);
+    res.json(settings);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /visitors?status=suspicious|blocked|legit&days=7&page=1 - flagged visitors (default: suspicious + blocked)
+router.get('/visitors', authenticateToken, (req, res) => {
+  const { status, page = 1, limit = 50 } = req.query;
+  if (status && !fraud.STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+  const statuses = status ? [status] : FLAGGED;
+  const since = `-${daysParam(req.query.days, 7)} days`;
+  const where = `fraud_status IN (${statuses.map(() => '?').join(',')}) AND last_visit > datetime('now', ?)`;
+
+  const visitors = db.prepare(`
+    SELECT id, eli_clickid, ip_address, isp, asn, country, user_agent, screen_width, screen_height, device_type,
+      gclid, msclkid, fbclid, utm_source, landing_page, converted, lead_id, visit_count, first_visit, last_visit,
+      fraud_score, fraud_status, fraud_reasons, fraud_scored_at
+    FROM visitors WHERE ${where}
+    ORDER BY fraud_score DESC, last_visit DESC
+    LIMIT ? OFFSET ?
+  `).all(...statuses, since, parseInt(limit), (parseInt(page) - 1) * parseInt(limit));
+  const total = db.prepare(`SELECT COUNT(*) as n FROM visitors WHERE ${where}`).get(...statuses, since).n;
+
+  res.json({ visitors: visitors.map(withReasons), pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / limit) } });
+});
+
+// GET /leads?status=&days=30 - flagged leads
+router.get('/leads', authenticateToken, (req, res) => {
+  const { status } = req.query;
+  if (status && !fraud.STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+  const statuses = status ? [status] : FLAGGED;
+
+  const leads = db.prepare(`
+    SELECT l.id, l.full_name, l.email, l.phone, l.company_name, l.eli_clickid, l.created_at, l.is_blocked,
+      l.fraud_score, l.fraud_status, l.fraud_reasons, v.ip_address,
+      COALESCE(lp.name, a.name) as source_name
+    FROM leads l
+    LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
+    LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
+    LEFT JOIN articles a ON l.article_id = a.id
+    WHERE l.fraud_status IN (${statuses.map(() => '?').join(',')}) AND l.created_at > datetime('now', ?)
+    ORDER BY l.created_at DESC
+    LIMIT 200
+  `).all(...statuses, `-${daysParam(req.query.days, 30)} days`);
+
+  res.json({ leads: leads.map(withReasons) });
+});
+
+// POST /visitors/:id/review - { status: 'legit' | 'blocked' }
+router.post('/visitors/:id/review', authenticateToken, (req, res) => {
+  const { status } = req.body || {};
+  if (!REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: 'status must be legit or blocked' });
+  const visitor = fraud.reviewVisitor(req.params.id, status);
+  if (!visitor) return res.status(404).json({ error: 'Visitor not found' });
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'visitor', visitor.id,
+    `Fraud review: visitor ${visitor.eli_clickid} (${visitor.ip_address || 'no IP'}) marked ${status}`, req.ip);
+  res.json(withReasons(visitor));
+});
+
+// POST /leads/:id/review - { status: 'legit' | 'blocked' }; legit also unblocks
+// the lead so later conversions upload again
+router.post('/leads/:id/review', authenticateToken, (req, res) => {
+  const { status } = req.body || {};
+  if (!REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: 'status must be legit or blocked' });
+  const lead = fraud.reviewLead(req.params.id, status);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'lead', lead.id,
+    `Fraud review: lead #${lead.id} marked ${status}`, req.ip);
+  res.json(withReasons(lead));
+});
+
+// GET /ip-exclusions?platform=google|bing|all&format=json|csv|txt&days=30&min_score=
+// IP exclusion list for pasting into the platform's campaign settings (txt)
+// or reviewing (csv/json)
+router.get('/ip-exclusions', authenticateToken, (req, res) => {
+  const platform = req.query.platform || 'google';
+  if (!fraud.EXCLUSION_PLATFORMS[platform]) {
+    return res.status(400).json({ error: `platform must be one of: ${Object.keys(fraud.EXCLUSION_PLATFORMS).join(', ')}` });
+  }
+  const minScore = req.query.min_score !== undefined && req.query.min_score !== '' ? parseInt(req.query.min_score) : null;
+  const list = fraud.getIpExclusions(platform, { days: daysParam(req.query.days, 30), minScore });
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (req.query.format === 'txt') {
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Content-Disposition', `attachment; filename=ip-exclusions-${platform}-${stamp}.txt`);
+    return res.send(list.ips.map(ip => ip.ip_address).join('\n'));
+  }
+
+  if (req.query.format === 'csv') {
+    const headers = ['IP Address', 'Score', 'Visitors', 'Paid Clicks', 'Signals', 'Blocklisted', 'Last Seen'];
+    const rows = list.ips.map(ip => [ip.ip_address, ip.score, ip.visitors, ip.paid_clicks, ip.signals.join('; '), ip.blocklisted ? 'Yes' : 'No', ip.last_seen]);
+    const csv = [headers.join(','), ...rows.map(r => r.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(','))].join('\n');
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=ip-exclusions-${platform}-${stamp}.csv`);
+    return res.send(csv);
+  }
+
+  res.json(list);
+});
+
+module.exports = router;
@@ -908,6 +908,159 @@ async function uploadConversion(gclid, conversionAction, conversionTime, convers
   }
 }
 
+// Full resource name for a conversion action given as an id or resource name
+function conversionActionResource(customerId, conversionAction) {
+  const value = String(conversionAction || '').trim();
+  return value.startsWith('customers/') ? value : `customers/${customerId}/conversionActions/${value}`;
+}
+
+// Map a partialFailureError onto the indexes of the rows it refers to
+function partialFailuresByIndex(partialFailureError, field) {
+  const byIndex = {};
+  if (!partialFailureError) return byIndex;
+  (partialFailureError.details || []).forEach(detail => {
+    (detail.errors || []).forEach(err => {
+      const elements = (err.location && err.location.fieldPathElements) || [];
+      const el = elements.find(e => e.fieldName === field && e.index !== undefined);
+      if (!el) return;
+      byIndex[el.index] = byIndex[el.index] ? `${byIndex[el.index]}; ${err.message}` : err.message;
+    });
+  });
+  // Couldn't place the errors on rows; report the summary against all of them
+  if (!Object.keys(byIndex).length && partialFailureError.message) byIndex['*'] = partialFailureError.message;
+  return byIndex;
+}
+
+async function callGoogleAdsUpload(method, field, rows) {
+  const config = db.prepare('SELECT * FROM google_ads_config WHERE id = 1').get();
+  if (!config || !config.refresh_token_encrypted || !config.customer_id) {
+    return { success: false, error: 'Google Ads not configured' };
+  }
+  try {
+    const accessToken = await getValidAccessToken(config);
+    const developerToken = getDeveloperToken(config);
+    if (!developerToken) return { success: false, error: 'Developer token not configured' };
+
+    const body = { partialFailure: true };
+    body[field] = rows.map(row => ({ ...row, conversionAction: conversionActionResource(config.customer_id, row.conversionAction) }));
+    const response = await fetch(`https://googleads.googleapis.com/v22/customers/${config.customer_id}:${method}`, {
+      method: 'POST',
+      headers: getApiHeaders(accessToken, developerToken, config.login_customer_id),
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (data.error) {
+      console.error(`Google Ads ${method} error:`, data.error);
+      return { success: false, error: data.error.message };
+    }
+    return { success: true, errors: partialFailuresByIndex(data.partialFailureError, field), data };
+  } catch (err) {
+    console.error(`Error calling ${method}:`, err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Batch click-conversion upload (partial failure on). Rows are ClickConversion
+ * objects whose conversionAction may be a bare id. Returns { success, errors }
+ * where errors maps row index → message for the rows Google rejected, or
+ * { success: false, error } when the whole request failed.
+ */
+function uploadClickConversions(conversions) {
+  return callGoogleAdsUpload('uploadClickConversions', 'conversions', conversions);
+}
+
+// Same as uploadClickConversions for ConversionAdjustment rows (restatements)
+function uploadConversionAdjustments(adjustments) {
+  return callGoogleAdsUpload('uploadConversionAdjustments', 'conversionAdjustments', adjustments);
+}
+
+/**
+ * Daily spend rows for the ad-spend warehouse: one per date/campaign/ad group/ad.
+ * ad_group_ad doesn't cover every campaign type (Performance Max has no ads), so
+ * campaign totals are pulled too and any spend the ad rows don't account for
+ * becomes a campaign-level row — the rows always sum to account spend.
+ * Returns { account_id, rows } or throws.
+ */
+async function fetchDailyAdSpend(from, to) {
+  const config = db.prepare('SELECT * FROM google_ads_config WHERE id = 1').get();
+  if (!config || !config.refresh_token_encrypted || !config.customer_id) throw new Error('Google Ads not connected');
+  const accessToken = await getValidAccessToken(config);
+  const developerToken = getDeveloperToken(config);
+  if (!developerToken) throw new Error('No developer token');
+
+  const search = async (query) => {
+    const response = await fetch(
+      `https://googleads.googleapis.com/v22/customers/${config.customer_id}/googleAds:searchStream`,
+      {
+        method: 'POST',
+        headers: getApiHeaders(accessToken, developerToken, config.login_customer_id),
+        body: JSON.stringify({ query })
+      }
+    );
+    const data = await response.json();
+    const apiError = data.error || (Array.isArray(data) && data[0]?.error);
+    if (apiError) throw new Error(apiError.message || JSON.stringify(apiError));
+    return (Array.isArray(data) ? data : []).flatMap(chunk => chunk.results || []);
+  };
+
+  const dateClause = `segments.date >= '${from}' AND segments.date <= '${to}'`;
+  const adResults = await search(`
+    SELECT segments.date, campaign.id, campaign.name, ad_group.id, ad_group.name,
+      ad_group_ad.ad.id, ad_group_ad.ad.name,
+      metrics.impressions, metrics.clicks, metrics.cost_micros, metrics.conversions
+    FROM ad_group_ad
+    WHERE ${dateClause} AND metrics.impressions > 0
+  `);
+  const campaignResults = await search(`
+    SELECT segments.date, campaign.id, campaign.name,
+      metrics.impressions, metrics.clicks, metrics.cost_micros, metrics.conversions
+    FROM campaign
+    WHERE ${dateClause} AND metrics.impressions > 0
+  `);
+
+  const metricsOf = (m = {}) => ({
+    impressions: parseInt(m.impressions || 0),
+    clicks: parseInt(m.clicks || 0),
+    cost_micros: parseInt(m.costMicros || 0),
+    conversions: parseFloat(m.conversions || 0)
+  });
+
+  const rows = [];
+  const accounted = {};
+  for (const r of adResults) {
+    const row = {
+      date: r.segments.date,
+      campaign_id: String(r.campaign.id), campaign_name: r.campaign.name,
+      ad_group_id: String(r.adGroup.id), ad_group_name: r.adGroup.name,
+      ad_id: String(r.adGroupAd.ad.id), ad_name: r.adGroupAd.ad.name || '',
+      ...metricsOf(r.metrics)
+    };
+    rows.push(row);
+    const key = `${row.date}:${row.campaign_id}`;
+    const a = accounted[key] || (accounted[key] = { impressions: 0, clicks: 0, cost_micros: 0, conversions: 0 });
+    a.impressions += row.impressions;
+    a.clicks += row.clicks;
+    a.cost_micros += row.cost_micros;
+    a.conversions += row.conversions;
+  }
+  for (const r of campaignResults) {
+    const total = metricsOf(r.metrics);
+    const a = accounted[`${r.segments.date}:${r.campaign.id}`] || { impressions: 0, clicks: 0, cost_micros: 0, conversions: 0 };
+    if (total.cost_micros - a.cost_micros <= 0 && total.clicks - a.clicks <= 0) continue;
+    rows.push({
+      date: r.segments.date,
+      campaign_id: String(r.campaign.id), campaign_name: r.campaign.name,
+      ad_group_id: '', ad_group_name: '', ad_id: '', ad_name: '',
+      impressions: Math.max(total.impressions - a.impressions, 0),
+      clicks: Math.max(total.clicks - a.clicks, 0),
+      cost_micros: Math.max(total.cost_micros - a.cost_micros, 0),
+      conversions: Math.max(total.conversions - a.conversions, 0)
+    });
+  }
+  return { account_id: config.customer_id.replace(/-/g, ''), rows };
+}
+
 // Get conversion actions from Google Ads
 router.get('/conversion-actions', authenticateToken, async (req, res) => {
   const config = db.prepare('SELECT * FROM google_ads_config WHERE id = 1').get();
@@ -1885,3 +2038,6 @@ module.exports.fetchMissingCosts = fetchMissingCosts;
 module.exports.uploadConversion = uploadConversion;
 module.exports.getValidAccessToken = getValidAccessToken;
 module.exports.getDeveloperToken = getDeveloperToken;
+module.exports.uploadClickConversions = uploadClickConversions;
+module.exports.uploadConversionAdjustments = uploadConversionAdjustments;
+module.exports.fetchDailyAdSpend = fetchDailyAdSpend;
@@ -0,0 +1,237 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const { toSqliteUtc } = require('../lib/timezone');
+const {
+  STRATEGIES, MEMBER_STATUSES, getAssignmentSettings, getEligibleMembers, routeLead, assignLeadToUser
+} = require('../lead-assignment');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+function parseJson(raw, fallback) {
+  try { return raw ? JSON.parse(raw) : fallback; } catch (e) { return fallback; }
+}
+
+function normalizeRule(body) {
+  const c = body.conditions || {};
+  const list = (v) => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+  return {
+    name: String(body.name || '').trim(),
+    strategy: body.strategy || 'round_robin',
+    user_ids: (Array.isArray(body.user_ids) ? body.user_ids : []).map(id => parseInt(id)).filter(Boolean),
+    conditions: {
+      platforms: list(c.platforms),
+      states: list(c.states),
+      debt_min: c.debt_min === '' || c.debt_min === undefined || c.debt_min === null ? null : Number(c.debt_min),
+      debt_max: c.debt_max === '' || c.debt_max === undefined || c.debt_max === null ? null : Number(c.debt_max),
+      business_hours: ['during', 'outside'].includes(c.business_hours) ? c.business_hours : null
+    }
+  };
+}
+
+// GET /config - rotation members, routing rules and settings
+router.get('/config', authenticateToken, (req, res) => {
+  const eligible = new Set(getEligibleMembers().map(m => m.user_id));
+  const members = db.prepare(`
+    SELECT u.id as user_id, u.name, u.email, u.role,
+      COALESCE(m.is_active, 0) as in_rotation, COALESCE(m.weight, 1) as weight, m.daily_cap,
+      COALESCE(m.status, 'available') as status, m.away_until,
+      (SELECT COUNT(*) FROM leads l WHERE l.assigned_to = u.id) as assigned_total
+    FROM users u
+    LEFT JOIN assignment_members m ON m.user_id = u.id
+    ORDER BY u.name ASC
+  `).all().map(m => ({ ...m, can_take_leads: eligible.has(m.user_id) }));
+
+  const rules = db.prepare('SELECT * FROM assignment_rules ORDER BY sort_order ASC, id ASC').all().map(r => ({
+    ...r,
+    conditions: parseJson(r.conditions, {}),
+    user_ids: parseJson(r.user_ids, [])
+  }));
+
+  const platforms = db.prepare(`
+    SELECT DISTINCT platform FROM landing_pages WHERE platform IS NOT NULL
+    UNION SELECT DISTINCT platform FROM articles WHERE platform IS NOT NULL
+  `).all().map(r => r.platform);
+
+  res.json({ settings: getAssignmentSettings(), strategies: STRATEGIES, statuses: MEMBER_STATUSES, members, rules, platforms });
+});
+
+// PUT /settings - router on/off, default strategy, stale reassignment and business hours
+router.put('/settings', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const { enabled, default_strategy, stale_minutes, max_reassignments, business_hours } = req.body;
+  if (default_strategy !== undefined && !STRATEGIES.includes(default_strategy)) {
+    return res.status(400).json({ error: 'Invalid strategy' });
+  }
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (business_hours && ((business_hours.start && !time.test(business_hours.start)) || (business_hours.end && !time.test(business_hours.end)))) {
+    return res.status(400).json({ error: 'Business hours must be HH:MM' });
+  }
+
+  const upsert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = ?');
+  const save = (key, value) => upsert.run(key, String(value), String(value));
+  if (enabled !== undefined) save('assignment_enabled', enabled ? '1' : '0');
+  if (default_strategy !== undefined) save('assignment_default_strategy', default_strategy);
+  if (stale_minutes !== undefined) save('assignment_stale_minutes', Math.max(0, parseInt(stale_minutes) || 0));
+  if (max_reassignments !== undefined) save('assignment_max_reassignments', Math.max(0, parseInt(max_reassignments) || 0));
+  if (business_hours) {
+    if (business_hours.start) save('assignment_business_start', business_hours.start);
+    if (business_hours.end) save('assignment_business_end', business_hours.end);
+    if (Array.isArray(business_hours.days)) {
+      save('assignment_business_days', business_hours.days.map(d => parseInt(d)).filter(d => d >= 0 && d <= 6).join(','));
+    }
+  }
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'settings', null, 'Lead assignment settings', req.ip);
+  res.json({ settings: getAssignmentSettings() });
+});
+
+// PUT /members/:userId - rotation membership, weight, cap and away status.
+// Anyone may change their own away status; everything else is admin-only.
+router.put('/members/:userId', authenticateToken, (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const isSelf = userId === req.user.id;
+  const touchesAdminFields = ['in_rotation', 'weight', 'daily_cap'].some(k => req.body[k] !== undefined);
+  if (req.user.role !== 'admin' && (!isSelf || touchesAdminFields)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const user = db.prepare('SELECT id, name FROM users WHERE id = ?').get(userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  if (req.body.status !== undefined && !MEMBER_STATUSES.includes(req.body.status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  const existing = db.prepare('SELECT * FROM assignment_members WHERE user_id = ?').get(userId)
+    || { is_active: 0, weight: 1, daily_cap: null, status: 'available', away_until: null };
+  const next = {
+    is_active: req.body.in_rotation !== undefined ? (req.body.in_rotation ? 1 : 0) : existing.is_active,
+    weight: req.body.weight !== undefined ? Math.max(1, parseInt(req.body.weight) || 1) : existing.weight,
+    daily_cap: req.body.daily_cap !== undefined ? (parseInt(req.body.daily_cap) > 0 ? parseInt(req.body.daily_cap) : null) : existing.daily_cap,
+    status: req.body.status !== undefined ? req.body.status : existing.status,
+    away_until: req.body.away_until !== undefined ? toSqliteUtc(req.body.away_until) : existing.away_until
+  };
+  if (next.status === 'available') next.away_until = null;
+
+  db.prepare(`
+    INSERT INTO assignment_members (user_id, is_active, weight, daily_cap, status, away_until, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(user_id) DO UPDATE SET is_active = excluded.is_active, weight = excluded.weight, daily_cap = excluded.daily_cap,
+      status = excluded.status, away_until = excluded.away_until, updated_at = CURRENT_TIMESTAMP
+  `).run(userId, next.is_active, next.weight, next.daily_cap, next.status, next.away_until);
+
+  if (next.status !== existing.status && logActivity) {
+    logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'user', userId, `${user.name} is now ${next.status}${next.away_until ? ' until ' + next.away_until + ' UTC' : ''}`, req.ip);
+  }
+  res.json({ user_id: userId, ...next });
+});
+
+// POST /rules - add a routing rule
+router.post('/rules', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const rule = normalizeRule(req.body);
+  if (!rule.name) return res.status(400).json({ error: 'Name is required' });
+  if (!STRATEGIES.includes(rule.strategy)) return res.status(400).json({ error: 'Invalid strategy' });
+
+  const maxOrder = db.prepare('SELECT COALESCE(MAX(sort_order), -1) as m FROM assignment_rules').get().m;
+  const result = db.prepare(`
+    INSERT INTO assignment_rules (name, conditions, strategy, user_ids, is_active, sort_order) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(rule.name, JSON.stringify(rule.conditions), rule.strategy, JSON.stringify(rule.user_ids), req.body.is_active === false ? 0 : 1, maxOrder + 1);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'assignment_rule', result.lastInsertRowid, `Assignment rule: ${rule.name}`, req.ip);
+  res.json({ id: result.lastInsertRowid, ...rule });
+});
+
+// PUT /rules/:id - update a routing rule (fields not sent are kept)
+router.put('/rules/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const existing = db.prepare('SELECT * FROM assignment_rules WHERE id = ?').get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Rule not found' });
+
+  const rule = normalizeRule({
+    name: req.body.name !== undefined ? req.body.name : existing.name,
+    strategy: req.body.strategy !== undefined ? req.body.strategy : existing.strategy,
+    user_ids: req.body.user_ids !== undefined ? req.body.user_ids : parseJson(existing.user_ids, []),
+    conditions: req.body.conditions !== undefined ? req.body.conditions : parseJson(existing.conditions, {})
+  });
+  if (!rule.name) return res.status(400).json({ error: 'Name is required' });
+  if (!STRATEGIES.includes(rule.strategy)) return res.status(400).json({ error: 'Invalid strategy' });
+
+  const isActive = req.body.is_active !== undefined ? (req.body.is_active ? 1 : 0) : existing.is_active;
+  const sortOrder = req.body.sort_order !== undefined ? parseInt(req.body.sort_order) || 0 : existing.sort_order;
+  db.prepare(`
+    UPDATE assignment_rules SET name = ?, conditions = ?, strategy = ?, user_ids = ?, is_active = ?, sort_order = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(rule.name, JSON.stringify(rule.conditions), rule.strategy, JSON.stringify(rule.user_ids), isActive, sortOrder, existing.id);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'assignment_rule', existing.id, `Assignment rule: ${rule.name}`, req.ip);
+  res.json({ id: existing.id, ...rule, is_active: isActive, sort_order: sortOrder });
+});
+
+// DELETE /rules/:id
+router.delete('/rules/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const rule = db.prepare('SELECT * FROM assignment_rules WHERE id = ?').get(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+  db.prepare('DELETE FROM assignment_rules WHERE id = ?').run(rule.id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'assignment_rule', rule.id, `Assignment rule: ${rule.name}`, req.ip);
+  res.json({ message: 'Rule deleted' });
+});
+
+// POST /leads/:id/assign - { user_id } assigns by hand (null unassigns),
+// { auto: true } runs the router for this lead
+router.post('/leads/:id/assign', authenticateToken, (req, res) => {
+  const lead = db.prepare('SELECT id, assigned_to FROM leads WHERE id = ?').get(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const actor = { id: req.user.id, name: req.user.name, email: req.user.email, ip: req.ip };
+  try {
+    if (req.body.auto) {
+      const route = routeLead(lead.id, { excludeUserId: lead.assigned_to });
+      if (!route.member) return res.status(409).json({ error: route.detail });
+      const detail = route.rule ? `rule "${route.rule.name}"` : `default ${route.strategy.replace('_', '-')}`;
+      const user = assignLeadToUser(lead.id, route.member.user_id, { reason: 'auto', ruleId: route.rule ? route.rule.id : null, detail, actor });
+      return res.json({ assigned_to: user.id, assigned_name: user.name });
+    }
+
+    const user = assignLeadToUser(lead.id, req.body.user_id || null, { reason: 'manual', actor });
+    res.json({ assigned_to: user ? user.id : null, assigned_name: user ? user.name : null });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /leads/:id/history - assignment trail for one lead
+router.get('/leads/:id/history', authenticateToken, (req, res) => {
+  const history = db.prepare(`
+    SELECT la.*, u.name as user_name, pu.name as previous_user_name, r.name as rule_name
+    FROM lead_assignments la
+    LEFT JOIN users u ON la.user_id = u.id
+    LEFT JOIN users pu ON la.previous_user_id = pu.id
+    LEFT JOIN assignment_rules r ON la.rule_id = r.id
+    WHERE la.lead_id = ?
+    ORDER BY la.id DESC
+  `).all(req.params.id);
+  res.json(history);
+});
+
+module.exports = router;
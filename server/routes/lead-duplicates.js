@@ -0,0 +1,135 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const { findDuplicateCandidates, scanAllLeads, mergeLeads, parseMerge } = require('../lib/lead-dedup');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+const LEAD_COLUMNS = `id, first_name, last_name, full_name, company_name, email, phone, debt_amount, stage,
+  lead_score, lead_score_tier, hidden_fields, created_at`;
+
+function leadName(lead) {
+  return [lead.first_name, lead.last_name].filter(Boolean).join(' ') || lead.full_name || `#${lead.id}`;
+}
+
+function parseReasons(raw) {
+  try { return JSON.parse(raw || '[]'); } catch (e) { return []; }
+}
+
+// GET / - duplicate review queue, each pair with both leads side by side
+router.get('/', authenticateToken, (req, res) => {
+  const status = req.query.status || 'pending';
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = (page - 1) * limit;
+
+  const total = db.prepare('SELECT COUNT(*) as total FROM lead_duplicate_candidates WHERE status = ?').get(status).total;
+  const rows = db.prepare(`
+    SELECT * FROM lead_duplicate_candidates WHERE status = ?
+    ORDER BY score DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(status, limit, offset);
+
+  const getLead = db.prepare(`SELECT ${LEAD_COLUMNS} FROM leads WHERE id = ?`);
+  const candidates = rows.map(row => ({
+    ...row,
+    reasons: parseReasons(row.reasons),
+    lead: getLead.get(row.lead_id) || null,
+    duplicate_of: getLead.get(row.duplicate_of_id) || null
+  }));
+
+  res.json({ candidates, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+});
+
+// GET /lead/:leadId - pending duplicates and merge history for one lead
+router.get('/lead/:leadId', authenticateToken, (req, res) => {
+  const leadId = parseInt(req.params.leadId);
+  const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(leadId);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const getLead = db.prepare(`SELECT ${LEAD_COLUMNS} FROM leads WHERE id = ?`);
+  const candidates = db.prepare(`
+    SELECT * FROM lead_duplicate_candidates
+    WHERE status = 'pending' AND (lead_id = ? OR duplicate_of_id = ?)
+    ORDER BY score DESC
+  `).all(leadId, leadId).map(row => ({
+    ...row,
+    reasons: parseReasons(row.reasons),
+    other: getLead.get(row.lead_id === leadId ? row.duplicate_of_id : row.lead_id) || null
+  }));
+
+  const merges = db.prepare('SELECT * FROM lead_merges WHERE survivor_id = ? ORDER BY id DESC').all(leadId).map(parseMerge);
+  res.json({ candidates, merges });
+});
+
+// GET /lead/:leadId/check - live match against current leads (nothing is queued)
+router.get('/lead/:leadId/check', authenticateToken, (req, res) => {
+  const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(req.params.leadId);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const matches = findDuplicateCandidates(lead.id).map(c => ({
+    lead_id: c.lead.id,
+    name: leadName(c.lead),
+    company_name: c.lead.company_name,
+    email: c.lead.email,
+    phone: c.lead.phone,
+    created_at: c.lead.created_at,
+    score: c.score,
+    reasons: c.reasons
+  }));
+  res.json({ matches });
+});
+
+// POST /scan - backfill the queue across all existing leads
+router.post('/scan', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const result = scanAllLeads();
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'scanned', 'lead', null, `Duplicate scan: ${result.pairs} likely duplicate pairs across ${result.leads} leads (${result.queued} new/updated)`, req.ip);
+  res.json(result);
+});
+
+// POST /:id/dismiss - mark a pair as not duplicates; it won't be queued again
+router.post('/:id/dismiss', authenticateToken, (req, res) => {
+  const candidate = db.prepare('SELECT * FROM lead_duplicate_candidates WHERE id = ?').get(req.params.id);
+  if (!candidate) return res.status(404).json({ error: 'Duplicate candidate not found' });
+  if (candidate.status !== 'pending') return res.status(400).json({ error: `Candidate already ${candidate.status}` });
+
+  db.prepare(`
+    UPDATE lead_duplicate_candidates SET status = 'dismissed', resolved_by_id = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(req.user.id, candidate.id);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'dismissed', 'lead', candidate.lead_id, `Not a duplicate of lead #${candidate.duplicate_of_id}`, req.ip);
+  res.json({ success: true });
+});
+
+// POST /merge - { survivor_id, merged_id }: fold merged_id into survivor_id
+router.post('/merge', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const { survivor_id, merged_id } = req.body;
+  if (!survivor_id || !merged_id) return res.status(400).json({ error: 'survivor_id and merged_id are required' });
+
+  const merged = db.prepare('SELECT id, first_name, last_name, full_name FROM leads WHERE id = ?').get(merged_id);
+  let merge;
+  try {
+    merge = mergeLeads(survivor_id, merged_id, req.user);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'merged', 'lead', merge.survivor_id, `Merged lead #${merge.merged_id}${merged ? ` (${leadName(merged)})` : ''} into #${merge.survivor_id}`, req.ip);
+  res.json(parseMerge(merge));
+});
+
+module.exports = router;
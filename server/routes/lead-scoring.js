@@ -0,0 +1,132 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const { OPERATORS, SOURCES, getTierThresholds, rescoreAllLeads } = require('../lib/lead-scoring');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+// Returns an error message, or null when the rule is valid
+function validateRule({ name, source, field, operator, points }) {
+  if (!name || !String(name).trim()) return 'Name is required';
+  if (!SOURCES[source]) return 'Invalid source';
+  if (!SOURCES[source].fields.includes(field)) return `Unknown ${source} field: ${field}`;
+  if (!OPERATORS.includes(operator)) return 'Invalid operator';
+  if (points === undefined || points === '' || isNaN(parseInt(points))) return 'Points must be a number';
+  return null;
+}
+
+function serializeValue(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? JSON.stringify(value) : String(value);
+}
+
+// GET /rules - scoring model plus the catalog of sources/fields/operators for the editor
+router.get('/rules', authenticateToken, (req, res) => {
+  const rules = db.prepare('SELECT * FROM lead_scoring_rules ORDER BY sort_order ASC, id ASC').all();
+  const sources = {};
+  for (const [key, source] of Object.entries(SOURCES)) {
+    sources[key] = { label: source.label, fields: source.fields };
+  }
+  const distribution = db.prepare(`
+    SELECT lead_score_tier as tier, COUNT(*) as count FROM leads WHERE lead_score_tier IS NOT NULL GROUP BY lead_score_tier
+  `).all();
+
+  res.json({ rules, sources, operators: OPERATORS, thresholds: getTierThresholds(), distribution });
+});
+
+// POST /rules - add a rule
+router.post('/rules', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const error = validateRule(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const { name, source, field, operator, value, points, is_active } = req.body;
+  const maxOrder = db.prepare('SELECT COALESCE(MAX(sort_order), -1) as m FROM lead_scoring_rules').get().m;
+  const result = db.prepare(`
+    INSERT INTO lead_scoring_rules (name, source, field, operator, value, points, is_active, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(String(name).trim(), source, field, operator, serializeValue(value), parseInt(points), is_active === false ? 0 : 1, maxOrder + 1);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'lead_scoring_rule', result.lastInsertRowid, `Scoring rule: ${name} (${points > 0 ? '+' : ''}${points})`, req.ip);
+  res.json(db.prepare('SELECT * FROM lead_scoring_rules WHERE id = ?').get(result.lastInsertRowid));
+});
+
+// PUT /rules/:id - update a rule
+router.put('/rules/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const rule = db.prepare('SELECT * FROM lead_scoring_rules WHERE id = ?').get(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+  const merged = { ...rule, ...req.body };
+  const error = validateRule(merged);
+  if (error) return res.status(400).json({ error });
+
+  db.prepare(`
+    UPDATE lead_scoring_rules SET name = ?, source = ?, field = ?, operator = ?, value = ?, points = ?, is_active = ?,
+      sort_order = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    String(merged.name).trim(), merged.source, merged.field, merged.operator,
+    req.body.value !== undefined ? serializeValue(req.body.value) : rule.value,
+    parseInt(merged.points), merged.is_active ? 1 : 0, parseInt(merged.sort_order) || 0, rule.id
+  );
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'lead_scoring_rule', rule.id, `Scoring rule: ${merged.name}`, req.ip);
+  res.json(db.prepare('SELECT * FROM lead_scoring_rules WHERE id = ?').get(rule.id));
+});
+
+// DELETE /rules/:id
+router.delete('/rules/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const rule = db.prepare('SELECT * FROM lead_scoring_rules WHERE id = ?').get(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+  db.prepare('DELETE FROM lead_scoring_rules WHERE id = ?').run(rule.id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'lead_scoring_rule', rule.id, `Scoring rule: ${rule.name}`, req.ip);
+  res.json({ message: 'Rule deleted' });
+});
+
+// PUT /thresholds - minimum score for the hot and warm tiers
+router.put('/thresholds', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const hot = parseInt(req.body.hot);
+  const warm = parseInt(req.body.warm);
+  if (isNaN(hot) || isNaN(warm)) return res.status(400).json({ error: 'hot and warm thresholds are required' });
+  if (warm > hot) return res.status(400).json({ error: 'Warm threshold cannot be above the hot threshold' });
+
+  const upsert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = ?');
+  upsert.run('lead_score_hot_threshold', String(hot), String(hot));
+  upsert.run('lead_score_warm_threshold', String(warm), String(warm));
+  res.json({ thresholds: getTierThresholds() });
+});
+
+// POST /rescore - apply the current model to every lead
+router.post('/rescore', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const counts = rescoreAllLeads();
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'lead', null, `Re-scored ${counts.total} leads (${counts.hot} hot, ${counts.warm} warm, ${counts.cold} cold)`, req.ip);
+  res.json(counts);
+});
+
+module.exports = router;
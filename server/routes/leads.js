@@ -2,6 +2,13 @@ const express = require('express');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const { getConfiguredTimezone, localDateToUtcRange, getNowInTz } = require('../lib/timezone');
+const { onLeadCreated } = require('../lib/lead-hooks');
+const { queueSms, processSmsQueue, normalizePhone, getPhoneOptOut } = require('../sms-worker');
+const { enqueueDelivery } = require('../outbox');
+const { rescoreLead, parseExplanation, TIERS } = require('../lib/lead-scoring');
+const { moveLeadToStageByName } = require('../lib/pipeline');
+const FormLogic = require('../lib/form-logic');
+const fraud = require('../lib/fraud');
 
 const router = express.Router();
 
@@ -15,34 +22,21 @@ setTimeout(() => {
 
 // Import Google Ads functions (will be loaded after module initialization)
 let fetchGclidCost = null;
-let uploadConversion = null;
-let sendFacebookEvent = null;
-let uploadBingConversion = null;
-let pushLeadToSalesforce = null;
 setTimeout(() => {
   try {
     fetchGclidCost = require('./google-ads').fetchGclidCost;
-    uploadConversion = require('./google-ads').uploadConversion;
   } catch (e) {
     console.log('Google Ads module not loaded yet');
   }
-  try {
-    sendFacebookEvent = require('./facebook').sendFacebookEvent;
-  } catch (e) {
-    console.log('Facebook module not loaded yet');
-  }
-  try {
-    uploadBingConversion = require('./bing-ads').uploadBingConversion;
-  } catch (e) {
-    console.log('Bing Ads module not loaded yet');
-  }
-  try {
-    pushLeadToSalesforce = require('./salesforce').pushLeadToSalesforce;
-  } catch (e) {
-    console.log('Salesforce module not loaded yet');
-  }
 }, 0);
 
+// Outbound webhooks, ad-platform conversions and Salesforce pushes go through
+// the durable delivery outbox (../outbox.js) so transient failures are retried
+function isSalesforceEnabled() {
+  const config = db.prepare('SELECT is_enabled, access_token_encrypted FROM salesforce_config WHERE id = 1').get();
+  return !!(config && config.is_enabled && config.access_token_encrypted);
+}
+
 // RedTrack server-side click creation — fallback when client-side tracking is blocked
 const RT_API_KEY = process.env.REDTRACK_API_KEY || 'tQqIhdIIBzLQg3J9Z3zs';
 const RT_CAMPAIGNS = {
@@ -99,8 +93,41 @@ async function createRedTrackClick(source, params = {}) {
   }
 }
 
+// Re-check a public submission against its page's form-builder definition.
+// The page validates in the browser, but stale pages and scripted posts come
+// straight here. Returns the 400 body for a rejected submission, or null; on
+// success computed fields are recomputed and condition-hidden fields dropped
+// from the body. Forms without builder features are left to their templates.
+function checkFormSubmission(body) {
+  const source = body.article_slug
+    ? db.prepare('SELECT form_id FROM articles WHERE slug = ?').get(body.article_slug)
+    : db.prepare('SELECT form_id FROM landing_pages WHERE slug = ?').get(body.landing_page_slug);
+  if (!source || !source.form_id) return null;
+  const form = db.prepare('SELECT fields, steps FROM forms WHERE id = ?').get(source.form_id);
+  if (!form) return null;
+  const config = FormLogic.normalizeConfig(form);
+  if (!FormLogic.usesBuilder(config)) return null;
+
+  const result = FormLogic.validateSubmission(config, body);
+  if (result.disqualified) {
+    return { error: result.disqualified.disqualify_message || 'This submission does not qualify', errors: {} };
+  }
+  if (!result.valid) {
+    return { error: 'Please correct the highlighted fields', errors: result.errors };
+  }
+  config.fields.forEach(f => {
+    if (f.type === 'computed') body[f.name] = result.values[f.name];
+    else if (!result.visible[f.name]) delete body[f.name];
+  });
+  return null;
+}
+
 // Submit lead (public endpoint - from landing pages)
 router.post('/', async (req, res) => {
+  const submissionSignals = fraud.takeSubmissionSignals(req.body || {});
+  const formError = checkFormSubmission(req.body || {});
+  if (formError) return res.status(400).json(formError);
+
   const {
     landing_page_slug,
     article_slug,
@@ -265,13 +292,8 @@ router.post('/', async (req, res) => {
         submitted_at: new Date().toLocaleString('en-US', { timeZone: getConfiguredTimezone(), year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false }).replace(',', '')
       };
 
-      console.log('Sending to webhook:', webhookUrl);
-      fetch(webhookUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(webhookData)
-      }).then(res => console.log('Webhook response:', res.status))
-        .catch(err => console.error('Webhook error:', err));
+      console.log('Queueing webhook delivery:', webhookUrl);
+      enqueueDelivery('webhook', { url: webhookUrl, body: webhookData }, { leadId: result.lastInsertRowid, target: webhookUrl });
     } catch (err) {
       console.error('Webhook error:', err);
     }
@@ -306,6 +328,17 @@ router.post('/', async (req, res) => {
     }
   }
 
+  // Bot / click-fraud score: blocked leads are treated like blocklisted ones,
+  // suspicious ones are kept but their conversions are not uploaded
+  let fraudResult = null;
+  try {
+    fraudResult = fraud.scoreLead(result.lastInsertRowid, submissionSignals);
+    if (fraudResult && fraudResult.status === 'blocked') isBlocked = true;
+  } catch (err) {
+    console.error('Failed to score lead for fraud:', err);
+  }
+  const isSuspicious = !!(fraudResult && fraudResult.status === 'suspicious');
+
   // Fetch Google Ads cost for GCLID (async, don't block response)
   if (gclid && fetchGclidCost) {
     fetchGclidCost(gclid).then(cost => {
@@ -319,13 +352,14 @@ router.post('/', async (req, res) => {
     }).catch(err => console.error('Failed to fetch GCLID cost:', err));
   }
 
-  // Skip all conversion event sends if lead is from a blocked IP
-  if (!isBlocked) {
+  // Skip all conversion event sends if lead is blocked or flagged as suspicious
+  if (!isBlocked && !isSuspicious) {
     // Auto-create "lead" conversion event for every lead submission
     try {
       const leadConfig = db.prepare(`SELECT * FROM postback_config WHERE event_name = 'lead' AND is_active = 1`).get();
 
-      db.prepare(`
+      const sendToGoogle = !!(gclid && leadConfig?.conversion_action_id);
+      const leadEvent = db.prepare(`
         INSERT INTO conversion_events (lead_id, eli_clickid, gclid, conversion_action_id, conversion_action_name, source, status)
         VALUES (?, ?, ?, ?, 'lead', 'auto', ?)
       `).run(
@@ -333,45 +367,32 @@ router.post('/', async (req, res) => {
         eli_clickid || '',
         gclid || '',
         leadConfig?.conversion_action_id || null,
-        (gclid && leadConfig?.conversion_action_id) ? 'pending' : 'logged'
+        sendToGoogle ? 'pending' : 'logged'
       );
 
       // Send to Google Ads if GCLID + conversion action configured
-      if (gclid && leadConfig?.conversion_action_id && uploadConversion) {
-        const leadId = result.lastInsertRowid;
-        uploadConversion(gclid, leadConfig.conversion_action_id).then(gadsResult => {
-          const evt = db.prepare(`SELECT id FROM conversion_events WHERE lead_id = ? AND conversion_action_name = 'lead' ORDER BY id DESC LIMIT 1`).get(leadId);
-          if (gadsResult.success && evt) {
-            db.prepare(`UPDATE conversion_events SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = ?`).run(evt.id);
-          } else if (evt) {
-            db.prepare(`UPDATE conversion_events SET status = 'failed', error_message = ? WHERE id = ?`).run(gadsResult.error, evt.id);
-          }
-        }).catch(err => console.error('Failed to send lead event to Google Ads:', err));
+      if (sendToGoogle) {
+        enqueueDelivery('google_ads', { gclid, conversion_action_id: leadConfig.conversion_action_id }, {
+          leadId: result.lastInsertRowid, conversionEventId: leadEvent.lastInsertRowid, target: 'Google Ads'
+        });
       }
     } catch (err) {
       console.error('Failed to create lead conversion event:', err);
     }
 
     // Auto-send 'lead' event to Bing Ads if msclkid + config present
-    if (msclkid && uploadBingConversion) {
+    if (msclkid) {
       try {
         const bingConfig = db.prepare('SELECT * FROM bing_ads_config WHERE id = 1').get();
         const leadBingConfig = db.prepare(`SELECT * FROM postback_config WHERE event_name = 'lead' AND is_active = 1`).get();
         if (bingConfig && bingConfig.refresh_token_encrypted && leadBingConfig && leadBingConfig.send_to_bing && leadBingConfig.bing_conversion_goal_id) {
-          const leadId = result.lastInsertRowid;
-          uploadBingConversion(msclkid, leadBingConfig.bing_conversion_goal_id).then(bingResult => {
-            db.prepare(`
-              INSERT INTO conversion_events (lead_id, eli_clickid, msclkid, conversion_action_name, source, status, error_message, sent_at)
-              VALUES (?, ?, ?, 'lead', 'bing_ads', ?, ?, ${bingResult.success ? 'CURRENT_TIMESTAMP' : 'NULL'})
-            `).run(
-              leadId,
-              eli_clickid || '',
-              msclkid,
-              bingResult.success ? 'sent' : 'failed',
-              bingResult.error || null
-            );
-            console.log(`Bing Ads lead event for lead ${leadId}: ${bingResult.success ? 'sent' : 'failed'}`);
-          }).catch(err => console.error('Failed to send Bing Ads lead event:', err));
+          const bingEvent = db.prepare(`
+            INSERT INTO conversion_events (lead_id, eli_clickid, msclkid, conversion_action_name, source, status)
+            VALUES (?, ?, ?, 'lead', 'bing_ads', 'pending')
+          `).run(result.lastInsertRowid, eli_clickid || '', msclkid);
+          enqueueDelivery('bing_ads', { msclkid, conversion_goal_id: leadBingConfig.bing_conversion_goal_id }, {
+            leadId: result.lastInsertRowid, conversionEventId: bingEvent.lastInsertRowid, target: 'Bing Ads'
+          });
         }
       } catch (err) {
         console.error('Failed to check Bing Ads config for lead event:', err);
@@ -379,7 +400,7 @@ router.post('/', async (req, res) => {
     }
 
     // Send "Lead" event to Facebook CAPI if lead is from a meta-platform page
-    if (sourceEntity.platform === 'meta' && sendFacebookEvent) {
+    if (sourceEntity.platform === 'meta') {
       const leadConfig = db.prepare(`SELECT facebook_event_name FROM postback_config WHERE event_name = 'lead' AND is_active = 1`).get();
       const fbLeadEvent = leadConfig?.facebook_event_name || 'Lead';
 
@@ -410,51 +431,49 @@ router.post('/', async (req, res) => {
       const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
       const eventSourceUrl = article ? `${baseUrl}/a/${article.slug}` : `${baseUrl}/${page.slug}`;
 
-      sendFacebookEvent(fbLeadEvent, {
-        email,
-        phone,
-        firstName,
-        lastName,
-        fbc,
-        fbp: visitor?.fbp || '',
-        client_ip_address: clientIp,
-        client_user_agent: clientUa
-      }, {
-        event_source_url: eventSourceUrl
-      }).then(fbResult => {
-        db.prepare(`
-          INSERT INTO conversion_events (lead_id, eli_clickid, conversion_action_name, conversion_value, source, status, error_message, sent_at, capi_payload)
-          VALUES (?, ?, 'lead', NULL, 'facebook_capi', ?, ?, ${fbResult.success ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?)
-        `).run(
-          result.lastInsertRowid,
-          eli_clickid || '',
-          fbResult.success ? 'sent' : 'failed',
-          fbResult.error || null,
-          fbResult.payload ? JSON.stringify(fbResult.payload) : null
-        );
-        console.log(`Facebook CAPI Lead event for lead ${result.lastInsertRowid}: ${fbResult.success ? 'sent' : 'failed'}${fbResult.event_id ? ', event_id: ' + fbResult.event_id : ''}`);
-      }).catch(err => console.error('Failed to send Facebook CAPI Lead event:', err));
-    }
-
-    // Auto-push to Salesforce
-    if (pushLeadToSalesforce) {
-      pushLeadToSalesforce(result.lastInsertRowid).catch(err =>
-        console.error('Salesforce auto-push error:', err));
+      const fbEvent = db.prepare(`
+        INSERT INTO conversion_events (lead_id, eli_clickid, conversion_action_name, conversion_value, source, status)
+        VALUES (?, ?, 'lead', NULL, 'facebook_capi', 'pending')
+      `).run(result.lastInsertRowid, eli_clickid || '');
+      enqueueDelivery('facebook_capi', {
+        event_name: fbLeadEvent,
+        user_data: {
+          email,
+          phone,
+          firstName,
+          lastName,
+          fbc,
+          fbp: visitor?.fbp || '',
+          client_ip_address: clientIp,
+          client_user_agent: clientUa
+        },
+        options: { event_source_url: eventSourceUrl }
+      }, { leadId: result.lastInsertRowid, conversionEventId: fbEvent.lastInsertRowid, target: `Facebook CAPI (${fbLeadEvent})` });
     }
   } else {
     // Log blocked lead event
+    const reason = fraudResult && fraudResult.status !== 'clean' && fraudResult.status !== 'legit'
+      ? `Fraud score ${fraudResult.score} (${fraudResult.reasons.map(r => r.signal).join(', ')})`
+      : 'IP is on blocklist';
     try {
       db.prepare(`
         INSERT INTO conversion_events (lead_id, eli_clickid, gclid, conversion_action_name, source, status, error_message)
-        VALUES (?, ?, ?, 'lead', 'auto', 'blocked', 'IP is on blocklist - conversion events skipped')
-      `).run(result.lastInsertRowid, eli_clickid || '', gclid || '');
+        VALUES (?, ?, ?, 'lead', 'auto', 'blocked', ?)
+      `).run(result.lastInsertRowid, eli_clickid || '', gclid || '', `${reason} - conversion events skipped`);
     } catch (err) {
       console.error('Failed to log blocked lead event:', err);
     }
   }
 
+  // Auto-push to Salesforce (suspicious leads are still worked)
+  if (!isBlocked && isSalesforceEnabled()) {
+    enqueueDelivery('salesforce', { lead_id: result.lastInsertRowid }, { leadId: result.lastInsertRowid, target: 'Salesforce' });
+  }
+
   res.json({ success: true, id: result.lastInsertRowid });
 
+  onLeadCreated(result.lastInsertRowid, 'form');
+
   // Send lead notification email (async, don't block)
   if (sendLeadNotification) {
     sendLeadNotification({ first_name, last_name, full_name, company_name, email, phone }, sourceEntity).catch(() => {});
@@ -464,7 +483,7 @@ router.post('/', async (req, res) => {
 // Get all leads (admin)
 router.get('/', authenticateToken, (req, res) => {
   const { page = 1, limit = 50, search, landing_page_id, platform, from_date, to_date,
-          event, campaign, has_mca, debt_amount, stage, transfer_status } = req.query;
+          event, campaign, has_mca, debt_amount, stage, transfer_status, score_tier, min_score, assigned_to, sort } = req.query;
   const offset = (page - 1) * limit;
 
   let query = `
@@ -472,7 +491,7 @@ router.get('/', authenticateToken, (req, res) => {
            a.name as article_name, a.platform as article_platform,
            COALESCE(lp.name, a.name) as source_name,
            COALESCE(lp.platform, a.platform) as source_platform,
-           v.utm_campaign, v.ip_address,
+           v.utm_campaign, v.ip_address, au.name as assigned_name,
            (
              SELECT ce.conversion_action_name
              FROM conversion_events ce
@@ -484,6 +503,7 @@ router.get('/', authenticateToken, (req, res) => {
     LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
     LEFT JOIN articles a ON l.article_id = a.id
     LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
+    LEFT JOIN users au ON l.assigned_to = au.id
     WHERE 1=1
   `;
   let countQuery = `
@@ -564,18 +584,42 @@ router.get('/', authenticateToken, (req, res) => {
     params.push(transfer_status);
   }
 
+  if (score_tier && TIERS.includes(score_tier)) {
+    query += ` AND l.lead_score_tier = ?`;
+    countQuery += ` AND l.lead_score_tier = ?`;
+    params.push(score_tier);
+  }
+
+  if (min_score !== undefined && min_score !== '') {
+    query += ` AND l.lead_score >= ?`;
+    countQuery += ` AND l.lead_score >= ?`;
+    params.push(parseInt(min_score) || 0);
+  }
+
+  if (assigned_to === 'unassigned') {
+    query += ` AND l.assigned_to IS NULL`;
+    countQuery += ` AND l.assigned_to IS NULL`;
+  } else if (assigned_to) {
+    query += ` AND l.assigned_to = ?`;
+    countQuery += ` AND l.assigned_to = ?`;
+    params.push(parseInt(assigned_to));
+  }
+
   const total = db.prepare(countQuery).get(...params).total;
 
-  query += ` ORDER BY l.created_at DESC LIMIT ? OFFSET ?`;
+  query += sort === 'score'
+    ? ` ORDER BY COALESCE(l.lead_score, -1) DESC, l.created_at DESC LIMIT ? OFFSET ?`
+    : ` ORDER BY l.created_at DESC LIMIT ? OFFSET ?`;
   const leads = db.prepare(query).all(...params, parseInt(limit), parseInt(offset));
 
-  // Parse hidden_fields JSON
+  // Parse hidden_fields / score explanation JSON
   leads.forEach(lead => {
     try {
       lead.hidden_fields = JSON.parse(lead.hidden_fields || '{}');
     } catch (e) {
       lead.hidden_fields = {};
     }
+    lead.lead_score_explanation = parseExplanation(lead.lead_score_explanation);
   });
 
   res.json({
@@ -672,11 +716,12 @@ router.get('/:id', authenticateToken, (req, res) => {
   const lead = db.prepare(`
     SELECT l.*, lp.name as landing_page_name, lp.traffic_source, lp.platform,
            a.name as article_name, a.platform as article_platform,
-           v.ip_address
+           v.ip_address, au.name as assigned_name
     FROM leads l
     LEFT JOIN landing_pages lp ON l.landing_page_id = lp.id
     LEFT JOIN articles a ON l.article_id = a.id
     LEFT JOIN visitors v ON l.eli_clickid = v.eli_clickid AND l.eli_clickid != ''
+    LEFT JOIN users au ON l.assigned_to = au.id
     WHERE l.id = ?
   `).get(req.params.id);
 
@@ -689,6 +734,7 @@ router.get('/:id', authenticateToken, (req, res) => {
   } catch (e) {
     lead.hidden_fields = {};
   }
+  lead.lead_score_explanation = parseExplanation(lead.lead_score_explanation);
 
   // Include event timeline
   lead.events = db.prepare(`
@@ -728,22 +774,76 @@ router.patch('/:id', authenticateToken, (req, res) => {
 
   if (transfer_status !== undefined) { fields.push('transfer_status = ?'); params.push(transfer_status); }
   if (five9_dispo !== undefined) { fields.push('five9_dispo = ?'); params.push(five9_dispo); }
-  if (stage !== undefined) { fields.push('stage = ?'); params.push(stage); }
   if (contract_sign_date !== undefined) { fields.push('contract_sign_date = ?'); params.push(contract_sign_date); }
   if (total_debt_sign !== undefined) { fields.push('total_debt_sign = ?'); params.push(total_debt_sign); }
   if (eli_clickid !== undefined) { fields.push('eli_clickid = ?'); params.push(eli_clickid); }
   if (fbclid !== undefined) { fields.push('fbclid = ?'); params.push(fbclid); }
 
-  if (!fields.length) {
+  if (!fields.length && stage === undefined) {
     return res.status(400).json({ error: 'No fields to update' });
   }
 
-  params.push(req.params.id);
-  db.prepare(`UPDATE leads SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+  // Stage is a pipeline move, so it must name a configured stage
+  if (stage !== undefined) {
+    const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(req.params.id);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+    const moved = stage ? moveLeadToStageByName(lead.id, stage, { source: 'manual', user: req.user, ip: req.ip }) : null;
+    if (!moved) {
+      return res.status(400).json({ error: `Unknown pipeline stage "${stage || ''}". Configure stages under Integrations → Pipeline Stages.` });
+    }
+  }
+
+  if (fields.length) {
+    params.push(req.params.id);
+    db.prepare(`UPDATE leads SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+  }
+  rescoreLead(parseInt(req.params.id), 'manual edit');
   res.json({ success: true });
 });
 
-// Delete lead (cascades to conversion_events and visitors)
+// Recompute a lead's score against the current scoring rules
+router.post('/:id/rescore', authenticateToken, (req, res) => {
+  const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const result = rescoreLead(lead.id, 'manual rescore');
+  if (!result) return res.status(500).json({ error: 'Failed to score lead' });
+  res.json(result);
+});
+
+// Remove a lead and the rows that reference it. Call inside a transaction so a
+// failure part-way leaves the lead and its history untouched.
+function deleteLeadCascade(leadId) {
+  db.prepare('DELETE FROM conversion_events WHERE lead_id = ?').run(leadId);
+  db.prepare('UPDATE visitors SET lead_id = NULL, converted = 0 WHERE lead_id = ?').run(leadId);
+  db.prepare('DELETE FROM lead_notes WHERE lead_id = ?').run(leadId);
+
+  // Automation flow runs, their step logs and the emails they queued
+  const runs = 'SELECT id FROM automation_flow_runs WHERE lead_id = ?';
+  const flowEmails = `SELECT id FROM email_queue WHERE flow_run_id IN (${runs})`;
+  db.prepare(`DELETE FROM email_opens WHERE queue_id IN (${flowEmails})`).run(leadId);
+  db.prepare(`DELETE FROM email_clicks WHERE queue_id IN (${flowEmails})`).run(leadId);
+  db.prepare(`DELETE FROM email_queue WHERE id IN (${flowEmails})`).run(leadId);
+  db.prepare(`DELETE FROM automation_flow_run_logs WHERE run_id IN (${runs})`).run(leadId);
+  db.prepare('DELETE FROM automation_flow_runs WHERE lead_id = ?').run(leadId);
+  db.prepare('DELETE FROM automation_flow_segment_members WHERE lead_id = ?').run(leadId);
+
+  // Pending pairs would otherwise sit in the duplicate review queue
+  db.prepare(`DELETE FROM lead_duplicate_candidates WHERE status = 'pending' AND (lead_id = ? OR duplicate_of_id = ?)`).run(leadId, leadId);
+
+  // Texts (including STOP/HELP replies) stay in the inbox without the lead
+  db.prepare('UPDATE sms_messages SET lead_id = NULL WHERE lead_id = ?').run(leadId);
+
+  db.prepare('DELETE FROM touchpoints WHERE lead_id = ?').run(leadId);
+
+  // Consent history and opt-outs stay on record for the email address
+  db.prepare('DELETE FROM lead_email_subscriptions WHERE lead_id = ?').run(leadId);
+  db.prepare('UPDATE email_consent_log SET lead_id = NULL WHERE lead_id = ?').run(leadId);
+  db.prepare('UPDATE email_unsubscribes SET lead_id = NULL WHERE lead_id = ?').run(leadId);
+
+  db.prepare('DELETE FROM leads WHERE id = ?').run(leadId);
+}
+
 // Bulk delete test leads (Jane Doe / dummy data) — must be before /:id route
 router.delete('/test-leads', authenticateToken, (req, res) => {
   if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin access required' });
@@ -764,27 +864,21 @@ router.delete('/test-leads', authenticateToken, (req, res) => {
 
   if (!testLeads.length) return res.json({ message: 'No test leads found', deleted: 0 });
 
-  const del = db.prepare('DELETE FROM leads WHERE id = ?');
-  for (const lead of testLeads) {
-    del.run(lead.id);
-  }
+  db.transaction(() => {
+    for (const lead of testLeads) deleteLeadCascade(lead.id);
+  })();
 
   if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'lead', null, `Bulk deleted ${testLeads.length} test leads (Jane Doe / dummy data)`, req.ip);
   res.json({ message: `Deleted ${testLeads.length} test leads`, deleted: testLeads.length });
 });
 
 router.delete('/:id', authenticateToken, (req, res) => {
-  const lead = db.prepare('SELECT first_name, last_name, eli_clickid FROM leads WHERE id = ?').get(req.params.id);
+  const lead = db.prepare('SELECT id, first_name, last_name FROM leads WHERE id = ?').get(req.params.id);
   if (!lead) return res.status(404).json({ error: 'Lead not found' });
 
-  // Delete related records first
-  db.prepare('DELETE FROM conversion_events WHERE lead_id = ?').run(req.params.id);
-  if (lead.eli_clickid) {
-    db.prepare('UPDATE visitors SET lead_id = NULL, converted = 0 WHERE lead_id = ?').run(req.params.id);
-  }
-  db.prepare('DELETE FROM leads WHERE id = ?').run(req.params.id);
+  db.transaction(() => deleteLeadCascade(lead.id))();
 
-  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'lead', parseInt(req.params.id), `Deleted lead: ${[lead?.first_name, lead?.last_name].filter(Boolean).join(' ') || req.params.id}`, req.ip);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'lead', lead.id, `Deleted lead: ${[lead.first_name, lead.last_name].filter(Boolean).join(' ') || lead.id}`, req.ip);
   res.json({ message: 'Lead deleted' });
 });
 
@@ -860,10 +954,12 @@ router.post('/zapier', async (req, res) => {
     } catch (e) {}
 
     // Auto-push to Salesforce
-    if (pushLeadToSalesforce) {
-      pushLeadToSalesforce(result.lastInsertRowid).catch(() => {});
+    if (isSalesforceEnabled()) {
+      enqueueDelivery('salesforce', { lead_id: result.lastInsertRowid }, { leadId: result.lastInsertRowid, target: 'Salesforce' });
     }
 
+    onLeadCreated(result.lastInsertRowid, 'zapier');
+
     res.json({ success: true, id: result.lastInsertRowid });
   } catch (err) {
     console.error('Zapier error:', err);
@@ -889,6 +985,42 @@ router.get('/:id/emails', authenticateToken, (req, res) => {
   res.json(emails);
 });
 
+// Get SMS thread for a lead (outbound + inbound)
+router.get('/:id/sms', authenticateToken, (req, res) => {
+  const lead = db.prepare('SELECT id, phone FROM leads WHERE id = ?').get(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  const optOut = getPhoneOptOut(lead.phone);
+
+  const messages = db.prepare(`
+    SELECT m.id, m.direction, m.body, m.status, m.to_phone, m.from_phone, m.error_message,
+           m.created_at, m.sent_at, m.flow_run_id, u.name as sent_by_name
+    FROM sms_messages m
+    LEFT JOIN users u ON m.sent_by_id = u.id
+    WHERE m.lead_id = ?
+    ORDER BY m.id ASC
+  `).all(req.params.id);
+
+  res.json({ phone: lead.phone, sms_opted_out: !!optOut, sms_opted_out_at: optOut ? optOut.opted_out_at : null, messages });
+});
+
+// Send an SMS to a lead (queued, then sent immediately by the SMS worker)
+router.post('/:id/sms', authenticateToken, (req, res) => {
+  const lead = db.prepare('SELECT id, phone FROM leads WHERE id = ?').get(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const body = (req.body.body || '').trim();
+  if (!body) return res.status(400).json({ error: 'Message body is required' });
+  if (body.length > 1600) return res.status(400).json({ error: 'Message is too long (1600 characters max)' });
+  if (!lead.phone || !normalizePhone(lead.phone)) return res.status(400).json({ error: 'Lead has no valid phone number' });
+  if (getPhoneOptOut(lead.phone)) return res.status(400).json({ error: 'Lead has opted out of SMS (replied STOP)' });
+
+  const id = queueSms({ leadId: lead.id, to: lead.phone, body, sentById: req.user.id });
+  processSmsQueue().catch(err => console.error('SMS send-now error:', err.message));
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'sms_sent', 'lead', lead.id, body.substring(0, 100), req.ip);
+  res.json({ success: true, id });
+});
+
 // Export leads to CSV
 router.get('/export/csv', authenticateToken, (req, res) => {
   const { landing_page_id, from_date, to_date } = req.query;
@@ -926,7 +1058,7 @@ router.get('/export/csv', authenticateToken, (req, res) => {
   const headers = [
     'ID', 'First Name', 'Last Name', 'Company', 'Email', 'Phone', 'Debt Amount',
     'Has MCA', 'Considered Bankruptcy', 'GCLID', 'RT Click ID', 'Eli Click ID',
-    'Cost', 'Landing Page', 'Traffic Source', 'Platform', 'Created At'
+    'Cost', 'Lead Score', 'Score Tier', 'Landing Page', 'Traffic Source', 'Platform', 'Created At'
   ];
 
   const rows = leads.map(l => [
@@ -943,6 +1075,8 @@ router.get('/export/csv', authenticateToken, (req, res) => {
     l.rt_clickid,
     l.eli_clickid,
     l.cost_cents ? `$${(l.cost_cents/100).toFixed(2)}` : '',
+    l.lead_score != null ? String(l.lead_score) : '',
+    l.lead_score_tier,
     l.landing_page_name,
     l.traffic_source,
     l.platform,
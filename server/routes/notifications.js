@@ -2,6 +2,8 @@ const express = require('express');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const { encrypt, decrypt, getSmtpConfig, createTransporter } = require('../lib/smtp');
+const alerts = require('../lib/alerts');
+const { publish } = require('../lib/live-events');
 
 const router = express.Router();
 
@@ -99,28 +101,92 @@ router.post('/lead-config', authenticateToken, (req, res) => {
 
 // ============ ALERT RULES CRUD ============
 
+const ALERT_FIELDS = [
+  'name', 'enabled', 'metric', 'condition', 'threshold', 'time_window_hours',
+  'secondary_metric', 'secondary_condition', 'secondary_threshold', 'email_recipients',
+  'platform', 'landing_page_id', 'baseline_offset_hours', 'baseline_samples',
+  'cooldown_minutes', 'auto_resolve', 'webhook_url', 'webhook_format'
+];
+
+// Validate and normalize a rule body; returns { error } or the column values
+function readAlertRule(body) {
+  const { name, metric, condition, threshold, time_window_hours } = body;
+  if (!name || !metric || !condition || threshold === undefined || threshold === null || threshold === '' || !time_window_hours) {
+    return { error: 'Name, metric, condition, threshold, and time_window_hours are required' };
+  }
+  if (!alerts.METRICS[metric]) return { error: `Unknown metric: ${metric}` };
+  if (!alerts.CONDITIONS[condition]) return { error: `Unknown condition: ${condition}` };
+  if (body.secondary_metric && !alerts.METRICS[body.secondary_metric]) return { error: `Unknown metric: ${body.secondary_metric}` };
+  if (body.secondary_metric && !['greater_than', 'less_than', 'equals'].includes(body.secondary_condition)) {
+    return { error: 'Secondary condition must be greater_than, less_than or equals' };
+  }
+
+  const samples = parseInt(body.baseline_samples) || 1;
+  if (condition.startsWith('zscore') && samples < alerts.MIN_ZSCORE_SAMPLES) {
+    return { error: `Z-score rules need at least ${alerts.MIN_ZSCORE_SAMPLES} baseline samples` };
+  }
+  const webhookUrl = (body.webhook_url || '').trim();
+  if (webhookUrl && !/^https:\/\//i.test(webhookUrl)) return { error: 'Webhook URL must start with https://' };
+  const webhookFormat = body.webhook_format || 'slack';
+  if (!alerts.WEBHOOK_FORMATS.includes(webhookFormat)) return { error: `Webhook format must be one of ${alerts.WEBHOOK_FORMATS.join(', ')}` };
+
+  return {
+    name,
+    enabled: body.enabled === undefined || body.enabled ? 1 : 0,
+    metric,
+    condition,
+    threshold: parseFloat(threshold),
+    time_window_hours: parseInt(time_window_hours),
+    secondary_metric: body.secondary_metric || null,
+    secondary_condition: body.secondary_metric ? body.secondary_condition : null,
+    secondary_threshold: body.secondary_metric && body.secondary_threshold !== undefined && body.secondary_threshold !== null ? parseFloat(body.secondary_threshold) : null,
+    email_recipients: body.email_recipients || '',
+    platform: body.platform || null,
+    landing_page_id: body.landing_page_id ? parseInt(body.landing_page_id) : null,
+    baseline_offset_hours: parseInt(body.baseline_offset_hours) || 168,
+    baseline_samples: Math.min(Math.max(samples, 1), 12),
+    cooldown_minutes: body.cooldown_minutes !== undefined && body.cooldown_minutes !== '' ? Math.max(parseInt(body.cooldown_minutes) || 0, 0) : 60,
+    auto_resolve: body.auto_resolve === undefined || body.auto_resolve ? 1 : 0,
+    webhook_url: webhookUrl || null,
+    webhook_format: webhookFormat
+  };
+}
+
 // GET /alert-rules
 router.get('/alert-rules', authenticateToken, (req, res) => {
-  const rules = db.prepare('SELECT * FROM alert_rules ORDER BY created_at DESC').all();
+  const rules = db.prepare(`
+    SELECT r.*, lp.name AS page_name FROM alert_rules r
+    LEFT JOIN landing_pages lp ON lp.id = r.landing_page_id
+    ORDER BY r.created_at DESC
+  `).all();
+  rules.forEach(r => { r.description = alerts.describeCondition(r); });
   res.json(rules);
 });
 
+// GET /alert-rules/options - metrics, conditions and webhook formats for the rule editor
+router.get('/alert-rules/options', authenticateToken, (req, res) => {
+  res.json({
+    metrics: Object.entries(alerts.METRICS).map(([id, m]) => ({ id, label: m.label })),
+    conditions: alerts.CONDITIONS,
+    baseline_conditions: alerts.BASELINE_CONDITIONS,
+    webhook_formats: alerts.WEBHOOK_FORMATS,
+    pages: db.prepare('SELECT id, name, platform FROM landing_pages ORDER BY name').all()
+  });
+});
+
 // POST /alert-rules
 router.post('/alert-rules', authenticateToken, (req, res) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
   }
 
-  const { name, metric, condition, threshold, time_window_hours, secondary_metric, secondary_condition, secondary_threshold, email_recipients } = req.body;
-
-  if (!name || !metric || !condition || threshold === undefined || !time_window_hours) {
-    return res.status(400).json({ error: 'Name, metric, condition, threshold, and time_window_hours are required' });
-  }
+  const rule = readAlertRule(req.body || {});
+  if (rule.error) return res.status(400).json({ error: rule.error });
 
   const result = db.prepare(`
-    INSERT INTO alert_rules (name, metric, condition, threshold, time_window_hours, secondary_metric, secondary_condition, secondary_threshold, email_recipients)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(name, metric, condition, threshold, time_window_hours, secondary_metric || null, secondary_condition || null, secondary_threshold !== undefined ? secondary_threshold : null, email_recipients || '');
+    INSERT INTO alert_rules (${ALERT_FIELDS.join(', ')})
+    VALUES (${ALERT_FIELDS.map(() => '?').join(', ')})
+  `).run(...ALERT_FIELDS.map(f => rule[f]));
 
   res.json({ message: 'Alert rule created', id: result.lastInsertRowid });
 });
@@ -131,13 +197,14 @@ router.put('/alert-rules/:id', authenticateToken, (req, res) => {
     return res.status(403).json({ error: 'Admin access required' });
   }
 
-  const { name, enabled, metric, condition, threshold, time_window_hours, secondary_metric, secondary_condition, secondary_threshold, email_recipients } = req.body;
+  const rule = readAlertRule(req.body || {});
+  if (rule.error) return res.status(400).json({ error: rule.error });
 
+  // Editing the condition starts the rule over; a stale "firing" state would resolve spuriously
   db.prepare(`
-    UPDATE alert_rules SET name = ?, enabled = ?, metric = ?, condition = ?, threshold = ?, time_window_hours = ?,
-    secondary_metric = ?, secondary_condition = ?, secondary_threshold = ?, email_recipients = ?
+    UPDATE alert_rules SET ${ALERT_FIELDS.map(f => `${f} = ?`).join(', ')}, state = 'ok'
     WHERE id = ?
-  `).run(name, enabled ? 1 : 0, metric, condition, threshold, time_window_hours, secondary_metric || null, secondary_condition || null, secondary_threshold !== undefined ? secondary_threshold : null, email_recipients || '', req.params.id);
+  `).run(...ALERT_FIELDS.map(f => rule[f]), req.params.id);
 
   res.json({ message: 'Alert rule updated' });
 });
@@ -148,10 +215,36 @@ router.delete('/alert-rules/:id', authenticateToken, (req, res) => {
     return res.status(403).json({ error: 'Admin access required' });
   }
 
+  db.prepare('DELETE FROM alert_events WHERE rule_id = ?').run(req.params.id);
   db.prepare('DELETE FROM alert_rules WHERE id = ?').run(req.params.id);
   res.json({ message: 'Alert rule deleted' });
 });
 
+// POST /alert-rules/preview - evaluate an unsaved rule body now without notifying
+router.post('/alert-rules/preview', authenticateToken, (req, res) => {
+  const rule = readAlertRule(req.body || {});
+  if (rule.error) return res.status(400).json({ error: rule.error });
+  try {
+    const m = alerts.measure(rule);
+    res.json({
+      value: m.value,
+      baseline: m.mean,
+      samples: m.samples,
+      zscore: rule.condition.startsWith('zscore') ? alerts.fmt(null, alerts.zScore(m)) : null,
+      breached: alerts.breaches(rule, m),
+      description: alerts.describeCondition(rule)
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /alert-rules/:id/events - trigger / resolve history
+router.get('/alert-rules/:id/events', authenticateToken, (req, res) => {
+  const events = db.prepare('SELECT * FROM alert_events WHERE rule_id = ? ORDER BY created_at DESC, id DESC LIMIT 100').all(req.params.id);
+  res.json(events);
+});
+
 // ============ EXPORTED HELPERS ============
 
 /**
@@ -195,45 +288,53 @@ async function sendLeadNotification(lead, landingPage) {
 }
 
 /**
- * Evaluate all enabled alert rules against DB metrics
+ * Evaluate all enabled alert rules (metrics and conditions in lib/alerts.js).
+ * A rule that starts breaching notifies and goes to state 'firing'; while it
+ * stays breached it re-notifies at most once per cooldown_minutes; when it
+ * recovers it goes back to 'ok' and, with auto_resolve, sends a resolved notice.
  */
 async function evaluateAlertRules() {
   try {
-    const rules = db.prepare('SELECT * FROM alert_rules WHERE enabled = 1').all();
+    const rules = db.prepare(`
+      SELECT r.*, lp.name AS page_name FROM alert_rules r
+      LEFT JOIN landing_pages lp ON lp.id = r.landing_page_id
+      WHERE r.enabled = 1
+    `).all();
     if (rules.length === 0) return;
 
     console.log(`Alert evaluation: checking ${rules.length} rule(s)...`);
 
     for (const rule of rules) {
       try {
-        // 1-hour cooldown
-        if (rule.last_triggered_at) {
-          const lastTriggered = new Date(rule.last_triggered_at).getTime();
-          if (Date.now() - lastTriggered < 60 * 60 * 1000) continue;
-        }
-
-        const windowStart = new Date(Date.now() - rule.time_window_hours * 60 * 60 * 1000).toISOString();
-
-        // Get primary metric value
-        const primaryValue = getMetricValue(rule.metric, windowStart);
-
-        // Check primary condition
-        if (!checkCondition(primaryValue, rule.condition, rule.threshold)) continue;
+        const m = alerts.measure(rule);
+        let breached = alerts.breaches(rule, m);
 
-        // Check secondary condition if present
-        if (rule.secondary_metric && rule.secondary_condition !== null && rule.secondary_threshold !== null) {
-          const secondaryValue = getMetricValue(rule.secondary_metric, windowStart);
-          if (!checkCondition(secondaryValue, rule.secondary_condition, rule.secondary_threshold)) continue;
+        // Secondary condition narrows the primary (e.g. spend > $200 AND leads < 1)
+        if (breached && rule.secondary_metric && rule.secondary_condition && rule.secondary_threshold !== null) {
+          const secondary = { ...rule, metric: rule.secondary_metric, condition: rule.secondary_condition, threshold: rule.secondary_threshold };
+          breached = alerts.breaches(secondary, alerts.measure(secondary));
         }
 
-        // Rule triggered - send email
-        console.log(`Alert triggered: "${rule.name}" (${rule.metric} = ${primaryValue})`);
-
-        if (rule.notify_email) {
-          await sendAlertEmail(rule, primaryValue);
+        db.prepare('UPDATE alert_rules SET last_value = ?, last_baseline = ?, last_evaluated_at = CURRENT_TIMESTAMP WHERE id = ?')
+          .run(isFinite(m.value) ? m.value : null, m.mean, rule.id);
+        rule.last_value = m.value;
+        rule.last_baseline = m.mean;
+
+        if (breached) {
+          const firing = rule.state === 'firing';
+          const cooldownMs = (rule.cooldown_minutes ?? 60) * 60 * 1000;
+          const lastTriggered = rule.last_triggered_at ? new Date(rule.last_triggered_at.replace(' ', 'T') + 'Z').getTime() : 0;
+          if (firing && Date.now() - lastTriggered < cooldownMs) continue;
+
+          console.log(`Alert ${firing ? 'still firing' : 'triggered'}: "${rule.name}" (${rule.metric} = ${m.value})`);
+          db.prepare("UPDATE alert_rules SET state = 'firing', last_triggered_at = CURRENT_TIMESTAMP WHERE id = ?").run(rule.id);
+          await notifyAlert(firing ? 'reminder' : 'triggered', rule, m);
+        } else if (rule.state === 'firing') {
+          console.log(`Alert resolved: "${rule.name}" (${rule.metric} = ${m.value})`);
+          db.prepare("UPDATE alert_rules SET state = 'ok', last_resolved_at = CURRENT_TIMESTAMP WHERE id = ?").run(rule.id);
+          if (rule.auto_resolve) await notifyAlert('resolved', rule, m);
+          else recordAlertEvent('resolved', rule, m);
         }
-
-        db.prepare('UPDATE alert_rules SET last_triggered_at = CURRENT_TIMESTAMP WHERE id = ?').run(rule.id);
       } catch (err) {
         console.error(`Error evaluating rule "${rule.name}":`, err.message);
       }
@@ -243,43 +344,47 @@ async function evaluateAlertRules() {
   }
 }
 
-function getMetricValue(metric, windowStart) {
-  switch (metric) {
-    case 'spend': {
-      const row = db.prepare('SELECT COALESCE(SUM(cost_cents), 0) as val FROM leads WHERE created_at >= ?').get(windowStart);
-      return (row.val || 0) / 100; // Return in dollars
-    }
-    case 'leads': {
-      const row = db.prepare('SELECT COUNT(*) as val FROM leads WHERE created_at >= ?').get(windowStart);
-      return row.val || 0;
-    }
-    case 'visitors': {
-      const row = db.prepare('SELECT COUNT(*) as val FROM visitors WHERE first_visit >= ?').get(windowStart);
-      return row.val || 0;
-    }
-    case 'clicks': {
-      const row = db.prepare("SELECT COUNT(*) as val FROM visitors WHERE first_visit >= ? AND (gclid IS NOT NULL AND gclid != '')").get(windowStart);
-      return row.val || 0;
-    }
-    case 'conversions': {
-      const row = db.prepare("SELECT COUNT(*) as val FROM conversion_events WHERE created_at >= ? AND status = 'sent'").get(windowStart);
-      return row.val || 0;
-    }
-    default:
-      return 0;
-  }
+function alertLines(rule, m) {
+  const lines = [
+    `Condition: ${alerts.describeCondition(rule)}`,
+    `Current value: ${alerts.fmt(rule.metric, m.value)}`
+  ];
+  if (m.mean !== null) lines.push(`Baseline: ${alerts.fmt(rule.metric, m.mean)}${m.samples.length > 1 ? ` (mean of ${m.samples.length} windows)` : ''}`);
+  if (rule.condition.startsWith('zscore')) lines.push(`Z-score: ${alerts.fmt(null, alerts.zScore(m))}`);
+  if (rule.secondary_metric) lines.push(`Secondary: ${rule.secondary_metric} ${(rule.secondary_condition || '').replace('_', ' ')} ${rule.secondary_threshold}`);
+  return lines;
+}
+
+function recordAlertEvent(kind, rule, m, message) {
+  db.prepare('INSERT INTO alert_events (rule_id, kind, value, baseline, message) VALUES (?, ?, ?, ?, ?)')
+    .run(rule.id, kind, isFinite(m.value) ? m.value : null, m.mean, message || null);
 }
 
-function checkCondition(value, condition, threshold) {
-  switch (condition) {
-    case 'greater_than': return value > threshold;
-    case 'less_than': return value < threshold;
-    case 'equals': return value === threshold;
-    default: return false;
+// Email and/or incoming-webhook notification; webhooks go through the outbox for retries
+async function notifyAlert(kind, rule, m) {
+  const title = kind === 'resolved' ? `Resolved: ${rule.name}` : `Alert: ${rule.name}`;
+  const lines = alertLines(rule, m);
+  recordAlertEvent(kind, rule, m, lines.join('\n'));
+  publish(kind === 'resolved' ? 'alert.resolved' : 'alert.triggered', { id: rule.id, name: rule.name, kind, title, details: lines });
+
+  if (rule.webhook_url) {
+    try {
+      const { enqueueDelivery } = require('../outbox');
+      enqueueDelivery('webhook', { url: rule.webhook_url, body: alerts.webhookBody(rule.webhook_format, { kind, rule, title, lines }) }, { target: `alert:${rule.id}` });
+    } catch (err) {
+      console.error(`Alert webhook enqueue failed for "${rule.name}":`, err.message);
+    }
+  }
+  if (rule.notify_email) {
+    try {
+      await sendAlertEmail(rule, title, lines, kind);
+    } catch (err) {
+      console.error(`Alert email failed for "${rule.name}":`, err.message);
+    }
   }
 }
 
-async function sendAlertEmail(rule, currentValue) {
+async function sendAlertEmail(rule, title, lines, kind) {
   const transporter = createTransporter();
   if (!transporter) return;
 
@@ -287,24 +392,19 @@ async function sendAlertEmail(rule, currentValue) {
   const recipients = (rule.email_recipients || '').split(',').map(e => e.trim()).filter(Boolean);
   if (recipients.length === 0) return;
 
-  const conditionText = rule.condition.replace('_', ' ');
-
   await transporter.sendMail({
     from: smtpConfig.smtp_from || smtpConfig.smtp_user,
     to: recipients.join(', '),
-    subject: `Alert: ${rule.name}`,
+    subject: title,
     html: `
-      <h2>Alert Rule Triggered</h2>
+      <h2>${kind === 'resolved' ? 'Alert Resolved' : 'Alert Rule Triggered'}</h2>
       <p><strong>Rule:</strong> ${rule.name}</p>
-      <p><strong>Condition:</strong> ${rule.metric} ${conditionText} ${rule.threshold}</p>
-      <p><strong>Current Value:</strong> ${currentValue}</p>
-      <p><strong>Time Window:</strong> Last ${rule.time_window_hours} hour(s)</p>
-      ${rule.secondary_metric ? `<p><strong>Secondary:</strong> ${rule.secondary_metric} ${(rule.secondary_condition || '').replace('_', ' ')} ${rule.secondary_threshold}</p>` : ''}
+      ${lines.map(l => `<p>${l.replace(/^([^:]+):/, '<strong>$1:</strong>')}</p>`).join('')}
       <p style="color:#666;font-size:12px;margin-top:16px;">Sent from Coastal Debt CMS</p>
     `
   });
 
-  console.log(`Alert email sent for rule "${rule.name}" to:`, recipients.join(', '));
+  console.log(`Alert email (${kind}) sent for rule "${rule.name}" to:`, recipients.join(', '));
 }
 
 module.exports = router;
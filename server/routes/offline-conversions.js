@@ -0,0 +1,137 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const offline = require('../lib/offline-conversions');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+function ruleFromBody(body, existing = {}) {
+  const merged = { ...existing, ...body };
+  return {
+    name: String(merged.name || '').trim(),
+    trigger_type: merged.trigger_type,
+    stage_name: merged.trigger_type === 'stage' ? String(merged.stage_name || '').trim() : null,
+    conversion_action_id: String(merged.conversion_action_id || '').trim(),
+    value_source: merged.value_source || 'none',
+    value_multiplier: merged.value_multiplier === undefined || merged.value_multiplier === null || merged.value_multiplier === '' ? 1 : parseFloat(merged.value_multiplier),
+    fixed_value: merged.fixed_value === undefined || merged.fixed_value === null || merged.fixed_value === '' ? null : parseFloat(merged.fixed_value),
+    currency: String(merged.currency || 'USD').trim().toUpperCase().slice(0, 3),
+    is_active: merged.is_active === undefined ? 1 : (merged.is_active ? 1 : 0)
+  };
+}
+
+// GET /rules - rules plus the trigger / value catalogs and scheduler settings
+router.get('/rules', authenticateToken, (req, res) => {
+  const rules = db.prepare(`
+    SELECT r.*,
+      (SELECT COUNT(*) FROM conversion_events ce WHERE ce.offline_rule_id = r.id AND ce.status = 'sent') as sent_count,
+      (SELECT COUNT(*) FROM conversion_events ce WHERE ce.offline_rule_id = r.id AND ce.status = 'failed') as failed_count,
+      (SELECT MAX(sent_at) FROM conversion_events ce WHERE ce.offline_rule_id = r.id) as last_sent_at
+    FROM offline_conversion_rules r ORDER BY r.id ASC
+  `).all();
+  res.json({
+    rules,
+    triggers: offline.TRIGGERS,
+    value_sources: offline.VALUE_SOURCES,
+    stages: db.prepare('SELECT DISTINCT name FROM pipeline_stages ORDER BY name').all().map(s => s.name),
+    settings: offline.getSettings()
+  });
+});
+
+router.post('/rules', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  const rule = ruleFromBody(req.body || {});
+  const error = offline.validateRule(rule);
+  if (error) return res.status(400).json({ error });
+
+  const result = db.prepare(`
+    INSERT INTO offline_conversion_rules (name, trigger_type, stage_name, conversion_action_id, value_source, value_multiplier, fixed_value, currency, is_active)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(rule.name, rule.trigger_type, rule.stage_name, rule.conversion_action_id, rule.value_source, rule.value_multiplier, rule.fixed_value, rule.currency, rule.is_active);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'offline_conversion_rule', result.lastInsertRowid, `Offline conversion rule: ${rule.name}`, req.ip);
+  res.json(db.prepare('SELECT * FROM offline_conversion_rules WHERE id = ?').get(result.lastInsertRowid));
+});
+
+router.put('/rules/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  const existing = db.prepare('SELECT * FROM offline_conversion_rules WHERE id = ?').get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Rule not found' });
+  const rule = ruleFromBody(req.body || {}, existing);
+  const error = offline.validateRule(rule);
+  if (error) return res.status(400).json({ error });
+
+  db.prepare(`
+    UPDATE offline_conversion_rules SET name = ?, trigger_type = ?, stage_name = ?, conversion_action_id = ?, value_source = ?,
+      value_multiplier = ?, fixed_value = ?, currency = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(rule.name, rule.trigger_type, rule.stage_name, rule.conversion_action_id, rule.value_source, rule.value_multiplier, rule.fixed_value, rule.currency, rule.is_active, existing.id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'offline_conversion_rule', existing.id, `Offline conversion rule: ${rule.name}`, req.ip);
+  res.json(db.prepare('SELECT * FROM offline_conversion_rules WHERE id = ?').get(existing.id));
+});
+
+// Upload history stays in conversion_events; only the rule goes
+router.delete('/rules/:id', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  const rule = db.prepare('SELECT * FROM offline_conversion_rules WHERE id = ?').get(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Rule not found' });
+  db.prepare('DELETE FROM offline_conversion_rules WHERE id = ?').run(rule.id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'offline_conversion_rule', rule.id, `Offline conversion rule: ${rule.name}`, req.ip);
+  res.json({ message: 'Rule deleted' });
+});
+
+// PUT /settings - { enabled, lookback_days }
+router.put('/settings', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  try {
+    const settings = offline.saveSettings(req.body || {});
+    if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'settings', null,
+      `Offline conversion import ${settings.enabled ? 'enabled' : 'disabled'} (lookback ${settings.lookback_days} days)`, req.ip);
+    res.json(settings);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /preview?rule_id= - dry run: exactly what the next import would send
+// (hashed identifiers included) and what it would skip
+router.get('/preview', authenticateToken, (req, res) => {
+  const ruleId = req.query.rule_id ? parseInt(req.query.rule_id) : null;
+  const { items, skipped } = offline.collectOfflineConversions({ ruleId });
+  res.json({
+    uploads: items.filter(i => i.kind === 'upload').length,
+    restatements: items.filter(i => i.kind === 'restatement').length,
+    items,
+    skipped
+  });
+});
+
+// POST /run - { dry_run, rule_id } run the import now
+router.post('/run', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  const { dry_run, rule_id } = req.body || {};
+  const result = await offline.runOfflineConversions({ dryRun: !!dry_run, ruleId: rule_id ? parseInt(rule_id) : null, source: 'manual' });
+  if (result.error) return res.status(400).json(result);
+  if (!result.dry_run && logActivity) {
+    logActivity(req.user.id, req.user.name || req.user.email, 'sent', 'offline_conversions', null,
+      `Offline conversion import: ${result.uploaded} uploaded, ${result.restated} restated, ${result.failed} failed`, req.ip);
+  }
+  res.json(result);
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const { KINDS, replayDelivery } = require('../outbox');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+// GET / - list deliveries (filter by status, kind, lead)
+router.get('/', authenticateToken, (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = (page - 1) * limit;
+
+  let where = '1=1';
+  const params = [];
+  if (req.query.status) { where += ' AND d.status = ?'; params.push(req.query.status); }
+  if (req.query.kind) { where += ' AND d.kind = ?'; params.push(req.query.kind); }
+  if (req.query.lead_id) { where += ' AND d.lead_id = ?'; params.push(parseInt(req.query.lead_id)); }
+
+  const total = db.prepare(`SELECT COUNT(*) as total FROM outbox_deliveries d WHERE ${where}`).get(...params).total;
+  const deliveries = db.prepare(`
+    SELECT d.id, d.kind, d.lead_id, d.conversion_event_id, d.target, d.status, d.attempts, d.max_attempts,
+      d.replay_count, d.next_attempt_at, d.last_error, d.last_status_code, d.delivered_at, d.created_at, d.updated_at,
+      l.first_name, l.last_name
+    FROM outbox_deliveries d
+    LEFT JOIN leads l ON d.lead_id = l.id
+    WHERE ${where}
+    ORDER BY d.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  res.json({ deliveries, kinds: KINDS, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+});
+
+// GET /stats - counts per kind and status
+router.get('/stats', authenticateToken, (req, res) => {
+  const rows = db.prepare(`
+    SELECT kind, status, COUNT(*) as count FROM outbox_deliveries GROUP BY kind, status
+  `).all();
+
+  const totals = { pending: 0, processing: 0, delivered: 0, dead: 0 };
+  const byKind = {};
+  for (const row of rows) {
+    totals[row.status] = (totals[row.status] || 0) + row.count;
+    if (!byKind[row.kind]) byKind[row.kind] = { pending: 0, processing: 0, delivered: 0, dead: 0 };
+    byKind[row.kind][row.status] = row.count;
+  }
+  res.json({ totals, by_kind: byKind });
+});
+
+// POST /replay-dead - replay every dead-lettered delivery (optionally one kind)
+router.post('/replay-dead', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const { kind } = req.body || {};
+  if (kind && !KINDS.includes(kind)) return res.status(400).json({ error: 'Invalid kind' });
+
+  const dead = db.prepare(`
+    SELECT id FROM outbox_deliveries WHERE status = 'dead' ${kind ? 'AND kind = ?' : ''} ORDER BY id ASC LIMIT 500
+  `).all(...(kind ? [kind] : []));
+
+  let delivered = 0;
+  for (const { id } of dead) {
+    const result = await replayDelivery(id);
+    if (result.success) delivered++;
+  }
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'replayed', 'outbox_delivery', null, `Replayed ${dead.length} dead deliveries${kind ? ` (${kind})` : ''}, ${delivered} delivered`, req.ip);
+  res.json({ replayed: dead.length, delivered, failed: dead.length - delivered });
+});
+
+// GET /:id - delivery with payload and attempt history
+router.get('/:id', authenticateToken, (req, res) => {
+  const delivery = db.prepare(`
+    SELECT d.*, l.first_name, l.last_name
+    FROM outbox_deliveries d
+    LEFT JOIN leads l ON d.lead_id = l.id
+    WHERE d.id = ?
+  `).get(req.params.id);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+
+  try { delivery.payload = JSON.parse(delivery.payload); } catch (e) {}
+  delivery.attempt_log = db.prepare(`
+    SELECT attempt, success, status_code, error, duration_ms, created_at
+    FROM outbox_attempts WHERE delivery_id = ? ORDER BY id ASC
+  `).all(delivery.id);
+
+  res.json(delivery);
+});
+
+// POST /:id/replay - reset a delivery's retry budget and attempt it now
+router.post('/:id/replay', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const id = parseInt(req.params.id);
+  const delivery = db.prepare('SELECT id, kind, status, target FROM outbox_deliveries WHERE id = ?').get(id);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+  if (delivery.status === 'delivered') return res.status(400).json({ error: 'Delivery already succeeded' });
+
+  const result = await replayDelivery(id);
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'replayed', 'outbox_delivery', id, `Replayed ${delivery.kind} delivery #${id}${delivery.target ? ' to ' + delivery.target : ''}: ${result.success ? 'delivered' : 'failed'}`, req.ip);
+
+  const updated = db.prepare('SELECT status, attempts, max_attempts, next_attempt_at, last_error FROM outbox_deliveries WHERE id = ?').get(id);
+  res.json({ success: !!result.success, error: result.error || null, ...updated });
+});
+
+module.exports = router;
@@ -4,6 +4,12 @@ const path = require('path');
 const multer = require('multer');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
+const FormLogic = require('../lib/form-logic');
+const experiments = require('../lib/experiments');
+const { toSqliteUtc } = require('../lib/timezone');
+const revisions = require('../lib/revisions');
+const { withEngagementBeacon } = require('../lib/visitor-events');
+const { withFormGuard } = require('../lib/fraud');
 
 const router = express.Router();
 
@@ -776,6 +782,7 @@ router.post('/', authenticateToken, (req, res) => {
 
     // Generate the landing page HTML
     generateLandingPage(result.lastInsertRowid);
+    revisions.recordRevision('page', result.lastInsertRowid, { source: 'created', user: req.user });
 
     if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'page', result.lastInsertRowid, `Created page: ${name}`, req.ip);
     res.json({ id: result.lastInsertRowid, slug: safeSlug, message: 'Page created' });
@@ -821,6 +828,7 @@ router.post('/:id/duplicate', authenticateToken, (req, res) => {
     );
 
     generateLandingPage(result.lastInsertRowid);
+    revisions.recordRevision('page', result.lastInsertRowid, { source: 'created', user: req.user, note: `Duplicated from ${page.name}` });
 
     if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'duplicated', 'page', result.lastInsertRowid, `Duplicated page: ${page.name} → ${newSlug}`, req.ip);
     res.json({ id: result.lastInsertRowid, slug: newSlug, message: 'Page duplicated' });
@@ -829,18 +837,35 @@ router.post('/:id/duplicate', authenticateToken, (req, res) => {
   }
 });
 
+// Column values a PUT /:id body writes, falling back to the current row.
+// Shared with POST /:id/draft so a draft is exactly what the save would be.
+function pageUpdateColumns(page, body) {
+  const { name, slug, platform, traffic_source, webhook_url, form_id, content, sections_visible, hidden_fields, is_active, template_type } = body;
+  const validTypes = ['call', 'game', 'article', 'form', 'authority', 'join', 'leadgen', 'mca-variant', 'rich', 'pdf', 'pdf-v2', 'cobrand', 'join-v2'];
+  return {
+    name: name || page.name,
+    slug: slug ? slug.toLowerCase().replace(/[^a-z0-9-]/g, '-') : page.slug,
+    platform: platform || page.platform,
+    traffic_source: traffic_source !== undefined ? traffic_source : page.traffic_source,
+    webhook_url: webhook_url !== undefined ? webhook_url : page.webhook_url,
+    form_id: form_id !== undefined ? form_id : page.form_id,
+    content: content ? JSON.stringify(content) : page.content,
+    sections_visible: sections_visible ? JSON.stringify(sections_visible) : page.sections_visible,
+    hidden_fields: hidden_fields ? JSON.stringify(hidden_fields) : page.hidden_fields,
+    is_active: is_active !== undefined ? (is_active ? 1 : 0) : page.is_active,
+    template_type: validTypes.includes(template_type) ? template_type : page.template_type
+  };
+}
+
 // Update landing page
 router.put('/:id', authenticateToken, (req, res) => {
-  const { name, slug, platform, traffic_source, webhook_url, form_id, content, sections_visible, hidden_fields, is_active, template_type } = req.body;
-
   const page = db.prepare('SELECT * FROM landing_pages WHERE id = ?').get(req.params.id);
   if (!page) {
     return res.status(404).json({ error: 'Page not found' });
   }
 
-  const safeSlug = slug ? slug.toLowerCase().replace(/[^a-z0-9-]/g, '-') : page.slug;
-  const validTypes = ['call', 'game', 'article', 'form', 'authority', 'join', 'leadgen', 'mca-variant', 'rich', 'pdf', 'pdf-v2', 'cobrand', 'join-v2'];
-  const validTemplateType = validTypes.includes(template_type) ? template_type : page.template_type;
+  const columns = pageUpdateColumns(page, req.body);
+  revisions.captureBaseline('page', page.id);
 
   db.prepare(`
     UPDATE landing_pages SET
@@ -849,25 +874,32 @@ router.put('/:id', authenticateToken, (req, res) => {
       updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `).run(
-    name || page.name,
-    safeSlug,
-    platform || page.platform,
-    traffic_source !== undefined ? traffic_source : page.traffic_source,
-    webhook_url !== undefined ? webhook_url : page.webhook_url,
-    form_id !== undefined ? form_id : page.form_id,
-    content ? JSON.stringify(content) : page.content,
-    sections_visible ? JSON.stringify(sections_visible) : page.sections_visible,
-    hidden_fields ? JSON.stringify(hidden_fields) : page.hidden_fields,
-    is_active !== undefined ? (is_active ? 1 : 0) : page.is_active,
-    validTemplateType,
+    columns.name, columns.slug, columns.platform, columns.traffic_source, columns.webhook_url, columns.form_id,
+    columns.content, columns.sections_visible, columns.hidden_fields, columns.is_active, columns.template_type,
     req.params.id
   );
 
   // Regenerate the landing page HTML
   generateLandingPage(req.params.id);
+  const revision = revisions.recordRevision('page', page.id, { user: req.user, note: req.body.revision_note });
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'page', parseInt(req.params.id), `Updated page: ${columns.name}`, req.ip);
+  res.json({ message: 'Page updated', revision_id: revision ? revision.id : null });
+});
+
+// Save edits as a draft: the live page and its file stay as they are until
+// the draft is published from the history panel (see routes/revisions.js).
+// Slug, platform, traffic source and active state aren't content and aren't
+// part of drafts — change those with a normal save.
+router.post('/:id/draft', authenticateToken, (req, res) => {
+  const page = db.prepare('SELECT * FROM landing_pages WHERE id = ?').get(req.params.id);
+  if (!page) {
+    return res.status(404).json({ error: 'Page not found' });
+  }
 
-  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'page', parseInt(req.params.id), `Updated page: ${name || page.name}`, req.ip);
-  res.json({ message: 'Page updated' });
+  const draft = revisions.saveDraft('page', page.id, pageUpdateColumns(page, req.body), { user: req.user, note: req.body.revision_note });
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'drafted', 'page', page.id, `Saved draft #${draft.revision_number} of ${page.name}`, req.ip);
+  res.json({ message: 'Draft saved', revision_id: draft.id, revision_number: draft.revision_number, changes: draft.diff.length, preview_url: `/preview/${draft.preview_token}` });
 });
 
 // Bulk-create one LP per ad group of a Google Ads campaign.
@@ -976,6 +1008,7 @@ router.post('/bulk-create-from-campaign', authenticateToken, async (req, res) =>
       );
 
       generateLandingPage(result.lastInsertRowid);
+      revisions.recordRevision('page', result.lastInsertRowid, { source: 'created', user: req.user });
 
       created.push({
         id: result.lastInsertRowid,
@@ -1110,6 +1143,7 @@ async function generateContentForCreatedLps(createdLps, cookieHeader) {
       db.prepare('UPDATE landing_pages SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
         .run(JSON.stringify(merged), lp.id);
       generateLandingPage(lp.id);
+      revisions.recordRevision('page', lp.id, { source: 'ai_generated' });
       console.log(`[bulk-create] ✓ LP ${lp.id}: headline="${merged.headline || ''}"`);
     } catch (e) {
       console.error(`[bulk-create] AI content gen failed for LP ${lp.id}:`, e.message);
@@ -1155,11 +1189,16 @@ router.post('/:id/regen-ai-from-folder', authenticateToken, async (req, res) =>
     try { current = JSON.parse(page.content || '{}'); } catch (e) {}
     const merged = flattenAIContent(aiData.content, current);
 
+    // Keep the pre-regen content as a revision so a bad generation can be rolled back
+    revisions.captureBaseline('page', page.id);
     db.prepare('UPDATE landing_pages SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
       .run(JSON.stringify(merged), page.id);
     generateLandingPage(page.id);
+    const revision = revisions.recordRevision('page', page.id, {
+      source: 'ai_regen', user: req.user, note: `AI regenerated from: ${topKeywords.slice(0, 3).join(', ')}`
+    });
 
-    res.json({ success: true, top_keywords: topKeywords, headline: merged.headline });
+    res.json({ success: true, top_keywords: topKeywords, headline: merged.headline, revision_id: revision ? revision.id : null });
   } catch (err) {
     console.error('regen-ai-from-folder failed:', err);
     res.status(500).json({ error: err.message });
@@ -1186,9 +1225,11 @@ router.post('/:id/upload-pdf', authenticateToken, (req, res) => {
     content.pdfUrl = url;
     content.pdfName = req.file.originalname;
     content.pdfSize = req.file.size;
+    revisions.captureBaseline('page', page.id);
     db.prepare(`UPDATE landing_pages SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
       .run(JSON.stringify(content), req.params.id);
     generateLandingPage(page.id);
+    revisions.recordRevision('page', page.id, { source: 'pdf_upload', user: req.user, note: `Uploaded ${req.file.originalname}` });
     res.json({ success: true, pdfUrl: url, pdfName: req.file.originalname, pdfSize: req.file.size });
   });
 });
@@ -1221,14 +1262,16 @@ router.put('/:id/content', authenticateToken, (req, res) => {
     return res.status(404).json({ error: 'Page not found' });
   }
 
+  revisions.captureBaseline('page', page.id);
   db.prepare(`
     UPDATE landing_pages SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
   `).run(JSON.stringify(content), req.params.id);
 
   // Regenerate the landing page HTML
   generateLandingPage(req.params.id);
+  const revision = revisions.recordRevision('page', page.id, { user: req.user, note: req.body.revision_note });
 
-  res.json({ message: 'Content updated' });
+  res.json({ message: 'Content updated', revision_id: revision ? revision.id : null });
 });
 
 // Delete landing page
@@ -1244,6 +1287,8 @@ router.delete('/:id', authenticateToken, (req, res) => {
   }
 
   db.prepare('DELETE FROM leads WHERE landing_page_id = ?').run(req.params.id);
+  db.prepare('DELETE FROM page_experiments WHERE landing_page_id = ?').run(req.params.id);
+  db.prepare("DELETE FROM content_revisions WHERE entity_type = 'page' AND entity_id = ?").run(req.params.id);
   db.prepare('DELETE FROM landing_pages WHERE id = ?').run(req.params.id);
 
   if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'page', parseInt(req.params.id), `Deleted page: ${page?.slug || req.params.id}`, req.ip);
@@ -1259,6 +1304,9 @@ router.put('/:id/ab-config', authenticateToken, (req, res) => {
   if (!ab_config || typeof ab_config !== 'object') {
     return res.status(400).json({ error: 'ab_config object required' });
   }
+  if (ab_config.enabled && experiments.getRunningExperiment(page.id)) {
+    return res.status(400).json({ error: 'Stop the running experiment on this page before enabling the A/B test' });
+  }
 
   db.prepare('UPDATE landing_pages SET ab_config = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
     .run(JSON.stringify(ab_config), req.params.id);
@@ -1290,7 +1338,8 @@ router.get('/:id/ab-debug', authenticateToken, (req, res) => {
   });
 });
 
-// Get A/B test stats (per-variant visitors, leads)
+// Get A/B test stats (per-variant visitors, funnel steps, leads, downstream
+// events and significance; ?metric=leads|qualified|signed, ?experiment_id=)
 router.get('/:id/ab-stats', authenticateToken, (req, res) => {
   const page = db.prepare('SELECT id, slug, ab_config FROM landing_pages WHERE id = ?').get(req.params.id);
   if (!page) return res.status(404).json({ error: 'Page not found' });
@@ -1318,6 +1367,33 @@ router.get('/:id/ab-stats', authenticateToken, (req, res) => {
     leadB += db.prepare("SELECT COUNT(*) as c FROM leads WHERE landing_page_id = ?").get(variantBPageId)?.c || 0;
   }
 
+  // Funnel steps, downstream events and significance per variant
+  const visitorFilterA = { where: "v.landing_page LIKE ? AND (v.ab_variant = 'A' OR v.ab_variant = '' OR v.ab_variant IS NULL)", params: [`%${page.slug}%`] };
+  const visitorFilterB = { where: "v.landing_page LIKE ? AND v.ab_variant = 'B'", params: [`%${page.slug}%`] };
+  const leadFilterA = { where: "l.landing_page_id = ? AND (l.ab_variant = 'A' OR l.ab_variant = '' OR l.ab_variant IS NULL)", params: [pageId] };
+  const leadFilterB = { where: "l.landing_page_id = ? AND l.ab_variant = 'B'", params: [pageId] };
+  if (variantBPageId) {
+    const bPage = db.prepare('SELECT slug FROM landing_pages WHERE id = ?').get(variantBPageId);
+    if (bPage) {
+      visitorFilterB.where = `(${visitorFilterB.where} OR v.landing_page LIKE ?)`;
+      visitorFilterB.params.push(`%${bPage.slug}%`);
+    }
+    leadFilterB.where = `(${leadFilterB.where} OR l.landing_page_id = ?)`;
+    leadFilterB.params.push(variantBPageId);
+  }
+  const comparison = experiments.compareArms([
+    { key: 'A', name: 'Control', ...experiments.armMetrics(visitorFilterA, leadFilterA) },
+    { key: 'B', name: 'Variant B', ...experiments.armMetrics(visitorFilterB, leadFilterB) }
+  ], req.query.metric);
+
+  // Experiment arms: the one asked for, else the page's latest
+  const experimentRow = req.query.experiment_id
+    ? experiments.getExperiment(req.query.experiment_id)
+    : experiments.listExperiments(pageId)[0];
+  const experiment = experimentRow && experimentRow.landing_page_id === pageId
+    ? { id: experimentRow.id, name: experimentRow.name, status: experimentRow.status, ...experiments.experimentStats(experimentRow) }
+    : null;
+
   // Get actual lead records for both variants
   const leadsA = db.prepare("SELECT id, first_name, last_name, email, phone, created_at FROM leads WHERE landing_page_id = ? AND (ab_variant = 'A' OR ab_variant = '' OR ab_variant IS NULL) ORDER BY created_at DESC LIMIT 20").all(pageId);
   let leadsB = db.prepare("SELECT id, first_name, last_name, email, phone, created_at, ab_variant FROM leads WHERE landing_page_id = ? AND ab_variant = 'B' ORDER BY created_at DESC LIMIT 20").all(pageId);
@@ -1329,14 +1405,177 @@ router.get('/:id/ab-stats', authenticateToken, (req, res) => {
   res.json({
     visitors: { A: visitorA, B: visitorB },
     leads: { A: leadA, B: leadB },
-    leadRecords: { A: leadsA, B: leadsB }
+    leadRecords: { A: leadsA, B: leadsB },
+    metric: comparison.metric,
+    arms: comparison.arms,
+    winner: comparison.winner,
+    experiment
   });
 });
 
+// ============ A/B/n experiments ============
+
+// Checks the fields shared by create and update. Returns an error string or
+// writes the cleaned values onto `out`.
+function readExperimentBody(body, pageId, out) {
+  if (body.name !== undefined) {
+    out.name = String(body.name || '').trim();
+    if (!out.name) return 'Experiment name is required';
+  }
+  if (body.primary_metric !== undefined) {
+    if (!experiments.METRICS.includes(body.primary_metric)) return `Primary metric must be one of: ${experiments.METRICS.join(', ')}`;
+    out.primary_metric = body.primary_metric;
+  }
+  for (const key of ['start_at', 'end_at']) {
+    if (body[key] === undefined) continue;
+    const value = toSqliteUtc(body[key]);
+    if (body[key] && !value) return `Invalid ${key.replace('_at', '')} date`;
+    out[key] = value;
+  }
+  if (out.start_at && out.end_at && out.end_at <= out.start_at) return 'End date must be after the start date';
+  if (body.arms !== undefined) {
+    const checked = experiments.validateArms(body.arms, pageId);
+    if (checked.error) return checked.error;
+    out.arms = JSON.stringify(checked.arms);
+  }
+  return null;
+}
+
+router.get('/:id/experiments', authenticateToken, (req, res) => {
+  const page = db.prepare('SELECT id FROM landing_pages WHERE id = ?').get(req.params.id);
+  if (!page) return res.status(404).json({ error: 'Page not found' });
+  const running = experiments.getRunningExperiment(page.id);
+  res.json({
+    experiments: experiments.listExperiments(page.id).map(e => ({ ...e, live: !!running && running.id === e.id })),
+    metrics: experiments.METRICS,
+    min_visitors_per_arm: experiments.MIN_VISITORS_PER_ARM,
+    win_probability: experiments.WIN_PROBABILITY
+  });
+});
+
+router.post('/:id/experiments', authenticateToken, (req, res) => {
+  const page = db.prepare('SELECT id, name FROM landing_pages WHERE id = ?').get(req.params.id);
+  if (!page) return res.status(404).json({ error: 'Page not found' });
+
+  const values = {};
+  const error = readExperimentBody({ primary_metric: 'leads', ...req.body, name: req.body.name || '', arms: req.body.arms || [] }, page.id, values);
+  if (error) return res.status(400).json({ error });
+
+  const result = db.prepare(`
+    INSERT INTO page_experiments (landing_page_id, name, arms, primary_metric, start_at, end_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(page.id, values.name, values.arms, values.primary_metric, values.start_at || null, values.end_at || null, req.user.name || req.user.email);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'experiment', result.lastInsertRowid, `Created experiment "${values.name}" on page: ${page.name}`, req.ip);
+  res.json(experiments.getExperiment(result.lastInsertRowid));
+});
+
+// Arms can only change before the experiment starts; weights, name and dates
+// can change any time (weights only reshuffle new visitors)
+router.put('/:id/experiments/:experimentId', authenticateToken, (req, res) => {
+  const experiment = experiments.getExperiment(req.params.experimentId);
+  if (!experiment || experiment.landing_page_id !== parseInt(req.params.id)) return res.status(404).json({ error: 'Experiment not found' });
+  if (experiment.status === 'completed') return res.status(400).json({ error: 'Completed experiments cannot be changed' });
+
+  const body = { ...req.body };
+  if (body.arms !== undefined && experiment.status !== 'draft') {
+    const keys = arms => (arms || []).map(a => String(a && a.key)).join('|');
+    if (keys(body.arms) !== keys(experiment.arms)) return res.status(400).json({ error: 'Arms cannot be added, removed or renamed once the experiment has started' });
+    // Only the weights of a started experiment may change
+    body.arms = experiment.arms.map((arm, i) => ({ ...arm, weight: body.arms[i].weight }));
+  }
+  const values = {};
+  const error = readExperimentBody(body, experiment.landing_page_id, values);
+  if (error) return res.status(400).json({ error });
+  const start = values.start_at !== undefined ? values.start_at : experiment.start_at;
+  const end = values.end_at !== undefined ? values.end_at : experiment.end_at;
+  if (start && end && end <= start) return res.status(400).json({ error: 'End date must be after the start date' });
+
+  const columns = Object.keys(values);
+  if (columns.length) {
+    db.prepare(`UPDATE page_experiments SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+      .run(...columns.map(c => values[c]), experiment.id);
+  }
+  res.json(experiments.getExperiment(experiment.id));
+});
+
+router.post('/:id/experiments/:experimentId/start', authenticateToken, (req, res) => {
+  const experiment = experiments.getExperiment(req.params.experimentId);
+  if (!experiment || experiment.landing_page_id !== parseInt(req.params.id)) return res.status(404).json({ error: 'Experiment not found' });
+  if (experiment.status === 'completed') return res.status(400).json({ error: 'This experiment is completed' });
+  if (experiment.status === 'running') return res.status(400).json({ error: 'This experiment is already running' });
+
+  const page = db.prepare('SELECT id, name, ab_config FROM landing_pages WHERE id = ?').get(experiment.landing_page_id);
+  const other = db.prepare(`SELECT name FROM page_experiments WHERE landing_page_id = ? AND status = 'running' AND id != ?`).get(page.id, experiment.id);
+  if (other) return res.status(400).json({ error: `Stop "${other.name}" first — a page runs one experiment at a time` });
+  let abCfg = {};
+  try { abCfg = JSON.parse(page.ab_config || '{}'); } catch (e) {}
+  if (abCfg.enabled) return res.status(400).json({ error: 'Turn off the page\'s A/B test before starting an experiment' });
+
+  db.prepare(`
+    UPDATE page_experiments SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP), stopped_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(experiment.id);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'experiment', experiment.id, `Started experiment "${experiment.name}" on page: ${page.name}`, req.ip);
+  res.json(experiments.getExperiment(experiment.id));
+});
+
+router.post('/:id/experiments/:experimentId/stop', authenticateToken, (req, res) => {
+  const experiment = experiments.getExperiment(req.params.experimentId);
+  if (!experiment || experiment.landing_page_id !== parseInt(req.params.id)) return res.status(404).json({ error: 'Experiment not found' });
+  if (experiment.status !== 'running') return res.status(400).json({ error: 'This experiment is not running' });
+
+  db.prepare(`UPDATE page_experiments SET status = 'stopped', stopped_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(experiment.id);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'experiment', experiment.id, `Stopped experiment "${experiment.name}"`, req.ip);
+  res.json(experiments.getExperiment(experiment.id));
+});
+
+// Declare a winner: promote its arm to the page's default and close the
+// experiment. Defaults to the arm the stats recommend.
+router.post('/:id/experiments/:experimentId/winner', authenticateToken, (req, res) => {
+  const experiment = experiments.getExperiment(req.params.experimentId);
+  if (!experiment || experiment.landing_page_id !== parseInt(req.params.id)) return res.status(404).json({ error: 'Experiment not found' });
+  if (experiment.status === 'completed') return res.status(400).json({ error: 'A winner has already been declared' });
+  if (experiment.status === 'draft') return res.status(400).json({ error: 'This experiment has not started' });
+
+  const armKey = req.body.arm || experiments.experimentStats(experiment).winner.key;
+  if (!armKey) return res.status(400).json({ error: 'No clear winner yet — pick the arm to promote' });
+
+  let arm;
+  revisions.captureBaseline('page', experiment.landing_page_id);
+  try {
+    arm = experiments.promoteArm(experiment, armKey);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  generateLandingPage(experiment.landing_page_id);
+  revisions.recordRevision('page', experiment.landing_page_id, {
+    source: 'experiment', user: req.user, note: `Promoted "${arm.name}" from "${experiment.name}"`
+  });
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'experiment', experiment.id, `Declared "${arm.name}" the winner of "${experiment.name}" and promoted it`, req.ip);
+  res.json(experiments.getExperiment(experiment.id));
+});
+
+router.delete('/:id/experiments/:experimentId', authenticateToken, (req, res) => {
+  const experiment = experiments.getExperiment(req.params.experimentId);
+  if (!experiment || experiment.landing_page_id !== parseInt(req.params.id)) return res.status(404).json({ error: 'Experiment not found' });
+  if (experiment.status === 'running') return res.status(400).json({ error: 'Stop the experiment before deleting it' });
+
+  db.prepare('DELETE FROM page_experiments WHERE id = ?').run(experiment.id);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'experiment', experiment.id, `Deleted experiment "${experiment.name}"`, req.ip);
+  res.json({ message: 'Experiment deleted' });
+});
+
 // Generate landing page HTML
-function generateLandingPage(pageId) {
-  const page = db.prepare('SELECT * FROM landing_pages WHERE id = ?').get(pageId);
+// options.snapshot (a revision's columns, see lib/revisions) renders those over
+// the live row and returns the HTML instead of writing public/<slug>/
+function generateLandingPage(pageId, options = {}) {
+  let page = db.prepare('SELECT * FROM landing_pages WHERE id = ?').get(pageId);
   if (!page) return;
+  if (options.snapshot) page = { ...page, ...options.snapshot };
 
   const content = JSON.parse(page.content || '{}');
   const sectionsVisible = JSON.parse(page.sections_visible || '{}');
@@ -1348,6 +1587,7 @@ function generateLandingPage(pageId) {
     form = db.prepare('SELECT * FROM forms WHERE id = ?').get(page.form_id);
     if (form) {
       form.fields = JSON.parse(form.fields || '[]');
+      form.steps = JSON.parse(form.steps || '[]');
     }
   }
 
@@ -1481,13 +1721,30 @@ function generateLandingPage(pageId) {
   const formSubmitText = form ? form.submit_button_text : content.formButton || 'Get My Free Debt Analysis';
   const formSuccessMsg = form ? form.success_message : 'Thank you! A debt specialist will call you within 15 minutes.';
 
-  const skipPreQual = form ? (form.skip_pre_qual ? true : false) : false;
+  // Forms using steps/conditions/validators/computed fields are rendered by
+  // lib/form-logic.js, inlined into the page. Their configured steps replace
+  // the templates' built-in debt/MCA pre-qual.
+  const formConfig = FormLogic.normalizeConfig({ fields: formFields, steps: form ? form.steps : [] });
+  const usesFormBuilder = FormLogic.usesBuilder(formConfig);
+  const skipPreQual = usesFormBuilder || (form ? (form.skip_pre_qual ? true : false) : false);
+  const formLogicScript = usesFormBuilder
+    ? `<script>\n${fs.readFileSync(path.join(__dirname, '..', 'lib', 'form-logic.js'), 'utf8')}\n</script>`
+    : '';
+
+  // Shared with variant B below. Function replacements so "$" in option text
+  // and patterns isn't read as a replacement token.
+  const applyFormPlaceholders = (target) => {
+    target = target.replace(/{{formFieldsJson}}/g, () => jsJson(formFields));
+    target = target.replace(/{{formConfigJson}}/g, () => JSON.stringify(formConfig).replace(/</g, '\\u003c'));
+    target = target.replace(/{{formWebhook}}/g, () => formWebhook || '');
+    target = target.replace(/{{formSubmitText}}/g, () => formSubmitText);
+    target = target.replace(/{{formSuccessMsg}}/g, () => formSuccessMsg);
+    target = target.replace(/{{skipPreQual}}/g, String(skipPreQual));
+    if (formLogicScript) target = target.replace('</head>', () => formLogicScript + '\n</head>');
+    return target;
+  };
 
-  html = html.replace(/{{formFieldsJson}}/g, jsJson(formFields));
-  html = html.replace(/{{formWebhook}}/g, formWebhook);
-  html = html.replace(/{{formSubmitText}}/g, formSubmitText);
-  html = html.replace(/{{formSuccessMsg}}/g, formSuccessMsg);
-  html = html.replace(/{{skipPreQual}}/g, String(skipPreQual));
+  html = applyFormPlaceholders(html);
   html = html.replace(/{{mobileCta}}/g, content.mobileCta || 'call');
 
   // Remove phone elements if no phone number is set
@@ -1606,6 +1863,9 @@ function generateLandingPage(pageId) {
     }
   }
 
+  html = withFormGuard(withEngagementBeacon(html));
+  if (options.snapshot) return html;
+
   const pageDir = path.join(__dirname, '..', '..', 'public', page.slug);
   if (!fs.existsSync(pageDir)) {
     fs.mkdirSync(pageDir, { recursive: true });
@@ -1640,6 +1900,7 @@ function generateLandingPage(pageId) {
       htmlB = htmlB.replace(/{{bodyStartScripts}}/g, bodyStartScripts);
       htmlB = htmlB.replace(/{{bodyEndScripts}}/g, bodyEndScripts);
       htmlB = htmlB.replace(/{{hiddenFieldsHtml}}/g, hiddenFieldsHtml);
+      htmlB = applyFormPlaceholders(htmlB);
 
       // Replace all template placeholders
       for (const [key, value] of Object.entries(mergedVariant)) {
@@ -1651,6 +1912,7 @@ function generateLandingPage(pageId) {
       // Inject JSON config for JS-driven sections
       const configJson = JSON.stringify(mergedVariant).replace(/<\//g, '<\\/');
       htmlB = htmlB.replace('</body>', `<script>window.__PAGE_CONFIG__=${configJson};</script>\n</body>`);
+      htmlB = withFormGuard(withEngagementBeacon(htmlB));
 
       fs.writeFileSync(path.join(pageDir, 'variant-b.html'), htmlB);
       console.log(`Generated variant B (${abCfg.variantB_template}) for: ${page.slug}`);
@@ -2,6 +2,9 @@ const express = require('express');
 const crypto = require('crypto');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
+const { deliverNow } = require('../outbox');
+const { rescoreLead } = require('../lib/lead-scoring');
+const { moveLeadToStageByName, applyConversionEvent } = require('../lib/pipeline');
 
 const router = express.Router();
 
@@ -11,28 +14,11 @@ setTimeout(() => {
   try { logActivity = require('./settings').logActivity; } catch (e) {}
 }, 0);
 
-// Import uploadConversion (loaded after initialization)
-let uploadConversion = null;
-let sendFacebookEvent = null;
-let uploadBingConversion = null;
+// Import platform senders (loaded after initialization). Google Ads, Facebook
+// CAPI and Bing go through the delivery outbox (../outbox.js) instead.
 let sendTikTokEvent = null;
 let fireAffiliatePostback = null;
 setTimeout(() => {
-  try {
-    uploadConversion = require('./google-ads').uploadConversion;
-  } catch (e) {
-    console.log('Google Ads module not loaded yet');
-  }
-  try {
-    sendFacebookEvent = require('./facebook').sendFacebookEvent;
-  } catch (e) {
-    console.log('Facebook module not loaded yet');
-  }
-  try {
-    uploadBingConversion = require('./bing-ads').uploadBingConversion;
-  } catch (e) {
-    console.log('Bing Ads module not loaded yet');
-  }
   try {
     sendTikTokEvent = require('./tiktok-leads').sendTikTokEvent;
   } catch (e) {
@@ -153,6 +139,11 @@ router.all('/conversion', async (req, res) => {
     });
   }
 
+  // Leads flagged as suspicious traffic (lib/fraud.js) still move through the
+  // pipeline, but nothing goes out to ad platforms or affiliates until
+  // someone reviews them as legit
+  const holdUploads = lead.fraud_status === 'suspicious';
+
   // Get the GCLID (from lead or visitor)
   const gclid = lead.gclid || lead.visitor_gclid;
 
@@ -183,27 +174,13 @@ router.all('/conversion', async (req, res) => {
 
   let googleResult = null;
   let status = 'logged';
+  const sendToGoogle = !holdUploads && !!(gclid && config && config.conversion_action_id);
 
-  // If we have a conversion action configured and gclid, send to Google Ads
-  // Use debt_amount as revenue, fall back to value
-  const googleAdsValue = debt_amount ? parseFloat(debt_amount) : (value ? parseFloat(value) : null);
-  if (gclid && config && config.conversion_action_id && uploadConversion) {
-    googleResult = await uploadConversion(
-      gclid,
-      config.conversion_action_id,
-      null,
-      googleAdsValue,
-      currency
-    );
-    status = googleResult.success ? 'sent' : 'failed';
-  } else if (!gclid && !msclkid) {
-    status = 'logged';
-  }
-
-  // Log the conversion event (always log with all data including debt_amount and revenue)
+  // Log the conversion event first (always log with all data including debt_amount and revenue);
+  // the Google Ads delivery below updates its status
   const eventLog = db.prepare(`
-    INSERT INTO conversion_events (lead_id, eli_clickid, gclid, conversion_action_id, conversion_action_name, conversion_value, debt_amount, revenue, source, status, error_message, sent_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'postback', ?, ?, ${status === 'sent' ? 'CURRENT_TIMESTAMP' : 'NULL'})
+    INSERT INTO conversion_events (lead_id, eli_clickid, gclid, conversion_action_id, conversion_action_name, conversion_value, debt_amount, revenue, source, status, error_message)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'postback', ?, ?)
   `).run(
     lead.id,
     eli_clickid,
@@ -213,13 +190,27 @@ router.all('/conversion', async (req, res) => {
     value || null,
     debt_amount ? parseFloat(debt_amount) : null,
     revenue ? parseFloat(revenue) : null,
-    status,
-    googleResult?.error || (!gclid && !msclkid ? 'No GCLID or msclkid - ad platform upload skipped' : null)
+    sendToGoogle ? 'pending' : 'logged',
+    holdUploads ? `Lead flagged as suspicious (fraud score ${lead.fraud_score}) - ad platform upload skipped`
+      : !gclid && !msclkid ? 'No GCLID or msclkid - ad platform upload skipped' : null
   );
 
+  // If we have a conversion action configured and gclid, send to Google Ads
+  // Use debt_amount as revenue, fall back to value
+  if (sendToGoogle) {
+    const googleAdsValue = debt_amount ? parseFloat(debt_amount) : (value ? parseFloat(value) : null);
+    googleResult = await deliverNow('google_ads', {
+      gclid,
+      conversion_action_id: config.conversion_action_id,
+      value: googleAdsValue,
+      currency
+    }, { leadId: lead.id, conversionEventId: eventLog.lastInsertRowid, target: 'Google Ads' });
+    status = googleResult.success ? 'sent' : 'failed';
+  }
+
   // Send to Facebook CAPI if event config has facebook_event_name set
   let fbResult = null;
-  if (config && config.facebook_event_name && sendFacebookEvent) {
+  if (!holdUploads && config && config.facebook_event_name) {
     try {
       const fbEventName = config.facebook_event_name;
       const firstName = lead.first_name || '';
@@ -249,32 +240,33 @@ router.all('/conversion', async (req, res) => {
       const eventSourceUrl = visitor?.landing_page ? `${baseUrl}${visitor.landing_page}` : '';
 
       const fbValue = revenue ? parseFloat(revenue) : (debt_amount ? parseFloat(debt_amount) : (value ? parseFloat(value) : undefined));
-      fbResult = await sendFacebookEvent(fbEventName, {
-        email: lead.email,
-        phone: lead.phone,
-        firstName,
-        lastName,
-        fbc: visitorFbc,
-        fbp: visitor?.fbp || '',
-        client_ip_address: clientIp,
-        client_user_agent: clientUa
-      }, { value: fbValue, currency, event_source_url: eventSourceUrl });
-
-      // Log Facebook CAPI result in conversion_events
-      db.prepare(`
-        INSERT INTO conversion_events (lead_id, eli_clickid, conversion_action_name, conversion_value, debt_amount, revenue, source, status, error_message, sent_at, capi_payload)
-        VALUES (?, ?, ?, ?, ?, ?, 'facebook_capi', ?, ?, ${fbResult.success ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?)
+      // Log the Facebook CAPI event; the delivery records its result on this row
+      const fbEvent = db.prepare(`
+        INSERT INTO conversion_events (lead_id, eli_clickid, conversion_action_name, conversion_value, debt_amount, revenue, source, status)
+        VALUES (?, ?, ?, ?, ?, ?, 'facebook_capi', 'pending')
       `).run(
         lead.id,
         eli_clickid,
         event,
         value || null,
         debt_amount ? parseFloat(debt_amount) : null,
-        revenue ? parseFloat(revenue) : null,
-        fbResult.success ? 'sent' : 'failed',
-        fbResult.error || null,
-        fbResult.payload ? JSON.stringify(fbResult.payload) : null
+        revenue ? parseFloat(revenue) : null
       );
+
+      fbResult = await deliverNow('facebook_capi', {
+        event_name: fbEventName,
+        user_data: {
+          email: lead.email,
+          phone: lead.phone,
+          firstName,
+          lastName,
+          fbc: visitorFbc,
+          fbp: visitor?.fbp || '',
+          client_ip_address: clientIp,
+          client_user_agent: clientUa
+        },
+        options: { value: fbValue, currency, event_source_url: eventSourceUrl }
+      }, { leadId: lead.id, conversionEventId: fbEvent.lastInsertRowid, target: `Facebook CAPI (${fbEventName})` });
     } catch (err) {
       console.error('Failed to send Facebook CAPI event:', err);
     }
@@ -282,7 +274,7 @@ router.all('/conversion', async (req, res) => {
 
   // Send to TikTok Events API if event config has tiktok_event_name set
   let ttResult = null;
-  if (config && config.tiktok_event_name && sendTikTokEvent) {
+  if (!holdUploads && config && config.tiktok_event_name && sendTikTokEvent) {
     try {
       const ttEventName = config.tiktok_event_name;
       const visitor = db.prepare('SELECT * FROM visitors WHERE eli_clickid = ?').get(eli_clickid);
@@ -322,21 +314,14 @@ router.all('/conversion', async (req, res) => {
 
   // Send to Bing Ads if event config has send_to_bing enabled and msclkid is present
   let bingResult = null;
-  if (msclkid && config && config.send_to_bing && config.bing_conversion_goal_id && uploadBingConversion) {
+  if (!holdUploads && msclkid && config && config.send_to_bing && config.bing_conversion_goal_id) {
     try {
       const bingValue = debt_amount ? parseFloat(debt_amount) : (value ? parseFloat(value) : undefined);
-      bingResult = await uploadBingConversion(
-        msclkid,
-        config.bing_conversion_goal_id,
-        null,
-        bingValue,
-        currency
-      );
 
-      // Log Bing Ads result in conversion_events
-      db.prepare(`
-        INSERT INTO conversion_events (lead_id, eli_clickid, msclkid, conversion_action_name, conversion_value, debt_amount, revenue, source, status, error_message, sent_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, 'bing_ads', ?, ?, ${bingResult.success ? 'CURRENT_TIMESTAMP' : 'NULL'})
+      // Log the Bing Ads event; the delivery records its result on this row
+      const bingEvent = db.prepare(`
+        INSERT INTO conversion_events (lead_id, eli_clickid, msclkid, conversion_action_name, conversion_value, debt_amount, revenue, source, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'bing_ads', 'pending')
       `).run(
         lead.id,
         eli_clickid,
@@ -344,10 +329,15 @@ router.all('/conversion', async (req, res) => {
         event,
         value || null,
         debt_amount ? parseFloat(debt_amount) : null,
-        revenue ? parseFloat(revenue) : null,
-        bingResult.success ? 'sent' : 'failed',
-        bingResult.error || null
+        revenue ? parseFloat(revenue) : null
       );
+
+      bingResult = await deliverNow('bing_ads', {
+        msclkid,
+        conversion_goal_id: config.bing_conversion_goal_id,
+        value: bingValue,
+        currency
+      }, { leadId: lead.id, conversionEventId: bingEvent.lastInsertRowid, target: 'Bing Ads' });
     } catch (err) {
       console.error('Failed to send Bing Ads event:', err);
     }
@@ -362,7 +352,7 @@ router.all('/conversion', async (req, res) => {
 
   // Fire affiliate postback (out) if lead came from an affiliate with a configured postback URL
   let affiliatePostback = null;
-  if (fireAffiliatePostback) {
+  if (fireAffiliatePostback && !holdUploads) {
     try {
       const freshLead = db.prepare('SELECT * FROM leads WHERE id = ?').get(lead.id);
       const payoutCents = revenue ? Math.round(parseFloat(revenue) * 100) : undefined;
@@ -375,7 +365,6 @@ router.all('/conversion', async (req, res) => {
   const sfParams = [];
   if (transfer_status !== undefined) { sfFields.push('transfer_status = ?'); sfParams.push(transfer_status); }
   if (five9_dispo !== undefined) { sfFields.push('five9_dispo = ?'); sfParams.push(five9_dispo); }
-  if (stage !== undefined) { sfFields.push('stage = ?'); sfParams.push(stage); }
   if (contract_sign_date !== undefined) { sfFields.push('contract_sign_date = ?'); sfParams.push(contract_sign_date); }
   if (total_debt_sign !== undefined) { sfFields.push('total_debt_sign = ?'); sfParams.push(total_debt_sign); }
   if (sfFields.length) {
@@ -383,6 +372,32 @@ router.all('/conversion', async (req, res) => {
     db.prepare(`UPDATE leads SET ${sfFields.join(', ')} WHERE id = ?`).run(...sfParams);
   }
 
+  // Pipeline: an explicit stage wins; otherwise an event mapped to a stage
+  // advances the lead. An unknown stage name doesn't move the lead: the raw
+  // value is kept on it (hidden_fields.unmapped_stage) and logged for mapping.
+  let pipelineMove = null;
+  let stageWarning = null;
+  try {
+    if (stage !== undefined && stage !== null && String(stage).trim() !== '') {
+      pipelineMove = moveLeadToStageByName(lead.id, stage, { source: 'postback' });
+      if (!pipelineMove) {
+        stageWarning = `Unknown pipeline stage "${stage}"`;
+        db.prepare(`
+          UPDATE leads SET hidden_fields = json_set(COALESCE(hidden_fields, '{}'), '$.unmapped_stage', ?, '$.unmapped_stage_at', ?)
+          WHERE id = ?
+        `).run(String(stage), new Date().toISOString(), lead.id);
+        console.warn(`Postback: unmapped pipeline stage "${stage}" for lead #${lead.id} (event ${event})`);
+        if (logActivity) logActivity(null, 'Postback', 'stage_unmapped', 'lead', lead.id, `Unmapped pipeline stage "${stage}" (event ${event}); lead left in its current stage`, req.ip);
+      }
+    }
+    if (!pipelineMove) pipelineMove = applyConversionEvent(lead.id, event, { source: 'postback' });
+  } catch (err) {
+    console.error('Failed to update pipeline stage:', err);
+  }
+
+  // The new event and tracking fields can move the lead's score
+  const scoring = rescoreLead(lead.id, 'postback');
+
   res.json({
     success: true,
     event_id: eventLog.lastInsertRowid,
@@ -395,7 +410,11 @@ router.all('/conversion', async (req, res) => {
     facebook_capi_sent: fbResult?.success || false,
     tiktok_capi_sent: ttResult?.success || false,
     bing_ads_sent: bingResult?.success || false,
-    affiliate_postback: affiliatePostback
+    affiliate_postback: affiliatePostback,
+    pipeline_stage: pipelineMove ? pipelineMove.stage.name : null,
+    stage_warning: stageWarning,
+    lead_score: scoring ? scoring.score : null,
+    lead_score_tier: scoring ? scoring.tier : null
   });
 });
 
@@ -418,7 +437,7 @@ router.get('/url', authenticateToken, (req, res) => {
       transaction_id: 'Optional - Unique ID to prevent duplicates',
       transfer_status: 'Optional - Lead transfer status from Salesforce',
       five9_dispo: 'Optional - Five9 disposition',
-      stage: 'Optional - Lead stage in pipeline',
+      stage: 'Optional - Pipeline stage name (must match a configured stage; unknown names are kept on the lead as unmapped_stage)',
       contract_sign_date: 'Optional - Contract signing date',
       total_debt_sign: 'Optional - Total debt at signing'
     }
@@ -517,7 +536,7 @@ router.get('/events', authenticateToken, (req, res) => {
 });
 
 /**
- * ADMIN: Retry failed conversion
+ * ADMIN: Retry failed conversion (through the delivery outbox)
  */
 router.post('/events/:id/retry', authenticateToken, async (req, res) => {
   const event = db.prepare('SELECT * FROM conversion_events WHERE id = ?').get(req.params.id);
@@ -534,28 +553,20 @@ router.post('/events/:id/retry', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'No conversion action configured' });
   }
 
-  if (!uploadConversion) {
-    return res.status(500).json({ error: 'Google Ads module not loaded' });
-  }
-
-  const result = await uploadConversion(
-    event.gclid,
-    event.conversion_action_id,
-    null,
-    event.conversion_value
-  );
+  const result = await deliverNow('google_ads', {
+    gclid: event.gclid,
+    conversion_action_id: event.conversion_action_id,
+    value: event.conversion_value
+  }, { leadId: event.lead_id, conversionEventId: event.id, target: 'Google Ads' });
 
   if (result.success) {
-    db.prepare(`
-      UPDATE conversion_events SET status = 'sent', sent_at = CURRENT_TIMESTAMP, error_message = NULL
-      WHERE id = ?
-    `).run(req.params.id);
-    res.json({ success: true, message: 'Conversion sent to Google Ads' });
+    res.json({ success: true, message: 'Conversion sent to Google Ads', delivery_id: result.delivery_id });
   } else {
-    db.prepare(`
-      UPDATE conversion_events SET error_message = ? WHERE id = ?
-    `).run(result.error, req.params.id);
-    res.status(400).json({ error: result.error });
+    res.status(400).json({
+      error: result.error,
+      delivery_id: result.delivery_id,
+      retrying: result.status === 'pending'
+    });
   }
 });
 
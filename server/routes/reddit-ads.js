@@ -2,6 +2,7 @@ const express = require('express');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const crypto = require('crypto');
+const { deliverNow } = require('../outbox');
 
 let _syncRedditCapi = null;
 setTimeout(() => {
@@ -273,6 +274,64 @@ async function getRedditTotalSpend(from, to) {
   }
 }
 
+/**
+ * Daily ad-level spend rows for the ad-spend warehouse. The report only carries
+ * ids, so names come from the account's campaign / ad group / ad listings.
+ * Returns { account_id, rows } or throws.
+ */
+async function fetchDailyAdSpend(from, to) {
+  const config = db.prepare('SELECT * FROM reddit_ads_config WHERE id = 1').get();
+  if (!config || !config.client_id || !config.client_secret || !config.refresh_token || !config.account_id) {
+    throw new Error('Reddit Ads not configured');
+  }
+  const token = await getRedditAccessToken(config);
+  const headers = { 'Authorization': `Bearer ${token}`, 'User-Agent': 'CoastalDebtCMS/1.0' };
+  const base = `https://ads-api.reddit.com/api/v3/ad_accounts/${config.account_id}`;
+
+  const reportRes = await fetch(`${base}/reports`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      data: {
+        starts_at: from + 'T00:00:00Z',
+        ends_at: to + 'T23:00:00Z',
+        fields: ['spend', 'clicks', 'impressions'],
+        breakdowns: ['DATE', 'CAMPAIGN_ID', 'AD_GROUP_ID', 'AD_ID'],
+        time_zone_id: 'GMT'
+      }
+    })
+  });
+  const reportData = await reportRes.json();
+  if (!reportRes.ok) {
+    throw new Error(reportData.error?.message || reportData.message || `Reddit API error ${reportRes.status}`);
+  }
+
+  // Names are best-effort — a failed listing just leaves them blank
+  const names = {};
+  for (const kind of ['campaigns', 'ad_groups', 'ads']) {
+    try {
+      const list = await fetch(`${base}/${kind}?page.size=1000`, { headers }).then(r => r.json());
+      for (const item of list?.data || []) names[item.id] = item.name || '';
+    } catch (e) {}
+  }
+
+  const rows = (reportData?.data?.metrics || []).map(row => {
+    const spend = parseFloat(row.spend || 0);
+    return {
+      date: (row.date || '').slice(0, 10),
+      campaign_id: row.campaign_id || '', campaign_name: names[row.campaign_id] || '',
+      ad_group_id: row.ad_group_id || '', ad_group_name: names[row.ad_group_id] || '',
+      ad_id: row.ad_id || '', ad_name: names[row.ad_id] || '',
+      impressions: parseInt(row.impressions || 0),
+      clicks: parseInt(row.clicks || 0),
+      // Same micros-vs-dollars guard as the per-lead cost fetch
+      cost_micros: Math.round(spend > 10000 ? spend : spend * 1000000),
+      conversions: null
+    };
+  }).filter(r => r.date);
+  return { account_id: String(config.account_id), rows };
+}
+
 /**
  * GET /campaigns — List Reddit campaigns with per-campaign spend/clicks/impressions
  * for two windows (7d, 30d). Query: ?days=30 (default) controls primary window.
@@ -545,6 +604,34 @@ async function sendRedditEvent(mapping, conv, visitor, lead) {
   }
 }
 
+/**
+ * Re-send a stored reddit_capi conversion event. Used by the outbox handler,
+ * which records the outcome back onto the conversion_events row.
+ */
+async function resendRedditCapiEvent(eventId) {
+  const ev = db.prepare("SELECT * FROM conversion_events WHERE id = ? AND source = 'reddit_capi'").get(eventId);
+  if (!ev) return { success: false, error: 'Event not found', permanent: true };
+  if (!ev.redtrack_conversion_id) return { success: false, error: 'Missing redtrack_conversion_id', permanent: true };
+
+  const mapping = db.prepare('SELECT * FROM reddit_capi_config WHERE redtrack_event_name = ?').get(String(ev.conversion_action_name).toLowerCase());
+  if (!mapping) return { success: false, error: 'No mapping for event name', permanent: true };
+
+  const visitor = db.prepare('SELECT * FROM visitors WHERE eli_clickid = ?').get(ev.eli_clickid);
+  if (!visitor || !visitor.rdt_cid) return { success: false, error: 'Visitor has no rdt_cid', permanent: true };
+
+  const lead = ev.lead_id ? db.prepare('SELECT email, phone FROM leads WHERE id = ?').get(ev.lead_id) : null;
+
+  const conv = {
+    id: ev.redtrack_conversion_id,
+    clickid: visitor.rt_clickid,
+    type: ev.conversion_action_name,
+    payout: ev.revenue ?? null,
+    created_at: ev.created_at
+  };
+
+  return sendRedditEvent(mapping, conv, visitor, lead);
+}
+
 /**
  * POST /capi/test — Fire a synthetic test event to Reddit CAPI (test_mode = true).
  * Body: { reddit_event_type?, reddit_custom_event_name?, rdt_cid?, email?, phone?, payout? }
@@ -690,43 +777,16 @@ router.get('/capi/events-by-ad', authenticateToken, (req, res) => {
 });
 
 /**
- * POST /capi/events/:id/retry — retry a failed event
+ * POST /capi/events/:id/retry — retry a failed event through the delivery outbox
  */
 router.post('/capi/events/:id/retry', authenticateToken, async (req, res) => {
-  const ev = db.prepare("SELECT * FROM conversion_events WHERE id = ? AND source = 'reddit_capi'").get(req.params.id);
+  const ev = db.prepare("SELECT id, lead_id FROM conversion_events WHERE id = ? AND source = 'reddit_capi'").get(req.params.id);
   if (!ev) return res.status(404).json({ error: 'Event not found' });
-  if (!ev.redtrack_conversion_id) return res.status(400).json({ error: 'Missing redtrack_conversion_id' });
-
-  const mapping = db.prepare('SELECT * FROM reddit_capi_config WHERE redtrack_event_name = ?').get(String(ev.conversion_action_name).toLowerCase());
-  if (!mapping) return res.status(400).json({ error: 'No mapping for event name' });
-
-  const visitor = db.prepare('SELECT * FROM visitors WHERE eli_clickid = ?').get(ev.eli_clickid);
-  if (!visitor || !visitor.rdt_cid) return res.status(400).json({ error: 'Visitor has no rdt_cid' });
-
-  const lead = ev.lead_id ? db.prepare('SELECT email, phone FROM leads WHERE id = ?').get(ev.lead_id) : null;
-
-  const conv = {
-    id: ev.redtrack_conversion_id,
-    clickid: visitor.rt_clickid,
-    type: ev.conversion_action_name,
-    payout: ev.revenue ?? null,
-    created_at: ev.created_at
-  };
-
-  const result = await sendRedditEvent(mapping, conv, visitor, lead);
-
-  db.prepare(`
-    UPDATE conversion_events SET
-      status = ?, error_message = ?, capi_payload = ?,
-      sent_at = ${result.success ? 'CURRENT_TIMESTAMP' : 'sent_at'}
-    WHERE id = ?
-  `).run(
-    result.success ? 'sent' : 'failed',
-    result.error || null,
-    result.payload ? JSON.stringify(result.payload) : ev.capi_payload,
-    req.params.id
-  );
 
+  const result = await deliverNow('reddit_capi', { conversion_event_id: ev.id }, {
+    leadId: ev.lead_id, conversionEventId: ev.id, target: 'Reddit CAPI'
+  });
+  if (!result.success && result.permanent) return res.status(400).json(result);
   res.json(result);
 });
 
@@ -744,3 +804,5 @@ module.exports = router;
 module.exports.fetchRedditMissingCosts = fetchRedditMissingCosts;
 module.exports.getRedditTotalSpend = getRedditTotalSpend;
 module.exports.sendRedditEvent = sendRedditEvent;
+module.exports.resendRedditCapiEvent = resendRedditCapiEvent;
+module.exports.fetchDailyAdSpend = fetchDailyAdSpend;
@@ -1,20 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database');
+const { rescoreLead } = require('../lib/lead-scoring');
+const { recordCallTouch } = require('../lib/attribution');
+const { publish } = require('../lib/live-events');
 
-// Auth middleware (same as other routes)
-function requireAuth(req, res, next) {
-  const token = req.cookies?.token || req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'coastal-debt-secret-key-change-in-production');
-    req.user = decoded;
-    next();
-  } catch (e) {
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-}
+// Auth middleware (same as other routes, including permission checks)
+const requireAuth = require('./auth').authenticateToken;
 
 // ─── CONFIG ───────────────────────────────────────────────
 
@@ -580,6 +572,7 @@ async function transcribeCallBackground(callId) {
         transferred = 0,
         transcript_status = 'completed'
         WHERE id = ?`).run(transcript || '(no speech)', call.id);
+      if (call.lead_id) rescoreLead(call.lead_id, 'call scored');
       console.log(`Transcription complete for call ${call.id}: no speech detected, score=1`);
       return;
     }
@@ -644,6 +637,7 @@ Return ONLY valid JSON, no markdown fences.`
       call.id
     );
 
+    if (call.lead_id) rescoreLead(call.lead_id, 'call scored');
     console.log(`Transcription complete for call ${call.id}: score=${result.score}`);
   } catch (err) {
     const safeMsg = (err.message || 'Unknown error')
@@ -791,8 +785,8 @@ function processCallData(call, campaignMap) {
     retreaver_uuid, caller_number, formatted_caller_number, campaign_name, campaign_id,
     ad_group, keyword, rt_clickid, eli_clickid, visitor_id, lead_id,
     duration, status, disposition, transferred, recording_url,
-    visitor_url, transcript_status, tags, metadata, call_start, call_end
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)`).run(
+    visitor_url, transcript_status, tags, metadata, call_start, call_end, dialed_duration
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)`).run(
     uuid, callerNumber, formattedCaller, campaignName, campaignId,
     adGroup, keyword, rtClickid, eliClickid, visitorId, leadId,
     call.total_duration || call.dialed_call_duration || 0,
@@ -804,10 +798,31 @@ function processCallData(call, campaignMap) {
     JSON.stringify(tags),
     JSON.stringify({ via: call.via || '', caller_state: call.caller_state || '', caller_city: call.caller_city || '' }),
     call.start_time || call.created_at || null,
-    call.end_time || null
+    call.end_time || null,
+    call.dialed_call_duration ?? null
   );
 
-  return { uuid, id: result.lastInsertRowid, hasRecording: !!call.recording_url };
+  // Call activity feeds the lead score (call count, transfers, duration)
+  if (leadId) rescoreLead(leadId, 'retreaver call');
+
+  try {
+    recordCallTouch(result.lastInsertRowid);
+  } catch (e) {
+    console.error('Call touchpoint error:', e.message);
+  }
+
+  return {
+    uuid, id: result.lastInsertRowid, hasRecording: !!call.recording_url,
+    leadId, caller: formattedCaller, campaign: campaignName, duration: call.total_duration || call.dialed_call_duration || 0, transferred
+  };
+}
+
+// Live admin feed notice for a call that arrived by webhook (bulk syncs stay quiet)
+function publishCall(inserted) {
+  publish('call.ingested', {
+    id: inserted.id, lead_id: inserted.leadId, caller: inserted.caller,
+    campaign: inserted.campaign, duration: inserted.duration, transferred: !!inserted.transferred
+  });
 }
 
 // Generate or get webhook key
@@ -871,6 +886,7 @@ router.post('/webhook', async (req, res) => {
 
     if (inserted) {
       console.log(`Retreaver webhook: ingested call ${callUuid}`);
+      publishCall(inserted);
       // Auto-transcribe in background
       if (inserted.hasRecording && process.env.OPENAI_API_KEY) {
         transcribeCallBackground(inserted.id);
@@ -922,6 +938,7 @@ router.get('/webhook', async (req, res) => {
 
     if (inserted) {
       console.log(`Retreaver webhook (GET): ingested call ${callUuid}`);
+      publishCall(inserted);
       // Auto-transcribe in background
       if (inserted.hasRecording && process.env.OPENAI_API_KEY) {
         transcribeCallBackground(inserted.id);
@@ -0,0 +1,145 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const revisions = require('../lib/revisions');
+const { toSqliteUtc } = require('../lib/timezone');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+// Revisions are addressed as /:type/:id/... where type is 'page' or 'article'.
+// Drafts are created by POST /api/pages/:id/draft and /api/articles/:id/draft.
+
+function loadEntity(req, res) {
+  const config = revisions.ENTITIES[req.params.type];
+  if (!config) {
+    res.status(404).json({ error: 'Unknown content type' });
+    return null;
+  }
+  const entity = db.prepare(`SELECT id, name FROM ${config.table} WHERE id = ?`).get(req.params.id);
+  if (!entity) {
+    res.status(404).json({ error: `${req.params.type === 'page' ? 'Page' : 'Article'} not found` });
+    return null;
+  }
+  return entity;
+}
+
+function loadRevision(req, res) {
+  const entity = loadEntity(req, res);
+  if (!entity) return null;
+  const revision = revisions.getRevision(req.params.revisionId);
+  if (!revision || revision.entity_type !== req.params.type || revision.entity_id !== entity.id) {
+    res.status(404).json({ error: 'Revision not found' });
+    return null;
+  }
+  return { entity, revision };
+}
+
+function actor(req) {
+  return { id: req.user.id, name: req.user.name || req.user.email };
+}
+
+// GET /:type/:id - history, newest first
+router.get('/:type/:id', authenticateToken, (req, res) => {
+  const entity = loadEntity(req, res);
+  if (!entity) return;
+  const live = revisions.getLiveRevision(req.params.type, entity.id);
+  res.json({ live_revision_id: live ? live.id : null, revisions: revisions.listRevisions(req.params.type, entity.id) });
+});
+
+// GET /:type/:id/:revisionId?against=<revision id> - full snapshot plus a diff
+// against another revision (default: the live one)
+router.get('/:type/:id/:revisionId', authenticateToken, (req, res) => {
+  const found = loadRevision(req, res);
+  if (!found) return;
+  const { entity, revision } = found;
+
+  const live = revisions.getLiveRevision(req.params.type, entity.id);
+  const against = req.query.against ? revisions.getRevision(req.query.against) : live;
+  if (req.query.against && (!against || against.entity_type !== revision.entity_type || against.entity_id !== revision.entity_id)) {
+    return res.status(404).json({ error: 'Revision to compare against not found' });
+  }
+
+  res.json({
+    ...revision,
+    is_live: !!live && live.id === revision.id,
+    is_stale: revision.is_draft && !!live && revision.based_on_id !== live.id,
+    preview_url: revision.discarded_at ? null : `/preview/${revision.preview_token}`,
+    compared_to: against ? { id: against.id, revision_number: against.revision_number } : null,
+    comparison: against ? revisions.diffSnapshots(against.snapshot, revision.snapshot) : []
+  });
+});
+
+// POST /:type/:id/:revisionId/publish - publish a draft now. A draft based on
+// an older revision than the live one needs { force: true }, since publishing
+// it would undo whatever was saved in between.
+router.post('/:type/:id/:revisionId/publish', authenticateToken, (req, res) => {
+  const found = loadRevision(req, res);
+  if (!found) return;
+  const { entity, revision } = found;
+
+  const live = revisions.getLiveRevision(req.params.type, entity.id);
+  if (revision.is_draft && live && revision.based_on_id !== live.id && !req.body.force) {
+    return res.status(409).json({
+      error: `Revision #${live.revision_number} went live after this draft was started. Publishing it will overwrite those changes.`,
+      stale: true
+    });
+  }
+
+  try {
+    res.json(revisions.publishRevision(revision.id, { user: actor(req) }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /:type/:id/:revisionId/schedule - { publish_at } (null unschedules)
+router.post('/:type/:id/:revisionId/schedule', authenticateToken, (req, res) => {
+  const found = loadRevision(req, res);
+  if (!found) return;
+  const { entity, revision } = found;
+
+  const publishAt = toSqliteUtc(req.body.publish_at);
+  if (req.body.publish_at && !publishAt) return res.status(400).json({ error: 'Invalid publish date' });
+  if (publishAt && new Date(publishAt.replace(' ', 'T') + 'Z') <= new Date()) {
+    return res.status(400).json({ error: 'Publish date must be in the future' });
+  }
+
+  try {
+    const updated = revisions.scheduleRevision(revision.id, publishAt);
+    if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'scheduled', req.params.type, entity.id,
+      publishAt ? `Scheduled revision #${revision.revision_number} of ${entity.name} for ${publishAt} UTC` : `Unscheduled revision #${revision.revision_number} of ${entity.name}`, req.ip);
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /:type/:id/:revisionId/discard - drop a draft
+router.post('/:type/:id/:revisionId/discard', authenticateToken, (req, res) => {
+  const found = loadRevision(req, res);
+  if (!found) return;
+  try {
+    res.json(revisions.discardRevision(found.revision.id));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /:type/:id/:revisionId/rollback - make an earlier revision live again
+router.post('/:type/:id/:revisionId/rollback', authenticateToken, (req, res) => {
+  const found = loadRevision(req, res);
+  if (!found) return;
+  try {
+    res.json(revisions.rollbackTo(found.revision.id, { user: actor(req) }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
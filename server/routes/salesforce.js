@@ -100,16 +100,16 @@ async function getValidAccessToken(config) {
 
 async function pushLeadToSalesforce(leadId) {
   const config = db.prepare('SELECT * FROM salesforce_config WHERE id = 1').get();
-  if (!config || !config.is_enabled || !config.access_token_encrypted) return;
+  if (!config || !config.is_enabled || !config.access_token_encrypted) return { success: false, skipped: true, error: 'Salesforce not configured' };
 
   const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(leadId);
-  if (!lead) return;
-  if (lead.salesforce_lead_id) return; // Already pushed
+  if (!lead) return { success: false, skipped: true, error: 'Lead not found' };
+  if (lead.salesforce_lead_id) return { success: true, id: lead.salesforce_lead_id }; // Already pushed
 
   const accessToken = await getValidAccessToken(config);
   if (!accessToken) {
     console.error('Salesforce: no valid access token, skipping push for lead', leadId);
-    return;
+    return { success: false, error: 'No valid Salesforce access token' };
   }
 
   // Build description from extra fields
@@ -155,11 +155,14 @@ async function pushLeadToSalesforce(leadId) {
     if (data.success && data.id) {
       db.prepare('UPDATE leads SET salesforce_lead_id = ? WHERE id = ?').run(data.id, leadId);
       console.log(`Salesforce: pushed lead ${leadId} → SF ID ${data.id}`);
-    } else {
-      console.error(`Salesforce: failed to push lead ${leadId}:`, JSON.stringify(data));
+      return { success: true, id: data.id };
     }
+    console.error(`Salesforce: failed to push lead ${leadId}:`, JSON.stringify(data));
+    const sfError = Array.isArray(data) && data[0] ? `${data[0].errorCode}: ${data[0].message}` : JSON.stringify(data);
+    return { success: false, error: sfError, status: res.status };
   } catch (err) {
     console.error(`Salesforce: network error pushing lead ${leadId}:`, err.message);
+    return { success: false, error: err.message };
   }
 }
 
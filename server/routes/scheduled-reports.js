@@ -0,0 +1,157 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const reports = require('../lib/scheduled-reports');
+
+const router = express.Router();
+
+// Import logActivity (loaded after initialization to avoid circular deps)
+let logActivity = null;
+setTimeout(() => {
+  try { logActivity = require('./settings').logActivity; } catch (e) {}
+}, 0);
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const FORMATS = ['csv', 'pdf'];
+
+// Validate a create/update body; returns { error } or the normalized fields
+function readReport(body) {
+  const name = String(body.name || '').trim();
+  if (!name) return { error: 'Name is required' };
+  if (!reports.SOURCES[body.source]) return { error: 'Unknown report source' };
+  if (body.date_range && !reports.DATE_RANGES[body.date_range]) return { error: 'Unknown date range' };
+  try { reports.parseCron(body.schedule); } catch (err) { return { error: err.message }; }
+
+  const recipients = reports.parseRecipients(body.recipients);
+  if (!recipients.length) return { error: 'At least one recipient is required' };
+  const bad = recipients.find(r => !EMAIL_RE.test(r));
+  if (bad) return { error: `Invalid recipient: ${bad}` };
+
+  const formats = (Array.isArray(body.formats) ? body.formats : String(body.formats || 'csv,pdf').split(','))
+    .map(f => f.trim()).filter(f => FORMATS.includes(f));
+  if (!formats.length) return { error: 'Pick CSV, PDF or both' };
+
+  let params = body.params || {};
+  if (typeof params === 'string') {
+    try { params = JSON.parse(params || '{}'); } catch (e) { return { error: 'params must be valid JSON' }; }
+  }
+  if (body.source === 'pivot' && !(Array.isArray(params.rows) && params.rows.length)) {
+    return { error: 'Pivot reports need at least one row dimension' };
+  }
+
+  return {
+    name,
+    source: body.source,
+    params: JSON.stringify(params),
+    date_range: body.date_range || 'yesterday',
+    schedule: String(body.schedule).trim().split(/\s+/).join(' '),
+    recipients: recipients.join(', '),
+    formats: formats.join(','),
+    is_active: body.is_active === false || body.is_active === 0 ? 0 : 1
+  };
+}
+
+// GET / - saved reports plus the sources/ranges for the builder
+router.get('/', authenticateToken, (req, res) => {
+  const rows = db.prepare(`
+    SELECT r.*, u.name AS owner_name, u.email AS owner_email
+    FROM scheduled_reports r LEFT JOIN users u ON u.id = r.created_by
+    ORDER BY r.name
+  `).all();
+  rows.forEach(r => { try { r.params = JSON.parse(r.params || '{}'); } catch (e) { r.params = {}; } });
+  res.json({
+    reports: rows,
+    sources: Object.entries(reports.SOURCES).map(([id, s]) => ({ id, label: s.label, params: s.params })),
+    date_ranges: reports.DATE_RANGES
+  });
+});
+
+// POST / - create
+router.post('/', authenticateToken, (req, res) => {
+  const r = readReport(req.body || {});
+  if (r.error) return res.status(400).json({ error: r.error });
+  const result = db.prepare(`
+    INSERT INTO scheduled_reports (name, source, params, date_range, schedule, recipients, formats, is_active, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(r.name, r.source, r.params, r.date_range, r.schedule, r.recipients, r.formats, r.is_active, req.user.id);
+  const next = reports.scheduleNext(result.lastInsertRowid);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'created', 'scheduled_report', result.lastInsertRowid, `Scheduled report: ${r.name}`, req.ip);
+  res.json({ id: result.lastInsertRowid, next_run_at: next });
+});
+
+// PUT /:id - update (the editor becomes the owner the report runs as)
+router.put('/:id', authenticateToken, (req, res) => {
+  const existing = db.prepare('SELECT id FROM scheduled_reports WHERE id = ?').get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Report not found' });
+  const r = readReport(req.body || {});
+  if (r.error) return res.status(400).json({ error: r.error });
+  db.prepare(`
+    UPDATE scheduled_reports SET name = ?, source = ?, params = ?, date_range = ?, schedule = ?, recipients = ?,
+      formats = ?, is_active = ?, created_by = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(r.name, r.source, r.params, r.date_range, r.schedule, r.recipients, r.formats, r.is_active, req.user.id, existing.id);
+  const next = reports.scheduleNext(existing.id);
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'scheduled_report', existing.id, `Scheduled report: ${r.name}`, req.ip);
+  res.json({ success: true, next_run_at: next });
+});
+
+// DELETE /:id
+router.delete('/:id', authenticateToken, (req, res) => {
+  const existing = db.prepare('SELECT id, name FROM scheduled_reports WHERE id = ?').get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Report not found' });
+  db.transaction(() => {
+    db.prepare('DELETE FROM scheduled_report_runs WHERE report_id = ?').run(existing.id);
+    db.prepare('DELETE FROM scheduled_reports WHERE id = ?').run(existing.id);
+  })();
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'deleted', 'scheduled_report', existing.id, `Scheduled report: ${existing.name}`, req.ip);
+  res.json({ success: true });
+});
+
+// GET /:id/runs - recent send history
+router.get('/:id/runs', authenticateToken, (req, res) => {
+  const runs = db.prepare(`
+    SELECT * FROM scheduled_report_runs WHERE report_id = ? ORDER BY started_at DESC, id DESC LIMIT 50
+  `).all(req.params.id);
+  res.json(runs);
+});
+
+// GET /:id/download?format=csv|pdf|html - build the report now without emailing it
+router.get('/:id/download', authenticateToken, async (req, res) => {
+  const report = db.prepare('SELECT * FROM scheduled_reports WHERE id = ?').get(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  const format = req.query.format || 'csv';
+  if (![...FORMATS, 'html'].includes(format)) return res.status(400).json({ error: 'format must be csv, pdf or html' });
+
+  try {
+    const built = await reports.buildReport(report, { withPdf: format === 'pdf' });
+    const base = reports.fileBase(report, built.range);
+    if (format === 'html') return res.type('html').send(built.html);
+    res.setHeader('Content-Disposition', `attachment; filename="${base}.${format}"`);
+    if (format === 'pdf') return res.type('application/pdf').send(built.pdf);
+    res.type('text/csv').send(built.csv);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /:id/send - { recipients? } email it now; recipients overrides the list for a test send
+router.post('/:id/send', authenticateToken, async (req, res) => {
+  const report = db.prepare('SELECT id, name FROM scheduled_reports WHERE id = ?').get(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  const override = req.body && req.body.recipients;
+  if (override) {
+    const bad = reports.parseRecipients(override).find(r => !EMAIL_RE.test(r));
+    if (bad) return res.status(400).json({ error: `Invalid recipient: ${bad}` });
+  }
+
+  const result = await reports.runReport(report.id, { trigger: override ? 'test' : 'manual', recipients: override });
+  if (result.status !== 'sent') return res.status(500).json({ error: result.error || 'Send failed', run_id: result.run_id });
+
+  if (logActivity) logActivity(req.user.id, req.user.name || req.user.email, 'sent', 'scheduled_report', report.id, `Sent report "${report.name}"${override ? ` to ${override}` : ''}`, req.ip);
+  res.json(result);
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const path = require('path');
 const fs = require('fs');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
+const permissions = require('../lib/permissions');
 
 // Encryption for SMTP password (same pattern as google-ads.js)
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'coastal-debt-cms-encryption-key-32';
@@ -230,36 +231,29 @@ router.get('/activity/export', authenticateToken, (req, res) => {
 
 // ============ USER PERMISSIONS ============
 
-const DEFAULT_PERMISSIONS = {
-  admin: { pages: true, leads: true, forms: true, scripts: true, integrations: true, users: true, settings: true },
-  editor: { pages: true, leads: true, forms: true, scripts: true, integrations: false, users: false, settings: false },
-  viewer: { pages: false, leads: true, forms: false, scripts: false, integrations: false, users: false, settings: false }
-};
-
 // Get default permissions for each role
 router.get('/permissions-defaults', authenticateToken, (req, res) => {
-  res.json(DEFAULT_PERMISSIONS);
+  res.json(permissions.DEFAULT_PERMISSIONS);
+});
+
+// Resources and the actions each supports, for the permission editor
+router.get('/permissions-resources', authenticateToken, (req, res) => {
+  res.json({
+    resources: Object.entries(permissions.RESOURCES).map(([id, label]) => ({
+      id, label, actions: permissions.RESOURCE_ACTIONS[id] || permissions.ACTIONS
+    })),
+    actions: permissions.ACTIONS
+  });
 });
 
 // Get user permissions
 router.get('/permissions/:userId', authenticateToken, (req, res) => {
-  const user = db.prepare('SELECT id, role, permissions FROM users WHERE id = ?').get(req.params.userId);
-  if (!user) {
+  const effective = permissions.getEffectivePermissions(req.params.userId);
+  if (!effective) {
     return res.status(404).json({ error: 'User not found' });
   }
 
-  let permissions;
-  try {
-    permissions = JSON.parse(user.permissions || '{}');
-  } catch (e) {
-    permissions = {};
-  }
-
-  // Merge with defaults: user overrides take precedence
-  const defaults = DEFAULT_PERMISSIONS[user.role] || DEFAULT_PERMISSIONS.viewer;
-  const effective = { ...defaults, ...permissions };
-
-  res.json({ permissions: effective, overrides: permissions, defaults, role: user.role });
+  res.json(effective);
 });
 
 // Update user permissions (admin only)
@@ -268,9 +262,9 @@ router.put('/permissions/:userId', authenticateToken, (req, res) => {
     return res.status(403).json({ error: 'Admin access required' });
   }
 
-  const { permissions } = req.body;
-  if (!permissions || typeof permissions !== 'object') {
-    return res.status(400).json({ error: 'Permissions object required' });
+  const { overrides, error } = permissions.normalizeOverrides(req.body.permissions);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
   const user = db.prepare('SELECT id, name FROM users WHERE id = ?').get(req.params.userId);
@@ -278,7 +272,7 @@ router.put('/permissions/:userId', authenticateToken, (req, res) => {
     return res.status(404).json({ error: 'User not found' });
   }
 
-  db.prepare('UPDATE users SET permissions = ? WHERE id = ?').run(JSON.stringify(permissions), req.params.userId);
+  db.prepare('UPDATE users SET permissions = ? WHERE id = ?').run(JSON.stringify(overrides), req.params.userId);
 
   logActivity(req.user.id, req.user.name || req.user.email, 'updated', 'user_permissions', parseInt(req.params.userId), `Updated permissions for ${user.name}`, req.ip);
 
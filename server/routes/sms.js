@@ -0,0 +1,158 @@
+const express = require('express');
+const db = require('../database');
+const { authenticateToken } = require('./auth');
+const { encrypt } = require('../lib/smtp');
+const permissions = require('../lib/permissions');
+const {
+  getSmsConfig, getAdapter, normalizePhone, queueSms, processSmsQueue,
+  applyStatusUpdate, handleInbound
+} = require('../sms-worker');
+
+const router = express.Router();
+
+// Twilio posts webhooks as application/x-www-form-urlencoded
+router.use('/webhook', express.urlencoded({ extended: false }));
+
+function getBaseUrl() {
+  return process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+// ============ CONFIG ============
+
+// GET /config - provider settings (mask auth token)
+router.get('/config', authenticateToken, (req, res) => {
+  const config = getSmsConfig();
+  // The webhook key is the only thing guarding the log adapter's webhooks, so
+  // only users who can manage settings see it
+  const key = permissions.can(req.permissions, 'settings', 'write') ? config.webhook_key : '********';
+  res.json({
+    sms_provider: config.provider,
+    twilio_account_sid: config.account_sid,
+    twilio_auth_token: config.auth_token ? '********' : '',
+    twilio_from_number: config.from_number,
+    twilio_messaging_service_sid: config.messaging_service_sid,
+    sms_help_text: config.help_text,
+    status_webhook_url: `${getBaseUrl()}/api/sms/webhook/status?key=${key}`,
+    inbound_webhook_url: `${getBaseUrl()}/api/sms/webhook/inbound?key=${key}`
+  });
+});
+
+// POST /config - save provider settings
+router.post('/config', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const { sms_provider, twilio_account_sid, twilio_auth_token, twilio_from_number, twilio_messaging_service_sid, sms_help_text } = req.body;
+  if (sms_provider !== undefined && !['log', 'twilio'].includes(sms_provider)) {
+    return res.status(400).json({ error: 'Invalid provider' });
+  }
+
+  const upsert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = ?');
+  const save = db.transaction(() => {
+    if (sms_provider !== undefined) upsert.run('sms_provider', sms_provider, sms_provider);
+    if (twilio_account_sid !== undefined) upsert.run('twilio_account_sid', twilio_account_sid.trim(), twilio_account_sid.trim());
+    if (twilio_from_number !== undefined) upsert.run('twilio_from_number', twilio_from_number.trim(), twilio_from_number.trim());
+    if (twilio_messaging_service_sid !== undefined) upsert.run('twilio_messaging_service_sid', twilio_messaging_service_sid.trim(), twilio_messaging_service_sid.trim());
+    if (sms_help_text !== undefined) upsert.run('sms_help_text', sms_help_text, sms_help_text);
+    // Only update the token if it's not the masked placeholder
+    if (twilio_auth_token && twilio_auth_token !== '********') {
+      const encrypted = encrypt(twilio_auth_token.trim());
+      upsert.run('twilio_auth_token', encrypted, encrypted);
+    }
+  });
+
+  save();
+  res.json({ message: 'SMS settings saved' });
+});
+
+// POST /test - send a test message straight through the provider (bypasses the queue)
+router.post('/test', authenticateToken, async (req, res) => {
+  const to = normalizePhone(req.body.to);
+  if (!to) return res.status(400).json({ error: 'Valid recipient phone number required' });
+
+  const config = getSmsConfig();
+  try {
+    const result = await getAdapter(config).send(config, { to, body: 'Coastal Debt CMS - Test SMS. Your SMS configuration is working.' });
+    res.json({ message: `Test SMS sent via ${config.provider}`, sid: result.sid });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to send: ' + err.message });
+  }
+});
+
+// ============ MESSAGES ============
+
+// GET /messages - recent messages across all leads
+router.get('/messages', authenticateToken, (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = (page - 1) * limit;
+
+  let where = '1=1';
+  const params = [];
+  if (req.query.direction) { where += ' AND m.direction = ?'; params.push(req.query.direction); }
+  if (req.query.status) { where += ' AND m.status = ?'; params.push(req.query.status); }
+
+  const total = db.prepare(`SELECT COUNT(*) as total FROM sms_messages m WHERE ${where}`).get(...params).total;
+  const messages = db.prepare(`
+    SELECT m.*, l.first_name, l.last_name, u.name as sent_by_name
+    FROM sms_messages m
+    LEFT JOIN leads l ON m.lead_id = l.id
+    LEFT JOIN users u ON m.sent_by_id = u.id
+    WHERE ${where}
+    ORDER BY m.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  res.json({ messages, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+});
+
+// ============ PROVIDER WEBHOOKS (public, signature- or key-verified) ============
+
+function verifyWebhook(req, res) {
+  const config = getSmsConfig();
+  const adapter = getAdapter(config);
+  // Signature covers the exact URL the provider called
+  const url = `${getBaseUrl()}${req.originalUrl}`;
+  if (!adapter.verifyRequest(config, req, url)) {
+    res.status(403).json({ error: 'Invalid signature' });
+    return null;
+  }
+  return adapter;
+}
+
+// POST /webhook/status - delivery status callbacks
+router.post('/webhook/status', (req, res) => {
+  const adapter = verifyWebhook(req, res);
+  if (!adapter) return;
+
+  try {
+    const update = adapter.parseStatus(req);
+    if (!applyStatusUpdate(update)) {
+      console.log(`SMS status webhook: unknown message ${update.sid} (${update.status})`);
+    }
+  } catch (err) {
+    console.error('SMS status webhook error:', err.message);
+  }
+  adapter.respond(res);
+});
+
+// POST /webhook/inbound - inbound messages (replies, STOP/HELP)
+router.post('/webhook/inbound', (req, res) => {
+  const adapter = verifyWebhook(req, res);
+  if (!adapter) return;
+
+  try {
+    const inbound = adapter.parseInbound(req);
+    if (inbound.from) {
+      const result = handleInbound(inbound);
+      console.log(`SMS inbound from ${inbound.from}${result.lead_id ? ` (lead #${result.lead_id})` : ''}${result.keyword ? ` [${result.keyword.toUpperCase()}]` : ''}`);
+      if (result.keyword === 'help') processSmsQueue().catch(() => {});
+    }
+  } catch (err) {
+    console.error('SMS inbound webhook error:', err.message);
+  }
+  adapter.respond(res);
+});
+
+module.exports = router;
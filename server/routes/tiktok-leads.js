@@ -2,6 +2,7 @@ const express = require('express');
 const crypto = require('crypto');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
+const { onLeadCreated } = require('../lib/lead-hooks');
 
 const router = express.Router();
 
@@ -336,6 +337,8 @@ function processLead(leadData, source, forceImport = false) {
     console.error('Failed to create lead event for TikTok lead:', evtErr);
   }
 
+  onLeadCreated(result.lastInsertRowid, 'tiktok');
+
   return { imported: true, leadId: result.lastInsertRowid, eliClickId };
 }
 
@@ -923,6 +926,59 @@ router.post('/fetch-all-costs', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Daily ad-level spend rows for the ad-spend warehouse (Reporting API,
+ * AUCTION_AD by stat_time_day; the API caps day-level reports at 30 days, so
+ * callers chunk longer ranges). Returns { account_id, rows } or throws.
+ */
+async function fetchDailyAdSpend(from, to) {
+  const config = db.prepare('SELECT access_token, advertiser_id FROM tiktok_config WHERE id = 1').get();
+  if (!config || !config.access_token || !config.advertiser_id) throw new Error('TikTok Ads not configured');
+
+  const rows = [];
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const ttRes = await fetch(
+      `https://business-api.tiktok.com/open_api/v1.3/report/integrated/get/?` + new URLSearchParams({
+        advertiser_id: config.advertiser_id,
+        report_type: 'BASIC',
+        data_level: 'AUCTION_AD',
+        dimensions: JSON.stringify(['ad_id', 'stat_time_day']),
+        metrics: JSON.stringify(['spend', 'clicks', 'impressions', 'conversion', 'campaign_id', 'campaign_name', 'adgroup_id', 'adgroup_name', 'ad_name']),
+        service_type: 'AUCTION',
+        start_date: from,
+        end_date: to,
+        lifetime: 'false',
+        page: String(page),
+        page_size: '1000'
+      }),
+      { headers: { 'Access-Token': config.access_token } }
+    );
+    const ttData = await ttRes.json();
+    if (ttData.code !== 0) throw new Error(ttData.message || 'TikTok API error');
+
+    for (const row of ttData.data?.list || []) {
+      const m = row.metrics || {};
+      rows.push({
+        // stat_time_day may have " 00:00:00" suffix — strip it
+        date: (row.dimensions?.stat_time_day || '').replace(/ 00:00:00$/, ''),
+        campaign_id: String(m.campaign_id || ''), campaign_name: m.campaign_name || '',
+        ad_group_id: String(m.adgroup_id || ''), ad_group_name: m.adgroup_name || '',
+        ad_id: String(row.dimensions?.ad_id || ''), ad_name: m.ad_name || '',
+        impressions: parseInt(m.impressions || 0),
+        clicks: parseInt(m.clicks || 0),
+        cost_micros: Math.round(parseFloat(m.spend || 0) * 1000000),
+        conversions: parseFloat(m.conversion || 0)
+      });
+    }
+    totalPages = ttData.data?.page_info?.total_page || 1;
+    page++;
+  } while (page <= totalPages);
+
+  return { account_id: String(config.advertiser_id), rows: rows.filter(r => r.date) };
+}
+
 /**
  * POST /sync — Manual sync trigger (authenticated)
  */
@@ -1129,9 +1185,6 @@ function startBackgroundSync() {
   }, 15 * 1000);
 }
 
-// Start background sync
-startBackgroundSync();
-
 /**
  * Send a conversion event to TikTok Events API
  *
@@ -1467,12 +1520,13 @@ router.post('/import-sheet', authenticateToken, async (req, res) => {
         const debtAmount = lead.debt_amount || lead['How Much Debt Does Your Business Have?'] || '';
         const createdAt = lead.created_at || lead['Created Time'] || lead['Timestamp'] || new Date().toISOString();
 
-        db.prepare(`
+        const result = db.prepare(`
           INSERT INTO leads (first_name, last_name, email, phone, company_name, debt_amount, landing_page_id, source, hidden_fields, created_at)
           VALUES (?, ?, ?, ?, ?, ?, ?, 'tiktok_sheet_import', ?, ?)
         `).run(firstName, lastName, email, phone, companyName, debtAmount, landingPageId, hiddenFields, createdAt);
-
         imported++;
+
+        onLeadCreated(result.lastInsertRowid, 'tiktok_sheet_import');
       } catch (err) {
         errors.push({ lead: lead.email || lead.phone || 'unknown', error: err.message });
       }
@@ -1487,3 +1541,5 @@ router.post('/import-sheet', authenticateToken, async (req, res) => {
 module.exports = router;
 module.exports.sendTikTokEvent = sendTikTokEvent;
 module.exports.fetchTikTokMissingCosts = fetchTikTokMissingCosts;
+module.exports.fetchDailyAdSpend = fetchDailyAdSpend;
+module.exports.startBackgroundSync = startBackgroundSync;
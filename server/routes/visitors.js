@@ -2,6 +2,10 @@ const express = require('express');
 const db = require('../database');
 const { authenticateToken } = require('./auth');
 const { getConfiguredTimezone, localDateToUtcRange, getTodayInTz, getTimezoneOffsetHours, getSqliteOffsetStr } = require('../lib/timezone');
+const { recordEventBatch, getVisitorSessions } = require('../lib/visitor-events');
+const { scoreVisitor } = require('../lib/fraud');
+const { recordVisit } = require('../lib/attribution');
+const FormLogic = require('../lib/form-logic');
 
 const router = express.Router();
 
@@ -115,16 +119,32 @@ router.get('/ip', (req, res) => {
 });
 
 // Track funnel pre-qual step (public endpoint, called from LP forms when user
-// picks debt size or answers MCA question). Body: { eli_clickid, step, value }
-// step = 'debt' | 'mca'. Idempotent — only writes the FIRST time per visitor
-// per step (so stats reflect "people who reached this step", not last-touch).
+// completes a pre-qual step). Body: { eli_clickid, step, value }
+// step = a prequal step key from the form builder; the built-in 'debt' and 'mca'
+// steps also fill the visitors.step1_/step2_ columns. Idempotent — only writes
+// the FIRST time per visitor per step (so stats reflect "people who reached
+// this step", not last-touch).
+const FUNNEL_STEP_KEY = /^[a-z0-9_]{1,40}$/;
+const BUILT_IN_FUNNEL_STEPS = ['debt', 'mca'];
+
+// Only steps some form actually reports are stored, so a public caller can't
+// fill visitor_funnel_steps (and the A/B funnel stats) with made-up keys
+function isKnownFunnelStep(step) {
+  if (BUILT_IN_FUNNEL_STEPS.includes(step)) return true;
+  return db.prepare('SELECT fields, steps FROM forms').all()
+    .some(form => FormLogic.normalizeConfig(form).steps.some(s => s.prequal && s.key === step));
+}
+
 router.post('/funnel-step', async (req, res) => {
   const { eli_clickid, step, value } = req.body || {};
   if (!eli_clickid || !step) {
     return res.status(400).json({ error: 'eli_clickid and step required' });
   }
-  if (step !== 'debt' && step !== 'mca') {
-    return res.status(400).json({ error: 'step must be "debt" or "mca"' });
+  if (!FUNNEL_STEP_KEY.test(step)) {
+    return res.status(400).json({ error: 'step must be 1-40 lowercase letters, digits or underscores' });
+  }
+  if (!isKnownFunnelStep(step)) {
+    return res.status(400).json({ error: 'Unknown funnel step' });
   }
   // Self-heal: if /track hasn't fired yet (race), insert a stub row so the
   // step value isn't lost. /track later will fill in the rest of the fields.
@@ -138,6 +158,9 @@ router.post('/funnel-step', async (req, res) => {
     if (!visitor) return res.status(500).json({ error: 'Could not create visitor row' });
   }
 
+  db.prepare(`INSERT OR IGNORE INTO visitor_funnel_steps (eli_clickid, step_key, value) VALUES (?, ?, ?)`)
+    .run(eli_clickid, step, String(value || '').slice(0, 200));
+
   if (step === 'debt' && !visitor.step1_debt_at) {
     db.prepare(`UPDATE visitors SET step1_debt_at = CURRENT_TIMESTAMP, step1_debt_value = ? WHERE eli_clickid = ?`)
       .run(String(value || ''), eli_clickid);
@@ -168,7 +191,29 @@ router.get('/funnel-step/recent', authenticateToken, (req, res) => {
       SUM(CASE WHEN step2_mca_at  >= datetime('now', '-1 day') THEN 1 ELSE 0 END) AS step2_24h
     FROM visitors
   `).get();
-  res.json({ counts, recent: rows });
+  const steps = db.prepare(`
+    SELECT fs.step_key,
+      COUNT(*) AS count,
+      SUM(CASE WHEN fs.created_at >= datetime('now', '-1 day') THEN 1 ELSE 0 END) AS count_24h,
+      SUM(CASE WHEN v.converted = 1 THEN 1 ELSE 0 END) AS converted
+    FROM visitor_funnel_steps fs
+    LEFT JOIN visitors v ON v.eli_clickid = fs.eli_clickid
+    GROUP BY fs.step_key
+    ORDER BY count DESC
+  `).all();
+  res.json({ counts, steps, recent: rows });
+});
+
+// Engagement event batches from the page beacon (public endpoint). The beacon
+// sends text/plain (sendBeacon-safe), so parse it here; JSON bodies work too.
+router.post('/events', express.text({ type: 'text/plain', limit: '64kb' }), (req, res) => {
+  let batch = req.body;
+  if (typeof batch === 'string') {
+    try { batch = JSON.parse(batch); } catch (e) { return res.status(400).json({ error: 'Invalid JSON' }); }
+  }
+  const result = recordEventBatch(batch);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({ success: true, accepted: result.accepted });
 });
 
 // Track visitor (public endpoint - called from landing pages)
@@ -247,6 +292,8 @@ router.post('/track', async (req, res) => {
       WHERE eli_clickid = ?
     `).run(gclid || '', msclkid || '', rt_clickid || '', fbclid || '', fbc || '', fbp || '', rdt_cid || '', landing_page || '', utm_source || '', utm_medium || '', utm_campaign || '', utm_term || '', utm_content || '', ab_variant || '', eli_clickid);
 
+    rescore(existing.id);
+    logTouch(existing.id, existing.lead_id, req.body);
     res.json({ success: true, visitor_id: existing.id, returning: true });
   } else {
     // Create new visitor
@@ -288,7 +335,10 @@ router.post('/track', async (req, res) => {
       ab_variant || ''
     );
 
-    // Try to get geo info from IP (async, don't wait)
+    rescore(result.lastInsertRowid);
+    logTouch(result.lastInsertRowid, null, req.body);
+
+    // Try to get geo info from IP (async, don't wait); rescored once it lands
     if (ip_address && ip_address !== '::1' && ip_address !== '127.0.0.1') {
       fetchGeoInfo(ip_address, result.lastInsertRowid);
     }
@@ -297,11 +347,29 @@ router.post('/track', async (req, res) => {
   }
 });
 
+// Attribution touchpoint (lib/attribution.js); never fails the tracking call
+function logTouch(visitorId, leadId, body) {
+  try {
+    recordVisit(visitorId, leadId, body);
+  } catch (err) {
+    console.error('Touchpoint logging failed:', err.message);
+  }
+}
+
+// Bot / click-fraud score (lib/fraud.js); never fails the tracking call
+function rescore(visitorId) {
+  try {
+    scoreVisitor(visitorId);
+  } catch (err) {
+    console.error('Fraud scoring failed:', err.message);
+  }
+}
+
 // Fetch geo info from IP (background)
 async function fetchGeoInfo(ip, visitorId) {
   try {
     // Using ip-api.com (free, no API key needed, 45 req/min limit)
-    const response = await fetch(`http://ip-api.com/json/${ip}?fields=status,city,regionName,country,timezone,isp`);
+    const response = await fetch(`http://ip-api.com/json/${ip}?fields=status,city,regionName,country,timezone,isp,as,hosting,proxy`);
     const data = await response.json();
 
     if (data.status === 'success') {
@@ -311,7 +379,10 @@ async function fetchGeoInfo(ip, visitorId) {
           region = ?,
           country = ?,
           timezone = COALESCE(NULLIF(timezone, ''), ?),
-          isp = ?
+          isp = ?,
+          asn = ?,
+          is_hosting = ?,
+          is_proxy = ?
         WHERE id = ?
       `).run(
         data.city || '',
@@ -319,8 +390,12 @@ async function fetchGeoInfo(ip, visitorId) {
         data.country || '',
         data.timezone || '',
         data.isp || '',
+        data.as || '',
+        data.hosting ? 1 : 0,
+        data.proxy ? 1 : 0,
         visitorId
       );
+      rescore(visitorId);
     }
   } catch (err) {
     console.error('Geo lookup failed:', err.message);
@@ -399,6 +474,7 @@ router.get('/:id', authenticateToken, (req, res) => {
     return res.status(404).json({ error: 'Visitor not found' });
   }
 
+  visitor.sessions = getVisitorSessions(visitor.eli_clickid);
   res.json(visitor);
 });
 
@@ -410,6 +486,7 @@ router.get('/by-clickid/:clickid', authenticateToken, (req, res) => {
     return res.status(404).json({ error: 'Visitor not found' });
   }
 
+  visitor.sessions = getVisitorSessions(visitor.eli_clickid);
   res.json(visitor);
 });
 
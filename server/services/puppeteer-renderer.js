@@ -60,6 +60,24 @@ async function renderHtmlToPng(htmlString, width, height, outputFilename) {
   }
 }
 
+// Render a self-contained HTML document (inline styles, no local assets) to a PDF buffer
+async function renderHtmlToPdf(htmlString, options = {}) {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+
+  try {
+    await page.setContent(htmlString, { waitUntil: 'networkidle0', timeout: 15000 });
+    return Buffer.from(await page.pdf({
+      format: options.format || 'Letter',
+      landscape: !!options.landscape,
+      printBackground: true,
+      margin: { top: '0.5in', right: '0.4in', bottom: '0.5in', left: '0.4in' }
+    }));
+  } finally {
+    await page.close();
+  }
+}
+
 async function closeBrowser() {
   if (browserInstance) {
     await browserInstance.close();
@@ -70,4 +88,4 @@ async function closeBrowser() {
 // Close browser on process exit
 process.on('exit', () => { if (browserInstance) browserInstance.close().catch(() => {}); });
 
-module.exports = { renderHtmlToPng, closeBrowser };
+module.exports = { renderHtmlToPng, renderHtmlToPdf, closeBrowser };
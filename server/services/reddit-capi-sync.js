@@ -32,6 +32,7 @@ async function fetchRedTrackConversions(fromIso, toIso) {
 }
 
 const db = require('../database');
+const { suppressesConversions } = require('../lib/fraud');
 const { sendRedditEvent } = require('../routes/reddit-ads');
 
 /**
@@ -118,12 +119,13 @@ async function syncRedditCapi(hoursLookback = 2) {
       `).get(String(conv.id));
       if (existing) { stats.skipped++; stats.skip_reasons.already_sent++; continue; }
 
-      if (lead && lead.is_blocked) {
+      if (suppressesConversions(lead)) {
         db.prepare(`
           INSERT INTO conversion_events
             (lead_id, eli_clickid, conversion_action_name, revenue, source, status, error_message, redtrack_conversion_id)
-          VALUES (?, ?, ?, ?, 'reddit_capi', 'blocked', 'Lead is blocked', ?)
-        `).run(lead.id, visitor.eli_clickid, conv.type, conv.payout != null ? conv.payout : null, String(conv.id));
+          VALUES (?, ?, ?, ?, 'reddit_capi', 'blocked', ?, ?)
+        `).run(lead.id, visitor.eli_clickid, conv.type, conv.payout != null ? conv.payout : null,
+          lead.is_blocked ? 'Lead is blocked' : 'Lead flagged as suspicious', String(conv.id));
         stats.blocked++;
         continue;
       }
@@ -0,0 +1,44 @@
+// Log-only SMS adapter for local development and staging.
+// Nothing leaves the server: sends are printed to the console and marked sent.
+// Status and inbound webhooks accept plain JSON so they can be exercised with curl,
+// authenticated by the install's webhook key (shown in Settings > SMS):
+//   POST /api/sms/webhook/status?key=...  { "sid": "LOG...", "status": "delivered" }
+//   POST /api/sms/webhook/inbound?key=... { "from": "+15551234567", "body": "STOP" }
+
+const crypto = require('crypto');
+
+const STATUSES = ['queued', 'sending', 'sent', 'delivered', 'failed'];
+
+async function send(config, { to, body }) {
+  const sid = 'LOG' + crypto.randomBytes(16).toString('hex');
+  console.log(`[SMS log] to ${to} (${sid}): ${body}`);
+  return { sid, status: 'sent' };
+}
+
+function verifyRequest(config, req) {
+  const key = req.query && req.query.key;
+  if (!key || !config.webhook_key) return false;
+  const a = Buffer.from(String(key));
+  const b = Buffer.from(config.webhook_key);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function parseStatus(req) {
+  const b = req.body || {};
+  return {
+    sid: b.sid,
+    status: STATUSES.includes(b.status) ? b.status : null,
+    error: b.error || null
+  };
+}
+
+function parseInbound(req) {
+  const b = req.body || {};
+  return { sid: b.sid || 'LOG' + crypto.randomBytes(16).toString('hex'), from: b.from, to: b.to || '', body: b.body || '' };
+}
+
+function respond(res) {
+  res.json({ ok: true });
+}
+
+module.exports = { send, verifyRequest, parseStatus, parseInbound, respond };
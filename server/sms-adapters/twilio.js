@@ -0,0 +1,84 @@
+// Twilio Programmable Messaging adapter
+// Docs: https://www.twilio.com/docs/messaging/api/message-resource
+
+const crypto = require('crypto');
+
+const BASE_URL = 'https://api.twilio.com/2010-04-01';
+
+// Twilio statuses → sms_messages.status
+const STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'sending',
+  sent: 'sent',
+  delivered: 'delivered',
+  receiving: 'delivered',
+  received: 'delivered',
+  read: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+async function send(config, { to, body, statusCallback }) {
+  if (!config.account_sid || !config.auth_token) throw new Error('Twilio credentials not configured');
+  if (!config.from_number && !config.messaging_service_sid) throw new Error('Twilio from number or messaging service not configured');
+
+  const form = new URLSearchParams({ To: to, Body: body });
+  if (config.messaging_service_sid) form.set('MessagingServiceSid', config.messaging_service_sid);
+  else form.set('From', config.from_number);
+  if (statusCallback) form.set('StatusCallback', statusCallback);
+
+  const res = await fetch(`${BASE_URL}/Accounts/${config.account_sid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      'Authorization': 'Basic ' + Buffer.from(`${config.account_sid}:${config.auth_token}`).toString('base64'),
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: form.toString()
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(`Twilio API error (${res.status}): ${data.message || 'unknown error'}${data.code ? ` [${data.code}]` : ''}`);
+  }
+
+  return { sid: data.sid, status: STATUS_MAP[data.status] || 'sent' };
+}
+
+// X-Twilio-Signature: base64(HMAC-SHA1(auth_token, url + sorted POST params))
+function verifyRequest(config, req, url) {
+  if (!config.auth_token) return false;
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) return false;
+
+  const params = req.body || {};
+  const payload = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  const expected = crypto.createHmac('sha1', config.auth_token).update(payload).digest('base64');
+
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function parseStatus(req) {
+  const b = req.body || {};
+  return {
+    sid: b.MessageSid || b.SmsSid,
+    status: STATUS_MAP[b.MessageStatus || b.SmsStatus] || null,
+    error: b.ErrorCode ? `Twilio error ${b.ErrorCode}${b.ErrorMessage ? ': ' + b.ErrorMessage : ''}` : null
+  };
+}
+
+function parseInbound(req) {
+  const b = req.body || {};
+  return { sid: b.MessageSid || b.SmsSid, from: b.From, to: b.To, body: b.Body || '' };
+}
+
+// Twilio expects TwiML back from webhooks; replies are sent through the queue instead
+function respond(res) {
+  res.type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+}
+
+module.exports = { send, verifyRequest, parseStatus, parseInbound, respond };
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const db = require('./database');
+const { decrypt } = require('./lib/smtp');
+
+const ADAPTERS = {
+  log: require('./sms-adapters/log'),
+  twilio: require('./sms-adapters/twilio')
+};
+
+let workerInterval = null;
+let processing = false;
+
+// Carrier-standard keywords (matched against the whole trimmed message)
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+const DEFAULT_HELP_TEXT = 'Coastal Debt: for help call us or reply to this message. Reply STOP to opt out. Msg & data rates may apply.';
+
+function getSetting(key, defaultValue) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : defaultValue;
+}
+
+function getBaseUrl() {
+  return process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+function getSmsConfig() {
+  const authToken = getSetting('twilio_auth_token', '');
+  return {
+    provider: getSetting('sms_provider', 'log'),
+    account_sid: getSetting('twilio_account_sid', ''),
+    auth_token: authToken ? decrypt(authToken) : '',
+    from_number: getSetting('twilio_from_number', ''),
+    messaging_service_sid: getSetting('twilio_messaging_service_sid', ''),
+    help_text: getSetting('sms_help_text', DEFAULT_HELP_TEXT),
+    webhook_key: getWebhookKey()
+  };
+}
+
+// Shared key that authenticates webhooks for adapters without request signing (log)
+function getWebhookKey() {
+  let key = getSetting('sms_webhook_key', null);
+  if (!key) {
+    key = crypto.randomBytes(24).toString('hex');
+    db.prepare("INSERT OR REPLACE INTO settings (key, value) VALUES ('sms_webhook_key', ?)").run(key);
+  }
+  return key;
+}
+
+function getAdapter(config = getSmsConfig()) {
+  return ADAPTERS[config.provider] || ADAPTERS.log;
+}
+
+// Normalize to E.164, assuming US numbers when no country code is present
+function normalizePhone(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  if (digits.length === 10) return '+1' + digits;
+  if (digits.length === 11 && digits.startsWith('1')) return '+' + digits;
+  if (digits.length > 11 && String(phone).trim().startsWith('+')) return '+' + digits;
+  return null;
+}
+
+// Leads whose stored phone matches on the last 10 digits, newest first
+function findLeadsByPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+  if (digits.length < 10) return [];
+  return db.prepare(`
+    SELECT id FROM leads
+    WHERE REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(phone, ' ', ''), '-', ''), '(', ''), ')', ''), '+', ''), '.', '') LIKE ?
+    ORDER BY created_at DESC
+  `).all('%' + digits);
+}
+
+// The STOP on record for a phone number, or null
+function getPhoneOptOut(phone) {
+  const e164 = normalizePhone(phone);
+  return e164 ? db.prepare('SELECT * FROM sms_opt_outs WHERE phone = ?').get(e164) || null : null;
+}
+
+function isPhoneOptedOut(phone) {
+  return !!getPhoneOptOut(phone);
+}
+
+/**
+ * Queue an outbound SMS. The worker picks it up within a few seconds.
+ * Returns the sms_messages id.
+ */
+function queueSms({ leadId = null, to, body, flowRunId = null, campaignId = null, sentById = null, isHelpReply = false }) {
+  const result = db.prepare(`
+    INSERT INTO sms_messages (lead_id, to_phone, body, status, direction, flow_run_id, campaign_id, sent_by_id, is_help_reply)
+    VALUES (?, ?, ?, 'queued', 'outbound', ?, ?, ?, ?)
+  `).run(leadId, to, body, flowRunId, campaignId, sentById, isHelpReply ? 1 : 0);
+  return result.lastInsertRowid;
+}
+
+async function sendOne(msg, config, adapter) {
+  const to = normalizePhone(msg.to_phone);
+  if (!to) {
+    db.prepare(`UPDATE sms_messages SET status = 'failed', error_message = ? WHERE id = ?`).run(`Invalid phone number: ${msg.to_phone}`, msg.id);
+    return;
+  }
+
+  // Opt-out is enforced here so every sender (closers, flows, campaigns) respects it.
+  // The HELP auto-reply is the one message still allowed through.
+  if (!msg.is_help_reply && isPhoneOptedOut(to)) {
+    db.prepare(`UPDATE sms_messages SET status = 'failed', error_message = 'Recipient opted out (STOP)' WHERE id = ?`).run(msg.id);
+    return;
+  }
+
+  db.prepare(`UPDATE sms_messages SET status = 'sending', provider = ? WHERE id = ?`).run(config.provider, msg.id);
+
+  try {
+    const result = await adapter.send(config, {
+      to,
+      body: msg.body,
+      statusCallback: `${getBaseUrl()}/api/sms/webhook/status`
+    });
+    const status = result.status === 'queued' ? 'sending' : result.status;
+    db.prepare(`
+      UPDATE sms_messages SET status = ?, twilio_sid = ?, to_phone = ?,
+        sent_at = CASE WHEN ? IN ('sent', 'delivered') THEN CURRENT_TIMESTAMP ELSE sent_at END
+      WHERE id = ?
+    `).run(status, result.sid, to, status, msg.id);
+  } catch (err) {
+    console.error(`SMS send error for message ${msg.id}:`, err.message);
+    db.prepare(`UPDATE sms_messages SET status = 'failed', error_message = ? WHERE id = ?`).run(err.message, msg.id);
+  }
+}
+
+// Process queued outbound messages
+async function processSmsQueue() {
+  if (processing) return;
+  const enabled = getSetting('sms_worker_enabled', '1');
+  if (enabled !== '1') return;
+
+  processing = true;
+  try {
+    const rateLimit = parseInt(getSetting('sms_rate_limit', '10'));
+    const items = db.prepare(`
+      SELECT * FROM sms_messages
+      WHERE status = 'queued' AND direction = 'outbound'
+      ORDER BY id ASC
+      LIMIT ?
+    `).all(rateLimit);
+    if (items.length === 0) return;
+
+    const config = getSmsConfig();
+    const adapter = getAdapter(config);
+    for (const msg of items) {
+      await sendOne(msg, config, adapter);
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Apply a delivery-status callback. Returns false if the message is unknown.
+ */
+function applyStatusUpdate({ sid, status, error }) {
+  if (!sid || !status) return false;
+  const msg = db.prepare('SELECT id, status FROM sms_messages WHERE twilio_sid = ?').get(sid);
+  if (!msg) return false;
+  // Never move a delivered message backwards (callbacks can arrive out of order)
+  if (msg.status === 'delivered' && status !== 'failed') return true;
+
+  db.prepare(`
+    UPDATE sms_messages SET status = ?, error_message = COALESCE(?, error_message),
+      sent_at = CASE WHEN sent_at IS NULL AND ? IN ('sent', 'delivered') THEN CURRENT_TIMESTAMP ELSE sent_at END
+    WHERE id = ?
+  `).run(status, error, status, msg.id);
+  return true;
+}
+
+function setOptOut(phone, leadIds, optedOut, keyword) {
+  if (optedOut) {
+    db.prepare('INSERT OR REPLACE INTO sms_opt_outs (phone, keyword, opted_out_at) VALUES (?, ?, CURRENT_TIMESTAMP)').run(phone, keyword);
+  } else {
+    db.prepare('DELETE FROM sms_opt_outs WHERE phone = ?').run(phone);
+  }
+
+  const update = db.prepare(`
+    UPDATE leads SET sms_opted_out = ?, sms_opted_out_at = CASE WHEN ? = 1 THEN CURRENT_TIMESTAMP ELSE NULL END WHERE id = ?
+  `);
+  let logActivity = null;
+  try { logActivity = require('./routes/settings').logActivity; } catch (e) {}
+  for (const id of leadIds) {
+    update.run(optedOut ? 1 : 0, optedOut ? 1 : 0, id);
+    if (logActivity) logActivity(null, 'SMS', optedOut ? 'sms_opt_out' : 'sms_opt_in', 'lead', id, `Keyword: ${keyword}`, null);
+  }
+}
+
+/**
+ * Record an inbound message, tie it to a lead by phone and apply STOP/START/HELP.
+ * Returns { id, lead_id, keyword }.
+ */
+function handleInbound({ sid, from, to, body }) {
+  const leads = findLeadsByPhone(from);
+  const leadId = leads.length ? leads[0].id : null;
+  const fromPhone = normalizePhone(from) || from;
+
+  const result = db.prepare(`
+    INSERT INTO sms_messages (lead_id, to_phone, from_phone, body, status, direction, twilio_sid, sent_at)
+    VALUES (?, ?, ?, ?, 'delivered', 'inbound', ?, CURRENT_TIMESTAMP)
+  `).run(leadId, to || '', fromPhone, body || '', sid || null);
+
+  const word = String(body || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+  let keyword = null;
+  const e164 = normalizePhone(from);
+  if (STOP_KEYWORDS.includes(word) && e164) {
+    keyword = 'stop';
+    setOptOut(e164, leads.map(l => l.id), true, word);
+  } else if (START_KEYWORDS.includes(word) && isPhoneOptedOut(e164)) {
+    keyword = 'start';
+    setOptOut(e164, leads.map(l => l.id), false, word);
+  } else if (HELP_KEYWORDS.includes(word)) {
+    keyword = 'help';
+    const helpText = getSmsConfig().help_text;
+    if (helpText) queueSms({ leadId, to: fromPhone, body: helpText, isHelpReply: true });
+  }
+
+  return { id: result.lastInsertRowid, lead_id: leadId, keyword };
+}
+
+function startSmsWorker() {
+  console.log('SMS worker started');
+  workerInterval = setInterval(() => {
+    processSmsQueue().catch(err => console.error('SMS worker error:', err.message));
+  }, 5000);
+}
+
+function stopSmsWorker() {
+  if (workerInterval) clearInterval(workerInterval);
+  console.log('SMS worker stopped');
+}
+
+module.exports = {
+  startSmsWorker, stopSmsWorker, processSmsQueue, queueSms,
+  getSmsConfig, getAdapter, normalizePhone, getPhoneOptOut, isPhoneOptedOut,
+  applyStatusUpdate, handleInbound
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const adSpend = require('../lib/ad-spend');
+
+// Stand in for the Reddit API: one campaign spending $10 a day, recording each call
+const calls = [];
+let dailyCostMicros = 10000000;
+adSpend.PLATFORMS.reddit.fetch = async (from, to) => {
+  calls.push([from, to]);
+  const rows = [];
+  for (let d = new Date(from + 'T00:00:00Z'); d.toISOString().slice(0, 10) <= to; d.setUTCDate(d.getUTCDate() + 1)) {
+    rows.push({ date: d.toISOString().slice(0, 10), campaign_id: 'c1', campaign_name: 'Debt relief', impressions: 100, clicks: 4, cost_micros: dailyCostMicros });
+  }
+  return { account_id: 'acct-1', rows };
+};
+
+test('a sync pulls the span in chunks, newest first, and records coverage', async () => {
+  const result = await adSpend.syncPlatform('reddit', '2026-01-01', '2026-02-14');
+  assert.deepStrictEqual(result, { platform: 'reddit', from: '2026-01-01', to: '2026-02-14', rows: 45 });
+  assert.deepStrictEqual(calls, [['2026-01-16', '2026-02-14'], ['2026-01-01', '2026-01-15']]);
+
+  const [total] = adSpend.querySpend({ from: '2026-01-01', to: '2026-01-31', platform: 'reddit', groupBy: 'campaign' });
+  assert.strictEqual(total.campaign_name, 'Debt relief');
+  assert.strictEqual(total.cost, 310);
+  assert.strictEqual(total.cpc, 2.5);
+  assert.strictEqual(total.ctr, 4);
+  assert.throws(() => adSpend.querySpend({ groupBy: 'keyword' }), /group_by must be one of/);
+});
+
+test('resyncing a span replaces its rows and keeps coverage contiguous', async () => {
+  dailyCostMicros = 20000000;
+  await adSpend.syncPlatform('reddit', '2026-02-10', '2026-02-20');
+
+  const days = adSpend.querySpend({ from: '2026-02-09', to: '2026-02-10', platform: 'reddit' });
+  assert.deepStrictEqual(days.map(d => d.cost), [10, 20]);
+
+  const status = adSpend.getStatus().find(s => s.platform === 'reddit');
+  assert.strictEqual(status.covered_from, '2026-01-01');
+  assert.strictEqual(status.covered_to, '2026-02-20');
+});
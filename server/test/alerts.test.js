@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { insertLead } = require('./helpers');
+const alerts = require('../lib/alerts');
+const { toSqliteUtc } = require('../lib/timezone');
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.now();
+
+function addLeads(count, hoursAgo) {
+  for (let i = 0; i < count; i++) insertLead({ created_at: toSqliteUtc(now - hoursAgo * HOUR - (i + 1) * 60000) });
+}
+
+// Last hour: 10 leads. The same hour on the three days before: 2, 3 and 4.
+addLeads(10, 0);
+addLeads(2, 24);
+addLeads(3, 48);
+addLeads(4, 72);
+
+const rule = { metric: 'leads', time_window_hours: 1, baseline_offset_hours: 24, baseline_samples: 3 };
+
+test('baseline samples come from the same window shifted back', () => {
+  const m = alerts.measure({ ...rule, condition: 'zscore_above' }, now);
+  assert.strictEqual(m.value, 10);
+  assert.deepStrictEqual(m.samples, [2, 3, 4]);
+  assert.strictEqual(m.mean, 3);
+  assert.strictEqual(m.stddev, 1);
+  assert.strictEqual(alerts.zScore(m), 7);
+});
+
+test('baseline and z-score conditions fire only on a real departure', () => {
+  const m = alerts.measure({ ...rule, condition: 'zscore_above' }, now);
+  assert.strictEqual(alerts.breaches({ condition: 'zscore_above', threshold: 3 }, m), true);
+  assert.strictEqual(alerts.breaches({ condition: 'zscore_below', threshold: 3 }, m), false);
+  assert.strictEqual(alerts.breaches({ condition: 'pct_above_baseline', threshold: 200 }, m), true);
+  assert.strictEqual(alerts.breaches({ condition: 'pct_above_baseline', threshold: 300 }, m), false);
+
+  // Too little history: no z-score, and a zero baseline has no percentage change
+  const short = { value: 10, samples: [2, 3], mean: 2.5, stddev: 0.7 };
+  assert.strictEqual(alerts.breaches({ condition: 'zscore_above', threshold: 1 }, short), false);
+  assert.strictEqual(alerts.breaches({ condition: 'pct_above_baseline', threshold: 10 }, { value: 5, samples: [0], mean: 0 }), false);
+});
+
+test('webhook bodies match the channel format', () => {
+  const args = { kind: 'resolved', rule: { id: 1, name: 'Lead spike' }, title: 'Lead spike resolved', lines: ['Leads: 3'] };
+  assert.strictEqual(alerts.webhookBody('teams', args)['@type'], 'MessageCard');
+  assert.strictEqual(alerts.webhookBody('json', args).event, 'alert.resolved');
+  assert.match(alerts.webhookBody('slack', args).text, /^:white_check_mark: \*Lead spike resolved\*/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const attribution = require('../lib/attribution');
+
+test('touches are classified by click id, then UTMs, then referrer', () => {
+  assert.strictEqual(attribution.classifyTouch({ gclid: 'g1', utm_source: 'facebook' }).source, 'google');
+  assert.strictEqual(attribution.classifyTouch({ utm_source: 'fb', utm_campaign: 'spring' }).campaign, 'spring');
+  assert.strictEqual(attribution.classifyTouch({ utm_source: 'newsletter' }).source, 'email');
+  assert.strictEqual(attribution.classifyTouch({ referrer_url: 'https://www.google.com/search', landing_page: 'https://coastaldebt.com/a' }).source, 'organic');
+  assert.strictEqual(attribution.classifyTouch({}).source, 'direct');
+});
+
+// Google visit ten days before the lead, a Meta visit and an email click the
+// day before, then the form submit (which links the earlier touches)
+const leadId = insertLead({ eli_clickid: 'eli-attr-1', gclid: '' });
+function addTouch(touchType, source, platform, daysAgo, refId) {
+  db.prepare(`
+    INSERT INTO touchpoints (eli_clickid, touch_type, occurred_at, source, platform, campaign, ref_table, ref_id)
+    VALUES ('eli-attr-1', ?, datetime('now', ?), ?, ?, ?, 'test', ?)
+  `).run(touchType, `-${daysAgo} days`, source, platform, `${source}-campaign`, refId);
+}
+addTouch('visit', 'google', 'google', 10, 1);
+addTouch('visit', 'meta', 'meta', 1, 2);
+addTouch('email_click', 'email', null, 1, 3);
+attribution.recordLeadTouch(leadId);
+db.prepare("INSERT INTO conversion_events (lead_id, conversion_action_name, source, revenue) VALUES (?, 'contract_signed', 'postback', 1000)").run(leadId);
+
+function creditBySource(model) {
+  return Object.fromEntries(attribution.attribute({ model }).map(r => [r.source, r.leads]));
+}
+
+test('the lead is split across its journey according to the model', () => {
+  assert.deepStrictEqual(creditBySource('first_touch'), { google: 1, meta: 0, email: 0 });
+  assert.deepStrictEqual(creditBySource('last_touch'), { email: 1, google: 0, meta: 0 });
+  assert.deepStrictEqual(creditBySource('linear'), { google: 0.33, meta: 0.33, email: 0.33 });
+  assert.deepStrictEqual(creditBySource('position_based'), { google: 0.4, email: 0.4, meta: 0.2 });
+
+  const decay = creditBySource('time_decay');
+  assert.ok(decay.meta > decay.google);
+  assert.throws(() => attribution.attribute({ model: 'magic' }), /Unknown attribution model/);
+});
+
+test('revenue follows the same split and the journey shows each touch', () => {
+  const revenue = Object.fromEntries(attribution.attribute({ model: 'linear' }).map(r => [r.source, r.revenue]));
+  assert.deepStrictEqual(revenue, { google: 333.33, meta: 333.33, email: 333.33 });
+
+  const journey = attribution.getLeadJourney(leadId, 'first_touch');
+  assert.deepStrictEqual(journey.map(t => t.touch_type), ['visit', 'visit', 'email_click', 'form_submit']);
+  assert.deepStrictEqual(journey.map(t => t.credit), [1, 0, 0, 0]);
+});
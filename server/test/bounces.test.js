@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead, callRoute } = require('./helpers');
+const bounces = require('../lib/bounces');
+const permissions = require('../lib/permissions');
+const emailRouter = require('../routes/email-marketing');
+
+// One campaign send per fixture in server/fixtures/bounces
+const templateId = db.prepare("INSERT INTO email_templates (name, subject, html_body) VALUES ('Bounce test', 'Hi', '<p>Hi</p>')").run().lastInsertRowid;
+const campaignId = db.prepare("INSERT INTO email_campaigns (name, template_id, status) VALUES ('Bounce test', ?, 'sent')").run(templateId).lastInsertRowid;
+const sends = {};
+const FIXTURE_SENDS = [
+  ['hard', 'no-such-user@example.com', '<fixture-hard-0001@coastaldebt.com>'],
+  ['soft', 'full-inbox@example.org', '<fixture-soft-0002@coastaldebt.com>'],
+  ['complaint', 'annoyed-reader@example.com', '<fixture-complaint-0004@coastaldebt.com>'],
+  ['legacy', 'gone-away@example.net', '<fixture-legacy-0005@coastaldebt.com>']
+];
+for (const [name, email, messageId] of FIXTURE_SENDS) {
+  const leadId = insertLead({ email });
+  const queueId = db.prepare(`
+    INSERT INTO email_queue (campaign_id, lead_id, to_email, subject, html_body, status, sent_at, message_id)
+    VALUES (?, ?, ?, 'Hi', '<p>Hi</p>', 'sent', CURRENT_TIMESTAMP, ?)
+  `).run(campaignId, leadId, email, messageId).lastInsertRowid;
+  sends[name] = { leadId, queueId };
+}
+
+function lead(name) {
+  return db.prepare('SELECT email_suppressed, email_suppressed_reason, email_unsubscribed FROM leads WHERE id = ?').get(sends[name].leadId);
+}
+function queueRow(name) {
+  return db.prepare('SELECT status, bounce_type, complained_at FROM email_queue WHERE id = ?').get(sends[name].queueId);
+}
+
+test('the fixture mailbox bounces, suppresses and unsubscribes the right sends', () => {
+  const summary = bounces.processLocalMailbox('fixtures/bounces');
+  assert.strictEqual(summary.messages, 5);
+  assert.strictEqual(summary.matched, 4);
+
+  assert.deepStrictEqual(queueRow('hard'), { status: 'bounced', bounce_type: 'hard', complained_at: null });
+  assert.strictEqual(lead('hard').email_suppressed_reason, 'hard_bounce');
+
+  // A full mailbox is soft: the send bounces but the address stays mailable
+  assert.strictEqual(queueRow('soft').bounce_type, 'soft');
+  assert.strictEqual(lead('soft').email_suppressed, 0);
+
+  assert.ok(queueRow('complaint').complained_at);
+  assert.strictEqual(lead('complaint').email_suppressed_reason, 'complaint');
+  assert.strictEqual(lead('complaint').email_unsubscribed, 1);
+
+  const campaign = db.prepare('SELECT bounce_count, complaint_count FROM email_campaigns WHERE id = ?').get(campaignId);
+  assert.deepStrictEqual(campaign, { bounce_count: 3, complaint_count: 1 });
+});
+
+test('processing the same reports again changes nothing', () => {
+  const again = bounces.processLocalMailbox('fixtures/bounces');
+  assert.strictEqual(again.recorded, 0);
+  assert.strictEqual(again.duplicates, again.events);
+  assert.strictEqual(db.prepare('SELECT bounce_count FROM email_campaigns WHERE id = ?').get(campaignId).bounce_count, 3);
+});
+
+test('the webhook key is only shown to users who can manage settings', async () => {
+  const viewerId = db.prepare("INSERT INTO users (email, password_hash, name, role) VALUES ('viewer@example.com', 'x', 'Viewer', 'viewer')").run().lastInsertRowid;
+  const asViewer = await callRoute(emailRouter, 'get', '/bounces/settings', { permissions: permissions.getEffectivePermissions(viewerId).permissions });
+  assert.match(asViewer.body.webhook_url, /key=\*{8}$/);
+
+  const asAdmin = await callRoute(emailRouter, 'get', '/bounces/settings', { permissions: permissions.getEffectivePermissions(1).permissions });
+  assert.strictEqual(asAdmin.body.webhook_url.split('key=')[1], bounces.getWebhookKey());
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const emailWorker = require('../email-worker');
+const { getVariantStats } = require('../routes/email-marketing');
+
+const templateId = db.prepare("INSERT INTO email_templates (name, subject, html_body) VALUES ('Newsletter', 'Base subject', '<p>Hi {{first_name}}</p>')").run().lastInsertRowid;
+const campaignId = db.prepare(`
+  INSERT INTO email_campaigns (name, template_id, status, ab_test_percent, ab_wait_hours, ab_winner_metric)
+  VALUES ('A/B test', ?, 'sending', 40, 4, 'open_rate')
+`).run(templateId).lastInsertRowid;
+const [variantA, variantB] = ['A', 'B'].map(label =>
+  db.prepare('INSERT INTO email_campaign_variants (campaign_id, label, subject) VALUES (?, ?, ?)')
+    .run(campaignId, label, `Subject ${label}`).lastInsertRowid);
+for (let i = 0; i < 10; i++) insertLead({ email: `ab-${i}@example.com` });
+
+function queued(variantId) {
+  return db.prepare('SELECT id, subject FROM email_queue WHERE campaign_id = ? AND variant_id = ?').all(campaignId, variantId);
+}
+
+test('only the test slice is sent, split evenly across the variants', () => {
+  assert.strictEqual(emailWorker.enqueueCampaign(campaignId), 4);
+  assert.strictEqual(queued(variantA).length, 2);
+  assert.deepStrictEqual(queued(variantB).map(q => q.subject), ['Subject B', 'Subject B']);
+
+  const campaign = db.prepare('SELECT ab_status, ab_decide_at FROM email_campaigns WHERE id = ?').get(campaignId);
+  assert.strictEqual(campaign.ab_status, 'testing');
+  assert.ok(campaign.ab_decide_at);
+});
+
+test('the variant with the better open rate is sent to everyone else', () => {
+  db.prepare("UPDATE email_queue SET status = 'sent', sent_at = datetime('now', '-5 hours') WHERE campaign_id = ?").run(campaignId);
+  const [opened] = queued(variantB);
+  db.prepare("UPDATE email_queue SET opened_at = CURRENT_TIMESTAMP WHERE id = ?").run(opened.id);
+
+  const stats = getVariantStats({ id: campaignId });
+  assert.deepStrictEqual(stats.map(s => [s.label, s.sent, s.open_rate]), [['A', 2, 0], ['B', 2, 0.5]]);
+
+  assert.strictEqual(emailWorker.sendAbWinner(campaignId), 6);
+  assert.strictEqual(queued(variantB).length, 8);
+  assert.strictEqual(queued(variantA).length, 2);
+
+  const campaign = db.prepare('SELECT ab_status, ab_winner_variant_id, total_recipients FROM email_campaigns WHERE id = ?').get(campaignId);
+  assert.deepStrictEqual(campaign, { ab_status: 'winner_selected', ab_winner_variant_id: variantB, total_recipients: 10 });
+  assert.strictEqual(emailWorker.sendAbWinner(campaignId), 0);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const blocks = require('../lib/email-blocks');
+
+const NO_BRAND = { header: [], footer: [] };
+
+test('documents with bad rows or blocks are rejected with a path', () => {
+  assert.strictEqual(blocks.validateDocument([]), 'blocks must be an object with rows');
+  assert.strictEqual(blocks.validateDocument({ rows: [{ columns: [] }] }), 'rows[0] needs at least one column');
+  assert.strictEqual(
+    blocks.validateDocument({ rows: [{ columns: [{ blocks: [{ type: 'button', text: 'Go' }] }] }] }),
+    'rows[0].columns[0].blocks[0]: buttons need text and a url'
+  );
+  assert.match(
+    blocks.validateDocument({ rows: [{ columns: [{ blocks: [{ type: 'conditional', field: 'state', operator: 'near' }] }] }] }),
+    /unknown operator near/
+  );
+  assert.strictEqual(blocks.validateDocument({ rows: [{ columns: [{ blocks: [{ type: 'text', content: 'Hi' }] }] }] }), null);
+});
+
+test('columns render with Outlook ghost tables and a plain-text part', () => {
+  const doc = {
+    settings: { width: 600 },
+    rows: [{
+      columns: [
+        { width: 2, blocks: [{ type: 'text', content: 'Hi {{first_name}}' }] },
+        { width: 1, blocks: [{ type: 'button', text: 'Call us', url: 'https://example.com/call' }] }
+      ]
+    }]
+  };
+  const { html_body, text_body } = blocks.renderDocument(doc, NO_BRAND);
+  assert.match(html_body, /<!--\[if mso \| IE\]><table [^>]*width="600"><tr><td width="400" valign="top">/);
+  assert.match(html_body, /<td width="200" valign="top">/);
+  assert.match(html_body, /max-width:400px/);
+  assert.strictEqual(text_body, 'Hi {{first_name}}\n\nCall us: https://example.com/call');
+});
+
+test('conditional blocks become sections resolved per lead', () => {
+  const doc = {
+    rows: [{
+      columns: [{
+        blocks: [{
+          type: 'conditional', field: 'state', operator: 'equals', value: 'TX',
+          blocks: [{ type: 'text', content: 'Howdy' }],
+          else_blocks: [{ type: 'text', content: 'Hello' }]
+        }]
+      }]
+    }]
+  };
+  const { text_body } = blocks.renderDocument(doc, NO_BRAND);
+  assert.strictEqual(text_body, '{{#if state == "TX"}}Howdy{{else}}Hello{{/if}}');
+  assert.strictEqual(blocks.renderConditionals(text_body, f => ({ state: 'tx' })[f]), 'Howdy');
+  assert.strictEqual(blocks.renderConditionals(text_body, f => ({ state: 'FL' })[f]), 'Hello');
+
+  assert.strictEqual(blocks.evaluateCondition('total_debt >= 10000', () => '$12,500'), true);
+  assert.strictEqual(blocks.evaluateCondition('total_debt >= 10000', () => ''), false);
+  assert.strictEqual(blocks.renderConditionals('{{#unless phone}}No phone{{/unless}}', () => null), 'No phone');
+});
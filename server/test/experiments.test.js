@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const experiments = require('../lib/experiments');
+
+function arm(key, visitors, leads) {
+  return { key, name: key, weight: 1, visitors, leads, qualified: 0, signed: 0 };
+}
+
+test('a clearly better variant wins against the control', () => {
+  const { arms, winner } = experiments.compareArms([arm('a', 1000, 50), arm('b', 1000, 80)], 'leads');
+  const [control, variant] = arms;
+
+  assert.strictEqual(control.rate, 0.05);
+  assert.strictEqual(variant.rate, 0.08);
+  assert.strictEqual(variant.uplift, 0.6);
+  assert.ok(variant.p_value < 0.01, `p = ${variant.p_value}`);
+  assert.ok(variant.prob_beat_control > 0.99);
+  assert.ok(variant.ci[0] < 0.08 && variant.ci[1] > 0.08);
+  assert.strictEqual(winner.key, 'b');
+});
+
+test('identical arms show no difference and small samples wait', () => {
+  const same = experiments.compareArms([arm('a', 500, 25), arm('b', 500, 25)], 'leads');
+  assert.ok(same.arms[1].p_value > 0.99);
+  assert.ok(Math.abs(same.arms[1].prob_beat_control - 0.5) < 0.01);
+  assert.strictEqual(same.winner.key, null);
+
+  const early = experiments.compareArms([arm('a', 40, 1), arm('b', 40, 10)], 'leads');
+  assert.strictEqual(early.winner.key, null);
+  assert.match(early.winner.reason, /Waiting/);
+});
+
+test('probabilities are symmetric and arms with weight 0 never serve', () => {
+  const p = experiments.compareArms([arm('a', 1000, 60), arm('b', 1000, 40)], 'leads').arms[1].prob_beat_control;
+  const q = experiments.compareArms([arm('b', 1000, 40), arm('a', 1000, 60)], 'leads').arms[1].prob_beat_control;
+  assert.ok(Math.abs(p + q - 1) < 0.001);
+
+  const paused = [{ key: 'a', weight: 0 }, { key: 'b', weight: 1 }];
+  for (let i = 0; i < 50; i++) assert.strictEqual(experiments.pickArm(paused).key, 'b');
+});
+
+test('arm stats count visitors, leads and downstream events per variant', () => {
+  const experiment = { id: 7, primary_metric: 'signed', arms: [{ key: 'a', name: 'Control', weight: 1 }, { key: 'b', name: 'Short form', weight: 1 }] };
+  for (let i = 0; i < 3; i++) {
+    db.prepare('INSERT INTO visitors (eli_clickid, ab_variant) VALUES (?, ?)').run(`exp-a-${i}`, 'x7:a');
+    db.prepare('INSERT INTO visitors (eli_clickid, ab_variant) VALUES (?, ?)').run(`exp-b-${i}`, 'x7:b');
+  }
+  insertLead({ ab_variant: 'x7:a' });
+  const signedLead = insertLead({ ab_variant: 'x7:b' });
+  db.prepare("INSERT INTO conversion_events (lead_id, conversion_action_name, source) VALUES (?, 'contract_signed', 'postback')").run(signedLead);
+
+  const stats = experiments.experimentStats(experiment);
+  assert.strictEqual(stats.metric, 'signed');
+  assert.deepStrictEqual(stats.arms.map(a => [a.key, a.visitors, a.leads, a.signed]), [['a', 3, 1, 0], ['b', 3, 1, 1]]);
+  assert.strictEqual(stats.arms[1].qualified, 1);
+});
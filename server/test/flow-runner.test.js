@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead, callRoute } = require('./helpers');
+const { handleLeadCreated, processDueRuns } = require('../flow-runner');
+const leadsRouter = require('../routes/leads');
+
+function createFlow(steps) {
+  const flowId = db.prepare(`
+    INSERT INTO automation_flows (name, trigger_type, trigger_config, is_active) VALUES (?, 'event', '{"event":"lead_created"}', 1)
+  `).run('Welcome').lastInsertRowid;
+  steps.forEach((step, i) => {
+    db.prepare('INSERT INTO automation_flow_steps (flow_id, step_order, action_type, action_config) VALUES (?, ?, ?, ?)')
+      .run(flowId, i + 1, step.type, JSON.stringify(step.config || {}));
+  });
+  return flowId;
+}
+
+test('a lead_created flow runs its steps until the first wait', () => {
+  const flowId = createFlow([
+    { type: 'update_lead', config: { fields: { transfer_status: 'contacted' } } },
+    { type: 'add_note', config: { content: 'Welcome flow started' } },
+    { type: 'wait', config: { hours: 1 } },
+    { type: 'add_note', config: { content: 'Follow up' } }
+  ]);
+  const leadId = insertLead();
+
+  handleLeadCreated(leadId);
+  processDueRuns();
+
+  const run = db.prepare('SELECT * FROM automation_flow_runs WHERE flow_id = ? AND lead_id = ?').get(flowId, leadId);
+  assert.strictEqual(run.status, 'waiting');
+  assert.ok(run.next_action_at);
+  assert.strictEqual(db.prepare('SELECT transfer_status FROM leads WHERE id = ?').get(leadId).transfer_status, 'contacted');
+  const notes = db.prepare('SELECT content FROM lead_notes WHERE lead_id = ?').all(leadId).map(n => n.content);
+  assert.deepStrictEqual(notes, ['Welcome flow started']);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM automation_flow_run_logs WHERE run_id = ?').get(run.id).c, 3);
+
+  // A second lead_created for the same lead doesn't start a parallel run
+  handleLeadCreated(leadId);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM automation_flow_runs WHERE lead_id = ?').get(leadId).c, 1);
+});
+
+test('deleting a lead removes its flow runs and their logs', async () => {
+  createFlow([{ type: 'add_note', config: { content: 'Hi' } }, { type: 'wait', config: { days: 1 } }]);
+  const leadId = insertLead({ email: 'delete-me@example.com' });
+  handleLeadCreated(leadId);
+  processDueRuns();
+  assert.ok(db.prepare('SELECT COUNT(*) AS c FROM automation_flow_runs WHERE lead_id = ?').get(leadId).c > 0);
+
+  const res = await callRoute(leadsRouter, 'delete', '/:id', { params: { id: String(leadId) } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM leads WHERE id = ?').get(leadId).c, 0);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM automation_flow_runs WHERE lead_id = ?').get(leadId).c, 0);
+});
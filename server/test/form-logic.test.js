@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, callRoute } = require('./helpers');
+const FormLogic = require('../lib/form-logic');
+const leadsRouter = require('../routes/leads');
+
+const form = {
+  steps: [
+    {
+      key: 'debt', title: 'Your debt', prequal: true,
+      disqualify_if: { match: 'all', rules: [{ field: 'debt_amount', op: 'lt', value: 10000 }] },
+      disqualify_message: 'We can only help with $10k or more'
+    },
+    { key: 'contact', title: 'Contact' }
+  ],
+  fields: [
+    { name: 'debt_amount', label: 'Debt', type: 'number', required: true, step: 'debt' },
+    { name: 'has_mca', label: 'MCA?', type: 'select', options: 'Yes,No', required: true, step: 'debt' },
+    {
+      name: 'mca_count', label: 'How many MCAs', type: 'number', required: true, step: 'debt',
+      show_if: { match: 'all', rules: [{ field: 'has_mca', op: 'equals', value: 'Yes' }] },
+      validation: { min: 1, max: 20 }
+    },
+    { name: 'first_name', label: 'First name', type: 'text', required: true, step: 'contact' },
+    { name: 'phone', label: 'Phone', type: 'tel', required: true, step: 'contact' },
+    { name: 'summary', type: 'computed', compute: '{first_name} owes {debt_amount}', step: 'contact' }
+  ]
+};
+const config = FormLogic.normalizeConfig({ fields: JSON.stringify(form.fields), steps: JSON.stringify(form.steps) });
+
+test('hidden fields are skipped and visible ones validated', () => {
+  const result = FormLogic.validateSubmission(config, { debt_amount: '50000', has_mca: 'No', first_name: 'Ana', phone: '123' });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(Object.keys(result.errors), ['phone']);
+  assert.strictEqual(result.visible.mca_count, false);
+
+  const withMca = FormLogic.validateSubmission(config, { debt_amount: '50000', has_mca: 'Yes', mca_count: '40', first_name: 'Ana', phone: '3055550123' });
+  assert.deepStrictEqual(withMca.errors, { mca_count: 'How many MCAs must be at most 20' });
+});
+
+test('computed fields are recomputed and disqualify rules apply', () => {
+  const ok = FormLogic.validateSubmission(config, {
+    debt_amount: '50000', has_mca: 'No', first_name: 'Ana', phone: '(305) 555-0123', summary: 'tampered'
+  });
+  assert.strictEqual(ok.valid, true);
+  assert.strictEqual(ok.values.summary, 'Ana owes 50000');
+
+  const small = FormLogic.validateSubmission(config, { debt_amount: '5000', has_mca: 'No', first_name: 'Ana', phone: '3055550123' });
+  assert.strictEqual(small.valid, false);
+  assert.strictEqual(small.disqualified.key, 'debt');
+});
+
+test('bad definitions are rejected', () => {
+  assert.strictEqual(FormLogic.validateDefinition(config), null);
+  const badKey = FormLogic.normalizeConfig({ fields: form.fields, steps: [{ key: 'Step One' }] });
+  assert.match(FormLogic.validateDefinition(badKey), /Step key "Step One"/);
+});
+
+test('lead submissions are re-validated against the page form', async () => {
+  const formId = db.prepare("INSERT INTO forms (name, fields, steps) VALUES ('Builder', ?, ?)")
+    .run(JSON.stringify(form.fields), JSON.stringify(form.steps)).lastInsertRowid;
+  db.prepare("INSERT INTO landing_pages (slug, name, form_id) VALUES ('builder-test', 'Builder test', ?)").run(formId);
+
+  const res = await callRoute(leadsRouter, 'post', '/', {
+    body: { landing_page_slug: 'builder-test', debt_amount: '50000', has_mca: 'Maybe', first_name: 'Ana', phone: '3055550123' }
+  });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(Object.keys(res.body.errors), ['has_mca']);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const fraud = require('../lib/fraud');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+function addVisitor(fields) {
+  const row = { eli_clickid: `eli-fraud-${Math.random()}`, user_agent: BROWSER_UA, screen_width: 1440, screen_height: 900, ...fields };
+  const columns = Object.keys(row);
+  return db.prepare(`INSERT INTO visitors (${columns.join(', ')}, first_visit, last_visit) VALUES (${columns.map(() => '?').join(', ')}, datetime('now', '-1 hour'), CURRENT_TIMESTAMP)`)
+    .run(...Object.values(row)).lastInsertRowid;
+}
+
+test('an ordinary browser visit is clean', () => {
+  const result = fraud.scoreVisitor(addVisitor({ ip_address: '203.0.113.10' }));
+  assert.strictEqual(result.score, 0);
+  assert.strictEqual(result.status, 'clean');
+});
+
+test('a headless datacenter visit is blocked and its IP blocklisted', () => {
+  const id = addVisitor({ ip_address: '198.51.100.7', user_agent: 'HeadlessChrome/120.0', is_hosting: 1, screen_width: 800, screen_height: 600 });
+  const result = fraud.scoreVisitor(id);
+  assert.deepStrictEqual(result.reasons.map(r => r.signal).sort(), ['datacenter_ip', 'screen_size', 'user_agent']);
+  assert.strictEqual(result.status, 'blocked');
+  assert.match(db.prepare('SELECT reason FROM blocked_ips WHERE ip_address = ?').get('198.51.100.7').reason, /^Auto:/);
+
+  // A legit review sticks through rescoring and lifts the automatic block
+  fraud.reviewVisitor(id, 'legit');
+  assert.strictEqual(fraud.scoreVisitor(id).status, 'legit');
+  assert.strictEqual(db.prepare('SELECT id FROM blocked_ips WHERE ip_address = ?').get('198.51.100.7'), undefined);
+});
+
+test('a filled honeypot and instant submit flag the lead and hold its conversions', () => {
+  const eli = 'eli-fraud-lead';
+  addVisitor({ eli_clickid: eli, ip_address: '203.0.113.20' });
+  const leadId = insertLead({ eli_clickid: eli });
+
+  const body = { first_name: 'Ana', [fraud.HONEYPOT_FIELD]: 'http://spam.example', [fraud.ELAPSED_FIELD]: '900' };
+  const submission = fraud.takeSubmissionSignals(body);
+  assert.deepStrictEqual(Object.keys(body), ['first_name']);
+
+  const result = fraud.scoreLead(leadId, submission);
+  assert.strictEqual(result.score, 100);
+  assert.strictEqual(result.status, 'blocked');
+  const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(leadId);
+  assert.strictEqual(lead.is_blocked, 1);
+  assert.ok(fraud.suppressesConversions(lead));
+});
+
+test('Google exclusions only list IPs that came in on a GCLID', () => {
+  addVisitor({ ip_address: '192.0.2.50', gclid: 'gclid-fraud-1', fraud_score: 70, fraud_status: 'suspicious' });
+  addVisitor({ ip_address: '192.0.2.51', fraud_score: 70, fraud_status: 'suspicious' });
+  const ips = fraud.getIpExclusions('google').ips.map(ip => ip.ip_address);
+  assert.ok(ips.includes('192.0.2.50'));
+  assert.ok(!ips.includes('192.0.2.51'));
+  assert.throws(() => fraud.getIpExclusions('myspace'), /Unknown platform/);
+});
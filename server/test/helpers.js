@@ -0,0 +1,58 @@
+// Shared setup for the server tests (run with `npm test`).
+//
+// Requiring this file points the database at a throwaway directory, so it has
+// to come before anything that loads ../database. Each test file runs in its
+// own process and so gets its own fresh, seeded database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-test-'));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = dataDir;
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const db = require('../database');
+
+// The default admin database.js seeds into an empty database
+const ADMIN = { id: 1, email: 'admin@coastaldebt.com', name: 'Admin', role: 'admin' };
+
+function insertLead(fields = {}) {
+  const row = { first_name: 'Test', last_name: 'Lead', email: 'lead@example.com', phone: '5555550100', ...fields };
+  const cols = Object.keys(row);
+  const result = db.prepare(`INSERT INTO leads (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`)
+    .run(...cols.map(c => row[c]));
+  return result.lastInsertRowid;
+}
+
+// Run a route's final handler (past authenticateToken and other middleware)
+// with a fake request. Resolves with { status, body } once the handler responds.
+function callRoute(router, method, routePath, req = {}) {
+  const layer = router.stack.find(l => l.route && l.route.path === routePath && (l.route.methods[method] || l.route.methods._all));
+  if (!layer) throw new Error(`No ${method.toUpperCase()} ${routePath} route`);
+  const handle = layer.route.stack[layer.route.stack.length - 1].handle;
+
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      set(name, value) { this.headers[String(name).toLowerCase()] = value; return this; },
+      setHeader(name, value) { this.headers[String(name).toLowerCase()] = value; },
+      type(value) { this.headers['content-type'] = value; return this; },
+      cookie() { return this; },
+      clearCookie() { return this; },
+      json(body) { resolve({ status: this.statusCode, body }); return this; },
+      send(body) { resolve({ status: this.statusCode, body }); return this; },
+      end(body) { resolve({ status: this.statusCode, body }); return this; },
+      redirect(url) { resolve({ status: 302, body: url }); return this; }
+    };
+    const request = {
+      params: {}, query: {}, body: {}, headers: {}, ip: '127.0.0.1', user: ADMIN,
+      get(name) { return this.headers[String(name).toLowerCase()]; },
+      ...req
+    };
+    Promise.resolve(handle(request, res, reject)).catch(reject);
+  });
+}
+
+module.exports = { db, ADMIN, insertLead, callRoute };
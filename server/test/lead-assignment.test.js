@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const assignment = require('../lead-assignment');
+
+function addRep(name, member = {}) {
+  const userId = db.prepare("INSERT INTO users (email, password_hash, name, role) VALUES (?, 'x', ?, 'editor')")
+    .run(`${name.toLowerCase()}@example.com`, name).lastInsertRowid;
+  db.prepare('INSERT INTO assignment_members (user_id, weight, daily_cap, status) VALUES (?, ?, ?, ?)')
+    .run(userId, member.weight || 1, member.daily_cap || null, member.status || 'available');
+  return userId;
+}
+
+function assignedTo(leadId) {
+  return db.prepare('SELECT assigned_to FROM leads WHERE id = ?').get(leadId).assigned_to;
+}
+
+const ana = addRep('Ana');
+const ben = addRep('Ben', { daily_cap: 1 });
+addRep('Cal', { status: 'vacation' });
+
+test('the default rotation skips reps who are away and reps at their cap', () => {
+  const first = insertLead();
+  const second = insertLead();
+  const third = insertLead();
+  assignment.autoAssignLead(first, 'test');
+  assignment.autoAssignLead(second, 'test');
+  assignment.autoAssignLead(third, 'test');
+
+  assert.deepStrictEqual([first, second].map(assignedTo).sort(), [ana, ben].sort());
+  assert.strictEqual(assignedTo(third), ana);
+
+  const log = db.prepare('SELECT reason, detail FROM lead_assignments WHERE lead_id = ?').get(first);
+  assert.strictEqual(log.reason, 'auto');
+  assert.match(log.detail, /round-robin/);
+});
+
+test('the first matching rule picks from its own users', () => {
+  const ruleId = db.prepare(`
+    INSERT INTO assignment_rules (name, conditions, strategy, user_ids) VALUES ('Big debt', ?, 'round_robin', ?)
+  `).run(JSON.stringify({ debt_min: 100000 }), JSON.stringify([ben])).lastInsertRowid;
+  db.prepare('UPDATE assignment_members SET daily_cap = NULL WHERE user_id = ?').run(ben);
+
+  const big = insertLead({ debt_amount: '$250,000+' });
+  assignment.autoAssignLead(big, 'test');
+  assert.strictEqual(assignedTo(big), ben);
+  assert.strictEqual(db.prepare('SELECT rule_id FROM lead_assignments WHERE lead_id = ?').get(big).rule_id, ruleId);
+
+  const small = insertLead({ debt_amount: '$20,000' });
+  assert.strictEqual(assignment.routeLead(small).rule, null);
+});
+
+test('already assigned leads are left alone', () => {
+  const leadId = insertLead();
+  assignment.assignLeadToUser(leadId, ana, { reason: 'manual' });
+  assert.strictEqual(assignment.autoAssignLead(leadId, 'test'), null);
+  assert.strictEqual(assignedTo(leadId), ana);
+});
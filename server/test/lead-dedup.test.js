@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, ADMIN, insertLead, callRoute } = require('./helpers');
+const dedup = require('../lib/lead-dedup');
+const leadsRouter = require('../routes/leads');
+
+function pendingPairs(leadId) {
+  return db.prepare(`
+    SELECT * FROM lead_duplicate_candidates WHERE status = 'pending' AND (lead_id = ? OR duplicate_of_id = ?)
+  `).all(leadId, leadId);
+}
+
+test('the same business from two channels is queued, not merged', () => {
+  const original = insertLead({ phone: '(555) 555-0110', email: '', company_name: 'Acme Roofing LLC' });
+  const incoming = insertLead({ phone: '+1 555-555-0110', email: 'owner@acme.test', company_name: 'Acme Roofing' });
+
+  assert.strictEqual(dedup.detectDuplicates(incoming), 1);
+  const [pair] = pendingPairs(incoming);
+  assert.strictEqual(pair.lead_id, incoming);
+  assert.strictEqual(pair.duplicate_of_id, original);
+  assert.ok(pair.score >= dedup.MIN_SCORE);
+  assert.ok(JSON.parse(pair.reasons).some(r => r.signal === 'phone'));
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM leads WHERE id IN (?, ?)').get(original, incoming).c, 2);
+});
+
+test('merging fills empty fields, moves history and removes the duplicate', () => {
+  const survivor = insertLead({ phone: '5555550120', email: '', company_name: 'Bayside Bakery' });
+  const merged = insertLead({ phone: '555.555.0120', email: 'bayside@example.com', company_name: 'Bayside Bakery Inc' });
+  db.prepare('INSERT INTO lead_notes (lead_id, user_id, user_name, content) VALUES (?, ?, ?, ?)').run(merged, ADMIN.id, ADMIN.name, 'Called back');
+  dedup.detectDuplicates(merged);
+
+  const merge = dedup.parseMerge(dedup.mergeLeads(survivor, merged, ADMIN));
+  assert.deepStrictEqual(merge.filled_fields, ['email']);
+  assert.strictEqual(merge.repointed.lead_notes, 1);
+  assert.strictEqual(merge.merged_snapshot.id, merged);
+
+  assert.strictEqual(db.prepare('SELECT email FROM leads WHERE id = ?').get(survivor).email, 'bayside@example.com');
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM leads WHERE id = ?').get(merged).c, 0);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM lead_notes WHERE lead_id = ?').get(survivor).c, 1);
+  assert.strictEqual(pendingPairs(survivor).length, 0);
+});
+
+test('deleting a lead drops its pending duplicate pairs', async () => {
+  insertLead({ phone: '5555550130', email: 'first@example.com', company_name: '' });
+  const second = insertLead({ phone: '5555550130', email: 'second@example.com', company_name: '' });
+  dedup.detectDuplicates(second);
+  assert.strictEqual(pendingPairs(second).length, 1);
+
+  const res = await callRoute(leadsRouter, 'delete', '/:id', { params: { id: String(second) } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(pendingPairs(second).length, 0);
+});
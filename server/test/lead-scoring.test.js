@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const { scoreLead, computeLeadScore } = require('../lib/lead-scoring');
+
+// These use the default rules database.js seeds (Debt $50k+ etc.)
+
+test('form answers score with the rules that matched', () => {
+  const leadId = insertLead({ debt_amount: '$100,000 - $250,000', has_mca: 'Yes', considered_bankruptcy: 'No' });
+  const result = scoreLead(leadId);
+
+  assert.strictEqual(result.score, 50);
+  assert.strictEqual(result.tier, 'warm');
+  assert.deepStrictEqual(result.explanation.map(e => e.name), ['Debt $50k+', 'Debt $100k+', 'Has MCA']);
+
+  const stored = db.prepare('SELECT lead_score, lead_score_tier, lead_score_explanation FROM leads WHERE id = ?').get(leadId);
+  assert.strictEqual(stored.lead_score, 50);
+  assert.strictEqual(stored.lead_score_tier, 'warm');
+  assert.strictEqual(JSON.parse(stored.lead_score_explanation).length, 3);
+});
+
+test('a transferred call makes the lead hot', () => {
+  const leadId = insertLead({ debt_amount: '$100,000 - $250,000', has_mca: 'Yes' });
+  db.prepare('INSERT INTO calls (retreaver_uuid, lead_id, duration, transferred) VALUES (?, ?, ?, 1)').run('call-1', leadId, 180);
+
+  const result = scoreLead(leadId);
+  assert.strictEqual(result.score, 85);
+  assert.strictEqual(result.tier, 'hot');
+  assert.ok(result.explanation.some(e => e.source === 'calls' && e.name === 'Call transferred'));
+});
+
+test('scores never go below zero and follow the tier settings', () => {
+  assert.strictEqual(computeLeadScore({ id: 0, considered_bankruptcy: 'Yes' }).score, 0);
+
+  db.prepare("INSERT OR REPLACE INTO settings (key, value) VALUES ('lead_score_warm_threshold', '10')").run();
+  assert.strictEqual(computeLeadScore({ id: 0, debt_amount: '60000' }).tier, 'warm');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { db, ADMIN } = require('./helpers');
+const liveEvents = require('../lib/live-events');
+
+// A viewer whose settings access (and with it the alert events) is switched off
+const viewerId = db.prepare("INSERT INTO users (email, password_hash, name, role, permissions) VALUES ('viewer@example.com', 'x', 'Viewer', 'viewer', ?)")
+  .run(JSON.stringify({ settings: { read: false } })).lastInsertRowid;
+
+// A fake SSE connection that keeps every frame written to it
+function connect(user) {
+  const req = new EventEmitter();
+  req.user = user;
+  const res = { frames: [], writeHead() {}, write(chunk) { this.frames.push(chunk); }, end() { this.ended = true; } };
+  return { req, res, ok: liveEvents.subscribe(req, res) };
+}
+
+function dataOf(res, type) {
+  const frame = res.frames.find(f => f.includes(`event: ${type}\n`));
+  return JSON.parse(frame.match(/^data: (.+)$/m)[1]);
+}
+
+function eventsIn(res) {
+  return res.frames.filter(f => f.startsWith('id:')).map(f => f.match(/^event: (.+)$/m)[1]);
+}
+
+test('events only reach tabs whose permissions cover them', () => {
+  const admin = connect(ADMIN);
+  const viewer = connect({ id: viewerId, role: 'viewer' });
+  assert.ok(admin.ok && viewer.ok);
+  assert.strictEqual(liveEvents.clientCount(), 2);
+  assert.match(viewer.res.frames[1], /^event: ready\ndata: .*"lead\.created"/);
+  assert.doesNotMatch(viewer.res.frames[1], /alert\.triggered/);
+
+  liveEvents.publish('lead.created', { id: 1, name: 'Ana Lee', phone: '(305) 555-0123' });
+  liveEvents.publish('alert.triggered', { rule: 'Lead spike' });
+  liveEvents.publish('not.a.type', {});
+
+  assert.deepStrictEqual(eventsIn(admin.res), ['lead.created', 'alert.triggered']);
+  assert.deepStrictEqual(eventsIn(viewer.res), ['lead.created']);
+
+  // Without PII access the viewer's copy is masked
+  assert.strictEqual(dataOf(admin.res, 'lead.created').phone, '(305) 555-0123');
+  assert.strictEqual(dataOf(viewer.res, 'lead.created').phone, '***-0123');
+
+  admin.req.emit('close');
+  viewer.req.emit('close');
+  assert.strictEqual(liveEvents.clientCount(), 0);
+});
+
+test('unknown users get no stream', () => {
+  assert.strictEqual(connect({ id: 9999, role: 'admin' }).ok, false);
+});
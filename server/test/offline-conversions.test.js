@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const offline = require('../lib/offline-conversions');
+
+const ruleId = db.prepare(`
+  INSERT INTO offline_conversion_rules (name, trigger_type, conversion_action_id, value_source, value_multiplier)
+  VALUES ('Signed deal', 'debt_signed', 'customers/1/conversionActions/2', 'total_debt_sign', 0.1)
+`).run().lastInsertRowid;
+
+test('the preview lists a signed gclid lead once with its value and hashed identifiers', async () => {
+  assert.strictEqual(offline.validateRule({ name: 'x', trigger_type: 'stage', conversion_action_id: '1' }), 'stage_name is required for stage rules');
+
+  const leadId = insertLead({ gclid: 'gclid-offline-1', email: 'Ana.Lee+ads@gmail.com', total_debt_sign: '$125,000', contract_sign_date: '2026-01-15' });
+  insertLead({ gclid: '', total_debt_sign: '90000' });
+
+  const preview = await offline.runOfflineConversions({ dryRun: true });
+  assert.strictEqual(preview.dry_run, true);
+  assert.strictEqual(preview.items.length, 1);
+  const [item] = preview.items;
+  assert.strictEqual(item.lead_id, leadId);
+  assert.strictEqual(item.kind, 'upload');
+  assert.strictEqual(item.value, 12500);
+  assert.strictEqual(item.payload.orderId, `lead-${leadId}-rule-${ruleId}`);
+  assert.match(item.payload.conversionDateTime, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\+00:00$/);
+  assert.ok(item.has_email && item.has_phone);
+  assert.strictEqual(db.prepare("SELECT COUNT(*) AS n FROM conversion_events WHERE source = 'offline_import'").get().n, 0);
+});
+
+test('a changed value after the upload becomes a restatement', () => {
+  const [item] = offline.collectOfflineConversions().items;
+  db.prepare(`
+    INSERT INTO conversion_events (lead_id, gclid, conversion_value, source, status, offline_rule_id, conversion_time)
+    VALUES (?, ?, 12500, 'offline_import', 'sent', ?, ?)
+  `).run(item.lead_id, item.gclid, ruleId, item.conversion_time);
+  assert.strictEqual(offline.collectOfflineConversions().items.length, 0);
+
+  db.prepare("UPDATE leads SET total_debt_sign = '150000' WHERE id = ?").run(item.lead_id);
+  const [restated] = offline.collectOfflineConversions().items;
+  assert.strictEqual(restated.kind, 'restatement');
+  assert.strictEqual(restated.previous_value, 12500);
+  assert.strictEqual(restated.payload.restatementValue.adjustedValue, 15000);
+});
+
+test('flagged leads are skipped rather than uploaded', () => {
+  insertLead({ gclid: 'gclid-offline-2', total_debt_sign: '80000', fraud_status: 'suspicious' });
+  const { items, skipped } = offline.collectOfflineConversions();
+  assert.ok(!items.some(i => i.gclid === 'gclid-offline-2'));
+  assert.strictEqual(skipped.find(s => s.gclid === 'gclid-offline-2').reason, 'Lead flagged as suspicious');
+});
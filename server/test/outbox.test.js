@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { db, insertLead } = require('./helpers');
+const outbox = require('../outbox');
+
+// Receiver that answers with whatever status the test sets
+let replyStatus = 200;
+const received = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push(JSON.parse(body || 'null'));
+    res.writeHead(replyStatus);
+    res.end('ok');
+  });
+});
+let url;
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+  resolve();
+})));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function delivery(id) {
+  return db.prepare('SELECT * FROM outbox_deliveries WHERE id = ?').get(id);
+}
+
+test('a delivered webhook is recorded with its attempt', async () => {
+  replyStatus = 200;
+  const result = await outbox.deliverNow('webhook', { url, body: { hello: 'world' } }, { target: 'test' });
+  assert.strictEqual(result.status, 'delivered');
+  assert.deepStrictEqual(received.pop(), { hello: 'world' });
+  assert.strictEqual(delivery(result.delivery_id).attempts, 1);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM outbox_attempts WHERE delivery_id = ?').get(result.delivery_id).c, 1);
+});
+
+test('a 5xx stays queued with a backoff and a 4xx is dead-lettered', async () => {
+  replyStatus = 503;
+  const retry = await outbox.deliverNow('webhook', { url, body: {} });
+  assert.strictEqual(retry.status, 'pending');
+  const row = delivery(retry.delivery_id);
+  assert.strictEqual(row.attempts, 1);
+  assert.strictEqual(row.last_status_code, 503);
+  assert.ok(row.next_attempt_at > db.prepare("SELECT datetime('now') AS now").get().now);
+
+  replyStatus = 400;
+  const rejected = await outbox.deliverNow('webhook', { url, body: {} });
+  assert.strictEqual(rejected.status, 'dead');
+  assert.ok(rejected.permanent);
+});
+
+test('replaying a dead delivery gives it a fresh attempt', async () => {
+  replyStatus = 422;
+  const first = await outbox.deliverNow('webhook', { url, body: { n: 1 } });
+  assert.strictEqual(first.status, 'dead');
+
+  replyStatus = 200;
+  const replay = await outbox.replayDelivery(first.delivery_id);
+  assert.strictEqual(replay.status, 'delivered');
+  const row = delivery(first.delivery_id);
+  assert.strictEqual(row.replay_count, 1);
+  assert.strictEqual(row.attempts, 1);
+});
+
+test('a Salesforce push with the integration off is not retried', async () => {
+  const leadId = insertLead();
+  const result = await outbox.deliverNow('salesforce', { lead_id: leadId }, { leadId });
+  assert.strictEqual(result.status, 'dead');
+  assert.match(delivery(result.delivery_id).last_error, /not configured/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { db, callRoute } = require('./helpers');
+const permissions = require('../lib/permissions');
+const sessions = require('../lib/sessions');
+const { authenticateToken } = require('../routes/auth');
+const smsRouter = require('../routes/sms');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'coastal-debt-secret-key-change-in-production';
+
+function addUser(name, role) {
+  const user = { email: `${name.toLowerCase()}@example.com`, name, role };
+  user.id = db.prepare("INSERT INTO users (email, password_hash, name, role) VALUES (?, 'x', ?, ?)").run(user.email, name, role).lastInsertRowid;
+  return user;
+}
+// The seeded admin has to change its password first, so sign in as a new one
+const admin = addUser('Owner', 'admin');
+const viewer = addUser('Viewer', 'viewer');
+
+// Run authenticateToken for a signed-in user. Resolves { status, body } for a
+// rejection, or { next: true, res } when the request is let through; what the
+// route then sends through res.json lands in res.sent.
+function request(user, method, baseUrl, path = '/') {
+  const sid = sessions.createSession(user.id, { ip: '127.0.0.1', headers: {} });
+  const token = jwt.sign({ id: user.id, email: user.email, role: user.role, sid }, JWT_SECRET);
+  return new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.sent = body; resolve({ status: this.statusCode, body }); return this; }
+    };
+    const req = { method, baseUrl, path, body: {}, cookies: { token }, headers: {} };
+    authenticateToken(req, res, () => resolve({ next: true, req, res }));
+  });
+}
+
+test('a missing permission is a 403 that names it', async () => {
+  const denied = await request(viewer, 'DELETE', '/api/leads', '/5');
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.body.code, 'forbidden');
+  assert.strictEqual(denied.body.permission, 'leads.delete');
+
+  assert.strictEqual((await request(viewer, 'GET', '/api/settings')).next, true);
+  assert.strictEqual((await request(viewer, 'GET', '/api/auth', '/users')).status, 403);
+  assert.strictEqual((await request(admin, 'DELETE', '/api/leads', '/5')).next, true);
+});
+
+test('users without PII access get masked contact details and no exports', async () => {
+  const allowed = await request(viewer, 'GET', '/api/leads');
+  allowed.res.json({ leads: [{ id: 1, first_name: 'Ana', email: 'ana.lee@example.com', phone: '(305) 555-0123' }] });
+  assert.deepStrictEqual(allowed.res.sent, { leads: [{ id: 1, first_name: 'Ana', email: 'a***@example.com', phone: '***-0123' }] });
+
+  // Even with leads.export, a CSV can't be masked, so PII access is required
+  db.prepare('UPDATE users SET permissions = ? WHERE id = ?').run(JSON.stringify({ leads: { export: true } }), viewer.id);
+  const exported = await request(viewer, 'GET', '/api/leads', '/export');
+  assert.strictEqual(exported.status, 403);
+  assert.strictEqual(exported.body.permission, 'pii.read');
+});
+
+test('overrides are validated and the SMS webhook key is hidden from non-admins', async () => {
+  assert.match(permissions.normalizeOverrides({ billing: true }).error, /Unknown permission resource/);
+  assert.deepStrictEqual(permissions.normalizeOverrides({ leads: { delete: true } }).overrides.leads,
+    { read: true, write: false, delete: true, export: false });
+
+  const asViewer = await callRoute(smsRouter, 'get', '/config', {
+    user: viewer, permissions: permissions.getEffectivePermissions(viewer.id).permissions
+  });
+  assert.match(asViewer.body.inbound_webhook_url, /key=\*{8}$/);
+
+  const asAdmin = await callRoute(smsRouter, 'get', '/config', { user: admin, permissions: permissions.getEffectivePermissions(admin.id).permissions });
+  assert.match(asAdmin.body.inbound_webhook_url, /key=[0-9a-f]{16,}$/);
+});
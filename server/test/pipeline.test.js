@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, ADMIN, insertLead, callRoute } = require('./helpers');
+const pipeline = require('../lib/pipeline');
+const postbackRouter = require('../routes/postback');
+
+// An empty database gets the default New → Contacted → Qualified →
+// Contract Sent → Signed / Lost pipeline
+
+// postback.js binds logActivity on a timer after it loads
+test.before(() => new Promise(resolve => setTimeout(resolve, 10)));
+
+function leadStage(leadId) {
+  return db.prepare('SELECT stage, pipeline_stage_id, hidden_fields FROM leads WHERE id = ?').get(leadId);
+}
+
+test('moves are recorded in the stage history', () => {
+  const leadId = insertLead();
+  pipeline.placeNewLead(leadId, 'test');
+  assert.strictEqual(leadStage(leadId).stage, 'New');
+
+  const move = pipeline.moveLeadToStageByName(leadId, 'qualified', { source: 'manual', user: ADMIN });
+  assert.strictEqual(move.stage.name, 'Qualified');
+  assert.strictEqual(leadStage(leadId).stage, 'Qualified');
+  assert.strictEqual(pipeline.moveLeadToStageByName(leadId, 'Qualified').moved, false);
+  assert.strictEqual(pipeline.moveLeadToStageByName(leadId, 'Somewhere else'), null);
+
+  const history = pipeline.getLeadStageHistory(leadId);
+  assert.strictEqual(history.length, 2);
+  assert.strictEqual(history[0].from_stage_name, 'New');
+  assert.strictEqual(history[0].to_stage_name, 'Qualified');
+  assert.strictEqual(history[0].user_name, ADMIN.name);
+  assert.ok(history[0].seconds_in_previous >= 0);
+  assert.strictEqual(history[1].from_stage_id, null);
+});
+
+test('conversion events only ever advance a lead', () => {
+  const [contacted, signed] = ['Contacted', 'Signed'].map(name =>
+    db.prepare("SELECT id FROM pipeline_stages WHERE name = ?").get(name).id);
+  db.prepare("UPDATE pipeline_stages SET event_name = 'call_connected' WHERE id = ?").run(contacted);
+  db.prepare("UPDATE pipeline_stages SET event_name = 'contract_signed' WHERE id = ?").run(signed);
+
+  const leadId = insertLead();
+  pipeline.placeNewLead(leadId, 'test');
+  assert.strictEqual(pipeline.applyConversionEvent(leadId, 'contract_signed').stage.name, 'Signed');
+  assert.strictEqual(pipeline.applyConversionEvent(leadId, 'call_connected'), null);
+  assert.strictEqual(leadStage(leadId).stage, 'Signed');
+});
+
+test('a postback with an unknown stage keeps it on the lead without moving it', async () => {
+  const leadId = insertLead({ eli_clickid: 'eli-postback-1' });
+  pipeline.placeNewLead(leadId, 'test');
+
+  const res = await callRoute(postbackRouter, 'get', '/conversion', {
+    query: { eli_clickid: 'eli-postback-1', event: 'status_update', stage: 'Docs Pending' }
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.pipeline_stage, null);
+  assert.match(res.body.stage_warning, /Docs Pending/);
+
+  const lead = leadStage(leadId);
+  assert.strictEqual(lead.stage, 'New');
+  assert.strictEqual(JSON.parse(lead.hidden_fields).unmapped_stage, 'Docs Pending');
+  assert.ok(db.prepare("SELECT id FROM activity_logs WHERE action = 'stage_unmapped' AND entity_id = ?").get(leadId));
+
+  const known = await callRoute(postbackRouter, 'get', '/conversion', {
+    query: { eli_clickid: 'eli-postback-1', event: 'status_update', stage: 'Contract Sent' }
+  });
+  assert.strictEqual(known.body.pipeline_stage, 'Contract Sent');
+});
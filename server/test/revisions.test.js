@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { db, callRoute } = require('./helpers');
+const revisions = require('../lib/revisions');
+const revisionsRouter = require('../routes/revisions');
+
+// Publishing writes public/articles/<slug>/index.html, so use a slug of our own
+const SLUG = 'revision-history-test';
+const articleDir = path.join(__dirname, '..', '..', 'public', 'articles', SLUG);
+test.after(() => fs.rmSync(articleDir, { recursive: true, force: true }));
+
+const articleId = db.prepare(`
+  INSERT INTO articles (slug, name, headline, body_html) VALUES (?, 'Revision test', 'Original headline', '<p>Body</p>')
+`).run(SLUG).lastInsertRowid;
+
+function liveHeadline() {
+  return db.prepare('SELECT headline FROM articles WHERE id = ?').get(articleId).headline;
+}
+
+test('drafts stay out of the live row until published', () => {
+  const draft = revisions.saveDraft('article', articleId, { headline: 'Draft headline' }, { user: { id: 1, name: 'Admin' } });
+  assert.ok(draft.is_draft);
+  assert.ok(draft.preview_token);
+  assert.deepStrictEqual(draft.diff.map(c => c.path), ['headline']);
+  assert.strictEqual(liveHeadline(), 'Original headline');
+  assert.match(revisions.renderRevision(draft), /Draft headline/);
+  assert.ok(!fs.existsSync(articleDir));
+
+  const history = revisions.listRevisions('article', articleId);
+  assert.deepStrictEqual(history.map(r => r.source), ['draft', 'baseline']);
+  assert.ok(history[1].is_live);
+
+  const published = revisions.publishRevision(draft.id);
+  assert.ok(published.published_at);
+  assert.strictEqual(liveHeadline(), 'Draft headline');
+  assert.match(fs.readFileSync(path.join(articleDir, 'index.html'), 'utf8'), /Draft headline/);
+});
+
+test('rolling back publishes a copy of the earlier revision', () => {
+  const baseline = revisions.listRevisions('article', articleId).find(r => r.source === 'baseline');
+  const rollback = revisions.rollbackTo(baseline.id, { user: { id: 1, name: 'Admin' } });
+
+  assert.strictEqual(rollback.source, 'rollback');
+  assert.strictEqual(liveHeadline(), 'Original headline');
+  assert.strictEqual(revisions.listRevisions('article', articleId)[0].id, rollback.id);
+  assert.throws(() => revisions.rollbackTo(rollback.id), /already live/);
+});
+
+test('scheduled drafts publish once their time has passed', async () => {
+  const draft = revisions.saveDraft('article', articleId, { headline: 'Scheduled headline' });
+
+  const bad = await callRoute(revisionsRouter, 'post', '/:type/:id/:revisionId/schedule', {
+    params: { type: 'article', id: String(articleId), revisionId: String(draft.id) }, body: { publish_at: 'next tuesday' }
+  });
+  assert.strictEqual(bad.status, 400);
+
+  revisions.scheduleRevision(draft.id, '2000-01-01 00:00:00');
+  assert.strictEqual(revisions.publishDueRevisions(), 1);
+  assert.strictEqual(liveHeadline(), 'Scheduled headline');
+});
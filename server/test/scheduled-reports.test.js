@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const reports = require('../lib/scheduled-reports');
+
+test('bad schedules are rejected with a readable message', () => {
+  assert.throws(() => reports.parseCron('0 8 * *'), /must have 5 fields/);
+  assert.throws(() => reports.parseCron('0 25 * * *'), /hour in schedule must be between 0 and 23/);
+  assert.throws(() => reports.parseCron('0 8 * * mon'), /Invalid day of week/);
+  assert.ok(reports.parseCron('*/15 8-17 * * 1-5'));
+});
+
+test('the next run follows the schedule in the report timezone', () => {
+  // Mondays 8:30
+  assert.strictEqual(reports.nextRun('30 8 * * 1', 'UTC', new Date('2026-10-21T00:00:00Z')).toISOString(), '2026-10-26T08:30:00.000Z');
+  // Both day fields restricted: the 1st of the month or any Friday, whichever comes first
+  assert.strictEqual(reports.nextRun('0 9 1 * 5', 'UTC', new Date('2026-10-19T12:00:00Z')).toISOString(), '2026-10-23T09:00:00.000Z');
+  // 7am New York on both sides of the March DST change
+  assert.strictEqual(reports.nextRun('0 7 * * *', 'America/New_York', new Date('2026-03-06T13:00:00Z')).toISOString(), '2026-03-07T12:00:00.000Z');
+  assert.strictEqual(reports.nextRun('0 7 * * *', 'America/New_York', new Date('2026-03-07T13:00:00Z')).toISOString(), '2026-03-08T11:00:00.000Z');
+});
+
+test('date presets resolve to local date spans', () => {
+  const month = reports.resolveRange('month_to_date', 'UTC');
+  const last = reports.resolveRange('last_month', 'UTC');
+  assert.ok(month.from.endsWith('-01'));
+  assert.ok(last.from.endsWith('-01'));
+  assert.ok(last.to < month.from);
+  assert.strictEqual(reports.resolveRange('all_time'), null);
+  assert.deepStrictEqual(reports.parseRecipients('a@x.com, b@x.com;c@x.com\n'), ['a@x.com', 'b@x.com', 'c@x.com']);
+});
+
+test('source tables flatten the endpoint response', () => {
+  const table = reports.SOURCES.dashboard.toTable({ totalLeads: 12, filteredCost: 12345 });
+  const cost = table.rows.find(r => r.metric === 'Cost (range)');
+  assert.strictEqual(table.rows.find(r => r.metric === 'Leads (range)').value, 12);
+  assert.strictEqual(cost.value, 123.45);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const sendTime = require('../lib/send-time');
+
+function setSetting(key, value) {
+  db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, value);
+}
+
+function leadWithVisit(eli, visit) {
+  db.prepare('INSERT INTO visitors (eli_clickid, timezone, region) VALUES (?, ?, ?)').run(eli, visit.timezone || null, visit.region || null);
+  return insertLead({ eli_clickid: eli });
+}
+
+// Account timezone is the default, America/New_York
+const laLead = leadWithVisit('eli-send-la', { timezone: 'America/Los_Angeles' });
+const texasLead = leadWithVisit('eli-send-tx', { region: 'TX' });
+const nyLead = insertLead();
+
+test('recipients are placed by browser timezone, then state, then the account', () => {
+  assert.deepStrictEqual(sendTime.resolveLeadTimezone(laLead), { timezone: 'America/Los_Angeles', source: 'visitor' });
+  assert.deepStrictEqual(sendTime.resolveLeadTimezone(texasLead), { timezone: 'America/Chicago', source: 'state' });
+  assert.deepStrictEqual(sendTime.resolveLeadTimezone(nyLead), { timezone: 'America/New_York', source: 'account' });
+});
+
+test('local mode sends at the campaign clock time in each recipient timezone', () => {
+  // Scheduled for 10:00 New York time
+  const now = new Date('2026-06-01T14:00:00Z');
+  const plan = sendTime.createPlanner({ send_time_mode: 'local', scheduled_at: '2026-06-01 14:00:00' }, now);
+  assert.deepStrictEqual(plan({ id: nyLead }), { send_after: null, timezone: 'America/New_York' });
+  assert.strictEqual(plan({ id: texasLead }).send_after, '2026-06-01 15:00:00');
+  assert.strictEqual(plan({ id: laLead }).send_after, '2026-06-01 17:00:00');
+});
+
+test('quiet hours hold campaign mail until the recipient morning', () => {
+  setSetting('email_quiet_hours_enabled', '1');
+  // 23:00 in New York, 20:00 in Los Angeles
+  const now = new Date('2026-06-02T03:00:00Z');
+  const plan = sendTime.createPlanner({ send_time_mode: 'immediate' }, now);
+  assert.strictEqual(plan({ id: nyLead }).send_after, '2026-06-02 12:00:00');
+  assert.strictEqual(plan({ id: laLead }).send_after, null);
+
+  const gate = sendTime.createSendGate(now);
+  assert.strictEqual(gate.check({ campaign_id: 1, send_timezone: 'America/New_York', to_email: 'a@example.com' }), '2026-06-02 12:00:00');
+  // Flow emails aren't held
+  assert.strictEqual(gate.check({ campaign_id: null, to_email: 'a@example.com' }), null);
+  setSetting('email_quiet_hours_enabled', '0');
+});
+
+test('a domain at its daily cap is pushed to tomorrow', () => {
+  setSetting('email_domain_limits', JSON.stringify({ 'gmail.com': 2 }));
+  const gate = sendTime.createSendGate();
+  const item = { campaign_id: 1, to_email: 'someone@Gmail.com' };
+  assert.strictEqual(gate.check(item), null);
+  gate.sent(item);
+  assert.strictEqual(gate.check(item), null);
+  gate.sent(item);
+  assert.match(gate.check(item), /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+  assert.strictEqual(gate.check({ campaign_id: 1, to_email: 'someone@example.com' }), null);
+});
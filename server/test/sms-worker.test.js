@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead } = require('./helpers');
+const sms = require('../sms-worker');
+const logAdapter = require('../sms-adapters/log');
+
+test('normalizePhone returns E.164 for US numbers', () => {
+  assert.strictEqual(sms.normalizePhone('(555) 555-0101'), '+15555550101');
+  assert.strictEqual(sms.normalizePhone('1-555-555-0101'), '+15555550101');
+  assert.strictEqual(sms.normalizePhone('+44 20 7946 0958'), '+442079460958');
+  assert.strictEqual(sms.normalizePhone('12345'), null);
+});
+
+test('STOP from a number with no lead is still honoured', async () => {
+  const inbound = sms.handleInbound({ sid: 'LOGin1', from: '555-555-0199', body: 'Stop' });
+  assert.strictEqual(inbound.keyword, 'stop');
+  assert.strictEqual(inbound.lead_id, null);
+  assert.ok(sms.isPhoneOptedOut('(555) 555-0199'));
+
+  // A lead created later with that number can't be texted
+  const leadId = insertLead({ phone: '5555550199' });
+  const id = sms.queueSms({ leadId, to: '5555550199', body: 'Hello' });
+  await sms.processSmsQueue();
+  const msg = db.prepare('SELECT status, error_message FROM sms_messages WHERE id = ?').get(id);
+  assert.strictEqual(msg.status, 'failed');
+  assert.match(msg.error_message, /opted out/);
+
+  sms.handleInbound({ sid: 'LOGin2', from: '+15555550199', body: 'START' });
+  assert.ok(!sms.isPhoneOptedOut('5555550199'));
+  assert.strictEqual(db.prepare('SELECT sms_opted_out FROM leads WHERE id = ?').get(leadId).sms_opted_out, 0);
+});
+
+test('STOP marks matching leads and sends go out again after START', async () => {
+  const leadId = insertLead({ phone: '555-555-0142' });
+  sms.handleInbound({ sid: 'LOGin3', from: '+15555550142', body: 'unsubscribe' });
+  assert.strictEqual(db.prepare('SELECT sms_opted_out FROM leads WHERE id = ?').get(leadId).sms_opted_out, 1);
+
+  sms.handleInbound({ sid: 'LOGin4', from: '+15555550142', body: 'start' });
+  const id = sms.queueSms({ leadId, to: '555-555-0142', body: 'Welcome back' });
+  await sms.processSmsQueue();
+  const msg = db.prepare('SELECT status, to_phone, twilio_sid FROM sms_messages WHERE id = ?').get(id);
+  assert.strictEqual(msg.status, 'sent');
+  assert.strictEqual(msg.to_phone, '+15555550142');
+  assert.ok(msg.twilio_sid.startsWith('LOG'));
+});
+
+test('the log adapter only accepts webhooks carrying the install key', () => {
+  const config = sms.getSmsConfig();
+  assert.ok(config.webhook_key);
+  assert.ok(logAdapter.verifyRequest(config, { query: { key: config.webhook_key } }));
+  assert.ok(!logAdapter.verifyRequest(config, { query: { key: 'wrong' } }));
+  assert.ok(!logAdapter.verifyRequest(config, { query: {} }));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, insertLead, callRoute } = require('./helpers');
+const subscriptions = require('../lib/subscriptions');
+const emailWorker = require('../email-worker');
+const leadsRouter = require('../routes/leads');
+
+const newsletters = db.prepare("SELECT id FROM email_topics WHERE key = 'newsletters'").get().id;
+const reminders = db.prepare("SELECT id FROM email_topics WHERE key = 'appointment_reminders'").get().id;
+
+test('opting out of one topic leaves the others and is logged with its source', () => {
+  const leadId = insertLead({ email: 'topics@example.com' });
+  const applied = subscriptions.updatePreferences(leadId, { topics: { [newsletters]: false, [reminders]: true } }, {
+    source: 'preference_center', ip_address: '10.0.0.9'
+  });
+  // Reminders were already on by default, so only the opt-out is written
+  assert.deepStrictEqual(applied, [{ topic_id: newsletters, subscribed: 0, previous: 1 }]);
+
+  const prefs = subscriptions.getPreferences(leadId);
+  assert.strictEqual(prefs.unsubscribed_all, false);
+  assert.deepStrictEqual(prefs.topics.map(t => [t.key, t.subscribed]),
+    [['newsletters', false], ['program_updates', true], ['appointment_reminders', true]]);
+  assert.match(subscriptions.optOutReason(leadId, newsletters), /Newsletters/);
+  assert.strictEqual(subscriptions.optOutReason(leadId, reminders), null);
+
+  const log = db.prepare('SELECT topic_id, subscribed, previous, source, ip_address FROM email_consent_log WHERE lead_id = ?').all(leadId);
+  assert.deepStrictEqual(log.map(r => ({ ...r })), [
+    { topic_id: newsletters, subscribed: 0, previous: 1, source: 'preference_center', ip_address: '10.0.0.9' }
+  ]);
+  assert.throws(() => subscriptions.updatePreferences(leadId, {}, { source: 'guess' }), /Unknown consent source/);
+});
+
+test('a campaign tagged with a topic skips leads who opted out of it', () => {
+  const stays = insertLead({ email: 'stays@example.com' });
+  const leaves = insertLead({ email: 'leaves@example.com' });
+  subscriptions.updatePreferences(leaves, { topics: { [newsletters]: false } }, { source: 'one_click' });
+  assert.deepStrictEqual(subscriptions.filterSubscribed([{ id: stays }, { id: leaves }], newsletters), [{ id: stays }]);
+
+  const templateId = db.prepare("INSERT INTO email_templates (name, subject, html_body) VALUES ('News', 'News', '<p>News</p>')").run().lastInsertRowid;
+  const campaignId = db.prepare("INSERT INTO email_campaigns (name, template_id, status, topic_id) VALUES ('News', ?, 'sending', ?)")
+    .run(templateId, newsletters).lastInsertRowid;
+  emailWorker.enqueueCampaign(campaignId);
+  const queued = db.prepare('SELECT lead_id, topic_id FROM email_queue WHERE campaign_id = ?').all(campaignId);
+  assert.ok(queued.some(q => q.lead_id === stays));
+  assert.ok(!queued.some(q => q.lead_id === leaves));
+  assert.ok(queued.every(q => q.topic_id === newsletters));
+});
+
+test('deleting a lead keeps its consent history on record', async () => {
+  const leadId = insertLead({ email: 'gone@example.com' });
+  subscriptions.updatePreferences(leadId, { unsubscribe_all: true }, { source: 'unsubscribe_link' });
+
+  const res = await callRoute(leadsRouter, 'delete', '/:id', { params: { id: String(leadId) } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS c FROM lead_email_subscriptions WHERE lead_id = ?').get(leadId).c, 0);
+  const kept = db.prepare("SELECT lead_id, subscribed FROM email_consent_log WHERE email = 'gone@example.com'").get();
+  assert.deepStrictEqual({ ...kept }, { lead_id: null, subscribed: 0 });
+});
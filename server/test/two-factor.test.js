@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { db, callRoute } = require('./helpers');
+const totp = require('../lib/totp');
+const { encrypt } = require('../lib/smtp');
+const authRouter = require('../routes/auth');
+
+// auth.js binds logActivity on a timer after it loads
+test.before(() => new Promise(resolve => setTimeout(resolve, 10)));
+
+function addUser(email, fields = {}) {
+  const row = { email, password_hash: bcrypt.hashSync('correct horse', 4), name: email.split('@')[0], role: 'editor', ...fields };
+  const cols = Object.keys(row);
+  return db.prepare(`INSERT INTO users (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`).run(...Object.values(row)).lastInsertRowid;
+}
+
+function login(email, password, ip = '10.0.0.1') {
+  return callRoute(authRouter, 'post', '/login', { body: { email, password }, ip });
+}
+
+test('codes follow RFC 6238 and cannot be replayed', () => {
+  // RFC 6238 appendix B, SHA-1 seed "12345678901234567890"
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+  assert.strictEqual(totp.hotp(secret, totp.currentCounter(59 * 1000)), '287082');
+  assert.strictEqual(totp.hotp(secret, totp.currentCounter(1111111109 * 1000)), '081804');
+
+  const now = Date.now();
+  const step = totp.verify(secret, totp.hotp(secret, totp.currentCounter(now)), { now });
+  assert.strictEqual(step, totp.currentCounter(now));
+  assert.strictEqual(totp.verify(secret, totp.hotp(secret, step), { now, lastCounter: step }), null);
+
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  const remaining = totp.consumeRecoveryCode(hashes, codes[0].toUpperCase());
+  assert.strictEqual(remaining.length, hashes.length - 1);
+  assert.strictEqual(totp.consumeRecoveryCode(remaining, codes[0]), null);
+});
+
+test('an account locks after repeated wrong passwords', async () => {
+  const userId = addUser('lockout@example.com');
+  for (let i = 0; i < 5; i++) assert.strictEqual((await login('lockout@example.com', 'wrong')).status, 401);
+
+  const locked = await login('lockout@example.com', 'correct horse');
+  assert.strictEqual(locked.status, 423);
+  assert.strictEqual(locked.body.code, 'account_locked');
+  assert.ok(db.prepare('SELECT locked_until FROM users WHERE id = ?').get(userId).locked_until);
+  assert.ok(db.prepare("SELECT id FROM activity_logs WHERE action = 'locked' AND entity_id = ?").get(userId));
+});
+
+test('with 2FA on, the password only earns a challenge for the code step', async () => {
+  const secret = totp.generateSecret();
+  const userId = addUser('twofactor@example.com', { totp_enabled: 1, totp_secret: encrypt(secret) });
+
+  const first = await login('twofactor@example.com', 'correct horse', '10.0.0.2');
+  assert.strictEqual(first.body.two_factor_required, true);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM user_sessions WHERE user_id = ?').get(userId).n, 0);
+
+  const code = totp.hotp(secret, totp.currentCounter());
+  const second = await callRoute(authRouter, 'post', '/login/2fa', { body: { challenge: first.body.challenge, code }, ip: '10.0.0.2' });
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(db.prepare('SELECT two_factor FROM user_sessions WHERE user_id = ?').get(userId).two_factor, 1);
+
+  const replay = await callRoute(authRouter, 'post', '/login/2fa', { body: { challenge: first.body.challenge, code }, ip: '10.0.0.2' });
+  assert.strictEqual(replay.status, 401);
+});
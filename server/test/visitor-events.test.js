@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, callRoute } = require('./helpers');
+const visitorEvents = require('../lib/visitor-events');
+const visitorsRouter = require('../routes/visitors');
+
+function session(sessionId) {
+  return db.prepare('SELECT * FROM visitor_sessions WHERE session_id = ?').get(sessionId);
+}
+
+test('batches are stored raw and rolled up per session and page', () => {
+  const now = Date.now();
+  const first = visitorEvents.recordEventBatch({
+    eli_clickid: 'eli-events-1', session_id: 'sess-abc123', landing_page: '/debt-relief', engaged_ms: 4000, sent_at: now,
+    events: [
+      { type: 'page_view', t: now - 5000 },
+      { type: 'scroll_depth', value: 40, t: now - 4000 },
+      { type: 'form_field_focus', value: 'first_name', t: now - 3000 },
+      { type: 'not_an_event', t: now }
+    ]
+  });
+  assert.deepStrictEqual(first, { accepted: 3 });
+
+  visitorEvents.recordEventBatch({
+    eli_clickid: 'eli-events-1', session_id: 'sess-abc123', landing_page: '/debt-relief', engaged_ms: 9000, sent_at: now,
+    events: [
+      { type: 'scroll_depth', value: 150, t: now },
+      { type: 'form_abandon', value: 'phone', t: now },
+      { type: 'phone_click', t: now }
+    ]
+  });
+
+  const row = session('sess-abc123');
+  assert.strictEqual(row.page_views, 1);
+  assert.strictEqual(row.max_scroll_pct, 100);
+  assert.strictEqual(row.engaged_ms, 9000);
+  assert.strictEqual(row.fields_focused, 1);
+  assert.strictEqual(row.last_field, 'phone');
+  assert.strictEqual(row.phone_clicks, 1);
+  assert.ok(row.form_started_at && row.form_abandoned_at);
+
+  const [sessionWithEvents] = visitorEvents.getVisitorSessions('eli-events-1');
+  assert.strictEqual(sessionWithEvents.events.length, 6);
+});
+
+test('malformed batches are rejected', () => {
+  assert.deepStrictEqual(visitorEvents.recordEventBatch({ session_id: 'sess-abc123' }), { error: 'eli_clickid required' });
+  assert.deepStrictEqual(visitorEvents.recordEventBatch({ eli_clickid: 'x', session_id: 'a b' }), { error: 'Invalid session_id' });
+});
+
+test('funnel steps are only accepted for steps a form reports', async () => {
+  const unknown = await callRoute(visitorsRouter, 'post', '/funnel-step', {
+    body: { eli_clickid: 'eli-funnel-1', step: 'made_up_step', value: 'x' }
+  });
+  assert.strictEqual(unknown.status, 400);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM visitor_funnel_steps').get().n, 0);
+
+  db.prepare('INSERT INTO forms (name, fields, steps) VALUES (?, ?, ?)').run(
+    'Funnel test',
+    JSON.stringify([{ name: 'income', label: 'Income', type: 'number', step: 'income' }]),
+    JSON.stringify([{ key: 'income', title: 'Income', prequal: true }])
+  );
+  const known = await callRoute(visitorsRouter, 'post', '/funnel-step', {
+    body: { eli_clickid: 'eli-funnel-1', step: 'income', value: '60000' }
+  });
+  assert.strictEqual(known.status, 200);
+  assert.strictEqual(db.prepare("SELECT value FROM visitor_funnel_steps WHERE step_key = 'income'").get().value, '60000');
+});